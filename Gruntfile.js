@@ -26,6 +26,7 @@ module.exports = function (grunt) {
 					cannonpack: ['./src/goo/addons/cannonpack'],
 					waterpack: ['./src/goo/addons/waterpack'],
 					linerenderpack: ['./src/goo/addons/linerenderpack'],
+					gltfpack: ['./src/goo/addons/gltfpack'],
 					soundmanager2pack: ['./src/goo/addons/soundmanager2pack'],
 					physicspack: ['./src/goo/addons/physicspack'],
 					gamepadpack: ['./src/goo/addons/gamepadpack'],
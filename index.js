@@ -18,6 +18,7 @@ module.exports = {
 	BufferData: require('./src/goo/renderer/BufferData'),
 	BufferUtils: require('./src/goo/renderer/BufferUtils'),
 	Bus: require('./src/goo/entities/Bus'),
+	BvhPartitioner: require('./src/goo/renderer/BvhPartitioner'),
 	Camera: require('./src/goo/renderer/Camera'),
 	CameraComponent: require('./src/goo/entities/components/CameraComponent'),
 	CameraComponentHandler: require('./src/goo/loaders/handlers/CameraComponentHandler'),
@@ -61,6 +62,7 @@ module.exports = {
 	HtmlComponent: require('./src/goo/entities/components/HtmlComponent'),
 	HtmlComponentHandler: require('./src/goo/loaders/handlers/HtmlComponentHandler'),
 	HtmlSystem: require('./src/goo/entities/systems/HtmlSystem'),
+	InstanceBatcher: require('./src/goo/renderer/InstanceBatcher'),
 	JsonHandler: require('./src/goo/loaders/handlers/JsonHandler'),
 	Light: require('./src/goo/renderer/light/Light'),
 	LightComponent: require('./src/goo/entities/components/LightComponent'),
@@ -88,6 +90,7 @@ module.exports = {
 	MovementComponent: require('./src/goo/entities/components/MovementComponent'),
 	MovementSystem: require('./src/goo/entities/systems/MovementSystem'),
 	Noise: require('./src/goo/noise/Noise'),
+	NullRenderer: require('./src/goo/renderer/NullRenderer'),
 	ObjectUtil: require('./src/goo/util/ObjectUtil'),
 	ObjectUtils: require('./src/goo/util/ObjectUtils'),
 	OrbitCamControlScript: require('./src/goo/scripts/OrbitCamControlScript'),
@@ -179,7 +182,8 @@ module.exports = {
 	Vector3: require('./src/goo/math/Vector3'),
 	Vector4: require('./src/goo/math/Vector4'),
 	Vector: require('./src/goo/math/Vector'),
-	World: require('./src/goo/entities/World')
+	World: require('./src/goo/entities/World'),
+	WorldExporter: require('./src/goo/loaders/WorldExporter')
 };
 
 if (typeof(window) !== 'undefined') {
@@ -0,0 +1,883 @@
+var Ajax = require('../../util/Ajax');
+var RSVP = require('../../util/rsvp');
+var PromiseUtils = require('../../util/PromiseUtils');
+var MeshData = require('../../renderer/MeshData');
+var Material = require('../../renderer/Material');
+var Texture = require('../../renderer/Texture');
+var Camera = require('../../renderer/Camera');
+var Shader = require('../../renderer/Shader');
+var ShaderLib = require('../../renderer/shaders/ShaderLib');
+var RenderQueue = require('../../renderer/RenderQueue');
+var MeshDataComponent = require('../../entities/components/MeshDataComponent');
+var MeshRendererComponent = require('../../entities/components/MeshRendererComponent');
+var CameraComponent = require('../../entities/components/CameraComponent');
+var MathUtils = require('../../math/MathUtils');
+var Transform = require('../../math/Transform');
+var Quaternion = require('../../math/Quaternion');
+var Joint = require('../../animationpack/Joint');
+var Skeleton = require('../../animationpack/Skeleton');
+var SkeletonPose = require('../../animationpack/SkeletonPose');
+var AnimationComponent = require('../../animationpack/components/AnimationComponent');
+var AnimationSystem = require('../../animationpack/systems/AnimationSystem');
+var AnimationClip = require('../../animationpack/clip/AnimationClip');
+var TransformChannel = require('../../animationpack/clip/TransformChannel');
+var JointChannel = require('../../animationpack/clip/JointChannel');
+var MorphWeightsChannel = require('../../animationpack/clip/MorphWeightsChannel');
+var SteadyState = require('../../animationpack/state/SteadyState');
+var ClipSource = require('../../animationpack/blendtree/ClipSource');
+var GltfUtils = require('../../addons/gltfpack/GltfUtils');
+
+/**
+ * Loads glTF 2.0 assets, both .gltf files (with external or embedded buffers and images) and binary .glb files.
+ * Every node of the scene becomes an {@link Entity} with a {@link TransformComponent}, meshes get a {@link MeshDataComponent}
+ * and a {@link MeshRendererComponent}, skins become a {@link SkeletonPose} driven by an {@link AnimationComponent} and
+ * animations become {@link AnimationClip}s. Morph targets and their weights are loaded as well.
+ * <br>Each animated entity gets a state per animation on the base layer of its AnimationComponent, with the name of the animation as id.
+ * <br>The entities of a skinned mesh are children of an entity holding the skeleton pose, which replaces the joint nodes in the hierarchy.
+ * @param {Object} options
+ * @param {World} options.world The target World object.
+ * @param {string} [options.rootPath] The root path from where to get resources.
+ * @param {Ajax} [options.ajax=new Ajax(options.rootPath)] Can be used to overwrite how the loader fetches files.
+ * @example
+ * var loader = new GltfLoader({ world: world, rootPath: 'res/' });
+ * loader.load('models/character.glb').then(function (result) {
+ *     result.root.setTranslation(0, 0, -5);
+ *     result.animatedEntities.forEach(function (entity) {
+ *         entity.animationComponent.transitionTo('Walk', true);
+ *     });
+ * });
+ */
+function GltfLoader(options) {
+	if (options.world) {
+		this._world = options.world;
+	} else {
+		throw new Error('World argument cannot be null');
+	}
+
+	this._ajax = options.ajax || new Ajax(options.rootPath);
+}
+
+var PRIMITIVE_MODES = ['Points', 'Lines', 'LineLoop', 'LineStrip', 'Triangles', 'TriangleStrip', 'TriangleFan'];
+
+var ATTRIBUTES = {
+	POSITION: MeshData.POSITION,
+	NORMAL: MeshData.NORMAL,
+	TANGENT: MeshData.TANGENT,
+	COLOR_0: MeshData.COLOR,
+	TEXCOORD_0: MeshData.TEXCOORD0,
+	TEXCOORD_1: MeshData.TEXCOORD1,
+	JOINTS_0: MeshData.JOINTIDS,
+	WEIGHTS_0: MeshData.WEIGHTS
+};
+
+var WRAP_MODES = {
+	33071: 'EdgeClamp',
+	33648: 'MirroredRepeat',
+	10497: 'Repeat'
+};
+
+var MAG_FILTERS = {
+	9728: 'NearestNeighbor',
+	9729: 'Bilinear'
+};
+
+var MIN_FILTERS = {
+	9728: 'NearestNeighborNoMipMaps',
+	9729: 'BilinearNoMipMaps',
+	9984: 'NearestNeighborNearestMipMap',
+	9985: 'BilinearNearestMipMap',
+	9986: 'NearestNeighborLinearMipMap',
+	9987: 'Trilinear'
+};
+
+/**
+ * Loads a .gltf or .glb file and builds its entities.
+ * @param {string} path Path of the file, relative to the root path. External buffers and images are loaded relative to it.
+ * @param {Object} [options] See {@link GltfLoader#parse}
+ * @param {boolean} [options.noCache=false] Ignore cache, i.e. always load files fresh from the server.
+ * @returns {RSVP.Promise} Resolves with the result of {@link GltfLoader#parse}
+ */
+GltfLoader.prototype.load = function (path, options) {
+	var basePath = path.substr(0, path.lastIndexOf('/') + 1);
+	return this._ajax.load(path, options && options.noCache).then(function (data) {
+		return this.parse(data, basePath, options);
+	}.bind(this));
+};
+
+/**
+ * Builds the entities of already loaded glTF data.
+ * @param {(ArrayBuffer|string|Object)} data Content of a .glb or .gltf file, or the parsed JSON of a .gltf file
+ * @param {string} [basePath=''] Path that external buffers and images are relative to
+ * @param {Object} [options]
+ * @param {number} [options.scene] Index of the scene to build, defaults to the default scene of the file
+ * @param {boolean} [options.addToWorld=true] Add the created entities to the world
+ * @param {boolean} [options.autoPlay=true] Start playing the first animation on all animated entities
+ * @param {number} [options.loopCount=-1] Number of times the animations loop, -1 for forever
+ * @returns {RSVP.Promise} Resolves with an object holding:
+ * <ul>
+ *     <li>root: an entity that is the parent of all entities of the scene
+ *     <li>entities: the entities created for the nodes, by node index
+ *     <li>animatedEntities: the entities that got an AnimationComponent
+ *     <li>animations: the names of the animations
+ *     <li>meshes: the MeshData of each mesh, one per primitive
+ *     <li>materials: the materials, by material index
+ *     <li>textures: the textures, by texture index
+ * </ul>
+ */
+GltfLoader.prototype.parse = function (data, basePath, options) {
+	options = options || {};
+	basePath = basePath || '';
+
+	var gltf, binary = null;
+	try {
+		if (data instanceof ArrayBuffer) {
+			if (GltfUtils.isGlb(data)) {
+				var glb = GltfUtils.parseGlb(data);
+				gltf = glb.json;
+				binary = glb.binary;
+			} else {
+				gltf = JSON.parse(GltfUtils.decodeText(new Uint8Array(data)));
+			}
+		} else if (typeof data === 'string') {
+			gltf = JSON.parse(data);
+		} else {
+			gltf = data;
+		}
+
+		var version = gltf.asset && gltf.asset.version;
+		if (!version || version.split('.')[0] !== '2') {
+			throw new Error('Unsupported glTF version: ' + version);
+		}
+		if (gltf.extensionsRequired && gltf.extensionsRequired.length) {
+			throw new Error('Unsupported required glTF extensions: ' + gltf.extensionsRequired.join(', '));
+		}
+	} catch (e) {
+		return PromiseUtils.reject(e);
+	}
+
+	return this._loadBuffers(gltf, binary, basePath).then(function (buffers) {
+		return this._loadImages(gltf, buffers, basePath).then(function (images) {
+			return this._build(gltf, buffers, images, options);
+		}.bind(this));
+	}.bind(this));
+};
+
+/**
+ * @param {Object} gltf
+ * @param {ArrayBuffer} binary The binary chunk of a .glb file
+ * @param {string} basePath
+ * @returns {RSVP.Promise} Resolves with the buffers, by buffer index
+ * @private
+ */
+GltfLoader.prototype._loadBuffers = function (gltf, binary, basePath) {
+	return RSVP.all((gltf.buffers || []).map(function (buffer, index) {
+		if (buffer.uri === undefined) {
+			if (index !== 0 || !binary) {
+				return PromiseUtils.reject(new Error('Buffer ' + index + ' has no uri'));
+			}
+			return PromiseUtils.resolve(binary);
+		}
+		if (GltfUtils.isDataUri(buffer.uri)) {
+			return PromiseUtils.resolve(GltfUtils.decodeDataUri(buffer.uri));
+		}
+		return this._ajax.load(basePath + buffer.uri);
+	}, this));
+};
+
+/**
+ * Loads the images of the file. Images that fail to load are skipped with a warning.
+ * @param {Object} gltf
+ * @param {Array<ArrayBuffer>} buffers
+ * @param {string} basePath
+ * @returns {RSVP.Promise} Resolves with the images, by image index
+ * @private
+ */
+GltfLoader.prototype._loadImages = function (gltf, buffers, basePath) {
+	return RSVP.all((gltf.images || []).map(function (image, index) {
+		var promise;
+		if (image.bufferView !== undefined) {
+			var bufferView = gltf.bufferViews[image.bufferView];
+			var byteOffset = bufferView.byteOffset || 0;
+			var blob = new Blob(
+				[buffers[bufferView.buffer].slice(byteOffset, byteOffset + bufferView.byteLength)],
+				{ type: image.mimeType }
+			);
+			promise = this._ajax.loadImage(window.URL.createObjectURL(blob));
+		} else if (GltfUtils.isDataUri(image.uri)) {
+			promise = this._ajax.loadImage(image.uri);
+		} else {
+			promise = this._ajax.load(basePath + image.uri);
+		}
+
+		return promise.then(null, function (error) {
+			console.warn('Could not load glTF image ' + index + ': ' + error);
+			return null;
+		});
+	}, this));
+};
+
+/**
+ * Creates all engine objects of the file
+ * @param {Object} gltf
+ * @param {Array<ArrayBuffer>} buffers
+ * @param {Array<Image>} images
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+GltfLoader.prototype._build = function (gltf, buffers, images, options) {
+	var nodes = gltf.nodes || [];
+
+	var textures = (gltf.textures || []).map(function (textureConfig) {
+		return this._createTexture(gltf, textureConfig, images);
+	}, this);
+
+	var materials = (gltf.materials || []).map(function (materialConfig, index) {
+		return this._createMaterial(materialConfig, index, textures);
+	}, this);
+
+	var meshes = (gltf.meshes || []).map(function (mesh) {
+		return mesh.primitives.map(function (primitive) {
+			return this._createMeshData(gltf, buffers, mesh, primitive);
+		}, this);
+	}, this);
+
+	// parent node of each node
+	var parents = [];
+	nodes.forEach(function (node, index) {
+		(node.children || []).forEach(function (child) {
+			parents[child] = index;
+		});
+	});
+
+	// skin index of each joint node
+	var jointSkins = [];
+	(gltf.skins || []).forEach(function (skin, skinIndex) {
+		skin.joints.forEach(function (nodeIndex) {
+			jointSkins[nodeIndex] = skinIndex;
+		});
+	});
+
+	var context = {
+		gltf: gltf,
+		options: options,
+		root: this._world.createEntity(options.name || 'glTF'),
+		entities: [],
+		meshEntities: [],
+		skinnedNodes: [],
+		jointSkins: jointSkins,
+		meshes: meshes,
+		materials: materials,
+		defaultMaterial: null
+	};
+
+	var sceneIndex = options.scene !== undefined ? options.scene : gltf.scene;
+	var rootNodes;
+	if (gltf.scenes && gltf.scenes.length) {
+		rootNodes = gltf.scenes[sceneIndex || 0].nodes || [];
+	} else {
+		rootNodes = [];
+		for (var i = 0; i < nodes.length; i++) {
+			if (parents[i] === undefined) {
+				rootNodes.push(i);
+			}
+		}
+	}
+
+	rootNodes.forEach(function (nodeIndex) {
+		this._createNode(context, nodeIndex, context.root);
+	}, this);
+
+	var skins = (gltf.skins || []).map(function (skin, skinIndex) {
+		return this._createSkin(context, buffers, skin, skinIndex, parents);
+	}, this);
+
+	context.skinnedNodes.forEach(function (nodeIndex) {
+		var node = nodes[nodeIndex];
+		var skin = skins[node.skin];
+		var entities = this._createMeshEntities(context, nodeIndex, skin.entity);
+		for (var i = 0; i < entities.length; i++) {
+			var meshDataComponent = entities[i].meshDataComponent;
+			meshDataComponent.meshData.type = MeshData.SKINMESH;
+			meshDataComponent.meshData.paletteMap = skin.paletteMap;
+			meshDataComponent.meshData.weightsPerVertex = 4;
+			meshDataComponent.currentPose = skin.pose;
+		}
+	}, this);
+
+	var animations = (gltf.animations || []).map(function (animation, index) {
+		var name = animation.name || 'Animation ' + index;
+		this._createAnimation(context, buffers, animation, name, skins);
+		return name;
+	}, this);
+
+	var animatedEntities = [];
+	context.root.traverse(function (entity) {
+		if (entity.animationComponent) {
+			animatedEntities.push(entity);
+		}
+	});
+
+	if (animations.length > 0) {
+		if (!this._world.getSystem('AnimationSystem')) {
+			this._world.setSystem(new AnimationSystem());
+		}
+		if (options.autoPlay !== false) {
+			animatedEntities.forEach(function (entity) {
+				var layer = entity.animationComponent.layers[0];
+				var stateId = layer.getStateById(animations[0]) ? animations[0] : layer.getStates()[0];
+				if (stateId !== undefined) {
+					layer.setCurrentStateById(stateId, true);
+				}
+			});
+		}
+	}
+
+	if (options.addToWorld !== false) {
+		context.root.addToWorld();
+	}
+
+	return {
+		root: context.root,
+		entities: context.entities,
+		animatedEntities: animatedEntities,
+		animations: animations,
+		meshes: meshes,
+		materials: materials,
+		textures: textures
+	};
+};
+
+/**
+ * @param {Object} gltf
+ * @param {Object} textureConfig
+ * @param {Array<Image>} images
+ * @returns {Texture} The texture, or null if its image could not be loaded
+ * @private
+ */
+GltfLoader.prototype._createTexture = function (gltf, textureConfig, images) {
+	var image = images[textureConfig.source];
+	if (!image) {
+		return null;
+	}
+
+	var sampler = textureConfig.sampler !== undefined ? gltf.samplers[textureConfig.sampler] : {};
+	var settings = {
+		wrapS: WRAP_MODES[sampler.wrapS] || 'Repeat',
+		wrapT: WRAP_MODES[sampler.wrapT] || 'Repeat',
+		magFilter: MAG_FILTERS[sampler.magFilter] || 'Bilinear',
+		minFilter: MIN_FILTERS[sampler.minFilter] || 'Trilinear',
+		// glTF texture coordinates have their origin in the top left corner
+		flipY: false
+	};
+
+	if (!(MathUtils.isPowerOfTwo(image.width) && MathUtils.isPowerOfTwo(image.height))) {
+		settings.generateMipmaps = false;
+		settings.minFilter = settings.minFilter.indexOf('NearestNeighbor') === 0 ? 'NearestNeighborNoMipMaps' : 'BilinearNoMipMaps';
+	}
+
+	return new Texture(image, settings);
+};
+
+/**
+ * Creates an uber shader material from a metallic-roughness material.
+ * Metalness and roughness are approximated with the specular color and power of the uber shader.
+ * @param {Object} materialConfig
+ * @param {number} index
+ * @param {Array<Texture>} textures
+ * @returns {Material}
+ * @private
+ */
+GltfLoader.prototype._createMaterial = function (materialConfig, index, textures) {
+	var material = new Material(ShaderLib.uber, materialConfig.name || 'glTF Material ' + index);
+
+	var pbr = materialConfig.pbrMetallicRoughness || {};
+	var baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+	var metallic = pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1;
+	var roughness = pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1;
+	var emissive = materialConfig.emissiveFactor || [0, 0, 0];
+
+	var specular = MathUtils.lerp(metallic, 0.04, 1) * (1 - roughness);
+	var shininess = MathUtils.clamp(2 / Math.max(Math.pow(roughness, 4), 1e-4) - 2, 1, 128);
+
+	material.uniforms.materialDiffuse = [baseColor[0], baseColor[1], baseColor[2], 1];
+	material.uniforms.materialSpecular = [specular, specular, specular, shininess];
+	material.uniforms.materialEmissive = [emissive[0], emissive[1], emissive[2], 1];
+	material.uniforms.opacity = baseColor[3];
+
+	function setTexture(type, textureInfo) {
+		if (textureInfo && textures[textureInfo.index]) {
+			material.setTexture(type, textures[textureInfo.index]);
+		}
+	}
+
+	setTexture(Shader.DIFFUSE_MAP, pbr.baseColorTexture);
+	setTexture(Shader.NORMAL_MAP, materialConfig.normalTexture);
+	setTexture(Shader.AO_MAP, materialConfig.occlusionTexture);
+	setTexture(Shader.EMISSIVE_MAP, materialConfig.emissiveTexture);
+
+	if (materialConfig.normalTexture && materialConfig.normalTexture.scale !== undefined) {
+		material.uniforms.normalMultiplier = materialConfig.normalTexture.scale;
+	}
+
+	if (materialConfig.alphaMode === 'BLEND') {
+		material.blendState.blending = 'TransparencyBlending';
+		material.renderQueue = RenderQueue.TRANSPARENT;
+	} else if (materialConfig.alphaMode === 'MASK') {
+		material.uniforms.discardThreshold = materialConfig.alphaCutoff !== undefined ? materialConfig.alphaCutoff : 0.5;
+	}
+
+	if (materialConfig.doubleSided) {
+		material.cullState.enabled = false;
+	}
+
+	return material;
+};
+
+/**
+ * Creates the MeshData of a mesh primitive, including its morph targets
+ * @param {Object} gltf
+ * @param {Array<ArrayBuffer>} buffers
+ * @param {Object} mesh
+ * @param {Object} primitive
+ * @returns {MeshData}
+ * @private
+ */
+GltfLoader.prototype._createMeshData = function (gltf, buffers, mesh, primitive) {
+	var attributes = primitive.attributes;
+	var vertexCount = gltf.accessors[attributes.POSITION].count;
+	var indexCount = primitive.indices !== undefined ? gltf.accessors[primitive.indices].count : 0;
+
+	var attributeMap = {};
+	var keys = Object.keys(ATTRIBUTES);
+	for (var i = 0; i < keys.length; i++) {
+		if (attributes[keys[i]] !== undefined) {
+			var accessor = gltf.accessors[attributes[keys[i]]];
+			attributeMap[ATTRIBUTES[keys[i]]] = MeshData.createAttribute(GltfUtils.TYPE_SIZES[accessor.type], 'Float');
+		}
+	}
+
+	var meshData = new MeshData(attributeMap, vertexCount, indexCount);
+	for (var i = 0; i < keys.length; i++) {
+		if (attributes[keys[i]] !== undefined) {
+			meshData.getAttributeBuffer(ATTRIBUTES[keys[i]]).set(GltfUtils.getAccessorData(gltf, buffers, attributes[keys[i]], true));
+		}
+	}
+
+	if (indexCount > 0) {
+		meshData.getIndexBuffer().set(GltfUtils.getAccessorData(gltf, buffers, primitive.indices));
+	}
+	meshData.indexModes = [PRIMITIVE_MODES[primitive.mode !== undefined ? primitive.mode : 4]];
+
+	if (attributes.JOINTS_0 !== undefined && attributes.WEIGHTS_0 !== undefined) {
+		meshData.type = MeshData.SKINMESH;
+	}
+
+	if (primitive.targets) {
+		if (primitive.targets.length > MeshData.MAX_MORPH_TARGETS) {
+			console.warn('Mesh ' + mesh.name + ' has ' + primitive.targets.length + ' morph targets, only the first ' + MeshData.MAX_MORPH_TARGETS + ' are used');
+		}
+		var targetNames = (mesh.extras && mesh.extras.targetNames) || [];
+		for (var i = 0; i < primitive.targets.length && i < MeshData.MAX_MORPH_TARGETS; i++) {
+			var target = primitive.targets[i];
+			var positions = target.POSITION !== undefined ?
+				GltfUtils.getAccessorData(gltf, buffers, target.POSITION, true) :
+				new Float32Array(vertexCount * 3);
+			var normals = target.NORMAL !== undefined && attributes.NORMAL !== undefined ?
+				GltfUtils.getAccessorData(gltf, buffers, target.NORMAL, true) :
+				undefined;
+			meshData.addMorphTarget(targetNames[i] || 'target' + i, positions, normals);
+		}
+	}
+
+	return meshData;
+};
+
+/**
+ * Sets a transform from the TRS properties or the matrix of a node
+ * @param {Transform} transform
+ * @param {Object} node
+ * @private
+ */
+function setNodeTransform(transform, node) {
+	if (node.matrix) {
+		transform.matrix.data.set(node.matrix);
+		transform.matrix.decompose(transform.translation, transform.rotation, transform.scale);
+	} else {
+		var t = node.translation || [0, 0, 0];
+		var r = node.rotation || [0, 0, 0, 1];
+		var s = node.scale || [1, 1, 1];
+		transform.translation.setDirect(t[0], t[1], t[2]);
+		tmpQuat.setDirect(r[0], r[1], r[2], r[3]);
+		transform.rotation.copyQuaternion(tmpQuat);
+		transform.scale.setDirect(s[0], s[1], s[2]);
+	}
+	transform.update();
+}
+
+var tmpQuat = new Quaternion();
+var tmpTransform = new Transform();
+
+/**
+ * Creates the entity of a node and its children. Joints of skins are not created as entities.
+ * @param {Object} context
+ * @param {number} nodeIndex
+ * @param {Entity} parent
+ * @private
+ */
+GltfLoader.prototype._createNode = function (context, nodeIndex, parent) {
+	var node = context.gltf.nodes[nodeIndex];
+	if (context.jointSkins[nodeIndex] !== undefined) {
+		(node.children || []).forEach(function (childIndex) {
+			if (context.jointSkins[childIndex] === undefined) {
+				console.warn('Node ' + childIndex + ' is attached to a joint and is not loaded');
+			}
+		});
+		return;
+	}
+
+	var entity = this._world.createEntity(node.name || 'Node ' + nodeIndex);
+	setNodeTransform(entity.transformComponent.transform, node);
+	entity.transformComponent.setUpdated();
+	parent.transformComponent.attachChild(entity.transformComponent);
+	context.entities[nodeIndex] = entity;
+
+	if (node.mesh !== undefined) {
+		if (node.skin !== undefined) {
+			// skinned meshes are placed with their skeleton, the transform of the node is ignored
+			context.skinnedNodes.push(nodeIndex);
+		} else {
+			this._createMeshEntities(context, nodeIndex, entity);
+		}
+	}
+
+	if (node.camera !== undefined) {
+		entity.setComponent(new CameraComponent(this._createCamera(context.gltf.cameras[node.camera])));
+	}
+
+	(node.children || []).forEach(function (childIndex) {
+		this._createNode(context, childIndex, entity);
+	}, this);
+};
+
+/**
+ * Adds the mesh of a node to an entity. Meshes with several primitives get a child entity per primitive.
+ * @param {Object} context
+ * @param {number} nodeIndex
+ * @param {Entity} entity
+ * @returns {Array<Entity>} The entities holding the primitives
+ * @private
+ */
+GltfLoader.prototype._createMeshEntities = function (context, nodeIndex, entity) {
+	var node = context.gltf.nodes[nodeIndex];
+	var mesh = context.gltf.meshes[node.mesh];
+	var meshDatas = context.meshes[node.mesh];
+	var weights = node.weights || mesh.weights;
+
+	var entities = [];
+	for (var i = 0; i < meshDatas.length; i++) {
+		var target = entity;
+		if (meshDatas.length > 1 || node.skin !== undefined) {
+			target = this._world.createEntity((node.name || 'Node ' + nodeIndex) + ' ' + i);
+			entity.transformComponent.attachChild(target.transformComponent);
+		}
+
+		var materialIndex = mesh.primitives[i].material;
+		target.setComponent(new MeshDataComponent(meshDatas[i]));
+		target.setComponent(new MeshRendererComponent(
+			materialIndex !== undefined ? context.materials[materialIndex] : this._getDefaultMaterial(context)
+		));
+
+		if (weights) {
+			var count = Math.min(weights.length, meshDatas[i].morphTargetNames.length);
+			for (var j = 0; j < count; j++) {
+				target.meshDataComponent.setMorphWeight(j, weights[j]);
+			}
+		}
+
+		entities.push(target);
+	}
+
+	context.meshEntities[nodeIndex] = entities;
+	return entities;
+};
+
+GltfLoader.prototype._getDefaultMaterial = function (context) {
+	if (!context.defaultMaterial) {
+		context.defaultMaterial = new Material(ShaderLib.uber, 'glTF Default Material');
+	}
+	return context.defaultMaterial;
+};
+
+/**
+ * @param {Object} cameraConfig
+ * @returns {Camera}
+ * @private
+ */
+GltfLoader.prototype._createCamera = function (cameraConfig) {
+	if (cameraConfig.type === 'orthographic') {
+		var orthographic = cameraConfig.orthographic;
+		var camera = new Camera(45, orthographic.xmag / orthographic.ymag, orthographic.znear, orthographic.zfar);
+		camera.setFrustum(orthographic.znear, orthographic.zfar, -orthographic.xmag, orthographic.xmag, orthographic.ymag, -orthographic.ymag);
+		camera.setProjectionMode(Camera.Parallel);
+		return camera;
+	}
+
+	var perspective = cameraConfig.perspective;
+	return new Camera(
+		perspective.yfov * MathUtils.RAD_TO_DEG,
+		perspective.aspectRatio || 1,
+		perspective.znear,
+		perspective.zfar || 10000
+	);
+};
+
+/**
+ * Creates the skeleton of a skin, and an entity holding its pose. The joints are ordered so that parents come before their children.
+ * @param {Object} context
+ * @param {Array<ArrayBuffer>} buffers
+ * @param {Object} skin
+ * @param {number} skinIndex
+ * @param {Array<number>} parents
+ * @returns {Object} The pose, the entity, the skeleton joint index of each joint node and the palette map of the skinned meshes
+ * @private
+ */
+GltfLoader.prototype._createSkin = function (context, buffers, skin, skinIndex, parents) {
+	var gltf = context.gltf;
+	var jointNodes = skin.joints;
+
+	function depth(nodeIndex) {
+		var count = 0;
+		while (parents[nodeIndex] !== undefined) {
+			nodeIndex = parents[nodeIndex];
+			count++;
+		}
+		return count;
+	}
+
+	var order = jointNodes.map(function (nodeIndex, index) {
+		return index;
+	}).sort(function (a, b) {
+		return depth(jointNodes[a]) - depth(jointNodes[b]) || a - b;
+	});
+
+	var jointIndices = [];
+	var paletteMap = [];
+	order.forEach(function (skinJointIndex, jointIndex) {
+		jointIndices[jointNodes[skinJointIndex]] = jointIndex;
+		paletteMap[skinJointIndex] = jointIndex;
+	});
+
+	var inverseBindMatrices = skin.inverseBindMatrices !== undefined ?
+		GltfUtils.getAccessorData(gltf, buffers, skin.inverseBindMatrices, true) :
+		null;
+
+	var joints = order.map(function (skinJointIndex, jointIndex) {
+		var nodeIndex = jointNodes[skinJointIndex];
+		var joint = new Joint(gltf.nodes[nodeIndex].name || 'Joint ' + skinJointIndex);
+		joint._index = jointIndex;
+
+		var parent = parents[nodeIndex];
+		while (parent !== undefined && jointIndices[parent] === undefined) {
+			parent = parents[parent];
+		}
+		joint._parentIndex = parent !== undefined ? jointIndices[parent] : Joint.NO_PARENT;
+
+		if (inverseBindMatrices) {
+			var inverseBindPose = joint._inverseBindPose;
+			inverseBindPose.matrix.data.set(inverseBindMatrices.subarray(skinJointIndex * 16, skinJointIndex * 16 + 16));
+			inverseBindPose.matrix.decompose(inverseBindPose.translation, inverseBindPose.rotation, inverseBindPose.scale);
+		}
+		return joint;
+	});
+
+	var pose = new SkeletonPose(new Skeleton(skin.name || 'Skeleton ' + skinIndex, joints));
+
+	// start off in the rest pose of the nodes rather than the bind pose
+	joints.forEach(function (joint, jointIndex) {
+		var node = gltf.nodes[jointNodes[order[jointIndex]]];
+		setNodeTransform(tmpTransform, node);
+		pose._localTransforms[jointIndex].matrix.copy(tmpTransform.matrix);
+	});
+	pose.updateTransforms();
+
+	// the skeleton lives in the space of the parent of its root joint
+	var rootParent = parents[jointNodes[order[0]]];
+	var parentEntity = rootParent !== undefined && context.entities[rootParent] ? context.entities[rootParent] : context.root;
+	var entity = this._world.createEntity(skin.name || 'Skin ' + skinIndex);
+	parentEntity.transformComponent.attachChild(entity.transformComponent);
+	entity.setComponent(new AnimationComponent(pose));
+
+	return {
+		pose: pose,
+		entity: entity,
+		jointIndices: jointIndices,
+		paletteMap: paletteMap
+	};
+};
+
+/**
+ * Creates the clips of an animation and adds them as states to the animation components of the animated entities.
+ * Skin joints are animated through the entity of their skin, other nodes through their own entity.
+ * @param {Object} context
+ * @param {Array<ArrayBuffer>} buffers
+ * @param {Object} animation
+ * @param {string} name
+ * @param {Array<Object>} skins
+ * @private
+ */
+GltfLoader.prototype._createAnimation = function (context, buffers, animation, name, skins) {
+	var gltf = context.gltf;
+
+	// samplers by node and path
+	var tracks = {};
+	animation.channels.forEach(function (channel) {
+		var target = channel.target;
+		if (target.node === undefined) {
+			return;
+		}
+		var sampler = animation.samplers[channel.sampler];
+		tracks[target.node] = tracks[target.node] || {};
+		tracks[target.node][target.path] = {
+			times: GltfUtils.getAccessorData(gltf, buffers, sampler.input, true),
+			values: GltfUtils.getAccessorData(gltf, buffers, sampler.output, true),
+			interpolation: sampler.interpolation || 'LINEAR'
+		};
+	});
+
+	var clips = new Map();
+	function getClip(entity) {
+		if (!clips.has(entity)) {
+			clips.set(entity, new AnimationClip(name));
+		}
+		return clips.get(entity);
+	}
+
+	Object.keys(tracks).forEach(function (key) {
+		var nodeIndex = +key;
+		var node = gltf.nodes[nodeIndex];
+		var track = tracks[key];
+		var nodeName = node.name || 'Node ' + nodeIndex;
+
+		if (track.translation || track.rotation || track.scale) {
+			var samples = sampleTransformTracks(track, node);
+			var skinIndex = context.jointSkins[nodeIndex];
+			if (skinIndex !== undefined) {
+				var skin = skins[skinIndex];
+				getClip(skin.entity).addChannel(new JointChannel(
+					skin.jointIndices[nodeIndex],
+					nodeName,
+					samples.times,
+					samples.rotations,
+					samples.translations,
+					samples.scales
+				));
+			} else if (context.entities[nodeIndex]) {
+				getClip(context.entities[nodeIndex]).addChannel(new TransformChannel(
+					nodeName,
+					samples.times,
+					samples.rotations,
+					samples.translations,
+					samples.scales
+				));
+			}
+		}
+
+		if (track.weights && context.meshEntities[nodeIndex]) {
+			context.meshEntities[nodeIndex].forEach(function (entity) {
+				var targetCount = entity.meshDataComponent.meshData.morphTargetNames.length;
+				if (targetCount > 0) {
+					var weights = sampleWeightsTrack(track.weights, targetCount, gltf.meshes[node.mesh].primitives[0].targets.length);
+					getClip(entity).addChannel(new MorphWeightsChannel(nodeName + ' weights', track.weights.times, weights, targetCount));
+				}
+			});
+		}
+	});
+
+	var loopCount = context.options.loopCount !== undefined ? context.options.loopCount : -1;
+	clips.forEach(function (clip, entity) {
+		if (!entity.animationComponent) {
+			entity.setComponent(new AnimationComponent());
+		}
+
+		var clipSource = new ClipSource(clip);
+		clipSource._clipInstance._loopCount = loopCount;
+
+		var state = new SteadyState(name);
+		state.id = name;
+		state.setClipSource(clipSource);
+		entity.animationComponent.layers[0].setState(name, state);
+	});
+};
+
+/**
+ * Resamples the translation, rotation and scale samplers of a node at their common key frame times,
+ * using the rest transform of the node for missing samplers
+ * @param {Object} track
+ * @param {Object} node
+ * @returns {{ times: Array<number>, translations: Float32Array, rotations: Float32Array, scales: Float32Array }}
+ * @private
+ */
+function sampleTransformTracks(track, node) {
+	var paths = ['translation', 'rotation', 'scale'];
+	var times = GltfUtils.mergeTimes(paths.filter(function (path) {
+		return track[path];
+	}).map(function (path) {
+		return track[path].times;
+	}));
+
+	setNodeTransform(tmpTransform, node);
+	tmpQuat.fromRotationMatrix(tmpTransform.rotation);
+	var rest = {
+		translation: [tmpTransform.translation.x, tmpTransform.translation.y, tmpTransform.translation.z],
+		rotation: [tmpQuat.x, tmpQuat.y, tmpQuat.z, tmpQuat.w],
+		scale: [tmpTransform.scale.x, tmpTransform.scale.y, tmpTransform.scale.z]
+	};
+
+	var result = {
+		times: times,
+		translation: new Float32Array(times.length * 3),
+		rotation: new Float32Array(times.length * 4),
+		scale: new Float32Array(times.length * 3)
+	};
+
+	paths.forEach(function (path) {
+		var itemSize = path === 'rotation' ? 4 : 3;
+		var sampler = track[path];
+		for (var i = 0; i < times.length; i++) {
+			if (sampler) {
+				GltfUtils.sample(sampler.times, sampler.values, itemSize, sampler.interpolation, times[i], result[path], i * itemSize, path === 'rotation');
+			} else {
+				result[path].set(rest[path], i * itemSize);
+			}
+		}
+	});
+
+	return {
+		times: times,
+		translations: result.translation,
+		rotations: result.rotation,
+		scales: result.scale
+	};
+}
+
+/**
+ * Extracts the weights of the first targetCount morph targets from a weights sampler
+ * @param {Object} sampler
+ * @param {number} targetCount Number of morph targets on the mesh data
+ * @param {number} samplerTargetCount Number of morph targets in the sampler
+ * @returns {Float32Array}
+ * @private
+ */
+function sampleWeightsTrack(sampler, targetCount, samplerTargetCount) {
+	var times = sampler.times;
+	var weights = new Float32Array(times.length * targetCount);
+	var store = new Float32Array(samplerTargetCount);
+	for (var i = 0; i < times.length; i++) {
+		GltfUtils.sample(times, sampler.values, samplerTargetCount, sampler.interpolation, times[i], store);
+		weights.set(store.subarray(0, targetCount), i * targetCount);
+	}
+	return weights;
+}
+
+module.exports = GltfLoader;
@@ -0,0 +1,266 @@
+var Quaternion = require('../../math/Quaternion');
+
+/**
+ * Helpers for reading glTF 2.0 files: binary containers, buffers, accessors and animation samplers.
+ * @private
+ */
+var GltfUtils = {};
+
+var GLB_MAGIC = 0x46546C67; // 'glTF'
+var GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+var GLB_CHUNK_BIN = 0x004E4942; // 'BIN'
+
+GltfUtils.COMPONENT_TYPES = {
+	5120: Int8Array,
+	5121: Uint8Array,
+	5122: Int16Array,
+	5123: Uint16Array,
+	5125: Uint32Array,
+	5126: Float32Array
+};
+
+GltfUtils.TYPE_SIZES = {
+	SCALAR: 1,
+	VEC2: 2,
+	VEC3: 3,
+	VEC4: 4,
+	MAT2: 4,
+	MAT3: 9,
+	MAT4: 16
+};
+
+// Divisors used to map normalized integer components to floats
+var NORMALIZED_DIVISORS = {
+	5120: 127,
+	5121: 255,
+	5122: 32767,
+	5123: 65535
+};
+
+/**
+ * Decodes an utf-8 encoded byte array
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+GltfUtils.decodeText = function (bytes) {
+	if (typeof TextDecoder !== 'undefined') {
+		return new TextDecoder('utf-8').decode(bytes);
+	}
+
+	var text = '';
+	for (var i = 0; i < bytes.length; i++) {
+		text += String.fromCharCode(bytes[i]);
+	}
+	return decodeURIComponent(escape(text));
+};
+
+/**
+ * Checks if an ArrayBuffer holds a binary glTF (.glb) file
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {boolean}
+ */
+GltfUtils.isGlb = function (arrayBuffer) {
+	return arrayBuffer.byteLength >= 12 && new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC;
+};
+
+/**
+ * Splits a binary glTF (.glb) file into its JSON document and binary chunk
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {{ json: Object, binary: ArrayBuffer }}
+ */
+GltfUtils.parseGlb = function (arrayBuffer) {
+	var view = new DataView(arrayBuffer);
+	if (!GltfUtils.isGlb(arrayBuffer)) {
+		throw new Error('Not a binary glTF file');
+	}
+	var version = view.getUint32(4, true);
+	if (version !== 2) {
+		throw new Error('Unsupported binary glTF version: ' + version);
+	}
+
+	var length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+	var result = { json: null, binary: null };
+	var offset = 12;
+	while (offset + 8 <= length) {
+		var chunkLength = view.getUint32(offset, true);
+		var chunkType = view.getUint32(offset + 4, true);
+		offset += 8;
+		if (chunkType === GLB_CHUNK_JSON) {
+			result.json = JSON.parse(GltfUtils.decodeText(new Uint8Array(arrayBuffer, offset, chunkLength)));
+		} else if (chunkType === GLB_CHUNK_BIN) {
+			result.binary = arrayBuffer.slice(offset, offset + chunkLength);
+		}
+		offset += chunkLength;
+	}
+
+	if (!result.json) {
+		throw new Error('Binary glTF file has no JSON chunk');
+	}
+	return result;
+};
+
+/**
+ * Checks if an uri is a data uri
+ * @param {string} uri
+ * @returns {boolean}
+ */
+GltfUtils.isDataUri = function (uri) {
+	return /^data:/.test(uri);
+};
+
+/**
+ * Decodes a base64 data uri into an ArrayBuffer
+ * @param {string} uri
+ * @returns {ArrayBuffer}
+ */
+GltfUtils.decodeDataUri = function (uri) {
+	var base64 = uri.substr(uri.indexOf(',') + 1);
+	var text = atob(base64);
+	var bytes = new Uint8Array(text.length);
+	for (var i = 0; i < text.length; i++) {
+		bytes[i] = text.charCodeAt(i);
+	}
+	return bytes.buffer;
+};
+
+/**
+ * Reads the data of an accessor into a typed array. Strided buffer views and sparse accessors are unpacked.
+ * @param {Object} gltf The glTF document
+ * @param {Array<ArrayBuffer>} buffers The loaded buffers of the document
+ * @param {number} index Index of the accessor
+ * @param {boolean} [asFloat=false] Convert the data to a Float32Array, mapping normalized integers to [0, 1] or [-1, 1]
+ * @returns {TypedArray}
+ */
+GltfUtils.getAccessorData = function (gltf, buffers, index, asFloat) {
+	var accessor = gltf.accessors[index];
+	var ArrayType = GltfUtils.COMPONENT_TYPES[accessor.componentType];
+	var itemSize = GltfUtils.TYPE_SIZES[accessor.type];
+	if (!ArrayType || !itemSize) {
+		throw new Error('Unsupported accessor ' + index + ': ' + accessor.componentType + ' ' + accessor.type);
+	}
+	var length = accessor.count * itemSize;
+
+	var data;
+	if (accessor.bufferView === undefined) {
+		data = new ArrayType(length);
+	} else {
+		var bufferView = gltf.bufferViews[accessor.bufferView];
+		var buffer = buffers[bufferView.buffer];
+		var byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+		var elementSize = ArrayType.BYTES_PER_ELEMENT * itemSize;
+		var stride = bufferView.byteStride || elementSize;
+
+		if (stride === elementSize) {
+			data = new ArrayType(buffer.slice(byteOffset, byteOffset + length * ArrayType.BYTES_PER_ELEMENT));
+		} else {
+			data = new ArrayType(length);
+			for (var i = 0; i < accessor.count; i++) {
+				data.set(new ArrayType(buffer, byteOffset + i * stride, itemSize), i * itemSize);
+			}
+		}
+	}
+
+	if (accessor.sparse) {
+		var sparse = accessor.sparse;
+		var indices = readView(gltf, buffers, sparse.indices, GltfUtils.COMPONENT_TYPES[sparse.indices.componentType], sparse.count);
+		var values = readView(gltf, buffers, sparse.values, ArrayType, sparse.count * itemSize);
+		for (var i = 0; i < sparse.count; i++) {
+			for (var j = 0; j < itemSize; j++) {
+				data[indices[i] * itemSize + j] = values[i * itemSize + j];
+			}
+		}
+	}
+
+	if (asFloat && !(data instanceof Float32Array)) {
+		var divisor = accessor.normalized ? NORMALIZED_DIVISORS[accessor.componentType] : 1;
+		var floats = new Float32Array(length);
+		for (var i = 0; i < length; i++) {
+			floats[i] = Math.max(data[i] / divisor, -1);
+		}
+		data = floats;
+	}
+
+	return data;
+};
+
+function readView(gltf, buffers, info, ArrayType, length) {
+	var bufferView = gltf.bufferViews[info.bufferView];
+	var byteOffset = (bufferView.byteOffset || 0) + (info.byteOffset || 0);
+	return new ArrayType(buffers[bufferView.buffer].slice(byteOffset, byteOffset + length * ArrayType.BYTES_PER_ELEMENT));
+}
+
+var tmpQuat1 = new Quaternion();
+var tmpQuat2 = new Quaternion();
+var tmpQuat3 = new Quaternion();
+
+/**
+ * Samples an animation sampler at a given time.
+ * CUBICSPLINE samplers are sampled linearly between their key frame values, ignoring the tangents.
+ * @param {Array<number>} times Key frame times of the sampler
+ * @param {Array<number>} values Output values of the sampler
+ * @param {number} itemSize Number of components per value
+ * @param {string} interpolation 'LINEAR', 'STEP' or 'CUBICSPLINE'
+ * @param {number} time
+ * @param {Array<number>} store Where to put the sampled value
+ * @param {number} [storeOffset=0]
+ * @param {boolean} [isRotation=false] Interpolate as quaternions
+ */
+GltfUtils.sample = function (times, values, itemSize, interpolation, time, store, storeOffset, isRotation) {
+	storeOffset = storeOffset || 0;
+
+	// cubic spline samplers store an in-tangent, a value and an out-tangent per key frame
+	var valueStride = interpolation === 'CUBICSPLINE' ? itemSize * 3 : itemSize;
+	var valueOffset = interpolation === 'CUBICSPLINE' ? itemSize : 0;
+
+	var last = times.length - 1;
+	var index = 0;
+	while (index < last && times[index + 1] <= time) {
+		index++;
+	}
+
+	var fraction = 0;
+	if (index < last && interpolation !== 'STEP' && time > times[index]) {
+		fraction = (time - times[index]) / (times[index + 1] - times[index]);
+	}
+
+	var a = index * valueStride + valueOffset;
+	var b = Math.min(index + 1, last) * valueStride + valueOffset;
+	if (isRotation && fraction > 0) {
+		tmpQuat1.setDirect(values[a], values[a + 1], values[a + 2], values[a + 3]);
+		tmpQuat2.setDirect(values[b], values[b + 1], values[b + 2], values[b + 3]);
+		Quaternion.slerp(tmpQuat1, tmpQuat2, fraction, tmpQuat3);
+		store[storeOffset] = tmpQuat3.x;
+		store[storeOffset + 1] = tmpQuat3.y;
+		store[storeOffset + 2] = tmpQuat3.z;
+		store[storeOffset + 3] = tmpQuat3.w;
+	} else {
+		for (var i = 0; i < itemSize; i++) {
+			store[storeOffset + i] = values[a + i] + (values[b + i] - values[a + i]) * fraction;
+		}
+	}
+};
+
+/**
+ * Merges sorted arrays of key frame times into one sorted array without duplicates
+ * @param {Array<Array<number>>} timeArrays
+ * @returns {Array<number>}
+ */
+GltfUtils.mergeTimes = function (timeArrays) {
+	var times = [];
+	for (var i = 0; i < timeArrays.length; i++) {
+		for (var j = 0; j < timeArrays[i].length; j++) {
+			times.push(timeArrays[i][j]);
+		}
+	}
+	times.sort(function (a, b) { return a - b; });
+
+	var merged = [];
+	for (var i = 0; i < times.length; i++) {
+		if (merged.length === 0 || times[i] - merged[merged.length - 1] > 1e-6) {
+			merged.push(times[i]);
+		}
+	}
+	return merged;
+};
+
+module.exports = GltfUtils;
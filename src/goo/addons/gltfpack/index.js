@@ -0,0 +1,10 @@
+module.exports = {
+	GltfLoader: require('./GltfLoader'),
+	GltfUtils: require('./GltfUtils')
+};
+
+if (typeof(window) !== 'undefined') {
+	for (var key in module.exports) {
+		window.goo[key] = module.exports[key];
+	}
+}
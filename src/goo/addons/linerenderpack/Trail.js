@@ -0,0 +1,128 @@
+var Vector3 = require('../../math/Vector3');
+
+/**
+ * The recent path of a moving point, stored as a list of points with the time they were recorded. Rendered by a {@link TrailRenderer}.
+ * @param {number} [maxPoints=64] Number of points to keep. When full, the oldest point is dropped.
+ */
+function Trail(maxPoints) {
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.maxPoints = maxPoints !== undefined ? maxPoints : 64;
+
+	/**
+	 * Number of points in the trail.
+	 * @type {number}
+	 * @readonly
+	 */
+	this.count = 0;
+
+	// Ring buffers, _first is the index of the oldest point
+	this._positions = new Float32Array(this.maxPoints * 3);
+	this._times = new Float32Array(this.maxPoints);
+	this._distances = new Float32Array(this.maxPoints);
+	this._first = 0;
+}
+
+var tmpVec = new Vector3();
+
+/**
+ * @private
+ * @param {number} index Index of the point, from the oldest.
+ * @returns {number} Index in the ring buffers.
+ */
+Trail.prototype._ringIndex = function (index) {
+	return (this._first + index) % this.maxPoints;
+};
+
+/**
+ * Moves the head of the trail to a new position. A new point is only added if the head has moved far enough from the point before it, otherwise the head point is moved.
+ * @param {Vector3} position
+ * @param {number} time
+ * @param {number} [minDistance=0]
+ */
+Trail.prototype.update = function (position, time, minDistance) {
+	minDistance = minDistance || 0;
+	if (this.count < 2 || this.getPoint(this.count - 2, tmpVec).distanceSquared(position) >= minDistance * minDistance) {
+		this.addPoint(position, time);
+		return;
+	}
+
+	// Replace the head point
+	this.count--;
+	this.addPoint(position, time);
+};
+
+/**
+ * Adds a point at the head of the trail.
+ * @param {Vector3} position
+ * @param {number} time
+ */
+Trail.prototype.addPoint = function (position, time) {
+	var distance = 0;
+	if (this.count > 0) {
+		var head = this._ringIndex(this.count - 1);
+		distance = this._distances[head] + this.getPoint(this.count - 1, tmpVec).distance(position);
+	}
+
+	if (this.count === this.maxPoints) {
+		this._first = this._ringIndex(1);
+		this.count--;
+	}
+
+	var index = this._ringIndex(this.count);
+	this._positions[index * 3 + 0] = position.x;
+	this._positions[index * 3 + 1] = position.y;
+	this._positions[index * 3 + 2] = position.z;
+	this._times[index] = time;
+	this._distances[index] = distance;
+	this.count++;
+};
+
+/**
+ * Drops the points that were recorded before a given time. The head point is kept until it is too old too.
+ * @param {number} time
+ */
+Trail.prototype.removeOlderThan = function (time) {
+	while (this.count > 0 && this._times[this._first] < time) {
+		this._first = this._ringIndex(1);
+		this.count--;
+	}
+};
+
+/**
+ * Removes all points.
+ */
+Trail.prototype.clear = function () {
+	this.count = 0;
+	this._first = 0;
+};
+
+/**
+ * @param {number} index Index of the point, where 0 is the oldest.
+ * @param {Vector3} store
+ * @returns {Vector3} The store
+ */
+Trail.prototype.getPoint = function (index, store) {
+	var i = this._ringIndex(index) * 3;
+	return store.setDirect(this._positions[i], this._positions[i + 1], this._positions[i + 2]);
+};
+
+/**
+ * @param {number} index Index of the point, where 0 is the oldest.
+ * @returns {number} The time the point was recorded.
+ */
+Trail.prototype.getTime = function (index) {
+	return this._times[this._ringIndex(index)];
+};
+
+/**
+ * @param {number} index Index of the point, where 0 is the oldest.
+ * @returns {number} Distance along the trail from the first point ever recorded since the last clear.
+ */
+Trail.prototype.getDistance = function (index) {
+	return this._distances[this._ringIndex(index)];
+};
+
+module.exports = Trail;
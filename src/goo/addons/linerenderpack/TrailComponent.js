@@ -0,0 +1,173 @@
+var Component = require('../../entities/components/Component');
+var Trail = require('../../addons/linerenderpack/Trail');
+var TrailRenderer = require('../../addons/linerenderpack/TrailRenderer');
+var Vector3 = require('../../math/Vector3');
+
+/**
+ * Leaves a ribbon behind its entity as it moves, for sword swipes, tracer rounds and motion trails. Needs a {@link TrailSystem} in the world.
+ * @extends Component
+ * @param {Object} [options] Also takes the settings of the {@link TrailRenderer}, for the look of the ribbon.
+ * @param {number} [options.maxPoints=64]
+ * @param {number} [options.minVertexDistance=0.1]
+ * @param {Vector3} [options.offset] Default is (0, 0, 0)
+ * @param {boolean} [options.emitting=true]
+ * @example
+ * var trail = new TrailComponent({
+ *     lifeTime: 0.5,
+ *     width: 0.2,
+ *     offset: new Vector3(0, 1, 0) // the tip of the sword
+ * });
+ * sword.set(trail);
+ */
+function TrailComponent(options) {
+	options = options || {};
+	Component.apply(this, arguments);
+	this.type = 'TrailComponent';
+
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.maxPoints = options.maxPoints !== undefined ? options.maxPoints : 64;
+
+	/**
+	 * How far the entity has to move before a new point is added to the trail. Until then, the newest point follows the entity.
+	 * @type {number}
+	 */
+	this.minVertexDistance = options.minVertexDistance !== undefined ? options.minVertexDistance : 0.1;
+
+	/**
+	 * Where the trail starts, local to the entity.
+	 * @type {Vector3}
+	 */
+	this.offset = options.offset ? options.offset.clone() : new Vector3();
+
+	/**
+	 * Whether new points are added. When set to false, the trail stays behind and fades out.
+	 * @type {boolean}
+	 */
+	this.emitting = options.emitting !== undefined ? options.emitting : true;
+
+	/**
+	 * Builds the ribbon. Change its settings to change the look of the trail.
+	 * @type {TrailRenderer}
+	 * @readonly
+	 */
+	this.trailRenderer = new TrailRenderer(1, this.maxPoints, options);
+
+	/**
+	 * @type {Trail}
+	 * @readonly
+	 */
+	this.trail = new Trail(this.maxPoints);
+
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.time = 0;
+
+	/**
+	 * @type {(Entity|null)}
+	 * @readonly
+	 */
+	this.entity = null;
+
+	/**
+	 * The entity that renders the ribbon.
+	 * @type {(Entity|null)}
+	 * @readonly
+	 */
+	this.meshEntity = null;
+
+	this._trails = [this.trail];
+}
+
+TrailComponent.prototype = Object.create(Component.prototype);
+TrailComponent.prototype.constructor = TrailComponent;
+
+TrailComponent.type = 'TrailComponent';
+
+var tmpPosition = new Vector3();
+
+/**
+ * Removes all points of the trail, for example after teleporting the entity.
+ */
+TrailComponent.prototype.clear = function () {
+	this.trail.clear();
+	this.trailRenderer.update(this._trails, this.time);
+};
+
+/**
+ * @private
+ * @param {number} tpf
+ */
+TrailComponent.prototype.process = function (tpf) {
+	this.time += tpf;
+	var time = this.time;
+	var trail = this.trail;
+
+	if (this.emitting) {
+		tmpPosition.copy(this.offset).applyPostPoint(this.entity.transformComponent.sync().worldTransform.matrix);
+		trail.update(tmpPosition, time, this.minVertexDistance);
+	}
+	trail.removeOlderThan(time - this.trailRenderer.lifeTime);
+
+	this.meshEntity.meshRendererComponent.hidden = this.entity.isVisiblyHidden();
+	this.trailRenderer.update(this._trails, time);
+};
+
+/**
+ * @private
+ * @param entity
+ */
+TrailComponent.prototype.attached = function (entity) {
+	this.entity = entity;
+	this.meshEntity = this.trailRenderer.createEntity(entity._world, 'TrailComponentMesh');
+};
+
+/**
+ * @private
+ */
+TrailComponent.prototype.detached = function () {
+	this.meshEntity.clearComponent('MeshDataComponent');
+	this.meshEntity.removeFromWorld();
+	this.trail.clear();
+	this.entity = this.meshEntity = null;
+};
+
+/**
+ * @returns {TrailComponent}
+ */
+TrailComponent.prototype.clone = function () {
+	var trailRenderer = this.trailRenderer;
+	return new TrailComponent({
+		maxPoints: this.maxPoints,
+		minVertexDistance: this.minVertexDistance,
+		offset: this.offset,
+		emitting: this.emitting,
+		lifeTime: trailRenderer.lifeTime,
+		width: trailRenderer.width,
+		widthCurve: trailRenderer.widthCurve,
+		color: trailRenderer.color,
+		colorCurve: trailRenderer.colorCurve,
+		uvMode: trailRenderer.uvMode,
+		tileLength: trailRenderer.tileLength,
+		texture: trailRenderer.texture,
+		blending: trailRenderer.blending,
+		renderQueue: trailRenderer.renderQueue
+	});
+};
+
+/**
+ * @private
+ * @param obj
+ * @param entity
+ */
+TrailComponent.applyOnEntity = function (obj, entity) {
+	if (obj instanceof TrailComponent) {
+		entity.setComponent(obj);
+	}
+};
+
+module.exports = TrailComponent;
@@ -0,0 +1,348 @@
+var Material = require('../../renderer/Material');
+var MeshData = require('../../renderer/MeshData');
+var MeshRendererComponent = require('../../entities/components/MeshRendererComponent');
+var Shader = require('../../renderer/Shader');
+var Trail = require('./Trail');
+var Vector3 = require('../../math/Vector3');
+var Vector4 = require('../../math/Vector4');
+
+/**
+ * Builds ribbons along {@link Trail}s. The ribbons are triangle strips that turn to face the camera in the vertex shader, so they look flat from any angle.
+ * Used by the {@link TrailComponent}, and by the ParticleSystemComponent for particle trails.
+ * @param {number} maxTrails Number of trails that can be rendered.
+ * @param {number} maxPoints Maximum number of points in each trail.
+ * @param {Object} [settings]
+ * @param {number} [settings.lifeTime=1] How long the trail points live, in seconds. The curves go from 0 at the head to 1 when a point is this old.
+ * @param {number} [settings.width=1]
+ * @param {Curve} [settings.widthCurve] Scales the width along the trail. Anything with a getValueAt(t) method works, for example the curves of the particlepack.
+ * @param {Vector4} [settings.color] Default is (1, 1, 1, 1)
+ * @param {Vector4Curve} [settings.colorCurve] Scales the color along the trail. Needs a getVec4ValueAt(t, lerpValue, store) method.
+ * @param {(number|string)} [settings.uvMode=TrailRenderer.UV_STRETCH] One of the UV constants, or its name: 'stretch' or 'tile'.
+ * @param {number} [settings.tileLength=1] World length of one repeat of the texture, if the uvMode is UV_TILE.
+ * @param {Texture} [settings.texture]
+ * @param {string} [settings.blending='AdditiveBlending']
+ * @param {number} [settings.renderQueue=3010]
+ */
+function TrailRenderer(maxTrails, maxPoints, settings) {
+	settings = settings || {};
+
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.maxTrails = maxTrails;
+
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.maxPoints = maxPoints;
+
+	/**
+	 * @type {number}
+	 */
+	this.lifeTime = settings.lifeTime !== undefined ? settings.lifeTime : 1;
+
+	/**
+	 * @type {number}
+	 */
+	this.width = settings.width !== undefined ? settings.width : 1;
+
+	/**
+	 * @type {(Curve|null)}
+	 */
+	this.widthCurve = settings.widthCurve || null;
+
+	/**
+	 * @type {Vector4}
+	 */
+	this.color = settings.color ? settings.color.clone() : new Vector4(1, 1, 1, 1);
+
+	/**
+	 * @type {(Vector4Curve|null)}
+	 */
+	this.colorCurve = settings.colorCurve || null;
+
+	/**
+	 * How the texture is laid out along the trail, one of the UV constants on TrailRenderer.
+	 * @type {number}
+	 */
+	this.uvMode = settings.uvMode !== undefined ? settings.uvMode : TrailRenderer.UV_STRETCH;
+	if (typeof this.uvMode === 'string') {
+		this.uvMode = TrailRenderer.UV_MODES[this.uvMode];
+	}
+
+	/**
+	 * @type {number}
+	 */
+	this.tileLength = settings.tileLength !== undefined ? settings.tileLength : 1;
+
+	/**
+	 * @type {Material}
+	 * @readonly
+	 */
+	this.material = new Material(TrailRenderer.TRAIL_SHADER, 'TrailRendererMaterial');
+	this.material.cullState.enabled = false;
+	this.material.depthState.write = false;
+	this.material.blendState.blending = settings.blending || 'AdditiveBlending';
+	this.material.renderQueue = settings.renderQueue !== undefined ? settings.renderQueue : 3010;
+	this.texture = settings.texture || null;
+
+	var vertexCount = maxTrails * maxPoints * 2;
+	var indexCount = maxTrails * Math.max(maxPoints - 1, 0) * 6;
+
+	/**
+	 * @type {MeshData}
+	 * @readonly
+	 */
+	this.meshData = new MeshData(TrailRenderer.ATTRIBUTE_MAP, vertexCount, indexCount);
+	this.meshData.vertexData.setDataUsage('DynamicDraw');
+	this.meshData.indexLengths = [0];
+}
+
+/**
+ * The texture is stretched over the whole trail.
+ * @type {number}
+ * @readonly
+ */
+TrailRenderer.UV_STRETCH = 1;
+
+/**
+ * The texture repeats every tileLength units along the trail, and stays in place as the trail moves.
+ * @type {number}
+ * @readonly
+ */
+TrailRenderer.UV_TILE = 2;
+
+/**
+ * The UV constants by name, as used in configs.
+ * @type {Object}
+ * @readonly
+ */
+TrailRenderer.UV_MODES = {
+	stretch: TrailRenderer.UV_STRETCH,
+	tile: TrailRenderer.UV_TILE
+};
+
+TrailRenderer.ATTRIBUTE_MAP = {
+	POSITION: MeshData.createAttribute(3, 'Float'),
+	TRAIL_INFO: MeshData.createAttribute(4, 'Float'),
+	TEXCOORD0: MeshData.createAttribute(2, 'Float'),
+	COLOR: MeshData.createAttribute(4, 'Float')
+};
+
+TrailRenderer.TRAIL_SHADER = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		trailInfo: 'TRAIL_INFO',
+		vertexUV0: MeshData.TEXCOORD0,
+		vertexColor: MeshData.COLOR
+	},
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		cameraPosition: Shader.CAMERA,
+		trailTexture: 'TRAIL_TEXTURE'
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+		'attribute vec4 trailInfo;',
+		'attribute vec2 vertexUV0;',
+		'attribute vec4 vertexColor;',
+
+		'uniform mat4 viewProjectionMatrix;',
+		'uniform vec3 cameraPosition;',
+
+		'varying vec2 coords;',
+		'varying vec4 color;',
+
+		'void main(void) {',
+		// Spread the ribbon sideways, across both the trail and the view direction
+		'    vec3 side = cross(trailInfo.xyz, cameraPosition - vertexPosition);',
+		'    float sideLength = length(side);',
+		'    side = sideLength > 0.0 ? side / sideLength : vec3(0.0);',
+		'    gl_Position = viewProjectionMatrix * vec4(vertexPosition + side * trailInfo.w, 1.0);',
+		'    coords = vertexUV0;',
+		'    color = vertexColor;',
+		'}'
+	].join('\n'),
+	fshader: [
+		'uniform sampler2D trailTexture;',
+
+		'varying vec2 coords;',
+		'varying vec4 color;',
+
+		'void main(void) {',
+		'#ifdef TRAIL_TEXTURE',
+		'    gl_FragColor = color * texture2D(trailTexture, coords);',
+		'#else',
+		'    gl_FragColor = color;',
+		'#endif',
+		'}'
+	].join('\n')
+};
+
+Object.defineProperties(TrailRenderer.prototype, {
+
+	/**
+	 * @type {(Texture|null)}
+	 */
+	texture: {
+		get: function () {
+			return this.material.getTexture('TRAIL_TEXTURE') || null;
+		},
+		set: function (value) {
+			if (value) {
+				this.material.setTexture('TRAIL_TEXTURE', value);
+				this.material.shader.setDefine('TRAIL_TEXTURE', true);
+			} else {
+				this.material.removeTexture('TRAIL_TEXTURE');
+				this.material.shader.removeDefine('TRAIL_TEXTURE');
+			}
+		}
+	},
+
+	/**
+	 * @type {string}
+	 */
+	blending: {
+		get: function () {
+			return this.material.blendState.blending;
+		},
+		set: function (value) {
+			this.material.blendState.blending = value;
+		}
+	},
+
+	/**
+	 * @type {number}
+	 */
+	renderQueue: {
+		get: function () {
+			return this.material.renderQueue;
+		},
+		set: function (value) {
+			this.material.renderQueue = value;
+		}
+	}
+});
+
+/**
+ * Creates an entity that renders the ribbons. The vertices are in world space, so the entity should stay at the origin.
+ * @param {World} world
+ * @param {string} [name]
+ * @returns {Entity}
+ */
+TrailRenderer.prototype.createEntity = function (world, name) {
+	var meshRendererComponent = new MeshRendererComponent(this.material);
+	meshRendererComponent.castShadows = meshRendererComponent.receiveShadows = meshRendererComponent.isPickable = meshRendererComponent.isReflectable = false;
+	// The bounds of the mesh data are not kept up to date
+	meshRendererComponent.cullMode = 'Never';
+
+	return world.createEntity(this.meshData, name || 'TrailRendererMesh')
+		.set(meshRendererComponent)
+		.addToWorld();
+};
+
+/**
+ * Creates a trail that fits in the ribbons of this renderer.
+ * @returns {Trail}
+ */
+TrailRenderer.prototype.createTrail = function () {
+	return new Trail(this.maxPoints);
+};
+
+var tmpPoint = new Vector3();
+var tmpPrevious = new Vector3();
+var tmpNext = new Vector3();
+var tmpTangent = new Vector3();
+var tmpColor = new Vector4();
+
+/**
+ * Rebuilds the ribbons from the trails.
+ * @param {Array<Trail>} trails At most maxTrails trails, each with at most maxPoints points.
+ * @param {number} time The current time, in the same clock as the times of the trail points.
+ */
+TrailRenderer.prototype.update = function (trails, time) {
+	var meshData = this.meshData;
+	var positions = meshData.getAttributeBuffer(MeshData.POSITION);
+	var trailInfo = meshData.getAttributeBuffer('TRAIL_INFO');
+	var uvs = meshData.getAttributeBuffer(MeshData.TEXCOORD0);
+	var colors = meshData.getAttributeBuffer(MeshData.COLOR);
+	var indices = meshData.getIndexBuffer();
+	var maxPoints = this.maxPoints;
+	var indexCount = 0;
+
+	var trailCount = Math.min(trails.length, this.maxTrails);
+	for (var t = 0; t < trailCount; t++) {
+		var trail = trails[t];
+		var count = Math.min(trail.count, maxPoints);
+		if (count < 2) {
+			continue;
+		}
+
+		var headDistance = trail.getDistance(count - 1);
+		var length = headDistance - trail.getDistance(0);
+		var vertexOffset = t * maxPoints * 2;
+
+		for (var i = 0; i < count; i++) {
+			trail.getPoint(i, tmpPoint);
+			trail.getPoint(Math.max(i - 1, 0), tmpPrevious);
+			trail.getPoint(Math.min(i + 1, count - 1), tmpNext);
+			tmpTangent.copy(tmpNext).sub(tmpPrevious);
+
+			var unitAge = Math.min(Math.max((time - trail.getTime(i)) / this.lifeTime, 0), 1);
+			var halfWidth = 0.5 * this.width * (this.widthCurve ? this.widthCurve.getValueAt(unitAge, 0) : 1);
+			tmpColor.copy(this.color);
+			if (this.colorCurve) {
+				this.colorCurve.getVec4ValueAt(unitAge, 0, tmpColor);
+				tmpColor.mul(this.color);
+			}
+
+			var u;
+			if (this.uvMode === TrailRenderer.UV_TILE) {
+				u = trail.getDistance(i) / this.tileLength;
+			} else {
+				u = length > 0 ? (headDistance - trail.getDistance(i)) / length : 0;
+			}
+
+			for (var side = 0; side < 2; side++) {
+				var vertex = vertexOffset + i * 2 + side;
+				positions[vertex * 3 + 0] = tmpPoint.x;
+				positions[vertex * 3 + 1] = tmpPoint.y;
+				positions[vertex * 3 + 2] = tmpPoint.z;
+
+				trailInfo[vertex * 4 + 0] = tmpTangent.x;
+				trailInfo[vertex * 4 + 1] = tmpTangent.y;
+				trailInfo[vertex * 4 + 2] = tmpTangent.z;
+				trailInfo[vertex * 4 + 3] = side === 0 ? halfWidth : -halfWidth;
+
+				uvs[vertex * 2 + 0] = u;
+				uvs[vertex * 2 + 1] = side;
+
+				colors[vertex * 4 + 0] = tmpColor.x;
+				colors[vertex * 4 + 1] = tmpColor.y;
+				colors[vertex * 4 + 2] = tmpColor.z;
+				colors[vertex * 4 + 3] = tmpColor.w;
+			}
+
+			if (i > 0) {
+				var a = vertexOffset + (i - 1) * 2;
+				indices[indexCount++] = a;
+				indices[indexCount++] = a + 1;
+				indices[indexCount++] = a + 2;
+				indices[indexCount++] = a + 1;
+				indices[indexCount++] = a + 3;
+				indices[indexCount++] = a + 2;
+			}
+		}
+	}
+
+	meshData.indexLengths[0] = indexCount;
+	meshData.setAttributeDataUpdated(MeshData.POSITION);
+	meshData.setAttributeDataUpdated('TRAIL_INFO');
+	meshData.setAttributeDataUpdated(MeshData.TEXCOORD0);
+	meshData.setAttributeDataUpdated(MeshData.COLOR);
+	meshData.getIndexData().setDataNeedsRefresh();
+};
+
+module.exports = TrailRenderer;
@@ -0,0 +1,36 @@
+var System = require('../../entities/systems/System');
+var TrailRenderer = require('./TrailRenderer');
+
+/**
+ * Updates the trails of all TrailComponents. Also builds the trail renderers of other packs, like the particle trails of the ParticleSystemComponent, so they don't need their own copy of the linerenderpack.
+ * @extends System
+ */
+function TrailSystem() {
+	System.call(this, 'TrailSystem', ['TrailComponent', 'TransformComponent']);
+}
+TrailSystem.prototype = Object.create(System.prototype);
+TrailSystem.prototype.constructor = TrailSystem;
+
+/**
+ * Creates a renderer for trails that are updated by someone else.
+ * @param {number} maxTrails
+ * @param {number} maxPoints
+ * @param {Object} [settings] See {@link TrailRenderer}.
+ * @returns {TrailRenderer}
+ */
+TrailSystem.prototype.createTrailRenderer = function (maxTrails, maxPoints, settings) {
+	return new TrailRenderer(maxTrails, maxPoints, settings);
+};
+
+/**
+ * @private
+ * @param {array} entities
+ * @param {number} tpf
+ */
+TrailSystem.prototype.process = function (entities, tpf) {
+	for (var i = 0; i < entities.length; i++) {
+		entities[i].trailComponent.process(tpf);
+	}
+};
+
+module.exports = TrailSystem;
@@ -1,6 +1,10 @@
 module.exports = {
 	LineRenderer: require('./LineRenderer'),
-	LineRenderSystem: require('./LineRenderSystem')
+	LineRenderSystem: require('./LineRenderSystem'),
+	Trail: require('./Trail'),
+	TrailComponent: require('./TrailComponent'),
+	TrailRenderer: require('./TrailRenderer'),
+	TrailSystem: require('./TrailSystem')
 };
 
 if (typeof(window) !== 'undefined') {
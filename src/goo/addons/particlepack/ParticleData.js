@@ -85,14 +85,25 @@ ParticleData.prototype.getWorldPosition = function (store) {
 	}
 
 	var component = this.component;
-
-	// pos + dir * t + 0.5 * t * t * g
 	var age = component.time - this.emitTime;
 
 	if (component.loop) {
 		age %= this.loopAfter;
 	}
 
+	return this.getPositionAt(age, store);
+};
+
+/**
+ * Get the world position of the particle at a given age, ignoring whether it is active.
+ * @param {number} age Time since the particle was emitted.
+ * @param {Vector3} store
+ * @returns {Vector3} The store
+ */
+ParticleData.prototype.getPositionAt = function (age, store) {
+	var component = this.component;
+
+	// pos + dir * t + 0.5 * t * t * g
 	dirDelta.copy(this.startDirection).scale(age);
 	gravityDelta.copy(component.localSpace ? component._localGravity : component.gravity).scale(age * age * 0.5);
 	store.copy(this.startPosition).add(dirDelta).add(gravityDelta);
@@ -122,4 +133,37 @@ ParticleData.prototype.getWorldPosition = function (store) {
 	return store;
 };
 
+/**
+ * Get the world velocity of the particle at a given age, the derivative of getPositionAt.
+ * @param {number} age Time since the particle was emitted.
+ * @param {Vector3} store
+ * @returns {Vector3} The store
+ */
+ParticleData.prototype.getVelocityAt = function (age, store) {
+	var component = this.component;
+
+	// dir + t * g
+	gravityDelta.copy(component.localSpace ? component._localGravity : component.gravity).scale(age);
+	store.copy(this.startDirection).add(gravityDelta);
+
+	// The curves are integrated over unit age
+	if (component.localVelocityOverLifetime) {
+		component.localVelocityOverLifetime.getVec3ValueAt(age / this.loopAfter, this.emitRandom, localVelocityDelta);
+		localVelocityDelta.applyPost(component._localToWorldRotation).scale(1 / this.loopAfter);
+		store.add(localVelocityDelta);
+	}
+
+	if (component.worldVelocityOverLifetime) {
+		component.worldVelocityOverLifetime.getVec3ValueAt(age / this.loopAfter, this.emitRandom, worldVelocityDelta);
+		worldVelocityDelta.applyPost(component._worldToLocalRotation).scale(1 / this.loopAfter);
+		store.add(worldVelocityDelta);
+	}
+
+	if (component.localSpace) {
+		store.applyPost(component.entity.transformComponent.sync().worldTransform.rotation);
+	}
+
+	return store;
+};
+
 module.exports = ParticleData;
\ No newline at end of file
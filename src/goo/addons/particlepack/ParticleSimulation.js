@@ -0,0 +1,444 @@
+var Capabilities = require('../../renderer/Capabilities');
+var FullscreenUtils = require('../../renderer/pass/FullscreenUtils');
+var Material = require('../../renderer/Material');
+var MeshData = require('../../renderer/MeshData');
+var RenderTarget = require('../../renderer/pass/RenderTarget');
+var ShaderFragment = require('../../renderer/shaders/ShaderFragment');
+var Transform = require('../../math/Transform');
+var Vector3 = require('../../math/Vector3');
+
+var MAX_FORCE_FIELDS = 8;
+
+var tmpVector = new Vector3();
+
+function createStateTarget(size) {
+	return new RenderTarget(size, size, {
+		magFilter: 'NearestNeighbor',
+		minFilter: 'NearestNeighborNoMipMaps',
+		wrapS: 'EdgeClamp',
+		wrapT: 'EdgeClamp',
+		generateMipmaps: false,
+		type: 'Float',
+		depthBuffer: false,
+		stencilBuffer: false
+	});
+}
+
+function createUniformArray(length) {
+	var array = [];
+	for (var i = 0; i < length; i++) {
+		array.push(0);
+	}
+	return array;
+}
+
+function createShaderDefinition(velocityPass) {
+	var defines = {
+		MAX_FORCE_FIELDS: MAX_FORCE_FIELDS
+	};
+	if (velocityPass) {
+		defines.VELOCITY_PASS = true;
+	}
+
+	return {
+		defines: defines,
+		attributes: {
+			timeInfo: 'TIME_INFO',
+			startPos: 'START_POS',
+			startDir: 'START_DIR'
+		},
+		uniforms: {
+			positionTexture: 'POSITION_STATE',
+			velocityTexture: 'VELOCITY_STATE',
+			textureSize: 1,
+			time: 0,
+			tpf: 0,
+			reset: 1,
+			gravity: [0, 0, 0],
+			fieldPositions: createUniformArray(MAX_FORCE_FIELDS * 4),
+			fieldDirections: createUniformArray(MAX_FORCE_FIELDS * 4),
+			fieldParams: createUniformArray(MAX_FORCE_FIELDS * 4),
+			fieldCount: 0
+		},
+		vshader: [
+			'attribute vec4 timeInfo;',
+			'attribute vec4 startPos;',
+			'attribute vec4 startDir;',
+
+			'uniform float textureSize;',
+
+			'varying vec4 particleTimeInfo;',
+			'varying vec4 particleStartPos;',
+			'varying vec4 particleStartDir;',
+			'varying vec2 stateCoords;',
+
+			'void main(void) {',
+			// One point on the texel of the particle
+			'    float index = startPos.w;',
+			'    vec2 texel = vec2(mod(index, textureSize), floor(index / textureSize));',
+			'    stateCoords = (texel + 0.5) / textureSize;',
+
+			'    particleTimeInfo = timeInfo;',
+			'    particleStartPos = startPos;',
+			'    particleStartDir = startDir;',
+
+			'    gl_PointSize = 1.0;',
+			'    gl_Position = vec4(stateCoords * 2.0 - 1.0, 0.0, 1.0);',
+			'}'
+		].join('\n'),
+		fshader: [
+			'uniform sampler2D positionTexture;',
+			'uniform sampler2D velocityTexture;',
+			'uniform float time;',
+			'uniform float tpf;',
+			'uniform float reset;',
+			'uniform vec3 gravity;',
+
+			'varying vec4 particleTimeInfo;',
+			'varying vec4 particleStartPos;',
+			'varying vec4 particleStartDir;',
+			'varying vec2 stateCoords;',
+
+			'#ifdef VELOCITY_PASS',
+			'uniform vec4 fieldPositions[MAX_FORCE_FIELDS];',
+			'uniform vec4 fieldDirections[MAX_FORCE_FIELDS];',
+			'uniform vec4 fieldParams[MAX_FORCE_FIELDS];',
+			'uniform float fieldCount;',
+
+			ShaderFragment.noise3d,
+
+			'vec3 noiseVector(vec3 p) {',
+			'    return vec3(',
+			'        snoise(p),',
+			'        snoise(vec3(p.y - 19.1, p.z + 33.4, p.x + 47.2)),',
+			'        snoise(vec3(p.z + 74.2, p.x - 124.5, p.y + 99.4))',
+			'    );',
+			'}',
+
+			// Divergence free, so the particles swirl instead of bunching up
+			'vec3 curlNoise(vec3 p) {',
+			'    const float e = 0.1;',
+			'    vec3 dx = vec3(e, 0.0, 0.0);',
+			'    vec3 dy = vec3(0.0, e, 0.0);',
+			'    vec3 dz = vec3(0.0, 0.0, e);',
+			'    vec3 x0 = noiseVector(p - dx);',
+			'    vec3 x1 = noiseVector(p + dx);',
+			'    vec3 y0 = noiseVector(p - dy);',
+			'    vec3 y1 = noiseVector(p + dy);',
+			'    vec3 z0 = noiseVector(p - dz);',
+			'    vec3 z1 = noiseVector(p + dz);',
+			'    return vec3(',
+			'        y1.z - y0.z - z1.y + z0.y,',
+			'        z1.x - z0.x - x1.z + x0.z,',
+			'        x1.y - x0.y - y1.x + y0.x',
+			'    ) / (2.0 * e);',
+			'}',
+
+			'float getFalloff(vec3 offset, float radius) {',
+			'    return radius > 0.0 ? clamp(1.0 - length(offset) / radius, 0.0, 1.0) : 1.0;',
+			'}',
+
+			'void applyForceFields(vec3 position, inout vec3 acceleration, inout float drag) {',
+			'    for (int i = 0; i < MAX_FORCE_FIELDS; i++) {',
+			'        if (float(i) >= fieldCount) {',
+			'            break;',
+			'        }',
+			'        float type = fieldPositions[i].w;',
+			'        vec3 direction = fieldDirections[i].xyz;',
+			'        vec3 offset = position - fieldPositions[i].xyz;',
+			'        float strength = fieldDirections[i].w * getFalloff(offset, fieldParams[i].x);',
+
+			'        if (type < 1.5) {',
+			// Vortex
+			'            vec3 radial = offset - direction * dot(offset, direction);',
+			'            float distance = length(radial);',
+			'            if (distance > 0.0001) {',
+			'                acceleration += cross(direction, radial / distance) * strength;',
+			'            }',
+			'        } else if (type < 2.5) {',
+			// Attractor
+			'            float distance = length(offset);',
+			'            if (distance > 0.0001) {',
+			'                acceleration -= offset / distance * strength;',
+			'            }',
+			'        } else if (type < 3.5) {',
+			// Turbulence
+			'            acceleration += curlNoise((position - direction * time) * fieldParams[i].y) * strength;',
+			'        } else if (type < 4.5) {',
+			// Drag
+			'            drag += strength;',
+			'        } else {',
+			// Wind
+			'            acceleration += direction * strength;',
+			'        }',
+			'    }',
+			'}',
+			'#endif',
+
+			'void main(void) {',
+			'    float age = time - particleTimeInfo.w;',
+			'    #ifdef LOOP',
+			'    age = mod(age, particleStartDir.w);',
+			'    #endif',
+
+			// The position keeps the time its particle was spawned, and a new spawn restarts the state
+			'    float spawnTime = time - age;',
+			'    vec4 position = texture2D(positionTexture, stateCoords);',
+			'    float tolerance = max(0.001, abs(spawnTime) * 0.0001);',
+
+			'    if (reset > 0.5 || age < 0.0 || abs(position.w - spawnTime) > tolerance) {',
+			'        float t = max(age, 0.0);',
+			'        #ifdef VELOCITY_PASS',
+			'        gl_FragColor = vec4(particleStartDir.xyz + gravity * t, 0.0);',
+			'        #else',
+			'        gl_FragColor = vec4(particleStartPos.xyz + particleStartDir.xyz * t + 0.5 * t * t * gravity, spawnTime);',
+			'        #endif',
+			'        return;',
+			'    }',
+
+			'    vec4 velocity = texture2D(velocityTexture, stateCoords);',
+			'    #ifdef VELOCITY_PASS',
+			'    vec3 acceleration = gravity;',
+			'    float drag = 0.0;',
+			'    applyForceFields(position.xyz, acceleration, drag);',
+			'    gl_FragColor = vec4((velocity.xyz + acceleration * tpf) / (1.0 + drag * tpf), 0.0);',
+			'    #else',
+			// The velocity texture already holds the new velocity
+			'    gl_FragColor = vec4(position.xyz + velocity.xyz * tpf, position.w);',
+			'    #endif',
+			'}'
+		].join('\n')
+	};
+}
+
+function createMaterial(velocityPass) {
+	var material = new Material(createShaderDefinition(velocityPass), velocityPass ? 'ParticleVelocityPass' : 'ParticlePositionPass');
+	material.depthState.enabled = false;
+	material.depthState.write = false;
+	material.cullState.enabled = false;
+	material.blendState.blending = 'NoBlending';
+
+	// Arrays that are updated in place, instead of the shared ones of the shader
+	material.uniforms.gravity = [0, 0, 0];
+	if (velocityPass) {
+		material.uniforms.fieldPositions = createUniformArray(MAX_FORCE_FIELDS * 4);
+		material.uniforms.fieldDirections = createUniformArray(MAX_FORCE_FIELDS * 4);
+		material.uniforms.fieldParams = createUniformArray(MAX_FORCE_FIELDS * 4);
+	}
+
+	return material;
+}
+
+/**
+ * Stateful simulation of the particles of a {@link ParticleSystemComponent}, used when the component is stateful.
+ * The position and velocity of each particle live in a texel of two float textures, and are integrated on the GPU each frame under gravity and the forces of the {@link ForceFieldComponent}s.
+ * Each pass draws one point per particle into the texel of the particle, reading the previous state from the other texture of a ping-pong pair.
+ * @param {number} maxParticles
+ */
+function ParticleSimulation(maxParticles) {
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.maxParticles = maxParticles;
+
+	/**
+	 * Width and height of the state textures.
+	 * @type {number}
+	 * @readonly
+	 */
+	this.textureSize = Math.max(Math.ceil(Math.sqrt(maxParticles)), 1);
+
+	this.positionTargets = [createStateTarget(this.textureSize), createStateTarget(this.textureSize)];
+	this.velocityTargets = [createStateTarget(this.textureSize), createStateTarget(this.textureSize)];
+	this._readIndex = 0;
+
+	this.velocityMaterial = createMaterial(true);
+	this.positionMaterial = createMaterial(false);
+
+	var attributeMap = {
+		TIME_INFO: MeshData.createAttribute(4, 'Float'),
+		START_POS: MeshData.createAttribute(4, 'Float'),
+		START_DIR: MeshData.createAttribute(4, 'Float')
+	};
+
+	/**
+	 * Spawn data of the particles, one vertex each.
+	 * @type {MeshData}
+	 */
+	this.meshData = new MeshData(attributeMap, maxParticles, 0);
+	this.meshData.indexModes = ['Points'];
+	this.meshData.vertexData.setDataUsage('DynamicDraw');
+
+	this._renderable = {
+		meshData: this.meshData,
+		materials: [this.velocityMaterial],
+		transform: new Transform()
+	};
+
+	this._needsReset = true;
+	this._renderer = null;
+}
+
+/**
+ * The most force fields a simulation is affected by. The rest are ignored.
+ * @type {number}
+ * @readonly
+ */
+ParticleSimulation.MAX_FORCE_FIELDS = MAX_FORCE_FIELDS;
+
+/**
+ * Checks if the renderer can run the simulation. It needs to render into float textures, and textures in vertex shaders.
+ * @returns {boolean}
+ */
+ParticleSimulation.isSupported = function () {
+	return !!Capabilities.renderToFloat && Capabilities.maxVertexTextureUnits > 0;
+};
+
+/**
+ * The texture with the current particle positions. The W component holds the spawn time of each particle.
+ * @returns {RenderTarget}
+ */
+ParticleSimulation.prototype.getPositionTexture = function () {
+	return this.positionTargets[this._readIndex];
+};
+
+/**
+ * The texture with the current particle velocities.
+ * @returns {RenderTarget}
+ */
+ParticleSimulation.prototype.getVelocityTexture = function () {
+	return this.velocityTargets[this._readIndex];
+};
+
+/**
+ * Restarts all particles from their spawn data on the next update.
+ */
+ParticleSimulation.prototype.reset = function () {
+	this._needsReset = true;
+};
+
+/**
+ * Copies the spawn data of each particle from the particle mesh, which has the same data on all vertices of a particle.
+ * @param {MeshData} meshData
+ * @param {number} meshVertexCount Number of vertices per particle.
+ */
+ParticleSimulation.prototype.copyParticleData = function (meshData, meshVertexCount) {
+	var names = ['TIME_INFO', 'START_POS', 'START_DIR'];
+	var count = Math.min(this.maxParticles, meshData.vertexCount / meshVertexCount);
+	for (var n = 0; n < names.length; n++) {
+		var source = meshData.getAttributeBuffer(names[n]);
+		var target = this.meshData.getAttributeBuffer(names[n]);
+		for (var i = 0; i < count; i++) {
+			var offset = i * meshVertexCount * 4;
+			target[i * 4 + 0] = source[offset + 0];
+			target[i * 4 + 1] = source[offset + 1];
+			target[i * 4 + 2] = source[offset + 2];
+			target[i * 4 + 3] = source[offset + 3];
+		}
+		this.meshData.setAttributeDataUpdated(names[n]);
+	}
+};
+
+/**
+ * Puts the force fields in the uniforms of the velocity pass, in the space the particles are simulated in.
+ * @param {Array<ForceFieldComponent>} forceFields
+ * @param {Transform} [simulationTransform] World transform of the simulation space, if the particles are simulated in local space.
+ */
+ParticleSimulation.prototype.setForceFields = function (forceFields, simulationTransform) {
+	var uniforms = this.velocityMaterial.uniforms;
+	var positions = uniforms.fieldPositions;
+	var directions = uniforms.fieldDirections;
+	var params = uniforms.fieldParams;
+
+	var count = Math.min(forceFields.length, MAX_FORCE_FIELDS);
+	for (var i = 0; i < count; i++) {
+		var field = forceFields[i];
+
+		tmpVector.copy(field.worldPosition);
+		if (simulationTransform) {
+			tmpVector.sub(simulationTransform.translation).applyPre(simulationTransform.rotation);
+		}
+		positions[i * 4 + 0] = tmpVector.x;
+		positions[i * 4 + 1] = tmpVector.y;
+		positions[i * 4 + 2] = tmpVector.z;
+		positions[i * 4 + 3] = field.fieldType;
+
+		tmpVector.copy(field.worldDirection);
+		if (simulationTransform) {
+			tmpVector.applyPre(simulationTransform.rotation);
+		}
+		directions[i * 4 + 0] = tmpVector.x;
+		directions[i * 4 + 1] = tmpVector.y;
+		directions[i * 4 + 2] = tmpVector.z;
+		directions[i * 4 + 3] = field.strength;
+
+		params[i * 4 + 0] = field.radius;
+		params[i * 4 + 1] = field.frequency;
+	}
+	uniforms.fieldCount = count;
+};
+
+/**
+ * Steps the simulation.
+ * @param {Renderer} renderer
+ * @param {number} tpf Time to step.
+ * @param {number} time Time of the particle system after the step.
+ * @param {Vector3} gravity Gravity in simulation space.
+ * @param {boolean} loop Whether the particles respawn after their loop time, as in the particle material.
+ */
+ParticleSimulation.prototype.update = function (renderer, tpf, time, gravity, loop) {
+	this._renderer = renderer;
+
+	var readIndex = this._readIndex;
+	var writeIndex = 1 - readIndex;
+	var materials = [this.velocityMaterial, this.positionMaterial];
+	for (var i = 0; i < materials.length; i++) {
+		var material = materials[i];
+		var uniforms = material.uniforms;
+		uniforms.textureSize = this.textureSize;
+		uniforms.time = time;
+		uniforms.tpf = tpf;
+		uniforms.reset = this._needsReset ? 1 : 0;
+		uniforms.gravity[0] = gravity.x;
+		uniforms.gravity[1] = gravity.y;
+		uniforms.gravity[2] = gravity.z;
+		if (loop) {
+			material.shader.setDefine('LOOP', true);
+		} else {
+			material.shader.removeDefine('LOOP');
+		}
+	}
+
+	// Velocities first, so the positions can move with the new velocities
+	this.velocityMaterial.setTexture('POSITION_STATE', this.positionTargets[readIndex]);
+	this.velocityMaterial.setTexture('VELOCITY_STATE', this.velocityTargets[readIndex]);
+	this._renderable.materials[0] = this.velocityMaterial;
+	renderer.render(this._renderable, FullscreenUtils.camera, [], this.velocityTargets[writeIndex], false);
+
+	this.positionMaterial.setTexture('POSITION_STATE', this.positionTargets[readIndex]);
+	this.positionMaterial.setTexture('VELOCITY_STATE', this.velocityTargets[writeIndex]);
+	this._renderable.materials[0] = this.positionMaterial;
+	renderer.render(this._renderable, FullscreenUtils.camera, [], this.positionTargets[writeIndex], false);
+
+	this._readIndex = writeIndex;
+	this._needsReset = false;
+};
+
+/**
+ * Frees the textures and buffers of the simulation.
+ * @param {Renderer} [renderer] The renderer that ran the simulation, if it is not the last one it was updated with.
+ */
+ParticleSimulation.prototype.destroy = function (renderer) {
+	renderer = renderer || this._renderer;
+	if (!renderer) {
+		return;
+	}
+	this.positionTargets.concat(this.velocityTargets).forEach(function (renderTarget) {
+		renderer._deallocateRenderTarget(renderTarget);
+	});
+	renderer._deallocateMeshData(this.meshData);
+	this._renderer = null;
+};
+
+module.exports = ParticleSimulation;
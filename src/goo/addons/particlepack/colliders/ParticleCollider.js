@@ -0,0 +1,21 @@
+/**
+ * Base class for the colliders that particles of a {@link ParticleSystemComponent} collide with. Only used to define the class. Should never be instantiated.
+ * The colliders work in world space.
+ */
+function ParticleCollider() {}
+
+/**
+ * Finds where the path of a particle from start to end first crosses into the collider.
+ * @param {Vector3} start
+ * @param {Vector3} end
+ * @param {Object} result Gets the hit point, the surface normal and the fraction of the path before the hit.
+ * @param {Vector3} result.point
+ * @param {Vector3} result.normal
+ * @param {number} result.fraction
+ * @returns {boolean} True if the path hit the collider.
+ */
+ParticleCollider.prototype.raycast = function (/*start, end, result*/) {
+	return false;
+};
+
+module.exports = ParticleCollider;
@@ -0,0 +1,75 @@
+var ParticleCollider = require('../../../addons/particlepack/colliders/ParticleCollider');
+var Vector3 = require('../../../math/Vector3');
+
+var tmpDirection = new Vector3();
+// Filled in by the physics system like a RaycastResult of the physicspack, which is not required to keep the packs apart
+var tmpResult = {
+	point: new Vector3(),
+	normal: new Vector3(),
+	entity: null,
+	distance: -1
+};
+
+/**
+ * Collides particles against the colliders of a physicspack {@link PhysicsSystem}, using raycasts.
+ * @extends ParticleCollider
+ * @param {PhysicsSystem} [physicsSystem]
+ * @param {Object} [settings]
+ * @param {number} [settings.collisionMask=-1] Which collision groups the particles hit.
+ * @param {World} [settings.world] Without a physics system, the collider looks for one in this world when particles move, so it can be
+ * created before the PhysicsSystem is added.
+ */
+function ParticlePhysicsCollider(physicsSystem, settings) {
+	settings = settings || {};
+	ParticleCollider.call(this);
+
+	/**
+	 * @type {PhysicsSystem}
+	 */
+	this.physicsSystem = physicsSystem || null;
+
+	/**
+	 * @type {World}
+	 */
+	this.world = settings.world || null;
+
+	/**
+	 * @type {number}
+	 */
+	this.collisionMask = settings.collisionMask !== undefined ? settings.collisionMask : -1;
+
+	this._raycastOptions = {
+		collisionMask: this.collisionMask
+	};
+}
+ParticlePhysicsCollider.prototype = Object.create(ParticleCollider.prototype);
+ParticlePhysicsCollider.prototype.constructor = ParticlePhysicsCollider;
+
+ParticlePhysicsCollider.prototype.raycast = function (start, end, result) {
+	if (!this.physicsSystem && this.world) {
+		this.physicsSystem = this.world.getSystem('PhysicsSystem') || null;
+	}
+	if (!this.physicsSystem) {
+		return false;
+	}
+
+	var length = tmpDirection.copy(end).sub(start).length();
+	if (length === 0) {
+		return false;
+	}
+	tmpDirection.scale(1 / length);
+
+	this._raycastOptions.collisionMask = this.collisionMask;
+	tmpResult.entity = null;
+	tmpResult.distance = -1;
+	if (!this.physicsSystem.raycastClosest(start, tmpDirection, length, this._raycastOptions, tmpResult)) {
+		return false;
+	}
+
+	result.fraction = tmpResult.distance / length;
+	result.point.copy(tmpResult.point);
+	result.normal.copy(tmpResult.normal);
+	return true;
+};
+
+module.exports = ParticlePhysicsCollider;
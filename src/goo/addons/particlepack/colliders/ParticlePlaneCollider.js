@@ -0,0 +1,41 @@
+var ParticleCollider = require('../../../addons/particlepack/colliders/ParticleCollider');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * An infinite plane that particles collide with from the side the normal points to.
+ * @extends ParticleCollider
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.normal] Default is (0, 1, 0)
+ * @param {number} [settings.constant=0] Distance of the plane from the origin along the normal.
+ */
+function ParticlePlaneCollider(settings) {
+	settings = settings || {};
+	ParticleCollider.call(this);
+
+	/**
+	 * @type {Vector3}
+	 */
+	this.normal = settings.normal ? settings.normal.clone().normalize() : new Vector3(0, 1, 0);
+
+	/**
+	 * @type {number}
+	 */
+	this.constant = settings.constant || 0;
+}
+ParticlePlaneCollider.prototype = Object.create(ParticleCollider.prototype);
+ParticlePlaneCollider.prototype.constructor = ParticlePlaneCollider;
+
+ParticlePlaneCollider.prototype.raycast = function (start, end, result) {
+	var startDistance = start.dot(this.normal) - this.constant;
+	var endDistance = end.dot(this.normal) - this.constant;
+	if (startDistance < 0 || endDistance >= 0) {
+		return false;
+	}
+
+	result.fraction = startDistance / (startDistance - endDistance);
+	result.point.copy(start).lerp(end, result.fraction);
+	result.normal.copy(this.normal);
+	return true;
+};
+
+module.exports = ParticlePlaneCollider;
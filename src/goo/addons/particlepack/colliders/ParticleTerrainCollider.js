@@ -0,0 +1,70 @@
+var ParticleCollider = require('../../../addons/particlepack/colliders/ParticleCollider');
+
+/**
+ * Collides particles against a height field, for example the terrainQuery of a terrainpack TerrainHandler.
+ * @extends ParticleCollider
+ * @param {Object} terrain Anything with a getHeightAt([x, y, z]) method that returns the terrain height at a world position. If it also has getNormalAt([x, y, z]), that is used for the normals.
+ * @param {Object} [settings]
+ * @param {number} [settings.normalSampleDistance=0.5] Step used to compute normals when the terrain has no getNormalAt.
+ * @example
+ * var collider = new ParticleTerrainCollider(terrainHandler.terrainQuery);
+ */
+function ParticleTerrainCollider(terrain, settings) {
+	settings = settings || {};
+	ParticleCollider.call(this);
+
+	/**
+	 * @type {Object}
+	 */
+	this.terrain = terrain;
+
+	/**
+	 * @type {number}
+	 */
+	this.normalSampleDistance = settings.normalSampleDistance !== undefined ? settings.normalSampleDistance : 0.5;
+
+	this._pos = [0, 0, 0];
+}
+ParticleTerrainCollider.prototype = Object.create(ParticleCollider.prototype);
+ParticleTerrainCollider.prototype.constructor = ParticleTerrainCollider;
+
+ParticleTerrainCollider.prototype._getHeightAt = function (x, y, z) {
+	var pos = this._pos;
+	pos[0] = x;
+	pos[1] = y;
+	pos[2] = z;
+	return this.terrain.getHeightAt(pos);
+};
+
+ParticleTerrainCollider.prototype.raycast = function (start, end, result) {
+	var startDistance = start.y - this._getHeightAt(start.x, start.y, start.z);
+	var endDistance = end.y - this._getHeightAt(end.x, end.y, end.z);
+	if (startDistance < 0 || endDistance >= 0) {
+		return false;
+	}
+
+	// Linear approximation of the crossing, good enough for the short steps of a frame
+	result.fraction = startDistance / (startDistance - endDistance);
+	var point = result.point.copy(start).lerp(end, result.fraction);
+	point.y = this._getHeightAt(point.x, point.y, point.z);
+
+	if (this.terrain.getNormalAt) {
+		var pos = this._pos;
+		pos[0] = point.x;
+		pos[1] = point.y;
+		pos[2] = point.z;
+		var normal = this.terrain.getNormalAt(pos);
+		if (normal) {
+			result.normal.set(normal).normalize();
+			return true;
+		}
+	}
+
+	var d = this.normalSampleDistance;
+	var dx = this._getHeightAt(point.x + d, point.y, point.z) - this._getHeightAt(point.x - d, point.y, point.z);
+	var dz = this._getHeightAt(point.x, point.y, point.z + d) - this._getHeightAt(point.x, point.y, point.z - d);
+	result.normal.setDirect(-dx, 2 * d, -dz).normalize();
+	return true;
+};
+
+module.exports = ParticleTerrainCollider;
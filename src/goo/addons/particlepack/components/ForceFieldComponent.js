@@ -0,0 +1,166 @@
+var Component = require('../../../entities/components/Component');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * A force field that pushes the particles of stateful {@link ParticleSystemComponent}s around. The field is placed and oriented by the transform of its entity.
+ * Needs a {@link ForceFieldSystem} in the world to be picked up by the {@link ParticleSystemSystem}.
+ * @extends Component
+ * @param {Object} [options]
+ * @param {number} [options.type=ForceFieldComponent.ATTRACTOR]
+ * @param {number} [options.strength=1]
+ * @param {number} [options.radius=0]
+ * @param {Vector3} [options.direction] Default is (0, 1, 0)
+ * @param {number} [options.frequency=1]
+ * @example
+ * var vortex = new ForceFieldComponent({
+ *     type: ForceFieldComponent.VORTEX,
+ *     strength: 10,
+ *     radius: 5
+ * });
+ * world.createEntity([0, 2, 0], vortex).addToWorld();
+ */
+function ForceFieldComponent(options) {
+	options = options || {};
+	Component.apply(this, arguments);
+	this.type = 'ForceFieldComponent';
+
+	/**
+	 * What the field does to the particles, one of the type constants on ForceFieldComponent.
+	 * @type {number}
+	 */
+	this.fieldType = options.type !== undefined ? options.type : ForceFieldComponent.ATTRACTOR;
+
+	/**
+	 * Acceleration at the center of the field. For drag fields it is the fraction of the velocity lost per second. Negative attractors repel.
+	 * @type {number}
+	 */
+	this.strength = options.strength !== undefined ? options.strength : 1;
+
+	/**
+	 * Distance from the entity where the field has faded out. Set to 0 for a field without falloff that reaches everywhere.
+	 * @type {number}
+	 */
+	this.radius = options.radius !== undefined ? options.radius : 0;
+
+	/**
+	 * Axis of vortices, direction of wind and the scroll velocity of turbulence, local to the entity.
+	 * @type {Vector3}
+	 */
+	this.direction = options.direction ? options.direction.clone() : new Vector3(0, 1, 0);
+
+	/**
+	 * Spatial frequency of the turbulence noise. Higher values give smaller swirls.
+	 * @type {number}
+	 */
+	this.frequency = options.frequency !== undefined ? options.frequency : 1;
+
+	/**
+	 * Position of the field in world space, updated by the ForceFieldSystem.
+	 * @type {Vector3}
+	 * @readonly
+	 */
+	this.worldPosition = new Vector3();
+
+	/**
+	 * Direction of the field in world space, updated by the ForceFieldSystem.
+	 * @type {Vector3}
+	 * @readonly
+	 */
+	this.worldDirection = new Vector3(this.direction);
+
+	/**
+	 * @type {(Entity|null)}
+	 * @readonly
+	 */
+	this.entity = null;
+}
+
+ForceFieldComponent.prototype = Object.create(Component.prototype);
+ForceFieldComponent.prototype.constructor = ForceFieldComponent;
+
+ForceFieldComponent.type = 'ForceFieldComponent';
+
+/**
+ * Spins particles around the direction axis.
+ * @type {number}
+ * @readonly
+ */
+ForceFieldComponent.VORTEX = 1;
+
+/**
+ * Pulls particles towards the center of the field.
+ * @type {number}
+ * @readonly
+ */
+ForceFieldComponent.ATTRACTOR = 2;
+
+/**
+ * Swirls particles around in a curl noise field.
+ * @type {number}
+ * @readonly
+ */
+ForceFieldComponent.TURBULENCE = 3;
+
+/**
+ * Slows particles down.
+ * @type {number}
+ * @readonly
+ */
+ForceFieldComponent.DRAG = 4;
+
+/**
+ * Pushes particles along the direction.
+ * @type {number}
+ * @readonly
+ */
+ForceFieldComponent.WIND = 5;
+
+/**
+ * Updates the world position and direction from the world transform of the entity.
+ * @param {Transform} worldTransform
+ */
+ForceFieldComponent.prototype.updateWorldData = function (worldTransform) {
+	this.worldPosition.copy(worldTransform.translation);
+	this.worldDirection.copy(this.direction).applyPost(worldTransform.rotation).normalize();
+};
+
+/**
+ * @private
+ * @param entity
+ */
+ForceFieldComponent.prototype.attached = function (entity) {
+	this.entity = entity;
+};
+
+/**
+ * @private
+ */
+ForceFieldComponent.prototype.detached = function () {
+	this.entity = null;
+};
+
+/**
+ * @returns {ForceFieldComponent}
+ */
+ForceFieldComponent.prototype.clone = function () {
+	return new ForceFieldComponent({
+		type: this.fieldType,
+		strength: this.strength,
+		radius: this.radius,
+		direction: this.direction,
+		frequency: this.frequency
+	});
+};
+
+/**
+ * @private
+ * @param obj
+ * @param entity
+ */
+ForceFieldComponent.applyOnEntity = function (obj, entity) {
+	if (obj instanceof ForceFieldComponent) {
+		entity.setComponent(obj);
+	}
+};
+
+module.exports = ForceFieldComponent;
@@ -11,6 +11,7 @@ var ParticleData = require('../../../addons/particlepack/ParticleData');
 var Renderer = require('../../../renderer/Renderer');
 var Quad = require('../../../shapes/Quad');
 var ConstantCurve = require('../../../addons/particlepack/curves/ConstantCurve');
+var ParticleSimulation = require('../../../addons/particlepack/ParticleSimulation');
 var ObjectUtils = require('../../../util/ObjectUtils');
 
 // Polyfill, needed for CocoonJS
@@ -50,6 +51,10 @@ var defines = {
  * @param {boolean} [options.preWarm=false]
  * @param {boolean} [options.randomDirection=false]
  * @param {boolean} [options.sphereEmitFromShell=false]
+ * @param {boolean} [options.stateful=false]
+ * @param {boolean} [options.trails=false]
+ * @param {Array<ParticleCollider>} [options.colliders]
+ * @param {Array<Object>} [options.subEmitters]
  * @param {Curve} [options.colorOverLifetime]
  * @param {Curve} [options.localVelocityOverLifetime]
  * @param {Curve} [options.rotationSpeedOverLifetime]
@@ -62,9 +67,12 @@ var defines = {
  * @param {Curve} [options.textureFrameOverLifetime]
  * @param {Curve} [options.worldVelocityOverLifetime]
  * @param {number} [options.blending='NoBlending']
+ * @param {number} [options.bounce=0.5]
+ * @param {number} [options.collisionResponse=ParticleSystemComponent.COLLISION_BOUNCE]
  * @param {number} [options.coneAngle] Default is pi/8
  * @param {number} [options.coneLength=1]
  * @param {number} [options.coneRadius=1]
+ * @param {number} [options.dampen=0]
  * @param {number} [options.discardThreshold=0]
  * @param {number} [options.duration=5]
  * @param {number} [options.localSpace=true]
@@ -79,6 +87,9 @@ var defines = {
  * @param {number} [options.textureTilesX=1]
  * @param {number} [options.textureTilesY=1]
  * @param {number} [options.time=0]
+ * @param {number} [options.trailMaxPoints=16]
+ * @param {number} [options.trailMinVertexDistance=0.1]
+ * @param {Object} [options.trailSettings] Settings for the {@link TrailRenderer} of the trails.
  * @param {string} [options.coneEmitFrom='base']
  * @param {string} [options.shapeType='cone']
  * @param {Vector3} [options.boxExtents] Default is new Vector3(1,1,1)
@@ -121,6 +132,8 @@ function ParticleSystemComponent(options) {
 			invWorldRotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
 			worldRotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
 			particleTexture: 'PARTICLE_TEXTURE',
+			positionTexture: 'POSITION_STATE',
+			stateTextureSize: 1,
 			time: 0,
 			duration: 5,
 			gravity: [0, 0, 0],
@@ -159,6 +172,11 @@ function ParticleSystemComponent(options) {
 			'uniform float uStartAngle;',
 			'uniform float uRotationSpeed;',
 
+			'#ifdef STATEFUL',
+				'uniform sampler2D positionTexture;',
+				'uniform float stateTextureSize;',
+			'#endif',
+
 			'#ifdef FOG',
 				'uniform vec2 fogSettings;',
 				'uniform vec3 fogColor;',
@@ -262,7 +280,14 @@ function ParticleSystemComponent(options) {
 			'    active *= step(0.0, ageNoMod) * step(0.0, age);',
 			'    #endif',
 
+			'    #ifdef STATEFUL',
+			// The simulated position, with the velocity curves on top
+			'    float particleIndex = startPos.w;',
+			'    vec2 stateCoords = (vec2(mod(particleIndex, stateTextureSize), floor(particleIndex / stateTextureSize)) + 0.5) / stateTextureSize;',
+			'    vec3 position = texture2D(positionTexture, stateCoords).xyz + worldRotation * getVelocityCurveIntegral(age / duration, emitRandom) + invWorldRotation * getWorldVelocityCurveIntegral(age / duration, emitRandom);',
+			'    #else',
 			'    vec3 position = getPosition(invWorldRotation, worldRotation, age, startPos.xyz, startDir.xyz, gravity, emitRandom, duration);',
+			'    #endif',
 
 			'    #ifdef FOG',
 			'    vec3 viewPosition = cameraPosition - (worldMatrix * vec4(position, 0.0)).xyz;',
@@ -314,6 +339,9 @@ function ParticleSystemComponent(options) {
 	this._lastTime = this.time;
 	this._worldToLocalRotation = new Matrix3();
 	this._localToWorldRotation = new Matrix3();
+	this._simulation = null;
+	this._simulatedTime = 0;
+	this._stateDataDirty = true;
 
 	/**
 	 * The entity which the component is attached on. Will be set when the component is attached to the entity.
@@ -417,6 +445,78 @@ function ParticleSystemComponent(options) {
 	this.rotationSpeedOverLifetime = options.rotationSpeedOverLifetime ? options.rotationSpeedOverLifetime.clone() : null;
 	this.texture = options.texture ? options.texture : null;
 	this.boundsRadius = options.boundsRadius !== undefined ? options.boundsRadius : Number.MAX_VALUE;
+	this.stateful = options.stateful || false;
+
+	/**
+	 * Colliders that the particles collide with. Collisions and sub-emitter events are only tracked for systems with localSpace set to false that are not stateful, along the same paths that are rendered.
+	 * @type {Array<ParticleCollider>}
+	 */
+	this.colliders = options.colliders ? options.colliders.slice() : [];
+
+	/**
+	 * What happens to a particle when it hits a collider, one of the collision constants on ParticleSystemComponent.
+	 * @type {number}
+	 */
+	this.collisionResponse = options.collisionResponse !== undefined ? options.collisionResponse : ParticleSystemComponent.COLLISION_BOUNCE;
+
+	/**
+	 * How much of the velocity along the collider normal is kept when bouncing. 0 makes particles slide, 1 makes them bounce without losing speed.
+	 * @type {number}
+	 */
+	this.bounce = options.bounce !== undefined ? options.bounce : 0.5;
+
+	/**
+	 * Fraction of the speed that is lost in each bounce.
+	 * @type {number}
+	 */
+	this.dampen = options.dampen !== undefined ? options.dampen : 0;
+
+	/**
+	 * Other particle systems that emit particles when a particle in this system is born, dies or collides. Each entry is an object with the properties event (one of the event constants on ParticleSystemComponent), emitter (the ParticleSystemComponent to emit from, which should have localSpace set to false), count (number of particles to emit, default 1) and inheritVelocity (how much of the particle velocity the new particles get, default 0).
+	 * @type {Array<Object>}
+	 * @example
+	 * sparks.subEmitters.push({
+	 *     event: ParticleSystemComponent.EVENT_COLLISION,
+	 *     emitter: splashes,
+	 *     count: 5,
+	 *     inheritVelocity: 0.2
+	 * });
+	 */
+	this.subEmitters = options.subEmitters ? options.subEmitters.map(function (subEmitter) {
+		return ObjectUtils.extend({}, subEmitter);
+	}) : [];
+
+	this._triggeringSubEmitters = false;
+
+	/**
+	 * Number of points in the trail of each particle.
+	 * @type {number}
+	 */
+	this.trailMaxPoints = options.trailMaxPoints !== undefined ? options.trailMaxPoints : 16;
+
+	/**
+	 * How far a particle has to move before a new point is added to its trail.
+	 * @type {number}
+	 */
+	this.trailMinVertexDistance = options.trailMinVertexDistance !== undefined ? options.trailMinVertexDistance : 0.1;
+
+	/**
+	 * Settings for the TrailRenderer of the trails, like lifeTime, width and widthCurve. Changes are picked up when the trails are turned on.
+	 * @type {Object}
+	 */
+	this.trailSettings = options.trailSettings ? ObjectUtils.extend({}, options.trailSettings) : {};
+
+	/**
+	 * Builds the trails of the particles, if they are turned on. Can be used to change the look of the trails at runtime.
+	 * @type {(TrailRenderer|null)}
+	 * @readonly
+	 */
+	this.trailRenderer = null;
+
+	this._trailEntity = null;
+	this._particleTrails = [];
+	this._trailAges = [];
+	this.trails = options.trails || false;
 }
 ParticleSystemComponent.prototype = Object.create(Component.prototype);
 ParticleSystemComponent.prototype.constructor = ParticleSystemComponent;
@@ -437,6 +537,41 @@ ParticleSystemComponent.SORT_NONE = 1;
  */
 ParticleSystemComponent.SORT_CAMERA_DISTANCE = 2;
 
+/**
+ * Particles bounce off colliders.
+ * @type {number}
+ * @readonly
+ */
+ParticleSystemComponent.COLLISION_BOUNCE = 1;
+
+/**
+ * Particles die when they hit a collider.
+ * @type {number}
+ * @readonly
+ */
+ParticleSystemComponent.COLLISION_KILL = 2;
+
+/**
+ * Sub-emitter event for when a particle is emitted.
+ * @type {number}
+ * @readonly
+ */
+ParticleSystemComponent.EVENT_BIRTH = 1;
+
+/**
+ * Sub-emitter event for when a particle reaches the end of its lifetime, or is killed by a collider.
+ * @type {number}
+ * @readonly
+ */
+ParticleSystemComponent.EVENT_DEATH = 2;
+
+/**
+ * Sub-emitter event for when a particle hits a collider.
+ * @type {number}
+ * @readonly
+ */
+ParticleSystemComponent.EVENT_COLLISION = 3;
+
 Object.defineProperties(ParticleSystemComponent.prototype, {
 
 	/**
@@ -968,6 +1103,44 @@ Object.defineProperties(ParticleSystemComponent.prototype, {
 		}
 	},
 
+	/**
+	 * If set to true, each particle leaves a ribbon behind it. See trailSettings for the look of the ribbons.
+	 * The ribbons are only built if the world has a TrailSystem from the linerenderpack.
+	 * The trails follow the same paths as the sorting, so they don't follow stateful particles around force fields.
+	 * @target-class ParticleSystemComponent trails member
+	 * @type {boolean}
+	 */
+	trails: {
+		get: function () {
+			return this._trails;
+		},
+		set: function (value) {
+			this._trails = value;
+			// Rebuilt with the current settings in the next process
+			this._destroyTrails();
+		}
+	},
+
+	/**
+	 * If set to true, the particle positions and velocities are integrated on the GPU each frame, so they can react to ForceFieldComponents.
+	 * Otherwise they move along their ballistic paths. Needs float texture support and a renderer in the world, and falls back to the ballistic paths without them.
+	 * Sorting uses the ballistic paths either way.
+	 * @target-class ParticleSystemComponent stateful member
+	 * @type {boolean}
+	 */
+	stateful: {
+		get: function () {
+			return this._stateful;
+		},
+		set: function (value) {
+			this._stateful = value;
+			if (!value) {
+				this.material.shader.removeDefine('STATEFUL');
+				this._destroySimulation();
+			}
+		}
+	},
+
 	/**
 	 * A texture for the particles.
 	 * @target-class ParticleSystemComponent texture member
@@ -1179,6 +1352,10 @@ ParticleSystemComponent.prototype.stop = function () {
 	this._vertexDataDirty = true;
 	this._updateIndexBuffer(this.particles);
 	this._updateUniforms();
+	this._simulatedTime = 0;
+	if (this._simulation) {
+		this._simulation.reset();
+	}
 };
 
 /**
@@ -1335,7 +1512,7 @@ ParticleSystemComponent.prototype._updateVertexData = function () {
 			startPos[meshVertexCount * 4 * i + j * 4 + 0] = pos.x;
 			startPos[meshVertexCount * 4 * i + j * 4 + 1] = pos.y;
 			startPos[meshVertexCount * 4 * i + j * 4 + 2] = pos.z;
-			startPos[meshVertexCount * 4 * i + j * 4 + 3] = 0;
+			startPos[meshVertexCount * 4 * i + j * 4 + 3] = i;
 
 			startDir[meshVertexCount * 4 * i + j * 4 + 0] = dir.x;
 			startDir[meshVertexCount * 4 * i + j * 4 + 1] = dir.y;
@@ -1345,6 +1522,7 @@ ParticleSystemComponent.prototype._updateVertexData = function () {
 	}
 	meshData.setAttributeDataUpdated('START_POS');
 	meshData.setAttributeDataUpdated('START_DIR');
+	this._stateDataDirty = true;
 };
 
 /**
@@ -1457,10 +1635,11 @@ ParticleSystemComponent.prototype._generateLocalPositionAndDirection = function
  * @param {Vector3} direction
  */
 ParticleSystemComponent.prototype.emitOne = function (position, direction) {
-	var meshData = this.meshData;
-	var startPos = meshData.getAttributeBuffer('START_POS');
-	var startDir = meshData.getAttributeBuffer('START_DIR');
-	var timeInfo = meshData.getAttributeBuffer('TIME_INFO');
+	// The vertex data is rebuilt lazily, which would wipe particles emitted before the first process
+	if (this._vertexDataDirty) {
+		this._updateVertexData();
+		this._vertexDataDirty = false;
+	}
 
 	// Get the last emitted particle
 	var i = this._nextEmitParticleIndex;
@@ -1474,20 +1653,74 @@ ParticleSystemComponent.prototype.emitOne = function (position, direction) {
 	startPosition.copy(position);
 	startDirection.copy(direction);
 	particle.active = 1;
+	particle.emitRandom = this._random();
 
-	var meshVertexCount = this.mesh.vertexCount;
+	this._updateParticleVertexData(particle);
+	this._triggerSubEmitters(ParticleSystemComponent.EVENT_BIRTH, particle, position, direction);
+};
+
+var tmpEmitPos = new Vector3();
+var tmpEmitDir = new Vector3();
+
+/**
+ * Emit particles from the shape of this system, placed at a world position. Used by sub-emitters, but can be called directly. The system should have localSpace set to false.
+ * @param {Vector3} position World position to emit at.
+ * @param {number} [count=1]
+ * @param {Vector3} [velocity] Added to the start velocity of the particles.
+ */
+ParticleSystemComponent.prototype.emitAt = function (position, count, velocity) {
+	if (!this.entity) {
+		return;
+	}
+
+	count = count !== undefined ? count : 1;
+	var rotation = this.entity.transformComponent.sync().worldTransform.rotation;
+	var normalizedTime = mod(this.time / this.duration, 1);
+	for (var i = 0; i < count; i++) {
+		if (this.loop) {
+			var particle = this._findGoodParticle();
+			if (!particle) {
+				return;
+			}
+			this._nextEmitParticleIndex = particle.index;
+		}
+
+		this._generateLocalPositionAndDirection(tmpEmitPos, tmpEmitDir, normalizedTime);
+		tmpEmitPos.applyPost(rotation).add(position);
+		tmpEmitDir.applyPost(rotation);
+		if (velocity) {
+			tmpEmitDir.add(velocity);
+		}
 
-	var rand = particle.emitRandom = this._random();
+		this.emitOne(tmpEmitPos, tmpEmitDir);
+	}
+};
+
+/**
+ * Writes the data of a particle to the vertex attributes.
+ * @private
+ * @param {ParticleData} particle
+ */
+ParticleSystemComponent.prototype._updateParticleVertexData = function (particle) {
+	var meshData = this.meshData;
+	var startPos = meshData.getAttributeBuffer('START_POS');
+	var startDir = meshData.getAttributeBuffer('START_DIR');
+	var timeInfo = meshData.getAttributeBuffer('TIME_INFO');
+	var startPosition = particle.startPosition;
+	var startDirection = particle.startDirection;
+	var i = particle.index;
+
+	var meshVertexCount = this.mesh.vertexCount;
 	for (var j = 0; j < meshVertexCount; j++) {
 		timeInfo[meshVertexCount * 4 * i + j * 4 + 0] = particle.lifeTime;
 		timeInfo[meshVertexCount * 4 * i + j * 4 + 1] = particle.active;
-		timeInfo[meshVertexCount * 4 * i + j * 4 + 2] = rand;
+		timeInfo[meshVertexCount * 4 * i + j * 4 + 2] = particle.emitRandom;
 		timeInfo[meshVertexCount * 4 * i + j * 4 + 3] = particle.emitTime;
 
 		startPos[meshVertexCount * 4 * i + j * 4 + 0] = startPosition.x;
 		startPos[meshVertexCount * 4 * i + j * 4 + 1] = startPosition.y;
 		startPos[meshVertexCount * 4 * i + j * 4 + 2] = startPosition.z;
-		startPos[meshVertexCount * 4 * i + j * 4 + 3] = 0;
+		startPos[meshVertexCount * 4 * i + j * 4 + 3] = i;
 
 		startDir[meshVertexCount * 4 * i + j * 4 + 0] = startDirection.x;
 		startDir[meshVertexCount * 4 * i + j * 4 + 1] = startDirection.y;
@@ -1498,6 +1731,147 @@ ParticleSystemComponent.prototype.emitOne = function (position, direction) {
 	meshData.setAttributeDataUpdated('START_POS');
 	meshData.setAttributeDataUpdated('START_DIR');
 	meshData.setAttributeDataUpdated('TIME_INFO');
+	this._stateDataDirty = true;
+};
+
+var tmpSubVelocity = new Vector3();
+
+/**
+ * Emits from the sub-emitters listening to an event.
+ * @private
+ * @param {number} event
+ * @param {ParticleData} particle
+ * @param {Vector3} position
+ * @param {Vector3} velocity
+ */
+ParticleSystemComponent.prototype._triggerSubEmitters = function (event, particle, position, velocity) {
+	var subEmitters = this.subEmitters;
+	// Guard against sub-emitters that end up emitting from this system again
+	if (!subEmitters.length || this._triggeringSubEmitters) {
+		return;
+	}
+
+	this._triggeringSubEmitters = true;
+	for (var i = 0; i < subEmitters.length; i++) {
+		var subEmitter = subEmitters[i];
+		if (subEmitter.event !== event || !subEmitter.emitter) {
+			continue;
+		}
+
+		var inheritVelocity = subEmitter.inheritVelocity || 0;
+		var count = subEmitter.count !== undefined ? subEmitter.count : 1;
+		subEmitter.emitter.emitAt(position, count, tmpSubVelocity.copy(velocity).scale(inheritVelocity));
+	}
+	this._triggeringSubEmitters = false;
+};
+
+var tmpStart = new Vector3();
+var tmpEnd = new Vector3();
+var tmpVelocity = new Vector3();
+var tmpNormalVelocity = new Vector3();
+// Pushes bounced particles off the collider, so they don't hit it again right away
+var COLLISION_OFFSET = 1e-4;
+var tmpHit = {
+	point: new Vector3(),
+	normal: new Vector3(),
+	fraction: 0
+};
+var tmpClosestHit = {
+	point: new Vector3(),
+	normal: new Vector3(),
+	fraction: 0
+};
+
+/**
+ * Finds the deaths and collisions of the particles since the last frame, and responds to them.
+ * @private
+ */
+ParticleSystemComponent.prototype._processParticleEvents = function () {
+	var particles = this.particles;
+	var colliders = this.colliders;
+	var hasDeathEmitters = this.subEmitters.some(function (subEmitter) {
+		return subEmitter.event === ParticleSystemComponent.EVENT_DEATH;
+	});
+	if (!colliders.length && !hasDeathEmitters) {
+		return;
+	}
+
+	for (var i = 0; i < particles.length; i++) {
+		var particle = particles[i];
+		if (!particle.active) {
+			continue;
+		}
+
+		var lifeTime = particle.lifeTime;
+		var lastAge = Math.max(this._lastTime - particle.emitTime, 0);
+		var age = Math.min(this.time - particle.emitTime, lifeTime);
+		if (age <= lastAge) {
+			continue;
+		}
+
+		if (colliders.length && this._collideParticle(particle, lastAge, age)) {
+			continue;
+		}
+
+		if (age === lifeTime && this.time - particle.emitTime > lifeTime) {
+			particle.getPositionAt(lifeTime, tmpStart);
+			particle.getVelocityAt(lifeTime, tmpVelocity);
+			this._triggerSubEmitters(ParticleSystemComponent.EVENT_DEATH, particle, tmpStart, tmpVelocity);
+		}
+	}
+};
+
+/**
+ * Checks the path of a particle between two ages against the colliders, and applies the collision response to the closest hit.
+ * @private
+ * @param {ParticleData} particle
+ * @param {number} fromAge
+ * @param {number} toAge
+ * @returns {boolean} True if the particle was killed.
+ */
+ParticleSystemComponent.prototype._collideParticle = function (particle, fromAge, toAge) {
+	var colliders = this.colliders;
+	particle.getPositionAt(fromAge, tmpStart);
+	particle.getPositionAt(toAge, tmpEnd);
+
+	var closestHit = null;
+	for (var i = 0; i < colliders.length; i++) {
+		if (colliders[i].raycast(tmpStart, tmpEnd, tmpHit) && (!closestHit || tmpHit.fraction < closestHit.fraction)) {
+			closestHit = tmpClosestHit;
+			closestHit.point.copy(tmpHit.point);
+			closestHit.normal.copy(tmpHit.normal);
+			closestHit.fraction = tmpHit.fraction;
+		}
+	}
+	if (!closestHit) {
+		return false;
+	}
+
+	var hitAge = fromAge + (toAge - fromAge) * closestHit.fraction;
+	var velocity = particle.getVelocityAt(hitAge, tmpVelocity);
+	this._triggerSubEmitters(ParticleSystemComponent.EVENT_COLLISION, particle, closestHit.point, velocity);
+
+	if (this.collisionResponse === ParticleSystemComponent.COLLISION_KILL) {
+		particle.active = 0;
+		this._updateParticleVertexData(particle);
+		this._triggerSubEmitters(ParticleSystemComponent.EVENT_DEATH, particle, closestHit.point, velocity);
+		return true;
+	}
+
+	// Reflect the normal part of the velocity
+	var normal = closestHit.normal;
+	var normalVelocity = tmpNormalVelocity.copy(normal).scale(velocity.dot(normal));
+	velocity.sub(normalVelocity).sub(normalVelocity.scale(this.bounce)).scale(1 - this.dampen);
+
+	// Restart the path at the hit point with the new velocity, keeping the emit time so the lifetime curves go on as before.
+	// Both the position and the velocity are linear in the start values, so they can be solved for by evaluating the path from zero.
+	particle.startDirection.setDirect(0, 0, 0);
+	particle.startDirection.sub(particle.getVelocityAt(hitAge, tmpStart)).add(velocity);
+	particle.startPosition.setDirect(0, 0, 0);
+	particle.startPosition.sub(particle.getPositionAt(hitAge, tmpStart)).add(closestHit.point).add(normal.scale(COLLISION_OFFSET));
+	this._updateParticleVertexData(particle);
+
+	return false;
 };
 
 /**
@@ -1629,20 +2003,149 @@ ParticleSystemComponent.prototype.process = function (tpf) {
 			//var interpolationCompensation = (time - this._lastTime) * (i + 1) / numToEmit;
 			this.emitOne(tmpPos, tmpDir);
 		}
+
+		if (!this.stateful) {
+			this._processParticleEvents();
+		}
 	}
 
 	this._updateUniforms();
+	if (this.trails) {
+		this._updateTrails();
+	}
 	this._sortParticles();
 	this._updateBounds();
 };
 
+var tmpTrailPos = new Vector3();
+
+/**
+ * Moves the trails along with the particles, and starts new trails for new particles.
+ * @private
+ */
+ParticleSystemComponent.prototype._updateTrails = function () {
+	var particles = this.particles;
+	var maxParticles = this.maxParticles;
+	var trailRenderer = this.trailRenderer;
+	if (!trailRenderer || trailRenderer.maxTrails !== maxParticles || trailRenderer.maxPoints !== this.trailMaxPoints) {
+		this._destroyTrails();
+		// The trails are built by the linerenderpack, if the world has its TrailSystem
+		var trailSystem = this.entity._world.getSystem('TrailSystem');
+		if (!trailSystem) {
+			return;
+		}
+		trailRenderer = this.trailRenderer = trailSystem.createTrailRenderer(maxParticles, this.trailMaxPoints, this.trailSettings);
+		this._trailEntity = trailRenderer.createEntity(this.entity._world, 'ParticleSystemComponentTrails');
+	}
+
+	var trails = this._particleTrails;
+	var trailAges = this._trailAges;
+	while (trails.length < maxParticles) {
+		trails.push(trailRenderer.createTrail());
+		trailAges.push(Infinity);
+	}
+	trails.length = trailAges.length = maxParticles;
+
+	var time = this.time;
+	for (var i = 0; i < particles.length; i++) {
+		var particle = particles[i];
+		var trail = trails[i];
+		var age = time - particle.emitTime;
+		if (this.loop) {
+			age %= particle.loopAfter;
+		}
+
+		var alive = particle.active && age >= 0 && age <= particle.lifeTime;
+
+		// A younger particle in the same slot is a new particle, its trail starts where it was emitted
+		if (age < trailAges[i]) {
+			trail.clear();
+			if (alive) {
+				trail.addPoint(particle.getPositionAt(0, tmpTrailPos), time - age);
+			}
+		}
+		trailAges[i] = age;
+
+		if (alive) {
+			trail.update(particle.getWorldPosition(tmpTrailPos), time, this.trailMinVertexDistance);
+		}
+		trail.removeOlderThan(time - trailRenderer.lifeTime);
+	}
+
+	this._trailEntity.meshRendererComponent.hidden = this.meshEntity.meshRendererComponent.hidden;
+	trailRenderer.update(trails, time);
+};
+
+/**
+ * @private
+ */
+ParticleSystemComponent.prototype._destroyTrails = function () {
+	if (this._trailEntity) {
+		this._trailEntity.clearComponent('MeshDataComponent');
+		this._trailEntity.removeFromWorld();
+		this._trailEntity = null;
+	}
+	this.trailRenderer = null;
+	this._particleTrails.length = this._trailAges.length = 0;
+};
+
+/**
+ * Steps the stateful simulation to the current time. Called by the ParticleSystemSystem after process.
+ * @private
+ * @param {Renderer} renderer
+ * @param {Array<ForceFieldComponent>} forceFields
+ */
+ParticleSystemComponent.prototype._simulate = function (renderer, forceFields) {
+	var shader = this.material.shader;
+	if (!ParticleSimulation.isSupported()) {
+		shader.removeDefine('STATEFUL');
+		return;
+	}
+
+	var simulation = this._simulation;
+	if (!simulation || simulation.maxParticles !== this.maxParticles) {
+		this._destroySimulation();
+		simulation = this._simulation = new ParticleSimulation(this.maxParticles);
+		this._stateDataDirty = true;
+	}
+	if (this._stateDataDirty) {
+		simulation.copyParticleData(this.meshData, this.mesh.vertexCount);
+		this._stateDataDirty = false;
+	}
+
+	var tpf = this.time - this._simulatedTime;
+	this._simulatedTime = this.time;
+	if (tpf < 0) {
+		simulation.reset();
+		tpf = 0;
+	}
+	if (tpf > 0 || simulation._needsReset) {
+		simulation.setForceFields(forceFields, this.localSpace ? this.meshEntity.transformComponent.worldTransform : null);
+		simulation.update(renderer, tpf, this.time, this._localGravity, shader.hasDefine('LOOP'));
+	}
+
+	this.material.setTexture('POSITION_STATE', simulation.getPositionTexture());
+	this.material.uniforms.stateTextureSize = simulation.textureSize;
+	shader.setDefine('STATEFUL', true);
+};
+
+/**
+ * @private
+ */
+ParticleSystemComponent.prototype._destroySimulation = function () {
+	if (this._simulation) {
+		this._simulation.destroy();
+		this._simulation = null;
+	}
+};
+
 ParticleSystemComponent.prototype._findGoodParticle = function () {
 	var time = this.time;
 	var particles = this.particles;
 	for (var i=this._nextEmitParticleIndex; i<this._nextEmitParticleIndex + particles.length; i++) {
 		var particle = particles[i % particles.length];
 		var age = time - particle.emitTime;
-		if (age > particle.lifeTime) {
+		if (age > particle.lifeTime || !particle.active) {
 			return particle;
 		}
 	}
@@ -1690,6 +2193,8 @@ ParticleSystemComponent.prototype.detached = function (/*entity*/) {
 	this.particles.length = this.particlesSorted.length = 0;
 	this.meshEntity.removeFromWorld();
 	this.entity = this.meshEntity = null;
+	this._destroySimulation();
+	this._destroyTrails();
 };
 
 /**
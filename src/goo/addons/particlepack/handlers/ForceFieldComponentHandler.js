@@ -0,0 +1,78 @@
+var ComponentHandler = require('../../../loaders/handlers/ComponentHandler');
+var ForceFieldComponent = require('../../../addons/particlepack/components/ForceFieldComponent');
+var ObjectUtils = require('../../../util/ObjectUtils');
+
+/**
+ * @extends ComponentHandler
+ * @hidden
+ */
+function ForceFieldComponentHandler() {
+	ComponentHandler.apply(this, arguments);
+	this._type = 'ForceFieldComponent';
+}
+
+ForceFieldComponentHandler.prototype = Object.create(ComponentHandler.prototype);
+ForceFieldComponentHandler.prototype.constructor = ForceFieldComponentHandler;
+ComponentHandler._registerClass('forceField', ForceFieldComponentHandler);
+
+var fieldTypes = {
+	vortex: ForceFieldComponent.VORTEX,
+	attractor: ForceFieldComponent.ATTRACTOR,
+	turbulence: ForceFieldComponent.TURBULENCE,
+	drag: ForceFieldComponent.DRAG,
+	wind: ForceFieldComponent.WIND
+};
+
+/**
+ * Prepare component. Set defaults on config here.
+ * @param {Object} config
+ * @returns {Object}
+ * @private
+ */
+ForceFieldComponentHandler.prototype._prepare = function (config) {
+	return ObjectUtils.defaults(config, {
+		type: 'attractor',
+		strength: 1,
+		radius: 0,
+		direction: [0, 1, 0],
+		frequency: 1
+	});
+};
+
+/**
+ * @returns {Component} the created component object
+ * @private
+ */
+ForceFieldComponentHandler.prototype._create = function () {
+	return new ForceFieldComponent();
+};
+
+/**
+ * @param {Entity} entity
+ * @private
+ */
+ForceFieldComponentHandler.prototype._remove = function (entity) {
+	entity.clearComponent('ForceFieldComponent');
+};
+
+/**
+ * @param {Entity} entity The entity on which this component should be added.
+ * @param {Object} config
+ * @param {Object} options
+ * @returns {RSVP.Promise} promise that resolves with the component when loading is done.
+ */
+ForceFieldComponentHandler.prototype.update = function (entity, config, options) {
+	return ComponentHandler.prototype.update.call(this, entity, config, options).then(function (component) {
+		if (!component) { return; }
+
+		component.fieldType = fieldTypes[config.type] || ForceFieldComponent.ATTRACTOR;
+		component.strength = config.strength;
+		component.radius = config.radius;
+		component.direction.setArray(config.direction);
+		component.frequency = config.frequency;
+
+		return component;
+	});
+};
+
+module.exports = ForceFieldComponentHandler;
@@ -1,5 +1,8 @@
 var ComponentHandler = require('../../../loaders/handlers/ComponentHandler');
 var ParticleSystemComponent = require('../../../addons/particlepack/components/ParticleSystemComponent');
+var ParticlePlaneCollider = require('../../../addons/particlepack/colliders/ParticlePlaneCollider');
+var ParticlePhysicsCollider = require('../../../addons/particlepack/colliders/ParticlePhysicsCollider');
+var ParticleTerrainCollider = require('../../../addons/particlepack/colliders/ParticleTerrainCollider');
 var LinearCurve = require('../../../addons/particlepack/curves/LinearCurve');
 var ConstantCurve = require('../../../addons/particlepack/curves/ConstantCurve');
 var PolyCurve = require('../../../addons/particlepack/curves/PolyCurve');
@@ -50,7 +53,7 @@ function linearCurve(k, m) {
  * @private
  */
 ParticleSystemComponentHandler.prototype._prepare = function (config) {
-	return ObjectUtils.defaults(config, {
+	ObjectUtils.defaults(config, {
 		gravity: [0, 0, 0],
 		seed: -1,
 		shapeType: 'cone',
@@ -66,6 +69,7 @@ ParticleSystemComponentHandler.prototype._prepare = function (config) {
 		colorOverLifetime: [constantCurve(1), constantCurve(1), constantCurve(1), constantCurve(1)],
 		duration: 5,
 		localSpace: true,
+		stateful: false,
 		startSpeed: constantCurve(5),
 		localVelocityOverLifetime: [constantCurve(0), constantCurve(0), constantCurve(0)],
 		worldVelocityOverLifetime: [constantCurve(0), constantCurve(0), constantCurve(0)],
@@ -90,8 +94,40 @@ ParticleSystemComponentHandler.prototype._prepare = function (config) {
 		startAngle: constantCurve(0),
 		rotationSpeedOverLifetime: constantCurve(0),
 		texturePreset: 'Custom',
-		textureRef: null
+		textureRef: null,
+		collision: {},
+		subEmitters: {},
+		trails: {}
 	});
+	ObjectUtils.defaults(config.collision, {
+		enabled: false,
+		response: 'bounce',
+		bounce: 0.5,
+		dampen: 0,
+		planes: {},
+		terrain: {},
+		physics: {}
+	});
+	ObjectUtils.defaults(config.collision.terrain, {
+		enabled: false,
+		normalSampleDistance: 0.5
+	});
+	ObjectUtils.defaults(config.collision.physics, {
+		enabled: false,
+		collisionMask: -1
+	});
+	ObjectUtils.defaults(config.trails, {
+		enabled: false,
+		maxPoints: 16,
+		minVertexDistance: 0.1,
+		lifeTime: 1,
+		width: 0.2,
+		widthOverTrail: linearCurve(-1, 1),
+		uvMode: 'stretch',
+		tileLength: 1,
+		blending: 'AdditiveBlending'
+	});
+	return config;
 };
 
 /**
@@ -187,6 +223,7 @@ ParticleSystemComponentHandler.prototype.update = function (entity, config, opti
 		component.colorOverLifetime = createVec4Curve(config.colorOverLifetime);
 		component.duration = config.duration;
 		component.localSpace = config.localSpace;
+		component.stateful = config.stateful;
 		component.startSpeed = createCurve(config.startSpeed);
 		component.localVelocityOverLifetime = createVec3Curve(config.localVelocityOverLifetime);
 		component.worldVelocityOverLifetime = createVec3Curve(config.worldVelocityOverLifetime);
@@ -215,6 +252,24 @@ ParticleSystemComponentHandler.prototype.update = function (entity, config, opti
 		component.rotationSpeedOverLifetime = createCurve(config.rotationSpeedOverLifetime, MathUtils.DEG_TO_RAD);
 		component.autoPlay = config.autoPlay;
 
+		var promises = [];
+
+		that._updateCollision(entity, component, config.collision, options);
+		that._updateSubEmitters(component, config.subEmitters, options, promises);
+
+		var trailsConfig = config.trails;
+		component.trailMaxPoints = trailsConfig.maxPoints;
+		component.trailMinVertexDistance = trailsConfig.minVertexDistance;
+		component.trailSettings = {
+			lifeTime: trailsConfig.lifeTime,
+			width: trailsConfig.width,
+			widthCurve: createCurve(trailsConfig.widthOverTrail),
+			uvMode: trailsConfig.uvMode,
+			tileLength: trailsConfig.tileLength,
+			blending: trailsConfig.blending
+		};
+		component.trails = trailsConfig.enabled;
+
 		if (!component.paused) {
 			component.stop();
 		}
@@ -223,8 +278,6 @@ ParticleSystemComponentHandler.prototype.update = function (entity, config, opti
 			component.play();
 		}
 
-		var promises = [];
-
 		var cachedTextures = that._cachedPresetTextures;
 
 		var textureRef = config.texture && config.texture.enabled && config.texture.textureRef;
@@ -261,4 +314,88 @@ ParticleSystemComponentHandler.prototype.update = function (entity, config, opti
 	});
 };
 
+/**
+ * Replaces the colliders of the component with the ones in the config.
+ * Terrain collisions need the terrain to collide with in the load options, like the terrainQuery of a terrainpack TerrainHandler.
+ * @param {Entity} entity
+ * @param {ParticleSystemComponent} component
+ * @param {Object} collisionConfig
+ * @param {Object} options
+ * @param {Object} [options.terrain]
+ * @private
+ */
+ParticleSystemComponentHandler.prototype._updateCollision = function (entity, component, collisionConfig, options) {
+	component.collisionResponse = {
+		'bounce': ParticleSystemComponent.COLLISION_BOUNCE,
+		'kill': ParticleSystemComponent.COLLISION_KILL
+	}[collisionConfig.response];
+	component.bounce = collisionConfig.bounce;
+	component.dampen = collisionConfig.dampen;
+
+	var colliders = component.colliders;
+	colliders.length = 0;
+	if (!collisionConfig.enabled) {
+		return;
+	}
+
+	ObjectUtils.forEach(collisionConfig.planes, function (planeConfig) {
+		colliders.push(new ParticlePlaneCollider({
+			normal: new Vector3(planeConfig.normal || [0, 1, 0]),
+			constant: planeConfig.constant
+		}));
+	}, null, 'sortValue');
+
+	if (collisionConfig.terrain.enabled) {
+		if (options && options.terrain) {
+			colliders.push(new ParticleTerrainCollider(options.terrain, {
+				normalSampleDistance: collisionConfig.terrain.normalSampleDistance
+			}));
+		} else {
+			console.warn('No terrain given in the load options, particle terrain collisions are skipped');
+		}
+	}
+
+	if (collisionConfig.physics.enabled) {
+		colliders.push(new ParticlePhysicsCollider(null, {
+			collisionMask: collisionConfig.physics.collisionMask,
+			world: entity._world
+		}));
+	}
+};
+
+/**
+ * Replaces the sub-emitters of the component with the ones in the config.
+ * @param {ParticleSystemComponent} component
+ * @param {Object} subEmitterConfigs
+ * @param {Object} options
+ * @param {Array<RSVP.Promise>} promises The loading of the emitting entities is added to these
+ * @private
+ */
+ParticleSystemComponentHandler.prototype._updateSubEmitters = function (component, subEmitterConfigs, options, promises) {
+	component.subEmitters.length = 0;
+
+	ObjectUtils.forEach(subEmitterConfigs, function (subEmitterConfig) {
+		var subEmitter = {
+			event: {
+				'birth': ParticleSystemComponent.EVENT_BIRTH,
+				'death': ParticleSystemComponent.EVENT_DEATH,
+				'collision': ParticleSystemComponent.EVENT_COLLISION
+			}[subEmitterConfig.event],
+			emitter: null,
+			count: subEmitterConfig.count !== undefined ? subEmitterConfig.count : 1,
+			inheritVelocity: subEmitterConfig.inheritVelocity || 0
+		};
+		component.subEmitters.push(subEmitter);
+
+		var entityRef = subEmitterConfig.entityRef;
+		if (entityRef) {
+			promises.push(this._load(entityRef, options).then(function (emitterEntity) {
+				subEmitter.emitter = emitterEntity.particleSystemComponent || null;
+			}).then(null, function (err) {
+				throw new Error('Error loading sub-emitter entity: ' + entityRef + ' - ' + err);
+			}));
+		}
+	}, this, 'sortValue');
+};
+
 module.exports = ParticleSystemComponentHandler;
\ No newline at end of file
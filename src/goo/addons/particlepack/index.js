@@ -1,4 +1,9 @@
 module.exports = {
+	ParticleCollider: require('./colliders/ParticleCollider'),
+	ParticlePhysicsCollider: require('./colliders/ParticlePhysicsCollider'),
+	ParticlePlaneCollider: require('./colliders/ParticlePlaneCollider'),
+	ParticleTerrainCollider: require('./colliders/ParticleTerrainCollider'),
+	ForceFieldComponent: require('./components/ForceFieldComponent'),
 	ParticleSystemComponent: require('./components/ParticleSystemComponent'),
 	ConstantCurve: require('./curves/ConstantCurve'),
 	Curve: require('./curves/Curve'),
@@ -7,8 +12,11 @@ module.exports = {
 	PolyCurve: require('./curves/PolyCurve'),
 	Vector3Curve: require('./curves/Vector3Curve'),
 	Vector4Curve: require('./curves/Vector4Curve'),
+	ForceFieldComponentHandler: require('./handlers/ForceFieldComponentHandler'),
 	ParticleSystemComponentHandler: require('./handlers/ParticleSystemComponentHandler'),
 	ParticleData: require('./ParticleData'),
+	ParticleSimulation: require('./ParticleSimulation'),
+	ForceFieldSystem: require('./systems/ForceFieldSystem'),
 	ParticleDebugRenderSystem: require('./systems/ParticleDebugRenderSystem'),
 	ParticleSystemSystem: require('./systems/ParticleSystemSystem')
 };
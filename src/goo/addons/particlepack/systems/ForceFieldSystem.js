@@ -0,0 +1,45 @@
+var System = require('../../../entities/systems/System');
+
+/**
+ * Keeps the ForceFieldComponents up to date with the transforms of their entities, so the ParticleSystemSystem can hand them to the stateful particle systems.
+ * @extends System
+ */
+function ForceFieldSystem() {
+	System.call(this, 'ForceFieldSystem', ['ForceFieldComponent', 'TransformComponent']);
+
+	// Before the ParticleSystemSystem
+	this.priority = 0;
+}
+ForceFieldSystem.prototype = Object.create(System.prototype);
+ForceFieldSystem.prototype.constructor = ForceFieldSystem;
+
+/**
+ * @private
+ * @param {array} entities
+ */
+ForceFieldSystem.prototype.process = function (entities) {
+	for (var i = 0; i < entities.length; i++) {
+		var entity = entities[i];
+		entity.forceFieldComponent.updateWorldData(entity.transformComponent.sync().worldTransform);
+	}
+};
+
+/**
+ * Gets the enabled force fields in the world.
+ * @param {Array<ForceFieldComponent>} [store]
+ * @returns {Array<ForceFieldComponent>}
+ */
+ForceFieldSystem.prototype.getForceFields = function (store) {
+	store = store || [];
+	store.length = 0;
+	var entities = this._activeEntities;
+	for (var i = 0; i < entities.length; i++) {
+		var component = entities[i].forceFieldComponent;
+		if (component.enabled) {
+			store.push(component);
+		}
+	}
+	return store;
+};
+
+module.exports = ForceFieldSystem;
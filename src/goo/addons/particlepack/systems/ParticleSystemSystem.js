@@ -1,12 +1,13 @@
 var System = require('../../../entities/systems/System');
 
 /**
- * System that runs all the ParticleSystemComponents.
+ * System that runs all the ParticleSystemComponents. Stateful particle systems are simulated with the renderer of the world, under the force fields of the ForceFieldSystem if there is one.
  * @extends System
  */
 function ParticleSystemSystem() {
 	System.call(this, 'ParticleSystemSystem', ['ParticleSystemComponent', 'TransformComponent']);
 	this.priority = 1;
+	this._forceFields = [];
 }
 ParticleSystemSystem.prototype = Object.create(System.prototype);
 ParticleSystemSystem.prototype.constructor = ParticleSystemSystem;
@@ -16,8 +17,22 @@ ParticleSystemSystem.prototype.constructor = ParticleSystemSystem;
  * @param {array} entities
  */
 ParticleSystemSystem.prototype.process = function (entities, tpf) {
+	var gooRunner = this.world.gooRunner;
+	var renderer = gooRunner ? gooRunner.renderer : null;
+	var forceFieldSystem = this.world.getSystem('ForceFieldSystem');
+	var forceFields = this._forceFields;
+	if (forceFieldSystem) {
+		forceFieldSystem.getForceFields(forceFields);
+	} else {
+		forceFields.length = 0;
+	}
+
 	for (var i = 0; i < entities.length; i++) {
-		entities[i].particleSystemComponent.process(tpf);
+		var component = entities[i].particleSystemComponent;
+		component.process(tpf);
+		if (component.stateful && renderer) {
+			component._simulate(renderer, forceFields);
+		}
 	}
 };
 
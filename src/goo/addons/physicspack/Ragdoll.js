@@ -0,0 +1,385 @@
+var RigidBodyComponent = require('../../addons/physicspack/components/RigidBodyComponent');
+var ColliderComponent = require('../../addons/physicspack/components/ColliderComponent');
+var CapsuleCollider = require('../../addons/physicspack/colliders/CapsuleCollider');
+var SphereCollider = require('../../addons/physicspack/colliders/SphereCollider');
+var ConeTwistJoint = require('../../addons/physicspack/joints/ConeTwistJoint');
+var Transform = require('../../math/Transform');
+var Vector3 = require('../../math/Vector3');
+var Matrix3 = require('../../math/Matrix3');
+var Matrix4 = require('../../math/Matrix4');
+var Quaternion = require('../../math/Quaternion');
+var MathUtils = require('../../math/MathUtils');
+
+var tmpVec = new Vector3();
+var tmpQuat = new Quaternion();
+var tmpRotation = new Matrix3();
+var tmpMatrix = new Matrix4();
+var tmpInverse = new Matrix4();
+var tmpTransform = new Transform();
+
+/**
+ * Creates a rigid body and a collider for each joint of the skeleton of an animated entity, connected by {@link ConeTwistJoint}s, and an {@link AnimationLayer} that blends the pose of the bodies into the animation.
+ * The bodies are kinematic and follow the animation until the ragdoll is enabled. Then the physics take over and the animation blends into the pose of the bodies.
+ * Bones get a {@link CapsuleCollider} reaching to their children, and bones without children get a {@link SphereCollider}.
+ * @param {Entity} entity An entity in a world with a {@link PhysicsSystem}, with an {@link AnimationComponent} that has a {@link SkeletonPose}.
+ * @param {Object} animationpack The animationpack classes to build the layer with: Joint, JointData, ManagedTransformSource, SteadyState and AnimationLayer.
+ * The exports of the animationpack, or goo in the browser, have them all. They are passed in so that the physicspack doesn't bundle a copy of the animationpack.
+ * @param {Object} [settings]
+ * @param {Array<string>} [settings.bones] Names of the joints to create bodies for. Defaults to all the joints of the skeleton.
+ * @param {number} [settings.radius=0.1] Radius of the colliders, in the local units of the bones.
+ * @param {number} [settings.mass=1] Mass of each bone.
+ * @param {number} [settings.angle=Math.PI/4] Swing limit of the joints, see {@link ConeTwistJoint}.
+ * @param {number} [settings.twistAngle=Math.PI/8] Twist limit of the joints, see {@link ConeTwistJoint}.
+ * @param {number} [settings.blendTime=0.3] Default time, in seconds, to blend between the animation and the physics.
+ * @example
+ * var ragdoll = new Ragdoll(characterEntity, goo, { radius: 0.08 });
+ * // when the character gets hit
+ * ragdoll.enable();
+ * // when it gets back up
+ * ragdoll.disable(1);
+ */
+function Ragdoll(entity, animationpack, settings) {
+	settings = settings || {};
+
+	var animationComponent = entity.animationComponent;
+	if (!animationComponent || !animationComponent._skeletonPose) {
+		throw new Error('A ragdoll needs an entity with an animation component and a skeleton pose');
+	}
+	if (!animationpack || !animationpack.AnimationLayer) {
+		throw new Error('A ragdoll needs the classes of the animationpack');
+	}
+	this._animationpack = animationpack;
+
+	/**
+	 * The animated entity.
+	 * @type {Entity}
+	 */
+	this.entity = entity;
+
+	/**
+	 * @type {SkeletonPose}
+	 */
+	this.skeletonPose = animationComponent._skeletonPose;
+
+	/**
+	 * Radius of the colliders.
+	 * @type {number}
+	 */
+	this.radius = settings.radius !== undefined ? settings.radius : 0.1;
+
+	/**
+	 * @type {number}
+	 */
+	this.mass = settings.mass !== undefined ? settings.mass : 1;
+
+	/**
+	 * @type {number}
+	 */
+	this.angle = settings.angle !== undefined ? settings.angle : Math.PI / 4;
+
+	/**
+	 * @type {number}
+	 */
+	this.twistAngle = settings.twistAngle !== undefined ? settings.twistAngle : Math.PI / 8;
+
+	/**
+	 * Default time to blend between the animation and the physics, in seconds.
+	 * @type {number}
+	 */
+	this.blendTime = settings.blendTime !== undefined ? settings.blendTime : 0.3;
+
+	/**
+	 * The bone entities, by joint name. Each one has a {@link RigidBodyComponent}, and a child entity with a {@link ColliderComponent}.
+	 * @type {Object}
+	 */
+	this.boneEntities = {};
+
+	/**
+	 * The animation layer that blends the ragdoll into the animation. It is added on top of the layers of the {@link AnimationComponent}.
+	 * @type {AnimationLayer}
+	 */
+	this.layer = new animationpack.AnimationLayer('Ragdoll');
+
+	/**
+	 * True if the physics control the bones.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	this.enabled = false;
+
+	this._bones = [];
+	this._source = this._createSource();
+	this._blendFrom = 0;
+	this._blendTo = 0;
+	this._blendDuration = 0;
+	this._blendStartTime = null;
+
+	this._build(settings.bones);
+
+	var state = new animationpack.SteadyState('Ragdoll');
+	state.setClipSource(this._source);
+	this.layer.setState('Ragdoll', state);
+	this.layer.setCurrentState(state, true, entity._world.time);
+	this.layer.setBlendWeight(0);
+	animationComponent.addLayer(this.layer);
+}
+
+// a managed source that gets its data from the ragdoll when the animation layer moves the time forward
+Ragdoll.prototype._createSource = function () {
+	var source = new this._animationpack.ManagedTransformSource('Ragdoll');
+	var ragdoll = this;
+	source.setTime = function (globalTime) {
+		ragdoll._update(globalTime);
+		return true;
+	};
+	return source;
+};
+
+Ragdoll.prototype._build = function (boneNames) {
+	var NO_PARENT = this._animationpack.Joint.NO_PARENT;
+	var skeletonJoints = this.skeletonPose._skeleton._joints;
+	var globalTransforms = this.skeletonPose._globalTransforms;
+	var world = this.entity._world;
+	var bones = this._bones;
+
+	// the bone of each joint, or null for the joints that follow the animation
+	var bonesByJoint = [];
+	for (var i = 0; i < skeletonJoints.length; i++) {
+		var joint = skeletonJoints[i];
+		if (boneNames && boneNames.indexOf(joint._name) === -1) {
+			bonesByJoint.push(null);
+			continue;
+		}
+
+		var bone = {
+			joint: joint,
+			parent: null,
+			entity: null,
+			matrix: new Matrix4(),
+			data: new this._animationpack.JointData()
+		};
+		bone.data._jointIndex = joint._index;
+
+		// start from the current pose, for joints that are not animated by the other layers
+		this.skeletonPose._localTransforms[i].matrix.decompose(tmpVec, tmpRotation, bone.data._scale);
+		bone.data._translation.set(tmpVec);
+		bone.data._rotation.fromRotationMatrix(tmpRotation);
+
+		var parentIndex = joint._parentIndex;
+		while (parentIndex !== NO_PARENT && !bone.parent) {
+			bone.parent = bonesByJoint[parentIndex];
+			parentIndex = skeletonJoints[parentIndex]._parentIndex;
+		}
+
+		bonesByJoint.push(bone);
+		bones.push(bone);
+		this._source._data[joint._name] = bone.data;
+	}
+
+	bones.forEach(function (bone) {
+		var index = bone.joint._index;
+
+		// the children of the joint, local in the joint
+		tmpInverse.copy(globalTransforms[index].matrix).invert();
+		var direction = new Vector3();
+		var length = 0;
+		var childCount = 0;
+		skeletonJoints.forEach(function (joint) {
+			if (joint._parentIndex === index) {
+				tmpMatrix.mul2(tmpInverse, globalTransforms[joint._index].matrix).getTranslation(tmpVec);
+				direction.add(tmpVec);
+				length += tmpVec.length();
+				childCount++;
+			}
+		});
+
+		var colliderEntity = world.createEntity(bone.joint._name + '_collider');
+		var collider;
+		if (childCount > 0 && direction.length() > MathUtils.EPSILON) {
+			length /= childCount;
+			direction.normalize();
+			collider = new CapsuleCollider({
+				radius: this.radius,
+				height: Math.max(length - 2 * this.radius, 0)
+			});
+			colliderEntity.transformComponent.transform.translation.set(direction).scale(length / 2);
+			colliderEntity.transformComponent.transform.rotation.lookAt(direction, Vector3.UNIT_Y);
+			colliderEntity.transformComponent.setUpdated();
+		} else {
+			collider = new SphereCollider({ radius: this.radius });
+
+			// leaves point away from their parent
+			if (bone.joint._parentIndex !== NO_PARENT) {
+				tmpMatrix.mul2(tmpInverse, globalTransforms[bone.joint._parentIndex].matrix).getTranslation(direction);
+				direction.negate();
+			}
+			if (direction.length() < MathUtils.EPSILON) {
+				direction.set(Vector3.UNIT_Y);
+			}
+			direction.normalize();
+		}
+		colliderEntity.set(new ColliderComponent({ collider: collider }));
+
+		var rigidBodyComponent = new RigidBodyComponent({ mass: this.mass });
+		rigidBodyComponent.isKinematic = true;
+		var boneEntity = world.createEntity(bone.joint._name, rigidBodyComponent);
+		boneEntity.attachChild(colliderEntity);
+		this._getBoneTransform(index, boneEntity.transformComponent.transform);
+		boneEntity.transformComponent.setUpdated();
+
+		if (bone.parent) {
+			rigidBodyComponent.addJoint(new ConeTwistJoint({
+				localPivot: Vector3.ZERO,
+				localAxis: direction,
+				angle: this.angle,
+				twistAngle: this.twistAngle,
+				connectedEntity: bone.parent.entity
+			}));
+		}
+
+		bone.entity = boneEntity;
+		this.boneEntities[bone.joint._name] = boneEntity;
+	}, this);
+
+	bones.forEach(function (bone) {
+		bone.entity.addToWorld();
+	});
+
+	// bodies added to a running physics system have to be initialized here
+	var system = world.getSystem('PhysicsSystem');
+	if (system && system.initialized) {
+		bones.forEach(function (bone) {
+			bone.entity.rigidBodyComponent.initialize();
+		});
+		bones.forEach(function (bone) {
+			var rigidBodyComponent = bone.entity.rigidBodyComponent;
+			rigidBodyComponent.joints.forEach(function (joint) {
+				rigidBodyComponent.initializeJoint(joint);
+			});
+		});
+	}
+};
+
+// the world transform of a joint in the current pose
+Ragdoll.prototype._getBoneTransform = function (jointIndex, store) {
+	var entityTransform = this.entity.transformComponent.sync().worldTransform;
+	tmpMatrix.mul2(entityTransform.matrix, this.skeletonPose._globalTransforms[jointIndex].matrix);
+	tmpMatrix.decompose(store.translation, store.rotation, store.scale);
+	store.update();
+	return store;
+};
+
+/**
+ * Hands the bones over to the physics. The bodies become dynamic and the animation blends into their pose.
+ * @param {number} [blendTime] Defaults to the blendTime of the ragdoll.
+ */
+Ragdoll.prototype.enable = function (blendTime) {
+	this.enabled = true;
+	this._bones.forEach(function (bone) {
+		bone.entity.rigidBodyComponent.isKinematic = false;
+	});
+	this._startBlend(1, blendTime);
+};
+
+/**
+ * Hands the bones back to the animation. The bodies become kinematic, and the animation blends from the last pose of the bodies.
+ * @param {number} [blendTime] Defaults to the blendTime of the ragdoll.
+ */
+Ragdoll.prototype.disable = function (blendTime) {
+	this.enabled = false;
+	this._bones.forEach(function (bone) {
+		var rigidBodyComponent = bone.entity.rigidBodyComponent;
+		rigidBodyComponent.isKinematic = true;
+		rigidBodyComponent.setVelocity(Vector3.ZERO);
+		rigidBodyComponent.setAngularVelocity(Vector3.ZERO);
+	});
+	this._startBlend(0, blendTime);
+};
+
+Ragdoll.prototype._startBlend = function (weight, blendTime) {
+	this._blendFrom = this._layerWeight();
+	this._blendTo = weight;
+	this._blendDuration = blendTime !== undefined ? blendTime : this.blendTime;
+	this._blendStartTime = null;
+};
+
+Ragdoll.prototype._layerWeight = function () {
+	return this.layer._layerBlender ? this.layer._layerBlender._blendWeight : 0;
+};
+
+/**
+ * Called by the animation layer before the animation is applied.
+ * @private
+ * @param {number} globalTime
+ */
+Ragdoll.prototype._update = function (globalTime) {
+	// the blend starts at the first update after it was requested
+	if (this._blendStartTime === null) {
+		this._blendStartTime = globalTime;
+	}
+	var t = this._blendDuration > 0 ? MathUtils.clamp((globalTime - this._blendStartTime) / this._blendDuration, 0, 1) : 1;
+	this.layer.setBlendWeight(MathUtils.lerp(t, this._blendFrom, this._blendTo));
+
+	var bones = this._bones;
+	if (!this.enabled) {
+		// the kinematic bodies follow the animation, and the data keeps the last pose of the physics
+		for (var i = 0; i < bones.length; i++) {
+			var bone = bones[i];
+			var rigidBodyComponent = bone.entity.rigidBodyComponent;
+			this._getBoneTransform(bone.joint._index, tmpTransform);
+			tmpQuat.fromRotationMatrix(tmpTransform.rotation);
+			rigidBodyComponent.setPosition(tmpTransform.translation);
+			rigidBodyComponent.setQuaternion(tmpQuat);
+		}
+		return;
+	}
+
+	// the pose of the bodies in model space
+	var inverseEntityMatrix = tmpInverse.copy(this.entity.transformComponent.sync().worldTransform.matrix).invert();
+	for (var i = 0; i < bones.length; i++) {
+		var bone = bones[i];
+		var rigidBodyComponent = bone.entity.rigidBodyComponent;
+		var transform = tmpTransform;
+		rigidBodyComponent.getPosition(transform.translation);
+		rigidBodyComponent.getQuaternion(tmpQuat);
+		transform.rotation.copyQuaternion(tmpQuat);
+		transform.scale.set(bone.entity.transformComponent.transform.scale);
+		transform.update();
+		bone.matrix.mul2(inverseEntityMatrix, transform.matrix);
+	}
+
+	// local transforms relative to the parent joints, which are either bones or follow the animation
+	for (var i = 0; i < bones.length; i++) {
+		var bone = bones[i];
+		var parentIndex = bone.joint._parentIndex;
+		if (parentIndex === this._animationpack.Joint.NO_PARENT) {
+			tmpMatrix.copy(bone.matrix);
+		} else {
+			var parentBone = bone.parent && bone.parent.joint._index === parentIndex ? bone.parent : null;
+			tmpMatrix.copy(parentBone ? parentBone.matrix : this.skeletonPose._globalTransforms[parentIndex].matrix);
+			tmpMatrix.invert().mul(bone.matrix);
+		}
+		tmpMatrix.decompose(tmpVec, tmpRotation, bone.data._scale);
+		bone.data._translation.set(tmpVec);
+		bone.data._rotation.fromRotationMatrix(tmpRotation);
+	}
+};
+
+/**
+ * Removes the bone entities from the world, and the layer from the animation component.
+ */
+Ragdoll.prototype.destroy = function () {
+	this._bones.forEach(function (bone) {
+		bone.entity.removeFromWorld();
+	});
+	this._bones.length = 0;
+	this.boneEntities = {};
+
+	var layers = this.entity.animationComponent ? this.entity.animationComponent.layers : [];
+	var index = layers.indexOf(this.layer);
+	if (index !== -1) {
+		layers.splice(index, 1);
+	}
+};
+
+module.exports = Ragdoll;
@@ -0,0 +1,49 @@
+var Collider = require('../../../addons/physicspack/colliders/Collider');
+
+/**
+ * Capsule collider, that extends along the Z axis. It is a cylinder with a half sphere on each end.
+ * @param {Object} [settings]
+ * @param {number} [settings.radius=0.5] Radius of the cylinder and the end spheres.
+ * @param {number} [settings.height=1] Length of the cylinder part. The total length of the capsule is height + 2 * radius.
+ * @extends Collider
+ */
+function CapsuleCollider(settings) {
+	settings = settings || {};
+
+	/**
+	 * @type {number}
+	 */
+	this.radius = settings.radius !== undefined ? settings.radius : 0.5;
+
+	/**
+	 * @type {number}
+	 */
+	this.height = settings.height !== undefined ? settings.height : 1;
+
+	Collider.call(this);
+}
+CapsuleCollider.prototype = Object.create(Collider.prototype);
+CapsuleCollider.prototype.constructor = CapsuleCollider;
+
+/**
+ * @private
+ * @param {Transform} transform
+ * @param {Collider} targetCollider
+ */
+CapsuleCollider.prototype.transform = function (transform, targetCollider) {
+	var s = transform.scale;
+	targetCollider.radius = Math.max(Math.abs(s.x), Math.abs(s.y)) * this.radius;
+	targetCollider.height = Math.abs(s.z) * this.height;
+};
+
+/**
+ * @returns {CapsuleCollider}
+ */
+CapsuleCollider.prototype.clone = function () {
+	return new CapsuleCollider({
+		radius: this.radius,
+		height: this.height
+	});
+};
+
+module.exports = CapsuleCollider;
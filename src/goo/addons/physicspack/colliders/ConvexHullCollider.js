@@ -0,0 +1,63 @@
+var Collider = require('../../../addons/physicspack/colliders/Collider');
+var ConvexHull = require('../../../addons/physicspack/util/ConvexHull');
+var MeshData = require('../../../renderer/MeshData');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * Physics collider shaped like the convex hull of a mesh. Unlike the {@link MeshCollider}, it can be used on dynamic rigid bodies.
+ * @param {Object} [settings]
+ * @param {MeshData} [settings.meshData] The mesh to build the hull from.
+ * @param {Vector3} [settings.scale]
+ * @param {ConvexHull} [settings.hull] A hull that was already built from the mesh, to share it instead of building a new one.
+ * @extends Collider
+ * @example
+ * var collider = new ConvexHullCollider({ meshData: new Cone(16, 1, 2) });
+ * world.createEntity(collider, new RigidBodyComponent({ mass: 1 })).addToWorld();
+ */
+function ConvexHullCollider(settings) {
+	settings = settings || {};
+
+	/**
+	 * @type {MeshData}
+	 */
+	this.meshData = settings.meshData || null;
+
+	/**
+	 * @type {Vector3}
+	 */
+	this.scale = settings.scale !== undefined ? new Vector3(settings.scale) : new Vector3(1, 1, 1);
+
+	/**
+	 * The unscaled hull of the mesh data.
+	 * @type {ConvexHull}
+	 */
+	this.hull = settings.hull || (this.meshData ? new ConvexHull(this.meshData.getAttributeBuffer(MeshData.POSITION)) : null);
+
+	Collider.call(this);
+}
+ConvexHullCollider.prototype = Object.create(Collider.prototype);
+ConvexHullCollider.prototype.constructor = ConvexHullCollider;
+
+/**
+ * @private
+ * @param {Transform} transform
+ * @param {Collider} targetCollider
+ */
+ConvexHullCollider.prototype.transform = function (transform, targetCollider) {
+	targetCollider.meshData = this.meshData;
+	targetCollider.hull = this.hull;
+	targetCollider.scale.set(this.scale).mul(transform.scale);
+};
+
+/**
+ * @returns {ConvexHullCollider}
+ */
+ConvexHullCollider.prototype.clone = function () {
+	return new ConvexHullCollider({
+		meshData: this.meshData,
+		scale: this.scale,
+		hull: this.hull
+	});
+};
+
+module.exports = ConvexHullCollider;
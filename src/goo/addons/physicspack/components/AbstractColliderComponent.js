@@ -1,11 +1,14 @@
 var Component = require('../../../entities/components/Component');
 var Collider = require('../../../addons/physicspack/colliders/Collider');
+var EventTarget = require('../../../util/EventTarget');
 
 /**
  * Adds a physics collider to the entity. If the entity or any of its ancestors have a {RigidBodyComponent}, the collider is added to the physics world.
  * @param {Object} [settings]
  * @param {Collider} [settings.collider]
  * @param {boolean} [settings.isTrigger=false]
+ * @param {number} [settings.collisionGroup=1]
+ * @param {number} [settings.collisionMask=-1]
  * @extends Component
  */
 function AbstractColliderComponent(settings) {
@@ -47,10 +50,53 @@ function AbstractColliderComponent(settings) {
 	 * @type {PhysicsMaterial}
 	 */
 	this.material = settings.material !== undefined ? settings.material : null;
+
+	/**
+	 * Bit mask of the collision layers of the collider. Only used when the collider has no rigid body, the colliders of a {@link RigidBodyComponent} use the layers of the body.
+	 * @type {number}
+	 */
+	this.collisionGroup = settings.collisionGroup !== undefined ? settings.collisionGroup : 1;
+
+	/**
+	 * Bit mask of the collision layers the collider collides with. Only used when the collider has no rigid body.
+	 * @type {number}
+	 */
+	this.collisionMask = settings.collisionMask !== undefined ? settings.collisionMask : -1;
+
+	EventTarget.call(this);
 }
 AbstractColliderComponent.prototype = Object.create(Component.prototype);
 AbstractColliderComponent.prototype.constructor = AbstractColliderComponent;
 
+/**
+ * Listens to the contacts of the collider. The event types are 'beginContact', 'duringContact' and 'endContact', and they are fired after each physics step.
+ * The event has the entity of the collider (entity), the collider entity it touches (otherEntity), the contact points (contacts) with their point, normal and impulse in world space, and the sum of the impulses (impulse). The normals point away from the other entity.
+ * @function
+ * @param {string} type
+ * @param {Function} listener
+ * @returns {AbstractColliderComponent} Self for chaining.
+ */
+AbstractColliderComponent.prototype.on = EventTarget.prototype.on;
+
+/**
+ * Removes a contact listener, or all the listeners of the type if no listener is given.
+ * @function
+ * @param {string} type
+ * @param {Function} [listener]
+ * @returns {AbstractColliderComponent} Self for chaining.
+ */
+AbstractColliderComponent.prototype.off = EventTarget.prototype.off;
+
+/**
+ * @private
+ */
+AbstractColliderComponent.prototype.fire = EventTarget.prototype.fire;
+
+/**
+ * @private
+ */
+AbstractColliderComponent.prototype.has = EventTarget.prototype.has;
+
 /**
  * Get the closest parent (or self) entity that has a RigidBodyComponent. Returns undefined if none was found.
  * @returns {Entity}
@@ -2,6 +2,7 @@ var Component = require('../../../entities/components/Component');
 var Quaternion = require('../../../math/Quaternion');
 var Transform = require('../../../math/Transform');
 var SystemBus = require('../../../entities/SystemBus');
+var EventTarget = require('../../../util/EventTarget');
 
 var tmpQuat = new Quaternion();
 
@@ -17,10 +18,46 @@ function AbstractRigidBodyComponent() {
 	 * @type {Array}
 	 */
 	this.joints = [];
+
+	EventTarget.call(this);
 }
 AbstractRigidBodyComponent.prototype = Object.create(Component.prototype);
 AbstractRigidBodyComponent.prototype.constructor = AbstractRigidBodyComponent;
 
+/**
+ * Listens to the contacts of all the colliders of the body, with the same events as {@link AbstractColliderComponent#on}. The entity of the event is the collider entity of the body that is in contact.
+ * @function
+ * @param {string} type
+ * @param {Function} listener
+ * @returns {AbstractRigidBodyComponent} Self for chaining.
+ * @example
+ * entity.rigidBodyComponent.on('beginContact', function (event) {
+ *     if (event.impulse > 5) {
+ *         playImpactSound(event.contacts[0].point);
+ *     }
+ * });
+ */
+AbstractRigidBodyComponent.prototype.on = EventTarget.prototype.on;
+
+/**
+ * Removes a contact listener, or all the listeners of the type if no listener is given.
+ * @function
+ * @param {string} type
+ * @param {Function} [listener]
+ * @returns {AbstractRigidBodyComponent} Self for chaining.
+ */
+AbstractRigidBodyComponent.prototype.off = EventTarget.prototype.off;
+
+/**
+ * @private
+ */
+AbstractRigidBodyComponent.prototype.fire = EventTarget.prototype.fire;
+
+/**
+ * @private
+ */
+AbstractRigidBodyComponent.prototype.has = EventTarget.prototype.has;
+
 /**
  * @param {PhysicsJoint}  joint
  */
@@ -0,0 +1,389 @@
+var Component = require('../../../entities/components/Component');
+var EntityUtils = require('../../../entities/EntityUtils');
+var RaycastResult = require('../../../addons/physicspack/RaycastResult');
+var MathUtils = require('../../../math/MathUtils');
+var Vector3 = require('../../../math/Vector3');
+
+var tmpVec = new Vector3();
+var tmpStart = new Vector3();
+var tmpUp = new Vector3();
+var tmpDown = new Vector3();
+var tmpGravity = new Vector3();
+var tmpDisplacement = new Vector3();
+var tmpDirection = new Vector3();
+var tmpSide = new Vector3();
+var tmpOrigin = new Vector3();
+var tmpNormal = new Vector3();
+var tmpTangentA = new Vector3();
+var tmpTangentB = new Vector3();
+var tmpGround = new RaycastResult();
+
+// lateral offsets of the rays cast from the capsule, as fractions of the radius
+var LATERAL_OFFSETS = [-0.7, 0, 0.7];
+
+/**
+ * A kinematic character controller. It moves the entity with collide-and-slide against the colliders of the {@link PhysicsSystem}, climbs steps and slopes that are low enough, keeps track of whether the character stands on the ground and lets it jump.
+ * The character is an upright capsule with its feet at the translation of the entity, which is expected to be at the root of the scene. The up direction is the opposite of the gravity of the physics system.
+ * Colliders on the entity itself, or on its children, are ignored; give the entity a kinematic {@link RigidBodyComponent} for other bodies to collide with the character.
+ * @param {Object} [settings]
+ * @param {number} [settings.radius=0.5]
+ * @param {number} [settings.height=2] Total height of the character.
+ * @param {number} [settings.stepOffset=0.3] The highest step the character can walk up.
+ * @param {number} [settings.slopeLimit=45] The steepest slope the character can walk on, in degrees.
+ * @param {number} [settings.skinWidth=0.02] The distance kept to colliders.
+ * @param {number} [settings.jumpSpeed=5]
+ * @param {number} [settings.collisionMask=-1] Collision groups that block the character.
+ * @extends Component
+ * @example
+ * var controller = new CharacterControllerComponent({ height: 1.8 });
+ * var player = world.createEntity(controller).addToWorld();
+ * // every frame
+ * controller.move(new Vector3(0, 0, -2), world.tpf);
+ * if (jumpPressed) {
+ *     controller.jump();
+ * }
+ */
+function CharacterControllerComponent(settings) {
+	Component.apply(this, arguments);
+
+	settings = settings || {};
+
+	this.type = 'CharacterControllerComponent';
+
+	/**
+	 * @type {number}
+	 */
+	this.radius = settings.radius !== undefined ? settings.radius : 0.5;
+
+	/**
+	 * @type {number}
+	 */
+	this.height = settings.height !== undefined ? settings.height : 2;
+
+	/**
+	 * @type {number}
+	 */
+	this.stepOffset = settings.stepOffset !== undefined ? settings.stepOffset : 0.3;
+
+	/**
+	 * In degrees.
+	 * @type {number}
+	 */
+	this.slopeLimit = settings.slopeLimit !== undefined ? settings.slopeLimit : 45;
+
+	/**
+	 * @type {number}
+	 */
+	this.skinWidth = settings.skinWidth !== undefined ? settings.skinWidth : 0.02;
+
+	/**
+	 * @type {number}
+	 */
+	this.jumpSpeed = settings.jumpSpeed !== undefined ? settings.jumpSpeed : 5;
+
+	/**
+	 * @type {number}
+	 */
+	this.collisionMask = settings.collisionMask !== undefined ? settings.collisionMask : -1;
+
+	/**
+	 * True if the character stood on walkable ground after the last move.
+	 * @type {boolean}
+	 */
+	this.isGrounded = false;
+
+	/**
+	 * The normal of the ground below the character, if grounded.
+	 * @type {Vector3}
+	 */
+	this.groundNormal = new Vector3(0, 1, 0);
+
+	/**
+	 * The entity the character stands on, if grounded.
+	 * @type {Entity}
+	 */
+	this.groundEntity = null;
+
+	/**
+	 * The velocity the character actually moved with in the last move.
+	 * @type {Vector3}
+	 */
+	this.velocity = new Vector3();
+
+	/**
+	 * @private
+	 * @type {Entity}
+	 */
+	this.entity = null;
+
+	/**
+	 * @private
+	 * @type {PhysicsSystem}
+	 */
+	this.system = null;
+
+	this._verticalSpeed = 0;
+	this._hit = new RaycastResult();
+	this._raycastOptions = {};
+}
+
+CharacterControllerComponent.prototype = Object.create(Component.prototype);
+CharacterControllerComponent.prototype.constructor = CharacterControllerComponent;
+
+CharacterControllerComponent.type = 'CharacterControllerComponent';
+
+/**
+ * Handles attaching itself to an entity. Should only be called by the engine.
+ * @private
+ * @param entity
+ */
+CharacterControllerComponent.prototype.attached = function (entity) {
+	this.entity = entity;
+	this.system = entity._world.getSystem('PhysicsSystem') || null;
+};
+
+/**
+ * Handles detaching itself to an entity. Should only be called by the engine.
+ * @private
+ */
+CharacterControllerComponent.prototype.detached = function () {
+	this.entity = null;
+	this.system = null;
+};
+
+/**
+ * Moves the character. Gravity is applied on top of the given velocity, which is flattened to the ground plane.
+ * @param {Vector3} direction The velocity to walk with
+ * @param {number} tpf Time since the last move
+ * @returns {CharacterControllerComponent} Self for chaining
+ */
+CharacterControllerComponent.prototype.move = function (direction, tpf) {
+	if (!this.entity || tpf <= 0) {
+		return this;
+	}
+	if (!this.system) {
+		this.system = this.entity._world.getSystem('PhysicsSystem') || null;
+		if (!this.system) {
+			return this;
+		}
+	}
+
+	var transformComponent = this.entity.transformComponent;
+	var position = transformComponent.transform.translation;
+	tmpStart.set(position);
+
+	this.system.getGravity(tmpGravity);
+	var gravity = tmpGravity.length();
+	var up = tmpUp;
+	if (gravity > 0) {
+		up.set(tmpGravity).scale(-1 / gravity);
+	} else {
+		up.set(Vector3.UNIT_Y);
+	}
+
+	var wasGrounded = this.isGrounded;
+	if (wasGrounded && this._verticalSpeed <= 0) {
+		this._verticalSpeed = 0;
+	} else {
+		this._verticalSpeed -= gravity * tpf;
+	}
+
+	var displacement = tmpDisplacement.set(direction).scale(tpf);
+	displacement.sub(tmpVec.set(up).scale(displacement.dot(up)));
+	this._slide(position, displacement, up);
+
+	this._moveVertically(position, up, this._verticalSpeed * tpf, wasGrounded);
+
+	transformComponent.setUpdated();
+	if (this.entity.rigidBodyComponent) {
+		this.entity.rigidBodyComponent.setPosition(position);
+	}
+
+	this.velocity.set(position).sub(tmpStart).scale(1 / tpf);
+
+	return this;
+};
+
+/**
+ * Makes the character jump, if it is on the ground.
+ * @param {number} [speed] Defaults to the jumpSpeed of the controller
+ * @returns {boolean} True if the character jumped
+ */
+CharacterControllerComponent.prototype.jump = function (speed) {
+	if (!this.isGrounded) {
+		return false;
+	}
+	this._verticalSpeed = speed !== undefined ? speed : this.jumpSpeed;
+	this.isGrounded = false;
+	this.groundEntity = null;
+	return true;
+};
+
+/**
+ * Closest hit of a ray that is not on the character itself, nor on a trigger.
+ * @private
+ */
+CharacterControllerComponent.prototype._cast = function (start, direction, distance, result) {
+	var entity = this.entity;
+	var found = false;
+	this._raycastOptions.collisionMask = this.collisionMask;
+	this.system.raycastAll(start, direction, distance, this._raycastOptions, function (hit) {
+		if (!hit.entity || EntityUtils.isInHierarchyOf(hit.entity, entity) || (hit.entity.colliderComponent && hit.entity.colliderComponent.isTrigger)) {
+			return;
+		}
+		if (!found || hit.distance < result.distance) {
+			found = true;
+			result.entity = hit.entity;
+			result.point.set(hit.point);
+			result.normal.set(hit.normal);
+			result.distance = hit.distance;
+		}
+	});
+	return found;
+};
+
+CharacterControllerComponent.prototype._isWalkable = function (normal, up) {
+	return normal.dot(up) >= Math.cos(this.slopeLimit * MathUtils.DEG_TO_RAD) - 1e-6;
+};
+
+/**
+ * Moves sideways, sliding along whatever gets in the way. Obstacles below the step offset are left to _moveVertically.
+ * @private
+ */
+CharacterControllerComponent.prototype._slide = function (position, displacement, up) {
+	var radius = this.radius;
+	var skinWidth = this.skinWidth;
+	var heights = [
+		Math.min(this.stepOffset + skinWidth, this.height - skinWidth),
+		this.height / 2,
+		this.height - skinWidth
+	];
+	var hit = this._hit;
+
+	for (var iteration = 0; iteration < 3; iteration++) {
+		var distance = displacement.length();
+		if (distance < 1e-6) {
+			break;
+		}
+		var direction = tmpDirection.set(displacement).scale(1 / distance);
+		tmpSide.set(up).cross(direction);
+
+		var allowed = distance;
+		var blocked = false;
+		for (var i = 0; i < heights.length; i++) {
+			for (var j = 0; j < LATERAL_OFFSETS.length; j++) {
+				var offset = LATERAL_OFFSETS[j] * radius;
+				var front = Math.sqrt(radius * radius - offset * offset);
+				tmpOrigin.set(up).scale(heights[i]).add(position);
+				tmpOrigin.add(tmpVec.set(tmpSide).scale(offset));
+
+				if (this._cast(tmpOrigin, direction, front + distance + skinWidth, hit)) {
+					var travel = Math.max(0, hit.distance - front - skinWidth);
+					if (travel < allowed) {
+						allowed = travel;
+						tmpNormal.set(hit.normal);
+						blocked = true;
+					}
+				}
+			}
+		}
+
+		position.add(tmpVec.set(direction).scale(allowed));
+		if (!blocked) {
+			break;
+		}
+
+		// the rest of the movement slides along the obstacle, treated as an upright wall
+		displacement.set(direction).scale(distance - allowed);
+		tmpNormal.sub(tmpVec.set(up).scale(tmpNormal.dot(up)));
+		if (tmpNormal.length() < 1e-6) {
+			break;
+		}
+		tmpNormal.normalize();
+		displacement.sub(tmpVec.set(tmpNormal).scale(displacement.dot(tmpNormal)));
+	}
+};
+
+/**
+ * Falls, lands, climbs steps or snaps down to the ground, and updates the grounded state.
+ * @private
+ */
+CharacterControllerComponent.prototype._moveVertically = function (position, up, distance, wasGrounded) {
+	var skinWidth = this.skinWidth;
+	var hit = this._hit;
+
+	this.isGrounded = false;
+	this.groundEntity = null;
+
+	if (distance > 0) {
+		// going up; stop at the ceiling
+		tmpOrigin.set(up).scale(this.height - this.radius).add(position);
+		if (this._cast(tmpOrigin, up, this.radius + distance + skinWidth, hit)) {
+			distance = Math.max(0, hit.distance - this.radius - skinWidth);
+			this._verticalSpeed = 0;
+		}
+		position.add(tmpVec.set(up).scale(distance));
+		return;
+	}
+
+	// probe for the highest ground below the feet, from the height of the highest climbable step
+	var probeHeight = this.stepOffset + skinWidth;
+	var probeLength = probeHeight - distance + (wasGrounded ? this.stepOffset : 0);
+	tmpDown.set(up).scale(-1);
+	tmpTangentA.set(Math.abs(up.x) < 0.9 ? Vector3.UNIT_X : Vector3.UNIT_Z);
+	tmpTangentA.sub(tmpVec.set(up).scale(tmpTangentA.dot(up))).normalize();
+	tmpTangentB.set(up).cross(tmpTangentA);
+
+	var found = false;
+	for (var i = 0; i < 5; i++) {
+		tmpOrigin.set(up).scale(probeHeight).add(position);
+		if (i > 0) {
+			var tangent = i < 3 ? tmpTangentA : tmpTangentB;
+			tmpOrigin.add(tmpVec.set(tangent).scale(i % 2 ? 0.7 * this.radius : -0.7 * this.radius));
+		}
+		if (this._cast(tmpOrigin, tmpDown, probeLength, hit) && (!found || hit.distance < tmpGround.distance)) {
+			found = true;
+			tmpGround.entity = hit.entity;
+			tmpGround.normal.set(hit.normal);
+			tmpGround.distance = hit.distance;
+		}
+	}
+
+	if (!found) {
+		position.add(tmpVec.set(up).scale(distance));
+		return;
+	}
+
+	// how far above the feet the ground is
+	var rise = probeHeight - tmpGround.distance;
+
+	if (this._isWalkable(tmpGround.normal, up)) {
+		if (rise >= distance) {
+			position.add(tmpVec.set(up).scale(rise));
+			this._verticalSpeed = 0;
+			this.isGrounded = true;
+			this.groundEntity = tmpGround.entity;
+			this.groundNormal.set(tmpGround.normal);
+		} else {
+			position.add(tmpVec.set(up).scale(distance));
+		}
+		return;
+	}
+
+	// too steep to stand on; slide downhill instead of climbing
+	tmpNormal.set(tmpGround.normal).sub(tmpVec.set(up).scale(tmpGround.normal.dot(up)));
+	if (tmpNormal.length() > 1e-6) {
+		tmpNormal.normalize();
+		var into = -tmpVec.set(position).sub(tmpStart).dot(tmpNormal);
+		var steepness = Math.max(Math.sqrt(1 - Math.pow(tmpGround.normal.dot(up), 2)) / Math.max(tmpGround.normal.dot(up), 1e-6), 1e-6);
+		var downhill = Math.max(into, 0) - distance / steepness;
+		this._slide(position, tmpDisplacement.set(tmpNormal).scale(downhill), up);
+	}
+	if (rise >= distance) {
+		this._verticalSpeed = 0;
+		distance = Math.min(rise, 0);
+	}
+	position.add(tmpVec.set(up).scale(distance));
+};
+
+module.exports = CharacterControllerComponent;
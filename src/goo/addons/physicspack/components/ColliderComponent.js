@@ -4,6 +4,9 @@ var SphereCollider = require('../../../addons/physicspack/colliders/SphereCollid
 var MeshCollider = require('../../../addons/physicspack/colliders/MeshCollider');
 var PlaneCollider = require('../../../addons/physicspack/colliders/PlaneCollider');
 var CylinderCollider = require('../../../addons/physicspack/colliders/CylinderCollider');
+var CapsuleCollider = require('../../../addons/physicspack/colliders/CapsuleCollider');
+var ConvexHullCollider = require('../../../addons/physicspack/colliders/ConvexHullCollider');
+var ConvexHull = require('../../../addons/physicspack/util/ConvexHull');
 var Collider = require('../../../addons/physicspack/colliders/Collider');
 var Vector3 = require('../../../math/Vector3');
 var Quaternion = require('../../../math/Quaternion');
@@ -17,6 +20,8 @@ var tmpQuat = new Quaternion();
  * @param {Object} [settings]
  * @param {Collider} [settings.collider]
  * @param {boolean} [settings.isTrigger=false]
+ * @param {number} [settings.collisionGroup=1]
+ * @param {number} [settings.collisionMask=-1]
  * @extends AbstractColliderComponent
  */
 function ColliderComponent(settings) {
@@ -42,6 +47,43 @@ ColliderComponent.prototype.constructor = ColliderComponent;
 
 ColliderComponent.type = 'ColliderComponent';
 
+Object.defineProperties(ColliderComponent.prototype, {
+
+	/**
+	 * Bit mask of the collision layers of the collider. Only used when the collider has no rigid body, the colliders of a {@link RigidBodyComponent} use the layers of the body.
+	 * @target-class ColliderComponent collisionGroup member
+	 * @type {number}
+	 */
+	collisionGroup: {
+		get: function () {
+			return this._collisionGroup;
+		},
+		set: function (value) {
+			this._collisionGroup = value;
+			if (this.cannonBody) {
+				this.cannonBody.collisionFilterGroup = value;
+			}
+		}
+	},
+
+	/**
+	 * Bit mask of the collision layers the collider collides with. Only used when the collider has no rigid body.
+	 * @target-class ColliderComponent collisionMask member
+	 * @type {number}
+	 */
+	collisionMask: {
+		get: function () {
+			return this._collisionMask;
+		},
+		set: function (value) {
+			this._collisionMask = value;
+			if (this.cannonBody) {
+				this.cannonBody.collisionFilterMask = value;
+			}
+		}
+	}
+});
+
 /**
  * Initialize the collider as a static rigid body in the physics world.
  */
@@ -70,7 +112,9 @@ ColliderComponent.prototype.initialize = function () {
 	var body = new CANNON.Body({
 		mass: 0,
 		position: position,
-		quaternion: quaternion
+		quaternion: quaternion,
+		collisionFilterGroup: this.collisionGroup,
+		collisionFilterMask: this.collisionMask
 	});
 	this.system.cannonWorld.addBody(body);
 	this.cannonBody = body;
@@ -110,6 +154,47 @@ ColliderComponent.prototype.destroy = function () {
 
 ColliderComponent.numCylinderSegments = 10;
 
+/**
+ * Number of segments around the capsule shapes. Each end sphere gets a quarter as many rings.
+ * @type {number}
+ */
+ColliderComponent.numCapsuleSegments = 12;
+
+// a capsule is the convex hull of two rounded ends; cannon.js has no capsule primitive
+function createCapsuleShape(radius, height) {
+	var numSegments = ColliderComponent.numCapsuleSegments;
+	var numRings = Math.max(1, Math.round(numSegments / 4));
+	var points = [];
+	for (var side = -1; side <= 1; side += 2) {
+		var z = side * height / 2;
+		for (var i = 0; i < numRings; i++) {
+			var latitude = i / numRings * Math.PI / 2;
+			var ringRadius = radius * Math.cos(latitude);
+			var ringZ = z + side * radius * Math.sin(latitude);
+			for (var j = 0; j < numSegments; j++) {
+				var angle = j / numSegments * Math.PI * 2;
+				points.push(ringRadius * Math.cos(angle), ringRadius * Math.sin(angle), ringZ);
+			}
+		}
+		points.push(0, 0, z + side * radius);
+	}
+	return createConvexShape(new ConvexHull(points), new Vector3(1, 1, 1));
+}
+
+function createConvexShape(hull, scale) {
+	var vertices = hull.vertices.map(function (vertex) {
+		return new CANNON.Vec3(
+			vertex.x * Math.abs(scale.x),
+			vertex.y * Math.abs(scale.y),
+			vertex.z * Math.abs(scale.z)
+		);
+	});
+	var faces = hull.faces.map(function (face) {
+		return face.slice();
+	});
+	return new CANNON.ConvexPolyhedron(vertices, faces);
+}
+
 /**
  * Create a CANNON.Shape given a Collider. A BoxCollider yields a CANNON.Box and so on.
  * @param {Collider} collider
@@ -138,6 +223,10 @@ ColliderComponent.getCannonShape = function (collider) {
 		shape.transformAllPoints(new Vector3(), quat);
 		shape.computeEdges();
 		shape.updateBoundingSphereRadius();
+	} else if (collider instanceof CapsuleCollider) {
+		shape = createCapsuleShape(collider.radius, collider.height);
+	} else if (collider instanceof ConvexHullCollider) {
+		shape = createConvexShape(collider.hull, collider.scale);
 	} else if (collider instanceof MeshCollider) {
 		// Assume triangles
 		if (collider.meshData.indexModes[0] !== 'Triangles') {
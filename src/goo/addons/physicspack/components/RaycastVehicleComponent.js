@@ -0,0 +1,306 @@
+var Component = require('../../../entities/components/Component');
+var SystemBus = require('../../../entities/SystemBus');
+var Matrix3 = require('../../../math/Matrix3');
+var Vector3 = require('../../../math/Vector3');
+
+/* global CANNON */
+
+var tmpSteering = new Matrix3();
+var tmpSpin = new Matrix3();
+
+function getSetting(settings, key, defaultValue) {
+	return settings[key] !== undefined ? settings[key] : defaultValue;
+}
+
+/**
+ * A vehicle driving on raycast wheels, using the CANNON.RaycastVehicle of [Cannon.js]{@link http://github.com/schteppe/cannon.js}. The entity needs a {@link RigidBodyComponent} and colliders for the chassis.
+ * The chassis drives along its local negative Z axis with its local Y axis up. Each wheel casts a ray straight down from its position on the chassis, and the suspension keeps the chassis above the ground.
+ * Wheel entities, which should be children of the vehicle entity without colliders of their own, get their translation and rotation set to follow the suspension, steering and spin of their wheel.
+ * @extends Component
+ * @param {Object} [settings]
+ * @param {Array<Object>} [settings.wheels] Wheel settings, see {@link RaycastVehicleComponent#addWheel}.
+ * @example
+ * var vehicle = new RaycastVehicleComponent({
+ *     wheels: [
+ *         { position: new Vector3(-1, 0, -2), steering: true, entity: frontLeftWheel },
+ *         { position: new Vector3(1, 0, -2), steering: true, entity: frontRightWheel },
+ *         { position: new Vector3(-1, 0, 2), driven: true, entity: rearLeftWheel },
+ *         { position: new Vector3(1, 0, 2), driven: true, entity: rearRightWheel }
+ *     ]
+ * });
+ * chassis.set(new RigidBodyComponent({ mass: 150 })).set(vehicle);
+ * // every frame
+ * vehicle.engineForce = forwardPressed ? 500 : 0;
+ * vehicle.steering = leftPressed ? 0.5 : 0;
+ */
+function RaycastVehicleComponent(settings) {
+	Component.apply(this, arguments);
+
+	settings = settings || {};
+
+	this.type = 'RaycastVehicleComponent';
+
+	/**
+	 * The wheels of the vehicle. Changes to their settings are picked up on the next physics step.
+	 * @type {Array<Object>}
+	 */
+	this.wheels = [];
+
+	/**
+	 * Force that the driven wheels push the vehicle forward with. Negative values drive backwards.
+	 * @type {number}
+	 */
+	this.engineForce = getSetting(settings, 'engineForce', 0);
+
+	/**
+	 * Brake force of the braked wheels.
+	 * @type {number}
+	 */
+	this.brakeForce = getSetting(settings, 'brakeForce', 0);
+
+	/**
+	 * Steering angle of the steering wheels in radians. Positive values turn left.
+	 * @type {number}
+	 */
+	this.steering = getSetting(settings, 'steering', 0);
+
+	/**
+	 * @private
+	 * @type {Entity}
+	 */
+	this.entity = null;
+
+	/**
+	 * @private
+	 * @type {PhysicsSystem}
+	 */
+	this.system = null;
+
+	this._vehicle = null;
+	this._preStepListener = this._preStep.bind(this);
+	this._initializedListener = function (event) {
+		if (event.entity === this.entity) {
+			this._findSystem();
+		}
+	}.bind(this);
+
+	(settings.wheels || []).forEach(function (wheelSettings) {
+		this.addWheel(wheelSettings);
+	}, this);
+}
+
+RaycastVehicleComponent.prototype = Object.create(Component.prototype);
+RaycastVehicleComponent.prototype.constructor = RaycastVehicleComponent;
+
+RaycastVehicleComponent.type = 'RaycastVehicleComponent';
+
+/**
+ * Adds a wheel to the vehicle.
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.position] Where the suspension is attached to the chassis, local to the vehicle entity.
+ * @param {Entity} [settings.entity] Entity to move with the wheel.
+ * @param {number} [settings.radius=0.5]
+ * @param {number} [settings.suspensionRestLength=0.3]
+ * @param {number} [settings.suspensionStiffness=30]
+ * @param {number} [settings.maxSuspensionTravel=0.3]
+ * @param {number} [settings.maxSuspensionForce=100000]
+ * @param {number} [settings.dampingRelaxation=2.3]
+ * @param {number} [settings.dampingCompression=4.4]
+ * @param {number} [settings.frictionSlip=5] How much sideways and forward force the tire can take before it slides.
+ * @param {number} [settings.rollInfluence=0.01] Scales the rolling torque of the side forces, lower values keep the vehicle from tipping over.
+ * @param {boolean} [settings.steering=false] Whether the wheel turns with the steering of the vehicle.
+ * @param {boolean} [settings.driven=false] Whether the engine force is applied to the wheel.
+ * @param {boolean} [settings.braked=true] Whether the brake force is applied to the wheel.
+ * @returns {Object} The wheel.
+ */
+RaycastVehicleComponent.prototype.addWheel = function (settings) {
+	settings = settings || {};
+
+	var wheel = {
+		position: new Vector3(settings.position || Vector3.ZERO),
+		entity: settings.entity || null,
+		radius: getSetting(settings, 'radius', 0.5),
+		suspensionRestLength: getSetting(settings, 'suspensionRestLength', 0.3),
+		suspensionStiffness: getSetting(settings, 'suspensionStiffness', 30),
+		maxSuspensionTravel: getSetting(settings, 'maxSuspensionTravel', 0.3),
+		maxSuspensionForce: getSetting(settings, 'maxSuspensionForce', 100000),
+		dampingRelaxation: getSetting(settings, 'dampingRelaxation', 2.3),
+		dampingCompression: getSetting(settings, 'dampingCompression', 4.4),
+		frictionSlip: getSetting(settings, 'frictionSlip', 5),
+		rollInfluence: getSetting(settings, 'rollInfluence', 0.01),
+		steering: getSetting(settings, 'steering', false),
+		driven: getSetting(settings, 'driven', false),
+		braked: getSetting(settings, 'braked', true),
+
+		/**
+		 * Whether the wheel touched the ground in the last physics step.
+		 */
+		isInContact: false
+	};
+	this.wheels.push(wheel);
+
+	return wheel;
+};
+
+/**
+ * Removes a wheel from the vehicle.
+ * @param {Object} wheel
+ */
+RaycastVehicleComponent.prototype.removeWheel = function (wheel) {
+	var index = this.wheels.indexOf(wheel);
+	if (index !== -1) {
+		this.wheels.splice(index, 1);
+	}
+};
+
+/**
+ * Gets the speed of the vehicle along its forward axis. Negative when it is reversing.
+ * @returns {number}
+ */
+RaycastVehicleComponent.prototype.getSpeed = function () {
+	var rigidBodyComponent = this.entity && this.entity.rigidBodyComponent;
+	var body = rigidBodyComponent && rigidBodyComponent.cannonBody;
+	if (!body) {
+		return 0;
+	}
+	var forward = body.quaternion.vmult(new CANNON.Vec3(0, 0, -1));
+	return forward.dot(body.velocity);
+};
+
+/**
+ * Handles attaching itself to an entity. Should only be called by the engine.
+ * @private
+ * @param entity
+ */
+RaycastVehicleComponent.prototype.attached = function (entity) {
+	this.entity = entity;
+	this._findSystem();
+	SystemBus.addListener('goo.physics.initialized', this._initializedListener);
+};
+
+/**
+ * Handles detaching itself to an entity. Should only be called by the engine.
+ * @private
+ */
+RaycastVehicleComponent.prototype.detached = function () {
+	SystemBus.removeListener('goo.physics.initialized', this._initializedListener);
+	if (this.system) {
+		this.system.cannonWorld.removeEventListener('preStep', this._preStepListener);
+	}
+	this.entity = null;
+	this.system = null;
+	this._vehicle = null;
+};
+
+/**
+ * Hooks into the steps of the PhysicsSystem of the world. Without one yet, it is looked up again when the rigid body of the entity is created.
+ * @private
+ */
+RaycastVehicleComponent.prototype._findSystem = function () {
+	if (this.system) {
+		return;
+	}
+	this.system = this.entity._world.getSystem('PhysicsSystem') || null;
+	if (this.system) {
+		this.system.cannonWorld.addEventListener('preStep', this._preStepListener);
+	}
+};
+
+/**
+ * Updates the suspension and tire forces before each physics step. The cannon vehicle is rebuilt when the rigid body or the number of wheels changes.
+ * @private
+ */
+RaycastVehicleComponent.prototype._preStep = function () {
+	var rigidBodyComponent = this.entity.rigidBodyComponent;
+	var body = rigidBodyComponent && rigidBodyComponent.cannonBody;
+	if (!body) {
+		this._vehicle = null;
+		return;
+	}
+
+	var vehicle = this._vehicle;
+	if (!vehicle || vehicle.chassisBody !== body || vehicle.wheelInfos.length !== this.wheels.length) {
+		vehicle = this._vehicle = this._createVehicle(body);
+	}
+
+	for (var i = 0; i < this.wheels.length; i++) {
+		this._updateWheelInfo(this.wheels[i], vehicle.wheelInfos[i]);
+	}
+
+	vehicle.updateVehicle(this.system.cannonWorld.dt);
+
+	for (var i = 0; i < this.wheels.length; i++) {
+		var wheel = this.wheels[i];
+		wheel.isInContact = vehicle.wheelInfos[i].isInContact;
+		if (wheel.entity) {
+			this._updateWheelEntity(wheel.entity, vehicle.wheelInfos[i]);
+		}
+	}
+};
+
+/**
+ * @private
+ * @param {CANNON.Body} body
+ * @returns {CANNON.RaycastVehicle}
+ */
+RaycastVehicleComponent.prototype._createVehicle = function (body) {
+	var vehicle = new CANNON.RaycastVehicle({
+		chassisBody: body,
+		indexRightAxis: 0,
+		indexUpAxis: 1,
+		indexForwardAxis: 2
+	});
+
+	this.wheels.forEach(function () {
+		vehicle.addWheel({
+			directionLocal: new CANNON.Vec3(0, -1, 0),
+			axleLocal: new CANNON.Vec3(-1, 0, 0)
+		});
+	});
+
+	// The wheels cast their rays in this world; the chassis body is already in it
+	vehicle.world = this.system.cannonWorld;
+
+	return vehicle;
+};
+
+/**
+ * @private
+ * @param {Object} wheel
+ * @param {CANNON.WheelInfo} wheelInfo
+ */
+RaycastVehicleComponent.prototype._updateWheelInfo = function (wheel, wheelInfo) {
+	wheelInfo.chassisConnectionPointLocal.copy(wheel.position);
+	wheelInfo.radius = wheel.radius;
+	wheelInfo.suspensionRestLength = wheel.suspensionRestLength;
+	wheelInfo.suspensionStiffness = wheel.suspensionStiffness;
+	wheelInfo.maxSuspensionTravel = wheel.maxSuspensionTravel;
+	wheelInfo.maxSuspensionForce = wheel.maxSuspensionForce;
+	wheelInfo.dampingRelaxation = wheel.dampingRelaxation;
+	wheelInfo.dampingCompression = wheel.dampingCompression;
+	wheelInfo.frictionSlip = wheel.frictionSlip;
+	wheelInfo.rollInfluence = wheel.rollInfluence;
+
+	wheelInfo.engineForce = wheel.driven ? this.engineForce : 0;
+	wheelInfo.brake = wheel.braked ? this.brakeForce : 0;
+	wheelInfo.steering = wheel.steering ? this.steering : 0;
+};
+
+/**
+ * Moves the wheel entity to the end of the suspension, turned by the steering and spun by the rolling of the wheel.
+ * @private
+ * @param {Entity} entity
+ * @param {CANNON.WheelInfo} wheelInfo
+ */
+RaycastVehicleComponent.prototype._updateWheelEntity = function (entity, wheelInfo) {
+	var transform = entity.transformComponent.transform;
+	var connectionPoint = wheelInfo.chassisConnectionPointLocal;
+	transform.translation.setDirect(connectionPoint.x, connectionPoint.y - wheelInfo.suspensionLength, connectionPoint.z);
+
+	tmpSteering.fromAngleNormalAxis(wheelInfo.steering, 0, 1, 0);
+	tmpSpin.fromAngleNormalAxis(wheelInfo.rotation, -1, 0, 0);
+	transform.rotation.mul2(tmpSteering, tmpSpin);
+	entity.transformComponent.setUpdated();
+};
+
+module.exports = RaycastVehicleComponent;
@@ -1,16 +1,27 @@
 var AbstractRigidBodyComponent = require('../../../addons/physicspack/components/AbstractRigidBodyComponent');
 var Vector3 = require('../../../math/Vector3');
 var Quaternion = require('../../../math/Quaternion');
+var Matrix3 = require('../../../math/Matrix3');
 var BoxCollider = require('../../../addons/physicspack/colliders/BoxCollider');
 var SphereCollider = require('../../../addons/physicspack/colliders/SphereCollider');
 var MeshCollider = require('../../../addons/physicspack/colliders/MeshCollider');
 var BallJoint = require('../../../addons/physicspack/joints/BallJoint');
 var HingeJoint = require('../../../addons/physicspack/joints/HingeJoint');
+var ConeTwistJoint = require('../../../addons/physicspack/joints/ConeTwistJoint');
+var LockJoint = require('../../../addons/physicspack/joints/LockJoint');
+var SpringJoint = require('../../../addons/physicspack/joints/SpringJoint');
+var PrismaticJoint = require('../../../addons/physicspack/joints/PrismaticJoint');
+var ConfigurableJoint = require('../../../addons/physicspack/joints/ConfigurableJoint');
+var ConfigurableConstraint = require('../../../addons/physicspack/util/ConfigurableConstraint');
 var ColliderComponent = require('../../../addons/physicspack/components/ColliderComponent');
 var MathUtils = require('../../../math/MathUtils');
 
 /* global CANNON */
 var tmpQuat = new Quaternion();
+var tmpMatrix = new Matrix3();
+var tmpAxisX = new Vector3();
+var tmpAxisY = new Vector3();
+var tmpAxisZ = new Vector3();
 var tmpCannonVec;
 var tmpCannonVec2;
 
@@ -23,6 +34,8 @@ var tmpCannonVec2;
  * @param {Vector3} [settings.angularVelocity]
  * @param {number} [settings.linearDamping=0.01]
  * @param {number} [settings.angularDamping=0.05]
+ * @param {number} [settings.collisionGroup=1]
+ * @param {number} [settings.collisionMask=-1]
  * @extends AbstractRigidBodyComponent
  */
 function RigidBodyComponent(settings) {
@@ -102,6 +115,18 @@ function RigidBodyComponent(settings) {
 	 */
 	this._sleepingTimeLimit = settings.sleepingTimeLimit !== undefined ? settings.sleepingTimeLimit : 1;
 
+	/**
+	 * @private
+	 * @type {number}
+	 */
+	this._collisionGroup = settings.collisionGroup !== undefined ? settings.collisionGroup : 1;
+
+	/**
+	 * @private
+	 * @type {number}
+	 */
+	this._collisionMask = settings.collisionMask !== undefined ? settings.collisionMask : -1;
+
 	if (!tmpCannonVec) {
 		tmpCannonVec = new CANNON.Vec3();
 		tmpCannonVec2 = new CANNON.Vec3();
@@ -460,6 +485,47 @@ RigidBodyComponent.prototype.getInterpolatedQuaternion = function (targetQuat) {
 	);
 };
 
+/**
+ * Captures the position, rotation and velocities of the body.
+ * @returns {Object}
+ */
+RigidBodyComponent.prototype.snapshot = function () {
+	var data = {
+		position: null,
+		quaternion: null,
+		velocity: new Vector3(),
+		angularVelocity: new Vector3()
+	};
+	if (this.cannonBody) {
+		data.position = new Vector3();
+		data.quaternion = new Quaternion();
+		this.getPosition(data.position);
+		this.getQuaternion(data.quaternion);
+	}
+	this.getVelocity(data.velocity);
+	this.getAngularVelocity(data.angularVelocity);
+	return data;
+};
+
+/**
+ * Restores the state captured by {@link RigidBodyComponent#snapshot} and wakes the body up.
+ * @param {Object} data
+ */
+RigidBodyComponent.prototype.restore = function (data) {
+	var body = this.cannonBody;
+	if (body && data.position) {
+		this.setPosition(data.position);
+		this.setQuaternion(data.quaternion);
+		body.previousPosition.copy(body.position);
+		body.previousQuaternion.copy(body.quaternion);
+	}
+	this.setVelocity(data.velocity);
+	this.setAngularVelocity(data.angularVelocity);
+	if (body) {
+		body.wakeUp();
+	}
+};
+
 Object.defineProperties(RigidBodyComponent.prototype, {
 
 	/**
@@ -560,6 +626,40 @@ Object.defineProperties(RigidBodyComponent.prototype, {
 		}
 	},
 
+	/**
+	 * Bit mask of the collision layers of the body. Two bodies collide if the group of each one is in the mask of the other.
+	 * @target-class RigidBodyComponent collisionGroup member
+	 * @type {number}
+	 */
+	collisionGroup: {
+		get: function () {
+			return this._collisionGroup;
+		},
+		set: function (value) {
+			this._collisionGroup = value;
+			if (this.cannonBody) {
+				this.cannonBody.collisionFilterGroup = value;
+			}
+		}
+	},
+
+	/**
+	 * Bit mask of the collision layers the body collides with.
+	 * @target-class RigidBodyComponent collisionMask member
+	 * @type {number}
+	 */
+	collisionMask: {
+		get: function () {
+			return this._collisionMask;
+		},
+		set: function (value) {
+			this._collisionMask = value;
+			if (this.cannonBody) {
+				this.cannonBody.collisionFilterMask = value;
+			}
+		}
+	},
+
 	/**
 	 * Constraint the movement of the rigid body. Set it to RigidBodyComponent.FREEZE_NONE, RigidBodyComponent.FREEZE_POSITION_X, RigidBodyComponent.FREEZE_POSITION_Y, RigidBodyComponent.FREEZE_POSITION_Z, RigidBodyComponent.FREEZE_ROTATION_X, RigidBodyComponent.FREEZE_ROTATION_Y, RigidBodyComponent.FREEZE_ROTATION_Z, RigidBodyComponent.FREEZE_POSITION, RigidBodyComponent.FREEZE_ROTATION or RigidBodyComponent.FREEZE_ALL.
 	 * @target-class RigidBodyComponent constraints member
@@ -624,7 +724,9 @@ RigidBodyComponent.prototype.initialize = function () {
 		linearDamping: this._linearDamping,
 		angularDamping: this._angularDamping,
 		sleepSpeedLimit: this._sleepingThreshold,
-		sleepTimeLimit: this._sleepingTimeLimit
+		sleepTimeLimit: this._sleepingTimeLimit,
+		collisionFilterGroup: this._collisionGroup,
+		collisionFilterMask: this._collisionMask
 	});
 	RigidBodyComponent.constraintsToCannonFactors(this.constraints, body.linearFactor, body.angularFactor);
 	this._system.cannonWorld.addBody(body);
@@ -647,6 +749,66 @@ RigidBodyComponent.prototype.initialize = function () {
 	this.emitInitialized(this._entity);
 };
 
+/**
+ * Gets the pivot of a joint, local in each body.
+ * @private
+ */
+RigidBodyComponent.prototype._getJointPivots = function (joint, bodyA, bodyB, pivotInA, pivotInB) {
+	// Scale the joint to the world scale
+	var scaledPivotA = joint.localPivot.clone();
+	scaledPivotA.mul(this._entity.transformComponent.transform.scale);
+	pivotInA.copy(scaledPivotA);
+
+	if (joint.autoConfigureConnectedPivot) {
+		// Get the local pivot in bodyB
+		bodyA.pointToWorldFrame(pivotInA, pivotInB);
+		bodyB.pointToLocalFrame(pivotInB, pivotInB);
+	} else {
+		var worldScaledPivotB = joint.connectedLocalPivot.clone();
+		worldScaledPivotB.mul(joint.connectedEntity.transformComponent.transform.scale);
+		pivotInB.copy(worldScaledPivotB);
+	}
+};
+
+/**
+ * Gets the axis of a joint, local in each body.
+ * @private
+ */
+RigidBodyComponent.prototype._getJointAxes = function (joint, bodyA, bodyB, axisInA, axisInB) {
+	// The axis remains unscaled
+	axisInA.copy(joint.localAxis);
+
+	// Get the local axis in bodyB
+	bodyA.vectorToWorldFrame(axisInA, axisInB);
+	bodyB.vectorToLocalFrame(axisInB, axisInB);
+};
+
+/**
+ * Gets the orientation of the axes of a joint, local in each body. The first axis is the given one, the second is the given secondary axis made perpendicular to it.
+ * @private
+ */
+RigidBodyComponent.prototype._getJointFrames = function (axis, secondaryAxis, bodyA, bodyB, frameA, frameB) {
+	var x = tmpAxisX.set(axis).normalize();
+	var z = tmpAxisZ.set(x).cross(secondaryAxis);
+	if (z.length() < MathUtils.EPSILON) {
+		z.set(x).cross(Math.abs(x.y) < 0.9 ? Vector3.UNIT_Y : Vector3.UNIT_Z);
+	}
+	z.normalize();
+	var y = tmpAxisY.set(z).cross(x);
+
+	var d = tmpMatrix.data;
+	d[0] = x.x; d[1] = x.y; d[2] = x.z;
+	d[3] = y.x; d[4] = y.y; d[5] = y.z;
+	d[6] = z.x; d[7] = z.y; d[8] = z.z;
+	tmpQuat.fromRotationMatrix(tmpMatrix);
+	frameA.copy(tmpQuat);
+
+	// the axes keep the orientation they have in bodyB now
+	bodyB.quaternion.conjugate(frameB);
+	frameB.mult(bodyA.quaternion, frameB);
+	frameB.mult(frameA, frameB);
+};
+
 /**
  * @hidden
  */
@@ -655,23 +817,9 @@ RigidBodyComponent.prototype.initializeJoint = function (joint) {
 	var bodyB = (joint.connectedEntity.rigidBodyComponent || joint.connectedEntity.colliderComponent).cannonBody;
 	var constraint;
 	if (joint instanceof BallJoint) {
-		// Scale the joint to the world scale
-		var scaledPivotA = joint.localPivot.clone();
-		scaledPivotA.mul(this._entity.transformComponent.transform.scale);
-
 		var pivotInA = new CANNON.Vec3();
 		var pivotInB = new CANNON.Vec3();
-		pivotInA.copy(scaledPivotA);
-
-		if (joint.autoConfigureConnectedPivot) {
-			// Get the local pivot in bodyB
-			bodyA.pointToWorldFrame(pivotInA, pivotInB);
-			bodyB.pointToLocalFrame(pivotInB, pivotInB);
-		} else {
-			var worldScaledPivotB = joint.connectedLocalPivot.clone();
-			worldScaledPivotB.mul(joint.connectedEntity.transformComponent.transform.scale);
-			pivotInB.copy(worldScaledPivotB);
-		}
+		this._getJointPivots(joint, bodyA, bodyB, pivotInA, pivotInB);
 
 		constraint = new CANNON.PointToPointConstraint(bodyA, pivotInA, bodyB, pivotInB);
 	} else if (joint instanceof HingeJoint) {
@@ -679,31 +827,8 @@ RigidBodyComponent.prototype.initializeJoint = function (joint) {
 		var pivotInB = new CANNON.Vec3();
 		var axisInA = new CANNON.Vec3();
 		var axisInB = new CANNON.Vec3();
-
-		// Scale the joint to the world scale
-		var scaledPivotA = joint.localPivot.clone();
-		scaledPivotA.mul(this._entity.transformComponent.transform.scale);
-
-		// Copy it to cannon vectors
-		pivotInA.copy(scaledPivotA);
-		axisInA.copy(joint.localAxis);
-
-		if (joint.autoConfigureConnectedPivot) {
-			// Get the local pivot in bodyB
-			bodyA.pointToWorldFrame(pivotInA, pivotInB);
-			bodyB.pointToLocalFrame(pivotInB, pivotInB);
-		} else {
-			var worldScaledPivotB = joint.connectedLocalPivot.clone();
-			worldScaledPivotB.mul(joint.connectedEntity.transformComponent.transform.scale);
-			pivotInB.copy(worldScaledPivotB);
-		}
-
-		// The axis remains unscaled
-		axisInB.copy(joint.localAxis);
-
-		// Get the local axis in bodyB
-		bodyA.vectorToWorldFrame(joint.localAxis, axisInB);
-		bodyB.vectorToLocalFrame(axisInB, axisInB);
+		this._getJointPivots(joint, bodyA, bodyB, pivotInA, pivotInB);
+		this._getJointAxes(joint, bodyA, bodyB, axisInA, axisInB);
 
 		constraint = new CANNON.HingeConstraint(bodyA, bodyB, {
 			pivotA: pivotInA,
@@ -712,6 +837,84 @@ RigidBodyComponent.prototype.initializeJoint = function (joint) {
 			axisB: axisInB,
 			collideConnected: joint.collideConnected
 		});
+	} else if (joint instanceof ConeTwistJoint) {
+		var pivotInA = new CANNON.Vec3();
+		var pivotInB = new CANNON.Vec3();
+		var axisInA = new CANNON.Vec3();
+		var axisInB = new CANNON.Vec3();
+		this._getJointPivots(joint, bodyA, bodyB, pivotInA, pivotInB);
+		this._getJointAxes(joint, bodyA, bodyB, axisInA, axisInB);
+
+		constraint = new CANNON.ConeTwistConstraint(bodyA, bodyB, {
+			pivotA: pivotInA,
+			pivotB: pivotInB,
+			axisA: axisInA,
+			axisB: axisInB,
+			angle: joint.angle,
+			twistAngle: joint.twistAngle,
+			collideConnected: joint.collideConnected
+		});
+	} else if (joint instanceof LockJoint) {
+		constraint = new CANNON.LockConstraint(bodyA, bodyB, {
+			maxForce: joint.maxForce
+		});
+		constraint.collideConnected = joint.collideConnected;
+	} else if (joint instanceof SpringJoint) {
+		var anchorA = new CANNON.Vec3();
+		var anchorB = new CANNON.Vec3();
+		anchorA.copy(joint.localPivot.clone().mul(this._entity.transformComponent.transform.scale));
+		anchorB.copy(joint.connectedLocalPivot.clone().mul(joint.connectedEntity.transformComponent.transform.scale));
+		var spring = new CANNON.Spring(bodyA, bodyB, {
+			localAnchorA: anchorA,
+			localAnchorB: anchorB,
+			restLength: joint.restLength,
+			stiffness: joint.stiffness,
+			damping: joint.damping
+		});
+
+		// A constraint without equations, which applies the spring force before each step and keeps the collision filtering
+		constraint = new CANNON.Constraint(bodyA, bodyB, {
+			collideConnected: joint.collideConnected
+		});
+		constraint.spring = spring;
+		constraint.update = function () {
+			spring.applyForce();
+		};
+	} else if (joint instanceof PrismaticJoint || joint instanceof ConfigurableJoint) {
+		var pivotInA = new CANNON.Vec3();
+		var pivotInB = new CANNON.Vec3();
+		var frameA = new CANNON.Quaternion();
+		var frameB = new CANNON.Quaternion();
+		this._getJointPivots(joint, bodyA, bodyB, pivotInA, pivotInB);
+
+		var options = {
+			pivotA: pivotInA,
+			pivotB: pivotInB,
+			frameA: frameA,
+			frameB: frameB,
+			collideConnected: joint.collideConnected
+		};
+		if (joint instanceof PrismaticJoint) {
+			this._getJointFrames(joint.localAxis, Vector3.ZERO, bodyA, bodyB, frameA, frameB);
+			var LOCKED = ConfigurableJoint.LOCKED;
+			options.motions = [joint.useLimits ? ConfigurableJoint.LIMITED : ConfigurableJoint.FREE, LOCKED, LOCKED, LOCKED, LOCKED, LOCKED];
+			options.lowerLimits = [joint.lowerLimit, 0, 0, 0, 0, 0];
+			options.upperLimits = [joint.upperLimit, 0, 0, 0, 0, 0];
+			options.useMotor = joint.useMotor;
+			options.targetVelocities = [joint.motorSpeed, 0, 0, 0, 0, 0];
+			options.maxMotorForce = joint.maxMotorForce;
+		} else {
+			this._getJointFrames(joint.localAxis, joint.localSecondaryAxis, bodyA, bodyB, frameA, frameB);
+			options.motions = [joint.xMotion, joint.yMotion, joint.zMotion, joint.angularXMotion, joint.angularYMotion, joint.angularZMotion];
+			options.lowerLimits = joint.lowerLinearLimit.toArray().concat(joint.lowerAngularLimit.toArray());
+			options.upperLimits = joint.upperLinearLimit.toArray().concat(joint.upperAngularLimit.toArray());
+			options.useMotor = joint.useMotor;
+			options.targetVelocities = joint.targetVelocity.toArray().concat(joint.targetAngularVelocity.toArray());
+			options.maxMotorForce = joint.maxMotorForce;
+			options.maxForce = joint.maxForce;
+		}
+
+		constraint = new ConfigurableConstraint(bodyA, bodyB, options);
 	} else {
 		console.warn('Unhandled joint: ', joint);
 	}
@@ -800,7 +1003,9 @@ RigidBodyComponent.prototype.clone = function () {
 		linearDamping: this._linearDamping,
 		angularDamping: this._angularDamping,
 		sleepingThreshold: this._sleepingThreshold,
-		sleepingTimeLimit: this._sleepingTimeLimit
+		sleepingTimeLimit: this._sleepingTimeLimit,
+		collisionGroup: this._collisionGroup,
+		collisionMask: this._collisionMask
 	});
 };
 
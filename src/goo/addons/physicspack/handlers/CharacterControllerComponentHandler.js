@@ -0,0 +1,75 @@
+var ComponentHandler = require('../../../loaders/handlers/ComponentHandler');
+var CharacterControllerComponent = require('../../../addons/physicspack/components/CharacterControllerComponent');
+var ObjectUtils = require('../../../util/ObjectUtils');
+
+/**
+ * For handling loading of character controller components
+ * @extends ComponentHandler
+ * @hidden
+ */
+function CharacterControllerComponentHandler() {
+	ComponentHandler.apply(this, arguments);
+	this._type = 'CharacterControllerComponent';
+}
+
+CharacterControllerComponentHandler.prototype = Object.create(ComponentHandler.prototype);
+CharacterControllerComponentHandler.prototype.constructor = CharacterControllerComponentHandler;
+ComponentHandler._registerClass('characterController', CharacterControllerComponentHandler);
+
+/**
+ * Prepare component. Set defaults on config here.
+ * @param {Object} config
+ * @returns {Object}
+ * @private
+ */
+CharacterControllerComponentHandler.prototype._prepare = function (config) {
+	return ObjectUtils.defaults(config, {
+		radius: 0.5,
+		height: 2,
+		stepOffset: 0.3,
+		slopeLimit: 45,
+		skinWidth: 0.02,
+		jumpSpeed: 5
+	});
+};
+
+/**
+ * Create a character controller component.
+ * @returns {CharacterControllerComponent} the created component object
+ * @private
+ */
+CharacterControllerComponentHandler.prototype._create = function () {
+	return new CharacterControllerComponent();
+};
+
+/**
+ * Removes the character controller component
+ * @param {string} ref
+ */
+CharacterControllerComponentHandler.prototype._remove = function (entity) {
+	entity.clearComponent('CharacterControllerComponent');
+};
+
+/**
+ * Update engine character controller component object based on the config.
+ * @param {Entity} entity The entity on which this component should be added.
+ * @param {Object} config
+ * @param {Object} options
+ * @returns {RSVP.Promise} promise that resolves with the component when loading is done.
+ */
+CharacterControllerComponentHandler.prototype.update = function (entity, config, options) {
+	return ComponentHandler.prototype.update.call(this, entity, config, options).then(function (component) {
+		if (!component) { return; }
+
+		component.radius = config.radius;
+		component.height = config.height;
+		component.stepOffset = config.stepOffset;
+		component.slopeLimit = config.slopeLimit;
+		component.skinWidth = config.skinWidth;
+		component.jumpSpeed = config.jumpSpeed;
+
+		return component;
+	});
+};
+
+module.exports = CharacterControllerComponentHandler;
@@ -5,7 +5,10 @@ var SphereCollider = require('../../../addons/physicspack/colliders/SphereCollid
 var BoxCollider = require('../../../addons/physicspack/colliders/BoxCollider');
 var PlaneCollider = require('../../../addons/physicspack/colliders/PlaneCollider');
 var CylinderCollider = require('../../../addons/physicspack/colliders/CylinderCollider');
+var CapsuleCollider = require('../../../addons/physicspack/colliders/CapsuleCollider');
+var ConvexHullCollider = require('../../../addons/physicspack/colliders/ConvexHullCollider');
 var PhysicsMaterial = require('../../../addons/physicspack/PhysicsMaterial');
+var PromiseUtils = require('../../../util/PromiseUtils');
 
 /**
  * For handling loading of collider components
@@ -37,7 +40,9 @@ ColliderComponentHandler.prototype._prepare = function (config) {
 		},
 		isTrigger: false,
 		friction: 0.3,
-		restitution: 0.0
+		restitution: 0.0,
+		collisionGroup: 1,
+		collisionMask: -1
 	});
 };
 
@@ -66,9 +71,11 @@ ColliderComponentHandler.prototype._remove = function (entity) {
  * @returns {RSVP.Promise} promise that resolves with the component when loading is done.
  */
 ColliderComponentHandler.prototype.update = function (entity, config, options) {
+	var that = this;
 	return ComponentHandler.prototype.update.call(this, entity, config, options).then(function (component) {
 		if (!component) { return; }
 
+		var loaded = PromiseUtils.resolve();
 		switch (config.shape) {
 		default:
 		case 'Box':
@@ -87,14 +94,46 @@ ColliderComponentHandler.prototype.update = function (entity, config, options) {
 			component.collider = new CylinderCollider(config.shapeOptions);
 			component.worldCollider = new CylinderCollider();
 			break;
+		case 'Capsule':
+			component.collider = new CapsuleCollider(config.shapeOptions);
+			component.worldCollider = new CapsuleCollider();
+			break;
+		case 'ConvexHull':
+			// the hull is built from the referenced mesh, or the mesh of the entity if there is none
+			loaded = that._loadHullMeshData(entity, config.shapeOptions, options).then(function (meshData) {
+				component.collider = new ConvexHullCollider({ meshData: meshData });
+				component.worldCollider = new ConvexHullCollider();
+			});
+			break;
 		}
 
 		component.material.friction = config.friction;
 		component.material.restitution = config.restitution;
 		component.isTrigger = config.isTrigger;
+		component.collisionGroup = config.collisionGroup;
+		component.collisionMask = config.collisionMask;
 
-		return component;
+		return loaded.then(function () {
+			return component;
+		});
 	});
 };
 
+/**
+ * @private
+ * @param {Entity} entity
+ * @param {Object} shapeOptions
+ * @param {Object} options
+ * @returns {RSVP.Promise}
+ */
+ColliderComponentHandler.prototype._loadHullMeshData = function (entity, shapeOptions, options) {
+	if (shapeOptions.meshRef) {
+		return this._load(shapeOptions.meshRef, options);
+	}
+	if (entity.meshDataComponent) {
+		return PromiseUtils.resolve(entity.meshDataComponent.meshData);
+	}
+	return PromiseUtils.reject('A ConvexHull collider needs a meshRef or an entity with mesh data');
+};
+
 module.exports = ColliderComponentHandler;
@@ -0,0 +1,109 @@
+var ComponentHandler = require('../../../loaders/handlers/ComponentHandler');
+var RaycastVehicleComponent = require('../../../addons/physicspack/components/RaycastVehicleComponent');
+var Vector3 = require('../../../math/Vector3');
+var ObjectUtils = require('../../../util/ObjectUtils');
+
+/**
+ * For handling loading of raycast vehicle components
+ * @extends ComponentHandler
+ * @hidden
+ */
+function RaycastVehicleComponentHandler() {
+	ComponentHandler.apply(this, arguments);
+	this._type = 'RaycastVehicleComponent';
+}
+
+RaycastVehicleComponentHandler.prototype = Object.create(ComponentHandler.prototype);
+RaycastVehicleComponentHandler.prototype.constructor = RaycastVehicleComponentHandler;
+ComponentHandler._registerClass('raycastVehicle', RaycastVehicleComponentHandler);
+
+/**
+ * Prepare component. Set defaults on config here.
+ * @param {Object} config
+ * @returns {Object}
+ * @private
+ */
+RaycastVehicleComponentHandler.prototype._prepare = function (config) {
+	ObjectUtils.defaults(config, {
+		wheels: {}
+	});
+	ObjectUtils.forEach(config.wheels, function (wheelConfig) {
+		ObjectUtils.defaults(wheelConfig, {
+			position: [0, 0, 0],
+			radius: 0.5,
+			suspensionRestLength: 0.3,
+			suspensionStiffness: 30,
+			maxSuspensionTravel: 0.3,
+			maxSuspensionForce: 100000,
+			dampingRelaxation: 2.3,
+			dampingCompression: 4.4,
+			frictionSlip: 5,
+			rollInfluence: 0.01,
+			steering: false,
+			driven: false,
+			braked: true
+		});
+	});
+	return config;
+};
+
+/**
+ * Create a raycast vehicle component.
+ * @returns {RaycastVehicleComponent} the created component object
+ * @private
+ */
+RaycastVehicleComponentHandler.prototype._create = function () {
+	return new RaycastVehicleComponent();
+};
+
+/**
+ * Removes the raycast vehicle component
+ * @param {string} ref
+ */
+RaycastVehicleComponentHandler.prototype._remove = function (entity) {
+	entity.clearComponent('RaycastVehicleComponent');
+};
+
+/**
+ * Update engine raycast vehicle component object based on the config.
+ * @param {Entity} entity The entity on which this component should be added.
+ * @param {Object} config
+ * @param {Object} options
+ * @returns {RSVP.Promise} promise that resolves with the component when loading is done.
+ */
+RaycastVehicleComponentHandler.prototype.update = function (entity, config, options) {
+	var that = this;
+	return ComponentHandler.prototype.update.call(this, entity, config, options).then(function (component) {
+		if (!component) { return; }
+
+		that._updateWheels(component, config.wheels, options);
+
+		return component;
+	});
+};
+
+/**
+ * Replaces the wheels of the component with the ones in the config.
+ * The wheel entities are usually children of the vehicle entity, so they are not waited for. Each wheel gets its entity once it is loaded.
+ * @param {RaycastVehicleComponent} component
+ * @param {Object} wheelConfigs
+ * @param {Object} options
+ * @private
+ */
+RaycastVehicleComponentHandler.prototype._updateWheels = function (component, wheelConfigs, options) {
+	component.wheels.length = 0;
+
+	ObjectUtils.forEach(wheelConfigs, function (wheelConfig) {
+		var settings = ObjectUtils.extend({}, wheelConfig);
+		settings.position = new Vector3(wheelConfig.position);
+		var wheel = component.addWheel(settings);
+
+		if (wheelConfig.entityRef) {
+			this._load(wheelConfig.entityRef, options).then(function (wheelEntity) {
+				wheel.entity = wheelEntity;
+			});
+		}
+	}, this, 'sortValue');
+};
+
+module.exports = RaycastVehicleComponentHandler;
@@ -1,7 +1,25 @@
 var ComponentHandler = require('../../../loaders/handlers/ComponentHandler');
 var RigidBodyComponent = require('../../../addons/physicspack/components/RigidBodyComponent');
 var ObjectUtils = require('../../../util/ObjectUtils');
+var RSVP = require('../../../util/rsvp');
 var Vector3 = require('../../../math/Vector3');
+var BallJoint = require('../../../addons/physicspack/joints/BallJoint');
+var HingeJoint = require('../../../addons/physicspack/joints/HingeJoint');
+var ConeTwistJoint = require('../../../addons/physicspack/joints/ConeTwistJoint');
+var LockJoint = require('../../../addons/physicspack/joints/LockJoint');
+var SpringJoint = require('../../../addons/physicspack/joints/SpringJoint');
+var PrismaticJoint = require('../../../addons/physicspack/joints/PrismaticJoint');
+var ConfigurableJoint = require('../../../addons/physicspack/joints/ConfigurableJoint');
+
+var jointTypes = {
+	Ball: BallJoint,
+	Hinge: HingeJoint,
+	ConeTwist: ConeTwistJoint,
+	Lock: LockJoint,
+	Spring: SpringJoint,
+	Prismatic: PrismaticJoint,
+	Configurable: ConfigurableJoint
+};
 
 /**
  * For handling loading of rigid body components
@@ -11,6 +29,9 @@ var Vector3 = require('../../../math/Vector3');
 function RigidBodyComponentHandler() {
 	ComponentHandler.apply(this, arguments);
 	this._type = 'RigidBodyComponent';
+
+	// component -> number of joint updates, so joints of a replaced config are not added when they finish loading
+	this._jointGenerations = new Map();
 }
 
 RigidBodyComponentHandler.prototype = Object.create(ComponentHandler.prototype);
@@ -36,7 +57,10 @@ RigidBodyComponentHandler.prototype._prepare = function (config) {
 		freezePositionZ: false,
 		freezeRotationX: false,
 		freezeRotationY: false,
-		freezeRotationZ: false
+		freezeRotationZ: false,
+		collisionGroup: 1,
+		collisionMask: -1,
+		joints: {}
 	});
 };
 
@@ -54,6 +78,7 @@ RigidBodyComponentHandler.prototype._create = function () {
  * @param {string} ref
  */
 RigidBodyComponentHandler.prototype._remove = function (entity) {
+	this._jointGenerations.delete(entity.rigidBodyComponent);
 	entity.clearComponent('RigidBodyComponent');
 };
 
@@ -65,6 +90,7 @@ RigidBodyComponentHandler.prototype._remove = function (entity) {
  * @returns {RSVP.Promise} promise that resolves with the component when loading is done.
  */
 RigidBodyComponentHandler.prototype.update = function (entity, config, options) {
+	var that = this;
 	return ComponentHandler.prototype.update.call(this, entity, config, options).then(function (component) {
 		if (!component) { return; }
 
@@ -74,6 +100,8 @@ RigidBodyComponentHandler.prototype.update = function (entity, config, options)
 		component.setAngularVelocity(new Vector3(config.angularVelocity));
 		component.linearDamping = config.linearDrag;
 		component.angularDamping = config.angularDrag;
+		component.collisionGroup = config.collisionGroup;
+		component.collisionMask = config.collisionMask;
 
 		component.constraints = (
 			(config.freezePositionX ? RigidBodyComponent.FREEZE_POSITION_X : 0) |
@@ -84,7 +112,68 @@ RigidBodyComponentHandler.prototype.update = function (entity, config, options)
 			(config.freezeRotationZ ? RigidBodyComponent.FREEZE_ROTATION_Z : 0)
 		);
 
-		return component;
+		return that._updateJoints(component, config.joints, options).then(function () {
+			return component;
+		});
+	});
+};
+
+/**
+ * Replaces the joints of the component with the ones in the config, once their connected entities are loaded.
+ * Joints whose connected entity fails to load are left out.
+ * @param {RigidBodyComponent} component
+ * @param {Object} jointConfigs
+ * @param {Object} options
+ * @returns {RSVP.Promise} Resolves when the joints are added
+ * @private
+ */
+RigidBodyComponentHandler.prototype._updateJoints = function (component, jointConfigs, options) {
+	var generation = (this._jointGenerations.get(component) || 0) + 1;
+	this._jointGenerations.set(component, generation);
+
+	component.joints.slice().forEach(function (joint) {
+		component.destroyJoint(joint);
+		component.removeJoint(joint);
+	});
+
+	var that = this;
+	var promises = [];
+	ObjectUtils.forEach(jointConfigs, function (jointConfig) {
+		var Joint = jointTypes[jointConfig.type];
+		if (!Joint) {
+			console.warn('Unknown joint type: ' + jointConfig.type);
+			return;
+		}
+
+		var ref = jointConfig.connectedEntityRef;
+		promises.push(this._load(ref, options).then(function (connectedEntity) {
+			var settings = ObjectUtils.extend({}, jointConfig);
+			settings.connectedEntity = connectedEntity;
+			return new Joint(settings);
+		}).then(null, function (err) {
+			console.error('Error loading the connected entity of a joint: ' + ref + ' - ' + err);
+			return null;
+		}));
+	}, this, 'sortValue');
+
+	return RSVP.all(promises).then(function (joints) {
+		if (that._jointGenerations.get(component) !== generation) {
+			return;
+		}
+
+		joints.forEach(function (joint) {
+			if (!joint) {
+				return;
+			}
+			component.addJoint(joint);
+
+			// the physics may already be running
+			var connectedEntity = joint.connectedEntity;
+			var connectedBodyComponent = connectedEntity.rigidBodyComponent || connectedEntity.colliderComponent;
+			if (component.cannonBody && connectedBodyComponent && connectedBodyComponent.cannonBody) {
+				component.initializeJoint(joint);
+			}
+		});
 	});
 };
 
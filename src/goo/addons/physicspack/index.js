@@ -1,22 +1,36 @@
 module.exports = {
 	BoxCollider: require('./colliders/BoxCollider'),
+	CapsuleCollider: require('./colliders/CapsuleCollider'),
 	Collider: require('./colliders/Collider'),
+	ConvexHullCollider: require('./colliders/ConvexHullCollider'),
 	CylinderCollider: require('./colliders/CylinderCollider'),
 	MeshCollider: require('./colliders/MeshCollider'),
 	PlaneCollider: require('./colliders/PlaneCollider'),
 	SphereCollider: require('./colliders/SphereCollider'),
 	AbstractColliderComponent: require('./components/AbstractColliderComponent'),
 	AbstractRigidBodyComponent: require('./components/AbstractRigidBodyComponent'),
+	CharacterControllerComponent: require('./components/CharacterControllerComponent'),
 	ColliderComponent: require('./components/ColliderComponent'),
+	RaycastVehicleComponent: require('./components/RaycastVehicleComponent'),
 	RigidBodyComponent: require('./components/RigidBodyComponent'),
+	CharacterControllerComponentHandler: require('./handlers/CharacterControllerComponentHandler'),
 	ColliderComponentHandler: require('./handlers/ColliderComponentHandler'),
+	RaycastVehicleComponentHandler: require('./handlers/RaycastVehicleComponentHandler'),
 	RigidBodyComponentHandler: require('./handlers/RigidBodyComponentHandler'),
 	BallJoint: require('./joints/BallJoint'),
+	ConeTwistJoint: require('./joints/ConeTwistJoint'),
+	ConfigurableJoint: require('./joints/ConfigurableJoint'),
 	HingeJoint: require('./joints/HingeJoint'),
+	LockJoint: require('./joints/LockJoint'),
 	PhysicsJoint: require('./joints/PhysicsJoint'),
+	PrismaticJoint: require('./joints/PrismaticJoint'),
+	SpringJoint: require('./joints/SpringJoint'),
 	PhysicsMaterial: require('./PhysicsMaterial'),
+	Ragdoll: require('./Ragdoll'),
 	RaycastResult: require('./RaycastResult'),
 	PhysicsBoxDebugShape: require('./shapes/PhysicsBoxDebugShape'),
+	PhysicsCapsuleDebugShape: require('./shapes/PhysicsCapsuleDebugShape'),
+	PhysicsConvexHullDebugShape: require('./shapes/PhysicsConvexHullDebugShape'),
 	PhysicsCylinderDebugShape: require('./shapes/PhysicsCylinderDebugShape'),
 	PhysicsPlaneDebugShape: require('./shapes/PhysicsPlaneDebugShape'),
 	PhysicsSphereDebugShape: require('./shapes/PhysicsSphereDebugShape'),
@@ -24,6 +38,8 @@ module.exports = {
 	ColliderSystem: require('./systems/ColliderSystem'),
 	PhysicsDebugRenderSystem: require('./systems/PhysicsDebugRenderSystem'),
 	PhysicsSystem: require('./systems/PhysicsSystem'),
+	ConfigurableConstraint: require('./util/ConfigurableConstraint'),
+	ConvexHull: require('./util/ConvexHull'),
 	Pool: require('./util/Pool')
 };
 
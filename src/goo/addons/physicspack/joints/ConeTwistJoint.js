@@ -0,0 +1,59 @@
+var PhysicsJoint = require('../../../addons/physicspack/joints/PhysicsJoint');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * Physics cone twist joint. It keeps the pivots of the connected bodies together, like a {@link BallJoint}, but limits the swing of the axis to a cone and the twist around it. Useful for shoulders and hips of ragdolls. To be added to a {@link RigidBodyComponent}.
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.localPivot]
+ * @param {Vector3} [settings.localAxis]
+ * @param {number} [settings.angle=Math.PI/4]
+ * @param {number} [settings.twistAngle=Math.PI/8]
+ * @param {Entity} [settings.connectedEntity]
+ * @param {boolean} [settings.collideConnected=false]
+ * @extends PhysicsJoint
+ */
+function ConeTwistJoint(settings) {
+	settings = settings || {};
+	PhysicsJoint.call(this, settings);
+
+	/**
+	 * A point defined locally in the entity that the joint rotates around.
+	 * @type {Vector3}
+	 */
+	this.localPivot = settings.localPivot ? new Vector3(settings.localPivot) : new Vector3(0, 0.5, 0);
+
+	/**
+	 * Automatically compute the connectedLocalPivot
+	 * @type {boolean}
+	 * @default true
+	 */
+	this.autoConfigureConnectedPivot = settings.autoConfigureConnectedPivot !== undefined ? settings.autoConfigureConnectedPivot : true;
+
+	/**
+	 * The pivot point defined inside the connected entity.
+	 * @type {Vector3}
+	 */
+	this.connectedLocalPivot = settings.connectedLocalPivot ? new Vector3(settings.connectedLocalPivot) : new Vector3();
+
+	/**
+	 * The axis of the cone, defined locally in the entity.
+	 * @type {Vector3}
+	 */
+	this.localAxis = settings.localAxis ? new Vector3(settings.localAxis) : new Vector3(0, 1, 0);
+
+	/**
+	 * Half the opening angle of the cone, in radians.
+	 * @type {number}
+	 */
+	this.angle = settings.angle !== undefined ? settings.angle : Math.PI / 4;
+
+	/**
+	 * The largest twist around the axis, in radians.
+	 * @type {number}
+	 */
+	this.twistAngle = settings.twistAngle !== undefined ? settings.twistAngle : Math.PI / 8;
+}
+ConeTwistJoint.prototype = Object.create(PhysicsJoint.prototype);
+ConeTwistJoint.prototype.constructor = ConeTwistJoint;
+
+module.exports = ConeTwistJoint;
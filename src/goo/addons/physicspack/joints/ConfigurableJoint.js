@@ -0,0 +1,177 @@
+var PhysicsJoint = require('../../../addons/physicspack/joints/PhysicsJoint');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * Physics joint where each of the 6 degrees of freedom can be locked, limited or left free, and driven by a motor. The degrees of freedom are the offset of the pivot of the entity from the connected pivot along, and the rotation of the entity around, the axes of the joint. The X axis of the joint is the localAxis, the Y axis is the localSecondaryAxis made perpendicular to it, and the Z axis is perpendicular to both. Rotations are measured from the orientation the bodies had when the joint was created. To be added to a {@link RigidBodyComponent}.
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.localPivot]
+ * @param {Vector3} [settings.localAxis]
+ * @param {Vector3} [settings.localSecondaryAxis]
+ * @param {string} [settings.xMotion='Locked'] One of ConfigurableJoint.LOCKED, ConfigurableJoint.LIMITED and ConfigurableJoint.FREE. The same goes for the other motions.
+ * @param {string} [settings.yMotion='Locked']
+ * @param {string} [settings.zMotion='Locked']
+ * @param {string} [settings.angularXMotion='Locked']
+ * @param {string} [settings.angularYMotion='Locked']
+ * @param {string} [settings.angularZMotion='Locked']
+ * @param {Vector3} [settings.lowerLinearLimit]
+ * @param {Vector3} [settings.upperLinearLimit]
+ * @param {Vector3} [settings.lowerAngularLimit] In radians.
+ * @param {Vector3} [settings.upperAngularLimit] In radians.
+ * @param {boolean} [settings.useMotor=false]
+ * @param {Vector3} [settings.targetVelocity]
+ * @param {Vector3} [settings.targetAngularVelocity]
+ * @param {number} [settings.maxMotorForce=1000]
+ * @param {number} [settings.maxForce=1e6]
+ * @param {Entity} [settings.connectedEntity]
+ * @param {boolean} [settings.collideConnected=false]
+ * @extends PhysicsJoint
+ * @example
+ * // a hinge that swings at most 90 degrees
+ * var joint = new ConfigurableJoint({
+ *     connectedEntity: frame,
+ *     localAxis: new Vector3(0, 1, 0),
+ *     angularXMotion: ConfigurableJoint.LIMITED,
+ *     lowerAngularLimit: new Vector3(-Math.PI / 2, 0, 0),
+ *     upperAngularLimit: new Vector3(0, 0, 0)
+ * });
+ */
+function ConfigurableJoint(settings) {
+	settings = settings || {};
+	PhysicsJoint.call(this, settings);
+
+	/**
+	 * A point defined locally in the entity, where the axes of the joint meet.
+	 * @type {Vector3}
+	 */
+	this.localPivot = settings.localPivot ? new Vector3(settings.localPivot) : new Vector3(0, 0.5, 0);
+
+	/**
+	 * Automatically compute the connectedLocalPivot
+	 * @type {boolean}
+	 * @default true
+	 */
+	this.autoConfigureConnectedPivot = settings.autoConfigureConnectedPivot !== undefined ? settings.autoConfigureConnectedPivot : true;
+
+	/**
+	 * The pivot point defined inside the connected entity.
+	 * @type {Vector3}
+	 */
+	this.connectedLocalPivot = settings.connectedLocalPivot ? new Vector3(settings.connectedLocalPivot) : new Vector3();
+
+	/**
+	 * The X axis of the joint, defined locally in the entity.
+	 * @type {Vector3}
+	 */
+	this.localAxis = settings.localAxis ? new Vector3(settings.localAxis) : new Vector3(1, 0, 0);
+
+	/**
+	 * The Y axis of the joint, defined locally in the entity.
+	 * @type {Vector3}
+	 */
+	this.localSecondaryAxis = settings.localSecondaryAxis ? new Vector3(settings.localSecondaryAxis) : new Vector3(0, 1, 0);
+
+	/**
+	 * @type {string}
+	 */
+	this.xMotion = settings.xMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * @type {string}
+	 */
+	this.yMotion = settings.yMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * @type {string}
+	 */
+	this.zMotion = settings.zMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * @type {string}
+	 */
+	this.angularXMotion = settings.angularXMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * @type {string}
+	 */
+	this.angularYMotion = settings.angularYMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * @type {string}
+	 */
+	this.angularZMotion = settings.angularZMotion || ConfigurableJoint.LOCKED;
+
+	/**
+	 * Lowest offsets along the axes, for the limited motions.
+	 * @type {Vector3}
+	 */
+	this.lowerLinearLimit = settings.lowerLinearLimit ? new Vector3(settings.lowerLinearLimit) : new Vector3();
+
+	/**
+	 * Highest offsets along the axes, for the limited motions.
+	 * @type {Vector3}
+	 */
+	this.upperLinearLimit = settings.upperLinearLimit ? new Vector3(settings.upperLinearLimit) : new Vector3();
+
+	/**
+	 * Lowest angles around the axes in radians, for the limited angular motions.
+	 * @type {Vector3}
+	 */
+	this.lowerAngularLimit = settings.lowerAngularLimit ? new Vector3(settings.lowerAngularLimit) : new Vector3();
+
+	/**
+	 * Highest angles around the axes in radians, for the limited angular motions.
+	 * @type {Vector3}
+	 */
+	this.upperAngularLimit = settings.upperAngularLimit ? new Vector3(settings.upperAngularLimit) : new Vector3();
+
+	/**
+	 * If true, the motions that are not locked are driven towards the target velocities.
+	 * @type {boolean}
+	 */
+	this.useMotor = settings.useMotor !== undefined ? settings.useMotor : false;
+
+	/**
+	 * Velocity of the entity along the axes, for the motor.
+	 * @type {Vector3}
+	 */
+	this.targetVelocity = settings.targetVelocity ? new Vector3(settings.targetVelocity) : new Vector3();
+
+	/**
+	 * Angular velocity of the entity around the axes, for the motor.
+	 * @type {Vector3}
+	 */
+	this.targetAngularVelocity = settings.targetAngularVelocity ? new Vector3(settings.targetAngularVelocity) : new Vector3();
+
+	/**
+	 * @type {number}
+	 */
+	this.maxMotorForce = settings.maxMotorForce !== undefined ? settings.maxMotorForce : 1000;
+
+	/**
+	 * The largest force the joint can use to keep its locks and limits.
+	 * @type {number}
+	 */
+	this.maxForce = settings.maxForce !== undefined ? settings.maxForce : 1e6;
+}
+ConfigurableJoint.prototype = Object.create(PhysicsJoint.prototype);
+ConfigurableJoint.prototype.constructor = ConfigurableJoint;
+
+/**
+ * The motion is not allowed.
+ * @type {string}
+ */
+ConfigurableJoint.LOCKED = 'Locked';
+
+/**
+ * The motion is allowed between the lower and upper limit.
+ * @type {string}
+ */
+ConfigurableJoint.LIMITED = 'Limited';
+
+/**
+ * The motion is allowed.
+ * @type {string}
+ */
+ConfigurableJoint.FREE = 'Free';
+
+module.exports = ConfigurableJoint;
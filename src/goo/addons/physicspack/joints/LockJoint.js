@@ -0,0 +1,24 @@
+var PhysicsJoint = require('../../../addons/physicspack/joints/PhysicsJoint');
+
+/**
+ * Physics lock joint, also known as fixed joint. It keeps the connected bodies in the position and orientation they had relative to each other when the joint was created. To be added to a {@link RigidBodyComponent}.
+ * @param {Object} [settings]
+ * @param {number} [settings.maxForce=1e6]
+ * @param {Entity} [settings.connectedEntity]
+ * @param {boolean} [settings.collideConnected=false]
+ * @extends PhysicsJoint
+ */
+function LockJoint(settings) {
+	settings = settings || {};
+	PhysicsJoint.call(this, settings);
+
+	/**
+	 * The largest force the joint can use to hold the bodies together.
+	 * @type {number}
+	 */
+	this.maxForce = settings.maxForce !== undefined ? settings.maxForce : 1e6;
+}
+LockJoint.prototype = Object.create(PhysicsJoint.prototype);
+LockJoint.prototype.constructor = LockJoint;
+
+module.exports = LockJoint;
@@ -0,0 +1,93 @@
+var PhysicsJoint = require('../../../addons/physicspack/joints/PhysicsJoint');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * Physics prismatic joint, also known as slider joint. The connected bodies can only slide along an axis, relative to each other. To be added to a {@link RigidBodyComponent}.
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.localPivot]
+ * @param {Vector3} [settings.localAxis]
+ * @param {boolean} [settings.useLimits=false]
+ * @param {number} [settings.lowerLimit=-1]
+ * @param {number} [settings.upperLimit=1]
+ * @param {boolean} [settings.useMotor=false]
+ * @param {number} [settings.motorSpeed=0]
+ * @param {number} [settings.maxMotorForce=1000]
+ * @param {Entity} [settings.connectedEntity]
+ * @param {boolean} [settings.collideConnected=false]
+ * @extends PhysicsJoint
+ * @example
+ * var door = new PrismaticJoint({
+ *     connectedEntity: frame,
+ *     localAxis: new Vector3(1, 0, 0),
+ *     useLimits: true,
+ *     lowerLimit: 0,
+ *     upperLimit: 2
+ * });
+ * doorEntity.rigidBodyComponent.addJoint(door);
+ */
+function PrismaticJoint(settings) {
+	settings = settings || {};
+	PhysicsJoint.call(this, settings);
+
+	/**
+	 * A point defined locally in the entity, which slides along the axis.
+	 * @type {Vector3}
+	 */
+	this.localPivot = settings.localPivot ? new Vector3(settings.localPivot) : new Vector3(0, 0.5, 0);
+
+	/**
+	 * Automatically compute the connectedLocalPivot
+	 * @type {boolean}
+	 * @default true
+	 */
+	this.autoConfigureConnectedPivot = settings.autoConfigureConnectedPivot !== undefined ? settings.autoConfigureConnectedPivot : true;
+
+	/**
+	 * The pivot point defined inside the connected entity.
+	 * @type {Vector3}
+	 */
+	this.connectedLocalPivot = settings.connectedLocalPivot ? new Vector3(settings.connectedLocalPivot) : new Vector3();
+
+	/**
+	 * The axis to slide along, defined locally in the entity.
+	 * @type {Vector3}
+	 */
+	this.localAxis = settings.localAxis ? new Vector3(settings.localAxis) : new Vector3(1, 0, 0);
+
+	/**
+	 * @type {boolean}
+	 */
+	this.useLimits = settings.useLimits !== undefined ? settings.useLimits : false;
+
+	/**
+	 * Lowest offset of the pivot along the axis, from where it started.
+	 * @type {number}
+	 */
+	this.lowerLimit = settings.lowerLimit !== undefined ? settings.lowerLimit : -1;
+
+	/**
+	 * Highest offset of the pivot along the axis, from where it started.
+	 * @type {number}
+	 */
+	this.upperLimit = settings.upperLimit !== undefined ? settings.upperLimit : 1;
+
+	/**
+	 * @type {boolean}
+	 */
+	this.useMotor = settings.useMotor !== undefined ? settings.useMotor : false;
+
+	/**
+	 * The speed the motor slides the entity with, along the axis.
+	 * @type {number}
+	 */
+	this.motorSpeed = settings.motorSpeed !== undefined ? settings.motorSpeed : 0;
+
+	/**
+	 * @type {number}
+	 */
+	this.maxMotorForce = settings.maxMotorForce !== undefined ? settings.maxMotorForce : 1000;
+}
+PrismaticJoint.prototype = Object.create(PhysicsJoint.prototype);
+PrismaticJoint.prototype.constructor = PrismaticJoint;
+
+module.exports = PrismaticJoint;
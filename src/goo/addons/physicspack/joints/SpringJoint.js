@@ -0,0 +1,50 @@
+var PhysicsJoint = require('../../../addons/physicspack/joints/PhysicsJoint');
+var Vector3 = require('../../../math/Vector3');
+
+/**
+ * Physics spring joint. A damped spring pulls a point in each of the connected bodies towards, or away from, each other until they are at the rest length. To be added to a {@link RigidBodyComponent}.
+ * @param {Object} [settings]
+ * @param {Vector3} [settings.localPivot]
+ * @param {Vector3} [settings.connectedLocalPivot]
+ * @param {number} [settings.restLength=1]
+ * @param {number} [settings.stiffness=100]
+ * @param {number} [settings.damping=1]
+ * @param {Entity} [settings.connectedEntity]
+ * @param {boolean} [settings.collideConnected=false]
+ * @extends PhysicsJoint
+ */
+function SpringJoint(settings) {
+	settings = settings || {};
+	PhysicsJoint.call(this, settings);
+
+	/**
+	 * The point the spring is attached to, defined locally in the entity.
+	 * @type {Vector3}
+	 */
+	this.localPivot = settings.localPivot ? new Vector3(settings.localPivot) : new Vector3();
+
+	/**
+	 * The point the spring is attached to, defined locally in the connected entity.
+	 * @type {Vector3}
+	 */
+	this.connectedLocalPivot = settings.connectedLocalPivot ? new Vector3(settings.connectedLocalPivot) : new Vector3();
+
+	/**
+	 * @type {number}
+	 */
+	this.restLength = settings.restLength !== undefined ? settings.restLength : 1;
+
+	/**
+	 * @type {number}
+	 */
+	this.stiffness = settings.stiffness !== undefined ? settings.stiffness : 100;
+
+	/**
+	 * @type {number}
+	 */
+	this.damping = settings.damping !== undefined ? settings.damping : 1;
+}
+SpringJoint.prototype = Object.create(PhysicsJoint.prototype);
+SpringJoint.prototype.constructor = SpringJoint;
+
+module.exports = SpringJoint;
@@ -0,0 +1,81 @@
+var MeshData = require('../../../renderer/MeshData');
+
+/**
+ * A wireframe mesh indicating the position and orientation of a CapsuleCollider. The radius of the capsule is 1.
+ * @param {number} [numSegments=32]
+ * @param {number} [height=1] Length of the cylinder part of the capsule
+ * @extends MeshData
+ */
+function PhysicsCapsuleDebugShape(numSegments, height) {
+	numSegments = numSegments || 32;
+	var attributeMap = MeshData.defaultMap([MeshData.POSITION]);
+	this.numSegments = numSegments;
+	this.height = height !== undefined ? height : 1;
+
+	// two rings, four arcs and four side lines
+	var numArcSegments = Math.ceil(numSegments / 2);
+	MeshData.call(this, attributeMap, 2 * numSegments + 4 * (numArcSegments + 1) + 8, 2 * 2 * numSegments + 4 * 2 * numArcSegments + 2 * 4);
+	this.indexModes[0] = 'Lines';
+	this.rebuild();
+}
+PhysicsCapsuleDebugShape.prototype = Object.create(MeshData.prototype);
+PhysicsCapsuleDebugShape.prototype.constructor = PhysicsCapsuleDebugShape;
+
+/**
+ * @returns {PhysicsCapsuleDebugShape}
+ */
+PhysicsCapsuleDebugShape.prototype.buildWireframeData = function () {
+	return new PhysicsCapsuleDebugShape(this.numSegments, this.height);
+};
+
+/**
+ * @returns {PhysicsCapsuleDebugShape} self for chaining
+ */
+PhysicsCapsuleDebugShape.prototype.rebuild = function () {
+	var verts = [];
+	var indices = [];
+	var numSegments = this.numSegments;
+	var numArcSegments = Math.ceil(numSegments / 2);
+	var halfHeight = this.height / 2;
+
+	// Rings where the cylinder meets the end spheres
+	for (var side = -1; side <= 1; side += 2) {
+		var offset = verts.length / 3;
+		for (var i = 0; i < numSegments; i++) {
+			verts.push(Math.cos(2 * Math.PI * i / numSegments), Math.sin(2 * Math.PI * i / numSegments), side * halfHeight);
+			indices.push(offset + i, offset + (i + 1) % numSegments);
+		}
+	}
+
+	// Half circles over the ends, in the XZ and YZ planes
+	for (var side = -1; side <= 1; side += 2) {
+		for (var plane = 0; plane < 2; plane++) {
+			var offset = verts.length / 3;
+			for (var i = 0; i <= numArcSegments; i++) {
+				var angle = Math.PI * i / numArcSegments;
+				var a = Math.cos(angle);
+				var z = side * (halfHeight + Math.sin(angle));
+				verts.push(plane === 0 ? a : 0, plane === 0 ? 0 : a, z);
+				if (i < numArcSegments) {
+					indices.push(offset + i, offset + i + 1);
+				}
+			}
+		}
+	}
+
+	// Lines along the cylinder
+	var offset = verts.length / 3;
+	for (var i = 0; i < 4; i++) {
+		var x = Math.cos(i * Math.PI / 2);
+		var y = Math.sin(i * Math.PI / 2);
+		verts.push(x, y, -halfHeight, x, y, halfHeight);
+		indices.push(offset + 2 * i, offset + 2 * i + 1);
+	}
+
+	this.getAttributeBuffer(MeshData.POSITION).set(verts);
+	this.getIndexBuffer().set(indices);
+
+	return this;
+};
+
+module.exports = PhysicsCapsuleDebugShape;
@@ -0,0 +1,57 @@
+var MeshData = require('../../../renderer/MeshData');
+
+// the faces run around their shared edges in opposite directions, so each edge is added once
+function getEdgeIndices(hull) {
+	var indices = [];
+	for (var i = 0; i < hull.faces.length; i++) {
+		var face = hull.faces[i];
+		for (var j = 0; j < face.length; j++) {
+			var a = face[j];
+			var b = face[(j + 1) % face.length];
+			if (a < b) {
+				indices.push(a, b);
+			}
+		}
+	}
+	return indices;
+}
+
+/**
+ * A wireframe mesh showing the edges of the convex hull of a ConvexHullCollider.
+ * @param {ConvexHull} hull
+ * @extends MeshData
+ */
+function PhysicsConvexHullDebugShape(hull) {
+	var attributeMap = MeshData.defaultMap([MeshData.POSITION]);
+	this.hull = hull;
+	MeshData.call(this, attributeMap, hull.vertices.length, getEdgeIndices(hull).length);
+	this.indexModes[0] = 'Lines';
+	this.rebuild();
+}
+PhysicsConvexHullDebugShape.prototype = Object.create(MeshData.prototype);
+PhysicsConvexHullDebugShape.prototype.constructor = PhysicsConvexHullDebugShape;
+
+/**
+ * @returns {PhysicsConvexHullDebugShape}
+ */
+PhysicsConvexHullDebugShape.prototype.buildWireframeData = function () {
+	return new PhysicsConvexHullDebugShape(this.hull);
+};
+
+/**
+ * @returns {PhysicsConvexHullDebugShape} self for chaining
+ */
+PhysicsConvexHullDebugShape.prototype.rebuild = function () {
+	var verts = [];
+	var vertices = this.hull.vertices;
+	for (var i = 0; i < vertices.length; i++) {
+		verts.push(vertices[i].x, vertices[i].y, vertices[i].z);
+	}
+
+	this.getAttributeBuffer(MeshData.POSITION).set(verts);
+	this.getIndexBuffer().set(getEdgeIndices(this.hull));
+
+	return this;
+};
+
+module.exports = PhysicsConvexHullDebugShape;
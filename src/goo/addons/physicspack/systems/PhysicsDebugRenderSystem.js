@@ -5,18 +5,31 @@ var PhysicsPlaneDebugShape = require('../../../addons/physicspack/shapes/Physics
 var PhysicsCylinderDebugShape = require('../../../addons/physicspack/shapes/PhysicsCylinderDebugShape');
 var PhysicsSphereDebugShape = require('../../../addons/physicspack/shapes/PhysicsSphereDebugShape');
 var PhysicsBoxDebugShape = require('../../../addons/physicspack/shapes/PhysicsBoxDebugShape');
+var PhysicsCapsuleDebugShape = require('../../../addons/physicspack/shapes/PhysicsCapsuleDebugShape');
+var PhysicsConvexHullDebugShape = require('../../../addons/physicspack/shapes/PhysicsConvexHullDebugShape');
 var SphereCollider = require('../../../addons/physicspack/colliders/SphereCollider');
 var BoxCollider = require('../../../addons/physicspack/colliders/BoxCollider');
 var CylinderCollider = require('../../../addons/physicspack/colliders/CylinderCollider');
 var PlaneCollider = require('../../../addons/physicspack/colliders/PlaneCollider');
 var MeshCollider = require('../../../addons/physicspack/colliders/MeshCollider');
+var CapsuleCollider = require('../../../addons/physicspack/colliders/CapsuleCollider');
+var ConvexHullCollider = require('../../../addons/physicspack/colliders/ConvexHullCollider');
+var LockJoint = require('../../../addons/physicspack/joints/LockJoint');
+var SpringJoint = require('../../../addons/physicspack/joints/SpringJoint');
 var Transform = require('../../../math/Transform');
+var MathUtils = require('../../../math/MathUtils');
+var Vector3 = require('../../../math/Vector3');
 var Material = require('../../../renderer/Material');
 var ShaderLib = require('../../../renderer/shaders/ShaderLib');
 var Pool = require('../../../addons/physicspack/util/Pool');
 
+var tmpPivot = new Vector3();
+var tmpConnectedPivot = new Vector3();
+var tmpAxis = new Vector3();
+var tmpDirection = new Vector3();
+
 /**
- * Renders all ColliderComponents in the scene.
+ * Renders all ColliderComponents in the scene, and the joints of the RigidBodyComponents.
  * @extends System
  * @example
  * world.setSystem(new PhysicsDebugRenderSystem());
@@ -50,9 +63,24 @@ function PhysicsDebugRenderSystem() {
 	this.cylinderMeshData = new PhysicsCylinderDebugShape(32);
 	this.planeMeshData = new PhysicsPlaneDebugShape();
 
+	// capsules are drawn with one mesh per ratio of height to radius, hulls with one mesh each; unused ones are dropped after each frame
+	this._capsuleMeshDatas = new Map();
+	this._hullMeshDatas = new Map();
+	this._usedMeshDatas = new Set();
+	// dropped meshes whose buffers are freed on the next render
+	this._meshDatasToDestroy = [];
+
 	this.material = new Material(ShaderLib.simpleColored);
 	this.material.uniforms.color = [0, 1, 0];
 	this.material.wireframe = true;
+
+	/**
+	 * Material for the joints. They are drawn as a small box at the pivot and a line along the axis, or as a line between the connected points.
+	 * @type {Material}
+	 */
+	this.jointMaterial = new Material(ShaderLib.simpleColored);
+	this.jointMaterial.uniforms.color = [1, 1, 0];
+	this.jointMaterial.wireframe = true;
 	this.renderablePool = new Pool({
 		create: function () {
 			return {
@@ -106,8 +134,91 @@ PhysicsDebugRenderSystem.prototype.process = function (entities) {
 			this.renderList.push(renderable);
 		}
 
-		// TODO: Joints
+		// Joints
+		if (entity.rigidBodyComponent) {
+			var joints = entity.rigidBodyComponent.joints;
+			for (var j = 0; j < joints.length; j++) {
+				this._addJointRenderables(entity, joints[j]);
+			}
+		}
+	}
+
+	this._pruneMeshDatas(this._capsuleMeshDatas);
+	this._pruneMeshDatas(this._hullMeshDatas);
+	this._usedMeshDatas.clear();
+};
+
+/**
+ * @private
+ * @param {Entity} entity
+ * @param {PhysicsJoint} joint
+ */
+PhysicsDebugRenderSystem.prototype._addJointRenderables = function (entity, joint) {
+	var connectedEntity = joint.connectedEntity;
+	if (!connectedEntity) {
+		return;
+	}
+	var worldTransform = entity.transformComponent.sync().worldTransform;
+	var connectedWorldTransform = connectedEntity.transformComponent.sync().worldTransform;
+
+	if (joint instanceof LockJoint) {
+		this._addLineRenderable(worldTransform.translation, connectedWorldTransform.translation);
+	} else if (joint instanceof SpringJoint) {
+		tmpPivot.set(joint.localPivot).applyPostPoint(worldTransform.matrix);
+		tmpConnectedPivot.set(joint.connectedLocalPivot).applyPostPoint(connectedWorldTransform.matrix);
+		this._addLineRenderable(tmpPivot, tmpConnectedPivot);
+	} else {
+		tmpPivot.set(joint.localPivot).applyPostPoint(worldTransform.matrix);
+		var renderable = this.renderablePool.get(this.boxMeshData, this.jointMaterial);
+		renderable.transform.translation.set(tmpPivot);
+		renderable.transform.rotation.copy(worldTransform.rotation);
+		renderable.transform.scale.setDirect(0.1, 0.1, 0.1);
+		renderable.transform.update();
+		this.renderList.push(renderable);
+
+		if (joint.localAxis) {
+			tmpAxis.set(joint.localAxis).applyPost(worldTransform.rotation).normalize().scale(0.5);
+			this._addLineRenderable(tmpConnectedPivot.set(tmpPivot).sub(tmpAxis), tmpAxis.add(tmpPivot));
+		}
+	}
+};
+
+/**
+ * Adds a line between two points, drawn as a thin cylinder. Lines between points at the same place are skipped.
+ * @private
+ * @param {Vector3} start
+ * @param {Vector3} end
+ */
+PhysicsDebugRenderSystem.prototype._addLineRenderable = function (start, end) {
+	tmpDirection.set(end).sub(start);
+	var length = tmpDirection.length();
+	if (length < MathUtils.EPSILON) {
+		return;
 	}
+
+	// the up vector of lookAt can not be along the line
+	var up = Math.abs(tmpDirection.y) > length * (1 - MathUtils.EPSILON) ? Vector3.UNIT_Z : Vector3.UNIT_Y;
+
+	var renderable = this.renderablePool.get(this.cylinderMeshData, this.jointMaterial);
+	var transform = renderable.transform;
+	transform.translation.set(start).lerp(end, 0.5);
+	transform.rotation.lookAt(tmpDirection, up);
+	transform.scale.setDirect(0.01, 0.01, length);
+	transform.update();
+	this.renderList.push(renderable);
+};
+
+/**
+ * @private
+ * @param {Map} meshDatas
+ */
+PhysicsDebugRenderSystem.prototype._pruneMeshDatas = function (meshDatas) {
+	meshDatas.forEach(function (meshData, key) {
+		if (!this._usedMeshDatas.has(meshData)) {
+			meshDatas.delete(key);
+			this._meshDatasToDestroy.push(meshData);
+		}
+	}, this);
 };
 
 /**
@@ -127,9 +238,11 @@ PhysicsDebugRenderSystem.prototype.getWorldTransform = function (colliderEntity,
 		targetTransform.scale.copy(collider.halfExtents).scale(2);
 	} else if (collider instanceof CylinderCollider) {
 		targetTransform.scale.set(collider.radius, collider.radius, collider.height);
+	} else if (collider instanceof CapsuleCollider) {
+		targetTransform.scale.set(collider.radius, collider.radius, collider.radius);
 	} else if (collider instanceof PlaneCollider) {
 		targetTransform.scale.set(1, 1, 1);
-	} else if (collider instanceof MeshCollider) {
+	} else if (collider instanceof MeshCollider || collider instanceof ConvexHullCollider) {
 		targetTransform.scale.set(collider.scale);
 	}
 };
@@ -150,6 +263,21 @@ PhysicsDebugRenderSystem.prototype.getMeshData = function (collider) {
 		meshData = this.cylinderMeshData;
 	} else if (collider instanceof PlaneCollider) {
 		meshData = this.planeMeshData;
+	} else if (collider instanceof CapsuleCollider) {
+		var ratio = collider.radius > 0 ? (collider.height / collider.radius).toFixed(3) : '0.000';
+		meshData = this._capsuleMeshDatas.get(ratio);
+		if (!meshData) {
+			meshData = new PhysicsCapsuleDebugShape(32, Number(ratio));
+			this._capsuleMeshDatas.set(ratio, meshData);
+		}
+		this._usedMeshDatas.add(meshData);
+	} else if (collider instanceof ConvexHullCollider) {
+		meshData = this._hullMeshDatas.get(collider.hull);
+		if (!meshData) {
+			meshData = new PhysicsConvexHullDebugShape(collider.hull);
+			this._hullMeshDatas.set(collider.hull, meshData);
+		}
+		this._usedMeshDatas.add(meshData);
 	} else if (collider instanceof MeshCollider) {
 		meshData = collider.meshData;
 	}
@@ -161,6 +289,11 @@ PhysicsDebugRenderSystem.prototype.getMeshData = function (collider) {
  * @param  {Renderer} renderer
  */
 PhysicsDebugRenderSystem.prototype.render = function (renderer) {
+	for (var i = 0; i < this._meshDatasToDestroy.length; i++) {
+		this._meshDatasToDestroy[i].destroy(renderer.context);
+	}
+	this._meshDatasToDestroy.length = 0;
+
 	renderer.checkResize(this.camera);
 	if (this.camera) {
 		renderer.render(this.renderList, this.camera, null, null, false);
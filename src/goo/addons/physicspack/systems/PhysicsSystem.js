@@ -1,5 +1,6 @@
 var AbstractPhysicsSystem = require('../../../addons/physicspack/systems/AbstractPhysicsSystem');
 var RaycastResult = require('../../../addons/physicspack/RaycastResult');
+var ColliderComponent = require('../../../addons/physicspack/components/ColliderComponent');
 var RigidBodyComponent = require('../../../addons/physicspack/components/RigidBodyComponent');
 var Vector3 = require('../../../math/Vector3');
 var Quaternion = require('../../../math/Quaternion');
@@ -75,6 +76,7 @@ function PhysicsSystem(settings) {
 
 	this.cannonWorld.addEventListener('postStep', function () {
 		this.emitSubStepEvent();
+		this._emitContactEvents();
 		var stayingEntities = this._stayingEntities;
 		for (var i = 0; i < stayingEntities.length; i += 2) {
 			var entityA = stayingEntities[i];
@@ -88,6 +90,8 @@ function PhysicsSystem(settings) {
 	}.bind(this));
 
 	this._stayingEntities = [];
+	this._contactPairs = new Map();
+	this._previousContactPairs = new Map();
 	this._entities = {};
 	this._shapeIdToColliderEntityMap = new Map();
 
@@ -135,6 +139,123 @@ PhysicsSystem.prototype.step = function (fixedDeltaTime) {
 	world.step(fixedDeltaTime);
 };
 
+/**
+ * Groups the contact equations of the last step by pair of colliders, and fires the contact events of the colliders and rigid bodies that listen to them.
+ * @private
+ */
+PhysicsSystem.prototype._emitContactEvents = function () {
+	var pairs = this._previousContactPairs;
+	var previousPairs = this._contactPairs;
+	this._contactPairs = pairs;
+	this._previousContactPairs = previousPairs;
+	pairs.clear();
+
+	var contacts = this.cannonWorld.contacts;
+	var shapeIdToColliderEntityMap = this._shapeIdToColliderEntityMap;
+	for (var i = 0; i < contacts.length; i++) {
+		var equation = contacts[i];
+
+		// triggers have no collision response
+		if (!equation.enabled) {
+			continue;
+		}
+
+		var idA = equation.si.id;
+		var idB = equation.sj.id;
+		var key = idA < idB ? idA + ',' + idB : idB + ',' + idA;
+		var pair = pairs.get(key);
+		if (!pair) {
+			var entityA = shapeIdToColliderEntityMap.get(idA);
+			var entityB = shapeIdToColliderEntityMap.get(idB);
+			if (!entityA || !entityB) {
+				continue;
+			}
+			pair = {
+				entityA: entityA,
+				entityB: entityB,
+				equations: []
+			};
+			pairs.set(key, pair);
+		}
+		pair.equations.push(equation);
+	}
+
+	pairs.forEach(function (pair, key) {
+		var type = previousPairs.has(key) ? 'duringContact' : 'beginContact';
+		this._fireContactEvent(type, pair, pair.entityA, pair.entityB);
+		this._fireContactEvent(type, pair, pair.entityB, pair.entityA);
+	}, this);
+
+	previousPairs.forEach(function (pair, key) {
+		if (!pairs.has(key)) {
+			pair.equations.length = 0;
+			this._fireContactEvent('endContact', pair, pair.entityA, pair.entityB);
+			this._fireContactEvent('endContact', pair, pair.entityB, pair.entityA);
+		}
+	}, this);
+};
+
+/**
+ * Fires a contact event on the collider of an entity, and on the rigid body it belongs to.
+ * @private
+ * @param {string} type
+ * @param {Object} pair
+ * @param {Entity} entity
+ * @param {Entity} otherEntity
+ */
+PhysicsSystem.prototype._fireContactEvent = function (type, pair, entity, otherEntity) {
+	var colliderComponent = entity.colliderComponent;
+	if (!colliderComponent) {
+		return;
+	}
+	var bodyEntity = colliderComponent.bodyEntity;
+	var rigidBodyComponent = bodyEntity ? bodyEntity.rigidBodyComponent : null;
+	var colliderListens = colliderComponent.has(type);
+	var bodyListens = rigidBodyComponent && rigidBodyComponent.has(type);
+	if (!colliderListens && !bodyListens) {
+		return;
+	}
+
+	var cannonBody = rigidBodyComponent ? rigidBodyComponent.cannonBody : colliderComponent.cannonBody;
+	var dt = this.cannonWorld.dt;
+	var contacts = [];
+	var impulse = 0;
+	for (var i = 0; i < pair.equations.length; i++) {
+		var equation = pair.equations[i];
+
+		// the normal of the equation points from body i to body j, the event normal points away from the other entity
+		var first = equation.bi === cannonBody;
+		var body = first ? equation.bi : equation.bj;
+		var r = first ? equation.ri : equation.rj;
+		var normal = equation.ni;
+		var sign = first ? -1 : 1;
+
+		// the bodies have moved since the contact, it was found at their previous positions
+		var position = body.previousPosition;
+		var contact = {
+			point: new Vector3(position.x + r.x, position.y + r.y, position.z + r.z),
+			normal: new Vector3(sign * normal.x, sign * normal.y, sign * normal.z),
+			impulse: equation.multiplier * dt
+		};
+		contacts.push(contact);
+		impulse += contact.impulse;
+	}
+
+	var event = {
+		type: type,
+		entity: entity,
+		otherEntity: otherEntity,
+		contacts: contacts,
+		impulse: impulse
+	};
+	if (colliderListens) {
+		colliderComponent.fire(event);
+	}
+	if (bodyListens) {
+		rigidBodyComponent.fire(event);
+	}
+};
+
 var tmpOptions = {};
 PhysicsSystem.prototype._getCannonRaycastOptions = function (options) {
 	tmpOptions.collisionFilterMask = options.collisionMask !== undefined ? options.collisionMask : -1;
@@ -261,6 +382,259 @@ PhysicsSystem.prototype.raycastAll = function (start, direction, maxDistance, op
 	return hitAny;
 };
 
+// Checks if a body passes the collision group filter of a query
+function passesFilter(body, group, mask) {
+	return (group & body.collisionFilterMask) !== 0 && (body.collisionFilterGroup & mask) !== 0;
+}
+
+// A dynamic body is needed, since the narrowphase skips the contacts of static and kinematic pairs
+PhysicsSystem.prototype._createQueryBody = function (shape, position, orientation) {
+	var body = new CANNON.Body({ mass: 1 });
+	body.addShape(shape);
+	body.position.copy(position);
+	if (orientation) {
+		body.quaternion.copy(orientation);
+	}
+	body.computeAABB();
+	return body;
+};
+
+PhysicsSystem.prototype._getQueryCandidates = function (aabb, options) {
+	var group = options.collisionGroup !== undefined ? options.collisionGroup : -1;
+	var mask = options.collisionMask !== undefined ? options.collisionMask : -1;
+	var bodies = this.cannonWorld.broadphase.aabbQuery(this.cannonWorld, aabb, []);
+	return bodies.filter(function (body) {
+		return passesFilter(body, group, mask);
+	});
+};
+
+var tmpContactPoint;
+
+/**
+ * Collects the contacts of the query body with the given bodies. The deepest contact with each collider entity is stored in the hits map, with a normal pointing from the collider to the query body.
+ * @private
+ * @param {CANNON.Body} queryBody
+ * @param {Array<CANNON.Body>} bodies
+ * @param {Map} [hits]
+ * @returns {Map} The hits, by collider entity.
+ */
+PhysicsSystem.prototype._getQueryContacts = function (queryBody, bodies, hits) {
+	hits = hits || new Map();
+	if (!tmpContactPoint) {
+		tmpContactPoint = new CANNON.Vec3();
+	}
+
+	var contacts = [];
+	for (var i = 0; i < bodies.length; i++) {
+		contacts.length = 0;
+		this.cannonWorld.narrowphase.getContacts([queryBody], [bodies[i]], this.cannonWorld, contacts, [], [], []);
+
+		for (var j = 0; j < contacts.length; j++) {
+			var equation = contacts[j];
+
+			// Triggers are not hit
+			if (!equation.enabled) {
+				continue;
+			}
+
+			// The query body may be on either side of the equation, and the shapes are not always on the side of their body
+			var first = equation.bi === queryBody;
+			var otherShape = equation.si === queryBody.shapes[0] ? equation.sj : equation.si;
+			var otherBody = first ? equation.bj : equation.bi;
+			var entity = this._shapeIdToColliderEntityMap.get(otherShape.id);
+			if (!entity) {
+				continue;
+			}
+
+			// Negative when the shapes overlap
+			equation.bj.position.vadd(equation.rj, tmpContactPoint);
+			tmpContactPoint.vsub(equation.bi.position, tmpContactPoint);
+			tmpContactPoint.vsub(equation.ri, tmpContactPoint);
+			var depth = tmpContactPoint.dot(equation.ni);
+
+			var hit = hits.get(entity);
+			if (hit && hit.depth <= depth) {
+				continue;
+			}
+			if (!hit) {
+				hit = { entity: entity, point: new Vector3(), normal: new Vector3(), depth: 0 };
+				hits.set(entity, hit);
+			}
+
+			var r = first ? equation.rj : equation.ri;
+			var sign = first ? -1 : 1;
+			hit.point.setDirect(otherBody.position.x + r.x, otherBody.position.y + r.y, otherBody.position.z + r.z);
+			hit.normal.setDirect(equation.ni.x * sign, equation.ni.y * sign, equation.ni.z * sign);
+			hit.depth = depth;
+		}
+	}
+
+	return hits;
+};
+
+PhysicsSystem.prototype._overlap = function (shape, center, orientation, options) {
+	var queryBody = this._createQueryBody(shape, center, orientation);
+	var hits = this._getQueryContacts(queryBody, this._getQueryCandidates(queryBody.aabb, options));
+
+	var results = [];
+	hits.forEach(function (hit) {
+		results.push(new RaycastResult({
+			entity: hit.entity,
+			point: hit.point,
+			normal: hit.normal,
+			distance: center.distance(hit.point)
+		}));
+	});
+	return results;
+};
+
+/**
+ * Finds all colliders overlapping a sphere.
+ * @param {Vector3} center
+ * @param {number} radius
+ * @param {Object} [options]
+ * @param {number} [options.collisionMask=-1]
+ * @param {number} [options.collisionGroup=-1]
+ * @returns {Array<RaycastResult>} One result per collider, with the deepest contact point, the normal pointing from the collider towards the sphere and the distance from the center to the point.
+ * @example
+ * var enemies = physicsSystem.overlapSphere(position, 10, { collisionMask: ENEMY_GROUP });
+ */
+PhysicsSystem.prototype.overlapSphere = function (center, radius, options) {
+	return this._overlap(new CANNON.Sphere(radius), center, null, options || {});
+};
+
+/**
+ * Finds all colliders overlapping a box.
+ * @param {Vector3} center
+ * @param {Vector3} halfExtents
+ * @param {Object} [options]
+ * @param {Quaternion} [options.orientation] Orientation of the box in the world.
+ * @param {number} [options.collisionMask=-1]
+ * @param {number} [options.collisionGroup=-1]
+ * @returns {Array<RaycastResult>} One result per collider, like in {@link PhysicsSystem#overlapSphere}.
+ */
+PhysicsSystem.prototype.overlapBox = function (center, halfExtents, options) {
+	options = options || {};
+	var cannonHalfExtents = new CANNON.Vec3();
+	cannonHalfExtents.copy(halfExtents);
+	return this._overlap(new CANNON.Box(cannonHalfExtents), center, options.orientation, options);
+};
+
+/**
+ * Sweeps a sphere along a ray, and gets the first collider it hits.
+ * @param {Vector3} start
+ * @param {Vector3} direction Normalized.
+ * @param {number} radius
+ * @param {number} maxDistance
+ * @param {Object} [options]
+ * @param {number} [options.collisionMask=-1]
+ * @param {number} [options.collisionGroup=-1]
+ * @param {RaycastResult} [result]
+ * @returns {boolean} True if hit, else false. The distance of the result is how far the sphere can move before it touches the collider.
+ */
+PhysicsSystem.prototype.sphereCast = function (start, direction, radius, maxDistance, options, result) {
+	if (options instanceof RaycastResult) {
+		result = options;
+		options = {};
+	}
+	return this._sweep(new CANNON.Sphere(radius), start, direction, maxDistance, options || {}, result || new RaycastResult());
+};
+
+/**
+ * Sweeps a collider along a ray, and gets the first collider it hits. Plane colliders can't be swept.
+ * @param {Collider} collider
+ * @param {Vector3} start
+ * @param {Vector3} direction Normalized.
+ * @param {number} maxDistance
+ * @param {Object} [options]
+ * @param {Quaternion} [options.orientation] Orientation of the swept collider in the world.
+ * @param {number} [options.collisionMask=-1]
+ * @param {number} [options.collisionGroup=-1]
+ * @param {RaycastResult} [result]
+ * @returns {boolean} True if hit, else false. The distance of the result is how far the collider can move before it touches the other collider.
+ * @example
+ * var hit = physicsSystem.shapeSweep(new BoxCollider({ halfExtents: new Vector3(0.5, 0.1, 1) }), handPosition, swingDirection, 2);
+ */
+PhysicsSystem.prototype.shapeSweep = function (collider, start, direction, maxDistance, options, result) {
+	if (options instanceof RaycastResult) {
+		result = options;
+		options = {};
+	}
+	return this._sweep(ColliderComponent.getCannonShape(collider), start, direction, maxDistance, options || {}, result || new RaycastResult());
+};
+
+PhysicsSystem.prototype._sweep = function (shape, start, direction, maxDistance, options, result) {
+	result.reset();
+
+	// Steps shorter than the thinnest extent of the shape leave no gap between consecutive positions
+	var queryBody = this._createQueryBody(shape, Vector3.ZERO, options.orientation);
+	var aabb = queryBody.aabb;
+	var step = Math.min(aabb.upperBound.x - aabb.lowerBound.x, aabb.upperBound.y - aabb.lowerBound.y, aabb.upperBound.z - aabb.lowerBound.z) / 2;
+	var steps = Math.max(Math.ceil(maxDistance / Math.max(step, 1e-3)), 1);
+
+	// The candidates are the bodies in the bounds of the whole sweep
+	var sweptAabb = aabb.clone();
+	sweptAabb.lowerBound.vadd(start, sweptAabb.lowerBound);
+	sweptAabb.upperBound.vadd(start, sweptAabb.upperBound);
+	queryBody.position.copy(tmpVec.copy(direction).scale(maxDistance).add(start));
+	queryBody.computeAABB();
+	sweptAabb.extend(queryBody.aabb);
+	var candidates = this._getQueryCandidates(sweptAabb, options);
+	if (!candidates.length) {
+		return false;
+	}
+
+	var that = this;
+	var hits = new Map();
+	var overlapsAt = function (distance) {
+		hits.clear();
+		queryBody.position.copy(tmpVec.copy(direction).scale(distance).add(start));
+		return that._getQueryContacts(queryBody, candidates, hits).size > 0;
+	};
+
+	var free = 0;
+	var blocked = -1;
+	if (overlapsAt(0)) {
+		blocked = 0;
+	} else {
+		for (var i = 1; i <= steps; i++) {
+			var distance = maxDistance * i / steps;
+			if (overlapsAt(distance)) {
+				blocked = distance;
+				break;
+			}
+			free = distance;
+		}
+	}
+	if (blocked === -1) {
+		return false;
+	}
+
+	// Narrow down the time of impact
+	for (var i = 0; i < 12 && blocked > 0; i++) {
+		var middle = (free + blocked) / 2;
+		if (overlapsAt(middle)) {
+			blocked = middle;
+		} else {
+			free = middle;
+		}
+	}
+
+	overlapsAt(blocked);
+	var closest = null;
+	hits.forEach(function (hit) {
+		if (!closest || hit.depth < closest.depth) {
+			closest = hit;
+		}
+	});
+
+	result.entity = closest.entity;
+	result.point.set(closest.point);
+	result.normal.set(closest.normal);
+	result.distance = free;
+	return true;
+};
+
 /**
  * Resumes simulation and starts updating the entities after stop() or pause().
  */
@@ -0,0 +1,201 @@
+var ConfigurableJoint = require('../../../addons/physicspack/joints/ConfigurableJoint');
+
+/* global CANNON */
+
+var tmpVectors;
+var tmpQuats;
+
+// position equations take their violation from the constraint, instead of from the positions of the bodies
+function computePositionB(h) {
+	return -this.violation * this.a - this.computeGW() * this.b - h * this.computeGiMf();
+}
+
+function computeMotorB(h) {
+	return -(this.computeGW() - this.targetVelocity) * this.b - h * this.computeGiMf();
+}
+
+// linear equations act on the offset of the pivot of bodyA along the axis, angular ones on the rotation of bodyA around it
+function setJacobian(equation, linear, axis, rA, rB, cross) {
+	var jacobianA = equation.jacobianElementA;
+	var jacobianB = equation.jacobianElementB;
+	if (linear) {
+		jacobianA.spatial.copy(axis);
+		rA.cross(axis, jacobianA.rotational);
+		axis.negate(jacobianB.spatial);
+		rB.cross(axis, cross);
+		cross.negate(jacobianB.rotational);
+	} else {
+		jacobianA.spatial.set(0, 0, 0);
+		jacobianA.rotational.copy(axis);
+		jacobianB.spatial.set(0, 0, 0);
+		axis.negate(jacobianB.rotational);
+	}
+}
+
+/**
+ * A cannon.js constraint for the {@link ConfigurableJoint}. Each degree of freedom gets an equation that keeps it locked or within its limits, and one for the motor.
+ * The degrees of freedom are the offset of the pivot of bodyA from the pivot of bodyB along the joint axes of bodyB, and the rotation of the joint axes of bodyA from those of bodyB.
+ * It is added to the cannon world like any other constraint.
+ * @hidden
+ * @param {CANNON.Body} bodyA
+ * @param {CANNON.Body} bodyB
+ * @param {Object} options
+ * @param {CANNON.Vec3} options.pivotA The pivot, local in bodyA.
+ * @param {CANNON.Vec3} options.pivotB The pivot, local in bodyB.
+ * @param {CANNON.Quaternion} options.frameA Orientation of the joint axes, local in bodyA.
+ * @param {CANNON.Quaternion} options.frameB Orientation of the joint axes, local in bodyB.
+ * @param {Array<string>} options.motions Motions of the X, Y and Z offsets, then of the angles around X, Y and Z.
+ * @param {Array<number>} options.lowerLimits In the same order as the motions.
+ * @param {Array<number>} options.upperLimits
+ * @param {boolean} [options.useMotor=false]
+ * @param {Array<number>} [options.targetVelocities]
+ * @param {number} [options.maxMotorForce=1000]
+ * @param {number} [options.maxForce=1e6]
+ * @param {boolean} [options.collideConnected=false]
+ */
+function ConfigurableConstraint(bodyA, bodyB, options) {
+	if (!tmpVectors) {
+		tmpVectors = [];
+		for (var i = 0; i < 7; i++) {
+			tmpVectors.push(new CANNON.Vec3());
+		}
+		tmpQuats = [new CANNON.Quaternion(), new CANNON.Quaternion(), new CANNON.Quaternion()];
+	}
+
+	this.bodyA = bodyA;
+	this.bodyB = bodyB;
+	this.collideConnected = !!options.collideConnected;
+
+	this.pivotA = options.pivotA.clone();
+	this.pivotB = options.pivotB.clone();
+	this.frameA = options.frameA.clone();
+	this.frameB = options.frameB.clone();
+
+	this.motions = options.motions.slice();
+	this.lowerLimits = options.lowerLimits.slice();
+	this.upperLimits = options.upperLimits.slice();
+	this.useMotor = !!options.useMotor;
+	this.targetVelocities = options.targetVelocities ? options.targetVelocities.slice() : [0, 0, 0, 0, 0, 0];
+	this.maxMotorForce = options.maxMotorForce !== undefined ? options.maxMotorForce : 1000;
+	this.maxForce = options.maxForce !== undefined ? options.maxForce : 1e6;
+
+	/**
+	 * Offsets of the pivot of bodyB along the joint axes, then the angles of bodyB around them, as of the last update.
+	 * @type {Array<number>}
+	 */
+	this.values = [0, 0, 0, 0, 0, 0];
+
+	this.positionEquations = [];
+	this.motorEquations = [];
+	for (var i = 0; i < 6; i++) {
+		var equation = new CANNON.Equation(bodyA, bodyB);
+		equation.violation = 0;
+		equation.computeB = computePositionB;
+		this.positionEquations.push(equation);
+
+		var motor = new CANNON.Equation(bodyA, bodyB);
+		motor.targetVelocity = 0;
+		motor.computeB = computeMotorB;
+		this.motorEquations.push(motor);
+	}
+
+	this.equations = this.positionEquations.concat(this.motorEquations);
+	this._enabled = true;
+}
+
+/**
+ * Measures the joint and sets up the equations. Called by the cannon world before solving.
+ */
+ConfigurableConstraint.prototype.update = function () {
+	var bodyA = this.bodyA;
+	var bodyB = this.bodyB;
+
+	var axes = tmpVectors;
+	var rA = tmpVectors[3];
+	var rB = tmpVectors[4];
+	var offset = tmpVectors[5];
+	var cross = tmpVectors[6];
+
+	// world orientation of the joint axes in each body, and the rotation from B to A in the axes of B
+	var frameA = bodyA.quaternion.mult(this.frameA, tmpQuats[0]);
+	var frameB = bodyB.quaternion.mult(this.frameB, tmpQuats[1]);
+	var relative = frameB.conjugate(tmpQuats[2]).mult(frameA, tmpQuats[2]);
+	if (relative.w < 0) {
+		relative.set(-relative.x, -relative.y, -relative.z, -relative.w);
+	}
+
+	frameB.vmult(CANNON.Vec3.UNIT_X, axes[0]);
+	frameB.vmult(CANNON.Vec3.UNIT_Y, axes[1]);
+	frameB.vmult(CANNON.Vec3.UNIT_Z, axes[2]);
+
+	bodyA.quaternion.vmult(this.pivotA, rA);
+	bodyB.quaternion.vmult(this.pivotB, rB);
+	bodyA.position.vadd(rA, offset);
+	offset.vsub(bodyB.position, offset);
+	offset.vsub(rB, offset);
+
+	var values = this.values;
+	values[0] = offset.dot(axes[0]);
+	values[1] = offset.dot(axes[1]);
+	values[2] = offset.dot(axes[2]);
+	values[3] = 2 * Math.atan2(relative.x, relative.w);
+	values[4] = 2 * Math.atan2(relative.y, relative.w);
+	values[5] = 2 * Math.atan2(relative.z, relative.w);
+
+	for (var i = 0; i < 6; i++) {
+		var axis = axes[i % 3];
+		var equation = this.positionEquations[i];
+		var motor = this.motorEquations[i];
+
+		setJacobian(equation, i < 3, axis, rA, rB, cross);
+		setJacobian(motor, i < 3, axis, rA, rB, cross);
+
+		this._updatePositionEquation(equation, this.motions[i], values[i], this.lowerLimits[i], this.upperLimits[i]);
+
+		motor.enabled = this._enabled && this.useMotor && this.motions[i] !== ConfigurableJoint.LOCKED;
+		motor.targetVelocity = this.targetVelocities[i];
+		motor.minForce = -this.maxMotorForce;
+		motor.maxForce = this.maxMotorForce;
+	}
+};
+
+ConfigurableConstraint.prototype._updatePositionEquation = function (equation, motion, value, lower, upper) {
+	equation.enabled = this._enabled;
+	if (motion === ConfigurableJoint.LOCKED) {
+		equation.violation = value;
+		equation.minForce = -this.maxForce;
+		equation.maxForce = this.maxForce;
+	} else if (motion === ConfigurableJoint.LIMITED) {
+		// a one sided equation against the nearest limit, which also slows down the approach to it instead of bouncing off it
+		if (value < (lower + upper) / 2) {
+			equation.violation = value - lower;
+			equation.minForce = 0;
+			equation.maxForce = this.maxForce;
+		} else {
+			equation.violation = value - upper;
+			equation.minForce = -this.maxForce;
+			equation.maxForce = 0;
+		}
+	} else {
+		equation.enabled = false;
+	}
+};
+
+/**
+ * Enables all equations in the constraint.
+ */
+ConfigurableConstraint.prototype.enable = function () {
+	this._enabled = true;
+};
+
+/**
+ * Disables all equations in the constraint.
+ */
+ConfigurableConstraint.prototype.disable = function () {
+	this._enabled = false;
+	this.equations.forEach(function (equation) {
+		equation.enabled = false;
+	});
+};
+
+module.exports = ConfigurableConstraint;
@@ -0,0 +1,297 @@
+var Vector3 = require('../../../math/Vector3');
+
+var tmpVec = new Vector3();
+var tmpU = new Vector3();
+var tmpV = new Vector3();
+
+function createFace(points, a, b, c) {
+	var normal = new Vector3(points[b]).sub(points[a]).cross(tmpVec.set(points[c]).sub(points[a])).normalize();
+	return {
+		a: a,
+		b: b,
+		c: c,
+		normal: normal,
+		offset: normal.dot(points[a]),
+		outside: []
+	};
+}
+
+function distanceToFace(face, point) {
+	return face.normal.dot(point) - face.offset;
+}
+
+function distanceToLine(a, b, point) {
+	tmpU.set(b).sub(a).normalize();
+	tmpV.set(point).sub(a);
+	return tmpV.sub(tmpU.scale(tmpU.dot(tmpV))).length();
+}
+
+// orders the indices of a convex polygon counter clockwise around its normal and drops the ones in the middle of an edge
+function sortPolygon(points, indices, normal, epsilon) {
+	var center = new Vector3();
+	for (var i = 0; i < indices.length; i++) {
+		center.add(points[indices[i]]);
+	}
+	center.scale(1 / indices.length);
+
+	var u = new Vector3(points[indices[0]]).sub(center).normalize();
+	var v = new Vector3(normal).cross(u);
+	var angles = {};
+	indices.forEach(function (index) {
+		tmpVec.set(points[index]).sub(center);
+		angles[index] = Math.atan2(tmpVec.dot(v), tmpVec.dot(u));
+	});
+	indices.sort(function (a, b) {
+		return angles[a] - angles[b];
+	});
+
+	return indices.filter(function (index, i) {
+		var previous = indices[(i + indices.length - 1) % indices.length];
+		var next = indices[(i + 1) % indices.length];
+		return distanceToLine(points[previous], points[next], points[index]) > epsilon;
+	});
+}
+
+/**
+ * The convex hull of a set of points, built with the quickhull algorithm.
+ * Coplanar triangles of the hull are merged into polygons whose indices are ordered counter clockwise, seen from outside of the hull.
+ * Flat point sets give a hull of two opposite polygons.
+ * @param {Array<number>} positions Flat array of point coordinates, like the POSITION attribute buffer of a MeshData
+ * @example
+ * var hull = new ConvexHull(meshData.getAttributeBuffer(MeshData.POSITION));
+ */
+function ConvexHull(positions) {
+	/**
+	 * The points on the hull.
+	 * @type {Array<Vector3>}
+	 */
+	this.vertices = [];
+
+	/**
+	 * The faces of the hull, as lists of indices into the vertices.
+	 * @type {Array<Array<number>>}
+	 */
+	this.faces = [];
+
+	this._build(positions);
+}
+
+ConvexHull.prototype._build = function (positions) {
+	var points = [];
+	for (var i = 0; i + 2 < positions.length; i += 3) {
+		points.push(new Vector3(positions[i], positions[i + 1], positions[i + 2]));
+	}
+	if (points.length < 3) {
+		throw new Error('A convex hull needs at least three points');
+	}
+
+	// the tolerance scales with the size of the point set
+	var min = new Vector3(Infinity, Infinity, Infinity);
+	var max = new Vector3(-Infinity, -Infinity, -Infinity);
+	points.forEach(function (point) {
+		min.setDirect(Math.min(min.x, point.x), Math.min(min.y, point.y), Math.min(min.z, point.z));
+		max.setDirect(Math.max(max.x, point.x), Math.max(max.y, point.y), Math.max(max.z, point.z));
+	});
+	var epsilon = 1e-6 * Math.max(max.x - min.x, max.y - min.y, max.z - min.z, 1e-6);
+
+	// the two points farthest apart along an axis, then the points farthest from their line and plane
+	var i0 = 0;
+	var i1 = 0;
+	var axes = ['x', 'y', 'z'];
+	var extent = -1;
+	axes.forEach(function (axis) {
+		var lo = 0;
+		var hi = 0;
+		for (var i = 1; i < points.length; i++) {
+			if (points[i][axis] < points[lo][axis]) { lo = i; }
+			if (points[i][axis] > points[hi][axis]) { hi = i; }
+		}
+		if (points[hi][axis] - points[lo][axis] > extent) {
+			extent = points[hi][axis] - points[lo][axis];
+			i0 = lo;
+			i1 = hi;
+		}
+	});
+
+	var i2 = -1;
+	var best = epsilon;
+	for (var i = 0; i < points.length; i++) {
+		var distance = distanceToLine(points[i0], points[i1], points[i]);
+		if (distance > best) {
+			best = distance;
+			i2 = i;
+		}
+	}
+	if (i2 === -1) {
+		throw new Error('A convex hull needs points that are not on a line');
+	}
+
+	var base = createFace(points, i0, i1, i2);
+	var i3 = -1;
+	best = epsilon;
+	for (var i = 0; i < points.length; i++) {
+		var distance = Math.abs(distanceToFace(base, points[i]));
+		if (distance > best) {
+			best = distance;
+			i3 = i;
+		}
+	}
+	if (i3 === -1) {
+		this._buildFlat(points, base.normal, epsilon);
+		return;
+	}
+
+	if (distanceToFace(base, points[i3]) > 0) {
+		var swap = i1;
+		i1 = i2;
+		i2 = swap;
+	}
+	var faces = [
+		createFace(points, i0, i1, i2),
+		createFace(points, i0, i3, i1),
+		createFace(points, i1, i3, i2),
+		createFace(points, i2, i3, i0)
+	];
+
+	var assign = function (candidates, faces) {
+		for (var i = 0; i < candidates.length; i++) {
+			var index = candidates[i];
+			for (var j = 0; j < faces.length; j++) {
+				if (distanceToFace(faces[j], points[index]) > epsilon) {
+					faces[j].outside.push(index);
+					break;
+				}
+			}
+		}
+	};
+
+	var candidates = [];
+	for (var i = 0; i < points.length; i++) {
+		if (i !== i0 && i !== i1 && i !== i2 && i !== i3) {
+			candidates.push(i);
+		}
+	}
+	assign(candidates, faces);
+
+	var face;
+	while ((face = faces.find(function (face) { return face.outside.length > 0; }))) {
+		// the point farthest out of the face is added to the hull
+		var eye = face.outside[0];
+		best = distanceToFace(face, points[eye]);
+		for (var i = 1; i < face.outside.length; i++) {
+			var distance = distanceToFace(face, points[face.outside[i]]);
+			if (distance > best) {
+				best = distance;
+				eye = face.outside[i];
+			}
+		}
+
+		var visible = [];
+		var kept = [];
+		faces.forEach(function (face) {
+			(distanceToFace(face, points[eye]) > epsilon ? visible : kept).push(face);
+		});
+
+		// the horizon is made of the edges of visible faces whose neighbour is not visible
+		var edges = {};
+		visible.forEach(function (face) {
+			edges[face.a + ',' + face.b] = true;
+			edges[face.b + ',' + face.c] = true;
+			edges[face.c + ',' + face.a] = true;
+		});
+
+		var created = [];
+		visible.forEach(function (face) {
+			[[face.a, face.b], [face.b, face.c], [face.c, face.a]].forEach(function (edge) {
+				if (!edges[edge[1] + ',' + edge[0]]) {
+					created.push(createFace(points, edge[0], edge[1], eye));
+				}
+			});
+		});
+
+		candidates = [];
+		visible.forEach(function (face) {
+			for (var i = 0; i < face.outside.length; i++) {
+				if (face.outside[i] !== eye) {
+					candidates.push(face.outside[i]);
+				}
+			}
+		});
+		assign(candidates, created);
+
+		faces = kept.concat(created);
+	}
+
+	this._mergeFaces(points, faces, epsilon);
+};
+
+ConvexHull.prototype._mergeFaces = function (points, faces, epsilon) {
+	var polygons = [];
+	faces.forEach(function (face) {
+		var polygon = polygons.find(function (polygon) {
+			return polygon.normal.dot(face.normal) > 1 - 1e-6 && Math.abs(polygon.offset - face.offset) < epsilon;
+		});
+		if (!polygon) {
+			polygon = { normal: face.normal, offset: face.offset, indices: [] };
+			polygons.push(polygon);
+		}
+		[face.a, face.b, face.c].forEach(function (index) {
+			if (polygon.indices.indexOf(index) === -1) {
+				polygon.indices.push(index);
+			}
+		});
+	});
+
+	this._setFaces(points, polygons.map(function (polygon) {
+		return sortPolygon(points, polygon.indices, polygon.normal, epsilon);
+	}));
+};
+
+ConvexHull.prototype._buildFlat = function (points, normal, epsilon) {
+	// gift wrapping in the plane of the points, starting from the lexicographically smallest point which is always on the hull
+	var u = new Vector3();
+	var start = 0;
+	for (var i = 1; i < points.length; i++) {
+		var a = points[i];
+		var b = points[start];
+		if (a.x < b.x || (a.x === b.x && (a.y < b.y || (a.y === b.y && a.z < b.z)))) {
+			start = i;
+		}
+	}
+
+	var indices = [];
+	var current = start;
+	do {
+		indices.push(current);
+		var next = (current + 1) % points.length;
+		for (var i = 0; i < points.length; i++) {
+			u.set(points[next]).sub(points[current]);
+			tmpVec.set(points[i]).sub(points[current]);
+			var turn = u.cross(tmpVec).dot(normal);
+			if (turn < -epsilon * epsilon || (Math.abs(turn) <= epsilon * epsilon && tmpVec.length() > points[next].distance(points[current]))) {
+				next = i;
+			}
+		}
+		current = next;
+	} while (current !== start && indices.length <= points.length);
+
+	var front = sortPolygon(points, indices, normal, epsilon);
+	this._setFaces(points, [front, front.slice().reverse()]);
+};
+
+// keeps only the points used by the faces
+ConvexHull.prototype._setFaces = function (points, faces) {
+	var remap = {};
+	var vertices = this.vertices;
+	this.faces = faces.map(function (face) {
+		return face.map(function (index) {
+			if (remap[index] === undefined) {
+				remap[index] = vertices.length;
+				vertices.push(points[index]);
+			}
+			return remap[index];
+		});
+	});
+};
+
+module.exports = ConvexHull;
@@ -1,5 +1,6 @@
 var MathUtils = require('../../math/MathUtils');
 var TransformData = require('../../animationpack/clip/TransformData');
+var MorphWeightsData = require('../../animationpack/clip/MorphWeightsData');
 var Source = require('../../animationpack/blendtree/Source');
 
 /**
@@ -117,13 +118,13 @@ BinaryLerpSource.combineSourceData = function (sourceAData, sourceBData, blendWe
 		if (!isNaN(dataA)) {
 			BinaryLerpSource.blendFloatValues(rVal, key, blendWeight, dataA, dataB);
 			continue;
-		} else if (!(dataA instanceof TransformData)) {
+		} else if (!(dataA instanceof TransformData || dataA instanceof MorphWeightsData)) {
 			// A will always override if not null.
 			rVal[key] = dataA;
 			continue;
 		}
 
-		// Grab the transform data for each clip
+		// Grab the transform or weights data for each clip
 		if (dataB) {
 			rVal[key] = dataA.blend(dataB, blendWeight, rVal[key]);
 		} else {
@@ -0,0 +1,58 @@
+var AbstractAnimationChannel = require('../../animationpack/clip/AbstractAnimationChannel');
+var MorphWeightsData = require('../../animationpack/clip/MorphWeightsData');
+var MathUtils = require('../../math/MathUtils');
+
+/**
+ * An animation channel consisting of morph target weight samples, which are interpolated between key frames. Used to animate the
+ *        blend shapes of a mesh, like facial expressions or corrective shapes.
+ * @param {string} channelName the name of this channel.
+ * @param {Array<number>} times the time samples
+ * @param {Array<number>} weights our weight samples, targetCount entries per time sample.
+ * @param {number} targetCount the number of morph targets animated by the channel.
+ * @param {string} [blendType] the blendtype between keyframes of the channel.
+ * @private
+ */
+function MorphWeightsChannel(channelName, times, weights, targetCount, blendType) {
+	AbstractAnimationChannel.call(this, channelName, times, blendType);
+	this._weights = weights ? new Float32Array(weights) : null;
+	this._targetCount = targetCount;
+}
+
+MorphWeightsChannel.prototype = Object.create(AbstractAnimationChannel.prototype);
+
+/*
+ * Creates a data item for this type of channel
+ * @returns {MorphWeightsData}
+ */
+MorphWeightsChannel.prototype.createStateDataObject = function () {
+	return new MorphWeightsData();
+};
+
+/*
+ * Applies the channels animation state to supplied data item
+ * @param {number} sampleIndex
+ * @param {number} progressPercent
+ * @param {MorphWeightsData} value The data item to apply animation to
+ */
+MorphWeightsChannel.prototype.setCurrentSample = function (sampleIndex, progressPercent, value) {
+	var count = this._targetCount;
+	var index = sampleIndex * count;
+	var next = progressPercent !== 0.0 ? index + count : index;
+	for (var i = 0; i < count; i++) {
+		value._weights[i] = MathUtils.lerp(progressPercent, this._weights[index + i], this._weights[next + i]);
+	}
+};
+
+/**
+ * Apply a specific index of this channel to a {@link MorphWeightsData} object.
+ * @param {number} index the index to grab.
+ * @param {MorphWeightsData} [store] the MorphWeightsData to store in. If null, a new one is created.
+ * @returns {MorphWeightsData} our resulting MorphWeightsData.
+ */
+MorphWeightsChannel.prototype.getData = function (index, store) {
+	var rVal = store ? store : new MorphWeightsData();
+	this.setCurrentSample(index, 0.0, rVal);
+	return rVal;
+};
+
+module.exports = MorphWeightsChannel;
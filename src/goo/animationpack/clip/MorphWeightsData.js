@@ -0,0 +1,49 @@
+var MeshData = require('../../renderer/MeshData');
+
+/**
+ * Describes the blend weights of the morph targets of a mesh, as produced by a {@link MorphWeightsChannel}.
+ * @param {MorphWeightsData} [source] source to copy.
+ */
+function MorphWeightsData(source) {
+	this._weights = new Float32Array(MeshData.MAX_MORPH_TARGETS);
+	if (source) {
+		this._weights.set(source._weights);
+	}
+}
+
+/*
+ * Applies the weights to the morph targets of a mesh data component
+ * @param {MeshDataComponent} meshDataComponent
+ */
+MorphWeightsData.prototype.applyTo = function (meshDataComponent) {
+	if (!meshDataComponent.morphWeights) {
+		meshDataComponent.morphWeights = new Float32Array(MeshData.MAX_MORPH_TARGETS);
+	}
+	meshDataComponent.morphWeights.set(this._weights);
+};
+
+/**
+ * Copy the source's values into this morph weights data object.
+ * @param {MorphWeightsData} source our source to copy.
+ */
+MorphWeightsData.prototype.set = function (source) {
+	this._weights.set(source._weights);
+};
+
+/**
+ * Blend this MorphWeightsData with the given MorphWeightsData.
+ * @param {MorphWeightsData} blendTo The MorphWeightsData to blend to
+ * @param {number} blendWeight The blend weight
+ * @param {MorphWeightsData} store The MorphWeightsData store.
+ * @returns {MorphWeightsData} The blended weights.
+ */
+MorphWeightsData.prototype.blend = function (blendTo, blendWeight, store) {
+	var wData = store ? store : new MorphWeightsData();
+
+	for (var i = 0; i < this._weights.length; i++) {
+		wData._weights[i] = this._weights[i] + (blendTo._weights[i] - this._weights[i]) * blendWeight;
+	}
+	return wData;
+};
+
+module.exports = MorphWeightsData;
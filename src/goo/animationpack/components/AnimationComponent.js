@@ -4,6 +4,7 @@ var AnimationLayer = require('../../animationpack/layer/AnimationLayer');
 var JointData = require('../../animationpack/clip/JointData');
 var TransformData = require('../../animationpack/clip/TransformData');
 var TriggerData = require('../../animationpack/clip/TriggerData');
+var MorphWeightsData = require('../../animationpack/clip/MorphWeightsData');
 
 /**
  * Holds the animation data.
@@ -103,7 +104,7 @@ AnimationComponent.prototype.update = function (globalTime) {
 /*
  * Applying calculated animations to the concerned data
  */
-AnimationComponent.prototype.apply = function (transformComponent) {
+AnimationComponent.prototype.apply = function (transformComponent, meshDataComponent) {
 	var data = this.getCurrentSourceData();
 	if (!data) { return; }
 
@@ -123,6 +124,10 @@ AnimationComponent.prototype.apply = function (transformComponent) {
 				transformComponent.sync();
 				value.applyTo(transformComponent.transform);
 			}
+		} else if (value instanceof MorphWeightsData) {
+			if (meshDataComponent) {
+				value.applyTo(meshDataComponent);
+			}
 		} else if (value instanceof TriggerData) {
 			if (value.armed) {
 				// pull callback(s) for the current trigger key, if exists, and call.
@@ -229,6 +234,38 @@ AnimationComponent.prototype.resume = function () {
 	this.paused = false;
 };
 
+/**
+ * Captures the playback state of all layers.
+ * @returns {Object}
+ */
+AnimationComponent.prototype.snapshot = function () {
+	return {
+		paused: this.paused,
+		lastTimeOfPause: this.lastTimeOfPause,
+		lastUpdate: this._lastUpdate,
+		layers: this.layers.map(function (layer) {
+			return {
+				layer: layer,
+				data: layer.snapshot()
+			};
+		})
+	};
+};
+
+/**
+ * Restores the playback state captured by {@link AnimationComponent#snapshot}. Layers added since are left as they are.
+ * @param {Object} data
+ */
+AnimationComponent.prototype.restore = function (data) {
+	this.paused = data.paused;
+	this.lastTimeOfPause = data.lastTimeOfPause;
+	this._lastUpdate = data.lastUpdate;
+
+	for (var i = 0; i < data.layers.length; i++) {
+		data.layers[i].layer.restore(data.layers[i].data);
+	}
+};
+
 AnimationComponent.prototype.clone = function () {
 	var cloned = new AnimationComponent();
 
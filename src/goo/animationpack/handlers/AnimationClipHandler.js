@@ -3,6 +3,7 @@ var AnimationClip = require('../../animationpack/clip/AnimationClip');
 var JointChannel = require('../../animationpack/clip/JointChannel');
 var TransformChannel = require('../../animationpack/clip/TransformChannel');
 var InterpolatedFloatChannel = require('../../animationpack/clip/InterpolatedFloatChannel');
+var MorphWeightsChannel = require('../../animationpack/clip/MorphWeightsChannel');
 var TriggerChannel = require('../../animationpack/clip/TriggerChannel');
 var ArrayUtils = require('../../util/ArrayUtils');
 
@@ -112,6 +113,15 @@ AnimationClipHandler.prototype._updateAnimationClip = function (clipConfig, bind
 						blendType
 					);
 					break;
+				case 'MorphWeights':
+					channel = new MorphWeightsChannel(
+						channelConfig.name,
+						times,
+						ArrayUtils.getTypedArray(bindata, channelConfig.weightSamples),
+						channelConfig.targetCount,
+						blendType
+					);
+					break;
 				case 'Trigger':
 					channel = new TriggerChannel(
 						channelConfig.name,
@@ -10,6 +10,8 @@ module.exports = {
 	InterpolatedFloatChannel: require('./clip/InterpolatedFloatChannel'),
 	JointChannel: require('./clip/JointChannel'),
 	JointData: require('./clip/JointData'),
+	MorphWeightsChannel: require('./clip/MorphWeightsChannel'),
+	MorphWeightsData: require('./clip/MorphWeightsData'),
 	TransformChannel: require('./clip/TransformChannel'),
 	TransformData: require('./clip/TransformData'),
 	TriggerChannel: require('./clip/TriggerChannel'),
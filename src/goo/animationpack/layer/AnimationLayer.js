@@ -336,4 +336,101 @@ AnimationLayer.prototype.clone = function () {
 	return cloned;
 };
 
+function collectClipInstances(source, instances) {
+	if (!source) {
+		return;
+	}
+	if (source._clipInstance && instances.indexOf(source._clipInstance) === -1) {
+		instances.push(source._clipInstance);
+	}
+	collectClipInstances(source._sourceA, instances);
+	collectClipInstances(source._sourceB, instances);
+	collectClipInstances(source._source, instances);
+}
+
+/**
+ * Captures the current state, the blend weight and the timing of all states and clips of the layer.
+ * @returns {Object}
+ */
+AnimationLayer.prototype.snapshot = function () {
+	var states = [];
+	var clipInstances = [];
+
+	var keys = Object.keys(this._steadyStates);
+	for (var i = 0; i < keys.length; i++) {
+		var state = this._steadyStates[keys[i]];
+		states.push({ state: state, globalStartTime: state._globalStartTime });
+		collectClipInstances(state._sourceTree, clipInstances);
+	}
+
+	keys = Object.keys(this._transitionStates);
+	for (var i = 0; i < keys.length; i++) {
+		var state = this._transitionStates[keys[i]];
+		states.push({
+			state: state,
+			globalStartTime: state._globalStartTime,
+			sourceState: state._sourceState,
+			targetState: state._targetState,
+			percent: state._percent
+		});
+	}
+
+	return {
+		currentState: this._currentState,
+		blendWeight: this._layerBlender ? this._layerBlender._blendWeight : null,
+		states: states,
+		clipInstances: clipInstances.map(function (instance) {
+			return {
+				instance: instance,
+				active: instance._active,
+				loopCount: instance._loopCount,
+				timeScale: instance._timeScale,
+				startTime: instance._startTime,
+				prevClockTime: instance._prevClockTime,
+				prevUnscaledClockTime: instance._prevUnscaledClockTime
+			};
+		})
+	};
+};
+
+/**
+ * Restores the state captured by {@link AnimationLayer#snapshot}.
+ * Finish callbacks passed when the captured state was entered are not kept.
+ * @param {Object} data
+ */
+AnimationLayer.prototype.restore = function (data) {
+	for (var i = 0; i < data.states.length; i++) {
+		var stateData = data.states[i];
+		var state = stateData.state;
+		state._globalStartTime = stateData.globalStartTime;
+		if (stateData.percent !== undefined) {
+			state._sourceState = stateData.sourceState;
+			state._targetState = stateData.targetState;
+			state._percent = stateData.percent;
+		}
+	}
+
+	for (var i = 0; i < data.clipInstances.length; i++) {
+		var instanceData = data.clipInstances[i];
+		var instance = instanceData.instance;
+		instance._active = instanceData.active;
+		instance._loopCount = instanceData.loopCount;
+		instance._timeScale = instanceData.timeScale;
+		instance._startTime = instanceData.startTime;
+		instance._prevClockTime = instanceData.prevClockTime;
+		instance._prevUnscaledClockTime = instanceData.prevUnscaledClockTime;
+	}
+
+	if (this._layerBlender && data.blendWeight !== null) {
+		this._layerBlender._blendWeight = data.blendWeight;
+	}
+
+	this.setCurrentState(data.currentState, false);
+
+	// a source state that finishes mid transition should not cut the transition short
+	if (data.currentState && data.currentState._sourceState) {
+		data.currentState._sourceState.onFinished = null;
+	}
+};
+
 module.exports = AnimationLayer;
\ No newline at end of file
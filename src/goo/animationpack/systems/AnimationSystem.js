@@ -16,7 +16,7 @@ AnimationSystem.prototype.process = function () {
 		var entity = this._activeEntities[i];
 		var animationComponent = entity.animationComponent;
 		animationComponent.update(World.time);
-		animationComponent.apply(entity.transformComponent);
+		animationComponent.apply(entity.transformComponent, entity.meshDataComponent);
 		animationComponent.postUpdate();
 	}
 };
@@ -158,6 +158,23 @@ EntityUtils.getRoot = function (entity) {
 	return entity;
 };
 
+/**
+ * Checks if an entity is the given root entity or one of its descendants
+ * @param {Entity} entity
+ * @param {Entity} root
+ * @returns {boolean}
+ */
+EntityUtils.isInHierarchyOf = function (entity, root) {
+	var found = false;
+	entity.traverseUp(function (parent) {
+		if (parent === root) {
+			found = true;
+			return false;
+		}
+	});
+	return found;
+};
+
 /**
  * @deprecated Deprecated with warning on 2016-04-06
  */
@@ -1,5 +1,6 @@
 var World = require('./World');
 var Renderer = require('../renderer/Renderer');
+var NullRenderer = require('../renderer/NullRenderer');
 var TransformSystem = require('./systems/TransformSystem');
 var RenderSystem = require('./systems/RenderSystem');
 var BoundingUpdateSystem = require('./systems/BoundingUpdateSystem');
@@ -43,11 +44,22 @@ var Material = require('../renderer/Material');
  * @param {boolean} [parameters.tpfSmoothingCount=10] Specifies the amount of previous frames to use when computing the 'time per frame'
  * @param {boolean} [parameters.debugKeys=false] If enabled the hotkeys Shift+[1..6] will be enabled
  * @param {boolean} [parameters.useTryCatch=true]
+ * @param {boolean} [parameters.headless=false] Run without a canvas and WebGL, for example in Node. A {@link NullRenderer} counts draw calls instead of drawing,
+ * the logo, the stats and the visibility listener are left out and the game loop has to be advanced with {@link GooRunner#step}.
  */
 function GooRunner(parameters) {
 	parameters = parameters || {};
 
-	GameUtils.initAllShims();
+	/**
+	 * True if running without a canvas and WebGL.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	this.headless = !!parameters.headless;
+
+	if (!this.headless) {
+		GameUtils.initAllShims();
+	}
 
 	/**
 	 * The Goo world.
@@ -60,9 +72,9 @@ function GooRunner(parameters) {
 
 	/**
 	 * Automatically created renderer.
-	 * @type {Renderer}
+	 * @type {Renderer|NullRenderer}
 	 */
-	this.renderer = new Renderer(parameters);
+	this.renderer = this.headless ? new NullRenderer(parameters) : new Renderer(parameters);
 
 	/**
 	 * Set to true to run user-defined callbacks within try/catch statements. Errors will be printed to console.
@@ -77,10 +89,10 @@ function GooRunner(parameters) {
 	this.doProcess = true;
 	this.doRender = true;
 
-	if (parameters.showStats) {
+	if (parameters.showStats && !this.headless) {
 		this.addStats();
 	}
-	if (parameters.logo === undefined || parameters.logo) {
+	if (!this.headless && (parameters.logo === undefined || parameters.logo)) {
 		var logoDiv = this._buildLogo(parameters.logo);
 		if (logoDiv) {
 			document.body.appendChild(logoDiv);
@@ -117,7 +129,7 @@ function GooRunner(parameters) {
 	this.start = -1;
 
 	this.animationId = 0;
-	if (!parameters.manuallyStartGameLoop) {
+	if (!parameters.manuallyStartGameLoop && !this.headless) {
 		this.startGameLoop();
 	}
 
@@ -154,15 +166,17 @@ function GooRunner(parameters) {
 		touchmove: null
 	};
 
-	GameUtils.addVisibilityChangeListener(function (paused) {
-		if (paused) {
-			this._stopGameLoop();
-		} else {
-			if (!this.manuallyPaused) {
-				this._startGameLoop();
+	if (!this.headless) {
+		GameUtils.addVisibilityChangeListener(function (paused) {
+			if (paused) {
+				this._stopGameLoop();
+			} else {
+				if (!this.manuallyPaused) {
+					this._startGameLoop();
+				}
 			}
-		}
-	}.bind(this));
+		}.bind(this));
+	}
 
 	this._picking = {
 		x: 0,
@@ -174,7 +188,7 @@ function GooRunner(parameters) {
 		clearColorStore: [] //! AT: why is this an array and not a vector4?
 	};
 
-	this.manuallyPaused = !!parameters.manuallyStartGameLoop;
+	this.manuallyPaused = !!parameters.manuallyStartGameLoop || this.headless;
 
 	this._setupContextLost();
 }
@@ -255,6 +269,21 @@ GooRunner.prototype.run = function (time) {
 	}
 };
 
+/**
+ * Advances the game loop by one frame. This is how headless runners are driven, as they have no requestAnimationFrame loop.
+ * @param {number} [tpf=1/60] Duration of the frame in seconds
+ * @example
+ * var gooRunner = new GooRunner({ headless: true });
+ * gooRunner.step(0.5); // processes and "renders" half a second
+ */
+GooRunner.prototype.step = function (tpf) {
+	tpf = tpf !== undefined ? tpf : 1 / 60;
+	if (this.start < 0) {
+		this.start = 0;
+	}
+	this.run(this.start + tpf * 1000);
+};
+
 /**
  * Calls a function and catches any error
  * @private
@@ -409,7 +438,8 @@ GooRunner.prototype._updateFrame = function (time) {
 
 	// resolve any snapshot requests
 	if (this._takeSnapshots.length) {
-		var image = this.renderer.domElement.toDataURL();
+		// headless runners have no canvas to take a snapshot of
+		var image = this.renderer.domElement ? this.renderer.domElement.toDataURL() : null;
 		if (this.useTryCatch) {
 			for (var i = this._takeSnapshots.length - 1; i >= 0; i--) {
 				var callback = this._takeSnapshots[i];
@@ -720,7 +750,9 @@ GooRunner.prototype.startGameLoop = function () {
  * @private
  */
 GooRunner.prototype._stopGameLoop = function () {
-	window.cancelAnimationFrame(this.animationId);
+	if (this.animationId) {
+		window.cancelAnimationFrame(this.animationId);
+	}
 	this.animationId = 0;
 };
 
@@ -797,7 +829,7 @@ GooRunner.prototype.clear = function () {
 
 	// detach the canvas from the page
 	var gooCanvas = this.renderer.domElement;
-	if (gooCanvas.parentNode) {
+	if (gooCanvas && gooCanvas.parentNode) {
 		gooCanvas.parentNode.removeChild(gooCanvas);
 	}
 
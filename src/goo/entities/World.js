@@ -594,6 +594,105 @@ World.prototype._check = function (entities, callback) {
 	entities.length = 0;
 };
 
+/**
+ * Captures the state of the world and its entities in memory, to be restored with {@link World#restore}.
+ * Each component of each entity is asked for its state with {@link Component#snapshot}.
+ * The snapshot keeps references to the entities and components, so no resources get copied or recreated.
+ * @example
+ * var checkpoint = world.snapshot();
+ * // ... play on
+ * world.restore(checkpoint);
+ * @returns {Object} The snapshot
+ */
+World.prototype.snapshot = function () {
+	var entities = this.entityManager.getEntities();
+	var entitySnapshots = [];
+
+	for (var i = 0; i < entities.length; i++) {
+		var entity = entities[i];
+		var componentSnapshots = [];
+
+		for (var j = 0; j < entity._components.length; j++) {
+			var component = entity._components[j];
+			var data = component.snapshot ? component.snapshot() : null;
+			if (data !== null) {
+				componentSnapshots.push({
+					component: component,
+					data: data
+				});
+			}
+		}
+
+		entitySnapshots.push({
+			entity: entity,
+			components: componentSnapshots
+		});
+	}
+
+	return {
+		time: this.time,
+		fixedTpfTime: this.fixedTpfTime,
+		interpolationTime: this.interpolationTime,
+		accumulator: this._accumulator,
+		entities: entitySnapshots
+	};
+};
+
+/**
+ * Puts the world back in the state captured by {@link World#snapshot}.
+ * Entities added since the snapshot are removed and entities removed since are added back.
+ * Components added to entities after the snapshot was taken are left as they are.
+ * @param {Object} snapshot
+ * @returns {World} Returns self to allow chaining.
+ */
+World.prototype.restore = function (snapshot) {
+	var snapshotEntities = new Set();
+	for (var i = 0; i < snapshot.entities.length; i++) {
+		snapshotEntities.add(snapshot.entities[i].entity);
+	}
+
+	var entities = this.entityManager.getEntities();
+	for (var i = 0; i < entities.length; i++) {
+		if (!snapshotEntities.has(entities[i])) {
+			this.removeEntity(entities[i], false);
+		}
+	}
+
+	for (var i = 0; i < snapshot.entities.length; i++) {
+		var entity = snapshot.entities[i].entity;
+		if (!this.entityManager.containsEntity(entity)) {
+			// the systems may not have been told about the removal yet
+			var removedIndex = this._removedEntities.indexOf(entity);
+			if (removedIndex !== -1) {
+				this._removedEntities.splice(removedIndex, 1);
+			}
+			this.addEntity(entity, false);
+		}
+	}
+
+	// let the systems set up re-added entities before their state gets restored
+	this.processEntityChanges();
+
+	for (var i = 0; i < snapshot.entities.length; i++) {
+		var entitySnapshot = snapshot.entities[i];
+		var entity = entitySnapshot.entity;
+
+		for (var j = 0; j < entitySnapshot.components.length; j++) {
+			var componentSnapshot = entitySnapshot.components[j];
+			if (entity._components.indexOf(componentSnapshot.component) !== -1) {
+				componentSnapshot.component.restore(componentSnapshot.data);
+			}
+		}
+	}
+
+	this.time = snapshot.time;
+	this.fixedTpfTime = snapshot.fixedTpfTime;
+	this.interpolationTime = snapshot.interpolationTime;
+	this._accumulator = snapshot.accumulator;
+
+	return this;
+};
+
 /**
  * Calls .clear on all systems that support this method
  */
@@ -48,6 +48,21 @@ Component.prototype.attached = function (/*entity*/) {};
  */
 Component.prototype.detached = function (/*entity*/) {};
 
+/**
+ * Captures the runtime state of the component, to be handed back to {@link Component#restore} later. Used by {@link World#snapshot}.
+ * Components with state worth saving override this; the default captures nothing.
+ * @returns {Object|null} The captured state or null if there is nothing to capture.
+ */
+Component.prototype.snapshot = function () {
+	return null;
+};
+
+/**
+ * Puts the component back in a state previously captured by {@link Component#snapshot}. Used by {@link World#restore}.
+ * @param {Object} data
+ */
+Component.prototype.restore = function (/*data*/) {};
+
 /**
  * Injects public methods of this component into the host entity.
  * @param {Entity} entity
@@ -35,6 +35,12 @@ function MeshDataComponent(meshData) {
 	 */
 	this.currentPose = null; // SkeletonPose
 
+	/** Blend weights of the morph targets of the mesh data, one per target. Null when no morph target is applied.
+	 * @type {Float32Array}
+	 * @default
+	 */
+	this.morphWeights = null;
+
 	// @ifdef DEBUG
 	Object.seal(this);
 	// @endif
@@ -74,6 +80,25 @@ MeshDataComponent.prototype.computeBoundFromPoints = function () {
 	}
 };
 
+/**
+ * Sets the blend weight of a morph target of the mesh data.
+ *
+ * @param {(string|number)} target Name or index of the morph target
+ * @param {number} weight Blend weight, usually between 0 and 1
+ */
+MeshDataComponent.prototype.setMorphWeight = function (target, weight) {
+	var index = typeof target === 'string' ? this.meshData.getMorphTargetIndex(target) : target;
+	if (index < 0 || index >= MeshData.MAX_MORPH_TARGETS) {
+		console.warn('No morph target ' + target + ' on mesh data');
+		return;
+	}
+
+	if (!this.morphWeights) {
+		this.morphWeights = new Float32Array(MeshData.MAX_MORPH_TARGETS);
+	}
+	this.morphWeights[index] = weight;
+};
+
 /**
  * Returns a clone of this mesh data component
  * @param {Object} [options]
@@ -95,6 +120,10 @@ MeshDataComponent.prototype.clone = function (options) {
 
 	clone.modelBoundDirty = this.modelBoundDirty;
 
+	if (this.morphWeights) {
+		clone.morphWeights = new Float32Array(this.morphWeights);
+	}
+
 	return clone;
 };
 
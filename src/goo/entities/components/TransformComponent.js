@@ -1,5 +1,6 @@
 var Transform = require('../../math/Transform');
 var Vector3 = require('../../math/Vector3');
+var Matrix4 = require('../../math/Matrix4');
 var Component = require('../../entities/components/Component');
 var EntitySelection = require('../../entities/EntitySelection');
 
@@ -39,8 +40,17 @@ function TransformComponent() {
 	 */
 	this.worldTransform = new Transform();
 
+	/**
+	 * The world matrix the entity was rendered with in the previous frame, for screen space motion. Kept by the TransformSystem
+	 * while a VelocityPass renders or when its keepPreviousWorldMatrix is set.
+	 * @readonly
+	 * @type {Matrix4}
+	 */
+	this.previousWorldMatrix = new Matrix4();
+
 	this._localTransformDirty = true;
 	this._worldTransformDirty = true;
+	this._hasPreviousWorldMatrix = false;
 
 	// @ifdef DEBUG
 	Object.seal(this);
@@ -677,6 +687,38 @@ TransformComponent.prototype.detachChild = function (childComponent, keepTransfo
 	childComponent.setUpdated();
 };
 
+/**
+ * Captures the local transform and the parent of the component.
+ * @returns {Object}
+ */
+TransformComponent.prototype.snapshot = function () {
+	return {
+		transform: this.transform.clone(),
+		parent: this.parent
+	};
+};
+
+/**
+ * Restores the local transform and the parent captured by {@link TransformComponent#snapshot}.
+ * The parent is swapped without any cycle checks since the rest of the hierarchy is expected to be restored as well.
+ * @param {Object} data
+ */
+TransformComponent.prototype.restore = function (data) {
+	this.transform.copy(data.transform);
+
+	if (this.parent !== data.parent) {
+		if (this.parent) {
+			this.parent.detachChild(this);
+		}
+		if (data.parent) {
+			this.parent = data.parent;
+			data.parent.children.push(this);
+		}
+	}
+
+	this.setUpdated();
+};
+
 /**
  * Update component's transform.
  */
@@ -709,6 +751,12 @@ TransformComponent.prototype.updateWorldTransform = (function () {
 
 		worldTransform.updateNormalMatrix();
 
+		// Entities don't move in their first frame
+		if (!this._hasPreviousWorldMatrix) {
+			this.previousWorldMatrix.copy(worldTransform.matrix);
+			this._hasPreviousWorldMatrix = true;
+		}
+
 		var entity = this.entity;
 		if (entity) {
 			entity.fire(transformUpdatedEvent);
@@ -717,6 +765,14 @@ TransformComponent.prototype.updateWorldTransform = (function () {
 	};
 })();
 
+/**
+ * Remembers the current world matrix as the previous one. Called by the TransformSystem after the frames that use it are rendered.
+ */
+TransformComponent.prototype.updatePreviousWorldMatrix = function () {
+	this.previousWorldMatrix.copy(this.worldTransform.matrix);
+	this._hasPreviousWorldMatrix = true;
+};
+
 /**
  * Update the local and world transforms of the entity tree above this component (and the component itself).
  */
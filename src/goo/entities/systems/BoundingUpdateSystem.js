@@ -2,7 +2,8 @@ var System = require('../../entities/systems/System');
 var BoundingBox = require('../../renderer/bounds/BoundingBox');
 
 /**
- * Calculates and updates all boundings on entities with both transform, meshrenderer and meshdata components
+ * Calculates and updates all boundings on entities with both transform, meshrenderer and meshdata components.
+ * The partitioner of the RenderSystem is told about every entity whose world bound changed.
  * @extends System
  */
 function BoundingUpdateSystem() {
@@ -21,6 +22,10 @@ BoundingUpdateSystem.prototype.process = function (entities) {
 		return;
 	}
 
+	// partitioners that keep a spatial structure need to know when the bounds change
+	var renderSystem = this.world ? this.world.getSystem('RenderSystem') : null;
+	var partitioner = renderSystem && renderSystem.partitioner && renderSystem.partitioner.updated ? renderSystem.partitioner : null;
+
 	for (var i = 0; i < l; i++) {
 		var entity = entities[i];
 		var meshDataComponent = entity.meshDataComponent;
@@ -34,6 +39,12 @@ BoundingUpdateSystem.prototype.process = function (entities) {
 			meshRendererComponent.updateBounds(meshDataComponent.modelBound, transformComponent.worldTransform);
 		} else if (meshRendererComponent._worldBoundDirty) {
 			meshRendererComponent.updateBounds(meshDataComponent.modelBound, transformComponent.worldTransform);
+		} else {
+			continue;
+		}
+
+		if (partitioner) {
+			partitioner.updated(entity);
 		}
 	}
 	if (this._computeWorldBound && this._computeWorldBound instanceof Function) {
@@ -2,6 +2,9 @@ var System = require('../../entities/systems/System');
 
 /**
  * Helps gather pickable entities
+ * @param {Object} [settings]
+ * @param {Object} [settings.pickLogic]
+ * @param {BvhPartitioner} [settings.partitioner] A partitioner that supports ray queries, used to find the entities near the pick ray instead of testing all of them
  * @extends System
  */
 function PickingSystem(settings) {
@@ -12,6 +15,15 @@ function PickingSystem(settings) {
 
 	settings = settings || {};
 
+	/**
+	 * A partitioner with a raycast method, like the {@link BvhPartitioner}. Only the entities it returns for the pick ray get picked.
+	 * @type {BvhPartitioner}
+	 */
+	this.partitioner = settings.partitioner || null;
+
+	// the entities of the system, to quickly leave out the other entities the partitioner returns
+	this._entities = new Set();
+
 	this.setPickLogic(settings.pickLogic || null);
 }
 
@@ -28,24 +40,39 @@ PickingSystem.prototype.setPickLogic = function (pickLogic) {
 };
 
 PickingSystem.prototype.inserted = function (entity) {
+	this._entities.add(entity);
 	if (entity.meshRendererComponent.isPickable && this.pickLogic) {
 		this.pickLogic.added(entity);
 	}
 };
 
 PickingSystem.prototype.deleted = function (entity) {
+	this._entities.delete(entity);
 	if (this.pickLogic) {
 		this.pickLogic.removed(entity);
 	}
 };
 
+PickingSystem.prototype.clear = function () {
+	System.prototype.clear.call(this);
+	this._entities.clear();
+};
+
 PickingSystem.prototype.process = function (entities) {
 	if (!this.pickRay || !this.onPick) {
 		return;
 	}
+	var candidates = entities;
+	if (this.partitioner && this.partitioner.raycast) {
+		var systemEntities = this._entities;
+		candidates = this.partitioner.raycast(this.pickRay).filter(function (entity) {
+			return systemEntities.has(entity);
+		});
+	}
+
 	var pickList = [];
-	for ( var i = 0; i < entities.length; i++) {
-		var entity = entities[i];
+	for ( var i = 0; i < candidates.length; i++) {
+		var entity = candidates[i];
 		var meshRendererComponent = entity.meshRendererComponent;
 
 		if (!meshRendererComponent.isPickable) {
@@ -1,6 +1,8 @@
 var System = require('../../entities/systems/System');
 var SystemBus = require('../../entities/SystemBus');
 var SimplePartitioner = require('../../renderer/SimplePartitioner');
+var InstanceBatcher = require('../../renderer/InstanceBatcher');
+var Capabilities = require('../../renderer/Capabilities');
 var Material = require('../../renderer/Material');
 var ShaderLib = require('../../renderer/shaders/ShaderLib');
 var ObjectUtils = require('../../util/ObjectUtils');
@@ -8,6 +10,7 @@ var ObjectUtils = require('../../util/ObjectUtils');
 /**
  * Renders entities/renderables using a configurable partitioner for culling
  * @property {boolean} doRender Only render if set to true
+ * @property {boolean} instancing Draw entities that share MeshData and Material with a single instanced draw call. Needs the ANGLE_instanced_arrays extension
  * @extends System
  */
 function RenderSystem() {
@@ -22,6 +25,9 @@ function RenderSystem() {
 	this._composersActive = true;
 	this.doRender = true;
 
+	this.instancing = false;
+	this.instanceBatcher = new InstanceBatcher();
+
 	this._debugMaterials = {};
 	this.overrideMaterials = [];
 	this.partitioningCamera = null;
@@ -86,7 +92,7 @@ RenderSystem.prototype.render = function (renderer) {
 	}
 
 	if (this.camera) {
-		renderer.updateShadows(this.partitioner, this.entities, this.lights);
+		renderer.updateShadows(this.partitioner, this.entities, this.lights, this.camera);
 
 		for (var i = 0; i < this.preRenderers.length; i++) {
 			var preRenderer = this.preRenderers[i];
@@ -99,6 +105,11 @@ RenderSystem.prototype.render = function (renderer) {
 			this.partitioner.process(this.camera, this.entities, this.renderList);
 		}
 
+		// debug materials override the instancing shader, so entities are drawn one by one then
+		if (this.instancing && Capabilities.InstancedArrays && this.overrideMaterials.length === 0) {
+			this.instanceBatcher.process(this.renderList, renderer);
+		}
+
 		if (this.composers.length > 0 && this._composersActive) {
 			for (var i = 0; i < this.composers.length; i++) {
 				var composer = this.composers[i];
@@ -202,6 +213,8 @@ RenderSystem.prototype.invalidateHandles = function (renderer) {
 		renderer.invalidateComposer(composer);
 	}
 
+	this.instanceBatcher.invalidateHandles(renderer);
+
 	renderer.rendererRecord = null; // might hold on to stuff
 };
 
@@ -12,6 +12,16 @@ var numUpdates;
 function TransformSystem() {
 	System.call(this, 'TransformSystem', ['TransformComponent']);
 	this.numUpdates = 0;
+
+	/**
+	 * Keeps the previous world matrices of the transform components up to date after every frame. Without it they are only kept
+	 * while a {@link VelocityPass} renders the entities of this world, which asks for them with usePreviousWorldMatrix.
+	 * @type {boolean}
+	 */
+	this.keepPreviousWorldMatrix = false;
+
+	this._previousWorldMatrixUsed = false;
+	this._keptPreviousWorldMatrix = false;
 }
 
 TransformSystem.prototype = Object.create(System.prototype);
@@ -42,6 +52,36 @@ TransformSystem.prototype.process = function () {
 	this.numUpdates = numUpdates;
 };
 
+/**
+ * Keeps the world matrices of this frame as the previous world matrices of the next one.
+ * @private
+ */
+TransformSystem.prototype._updatePreviousWorldMatrices = function () {
+	var entities = this._activeEntities;
+	for (var i = 0; i < entities.length; i++) {
+		entities[i].transformComponent.updatePreviousWorldMatrix();
+	}
+};
+
+/**
+ * Marks the previous world matrices as used in this frame, so they are kept after it. If they were not kept after the last
+ * frame they are out of date, so nothing moves in this one. Called by a {@link VelocityPass} every frame it renders.
+ */
+TransformSystem.prototype.usePreviousWorldMatrix = function () {
+	if (!this.keepPreviousWorldMatrix && !this._keptPreviousWorldMatrix && !this._previousWorldMatrixUsed) {
+		this._updatePreviousWorldMatrices();
+	}
+	this._previousWorldMatrixUsed = true;
+};
+
+TransformSystem.prototype.onPostRender = function () {
+	this._keptPreviousWorldMatrix = this.keepPreviousWorldMatrix || this._previousWorldMatrixUsed;
+	this._previousWorldMatrixUsed = false;
+	if (this._keptPreviousWorldMatrix) {
+		this._updatePreviousWorldMatrices();
+	}
+};
+
 function traverseFunc(entity) {
 	if (entity.transformComponent._worldTransformDirty) {
 		entity.transformComponent.updateWorldTransform();
@@ -144,6 +144,76 @@ StateMachineComponent.prototype.update = function () {
 	}
 };
 
+function snapshotMachine(machine) {
+	var children = [];
+	if (machine.currentState) {
+		for (var i = 0; i < machine.currentState._machines.length; i++) {
+			children.push(snapshotMachine(machine.currentState._machines[i]));
+		}
+	}
+	return {
+		machine: machine,
+		currentState: machine.currentState,
+		children: children
+	};
+}
+
+function restoreMachine(data, wasEntered, entered) {
+	var machine = data.machine;
+	if (machine.currentState !== data.currentState) {
+		if (wasEntered && machine.currentState) {
+			machine.currentState.kill();
+		}
+		if (entered && data.currentState) {
+			machine.setState(data.currentState);
+		} else {
+			machine.currentState = data.currentState;
+		}
+	}
+
+	for (var i = 0; i < data.children.length; i++) {
+		restoreMachine(data.children[i], entered, entered);
+	}
+}
+
+/**
+ * Captures the variables and the current states of all machines, child machines included.
+ * @returns {Object}
+ */
+StateMachineComponent.prototype.snapshot = function () {
+	var vars = {};
+	for (var key in this.vars) {
+		vars[key] = this.vars[key];
+	}
+
+	return {
+		vars: vars,
+		time: this.time,
+		active: this.active,
+		entered: this.entered,
+		machines: this._machines.map(snapshotMachine)
+	};
+};
+
+/**
+ * Restores the state captured by {@link StateMachineComponent#snapshot}.
+ * Machines that changed state since are moved back, running the exit and enter actions of the states involved.
+ * @param {Object} data
+ */
+StateMachineComponent.prototype.restore = function (data) {
+	this.vars = {};
+	for (var key in data.vars) {
+		this.vars[key] = data.vars[key];
+	}
+	this.time = data.time;
+	this.active = data.active;
+
+	for (var i = 0; i < data.machines.length; i++) {
+		restoreMachine(data.machines[i], this.entered, data.entered);
+	}
+	this.entered = data.entered;
+};
+
 /**
  * Stops updating the state machines
  */
@@ -98,6 +98,7 @@ var allActions = {
 	FireAction: require('./FireAction'),
 	RemoveParticlesAction: require('./RemoveParticlesAction'),
 	TogglePostFxAction: require('./TogglePostFxAction'),
+	BlendColorGradingAction: require('./BlendColorGradingAction'),
 	ToggleFullscreenAction: require('./ToggleFullscreenAction'),
 	PlaySoundAction: require('./PlaySoundAction'),
 	PauseSoundAction: require('./PauseSoundAction'),
@@ -121,6 +122,9 @@ var allActions = {
 	SetRigidBodyRotationAction: require('./SetRigidBodyRotationAction'),
 	SetRigidBodyVelocityAction: require('./SetRigidBodyVelocityAction'),
 	SetRigidBodyAngularVelocityAction: require('./SetRigidBodyAngularVelocityAction'),
+	MoveCharacterAction: require('./MoveCharacterAction'),
+	JumpCharacterAction: require('./JumpCharacterAction'),
+	OverlapSphereAction: require('./OverlapSphereAction'),
 	CompareCounterAction: require('./CompareCounterAction'),
 	CompareCountersAction: require('./CompareCountersAction'),
 	SetCounterAction: require('./SetCounterAction'),
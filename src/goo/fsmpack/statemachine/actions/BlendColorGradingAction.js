@@ -0,0 +1,108 @@
+var Action = require('../../../fsmpack/statemachine/actions/Action');
+var MathUtils = require('../../../math/MathUtils');
+var Easing = require('../../../util/Easing');
+
+function BlendColorGradingAction(/*id, settings*/) {
+	Action.apply(this, arguments);
+
+	this.passes = [];
+	this.fromBlends = [];
+	this.completed = false;
+}
+
+BlendColorGradingAction.prototype = Object.create(Action.prototype);
+BlendColorGradingAction.prototype.constructor = BlendColorGradingAction;
+
+BlendColorGradingAction.external = {
+	key: 'Blend Color Grading',
+	name: 'Blend Color Grading',
+	type: 'fx',
+	description: 'Blends the color grading post fx between its LUT and its blend LUT.',
+	parameters: [{
+		name: 'Blend',
+		key: 'blend',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		description: 'How much of the blend LUT to use when done, 0 for the LUT and 1 for the blend LUT.',
+		'default': 1
+	}, {
+		name: 'Time (ms)',
+		key: 'time',
+		type: 'float',
+		description: 'Time it takes for the blend to complete.',
+		'default': 1000
+	}, {
+		name: 'Easing type',
+		key: 'easing1',
+		type: 'string',
+		control: 'dropdown',
+		description: 'Easing type.',
+		'default': 'Linear',
+		options: ['Linear', 'Quadratic', 'Exponential', 'Circular', 'Elastic', 'Back', 'Bounce']
+	}, {
+		name: 'Direction',
+		key: 'easing2',
+		type: 'string',
+		control: 'dropdown',
+		description: 'Easing direction.',
+		'default': 'In',
+		options: ['In', 'Out', 'InOut']
+	}],
+	transitions: [{
+		key: 'complete',
+		description: 'State to transition to when the blend is completed.'
+	}]
+};
+
+BlendColorGradingAction.getTransitionLabel = function (transitionKey/*, actionConfig*/){
+	return transitionKey === 'complete' ? 'On Blend Complete' : undefined;
+};
+
+// Color grading passes are recognized by their blend LUT, to not depend on the passpack
+function isColorGradingPass(pass) {
+	return pass.blendLut !== undefined && typeof pass.blendTo === 'function' && typeof pass.stopBlending === 'function';
+}
+
+BlendColorGradingAction.prototype.enter = function (fsm) {
+	this.passes.length = 0;
+	this.fromBlends.length = 0;
+
+	var renderSystem = fsm.getWorld().gooRunner.renderSystem;
+	var composers = renderSystem ? renderSystem.composers : [];
+	for (var i = 0; i < composers.length; i++) {
+		var passes = composers[i].passes;
+		for (var j = 0; j < passes.length; j++) {
+			if (isColorGradingPass(passes[j])) {
+				// A running fade would overwrite the blend every frame
+				passes[j].stopBlending();
+				this.passes.push(passes[j]);
+				this.fromBlends.push(passes[j].blend);
+			}
+		}
+	}
+
+	this.startTime = fsm.getTime();
+	this.completed = false;
+};
+
+BlendColorGradingAction.prototype.update = function (fsm) {
+	if (this.completed) {
+		return;
+	}
+
+	var t = this.time > 0 ? Math.min((fsm.getTime() - this.startTime) * 1000 / this.time, 1) : 1;
+	var fT = Easing[this.easing1][this.easing2](t);
+
+	for (var i = 0; i < this.passes.length; i++) {
+		this.passes[i].blend = MathUtils.lerp(fT, this.fromBlends[i], this.blend);
+	}
+
+	if (t >= 1) {
+		fsm.send(this.transitions.complete);
+		this.completed = true;
+	}
+};
+
+module.exports = BlendColorGradingAction;
@@ -0,0 +1,32 @@
+var Action = require('../../../fsmpack/statemachine/actions/Action');
+
+function JumpCharacterAction(/*id, settings*/) {
+	Action.apply(this, arguments);
+}
+
+JumpCharacterAction.prototype = Object.create(Action.prototype);
+JumpCharacterAction.prototype.constructor = JumpCharacterAction;
+
+JumpCharacterAction.external = {
+	key: 'JumpCharacter',
+	name: 'Character Jump',
+	type: 'physics',
+	description: 'Makes the character controller of the entity jump, if it stands on the ground. This action only works if the entity has a Character Controller Component.',
+	canTransition: false,
+	parameters: [{
+		name: 'Speed',
+		key: 'speed',
+		type: 'float',
+		description: 'Upwards speed of the jump.',
+		'default': 5
+	}],
+	transitions: []
+};
+
+JumpCharacterAction.prototype.enter = function (fsm) {
+	var entity = fsm.getOwnerEntity();
+	if (!entity || !entity.characterControllerComponent) { return; }
+	entity.characterControllerComponent.jump(this.speed);
+};
+
+module.exports = JumpCharacterAction;
@@ -0,0 +1,74 @@
+var Action = require('../../../fsmpack/statemachine/actions/Action');
+var Vector3 = require('../../../math/Vector3');
+
+function MoveCharacterAction(/*id, settings*/) {
+	Action.apply(this, arguments);
+	this.wasGrounded = false;
+}
+
+MoveCharacterAction.prototype = Object.create(Action.prototype);
+MoveCharacterAction.prototype.constructor = MoveCharacterAction;
+
+MoveCharacterAction.external = {
+	key: 'MoveCharacter',
+	name: 'Move Character',
+	type: 'physics',
+	description: 'Moves the character controller of the entity every frame, with collisions and gravity. This action only works if the entity has a Character Controller Component.',
+	canTransition: true,
+	parameters: [{
+		name: 'Velocity',
+		key: 'velocity',
+		type: 'position',
+		description: 'Velocity to walk with.',
+		'default': [0, 0, 0]
+	}, {
+		name: 'Space',
+		key: 'space',
+		type: 'string',
+		control: 'dropdown',
+		description: 'The space where the velocity is defined.',
+		'default': 'Local',
+		options: ['World', 'Local']
+	}],
+	transitions: [{
+		key: 'landed',
+		description: 'State to transition to when the character lands on the ground.'
+	}, {
+		key: 'airborne',
+		description: 'State to transition to when the character leaves the ground.'
+	}]
+};
+
+var labels = {
+	landed: 'On Landed',
+	airborne: 'On Airborne'
+};
+
+MoveCharacterAction.getTransitionLabel = function (transitionKey/*, actionConfig*/) {
+	return labels[transitionKey];
+};
+
+MoveCharacterAction.prototype.enter = function (fsm) {
+	var entity = fsm.getOwnerEntity();
+	this.wasGrounded = !!(entity && entity.characterControllerComponent && entity.characterControllerComponent.isGrounded);
+};
+
+var velocity = new Vector3();
+MoveCharacterAction.prototype.update = function (fsm) {
+	var entity = fsm.getOwnerEntity();
+	if (!entity || !entity.characterControllerComponent) { return; }
+	var controller = entity.characterControllerComponent;
+
+	velocity.setArray(this.velocity);
+	if (this.space === 'Local') {
+		velocity.applyPost(entity.transformComponent.sync().transform.rotation);
+	}
+	controller.move(velocity, fsm.getTpf());
+
+	if (controller.isGrounded !== this.wasGrounded) {
+		this.wasGrounded = controller.isGrounded;
+		fsm.send(controller.isGrounded ? this.transitions.landed : this.transitions.airborne);
+	}
+};
+
+module.exports = MoveCharacterAction;
@@ -0,0 +1,91 @@
+var Action = require('../../../fsmpack/statemachine/actions/Action');
+var EntityUtils = require('../../../entities/EntityUtils');
+var Vector3 = require('../../../math/Vector3');
+
+function OverlapSphereAction(/*id, settings*/) {
+	Action.apply(this, arguments);
+}
+
+OverlapSphereAction.prototype = Object.create(Action.prototype);
+OverlapSphereAction.prototype.constructor = OverlapSphereAction;
+
+OverlapSphereAction.external = {
+	key: 'OverlapSphere',
+	name: 'Overlap Sphere',
+	type: 'collision',
+	description: 'Performs a transition based on whether any physics collider other than the entity\'s own is inside a sphere around the entity. This action only works if the world has a Physics System.',
+	canTransition: true,
+	parameters: [{
+		name: 'Offset',
+		key: 'offset',
+		type: 'position',
+		description: 'Center of the sphere, local to the entity.',
+		'default': [0, 0, 0]
+	}, {
+		name: 'Radius',
+		key: 'radius',
+		type: 'float',
+		description: 'Radius of the sphere.',
+		'default': 1
+	}, {
+		name: 'Collision mask',
+		key: 'collisionMask',
+		type: 'int',
+		description: 'Bit mask of the collision groups to look for. -1 looks for all of them.',
+		'default': -1
+	}, {
+		name: 'On every frame',
+		key: 'everyFrame',
+		type: 'boolean',
+		description: 'Repeat this action every frame.',
+		'default': true
+	}],
+	transitions: [{
+		key: 'hit',
+		description: 'State to transition to if a collider is inside the sphere.'
+	}, {
+		key: 'miss',
+		description: 'State to transition to if no collider is inside the sphere.'
+	}]
+};
+
+var labels = {
+	hit: 'On Overlap',
+	miss: 'On No Overlap'
+};
+
+OverlapSphereAction.getTransitionLabel = function (transitionKey/*, actionConfig*/) {
+	return labels[transitionKey];
+};
+
+var center = new Vector3();
+OverlapSphereAction.prototype.check = function (fsm) {
+	var entity = fsm.getOwnerEntity();
+	var physicsSystem = entity && entity._world.getSystem('PhysicsSystem');
+	if (!physicsSystem) { return; }
+
+	center.setArray(this.offset).applyPostPoint(entity.transformComponent.sync().worldTransform.matrix);
+
+	var hit = physicsSystem.overlapSphere(center, this.radius, {
+		collisionMask: this.collisionMask
+	}).some(function (result) {
+		// The colliders of the entity and of its children don't count
+		return !EntityUtils.isInHierarchyOf(result.entity, entity);
+	});
+
+	fsm.send(hit ? this.transitions.hit : this.transitions.miss);
+};
+
+OverlapSphereAction.prototype.enter = function (fsm) {
+	if (!this.everyFrame) {
+		this.check(fsm);
+	}
+};
+
+OverlapSphereAction.prototype.update = function (fsm) {
+	if (this.everyFrame) {
+		this.check(fsm);
+	}
+};
+
+module.exports = OverlapSphereAction;
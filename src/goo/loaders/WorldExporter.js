@@ -0,0 +1,909 @@
+var Entity = require('../entities/Entity');
+var Renderer = require('../renderer/Renderer');
+var Camera = require('../renderer/Camera');
+var MeshData = require('../renderer/MeshData');
+var Texture = require('../renderer/Texture');
+var ShaderLib = require('../renderer/shaders/ShaderLib');
+var ShaderBuilder = require('../renderer/shaders/ShaderBuilder');
+var PointLight = require('../renderer/light/PointLight');
+var SpotLight = require('../renderer/light/SpotLight');
+var DirectionalLight = require('../renderer/light/DirectionalLight');
+var Vector = require('../math/Vector');
+var Vector3 = require('../math/Vector3');
+var MathUtils = require('../math/MathUtils');
+var StringUtils = require('../util/StringUtils');
+var Scripts = require('../scripts/Scripts');
+var Easing = require('../util/Easing');
+
+var ENGINE_SHADER_PREFIX = 'GOO_ENGINE_SHADERS/';
+var ENGINE_SCRIPT_PREFIX = 'GOO_ENGINE_SCRIPTS/';
+
+// data model names of the exported components
+var COMPONENT_TYPES = {
+	TransformComponent: 'transform',
+	MeshDataComponent: 'meshData',
+	MeshRendererComponent: 'meshRenderer',
+	LightComponent: 'light',
+	CameraComponent: 'camera',
+	ScriptComponent: 'script',
+	StateMachineComponent: 'stateMachine',
+	TimelineComponent: 'timeline'
+};
+
+var LIGHT_TYPES = [
+	{ type: 'SpotLight', constructor: SpotLight },
+	{ type: 'DirectionalLight', constructor: DirectionalLight },
+	{ type: 'PointLight', constructor: PointLight }
+];
+
+var LIGHT_KEYS = ['color', 'intensity', 'specularIntensity', 'shadowCaster', 'range', 'angle', 'penumbra', 'exponent'];
+
+// the shadow settings also hold the render targets and cameras of the ShadowHandler, which are not exported
+var SHADOW_KEYS = [
+	'shadowType', 'projection', 'size', 'fov', 'near', 'far', 'resolution', 'upVector',
+	'darkness', 'shadowOffset', 'cascadeCount', 'cascadeSplitLambda'
+];
+
+var TEXTURE_KEYS = ['wrapS', 'wrapT', 'magFilter', 'minFilter', 'anisotropy', 'flipY', 'lodBias', 'generateMipmaps'];
+
+var BINARY_TYPES = {
+	Float: 'float32',
+	UnsignedByte: 'uint8',
+	UnsignedShort: 'uint16',
+	UnsignedInt: 'uint32'
+};
+
+var TYPED_ARRAYS = {
+	float32: Float32Array,
+	uint8: Uint8Array,
+	uint16: Uint16Array,
+	uint32: Uint32Array
+};
+
+/**
+ * Serializes a world into the bundle format read by {@link DynamicLoader}. Entities are exported with their
+ * transform hierarchy, mesh data, materials (with shaders and texture settings), lights, cameras, scripts,
+ * state machines and timelines; other components are skipped.
+ * <br>Mesh data is written to binary refs in the bundle. Textures loaded by <code>options.loader</code> keep their
+ * original refs (and are fetched from the root path of the loader that reads the bundle), other textures only keep
+ * their settings. Scripts and actions without externals, and timeline channels that were not created by the tween and event
+ * factories, cannot be described by a config and are left out.
+ * @param {Object} options
+ * @param {World} options.world The World to export.
+ * @param {DynamicLoader} [options.loader] The loader that loaded (parts of) the world, used to look up the refs of loaded textures.
+ * @example
+ * var exporter = new WorldExporter({ world: gooRunner.world });
+ * var result = exporter.export({ name: 'Level 1' });
+ *
+ * // later, possibly in another session
+ * var loader = new DynamicLoader({ world: gooRunner.world, rootPath: 'res' });
+ * loader.preload(result.bundle);
+ * loader.load(result.sceneRef);
+ */
+function WorldExporter(options) {
+	if (options.world) {
+		this._world = options.world;
+	} else {
+		throw new Error('World argument cannot be null');
+	}
+
+	this._loader = options.loader || null;
+
+	this._bundle = null;
+	this._refs = null;
+}
+
+/**
+ * Exports the entities of the world along with everything they reference.
+ * @param {Object} [options]
+ * @param {string} [options.name='Exported scene'] Name of the scene config.
+ * @param {Array<Entity>} [options.entities] The entities to export. Defaults to all entities of the world.
+ * Children that are not in the list are left out of the hierarchy.
+ * @returns {{ sceneRef: string, bundle: Object }} The ref of the exported scene and the bundle with all configs, ready for
+ * {@link DynamicLoader#preload}.
+ */
+WorldExporter.prototype.export = function (options) {
+	options = options || {};
+
+	this._bundle = {};
+	this._refs = new Map();
+
+	var entities = options.entities || this._getWorldEntities();
+
+	// refs first, so that configs can point to entities that are exported later
+	for (var i = 0; i < entities.length; i++) {
+		this._getRef(entities[i], 'entity');
+	}
+
+	var sceneRef = StringUtils.createUniqueId('scene');
+	var scene = {
+		id: sceneRef,
+		name: options.name || 'Exported scene',
+		entities: {}
+	};
+
+	for (var i = 0; i < entities.length; i++) {
+		var entity = entities[i];
+		var config = this._exportEntity(entity);
+		scene.entities[config.id] = {
+			entityRef: config.id,
+			sortValue: i
+		};
+
+		if (entity.cameraComponent && entity.cameraComponent.camera === Renderer.mainCamera) {
+			scene.initialCameraRef = config.id;
+		}
+	}
+
+	this._bundle[sceneRef] = scene;
+
+	var result = {
+		sceneRef: sceneRef,
+		bundle: this._bundle
+	};
+
+	this._bundle = null;
+	this._refs = null;
+
+	return result;
+};
+
+/**
+ * Gets all entities of the world, including the ones added since the last world process
+ * @returns {Array<Entity>}
+ * @private
+ */
+WorldExporter.prototype._getWorldEntities = function () {
+	var entities = this._world.getEntities().slice();
+	var addedEntities = this._world._addedEntities;
+	for (var i = 0; i < addedEntities.length; i++) {
+		if (entities.indexOf(addedEntities[i]) === -1) {
+			entities.push(addedEntities[i]);
+		}
+	}
+	return entities;
+};
+
+/**
+ * Gets the ref of an exported object. Ids of the right type are kept, other objects get a new ref.
+ * @param {Object} object
+ * @param {string} type
+ * @returns {string}
+ * @private
+ */
+WorldExporter.prototype._getRef = function (object, type) {
+	var ref = this._refs.get(object);
+	if (!ref) {
+		var id = object.id;
+		if (typeof id === 'string' && StringUtils.endsWith(id, '.' + type)) {
+			ref = id;
+		} else {
+			ref = StringUtils.createUniqueId(type);
+		}
+		this._refs.set(object, ref);
+	}
+	return ref;
+};
+
+/**
+ * Converts a value to plain JSON data. Vectors become arrays and entities become entity refs.
+ * @param {*} value
+ * @returns {*} The converted value, or undefined if it can't be represented in a config
+ * @private
+ */
+WorldExporter.prototype._exportValue = function (value) {
+	if (value === null || typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
+		return value;
+	} else if (value instanceof Vector) {
+		return value.toArray();
+	} else if (ArrayBuffer.isView(value)) {
+		return Array.prototype.slice.call(value);
+	} else if (value instanceof Entity) {
+		var ref = this._refs.get(value);
+		return ref ? { entityRef: ref, enabled: true } : undefined;
+	} else if (Array.isArray(value)) {
+		return value.map(this._exportValue, this);
+	} else if (value && value.constructor === Object) {
+		var object = {};
+		for (var key in value) {
+			var exported = this._exportValue(value[key]);
+			if (exported !== undefined) {
+				object[key] = exported;
+			}
+		}
+		return object;
+	}
+};
+
+/**
+ * @param {Entity} entity
+ * @returns {Object} The entity config
+ * @private
+ */
+WorldExporter.prototype._exportEntity = function (entity) {
+	var config = {
+		id: this._getRef(entity, 'entity'),
+		name: entity.name,
+		static: entity.static,
+		hidden: entity._hidden,
+		tags: {},
+		customAttributes: {},
+		components: {}
+	};
+
+	entity._tags.forEach(function (tag) {
+		config.tags[tag] = true;
+	});
+
+	entity._attributes.forEach(function (value, attribute) {
+		var exported = this._exportValue(value);
+		if (exported !== undefined) {
+			config.customAttributes[attribute] = exported;
+		}
+	}, this);
+
+	var exporters = {
+		transform: this._exportTransformComponent,
+		meshData: this._exportMeshDataComponent,
+		meshRenderer: this._exportMeshRendererComponent,
+		light: this._exportLightComponent,
+		camera: this._exportCameraComponent,
+		script: this._exportScriptComponent,
+		stateMachine: this._exportStateMachineComponent,
+		timeline: this._exportTimelineComponent
+	};
+
+	for (var i = 0; i < entity._components.length; i++) {
+		var component = entity._components[i];
+		var type = COMPONENT_TYPES[component.type];
+		if (type) {
+			config.components[type] = exporters[type].call(this, component);
+		}
+	}
+
+	this._bundle[config.id] = config;
+	return config;
+};
+
+/**
+ * @param {TransformComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportTransformComponent = function (component) {
+	var transform = component.transform;
+	var angles = transform.rotation.toAngles(new Vector3()).scale(MathUtils.RAD_TO_DEG);
+
+	var config = {
+		translation: transform.translation.toArray(),
+		rotation: angles.toArray(),
+		scale: transform.scale.toArray(),
+		children: {}
+	};
+
+	var sortValue = 0;
+	for (var i = 0; i < component.children.length; i++) {
+		var childRef = this._refs.get(component.children[i].entity);
+		if (childRef) {
+			config.children[childRef] = {
+				entityRef: childRef,
+				sortValue: sortValue++
+			};
+		}
+	}
+
+	return config;
+};
+
+/**
+ * @param {MeshDataComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportMeshDataComponent = function (component) {
+	var config = {};
+	if (component.meshData && component.meshData.vertexCount > 0) {
+		config.meshRef = this._exportMeshData(component.meshData);
+	}
+	return config;
+};
+
+/**
+ * Writes the vertex data and indices to a binary and returns the ref to the mesh config describing it
+ * @param {MeshData} meshData
+ * @returns {string}
+ * @private
+ */
+WorldExporter.prototype._exportMeshData = function (meshData) {
+	var ref = this._refs.get(meshData);
+	if (ref) {
+		return ref;
+	}
+	ref = this._getRef(meshData, 'mesh');
+
+	var config = {
+		id: ref,
+		name: meshData.name || 'Mesh',
+		binaryRef: StringUtils.createUniqueId('bin'),
+		type: meshData.type === MeshData.SKINMESH ? 'SkinnedMesh' : 'Mesh',
+		vertexCount: meshData.vertexCount,
+		attributes: {},
+		indexModes: meshData.indexModes.slice()
+	};
+
+	// arrays are laid out one after the other, aligned to 4 bytes
+	var arrays = [];
+	var byteLength = 0;
+	function addArray(data, type) {
+		var array = data instanceof TYPED_ARRAYS[type] ? data : new TYPED_ARRAYS[type](data);
+		var pointer = [byteLength, array.length, type];
+		arrays.push({ array: array, offset: byteLength });
+		byteLength += Math.ceil(array.byteLength / 4) * 4;
+		return pointer;
+	}
+
+	var morphTargets = [];
+	for (var key in meshData.attributeMap) {
+		var attribute = meshData.attributeMap[key];
+		var data = meshData.getAttributeBuffer(key);
+
+		if (key.indexOf(MeshData.MORPH_POSITION) === 0) {
+			var index = +key.slice(MeshData.MORPH_POSITION.length);
+			morphTargets[index] = morphTargets[index] || { name: meshData.morphTargetNames[index] };
+			morphTargets[index].positions = addArray(data, 'float32');
+		} else if (key.indexOf(MeshData.MORPH_NORMAL) === 0) {
+			var index = +key.slice(MeshData.MORPH_NORMAL.length);
+			morphTargets[index] = morphTargets[index] || { name: meshData.morphTargetNames[index] };
+			morphTargets[index].normals = addArray(data, 'float32');
+		} else {
+			var type = BINARY_TYPES[attribute.type] || 'float32';
+			if (key === MeshData.JOINTIDS && meshData.paletteMap) {
+				// the loader maps skeleton joints to local joints, so map them back
+				data = Array.prototype.map.call(data, function (localIndex) {
+					return meshData.paletteMap[localIndex];
+				});
+			}
+			config.attributes[key] = {
+				value: addArray(data, type),
+				dimensions: attribute.count
+			};
+		}
+	}
+	if (morphTargets.length) {
+		config.morphTargets = morphTargets;
+	}
+
+	var indices = meshData.getIndexBuffer();
+	if (!indices) {
+		// non indexed meshes get an index per vertex
+		indices = [];
+		for (var i = 0; i < meshData.vertexCount; i++) {
+			indices.push(i);
+		}
+	}
+	var indexType = indices instanceof Uint8Array ? 'uint8' : indices instanceof Uint32Array ? 'uint32' : 'uint16';
+	if (meshData.vertexCount > 65536) {
+		indexType = 'uint32';
+	}
+	config.indices = addArray(indices, indexType);
+	config.indexLengths = meshData.indexLengths ? meshData.indexLengths.slice() : [indices.length];
+
+	if (meshData.boundingBox) {
+		config.boundingVolume = {
+			type: 'BoundingBox',
+			min: meshData.boundingBox.min.slice(),
+			max: meshData.boundingBox.max.slice()
+		};
+	}
+
+	var binary = new ArrayBuffer(byteLength);
+	for (var i = 0; i < arrays.length; i++) {
+		var array = arrays[i].array;
+		new Uint8Array(binary, arrays[i].offset, array.byteLength).set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+	}
+
+	this._bundle[config.binaryRef] = binary;
+	this._bundle[ref] = config;
+	return ref;
+};
+
+/**
+ * @param {MeshRendererComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportMeshRendererComponent = function (component) {
+	var config = {
+		cullMode: component.cullMode,
+		castShadows: component.castShadows,
+		receiveShadows: component.receiveShadows,
+		reflectable: component.isReflectable,
+		materials: {}
+	};
+
+	var sortValue = 0;
+	for (var i = 0; i < component.materials.length; i++) {
+		var material = component.materials[i];
+		if (material.name === 'gooSelectionIndicator') {
+			continue;
+		}
+		var materialRef = this._exportMaterial(material);
+		config.materials[materialRef] = {
+			materialRef: materialRef,
+			sortValue: sortValue++
+		};
+	}
+
+	return config;
+};
+
+/**
+ * @param {Material} material
+ * @returns {string} The material ref
+ * @private
+ */
+WorldExporter.prototype._exportMaterial = function (material) {
+	var ref = this._refs.get(material);
+	if (ref) {
+		return ref;
+	}
+	ref = this._getRef(material, 'material');
+
+	var config = {
+		id: ref,
+		name: material.name,
+		blendState: this._exportValue(material.blendState),
+		cullState: this._exportValue(material.cullState),
+		depthState: this._exportValue(material.depthState),
+		renderQueue: typeof material.renderQueue === 'number' ? material.renderQueue : -1,
+		dualTransparency: material.dualTransparency,
+		wireframe: material.wireframe,
+		flat: material.flat,
+		uniforms: {},
+		texturesMapping: {}
+	};
+
+	if (material.shader) {
+		config.shaderRef = this._exportShader(material.shader.shaderDefinition);
+	}
+
+	for (var name in material.uniforms) {
+		var value = this._exportValue(material.uniforms[name]);
+		if (value !== undefined) {
+			config.uniforms[name] = value;
+		}
+	}
+
+	for (var type in material._textureMaps) {
+		var texture = material._textureMaps[type];
+		if (texture instanceof Texture) {
+			config.texturesMapping[type] = {
+				enabled: true,
+				textureRef: this._exportTexture(texture)
+			};
+		}
+	}
+
+	this._bundle[ref] = config;
+	return ref;
+};
+
+/**
+ * Engine shaders are referred to by name, other shader definitions are exported with their sources
+ * @param {Object} shaderDefinition
+ * @returns {string} The shader ref, or undefined if the definition can't be exported
+ * @private
+ */
+WorldExporter.prototype._exportShader = function (shaderDefinition) {
+	for (var name in ShaderLib) {
+		if (ShaderLib[name] === shaderDefinition) {
+			return ENGINE_SHADER_PREFIX + name;
+		}
+	}
+
+	var ref = this._refs.get(shaderDefinition);
+	if (ref) {
+		return ref;
+	}
+	if (typeof shaderDefinition.vshader !== 'string' || typeof shaderDefinition.fshader !== 'string') {
+		return;
+	}
+	ref = this._getRef(shaderDefinition, 'shader');
+
+	var config = {
+		id: ref,
+		name: shaderDefinition.name || 'Shader',
+		vshaderRef: StringUtils.createUniqueId('vert'),
+		fshaderRef: StringUtils.createUniqueId('frag'),
+		defines: this._exportValue(shaderDefinition.defines || {}),
+		attributes: this._exportValue(shaderDefinition.attributes || {}),
+		uniforms: this._exportValue(shaderDefinition.uniforms || {})
+	};
+
+	if (shaderDefinition.processors) {
+		config.processors = [];
+		for (var i = 0; i < shaderDefinition.processors.length; i++) {
+			for (var key in ShaderBuilder) {
+				if (ShaderBuilder[key] && ShaderBuilder[key].processor === shaderDefinition.processors[i]) {
+					config.processors.push(key);
+				}
+			}
+		}
+	}
+
+	this._bundle[config.vshaderRef] = shaderDefinition.vshader;
+	this._bundle[config.fshaderRef] = shaderDefinition.fshader;
+	this._bundle[ref] = config;
+	return ref;
+};
+
+/**
+ * Looks up the ref an object was loaded from by options.loader
+ * @param {string} type
+ * @param {Object} object
+ * @returns {string}
+ * @private
+ */
+WorldExporter.prototype._getLoadedRef = function (type, object) {
+	var handler = this._loader && this._loader._handlers[type];
+	if (handler) {
+		var loadedRef;
+		handler._objects.forEach(function (value, ref) {
+			if (value === object) {
+				loadedRef = ref;
+			}
+		});
+		return loadedRef;
+	}
+};
+
+/**
+ * @param {Texture} texture
+ * @returns {string} The texture ref
+ * @private
+ */
+WorldExporter.prototype._exportTexture = function (texture) {
+	var ref = this._refs.get(texture) || this._getLoadedRef('texture', texture);
+	if (ref) {
+		this._refs.set(texture, ref);
+		return ref;
+	}
+	ref = this._getRef(texture, 'texture');
+
+	var config = {
+		id: ref,
+		name: texture.name || 'Texture',
+		offset: texture.offset.toArray(),
+		repeat: texture.repeat.toArray()
+	};
+	for (var i = 0; i < TEXTURE_KEYS.length; i++) {
+		config[TEXTURE_KEYS[i]] = texture[TEXTURE_KEYS[i]];
+	}
+
+	this._bundle[ref] = config;
+	return ref;
+};
+
+/**
+ * @param {LightComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportLightComponent = function (component) {
+	var light = component.light;
+	var config = {};
+
+	for (var i = 0; i < LIGHT_TYPES.length; i++) {
+		if (light instanceof LIGHT_TYPES[i].constructor) {
+			config.type = LIGHT_TYPES[i].type;
+			break;
+		}
+	}
+
+	for (var i = 0; i < LIGHT_KEYS.length; i++) {
+		var key = LIGHT_KEYS[i];
+		if (light.hasOwnProperty(key)) {
+			config[key] = this._exportValue(light[key]);
+		}
+	}
+
+	config.shadowSettings = {};
+	for (var i = 0; i < SHADOW_KEYS.length; i++) {
+		var key = SHADOW_KEYS[i];
+		if (light.shadowSettings[key] !== undefined) {
+			config.shadowSettings[key] = this._exportValue(light.shadowSettings[key]);
+		}
+	}
+
+	if (light.lightCookie) {
+		config.lightCookie = {
+			enabled: true,
+			textureRef: this._exportTexture(light.lightCookie)
+		};
+	}
+
+	return config;
+};
+
+/**
+ * @param {CameraComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportCameraComponent = function (component) {
+	var camera = component.camera;
+	return {
+		projectionMode: camera.projectionMode === Camera.Parallel ? 'Parallel' : 'Perspective',
+		fov: camera.fov,
+		size: camera.size,
+		near: camera.near,
+		far: camera.far,
+		aspect: camera.aspect,
+		lockedRatio: camera.lockedRatio
+	};
+};
+
+/**
+ * @param {ScriptComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportScriptComponent = function (component) {
+	var config = {
+		scripts: {}
+	};
+
+	for (var i = 0; i < component.scripts.length; i++) {
+		var script = component.scripts[i];
+		var scriptRef = this._exportScript(script);
+		if (!scriptRef) {
+			continue;
+		}
+
+		var id = script.instanceId || StringUtils.createUniqueId('scriptInstance');
+		var options = {};
+		var parameters = script.parameters || {};
+		var externalParameters = script.externals.parameters || [];
+		for (var j = 0; j < externalParameters.length; j++) {
+			var external = externalParameters[j];
+			var value = parameters[external.key];
+			if (value instanceof Texture) {
+				value = { textureRef: this._exportTexture(value), enabled: true };
+			} else {
+				value = this._exportValue(value);
+			}
+			if (value !== undefined) {
+				options[external.key] = value;
+			}
+		}
+		if (parameters.enabled !== undefined) {
+			options.enabled = parameters.enabled;
+		}
+
+		config.scripts[id] = {
+			id: id,
+			scriptRef: scriptRef,
+			sortValue: i,
+			options: options
+		};
+	}
+
+	return config;
+};
+
+/**
+ * Engine scripts are referred to by their key, custom scripts are exported with their body
+ * @param {Object} script
+ * @returns {string} The script ref, or undefined if the script can't be exported
+ * @private
+ */
+WorldExporter.prototype._exportScript = function (script) {
+	if (!script.externals) {
+		return;
+	}
+
+	if (script.body === undefined) {
+		var key = script.externals.key || script.externals.name;
+		return Scripts.allScripts()[key] ? ENGINE_SCRIPT_PREFIX + key : undefined;
+	}
+
+	var ref = this._getRef(script, 'script');
+	if (!this._bundle[ref]) {
+		this._bundle[ref] = {
+			id: ref,
+			name: script.externals.name || 'Script',
+			body: script.body,
+			dependencies: {}
+		};
+	}
+	return ref;
+};
+
+/**
+ * @param {StateMachineComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportStateMachineComponent = function (component) {
+	var config = {
+		machines: {}
+	};
+
+	for (var i = 0; i < component._machines.length; i++) {
+		var machineRef = this._exportMachine(component._machines[i]);
+		config.machines[machineRef] = {
+			machineRef: machineRef,
+			sortValue: i
+		};
+	}
+
+	return config;
+};
+
+/**
+ * @param {Machine} machine
+ * @returns {string} The machine ref
+ * @private
+ */
+WorldExporter.prototype._exportMachine = function (machine) {
+	var ref = this._refs.get(machine);
+	if (ref) {
+		return ref;
+	}
+	ref = this._getRef(machine, 'machine');
+
+	var config = {
+		id: ref,
+		name: machine.name,
+		maxLoopDepth: machine.maxLoopDepth,
+		asyncMode: machine.asyncMode,
+		initialState: machine.initialState,
+		states: {}
+	};
+	// registered before the states, as child machines may refer back to it
+	this._bundle[ref] = config;
+
+	for (var uuid in machine._states) {
+		var state = machine._states[uuid];
+		var stateConfig = {
+			id: uuid,
+			name: state.name,
+			actions: {},
+			transitions: {},
+			childMachines: {}
+		};
+
+		for (var i = 0; i < state._actions.length; i++) {
+			var action = state._actions[i];
+			var external = action.constructor.external;
+			if (!external) {
+				continue;
+			}
+			var options = {
+				transitions: this._exportValue(action.transitions || {})
+			};
+			for (var j = 0; j < external.parameters.length; j++) {
+				var key = external.parameters[j].key;
+				var value = this._exportValue(action[key]);
+				if (value !== undefined) {
+					options[key] = value;
+				}
+			}
+			stateConfig.actions[action.id] = {
+				id: action.id,
+				type: external.key,
+				options: options,
+				sortValue: i
+			};
+		}
+
+		for (var eventName in state._transitions) {
+			stateConfig.transitions[eventName] = {
+				id: eventName,
+				targetState: state._transitions[eventName]
+			};
+		}
+
+		for (var i = 0; i < state._machines.length; i++) {
+			var childRef = this._exportMachine(state._machines[i]);
+			stateConfig.childMachines[childRef] = {
+				machineRef: childRef,
+				sortValue: i
+			};
+		}
+
+		config.states[uuid] = stateConfig;
+	}
+
+	return ref;
+};
+
+/**
+ * Gets the name of an easing function, like 'Quadratic.In'
+ * @param {Function} easingFunction
+ * @returns {string}
+ * @private
+ */
+function getEasingName(easingFunction) {
+	for (var type in Easing) {
+		for (var direction in Easing[type]) {
+			if (Easing[type][direction] === easingFunction) {
+				return type + '.' + direction;
+			}
+		}
+	}
+	return 'Linear.None';
+}
+
+/**
+ * @param {TimelineComponent} component
+ * @returns {Object}
+ * @private
+ */
+WorldExporter.prototype._exportTimelineComponent = function (component) {
+	var config = {
+		duration: component.duration,
+		loop: { enabled: component.loop },
+		autoStart: component.autoStart,
+		channels: {}
+	};
+
+	for (var i = 0; i < component.channels.length; i++) {
+		var channel = component.channels[i];
+		var channelConfig = {
+			id: channel.id,
+			sortValue: i,
+			enabled: channel.enabled,
+			keyframes: {}
+		};
+
+		var tweener = channel.callbackUpdate;
+		if (tweener) {
+			if (!tweener.propertyKey) {
+				continue;
+			}
+			channelConfig.propertyKey = tweener.propertyKey;
+			channelConfig.entityId = this._getEntityRef(tweener.entityId);
+			for (var j = 0; j < channel.keyframes.length; j++) {
+				var keyframe = channel.keyframes[j];
+				channelConfig.keyframes[keyframe.id] = {
+					time: keyframe.time,
+					value: keyframe.value,
+					easing: getEasingName(keyframe.easingFunction)
+				};
+			}
+		} else {
+			for (var j = 0; j < channel.keyframes.length; j++) {
+				var callbackEntry = channel.keyframes[j];
+				if (callbackEntry.callback.eventName === undefined) {
+					continue;
+				}
+				channelConfig.eventName = callbackEntry.callback.eventName;
+				channelConfig.keyframes[callbackEntry.id] = {
+					time: callbackEntry.time,
+					value: this._exportValue(callbackEntry.callback.value)
+				};
+			}
+			if (channelConfig.eventName === undefined && channel.keyframes.length) {
+				continue;
+			}
+		}
+
+		config.channels[channel.id] = channelConfig;
+	}
+
+	return config;
+};
+
+/**
+ * Gets the exported ref of the entity with the given id
+ * @param {string} id
+ * @returns {string}
+ * @private
+ */
+WorldExporter.prototype._getEntityRef = function (id) {
+	var entity = this._world.entityManager.getEntityById(id);
+	return (entity && this._refs.get(entity)) || id;
+};
+
+module.exports = WorldExporter;
@@ -48,7 +48,9 @@ LightComponentHandler.prototype._prepare = function (config) {
 			far: 1000,
 			resolution: [512, 512],
 			darkness: 0.5,
-			shadowOffset: -0.001
+			shadowOffset: -0.001,
+			cascadeCount: 1,
+			cascadeSplitLambda: 0.75
 		});
 
 		var settings = config.shadowSettings;
@@ -113,10 +115,6 @@ LightComponentHandler.prototype.update = function (entity, config, options) {
 			}
 		}
 
-		if (config.type === 'PointLight') {
-			light.shadowCaster = false;
-		}
-
 		if (config.lightCookie && config.type !== 'PointLight') {
 			var textureObj = config.lightCookie;
 
@@ -144,6 +144,9 @@ MaterialHandler.prototype._update = function (ref, config, options) {
 		}
 		else if (shaderRef.indexOf(MaterialHandler.ENGINE_SHADER_PREFIX) === 0) {
 			var shaderName = shaderRef.slice(MaterialHandler.ENGINE_SHADER_PREFIX.length);
+			if (!ShaderLib[shaderName]) {
+				throw new Error('Unknown engine shader: ' + shaderName);
+			}
 			material.shader = Material.createShader(ShaderLib[shaderName]);
 		} else {
 			var p = that._load(shaderRef, options).then(function (shader) {
@@ -104,6 +104,16 @@ MeshDataHandler.prototype._createMeshData = function (config) {
 		attributeMap[key] = MeshData.createAttribute(map.dimensions, typeMatch[type]);
 	}
 
+	// Morph target offsets, stored as MORPH_POSITION0, MORPH_NORMAL0, MORPH_POSITION1, ...
+	if (config.morphTargets) {
+		for (var i = 0; i < config.morphTargets.length && i < MeshData.MAX_MORPH_TARGETS; i++) {
+			attributeMap[MeshData.MORPH_POSITION + i] = MeshData.createAttribute(3, 'Float');
+			if (config.morphTargets[i].normals) {
+				attributeMap[MeshData.MORPH_NORMAL + i] = MeshData.createAttribute(3, 'Float');
+			}
+		}
+	}
+
 	var meshData = new MeshData(attributeMap, vertexCount, indexCount);
 	meshData.type = skinned ? MeshData.SKINMESH : MeshData.MESH;
 	return meshData;
@@ -129,6 +139,20 @@ MeshDataHandler.prototype._fillMeshData = function (meshData, config, bindata) {
 		meshData.getAttributeBuffer(key).set(ArrayUtils.getTypedArray(bindata, data));
 	}
 
+	if (config.morphTargets) {
+		if (config.morphTargets.length > MeshData.MAX_MORPH_TARGETS) {
+			console.warn('Mesh has ' + config.morphTargets.length + ' morph targets, only the first ' + MeshData.MAX_MORPH_TARGETS + ' are used');
+		}
+		for (var i = 0; i < config.morphTargets.length && i < MeshData.MAX_MORPH_TARGETS; i++) {
+			var morphTarget = config.morphTargets[i];
+			meshData.getAttributeBuffer(MeshData.MORPH_POSITION + i).set(ArrayUtils.getTypedArray(bindata, morphTarget.positions));
+			if (morphTarget.normals) {
+				meshData.getAttributeBuffer(MeshData.MORPH_NORMAL + i).set(ArrayUtils.getTypedArray(bindata, morphTarget.normals));
+			}
+			meshData.morphTargetNames.push(morphTarget.name);
+		}
+	}
+
 	/**Remapping the joints. This will enable us to have skeleton with hundreds of joints even
 	 * though meshes can only have ~70
 	 */
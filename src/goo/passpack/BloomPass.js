@@ -25,6 +25,7 @@ function BloomPass(settings) {
 	var sigma = settings.sigma !== undefined ? settings.sigma : 4.0;
 	var kernelSize = 2 * Math.ceil(sigma * 3.0) + 1;
 	this.downsampleAmount = settings.downsampleAmount !== undefined ? Math.max(settings.downsampleAmount, 1) : 4;
+	this._targetOptions = undefined;
 
 	var width = window.innerWidth || 1024;
 	var height = window.innerHeight || 1024;
@@ -96,11 +97,35 @@ BloomPass.prototype.updateSize = function (size, renderer) {
 	if (this.renderTargetY) {
 		this.renderTargetY.destroy(renderer.context);
 	}
-	this.renderTargetX = new RenderTarget(sizeX, sizeY);
-	this.renderTargetY = new RenderTarget(sizeX, sizeY);
+	this.renderTargetX = new RenderTarget(sizeX, sizeY, this._targetOptions);
+	this.renderTargetY = new RenderTarget(sizeX, sizeY, this._targetOptions);
+};
+
+/**
+ * Blurs in the same format as the image it reads, so the bright parts of an HDR image are not clipped before they are spread out.
+ * @private
+ * @param {RenderTarget} readBuffer
+ * @param {Renderer} renderer
+ */
+BloomPass.prototype._matchTargetType = function (readBuffer, renderer) {
+	if (this.renderTargetX.type === readBuffer.type) {
+		return;
+	}
+
+	this._targetOptions = {
+		type: readBuffer.type,
+		magFilter: readBuffer.magFilter,
+		minFilter: readBuffer.minFilter
+	};
+	this.updateSize({
+		width: this.renderTargetX.width * this.downsampleAmount,
+		height: this.renderTargetX.height * this.downsampleAmount
+	}, renderer);
 };
 
 BloomPass.prototype.render = function (renderer, writeBuffer, readBuffer) {
+	this._matchTargetType(readBuffer, renderer);
+
 	// Brightness & contrast
 	this.renderable.materials[0] = this.bcMaterial;
 
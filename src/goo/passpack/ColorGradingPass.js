@@ -0,0 +1,205 @@
+var FullscreenPass = require('../renderer/pass/FullscreenPass');
+var Texture = require('../renderer/Texture');
+var ShaderLibExtra = require('../passpack/ShaderLibExtra');
+var ObjectUtils = require('../util/ObjectUtils');
+
+/**
+ * Grades the colors of the image with a lookup table (LUT), the way grading is done in photo tools: grade a screenshot pasted
+ * into the squares of a neutral LUT (see {@link ColorGradingPass.createNeutralLut}) and use the result.
+ * LUTs are horizontal strips of size squares of size by size pixels, one square per blue level; within a square red
+ * increases to the right and green downwards. A second LUT can be blended in, and blendTo fades to a new LUT over time.
+ * LUTs can be loaded as textures with the TextureHandler; they are used without mipmaps.
+ * Goes after a {@link ToneMappingPass} in HDR composers.
+ * @extends FullscreenPass
+ * @param {Object} [settings]
+ * @param {Texture} [settings.lut] LUT to grade with. Without one the colors are left as they are.
+ * @param {number} [settings.amount=1] How much of the graded color to use, between 0 and 1
+ * @example
+ * new TextureCreator().loadTexture2D('res/warm-lut.png').then(function (lut) {
+ *     colorGradingPass.blendTo(lut, 2);
+ * });
+ */
+function ColorGradingPass(settings) {
+	settings = settings || {};
+
+	FullscreenPass.call(this, ObjectUtils.deepClone(ShaderLibExtra.colorGrading));
+
+	this.material.uniforms.blend = 0;
+	this.material.uniforms.amount = settings.amount !== undefined ? settings.amount : 1;
+
+	this._blendDuration = 0;
+	this._blendTime = 0;
+
+	this.lut = settings.lut || null;
+}
+
+ColorGradingPass.prototype = Object.create(FullscreenPass.prototype);
+ColorGradingPass.prototype.constructor = ColorGradingPass;
+
+/**
+ * Sets up a texture for use as a LUT; the squares of the strip would bleed into each other with mipmaps or repeat.
+ * @private
+ * @param {Texture} texture
+ */
+function prepareLut(texture) {
+	if (texture.generateMipmaps || texture.minFilter !== 'BilinearNoMipMaps' || texture.wrapS !== 'EdgeClamp' || texture.wrapT !== 'EdgeClamp') {
+		texture.generateMipmaps = false;
+		texture.minFilter = 'BilinearNoMipMaps';
+		texture.wrapS = 'EdgeClamp';
+		texture.wrapT = 'EdgeClamp';
+		texture.setNeedsUpdate();
+	}
+}
+
+/**
+ * The LUT the colors are graded with.
+ * @type {(Texture|null)}
+ */
+Object.defineProperty(ColorGradingPass.prototype, 'lut', {
+	get: function () {
+		return this.material.getTexture('LUT_MAP') || null;
+	},
+	set: function (texture) {
+		if (texture) {
+			prepareLut(texture);
+			this.material.setTexture('LUT_MAP', texture);
+		} else {
+			this.material.removeTexture('LUT_MAP');
+		}
+	}
+});
+
+/**
+ * The LUT blended in by blend.
+ * @type {(Texture|null)}
+ */
+Object.defineProperty(ColorGradingPass.prototype, 'blendLut', {
+	get: function () {
+		return this.material.getTexture('BLEND_LUT_MAP') || null;
+	},
+	set: function (texture) {
+		if (texture) {
+			prepareLut(texture);
+			this.material.setTexture('BLEND_LUT_MAP', texture);
+		} else {
+			this.material.removeTexture('BLEND_LUT_MAP');
+		}
+	}
+});
+
+/**
+ * How much of the blend LUT to use, between 0 and 1.
+ * @type {number}
+ */
+Object.defineProperty(ColorGradingPass.prototype, 'blend', {
+	get: function () {
+		return this.material.uniforms.blend;
+	},
+	set: function (value) {
+		this.material.uniforms.blend = value;
+	}
+});
+
+/**
+ * How much of the graded color to use, between 0 and 1.
+ * @type {number}
+ */
+Object.defineProperty(ColorGradingPass.prototype, 'amount', {
+	get: function () {
+		return this.material.uniforms.amount;
+	},
+	set: function (value) {
+		this.material.uniforms.amount = value;
+	}
+});
+
+/**
+ * Fades from the current LUT to another one. When the fade is done the new LUT replaces the current one.
+ * @param {Texture} lut
+ * @param {number} [duration=1] In seconds
+ */
+ColorGradingPass.prototype.blendTo = function (lut, duration) {
+	duration = duration !== undefined ? duration : 1;
+
+	this.blendLut = lut;
+	this.blend = 0;
+	this._blendDuration = duration;
+	this._blendTime = 0;
+
+	if (duration <= 0) {
+		this._finishBlend();
+	}
+};
+
+/**
+ * Whether a fade started by blendTo is in progress.
+ * @returns {boolean}
+ */
+ColorGradingPass.prototype.isBlending = function () {
+	return this._blendDuration > 0;
+};
+
+/**
+ * Stops a fade started by blendTo where it is. The blend LUT stays blended in by the current blend.
+ */
+ColorGradingPass.prototype.stopBlending = function () {
+	this._blendDuration = 0;
+	this._blendTime = 0;
+};
+
+/**
+ * @private
+ */
+ColorGradingPass.prototype._finishBlend = function () {
+	this.lut = this.blendLut;
+	this.blendLut = null;
+	this.blend = 0;
+	this._blendDuration = 0;
+	this._blendTime = 0;
+};
+
+ColorGradingPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta) {
+	if (this._blendDuration > 0) {
+		this._blendTime += delta || 0;
+		if (this._blendTime >= this._blendDuration) {
+			this._finishBlend();
+		} else {
+			this.blend = this._blendTime / this._blendDuration;
+		}
+	}
+
+	FullscreenPass.prototype.render.call(this, renderer, writeBuffer, readBuffer);
+};
+
+/**
+ * Creates a LUT that leaves colors as they are, as a starting point for grading in photo tools or in code.
+ * @param {number} [size=16] Number of levels per color channel
+ * @returns {Texture}
+ */
+ColorGradingPass.createNeutralLut = function (size) {
+	size = size || 16;
+
+	var width = size * size;
+	var data = new Uint8Array(width * size * 4);
+	for (var row = 0; row < size; row++) {
+		// Rows are stored bottom up since the data is not flipped
+		var green = size - 1 - row;
+		for (var x = 0; x < width; x++) {
+			var index = (row * width + x) * 4;
+			data[index] = Math.round((x % size) / (size - 1) * 255);
+			data[index + 1] = Math.round(green / (size - 1) * 255);
+			data[index + 2] = Math.round(Math.floor(x / size) / (size - 1) * 255);
+			data[index + 3] = 255;
+		}
+	}
+
+	return new Texture(data, {
+		flipY: false,
+		generateMipmaps: false,
+		minFilter: 'BilinearNoMipMaps',
+		wrapS: 'EdgeClamp',
+		wrapT: 'EdgeClamp'
+	}, width, size);
+};
+
+module.exports = ColorGradingPass;
@@ -1,22 +1,54 @@
 var Shader = require('../renderer/Shader');
 var ShaderLib = require('../renderer/shaders/ShaderLib');
 var MeshData = require('../renderer/MeshData');
+var ShaderFragment = require('../renderer/shaders/ShaderFragment');
 var RenderTarget = require('../renderer/pass/RenderTarget');
 var FullscreenPass = require('../renderer/pass/FullscreenPass');
 var Pass = require('../renderer/pass/Pass');
+var VelocityPass = require('../passpack/VelocityPass');
+var ObjectUtils = require('../util/ObjectUtils');
 
-function MotionBlurPass() {
-	this.inPass = new FullscreenPass(blendShader);
-	this.outPass = new FullscreenPass(ShaderLib.copyPure);
-
-	var width = window.innerWidth || 1024;
-	var height = window.innerHeight || 1024;
-	this.updateSize({
-		x: 0,
-		y: 0,
-		width: width,
-		height: height
-	});
+var DEFAULT_MAX_BLUR = 0.05;
+
+/**
+ * Blurs the image along the motion rendered by a {@link VelocityPass}, so only what moves relative to the camera is blurred,
+ * each object by its own motion.
+ * @extends Pass
+ * @param {Array<Entity>} renderList Rendered into the velocity buffer
+ * @param {Object} [settings]
+ * @param {number} [settings.intensity=1] How much of the motion of a frame to blur over, like the shutter time of a camera
+ * @param {number} [settings.maxBlur=0.05] Longest blur, in texture coordinates
+ * @param {number} [settings.samples=16] Number of samples along the motion, set when the pass is created
+ * @param {VelocityPass} [settings.velocityPass] Velocity pass earlier in the composer, to share with other effects.
+ * Without one the motion blur pass renders its own.
+ * Without a render list or a velocity pass, the deprecated blur of earlier versions is used: the image is blended with the previous frames.
+ */
+function MotionBlurPass(renderList, settings) {
+	settings = settings || {};
+
+	this._ownsVelocityPass = !settings.velocityPass;
+	this.velocityPass = null;
+	this.blurPass = null;
+	this.feedbackPass = null;
+	this.copyPass = null;
+	this.feedbackTargets = null;
+
+	if (renderList || settings.velocityPass) {
+		this.velocityPass = settings.velocityPass || new VelocityPass(renderList);
+
+		var shader = ObjectUtils.deepClone(blurShader);
+		shader.defines.SAMPLES = settings.samples || 16;
+		this.blurPass = new FullscreenPass(shader);
+	} else {
+		warnFeedbackBlur();
+		this.feedbackPass = new FullscreenPass(ObjectUtils.deepClone(feedbackShader));
+		this.copyPass = new FullscreenPass(ShaderLib.copyPure);
+	}
+
+	this.intensity = settings.intensity !== undefined ? settings.intensity : 1;
+	this.maxBlur = settings.maxBlur !== undefined ? settings.maxBlur : DEFAULT_MAX_BLUR;
+
+	this.renderToScreen = false;
 	this.enabled = true;
 	this.clear = false;
 	this.needsSwap = true;
@@ -25,47 +57,126 @@ function MotionBlurPass() {
 MotionBlurPass.prototype = Object.create(Pass.prototype);
 MotionBlurPass.prototype.constructor = MotionBlurPass;
 
+var warnFeedbackBlur = ObjectUtils.warnOnce(
+	'MotionBlurPass without a render list is deprecated, please pass the render list of the render system to blur along the motion of the entities.',
+	function () {}
+);
+
+Object.defineProperties(MotionBlurPass.prototype, {
+	/**
+	 * Deprecated, half of the intensity.
+	 * @deprecated Use intensity instead.
+	 * @type {number}
+	 */
+	blend: {
+		get: ObjectUtils.warnOnce('MotionBlurPass.blend is deprecated, please use intensity instead.', function () {
+			return this.intensity / 2;
+		}),
+		set: ObjectUtils.warnOnce('MotionBlurPass.blend is deprecated, please use intensity instead.', function (value) {
+			this.intensity = value * 2;
+		})
+	},
+
+	/**
+	 * Deprecated, the longest blur relative to the default one.
+	 * @deprecated Use maxBlur instead.
+	 * @type {number}
+	 */
+	scale: {
+		get: ObjectUtils.warnOnce('MotionBlurPass.scale is deprecated, please use maxBlur instead.', function () {
+			return this.maxBlur / DEFAULT_MAX_BLUR;
+		}),
+		set: ObjectUtils.warnOnce('MotionBlurPass.scale is deprecated, please use maxBlur instead.', function (value) {
+			this.maxBlur = value * DEFAULT_MAX_BLUR;
+		})
+	}
+});
+
+MotionBlurPass.prototype._destroyFeedbackTargets = function (renderer) {
+	if (this.feedbackTargets) {
+		this.feedbackTargets[0].destroy(renderer.context);
+		this.feedbackTargets[1].destroy(renderer.context);
+		this.feedbackTargets = null;
+	}
+};
+
 MotionBlurPass.prototype.destroy = function (renderer) {
-	this.inPass.destroy(renderer);
-	this.outPass.destroy(renderer);
-	if (this.targetSwap) {
-		this.targetSwap[0].destroy(renderer.context);
-		this.targetSwap[1].destroy(renderer.context);
-		this.targetSwap = undefined;
+	if (this.feedbackPass) {
+		this.feedbackPass.destroy(renderer);
+		this.copyPass.destroy(renderer);
+		this._destroyFeedbackTargets(renderer);
+		return;
+	}
+	if (this._ownsVelocityPass) {
+		this.velocityPass.destroy(renderer);
 	}
+	this.blurPass.destroy(renderer);
 };
 
 MotionBlurPass.prototype.invalidateHandles = function (renderer) {
-	this.inPass.invalidateHandles(renderer);
-	this.outPass.invalidateHandles(renderer);
-	renderer.invalidateRenderTarget(this.targetSwap[0]);
-	renderer.invalidateRenderTarget(this.targetSwap[1]);
+	if (this.feedbackPass) {
+		this.feedbackPass.invalidateHandles(renderer);
+		this.copyPass.invalidateHandles(renderer);
+		if (this.feedbackTargets) {
+			renderer.invalidateRenderTarget(this.feedbackTargets[0]);
+			renderer.invalidateRenderTarget(this.feedbackTargets[1]);
+		}
+		return;
+	}
+	if (this._ownsVelocityPass) {
+		this.velocityPass.invalidateHandles(renderer);
+	}
+	this.blurPass.invalidateHandles(renderer);
 };
 
-MotionBlurPass.prototype.updateSize = function (size, renderer) {
-	var sizeX = size.width;
-	var sizeY = size.height;
-
-	if (this.targetSwap) {
-		for (var i = 0; i < this.targetSwap.length; i++) {
-			renderer._deallocateRenderTarget(this.targetSwap[i]);
-		}
+/**
+ * Blends the image with the previous frames, scaled around the center.
+ * @private
+ */
+MotionBlurPass.prototype._renderFeedback = function (renderer, writeBuffer, readBuffer) {
+	var targets = this.feedbackTargets;
+	if (!targets || targets[0].width !== readBuffer.width || targets[0].height !== readBuffer.height) {
+		this._destroyFeedbackTargets(renderer);
+		targets = this.feedbackTargets = [
+			new RenderTarget(readBuffer.width, readBuffer.height),
+			new RenderTarget(readBuffer.width, readBuffer.height)
+		];
 	}
 
-	this.targetSwap = [
-		new RenderTarget(sizeX, sizeY),
-		new RenderTarget(sizeX, sizeY)
-	];
+	var material = this.feedbackPass.material;
+	material.uniforms.blend = this.intensity / 2;
+	material.uniforms.scale = this.maxBlur / DEFAULT_MAX_BLUR;
+	material.setTexture('MOTION_MAP', targets[1]);
+	this.feedbackPass.render(renderer, targets[0], readBuffer);
+
+	this.copyPass.renderToScreen = this.renderToScreen;
+	this.copyPass.render(renderer, writeBuffer, targets[0]);
+	targets.reverse();
 };
 
-MotionBlurPass.prototype.render = function (renderer, writeBuffer, readBuffer) {
-	this.inPass.material.setTexture('MOTION_MAP', this.targetSwap[1]);
-	this.inPass.render(renderer, this.targetSwap[0], readBuffer);
-	this.outPass.render(renderer, writeBuffer, this.targetSwap[0]);
-	this.targetSwap.reverse();
+MotionBlurPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta, maskActive, camera) {
+	if (this.feedbackPass) {
+		this._renderFeedback(renderer, writeBuffer, readBuffer);
+		return;
+	}
+
+	if (this._ownsVelocityPass) {
+		this.velocityPass.render(renderer, writeBuffer, readBuffer, delta, maskActive, camera);
+	}
+	if (!this.velocityPass.velocityTarget) {
+		return;
+	}
+
+	var material = this.blurPass.material;
+	material.uniforms.intensity = this.intensity;
+	material.uniforms.maxBlur = this.maxBlur;
+	material.setTexture('VELOCITY_MAP', this.velocityPass.velocityTarget);
+
+	this.blurPass.renderToScreen = this.renderToScreen;
+	this.blurPass.render(renderer, writeBuffer, readBuffer);
 };
 
-var blendShader = {
+var feedbackShader = {
 	defines: {},
 	processors: [function (shader, shaderInfo) {
 		if (shaderInfo.material._textureMaps.MOTION_MAP.glTexture) {
@@ -81,7 +192,7 @@ var blendShader = {
 	uniforms: {
 		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
 		worldMatrix: Shader.WORLD_MATRIX,
-		blend: 0.90,
+		blend: 0.5,
 		scale: 1.0,
 		diffuseMap: Shader.DIFFUSE_MAP,
 		motionMap: 'MOTION_MAP'
@@ -113,8 +224,7 @@ var blendShader = {
 		'    vec4 colA = texture2D(diffuseMap, texCoord0);',
 		'    #ifdef MOTION_MAP',
 		'    vec4 colB = texture2D(motionMap, (texCoord0 - 0.5) / scale + 0.5);',
-		'    float wBlend = blend;// * length(colB) / sqrt(3.0);',
-		'    gl_FragColor = mix(colA, colB, wBlend);',
+		'    gl_FragColor = mix(colA, colB, blend);',
 		'    #else',
 		'    gl_FragColor = colA;',
 		'    #endif',
@@ -122,4 +232,62 @@ var blendShader = {
 	].join('\n')
 };
 
-module.exports = MotionBlurPass;
\ No newline at end of file
+var blurShader = {
+	defines: {
+		SAMPLES: 16
+	},
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		intensity: 1.0,
+		maxBlur: 0.05,
+		diffuseMap: Shader.DIFFUSE_MAP,
+		velocityMap: 'VELOCITY_MAP'
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+		'attribute vec2 vertexUV0;',
+
+		'uniform mat4 viewProjectionMatrix;',
+		'uniform mat4 worldMatrix;',
+
+		'varying vec2 texCoord0;',
+
+		'void main(void) {',
+		'  texCoord0 = vertexUV0;',
+		'  gl_Position = viewProjectionMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+		'}'
+	].join('\n'),
+	fshader: [
+		'uniform sampler2D diffuseMap;',
+		'uniform sampler2D velocityMap;',
+		'uniform float intensity;',
+		'uniform float maxBlur;',
+
+		'varying vec2 texCoord0;',
+
+		ShaderFragment.methods.unpackVelocity,
+
+		'void main(void)',
+		'{',
+		'    vec2 velocity = unpackVelocity(texture2D(velocityMap, texCoord0)) * intensity;',
+		'    float speed = length(velocity);',
+		'    if (speed > maxBlur) {',
+		'        velocity *= maxBlur / speed;',
+		'    }',
+		// Centered on the pixel, so objects blur both ahead of and behind where they are
+		'    vec4 color = vec4(0.0);',
+		'    for (int i = 0; i < SAMPLES; i++) {',
+		'        float t = float(i) / float(SAMPLES - 1) - 0.5;',
+		'        color += texture2D(diffuseMap, texCoord0 + velocity * t);',
+		'    }',
+		'    gl_FragColor = color / float(SAMPLES);',
+		'}'
+	].join('\n')
+};
+
+module.exports = MotionBlurPass;
@@ -4,6 +4,10 @@ var BloomPass = require('../passpack/BloomPass');
 var BlurPass = require('../passpack/BlurPass');
 var DogPass = require('../passpack/DogPass');
 var MotionBlurPass = require('../passpack/MotionBlurPass');
+var ToneMappingPass = require('../passpack/ToneMappingPass');
+var ColorGradingPass = require('../passpack/ColorGradingPass');
+var SsrPass = require('../passpack/SsrPass');
+var TaaPass = require('../passpack/TaaPass');
 var ObjectUtils = require('../util/ObjectUtils');
 
 function Bloom(id) {
@@ -696,21 +700,27 @@ Contrast.options = [
 	}
 ];
 
-function MotionBlur(id) {
-	MotionBlurPass.call(this);
+function MotionBlur(id, renderList) {
+	MotionBlurPass.call(this, renderList);
 	this.id = id;
 }
 MotionBlur.prototype = Object.create(MotionBlurPass.prototype);
 MotionBlur.prototype.constructor = MotionBlur;
 
 MotionBlur.prototype.update = function (config) {
-	var options = config.options;
-	var shader = this.inPass.material.shader;
+	var options = config.options || {};
+	if (options.intensity !== undefined) {
+		this.intensity = options.intensity;
+	}
+	if (options.maxBlur !== undefined) {
+		this.maxBlur = options.maxBlur;
+	}
+	// options of earlier versions
 	if (options.blend !== undefined) {
-		shader.uniforms.blend = options.blend;
+		this.blend = options.blend;
 	}
 	if (options.scale !== undefined) {
-		shader.uniforms.scale = options.scale;
+		this.scale = options.scale;
 	}
 	if (config.enabled !== undefined) {
 		this.enabled = config.enabled;
@@ -721,21 +731,24 @@ MotionBlur.label = 'Motion Blur';
 
 MotionBlur.options = [
 	{
-		key: 'blend',
+		key: 'intensity',
 		type: 'float',
 		control: 'slider',
 		name: 'Amount',
 		min: 0,
-		max: 1,
-		'default': 0.5
+		max: 2,
+		decimals: 2,
+		'default': 1
 	},
 	{
-		key: 'scale',
+		key: 'maxBlur',
 		type: 'float',
-		name: 'Scale',
-		min: 0.2,
-		'default': 1,
-		scale: 0.01
+		control: 'slider',
+		name: 'Max Blur',
+		min: 0,
+		max: 0.2,
+		decimals: 3,
+		'default': 0.05
 	}
 ];
 
@@ -993,6 +1006,278 @@ Levels.options = [
 	}
 ];
 
+function ToneMapping(id) {
+	ToneMappingPass.call(this);
+	this.id = id;
+}
+ToneMapping.prototype = Object.create(ToneMappingPass.prototype);
+ToneMapping.prototype.constructor = ToneMapping;
+
+ToneMapping.operators = {
+	Reinhard: ToneMappingPass.REINHARD,
+	Filmic: ToneMappingPass.FILMIC,
+	ACES: ToneMappingPass.ACES
+};
+
+ToneMapping.prototype.update = function (config) {
+	var options = config.options || {};
+	if (options.operator !== undefined && ToneMapping.operators[options.operator]) {
+		this.operator = ToneMapping.operators[options.operator];
+	}
+	if (options.exposure !== undefined) {
+		this.exposure = options.exposure;
+	}
+	if (options.autoExposure !== undefined) {
+		this.autoExposure = options.autoExposure;
+	}
+	if (options.keyValue !== undefined) {
+		this.keyValue = options.keyValue;
+	}
+	if (options.adaptationRate !== undefined) {
+		this.adaptationRate = options.adaptationRate;
+	}
+	if (options.gamma !== undefined) {
+		this.gamma = options.gamma;
+	}
+	if (config.enabled !== undefined) {
+		this.enabled = config.enabled;
+	}
+};
+
+ToneMapping.label = 'Tone Mapping';
+ToneMapping.options = [
+	{
+		key: 'operator',
+		name: 'Operator',
+		type: 'string',
+		control: 'select',
+		options: Object.keys(ToneMapping.operators),
+		'default': 'ACES'
+	},
+	{
+		key: 'exposure',
+		name: 'Exposure',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 10,
+		decimals: 2,
+		'default': 1
+	},
+	{
+		key: 'autoExposure',
+		name: 'Auto Exposure',
+		type: 'boolean',
+		'default': false
+	},
+	{
+		key: 'keyValue',
+		name: 'Key Value',
+		type: 'float',
+		control: 'slider',
+		min: 0.01,
+		max: 1,
+		decimals: 2,
+		'default': 0.18
+	},
+	{
+		key: 'adaptationRate',
+		name: 'Adaptation Rate',
+		type: 'float',
+		control: 'slider',
+		min: 0.1,
+		max: 10,
+		decimals: 1,
+		'default': 1.5
+	},
+	{
+		key: 'gamma',
+		name: 'Gamma',
+		type: 'float',
+		control: 'slider',
+		min: 1,
+		max: 3,
+		decimals: 2,
+		'default': 2.2
+	}
+];
+
+function ColorGrading(id) {
+	ColorGradingPass.call(this);
+	this.id = id;
+}
+ColorGrading.prototype = Object.create(ColorGradingPass.prototype);
+ColorGrading.prototype.constructor = ColorGrading;
+
+ColorGrading.prototype.update = function (config) {
+	var options = config.options || {};
+	if (options.lut !== undefined) {
+		this.lut = options.lut;
+	}
+	if (options.blendLut !== undefined) {
+		this.blendLut = options.blendLut;
+	}
+	if (options.blend !== undefined) {
+		this.blend = options.blend;
+	}
+	if (options.amount !== undefined) {
+		this.amount = options.amount;
+	}
+	if (config.enabled !== undefined) {
+		this.enabled = config.enabled;
+	}
+};
+
+ColorGrading.label = 'Color Grading';
+ColorGrading.options = [
+	{
+		key: 'lut',
+		name: 'LUT',
+		type: 'texture',
+		'default': { enabled: true }
+	},
+	{
+		key: 'blendLut',
+		name: 'Blend LUT',
+		type: 'texture',
+		'default': { enabled: true }
+	},
+	{
+		key: 'blend',
+		name: 'Blend',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		decimals: 2,
+		'default': 0
+	},
+	{
+		key: 'amount',
+		name: 'Amount',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		decimals: 2,
+		'default': 1
+	}
+];
+
+function ScreenSpaceReflections(id, renderList) {
+	SsrPass.call(this, renderList);
+	this.id = id;
+}
+ScreenSpaceReflections.prototype = Object.create(SsrPass.prototype);
+ScreenSpaceReflections.prototype.constructor = ScreenSpaceReflections;
+
+ScreenSpaceReflections.prototype.update = function (config) {
+	var options = config.options || {};
+	if (options.maxDistance !== undefined) {
+		this.maxDistance = options.maxDistance;
+	}
+	if (options.thickness !== undefined) {
+		this.thickness = options.thickness;
+	}
+	if (options.intensity !== undefined) {
+		this.intensity = options.intensity;
+	}
+	if (options.reflectance !== undefined) {
+		this.reflectance = options.reflectance;
+	}
+	if (options.maxRoughness !== undefined) {
+		this.maxRoughness = options.maxRoughness;
+	}
+	if (config.enabled !== undefined) {
+		this.enabled = config.enabled;
+	}
+};
+
+ScreenSpaceReflections.label = 'Reflections';
+ScreenSpaceReflections.options = [
+	{
+		key: 'maxDistance',
+		name: 'Max Distance',
+		type: 'float',
+		control: 'slider',
+		min: 0.1,
+		max: 100,
+		decimals: 1,
+		'default': 10
+	},
+	{
+		key: 'thickness',
+		name: 'Thickness',
+		type: 'float',
+		control: 'slider',
+		min: 0.01,
+		max: 5,
+		decimals: 2,
+		'default': 0.5
+	},
+	{
+		key: 'intensity',
+		name: 'Intensity',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		decimals: 2,
+		'default': 1
+	},
+	{
+		key: 'reflectance',
+		name: 'Reflectance',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		decimals: 2,
+		'default': 0.2
+	},
+	{
+		key: 'maxRoughness',
+		name: 'Max Roughness',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 1,
+		decimals: 2,
+		'default': 0.8
+	}
+];
+
+function TemporalAntialias(id, renderList) {
+	TaaPass.call(this, renderList);
+	this.id = id;
+}
+TemporalAntialias.prototype = Object.create(TaaPass.prototype);
+TemporalAntialias.prototype.constructor = TemporalAntialias;
+
+TemporalAntialias.prototype.update = function (config) {
+	var options = config.options || {};
+	if (options.feedback !== undefined) {
+		this.feedback = options.feedback;
+	}
+	if (config.enabled !== undefined) {
+		this.enabled = config.enabled;
+	}
+};
+
+TemporalAntialias.label = 'Temporal Antialias';
+TemporalAntialias.options = [
+	{
+		key: 'feedback',
+		name: 'Feedback',
+		type: 'float',
+		control: 'slider',
+		min: 0,
+		max: 0.98,
+		decimals: 2,
+		'default': 0.9
+	}
+];
+
 module.exports = {
 	Bloom: Bloom,
 	Blur: Blur,
@@ -1012,5 +1297,9 @@ module.exports = {
 	Antialias: Antialias,
 	Radial: Radial,
 	Overlay: Overlay,
-	Levels: Levels
+	Levels: Levels,
+	ToneMapping: ToneMapping,
+	ColorGrading: ColorGrading,
+	ScreenSpaceReflections: ScreenSpaceReflections,
+	TemporalAntialias: TemporalAntialias
 };
\ No newline at end of file
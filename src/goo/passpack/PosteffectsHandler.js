@@ -7,6 +7,7 @@ var RenderPass = require('../renderer/pass/RenderPass');
 var FullscreenPass = require('../renderer/pass/FullscreenPass');
 var ShaderLib = require('../renderer/shaders/ShaderLib');
 var PassLib = require('../passpack/PassLib');
+var ToneMappingPass = require('../passpack/ToneMappingPass');
 
 /**
  * Handler for loading posteffects into engine
@@ -91,6 +92,11 @@ PosteffectsHandler.prototype._update = function (ref, config, options) {
 
 		// If there are any enabled, add them
 		if (enabled) {
+			// Effects before the tone mapping get the unclamped colors
+			composer.setHdr(posteffects.some(function (effect) {
+				return effect instanceof ToneMappingPass && effect.enabled;
+			}));
+
 			composer.passes = [];
 			composer.addPass(that._renderPass);
 			for (var i = 0; i < posteffects.length; i++) {
@@ -144,7 +150,8 @@ PosteffectsHandler.prototype._updateEffect = function (originalConfig, posteffec
 		if (!PassLib[config.type]) {
 			return null;
 		}
-		effect = new PassLib[config.type](config.id);
+		var renderSystem = this.world.getSystem('RenderSystem');
+		effect = new PassLib[config.type](config.id, renderSystem.renderList);
 	}
 
 	var promises = [];
@@ -1637,4 +1637,96 @@ ShaderLibExtra.antialias = {
 	].join('\n')
 };
 
+/**
+ * Grades colors with lookup tables stored as horizontal strips of squares, one square per blue level.
+ * Within a square red increases to the right and green downwards. The colors of LUT_MAP are blended towards those of BLEND_LUT_MAP.
+ */
+ShaderLibExtra.colorGrading = {
+	processors: [function (shader, shaderInfo) {
+		var textureMaps = shaderInfo.material._textureMaps;
+		var lut = textureMaps.LUT_MAP;
+		var blendLut = textureMaps.BLEND_LUT_MAP;
+		if (lut) {
+			shader.setDefine('LUT_MAP', true);
+			shader.uniforms.lutSizes[0] = lut.image ? lut.image.height : 1;
+		} else {
+			shader.removeDefine('LUT_MAP');
+		}
+		if (blendLut) {
+			shader.setDefine('BLEND_LUT_MAP', true);
+			shader.uniforms.lutSizes[1] = blendLut.image ? blendLut.image.height : 1;
+		} else {
+			shader.removeDefine('BLEND_LUT_MAP');
+		}
+	}],
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		lutMap: 'LUT_MAP',
+		blendLutMap: 'BLEND_LUT_MAP',
+		lutSizes: [1, 1],
+		blend: 0,
+		amount: 1
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+		'attribute vec2 vertexUV0;',
+
+		'uniform mat4 viewMatrix;',
+		'uniform mat4 projectionMatrix;',
+		'uniform mat4 worldMatrix;',
+
+		'varying vec2 vUv;',
+		'void main() {',
+		'	vUv = vertexUV0;',
+		'	gl_Position = projectionMatrix * viewMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+		'}'
+	].join('\n'),
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'#ifdef LUT_MAP',
+			'uniform sampler2D lutMap;',
+		'#endif',
+		'#ifdef BLEND_LUT_MAP',
+			'uniform sampler2D blendLutMap;',
+		'#endif',
+		'uniform vec2 lutSizes;',
+		'uniform float blend;',
+		'uniform float amount;',
+
+		'varying vec2 vUv;',
+
+		'vec3 sampleLut(sampler2D lut, vec3 color, float size) {',
+			'float blue = color.b * (size - 1.0);',
+			'float slice = floor(blue);',
+			'float nextSlice = min(slice + 1.0, size - 1.0);',
+			'float x = (color.r * (size - 1.0) + 0.5) / (size * size);',
+			// Images are flipped when uploaded, so the top row is at 1
+			'float y = 1.0 - (color.g * (size - 1.0) + 0.5) / size;',
+			'vec3 color0 = texture2D(lut, vec2(x + slice / size, y)).rgb;',
+			'vec3 color1 = texture2D(lut, vec2(x + nextSlice / size, y)).rgb;',
+			'return mix(color0, color1, blue - slice);',
+		'}',
+
+		'void main() {',
+			'vec4 color = texture2D(tDiffuse, vUv);',
+			'vec3 clamped = clamp(color.rgb, 0.0, 1.0);',
+			'vec3 graded = clamped;',
+			'#ifdef LUT_MAP',
+				'graded = sampleLut(lutMap, clamped, lutSizes.x);',
+			'#endif',
+			'#ifdef BLEND_LUT_MAP',
+				'graded = mix(graded, sampleLut(blendLutMap, clamped, lutSizes.y), blend);',
+			'#endif',
+			'gl_FragColor = vec4(mix(color.rgb, graded, amount), color.a);',
+		'}'
+	].join('\n')
+};
+
 module.exports = ShaderLibExtra;
\ No newline at end of file
@@ -0,0 +1,299 @@
+var Material = require('../renderer/Material');
+var RenderTarget = require('../renderer/pass/RenderTarget');
+var MeshData = require('../renderer/MeshData');
+var Shader = require('../renderer/Shader');
+var RenderPass = require('../renderer/pass/RenderPass');
+var FullscreenPass = require('../renderer/pass/FullscreenPass');
+var Renderer = require('../renderer/Renderer');
+var Pass = require('../renderer/pass/Pass');
+var Matrix4 = require('../math/Matrix4');
+var ObjectUtils = require('../util/ObjectUtils');
+
+/**
+ * Screen space reflections pass. Renders the render list once, into a G-buffer of depth and roughness, then marches reflection
+ * rays through the depth and mixes in the colors they hit, for wet floors and other glossy surfaces. Only what is on screen can be reflected.
+ * The roughness is the roughness uniform of each material; materials without one get no reflections.
+ * The normals are reconstructed from the depth, so curved surfaces reflect like the flat triangles they are made of.
+ * @extends Pass
+ * @param {Array<Entity>} renderList
+ * @param {Object} [settings]
+ * @param {number} [settings.maxDistance=10] How far reflection rays travel, in world units
+ * @param {number} [settings.thickness=0.5] How far behind the depth buffer a ray still hits something
+ * @param {number} [settings.intensity=1] Strength of the reflections
+ * @param {number} [settings.reflectance=0.2] Strength of the reflections when looking straight at a surface, relative to grazing angles
+ * @param {number} [settings.maxRoughness=0.8] Surfaces this rough or rougher get no reflections; reflections fade out towards it
+ * @param {number} [settings.steps=32] Number of steps along each ray, set when the pass is created
+ * @example
+ * floorMaterial.uniforms.roughness = 0.1;
+ * composer.addPass(new RenderPass(renderSystem.renderList));
+ * composer.addPass(new SsrPass(renderSystem.renderList, { maxDistance: 20 }));
+ */
+function SsrPass(renderList, settings) {
+	settings = settings || {};
+
+	this.gBufferPass = new RenderPass(renderList);
+	this.gBufferPass.overrideMaterial = new Material(gBuffer);
+
+	var shader = ObjectUtils.deepClone(reflections);
+	shader.defines.STEPS = settings.steps !== undefined ? settings.steps : 32;
+	this.outPass = new FullscreenPass(shader);
+
+	var uniforms = this.outPass.material.uniforms;
+	uniforms.cameraProjection = new Matrix4();
+	uniforms.cameraProjectionInverse = new Matrix4();
+	uniforms.texelSize = [1, 1];
+
+	this.maxDistance = settings.maxDistance !== undefined ? settings.maxDistance : 10;
+	this.thickness = settings.thickness !== undefined ? settings.thickness : 0.5;
+	this.intensity = settings.intensity !== undefined ? settings.intensity : 1;
+	this.reflectance = settings.reflectance !== undefined ? settings.reflectance : 0.2;
+	this.maxRoughness = settings.maxRoughness !== undefined ? settings.maxRoughness : 0.8;
+
+	// Cleared to the far plane and to fully rough, so the background reflects nothing
+	this.gBufferPass.clearColor.setDirect(1, 1, 1, 1);
+
+	this.gBufferTarget = null;
+
+	this.renderToScreen = false;
+	this.enabled = true;
+	this.clear = false;
+	this.needsSwap = true;
+}
+
+SsrPass.prototype = Object.create(Pass.prototype);
+SsrPass.prototype.constructor = SsrPass;
+
+/**
+ * Keeps the G-buffer the size of the image it reflects.
+ * @private
+ * @param {RenderTarget} readBuffer
+ * @param {Renderer} renderer
+ */
+SsrPass.prototype._updateTargets = function (readBuffer, renderer) {
+	if (this.gBufferTarget && this.gBufferTarget.width === readBuffer.width && this.gBufferTarget.height === readBuffer.height) {
+		return;
+	}
+
+	this._destroyTargets(renderer);
+
+	var options = {
+		magFilter: 'NearestNeighbor',
+		minFilter: 'NearestNeighborNoMipMaps'
+	};
+	this.gBufferTarget = new RenderTarget(readBuffer.width, readBuffer.height, options);
+};
+
+SsrPass.prototype._destroyTargets = function (renderer) {
+	if (this.gBufferTarget) {
+		this.gBufferTarget.destroy(renderer.context);
+	}
+	this.gBufferTarget = null;
+};
+
+SsrPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta, maskActive, camera) {
+	camera = camera || Renderer.mainCamera;
+	if (!camera) {
+		return;
+	}
+
+	this._updateTargets(readBuffer, renderer);
+
+	this.gBufferPass.renderWithClearColor(renderer, this.gBufferTarget, delta, camera);
+
+	var material = this.outPass.material;
+	var uniforms = material.uniforms;
+	uniforms.cameraProjection.copy(camera.getProjectionMatrix());
+	uniforms.cameraProjectionInverse.copy(camera.getProjectionMatrix()).invert();
+	uniforms.texelSize[0] = 1 / this.gBufferTarget.width;
+	uniforms.texelSize[1] = 1 / this.gBufferTarget.height;
+	uniforms.maxDistance = this.maxDistance;
+	uniforms.thickness = this.thickness;
+	uniforms.intensity = this.intensity;
+	uniforms.reflectance = this.reflectance;
+	uniforms.maxRoughness = this.maxRoughness;
+
+	material.setTexture('GBUFFER_MAP', this.gBufferTarget);
+	this.outPass.renderToScreen = this.renderToScreen;
+	this.outPass.render(renderer, writeBuffer, readBuffer, delta);
+};
+
+SsrPass.prototype.destroy = function (renderer) {
+	this._destroyTargets(renderer);
+	this.gBufferPass.overrideMaterial.shader.destroy();
+	this.outPass.destroy(renderer);
+};
+
+SsrPass.prototype.invalidateHandles = function (renderer) {
+	renderer.invalidateMaterial(this.gBufferPass.overrideMaterial);
+	if (this.gBufferTarget) {
+		renderer.invalidateRenderTarget(this.gBufferTarget);
+	}
+	this.outPass.invalidateHandles(renderer);
+};
+
+// Depth in rgb and roughness in alpha. The roughness uniform is left to the materials being overridden
+var gBuffer = {
+	attributes: {
+		vertexPosition: MeshData.POSITION
+	},
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		roughness: 1.0
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+
+		'uniform mat4 viewProjectionMatrix;',
+		'uniform mat4 worldMatrix;',
+
+		'void main(void) {',
+		'	gl_Position = viewProjectionMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+		'}'
+	].join('\n'),
+	fshader: [
+		'uniform float roughness;',
+
+		'vec3 packDepth24(const in float depth) {',
+		'	vec3 res = fract(depth * vec3(1.0, 255.0, 65025.0));',
+		'	return res - res.yzz * vec3(1.0 / 255.0, 1.0 / 255.0, 0.0);',
+		'}',
+
+		'void main(void) {',
+		'	gl_FragColor = vec4(packDepth24(gl_FragCoord.z), clamp(roughness, 0.0, 1.0));',
+		'}'
+	].join('\n')
+};
+
+var reflections = {
+	defines: {
+		STEPS: 32,
+		REFINE_STEPS: 5
+	},
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		gBufferMap: 'GBUFFER_MAP',
+		maxDistance: 10,
+		thickness: 0.5,
+		intensity: 1,
+		reflectance: 0.2,
+		maxRoughness: 0.8
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+		'attribute vec2 vertexUV0;',
+
+		'uniform mat4 viewMatrix;',
+		'uniform mat4 projectionMatrix;',
+		'uniform mat4 worldMatrix;',
+
+		'varying vec2 vUv;',
+
+		'void main(void) {',
+		'	vUv = vertexUV0;',
+		'	gl_Position = projectionMatrix * viewMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+		'}'
+	].join('\n'),
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform sampler2D gBufferMap;',
+		'uniform mat4 cameraProjection;',
+		'uniform mat4 cameraProjectionInverse;',
+		'uniform vec2 texelSize;',
+		'uniform float maxDistance;',
+		'uniform float thickness;',
+		'uniform float intensity;',
+		'uniform float reflectance;',
+		'uniform float maxRoughness;',
+
+		'varying vec2 vUv;',
+
+		// The clear color unpacks to beyond the far plane, so it is clamped to it
+		'vec3 viewPositionAt(vec2 uv) {',
+		'	float depth = min(dot(texture2D(gBufferMap, uv).rgb, vec3(1.0, 1.0 / 255.0, 1.0 / 65025.0)), 1.0);',
+		'	vec4 position = cameraProjectionInverse * vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);',
+		'	return position.xyz / position.w;',
+		'}',
+
+		// The normal of the triangle at the pixel, from the neighbours on the same side of any depth edge
+		'vec3 viewNormalAt(vec2 uv, vec3 position) {',
+		'	vec3 left = position - viewPositionAt(uv - vec2(texelSize.x, 0.0));',
+		'	vec3 right = viewPositionAt(uv + vec2(texelSize.x, 0.0)) - position;',
+		'	vec3 down = position - viewPositionAt(uv - vec2(0.0, texelSize.y));',
+		'	vec3 up = viewPositionAt(uv + vec2(0.0, texelSize.y)) - position;',
+		'	vec3 dx = abs(left.z) < abs(right.z) ? left : right;',
+		'	vec3 dy = abs(down.z) < abs(up.z) ? down : up;',
+		'	return normalize(cross(dx, dy));',
+		'}',
+
+		'vec2 project(vec3 position) {',
+		'	vec4 clip = cameraProjection * vec4(position, 1.0);',
+		'	return clip.xy / clip.w * 0.5 + 0.5;',
+		'}',
+
+		'void main(void) {',
+		'	vec4 color = texture2D(tDiffuse, vUv);',
+		'	float roughness = texture2D(gBufferMap, vUv).a;',
+		'	gl_FragColor = color;',
+		'	if (roughness >= maxRoughness) {',
+		'		return;',
+		'	}',
+
+		'	vec3 position = viewPositionAt(vUv);',
+		'	vec3 N = viewNormalAt(vUv, position);',
+		'	vec3 V = normalize(position);',
+		'	vec3 R = reflect(V, N);',
+
+		'	float stepLength = maxDistance / float(STEPS);',
+		'	vec3 previous = position;',
+		'	vec2 hitUv = vec2(0.0);',
+		'	float travelled = 1.0;',
+		'	bool hit = false;',
+		'	for (int i = 1; i <= STEPS; i++) {',
+		'		vec3 current = position + R * (stepLength * float(i));',
+		'		vec2 uv = project(current);',
+		'		if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0 || current.z > 0.0) {',
+		'			break;',
+		'		}',
+		// View space looks down negative z, so the ray is behind the scene when it is further away
+		'		float behind = viewPositionAt(uv).z - current.z;',
+		'		if (behind > 0.0 && behind < thickness) {',
+		'			vec3 start = previous;',
+		'			vec3 end = current;',
+		'			for (int j = 0; j < REFINE_STEPS; j++) {',
+		'				vec3 middle = (start + end) * 0.5;',
+		'				if (viewPositionAt(project(middle)).z - middle.z > 0.0) {',
+		'					end = middle;',
+		'				} else {',
+		'					start = middle;',
+		'				}',
+		'			}',
+		'			hitUv = project(end);',
+		'			travelled = float(i) / float(STEPS);',
+		'			hit = true;',
+		'			break;',
+		'		}',
+		'		previous = current;',
+		'	}',
+
+		'	if (!hit) {',
+		'		return;',
+		'	}',
+
+		'	vec2 edges = smoothstep(0.0, 0.1, hitUv) * (1.0 - smoothstep(0.9, 1.0, hitUv));',
+		'	float fade = edges.x * edges.y * (1.0 - travelled) * (1.0 - roughness / maxRoughness);',
+		'	float fresnel = mix(reflectance, 1.0, pow(1.0 - max(dot(-V, N), 0.0), 5.0));',
+		'	vec3 reflection = texture2D(tDiffuse, hitUv).rgb;',
+		'	gl_FragColor = vec4(mix(color.rgb, reflection, clamp(fade * fresnel * intensity, 0.0, 1.0)), color.a);',
+		'}'
+	].join('\n')
+};
+
+module.exports = SsrPass;
@@ -0,0 +1,407 @@
+var Material = require('../renderer/Material');
+var RenderTarget = require('../renderer/pass/RenderTarget');
+var MeshData = require('../renderer/MeshData');
+var Shader = require('../renderer/Shader');
+var ShaderLib = require('../renderer/shaders/ShaderLib');
+var ShaderFragment = require('../renderer/shaders/ShaderFragment');
+var RenderPass = require('../renderer/pass/RenderPass');
+var FullscreenPass = require('../renderer/pass/FullscreenPass');
+var Renderer = require('../renderer/Renderer');
+var Pass = require('../renderer/pass/Pass');
+var Matrix4 = require('../math/Matrix4');
+var ObjectUtils = require('../util/ObjectUtils');
+
+/**
+ * Temporal antialiasing pass. Jitters the projection of the camera by a fraction of a pixel every frame and blends each frame
+ * with the previous ones, reprojected with the previous view projection of the camera. The history is clamped to the colors
+ * around each pixel so moving objects don't leave ghosts behind.
+ * Unlike the multisampling of the Renderer this also works when rendering with post effects, and unlike the FXAA
+ * antialias shader it smooths edges inside pixels too. Goes after the {@link RenderPass} it antialiases, the jitter starts with the
+ * frame after it is added.
+ * The screen space motion of each pixel ends up in velocityTarget, as written by the packVelocity shader method.
+ * @extends Pass
+ * @param {Array<Entity>} renderList Rendered into a depth buffer to reproject the history
+ * @param {Object} [settings]
+ * @param {number} [settings.feedback=0.9] How much of the history to keep each frame, between 0 and 1
+ * @param {number} [settings.sampleCount=8] Number of jitter positions to cycle through
+ * @param {VelocityPass} [settings.velocityPass] Velocity pass earlier in the composer, to reproject with the motion of the
+ * entities too. Without one the TAA pass renders the motion of the camera only.
+ * @example
+ * composer.addPass(new RenderPass(renderSystem.renderList));
+ * composer.addPass(new TaaPass(renderSystem.renderList));
+ *
+ * // Sharing the motion of the entities with a motion blur
+ * var velocityPass = new VelocityPass(renderSystem.renderList);
+ * composer.addPass(new RenderPass(renderSystem.renderList));
+ * composer.addPass(velocityPass);
+ * composer.addPass(new TaaPass(renderSystem.renderList, { velocityPass: velocityPass }));
+ * composer.addPass(new MotionBlurPass(renderSystem.renderList, { velocityPass: velocityPass }));
+ */
+function TaaPass(renderList, settings) {
+	settings = settings || {};
+
+	this.velocityPass = settings.velocityPass || null;
+	this.depthPass = null;
+	this.cameraVelocityPass = null;
+
+	if (!this.velocityPass) {
+		this.depthPass = new RenderPass(renderList);
+		this.depthPass.overrideMaterial = new Material(packDepth);
+		this.depthPass.clearColor.setDirect(1, 1, 1, 1);
+
+		this.cameraVelocityPass = new FullscreenPass(ObjectUtils.deepClone(cameraVelocity));
+		this.cameraVelocityPass.useReadBuffer = false;
+		var uniforms = this.cameraVelocityPass.material.uniforms;
+		uniforms.viewProjectionInverse = new Matrix4();
+		uniforms.currentViewProjection = new Matrix4();
+		uniforms.previousViewProjection = new Matrix4();
+	}
+
+	this.resolvePass = new FullscreenPass(ObjectUtils.deepClone(resolve));
+	this.resolvePass.material.uniforms.texelSize = [0, 0];
+	this.copyPass = new FullscreenPass(ShaderLib.copyPure);
+
+	this.feedback = settings.feedback !== undefined ? settings.feedback : 0.9;
+	this.sampleCount = settings.sampleCount || 8;
+	this.sampleIndex = 0;
+
+	/**
+	 * View projection of the last frame, without the jitter.
+	 * @type {Matrix4}
+	 */
+	this.previousViewProjection = new Matrix4();
+	this._hasHistory = false;
+	this._camera = null;
+
+	this.depthTarget = null;
+	this.velocityTarget = null;
+	this.historyTargets = null;
+
+	this.renderToScreen = false;
+	this.enabled = true;
+	this.clear = false;
+	this.needsSwap = true;
+}
+
+TaaPass.prototype = Object.create(Pass.prototype);
+TaaPass.prototype.constructor = TaaPass;
+
+/**
+ * Whether the pass is used. Disabling it takes the jitter off the camera.
+ * @type {boolean}
+ */
+Object.defineProperty(TaaPass.prototype, 'enabled', {
+	get: function () {
+		return this._enabled;
+	},
+	set: function (enabled) {
+		this._enabled = enabled;
+		if (!enabled) {
+			this._releaseCamera();
+		}
+	}
+});
+
+/**
+ * Radical inverse of the index in the base, for well spread out jitter positions between 0 and 1.
+ * @private
+ */
+function halton(index, base) {
+	var result = 0;
+	var fraction = 1 / base;
+	while (index > 0) {
+		result += (index % base) * fraction;
+		index = Math.floor(index / base);
+		fraction /= base;
+	}
+	return result;
+}
+
+/**
+ * Forgets the previous frames, for example after the camera cuts to another view.
+ */
+TaaPass.prototype.resetHistory = function () {
+	this._hasHistory = false;
+};
+
+/**
+ * @private
+ */
+TaaPass.prototype._releaseCamera = function () {
+	if (this._camera) {
+		this._camera.setJitter(0, 0);
+		this._camera = null;
+	}
+	this._hasHistory = false;
+};
+
+/**
+ * Keeps the buffers the size of the image, and the history in its format so HDR images stay HDR.
+ * @private
+ * @param {RenderTarget} readBuffer
+ * @param {Renderer} renderer
+ */
+TaaPass.prototype._updateTargets = function (readBuffer, renderer) {
+	var history = this.historyTargets && this.historyTargets[0];
+	if (history && history.width === readBuffer.width && history.height === readBuffer.height && history.type === readBuffer.type) {
+		return;
+	}
+
+	this._destroyTargets(renderer);
+
+	var nearest = {
+		magFilter: 'NearestNeighbor',
+		minFilter: 'NearestNeighborNoMipMaps'
+	};
+	var historyOptions = {
+		type: readBuffer.type,
+		magFilter: readBuffer.magFilter,
+		minFilter: readBuffer.minFilter,
+		depthBuffer: false,
+		stencilBuffer: false
+	};
+	if (this.cameraVelocityPass) {
+		this.depthTarget = new RenderTarget(readBuffer.width, readBuffer.height, nearest);
+		this.velocityTarget = new RenderTarget(readBuffer.width, readBuffer.height, nearest);
+	}
+	this.historyTargets = [
+		new RenderTarget(readBuffer.width, readBuffer.height, historyOptions),
+		new RenderTarget(readBuffer.width, readBuffer.height, historyOptions)
+	];
+	this._hasHistory = false;
+};
+
+TaaPass.prototype._destroyTargets = function (renderer) {
+	if (this.depthTarget) {
+		this.depthTarget.destroy(renderer.context);
+		this.velocityTarget.destroy(renderer.context);
+	}
+	if (this.historyTargets) {
+		this.historyTargets[0].destroy(renderer.context);
+		this.historyTargets[1].destroy(renderer.context);
+	}
+	this.depthTarget = null;
+	this.velocityTarget = null;
+	this.historyTargets = null;
+};
+
+/**
+ * Renders the motion of the camera, when no velocity pass is shared.
+ * @private
+ */
+TaaPass.prototype._renderCameraVelocity = function (renderer, delta, camera) {
+	// The depth is rendered with the same jitter as the image
+	this.depthPass.renderWithClearColor(renderer, this.depthTarget, delta, camera);
+
+	var uniforms = this.cameraVelocityPass.material.uniforms;
+	uniforms.viewProjectionInverse.copy(camera.getViewProjectionMatrix()).invert();
+	uniforms.currentViewProjection.mul2(camera.getUnjitteredProjectionMatrix(), camera.getViewMatrix());
+	if (!this._hasHistory) {
+		this.previousViewProjection.copy(uniforms.currentViewProjection);
+	}
+	uniforms.previousViewProjection.copy(this.previousViewProjection);
+	this.cameraVelocityPass.material.setTexture(Shader.DEPTH_MAP, this.depthTarget);
+	this.cameraVelocityPass.render(renderer, this.velocityTarget);
+};
+
+TaaPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta, maskActive, camera) {
+	camera = camera || Renderer.mainCamera;
+	if (!camera) {
+		return;
+	}
+
+	if (camera !== this._camera) {
+		this._releaseCamera();
+		this._camera = camera;
+	}
+
+	if (this.velocityPass && !this.velocityPass.velocityTarget) {
+		return;
+	}
+
+	this._updateTargets(readBuffer, renderer);
+
+	if (this.velocityPass) {
+		this.velocityTarget = this.velocityPass.velocityTarget;
+	} else {
+		this._renderCameraVelocity(renderer, delta, camera);
+	}
+
+	var material = this.resolvePass.material;
+	material.uniforms.feedback = this._hasHistory ? this.feedback : 0;
+	material.uniforms.texelSize[0] = 1 / readBuffer.width;
+	material.uniforms.texelSize[1] = 1 / readBuffer.height;
+	material.setTexture('HISTORY_MAP', this.historyTargets[1]);
+	material.setTexture('VELOCITY_MAP', this.velocityTarget);
+	this.resolvePass.render(renderer, this.historyTargets[0], readBuffer);
+
+	this.copyPass.renderToScreen = this.renderToScreen;
+	this.copyPass.render(renderer, writeBuffer, this.historyTargets[0]);
+
+	this.historyTargets.reverse();
+	this.previousViewProjection.mul2(camera.getUnjitteredProjectionMatrix(), camera.getViewMatrix());
+	this._hasHistory = true;
+
+	// Jitter within the pixel, for the next frame
+	this.sampleIndex = (this.sampleIndex + 1) % this.sampleCount;
+	camera.setJitter(
+		(halton(this.sampleIndex + 1, 2) - 0.5) * 2 / readBuffer.width,
+		(halton(this.sampleIndex + 1, 3) - 0.5) * 2 / readBuffer.height
+	);
+};
+
+TaaPass.prototype.destroy = function (renderer) {
+	this._releaseCamera();
+	this._destroyTargets(renderer);
+	if (this.cameraVelocityPass) {
+		this.depthPass.overrideMaterial.shader.destroy();
+		this.cameraVelocityPass.destroy(renderer);
+	}
+	this.resolvePass.destroy(renderer);
+	this.copyPass.destroy(renderer);
+};
+
+TaaPass.prototype.invalidateHandles = function (renderer) {
+	if (this.cameraVelocityPass) {
+		renderer.invalidateMaterial(this.depthPass.overrideMaterial);
+		this.cameraVelocityPass.invalidateHandles(renderer);
+	}
+	if (this.depthTarget) {
+		renderer.invalidateRenderTarget(this.depthTarget);
+		renderer.invalidateRenderTarget(this.velocityTarget);
+	}
+	if (this.historyTargets) {
+		renderer.invalidateRenderTarget(this.historyTargets[0]);
+		renderer.invalidateRenderTarget(this.historyTargets[1]);
+	}
+	this.resolvePass.invalidateHandles(renderer);
+	this.copyPass.invalidateHandles(renderer);
+	this._hasHistory = false;
+};
+
+var packDepth = {
+	attributes: {
+		vertexPosition: MeshData.POSITION
+	},
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+
+		'uniform mat4 viewProjectionMatrix;',
+		'uniform mat4 worldMatrix;',
+
+		'void main(void) {',
+		'	gl_Position = viewProjectionMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+		'}'
+	].join('\n'),
+	fshader: [
+		ShaderFragment.methods.packDepth,
+
+		'void main(void) {',
+		'	gl_FragColor = packDepth(gl_FragCoord.z);',
+		'}'
+	].join('\n')
+};
+
+var fullscreenVertex = [
+	'attribute vec3 vertexPosition;',
+	'attribute vec2 vertexUV0;',
+
+	'uniform mat4 viewMatrix;',
+	'uniform mat4 projectionMatrix;',
+	'uniform mat4 worldMatrix;',
+
+	'varying vec2 vUv;',
+
+	'void main(void) {',
+	'	vUv = vertexUV0;',
+	'	gl_Position = projectionMatrix * viewMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+	'}'
+].join('\n');
+
+// Motion of the camera only, found by projecting the position behind each pixel with both view projections
+var cameraVelocity = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		depthMap: Shader.DEPTH_MAP
+	},
+	vshader: fullscreenVertex,
+	fshader: [
+		'uniform sampler2D depthMap;',
+		'uniform mat4 viewProjectionInverse;',
+		'uniform mat4 currentViewProjection;',
+		'uniform mat4 previousViewProjection;',
+
+		'varying vec2 vUv;',
+
+		ShaderFragment.methods.unpackDepth,
+		ShaderFragment.methods.packVelocity,
+
+		'void main(void) {',
+		'	float depth = unpackDepth(texture2D(depthMap, vUv));',
+		'	vec4 position = viewProjectionInverse * vec4(vec3(vUv, depth) * 2.0 - 1.0, 1.0);',
+		'	position /= position.w;',
+		'	vec4 current = currentViewProjection * position;',
+		'	vec4 previous = previousViewProjection * position;',
+		'	gl_FragColor = packVelocity((current.xy / current.w - previous.xy / previous.w) * 0.5);',
+		'}'
+	].join('\n')
+};
+
+var resolve = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		historyMap: 'HISTORY_MAP',
+		velocityMap: 'VELOCITY_MAP',
+		feedback: 0.9
+	},
+	vshader: fullscreenVertex,
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform sampler2D historyMap;',
+		'uniform sampler2D velocityMap;',
+		'uniform vec2 texelSize;',
+		'uniform float feedback;',
+
+		'varying vec2 vUv;',
+
+		ShaderFragment.methods.unpackVelocity,
+
+		'void main(void) {',
+		'	vec4 current = texture2D(tDiffuse, vUv);',
+		'	vec4 minColor = current;',
+		'	vec4 maxColor = current;',
+		'	for (int x = -1; x <= 1; x++) {',
+		'		for (int y = -1; y <= 1; y++) {',
+		'			vec4 neighbor = texture2D(tDiffuse, vUv + vec2(float(x), float(y)) * texelSize);',
+		'			minColor = min(minColor, neighbor);',
+		'			maxColor = max(maxColor, neighbor);',
+		'		}',
+		'	}',
+
+		'	vec2 historyUv = vUv - unpackVelocity(texture2D(velocityMap, vUv));',
+		'	vec4 history = clamp(texture2D(historyMap, historyUv), minColor, maxColor);',
+		// Whatever was off screen in the last frame has no history
+		'	float onScreen = step(0.0, historyUv.x) * step(historyUv.x, 1.0) * step(0.0, historyUv.y) * step(historyUv.y, 1.0);',
+		'	gl_FragColor = mix(current, history, feedback * onScreen);',
+		'}'
+	].join('\n')
+};
+
+module.exports = TaaPass;
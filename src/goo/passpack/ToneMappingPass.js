@@ -0,0 +1,424 @@
+var Material = require('../renderer/Material');
+var FullscreenUtils = require('../renderer/pass/FullscreenUtils');
+var RenderTarget = require('../renderer/pass/RenderTarget');
+var MeshData = require('../renderer/MeshData');
+var Shader = require('../renderer/Shader');
+var Capabilities = require('../renderer/Capabilities');
+var ShaderBuilder = require('../renderer/shaders/ShaderBuilder');
+var ObjectUtils = require('../util/ObjectUtils');
+var Pass = require('../renderer/pass/Pass');
+
+/**
+ * Maps the unbounded colors of an HDR {@link Composer} into displayable colors. Goes last in the composer, and is meant for
+ * scenes lit in linear space (see {@link ShaderBuilder.LINEAR_SPACE}), which it applies the gamma to. Scenes lit in sRGB are
+ * tone mapped without gamma.
+ * With auto exposure the average luminance of the scene is measured by downsampling it to a single pixel,
+ * and the exposure adapts towards it over time.
+ * @extends Pass
+ * @param {Object} [settings]
+ * @param {number} [settings.operator=ToneMappingPass.ACES] One of the operator constants on ToneMappingPass
+ * @param {number} [settings.exposure=1] Exposure multiplier. With auto exposure it compensates the measured exposure.
+ * @param {boolean} [settings.autoExposure=false]
+ * @param {number} [settings.keyValue=0.18] The luminance the average scene luminance is exposed to, with auto exposure
+ * @param {number} [settings.adaptationRate=1.5] How fast auto exposure adapts to changes in luminance, per second
+ * @param {number} [settings.minLuminance=0.001] Darkest average luminance auto exposure adapts to
+ * @param {number} [settings.maxLuminance=64] Brightest average luminance auto exposure adapts to
+ * @param {number} [settings.gamma=2.2] Only applied to scenes lit in linear space
+ * @example
+ * var composer = new Composer(undefined, { hdr: true });
+ * composer.addPass(new RenderPass(renderSystem.renderList));
+ * composer.addPass(new BloomPass({ strength: 0.5 }));
+ * var toneMapping = new ToneMappingPass({ autoExposure: true });
+ * toneMapping.renderToScreen = true;
+ * composer.addPass(toneMapping);
+ * renderSystem.composers.push(composer);
+ */
+function ToneMappingPass(settings) {
+	settings = settings || {};
+
+	/**
+	 * @type {number}
+	 */
+	this.exposure = settings.exposure !== undefined ? settings.exposure : 1;
+
+	/**
+	 * @type {boolean}
+	 */
+	this.autoExposure = !!settings.autoExposure;
+
+	/**
+	 * @type {number}
+	 */
+	this.keyValue = settings.keyValue !== undefined ? settings.keyValue : 0.18;
+
+	/**
+	 * @type {number}
+	 */
+	this.adaptationRate = settings.adaptationRate !== undefined ? settings.adaptationRate : 1.5;
+
+	/**
+	 * @type {number}
+	 */
+	this.minLuminance = settings.minLuminance !== undefined ? settings.minLuminance : 0.001;
+
+	/**
+	 * @type {number}
+	 */
+	this.maxLuminance = settings.maxLuminance !== undefined ? settings.maxLuminance : 64;
+
+	/**
+	 * Only applied to scenes lit in linear space.
+	 * @type {number}
+	 */
+	this.gamma = settings.gamma !== undefined ? settings.gamma : 2.2;
+
+	this.renderable = {
+		meshData: FullscreenUtils.quad,
+		materials: []
+	};
+
+	this.toneMapMaterial = new Material(ObjectUtils.deepClone(toneMap));
+	this.luminanceMaterial = new Material(ObjectUtils.deepClone(logLuminance));
+	this.downsampleMaterial = new Material(ObjectUtils.deepClone(downsample));
+	this.adaptMaterial = new Material(ObjectUtils.deepClone(adaptLuminance));
+
+	// The log luminance range is shared by the measuring and the tone mapping
+	this.toneMapMaterial.uniforms.luminanceRange = [0, 0];
+	this.luminanceMaterial.uniforms.luminanceRange = this.toneMapMaterial.uniforms.luminanceRange;
+	this.downsampleMaterial.uniforms.texelSize = [1, 1];
+
+	this.operator = settings.operator !== undefined ? settings.operator : ToneMappingPass.ACES;
+
+	// Log luminance is measured at 64x64 and halved down to one pixel
+	this.luminanceTargets = [];
+	for (var size = ToneMappingPass.LUMINANCE_SIZE; size >= 1; size /= 2) {
+		this.luminanceTargets.push(createLuminanceTarget(size));
+	}
+	this.adaptedTarget = createLuminanceTarget(1);
+	this.previousAdaptedTarget = createLuminanceTarget(1);
+	this._adapted = false;
+
+	this.enabled = true;
+	this.clear = false;
+	this.renderToScreen = false;
+	this.needsSwap = true;
+}
+
+ToneMappingPass.prototype = Object.create(Pass.prototype);
+ToneMappingPass.prototype.constructor = ToneMappingPass;
+
+/**
+ * Simple Reinhard operator, color / (1 + color).
+ * @type {number}
+ * @readonly
+ */
+ToneMappingPass.REINHARD = 1;
+
+/**
+ * The filmic curve by John Hable.
+ * @type {number}
+ * @readonly
+ */
+ToneMappingPass.FILMIC = 2;
+
+/**
+ * Fit of the ACES filmic curve by Krzysztof Narkowicz.
+ * @type {number}
+ * @readonly
+ */
+ToneMappingPass.ACES = 3;
+
+/**
+ * Size of the first luminance downsample.
+ * @type {number}
+ */
+ToneMappingPass.LUMINANCE_SIZE = 64;
+
+function createLuminanceTarget(size) {
+	// Luminance is stored normalized so 8-bit targets work when half floats can not be rendered into
+	return new RenderTarget(size, size, {
+		type: Capabilities.renderToHalfFloat ? 'HalfFloat' : 'UnsignedByte',
+		magFilter: 'NearestNeighbor',
+		minFilter: 'NearestNeighborNoMipMaps',
+		depthBuffer: false,
+		stencilBuffer: false
+	});
+}
+
+Object.defineProperty(ToneMappingPass.prototype, 'operator', {
+	get: function () {
+		return this._operator;
+	},
+	set: function (value) {
+		this._operator = value;
+		this.toneMapMaterial.shader.setDefine('OPERATOR', value);
+	}
+});
+
+/**
+ * Makes auto exposure start over from the current luminance instead of adapting to it.
+ */
+ToneMappingPass.prototype.resetAdaptation = function () {
+	this._adapted = false;
+};
+
+ToneMappingPass.prototype._updateLuminanceRange = function () {
+	var range = this.toneMapMaterial.uniforms.luminanceRange;
+	range[0] = Math.log(this.minLuminance) / Math.LN2;
+	range[1] = Math.log(this.maxLuminance) / Math.LN2;
+};
+
+/**
+ * Measures the average log luminance of the image and adapts the exposure luminance towards it.
+ * @private
+ * @param {Renderer} renderer
+ * @param {RenderTarget} readBuffer
+ * @param {number} delta
+ */
+ToneMappingPass.prototype._measureLuminance = function (renderer, readBuffer, delta) {
+	var targets = this.luminanceTargets;
+
+	this._updateLuminanceRange();
+	this.luminanceMaterial.setTexture('DIFFUSE_MAP', readBuffer);
+	this.renderable.materials[0] = this.luminanceMaterial;
+	renderer.render(this.renderable, FullscreenUtils.camera, [], targets[0], true);
+
+	this.renderable.materials[0] = this.downsampleMaterial;
+	for (var i = 1; i < targets.length; i++) {
+		var source = targets[i - 1];
+		this.downsampleMaterial.uniforms.texelSize[0] = 1 / source.width;
+		this.downsampleMaterial.uniforms.texelSize[1] = 1 / source.height;
+		this.downsampleMaterial.setTexture('DIFFUSE_MAP', source);
+		renderer.render(this.renderable, FullscreenUtils.camera, [], targets[i], true);
+	}
+
+	var tmp = this.previousAdaptedTarget;
+	this.previousAdaptedTarget = this.adaptedTarget;
+	this.adaptedTarget = tmp;
+
+	this.adaptMaterial.uniforms.adaptation = this._adapted ? 1 - Math.exp(-(delta || 0) * this.adaptationRate) : 1;
+	this.adaptMaterial.setTexture('DIFFUSE_MAP', targets[targets.length - 1]);
+	this.adaptMaterial.setTexture('PREVIOUS_LUMINANCE', this.previousAdaptedTarget);
+	this.renderable.materials[0] = this.adaptMaterial;
+	renderer.render(this.renderable, FullscreenUtils.camera, [], this.adaptedTarget, true);
+	this._adapted = true;
+};
+
+ToneMappingPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta) {
+	var material = this.toneMapMaterial;
+
+	if (this.autoExposure) {
+		this._measureLuminance(renderer, readBuffer, delta);
+		material.shader.setDefine('AUTO_EXPOSURE', true);
+		material.setTexture('LUMINANCE_MAP', this.adaptedTarget);
+		material.uniforms.keyValue = this.keyValue;
+	} else {
+		material.shader.removeDefine('AUTO_EXPOSURE');
+		this._adapted = false;
+	}
+
+	ShaderBuilder.uber.linearSpace(material.shader);
+	material.uniforms.exposure = this.exposure;
+	material.uniforms.gamma = this.gamma;
+	material.setTexture('DIFFUSE_MAP', readBuffer);
+
+	this.renderable.materials[0] = material;
+	if (this.renderToScreen) {
+		renderer.render(this.renderable, FullscreenUtils.camera, [], null, this.clear);
+	} else {
+		renderer.render(this.renderable, FullscreenUtils.camera, [], writeBuffer, this.clear);
+	}
+};
+
+ToneMappingPass.prototype.destroy = function (renderer) {
+	var context = renderer.context;
+	for (var i = 0; i < this.luminanceTargets.length; i++) {
+		this.luminanceTargets[i].destroy(context);
+	}
+	this.adaptedTarget.destroy(context);
+	this.previousAdaptedTarget.destroy(context);
+	this.toneMapMaterial.shader.destroy();
+	this.luminanceMaterial.shader.destroy();
+	this.downsampleMaterial.shader.destroy();
+	this.adaptMaterial.shader.destroy();
+};
+
+ToneMappingPass.prototype.invalidateHandles = function (renderer) {
+	renderer.invalidateMaterial(this.toneMapMaterial);
+	renderer.invalidateMaterial(this.luminanceMaterial);
+	renderer.invalidateMaterial(this.downsampleMaterial);
+	renderer.invalidateMaterial(this.adaptMaterial);
+	for (var i = 0; i < this.luminanceTargets.length; i++) {
+		renderer.invalidateRenderTarget(this.luminanceTargets[i]);
+	}
+	renderer.invalidateRenderTarget(this.adaptedTarget);
+	renderer.invalidateRenderTarget(this.previousAdaptedTarget);
+	renderer.invalidateMeshData(this.renderable.meshData);
+};
+
+var fullscreenVertexShader = [
+	'attribute vec3 vertexPosition;',
+	'attribute vec2 vertexUV0;',
+
+	'uniform mat4 viewMatrix;',
+	'uniform mat4 projectionMatrix;',
+	'uniform mat4 worldMatrix;',
+
+	'varying vec2 vUv;',
+	'void main() {',
+	'	vUv = vertexUV0;',
+	'	gl_Position = projectionMatrix * viewMatrix * worldMatrix * vec4(vertexPosition, 1.0);',
+	'}'
+].join('\n');
+
+var toneMap = {
+	defines: {
+		OPERATOR: 3
+	},
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		luminanceMap: 'LUMINANCE_MAP',
+		luminanceRange: [-10, 6],
+		exposure: 1.0,
+		keyValue: 0.18,
+		gamma: 2.2
+	},
+	vshader: fullscreenVertexShader,
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform float exposure;',
+		'uniform float gamma;',
+		'#ifdef AUTO_EXPOSURE',
+			'uniform sampler2D luminanceMap;',
+			'uniform vec2 luminanceRange;',
+			'uniform float keyValue;',
+		'#endif',
+
+		'varying vec2 vUv;',
+
+		'vec3 filmic(vec3 x) {',
+			'return ((x * (0.15 * x + 0.05) + 0.004) / (x * (0.15 * x + 0.5) + 0.06)) - 0.0667;',
+		'}',
+
+		'void main() {',
+			'vec4 color = texture2D(tDiffuse, vUv);',
+
+			'float exposed = exposure;',
+			'#ifdef AUTO_EXPOSURE',
+				'float averageLuminance = exp2(mix(luminanceRange.x, luminanceRange.y, texture2D(luminanceMap, vec2(0.5)).r));',
+				'exposed *= keyValue / averageLuminance;',
+			'#endif',
+			'vec3 c = max(color.rgb * exposed, vec3(0.0));',
+
+			'#if OPERATOR == 1',
+				'c = c / (1.0 + c);',
+			'#elif OPERATOR == 2',
+				// White point of 11.2
+				'c = filmic(c * 2.0) / filmic(vec3(11.2));',
+			'#elif OPERATOR == 3',
+				'c = (c * (2.51 * c + 0.03)) / (c * (2.43 * c + 0.59) + 0.14);',
+			'#endif',
+
+			'c = clamp(c, 0.0, 1.0);',
+			'#ifdef LINEAR_SPACE',
+				'c = pow(c, vec3(1.0 / gamma));',
+			'#endif',
+			'gl_FragColor = vec4(c, color.a);',
+		'}'
+	].join('\n')
+};
+
+var logLuminance = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		luminanceRange: [-10, 6]
+	},
+	vshader: fullscreenVertexShader,
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform vec2 luminanceRange;',
+
+		'varying vec2 vUv;',
+
+		'void main() {',
+			'float luminance = dot(texture2D(tDiffuse, vUv).rgb, vec3(0.2126, 0.7152, 0.0722));',
+			'float logLuminance = log2(max(luminance, 0.00001));',
+			'gl_FragColor = vec4(clamp((logLuminance - luminanceRange.x) / (luminanceRange.y - luminanceRange.x), 0.0, 1.0));',
+		'}'
+	].join('\n')
+};
+
+var downsample = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		texelSize: [1, 1]
+	},
+	vshader: fullscreenVertexShader,
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform vec2 texelSize;',
+
+		'varying vec2 vUv;',
+
+		// Each pixel sits on the corner of four source texels
+		'void main() {',
+			'vec2 offset = texelSize * 0.5;',
+			'gl_FragColor = 0.25 * (',
+				'texture2D(tDiffuse, vUv + vec2(-offset.x, -offset.y)) +',
+				'texture2D(tDiffuse, vUv + vec2(offset.x, -offset.y)) +',
+				'texture2D(tDiffuse, vUv + vec2(-offset.x, offset.y)) +',
+				'texture2D(tDiffuse, vUv + vec2(offset.x, offset.y))',
+			');',
+		'}'
+	].join('\n')
+};
+
+var adaptLuminance = {
+	attributes: {
+		vertexPosition: MeshData.POSITION,
+		vertexUV0: MeshData.TEXCOORD0
+	},
+	uniforms: {
+		viewMatrix: Shader.VIEW_MATRIX,
+		projectionMatrix: Shader.PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		tDiffuse: Shader.DIFFUSE_MAP,
+		previousLuminance: 'PREVIOUS_LUMINANCE',
+		adaptation: 1
+	},
+	vshader: fullscreenVertexShader,
+	fshader: [
+		'uniform sampler2D tDiffuse;',
+		'uniform sampler2D previousLuminance;',
+		'uniform float adaptation;',
+
+		'void main() {',
+			'vec4 current = texture2D(tDiffuse, vec2(0.5));',
+			'vec4 previous = texture2D(previousLuminance, vec2(0.5));',
+			'gl_FragColor = mix(previous, current, adaptation);',
+		'}'
+	].join('\n')
+};
+
+module.exports = ToneMappingPass;
@@ -0,0 +1,174 @@
+var Material = require('../renderer/Material');
+var RenderTarget = require('../renderer/pass/RenderTarget');
+var MeshData = require('../renderer/MeshData');
+var Shader = require('../renderer/Shader');
+var ShaderFragment = require('../renderer/shaders/ShaderFragment');
+var RenderPass = require('../renderer/pass/RenderPass');
+var Renderer = require('../renderer/Renderer');
+var Pass = require('../renderer/pass/Pass');
+var Matrix4 = require('../math/Matrix4');
+
+/**
+ * Renders how far each pixel moved on screen since the previous frame into velocityTarget, from the previous world matrix of
+ * each {@link TransformComponent} and the previous view projection of the camera. The motion is in texture coordinates,
+ * written by the packVelocity shader method and read with unpackVelocity, for motion blur and other temporal effects.
+ * The image itself is left as it is. The background does not move, and skinned or morphed meshes only move with their entity.
+ * Render it once per frame; effects sharing it go after it in the composer.
+ * @extends Pass
+ * @param {Array<Entity>} renderList
+ * @example
+ * var velocityPass = new VelocityPass(renderSystem.renderList);
+ * composer.addPass(velocityPass);
+ * composer.addPass(new MotionBlurPass(renderSystem.renderList, { velocityPass: velocityPass }));
+ */
+function VelocityPass(renderList) {
+	this.renderPass = new RenderPass(renderList);
+	this.renderPass.overrideMaterial = new Material(velocity);
+	// Cleared to no motion, as written by packVelocity
+	this.renderPass.clearColor.setDirect(127 / 255, 0.5, 127 / 255, 0.5);
+
+	var uniforms = this.renderPass.overrideMaterial.uniforms;
+	uniforms.currentViewProjection = new Matrix4();
+	uniforms.previousViewProjection = new Matrix4();
+
+	/**
+	 * View projection of the last frame, without the jitter.
+	 * @type {Matrix4}
+	 */
+	this.previousViewProjection = new Matrix4();
+	this._hasPrevious = false;
+	this._camera = null;
+
+	this.velocityTarget = null;
+
+	this.enabled = true;
+	this.clear = false;
+	this.needsSwap = false;
+}
+
+VelocityPass.prototype = Object.create(Pass.prototype);
+VelocityPass.prototype.constructor = VelocityPass;
+
+/**
+ * @private
+ * @param {RenderTarget} readBuffer
+ * @param {Renderer} renderer
+ */
+VelocityPass.prototype._updateTarget = function (readBuffer, renderer) {
+	var target = this.velocityTarget;
+	if (target && target.width === readBuffer.width && target.height === readBuffer.height) {
+		return;
+	}
+
+	if (target) {
+		target.destroy(renderer.context);
+	}
+	this.velocityTarget = new RenderTarget(readBuffer.width, readBuffer.height, {
+		magFilter: 'NearestNeighbor',
+		minFilter: 'NearestNeighborNoMipMaps'
+	});
+};
+
+/**
+ * The TransformSystem of the world of the rendered entities only keeps their previous world matrices while they are used.
+ * @private
+ */
+VelocityPass.prototype._usePreviousWorldMatrix = function () {
+	var entity = this.renderPass.renderList[0];
+	var transformSystem = entity && entity._world && entity._world.getSystem('TransformSystem');
+	if (transformSystem) {
+		transformSystem.usePreviousWorldMatrix();
+	}
+};
+
+VelocityPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta, maskActive, camera) {
+	camera = camera || Renderer.mainCamera;
+	if (!camera) {
+		return;
+	}
+
+	if (camera !== this._camera) {
+		this._camera = camera;
+		this._hasPrevious = false;
+	}
+
+	this._updateTarget(readBuffer, renderer);
+
+	this._usePreviousWorldMatrix();
+
+	var uniforms = this.renderPass.overrideMaterial.uniforms;
+	uniforms.currentViewProjection.mul2(camera.getUnjitteredProjectionMatrix(), camera.getViewMatrix());
+	if (!this._hasPrevious) {
+		this.previousViewProjection.copy(uniforms.currentViewProjection);
+	}
+	uniforms.previousViewProjection.copy(this.previousViewProjection);
+
+	this.renderPass.renderWithClearColor(renderer, this.velocityTarget, delta, camera);
+
+	this.previousViewProjection.copy(uniforms.currentViewProjection);
+	this._hasPrevious = true;
+};
+
+VelocityPass.prototype.destroy = function (renderer) {
+	if (this.velocityTarget) {
+		this.velocityTarget.destroy(renderer.context);
+		this.velocityTarget = null;
+	}
+	this.renderPass.overrideMaterial.shader.destroy();
+};
+
+VelocityPass.prototype.invalidateHandles = function (renderer) {
+	renderer.invalidateMaterial(this.renderPass.overrideMaterial);
+	if (this.velocityTarget) {
+		renderer.invalidateRenderTarget(this.velocityTarget);
+	}
+};
+
+var velocity = {
+	attributes: {
+		vertexPosition: MeshData.POSITION
+	},
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		previousWorldMatrix: function (shaderInfo) {
+			var transformComponent = shaderInfo.renderable && shaderInfo.renderable.transformComponent;
+			// Particles and other renderables drawn with other transforms have no previous world matrix
+			if (transformComponent && shaderInfo.transform === transformComponent.worldTransform) {
+				return transformComponent.previousWorldMatrix;
+			}
+			return shaderInfo.transform !== undefined ? shaderInfo.transform.matrix : Matrix4.IDENTITY;
+		}
+	},
+	vshader: [
+		'attribute vec3 vertexPosition;',
+
+		'uniform mat4 viewProjectionMatrix;',
+		'uniform mat4 worldMatrix;',
+		'uniform mat4 previousWorldMatrix;',
+		'uniform mat4 currentViewProjection;',
+		'uniform mat4 previousViewProjection;',
+
+		'varying vec4 currentPosition;',
+		'varying vec4 previousPosition;',
+
+		'void main(void) {',
+		'	vec4 worldPosition = worldMatrix * vec4(vertexPosition, 1.0);',
+		'	currentPosition = currentViewProjection * worldPosition;',
+		'	previousPosition = previousViewProjection * previousWorldMatrix * vec4(vertexPosition, 1.0);',
+		'	gl_Position = viewProjectionMatrix * worldPosition;',
+		'}'
+	].join('\n'),
+	fshader: [
+		'varying vec4 currentPosition;',
+		'varying vec4 previousPosition;',
+
+		ShaderFragment.methods.packVelocity,
+
+		'void main(void) {',
+		'	gl_FragColor = packVelocity((currentPosition.xy / currentPosition.w - previousPosition.xy / previousPosition.w) * 0.5);',
+		'}'
+	].join('\n')
+};
+
+module.exports = VelocityPass;
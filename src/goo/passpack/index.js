@@ -1,6 +1,7 @@
 module.exports = {
 	BloomPass: require('./BloomPass'),
 	BlurPass: require('./BlurPass'),
+	ColorGradingPass: require('./ColorGradingPass'),
 	DepthPass: require('./DepthPass'),
 	DofPass: require('./DofPass'),
 	DogPass: require('./DogPass'),
@@ -8,7 +9,11 @@ module.exports = {
 	PassLib: require('./PassLib'),
 	PosteffectsHandler: require('./PosteffectsHandler'),
 	ShaderLibExtra: require('./ShaderLibExtra'),
-	SsaoPass: require('./SsaoPass')
+	SsaoPass: require('./SsaoPass'),
+	SsrPass: require('./SsrPass'),
+	TaaPass: require('./TaaPass'),
+	ToneMappingPass: require('./ToneMappingPass'),
+	VelocityPass: require('./VelocityPass')
 };
 if (typeof(window) !== 'undefined') {
 	for (var key in module.exports) {
@@ -0,0 +1,511 @@
+var Camera = require('../renderer/Camera');
+var BoundingBox = require('../renderer/bounds/BoundingBox');
+var BoundingSphere = require('../renderer/bounds/BoundingSphere');
+var Vector3 = require('../math/Vector3');
+
+/**
+ * A node of the bounding volume hierarchy. Leaves hold an entity, inner nodes always have two children.
+ * @private
+ */
+function BvhNode() {
+	this.parent = null;
+	this.left = null;
+	this.right = null;
+	this.entity = null;
+	this.height = 0;
+
+	// the (fattened) bounds of the node, kept in sync with box
+	this.min = new Vector3();
+	this.max = new Vector3();
+	this.box = new BoundingBox();
+}
+
+BvhNode.prototype.isLeaf = function () {
+	return this.left === null;
+};
+
+BvhNode.prototype.updateBox = function () {
+	var box = this.box;
+	box.center.set(this.min).add(this.max).scale(0.5);
+	box.xExtent = (this.max.x - this.min.x) * 0.5;
+	box.yExtent = (this.max.y - this.min.y) * 0.5;
+	box.zExtent = (this.max.z - this.min.z) * 0.5;
+};
+
+BvhNode.prototype.setUnion = function (a, b) {
+	this.min.setDirect(Math.min(a.min.x, b.min.x), Math.min(a.min.y, b.min.y), Math.min(a.min.z, b.min.z));
+	this.max.setDirect(Math.max(a.max.x, b.max.x), Math.max(a.max.y, b.max.y), Math.max(a.max.z, b.max.z));
+	this.updateBox();
+};
+
+BvhNode.prototype.contains = function (min, max) {
+	return this.min.x <= min.x && this.min.y <= min.y && this.min.z <= min.z &&
+		this.max.x >= max.x && this.max.y >= max.y && this.max.z >= max.z;
+};
+
+function area(min, max) {
+	var x = max.x - min.x;
+	var y = max.y - min.y;
+	var z = max.z - min.z;
+	return 2 * (x * y + y * z + z * x);
+}
+
+function unionArea(a, b) {
+	var x = Math.max(a.max.x, b.max.x) - Math.min(a.min.x, b.min.x);
+	var y = Math.max(a.max.y, b.max.y) - Math.min(a.min.y, b.min.y);
+	var z = Math.max(a.max.z, b.max.z) - Math.min(a.min.z, b.min.z);
+	return 2 * (x * y + y * z + z * x);
+}
+
+// slab test of a ray against the bounds of a node
+function intersectsRay(node, ray) {
+	var near = 0;
+	var far = Infinity;
+	var axes = ['x', 'y', 'z'];
+	for (var i = 0; i < 3; i++) {
+		var axis = axes[i];
+		var origin = ray.origin[axis];
+		var direction = ray.direction[axis];
+		if (direction === 0) {
+			if (origin < node.min[axis] || origin > node.max[axis]) {
+				return false;
+			}
+		} else {
+			var t1 = (node.min[axis] - origin) / direction;
+			var t2 = (node.max[axis] - origin) / direction;
+			near = Math.max(near, Math.min(t1, t2));
+			far = Math.min(far, Math.max(t1, t2));
+			if (near > far) {
+				return false;
+			}
+		}
+	}
+	return true;
+}
+
+var tmpMin = new Vector3();
+var tmpMax = new Vector3();
+
+/**
+ * Culls entities against the camera frustum using a bounding volume hierarchy, so that whole groups of entities are accepted or rejected at once.
+ * The hierarchy is a dynamic tree of axis aligned boxes that is kept in sync by the {@link BoundingUpdateSystem} whenever the world bound of an entity changes.
+ * Visible entities are collected roughly front to back, which suits early depth rejection and occlusion culling.
+ * The tree also answers ray queries (see {@link BvhPartitioner#raycast}) and can be handed to a {@link PickingSystem}.
+ * @example
+ * var partitioner = new BvhPartitioner();
+ * gooRunner.renderSystem.partitioner = partitioner;
+ * gooRunner.world.getSystem('PickingSystem').partitioner = partitioner;
+ * @param {Object} [settings]
+ * @param {number} [settings.margin=0.1] How much to grow the bounds of the leaves, as a fraction of their size. Entities only get reinserted into the tree once they move outside their grown bounds
+ */
+function BvhPartitioner(settings) {
+	settings = settings || {};
+
+	/**
+	 * @type {number}
+	 */
+	this.margin = settings.margin !== undefined ? settings.margin : 0.1;
+
+	this._root = null;
+	this._leaves = new Map();
+
+	// entities that are never culled; either having cullMode 'Never' or no world bound yet
+	this._uncullable = new Set();
+
+	this._visibleList = [];
+	this._stack = [];
+	this._filter = new Set();
+}
+
+/**
+ * Starts tracking an entity.
+ * @param {Entity} entity
+ */
+BvhPartitioner.prototype.added = function (entity) {
+	if (this._leaves.has(entity)) {
+		return;
+	}
+	var leaf = new BvhNode();
+	leaf.entity = entity;
+	this._leaves.set(entity, leaf);
+	this.updated(entity);
+};
+
+/**
+ * Stops tracking an entity.
+ * @param {Entity} entity
+ */
+BvhPartitioner.prototype.removed = function (entity) {
+	var leaf = this._leaves.get(entity);
+	if (!leaf) {
+		return;
+	}
+	if (this._uncullable.has(entity)) {
+		this._uncullable.delete(entity);
+	} else {
+		this._removeLeaf(leaf);
+	}
+	this._leaves.delete(entity);
+	entity.isVisible = false;
+};
+
+/**
+ * Moves an entity in the tree after its world bound or cull mode changed. Called by the {@link BoundingUpdateSystem}.
+ * @param {Entity} entity
+ */
+BvhPartitioner.prototype.updated = function (entity) {
+	var leaf = this._leaves.get(entity);
+	if (!leaf) {
+		return;
+	}
+
+	var meshRendererComponent = entity.meshRendererComponent;
+	var bound = meshRendererComponent ? meshRendererComponent.worldBound : null;
+	var inTree = !this._uncullable.has(entity) && (leaf.parent !== null || this._root === leaf);
+
+	if (!bound || meshRendererComponent.cullMode === 'Never') {
+		if (inTree) {
+			this._removeLeaf(leaf);
+		}
+		this._uncullable.add(entity);
+		return;
+	}
+
+	if (bound instanceof BoundingBox) {
+		tmpMin.setDirect(bound.center.x - bound.xExtent, bound.center.y - bound.yExtent, bound.center.z - bound.zExtent);
+		tmpMax.setDirect(bound.center.x + bound.xExtent, bound.center.y + bound.yExtent, bound.center.z + bound.zExtent);
+	} else if (bound instanceof BoundingSphere) {
+		tmpMin.set(bound.center).subDirect(bound.radius, bound.radius, bound.radius);
+		tmpMax.set(bound.center).addDirect(bound.radius, bound.radius, bound.radius);
+	} else {
+		if (inTree) {
+			this._removeLeaf(leaf);
+		}
+		this._uncullable.add(entity);
+		return;
+	}
+
+	if (inTree) {
+		if (leaf.contains(tmpMin, tmpMax)) {
+			return;
+		}
+		this._removeLeaf(leaf);
+	}
+	this._uncullable.delete(entity);
+
+	var marginX = (tmpMax.x - tmpMin.x) * this.margin;
+	var marginY = (tmpMax.y - tmpMin.y) * this.margin;
+	var marginZ = (tmpMax.z - tmpMin.z) * this.margin;
+	leaf.min.set(tmpMin).subDirect(marginX, marginY, marginZ);
+	leaf.max.set(tmpMax).addDirect(marginX, marginY, marginZ);
+	leaf.updateBox();
+
+	this._insertLeaf(leaf);
+};
+
+/**
+ * Fills the render list with the entities that are inside the frustum of the camera, nearest subtrees first.
+ * Entities given to process are expected to be the entities the partitioner tracks or a subset of them;
+ * untracked entities are picked up when there are more of them than the partitioner knows about.
+ * @param {Camera} camera
+ * @param {Array<Entity>} entities
+ * @param {Array<Entity>} renderList
+ */
+BvhPartitioner.prototype.process = function (camera, entities, renderList) {
+	if (entities.length > this._leaves.size) {
+		for (var i = 0; i < entities.length; i++) {
+			this.added(entities[i]);
+		}
+	}
+
+	var filter = null;
+	if (entities.length !== this._leaves.size) {
+		filter = this._filter;
+		filter.clear();
+		for (var i = 0; i < entities.length; i++) {
+			filter.add(entities[i]);
+		}
+	}
+
+	var visibleList = this._visibleList;
+	for (var i = 0; i < visibleList.length; i++) {
+		visibleList[i].isVisible = false;
+	}
+	visibleList.length = 0;
+
+	this._uncullable.forEach(function (entity) {
+		this._addVisible(entity, filter);
+	}, this);
+
+	var stack = this._stack;
+	if (this._root) {
+		stack.push(this._root);
+	}
+
+	var eye = camera.translation;
+	while (stack.length > 0) {
+		var node = stack.pop();
+		var result = camera.contains(node.box);
+
+		if (result === Camera.Outside) {
+			continue;
+		}
+
+		if (node.isLeaf()) {
+			if (result === Camera.Inside || camera.contains(node.entity.meshRendererComponent.worldBound) !== Camera.Outside) {
+				this._addVisible(node.entity, filter);
+			}
+		} else if (result === Camera.Inside) {
+			this._addSubtree(node, filter, eye);
+		} else {
+			// the nearest child is pushed last to be visited first
+			if (node.left.box.center.distanceSquared(eye) < node.right.box.center.distanceSquared(eye)) {
+				stack.push(node.right, node.left);
+			} else {
+				stack.push(node.left, node.right);
+			}
+		}
+	}
+
+	for (var i = 0; i < visibleList.length; i++) {
+		renderList[i] = visibleList[i];
+	}
+	renderList.length = visibleList.length;
+};
+
+BvhPartitioner.prototype._addSubtree = function (root, filter, eye) {
+	var stack = [root];
+	while (stack.length > 0) {
+		var node = stack.pop();
+		if (node.isLeaf()) {
+			this._addVisible(node.entity, filter);
+		} else if (node.left.box.center.distanceSquared(eye) < node.right.box.center.distanceSquared(eye)) {
+			stack.push(node.right, node.left);
+		} else {
+			stack.push(node.left, node.right);
+		}
+	}
+};
+
+BvhPartitioner.prototype._addVisible = function (entity, filter) {
+	if (filter && !filter.has(entity)) {
+		return;
+	}
+	if (entity.skip || entity.meshRendererComponent.hidden) {
+		return;
+	}
+	entity.isVisible = true;
+	this._visibleList.push(entity);
+};
+
+/**
+ * Collects the tracked entities whose world bound is hit by a ray. The entities are not sorted.
+ * @param {Ray} ray
+ * @param {Array<Entity>} [store]
+ * @returns {Array<Entity>}
+ */
+BvhPartitioner.prototype.raycast = function (ray, store) {
+	store = store || [];
+
+	this._uncullable.forEach(function (entity) {
+		var bound = entity.meshRendererComponent.worldBound;
+		if (bound && bound.intersectsRay(ray)) {
+			store.push(entity);
+		}
+	});
+
+	if (!this._root) {
+		return store;
+	}
+
+	var stack = [this._root];
+	while (stack.length > 0) {
+		var node = stack.pop();
+		if (!intersectsRay(node, ray)) {
+			continue;
+		}
+		if (node.isLeaf()) {
+			if (node.entity.meshRendererComponent.worldBound.intersectsRay(ray)) {
+				store.push(node.entity);
+			}
+		} else {
+			stack.push(node.left, node.right);
+		}
+	}
+
+	return store;
+};
+
+BvhPartitioner.prototype._insertLeaf = function (leaf) {
+	if (this._root === null) {
+		this._root = leaf;
+		leaf.parent = null;
+		return;
+	}
+
+	// find the sibling that grows the total surface area the least
+	var sibling = this._root;
+	while (!sibling.isLeaf()) {
+		var siblingArea = area(sibling.min, sibling.max);
+		var combinedArea = unionArea(sibling, leaf);
+
+		var cost = 2 * combinedArea;
+		var inheritanceCost = 2 * (combinedArea - siblingArea);
+
+		var costLeft = this._descendCost(sibling.left, leaf, inheritanceCost);
+		var costRight = this._descendCost(sibling.right, leaf, inheritanceCost);
+
+		if (cost < costLeft && cost < costRight) {
+			break;
+		}
+		sibling = costLeft < costRight ? sibling.left : sibling.right;
+	}
+
+	var oldParent = sibling.parent;
+	var newParent = new BvhNode();
+	newParent.parent = oldParent;
+	newParent.height = sibling.height + 1;
+	newParent.setUnion(sibling, leaf);
+
+	if (oldParent) {
+		if (oldParent.left === sibling) {
+			oldParent.left = newParent;
+		} else {
+			oldParent.right = newParent;
+		}
+	} else {
+		this._root = newParent;
+	}
+	newParent.left = sibling;
+	newParent.right = leaf;
+	sibling.parent = newParent;
+	leaf.parent = newParent;
+
+	this._refit(newParent);
+};
+
+BvhPartitioner.prototype._descendCost = function (node, leaf, inheritanceCost) {
+	if (node.isLeaf()) {
+		return unionArea(node, leaf) + inheritanceCost;
+	}
+	return unionArea(node, leaf) - area(node.min, node.max) + inheritanceCost;
+};
+
+BvhPartitioner.prototype._removeLeaf = function (leaf) {
+	if (leaf === this._root) {
+		this._root = null;
+		return;
+	}
+
+	var parent = leaf.parent;
+	var grandParent = parent.parent;
+	var sibling = parent.left === leaf ? parent.right : parent.left;
+	leaf.parent = null;
+
+	if (grandParent) {
+		if (grandParent.left === parent) {
+			grandParent.left = sibling;
+		} else {
+			grandParent.right = sibling;
+		}
+		sibling.parent = grandParent;
+		this._refit(grandParent);
+	} else {
+		this._root = sibling;
+		sibling.parent = null;
+	}
+};
+
+BvhPartitioner.prototype._refit = function (node) {
+	while (node) {
+		node = this._balance(node);
+		node.height = 1 + Math.max(node.left.height, node.right.height);
+		node.setUnion(node.left, node.right);
+		node = node.parent;
+	}
+};
+
+BvhPartitioner.prototype._replaceChild = function (parent, oldChild, newChild) {
+	if (parent) {
+		if (parent.left === oldChild) {
+			parent.left = newChild;
+		} else {
+			parent.right = newChild;
+		}
+	} else {
+		this._root = newChild;
+	}
+};
+
+// rotates the taller child up if the subtree is out of balance, returns the new subtree root
+BvhPartitioner.prototype._balance = function (a) {
+	if (a.isLeaf() || a.height < 2) {
+		return a;
+	}
+
+	var b = a.left;
+	var c = a.right;
+	var balance = c.height - b.height;
+
+	if (balance > 1) {
+		var f = c.left;
+		var g = c.right;
+
+		c.left = a;
+		c.parent = a.parent;
+		a.parent = c;
+		this._replaceChild(c.parent, a, c);
+
+		if (f.height > g.height) {
+			c.right = f;
+			a.right = g;
+			g.parent = a;
+			a.setUnion(b, g);
+			c.setUnion(a, f);
+			a.height = 1 + Math.max(b.height, g.height);
+			c.height = 1 + Math.max(a.height, f.height);
+		} else {
+			c.right = g;
+			a.right = f;
+			f.parent = a;
+			a.setUnion(b, f);
+			c.setUnion(a, g);
+			a.height = 1 + Math.max(b.height, f.height);
+			c.height = 1 + Math.max(a.height, g.height);
+		}
+		return c;
+	}
+
+	if (balance < -1) {
+		var d = b.left;
+		var e = b.right;
+
+		b.left = a;
+		b.parent = a.parent;
+		a.parent = b;
+		this._replaceChild(b.parent, a, b);
+
+		if (d.height > e.height) {
+			b.right = d;
+			a.left = e;
+			e.parent = a;
+			a.setUnion(c, e);
+			b.setUnion(a, d);
+			a.height = 1 + Math.max(c.height, e.height);
+			b.height = 1 + Math.max(a.height, d.height);
+		} else {
+			b.right = e;
+			a.left = d;
+			d.parent = a;
+			a.setUnion(c, d);
+			b.setUnion(a, e);
+			a.height = 1 + Math.max(c.height, d.height);
+			b.height = 1 + Math.max(a.height, e.height);
+		}
+		return b;
+	}
+
+	return a;
+};
+
+module.exports = BvhPartitioner;
@@ -72,6 +72,13 @@ function Camera(fov, aspect, near, far) {
 	this.modelViewProjection = new Matrix4();
 	this.modelViewProjectionInverse = new Matrix4();
 
+	/**
+	 * Sub-pixel offset of the projection in normalized device coordinates, set with setJitter.
+	 * @type {Vector2}
+	 */
+	this.jitter = new Vector2();
+	this.unjitteredProjection = new Matrix4();
+
 	//! AT: unused?
 	this._planeState = 0;
 	this._clipPlane = new Vector4();
@@ -275,6 +282,7 @@ Camera.prototype.copy = function (source) {
 	this._frustumFar = source._frustumFar;
 
 	this.projectionMode = source.projectionMode;
+	this.jitter.set(source.jitter);
 
 	this.onFrustumChange();
 	this.onFrameChange();
@@ -535,6 +543,34 @@ Camera.prototype.updateProjectionMatrix = function () {
 		d[15] = 0.0;
 
 	}
+
+	this.unjitteredProjection.copy(this.projection);
+
+	// Shifts the image in normalized device coordinates, whatever the depth
+	if (this.projectionMode === Camera.Parallel) {
+		d[12] += this.jitter.x;
+		d[13] += this.jitter.y;
+	} else if (this.projectionMode === Camera.Perspective) {
+		d[8] -= this.jitter.x;
+		d[9] -= this.jitter.y;
+	}
+};
+
+/**
+ * Offsets the projection by a fraction of a pixel, for temporal antialiasing. The offset is kept until it is set again.
+ * @param {number} x Offset in normalized device coordinates, 2 / width for one pixel
+ * @param {number} y Offset in normalized device coordinates, 2 / height for one pixel
+ */
+Camera.prototype.setJitter = function (x, y) {
+	if (this.jitter.x === x && this.jitter.y === y) {
+		return;
+	}
+
+	this.jitter.setDirect(x, y);
+
+	this._updatePMatrix = true;
+	this._updateMVPMatrix = true;
+	this._updateInverseMVPMatrix = true;
 };
 
 /**
@@ -794,6 +830,14 @@ Camera.prototype.getProjectionMatrix = function () {
 	return this.projection;
 };
 
+/**
+ * @returns {Matrix4} The projection matrix without the jitter.
+ */
+Camera.prototype.getUnjitteredProjectionMatrix = function () {
+	this.checkProjection();
+	return this.unjitteredProjection;
+};
+
 /**
  * @returns {Matrix4} The modelViewProjection matrix.
  */
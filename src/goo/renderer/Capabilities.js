@@ -7,6 +7,8 @@
  * @property {Object} TextureFloatLinear Linear filtering of floating point textures, OES_texture_float_linear
  * @property {Object} TextureHalfFloat 16-bit floating point textures, OES_texture_half_float
  * @property {Object} TextureHalfFloatLinear Linear filtering of 16-bit floating point textures, OES_texture_half_float_linear
+ * @property {Object} ColorBufferFloat Rendering into floating point textures, WEBGL_color_buffer_float
+ * @property {Object} ColorBufferHalfFloat Rendering into 16-bit floating point textures, EXT_color_buffer_half_float
  * @property {Object} StandardDerivatives Enabled dFdx/dFdy/fwidth in fragment shaders, OES_standard_derivatives
  * @property {Object} TextureFilterAnisotropic Anisotropic filtering of textures, EXT_texture_filter_anisotropic
  * @property {Object} DepthTexture Depth textures, WEBGL_depth_texture
@@ -19,6 +21,8 @@
  * @property {Object} DrawBuffers Multiple rendertargets, WEBGL_draw_buffers
 
  * Properties
+ * @property {boolean} renderToFloat Floating point textures can be rendered into
+ * @property {boolean} renderToHalfFloat 16-bit floating point textures can be rendered into
  * @property {number} maxTexureSize Maximum 2D texture size
  * @property {number} maxCubemapSize Maximum cubemap size
  * @property {number} maxRenderbufferSize Maximum renderbuffer size
@@ -45,6 +49,30 @@
  */
 function Capabilities() {}
 
+/**
+ * Checks if textures of a type can be rendered into, by attaching one to a framebuffer.
+ * @private
+ * @param {WebGLRenderingContext} context
+ * @param {number} type
+ * @returns {boolean}
+ */
+function isRenderable(context, type) {
+	var texture = context.createTexture();
+	context.bindTexture(context.TEXTURE_2D, texture);
+	context.texImage2D(context.TEXTURE_2D, 0, context.RGBA, 1, 1, 0, context.RGBA, type, null);
+
+	var framebuffer = context.createFramebuffer();
+	context.bindFramebuffer(context.FRAMEBUFFER, framebuffer);
+	context.framebufferTexture2D(context.FRAMEBUFFER, context.COLOR_ATTACHMENT0, context.TEXTURE_2D, texture, 0);
+	var complete = context.checkFramebufferStatus(context.FRAMEBUFFER) === context.FRAMEBUFFER_COMPLETE;
+
+	context.bindFramebuffer(context.FRAMEBUFFER, null);
+	context.bindTexture(context.TEXTURE_2D, null);
+	context.deleteFramebuffer(framebuffer);
+	context.deleteTexture(texture);
+	return complete;
+}
+
 /**
  * Initialize capabilities from rendering context.
  * @param {WebGLRenderingContext} context WebGLRenderingContext
@@ -58,6 +86,8 @@ Capabilities.init = function (context) {
 	Capabilities.TextureFloatLinear = context.getExtension('OES_texture_float_linear');
 	Capabilities.TextureHalfFloat = context.getExtension('OES_texture_half_float');
 	Capabilities.TextureHalfFloatLinear = context.getExtension('OES_texture_half_float_linear');
+	Capabilities.ColorBufferFloat = context.getExtension('WEBGL_color_buffer_float');
+	Capabilities.ColorBufferHalfFloat = context.getExtension('EXT_color_buffer_half_float');
 	Capabilities.StandardDerivatives = context.getExtension('OES_standard_derivatives');
 	Capabilities.TextureFilterAnisotropic = context.getExtension('EXT_texture_filter_anisotropic')
 									|| context.getExtension('MOZ_EXT_texture_filter_anisotropic')
@@ -76,6 +106,12 @@ Capabilities.init = function (context) {
 	Capabilities.DrawBuffers = context.getExtension('WEBGL_draw_buffers');
 	// end verify
 
+	// Float textures can be sampled without being renderable, and some browsers render into them without the color buffer extensions
+	Capabilities.renderToFloat = !!Capabilities.TextureFloat &&
+		(!!Capabilities.ColorBufferFloat || isRenderable(context, context.FLOAT));
+	Capabilities.renderToHalfFloat = !!Capabilities.TextureHalfFloat &&
+		(!!Capabilities.ColorBufferHalfFloat || isRenderable(context, Capabilities.TextureHalfFloat.HALF_FLOAT_OES));
+
 	// Parameters
 	Capabilities.maxTexureSize = context.getParameter(context.MAX_TEXTURE_SIZE);
 	Capabilities.maxCubemapSize = context.getParameter(context.MAX_CUBE_MAP_TEXTURE_SIZE);
@@ -0,0 +1,188 @@
+var BufferData = require('../renderer/BufferData');
+var RenderQueue = require('../renderer/RenderQueue');
+var ShaderBuilder = require('../renderer/shaders/ShaderBuilder');
+var Transform = require('../math/Transform');
+
+/**
+ * Groups entities of a render list that share the same MeshData and Material into instanced renderables.
+ * Each group is drawn with a single hardware instanced draw call, with the world transforms of its
+ * entities uploaded as a per-instance attribute. Used by the {@link RenderSystem} when instancing is enabled.
+ * <br>Only opaque, non-skinned and non-morphed entities with a single material whose shader supports instancing are batched;
+ * everything else is left untouched. Passes rendering the list with an override material draw the entities of a batch one by one.
+ */
+function InstanceBatcher() {
+	/** Minimum number of entities sharing mesh and material for them to be batched together
+	 * @type {number}
+	 * @default
+	 */
+	this.minInstanceCount = 2;
+
+	// meshData -> material -> batch
+	this._batches = new Map();
+}
+
+function createBatch(meshData, material) {
+	return {
+		meshData: meshData,
+		materials: [material],
+		transform: Transform.IDENTITY,
+		meshRendererComponent: null,
+		instanceEntities: [],
+		instanceCount: 0,
+		instanceData: null
+	};
+}
+
+/**
+ * Checks if an entity of a render list can be drawn as part of an instanced batch
+ * @param {Entity} entity
+ * @returns {boolean}
+ */
+InstanceBatcher.prototype.isBatchable = function (entity) {
+	var meshRendererComponent = entity.meshRendererComponent;
+	var meshDataComponent = entity.meshDataComponent;
+	if (!meshRendererComponent || !meshDataComponent || !entity.transformComponent) {
+		return false;
+	}
+
+	var materials = meshRendererComponent.materials;
+	if (materials.length !== 1 || !meshDataComponent.meshData) {
+		return false;
+	}
+
+	var processors = materials[0].shader.processors;
+	if (!processors || processors.indexOf(ShaderBuilder.instancing.processor) === -1) {
+		return false;
+	}
+
+	return !meshDataComponent.currentPose &&
+		!meshDataComponent.morphWeights &&
+		!entity.particleComponent &&
+		!entity.isSkybox &&
+		!materials[0].dualTransparency &&
+		materials[0].getRenderQueue() < RenderQueue.TRANSPARENT;
+};
+
+InstanceBatcher.prototype._getBatch = function (meshData, material) {
+	var materialBatches = this._batches.get(meshData);
+	if (!materialBatches) {
+		materialBatches = new Map();
+		this._batches.set(meshData, materialBatches);
+	}
+
+	var batch = materialBatches.get(material);
+	if (!batch) {
+		batch = createBatch(meshData, material);
+		materialBatches.set(material, batch);
+	}
+	return batch;
+};
+
+InstanceBatcher.prototype._updateInstanceData = function (batch) {
+	var entities = batch.instanceEntities;
+	var size = entities.length * 16;
+
+	if (!batch.instanceData || batch.instanceData.data.length < size) {
+		var capacity = 16;
+		while (capacity < size) {
+			capacity *= 2;
+		}
+		if (batch.instanceData) {
+			batch.instanceData.data = new Float32Array(capacity);
+		} else {
+			batch.instanceData = new BufferData(new Float32Array(capacity), 'ArrayBuffer');
+			batch.instanceData.setDataUsage('DynamicDraw');
+		}
+	}
+
+	var data = batch.instanceData.data;
+	for (var i = 0; i < entities.length; i++) {
+		data.set(entities[i].transformComponent.sync().worldTransform.matrix.data, i * 16);
+	}
+
+	batch.instanceCount = entities.length;
+	batch.instanceData.setDataNeedsRefresh();
+};
+
+/**
+ * Replaces batchable entities of a render list with instanced renderables, in place.
+ * Entities that do not end up in a batch of at least minInstanceCount entities are kept as they are.
+ * @param {Array<Entity>} renderList Culled list of entities to render
+ * @param {Renderer} [renderer] Used to release the buffers of batches that are no longer in use
+ */
+InstanceBatcher.prototype.process = function (renderList, renderer) {
+	this._batches.forEach(function (materialBatches) {
+		materialBatches.forEach(function (batch) {
+			batch.instanceEntities.length = 0;
+			batch.meshRendererComponent = null;
+		});
+	});
+
+	var index = 0;
+	for (var i = 0; i < renderList.length; i++) {
+		var entity = renderList[i];
+		if (!this.isBatchable(entity)) {
+			renderList[index++] = entity;
+			continue;
+		}
+
+		var meshRendererComponent = entity.meshRendererComponent;
+		var batch = this._getBatch(entity.meshDataComponent.meshData, meshRendererComponent.materials[0]);
+
+		// the first entity decides the shadow receiving of the whole batch
+		if (batch.meshRendererComponent === null) {
+			batch.meshRendererComponent = meshRendererComponent;
+		} else if (batch.meshRendererComponent.receiveShadows !== meshRendererComponent.receiveShadows) {
+			renderList[index++] = entity;
+			continue;
+		}
+
+		batch.instanceEntities.push(entity);
+	}
+
+	this._batches.forEach(function (materialBatches, meshData) {
+		materialBatches.forEach(function (batch, material) {
+			var entities = batch.instanceEntities;
+			if (entities.length === 0) {
+				if (batch.instanceData && renderer) {
+					batch.instanceData.destroy(renderer.context);
+				}
+				materialBatches.delete(material);
+				return;
+			}
+
+			if (entities.length < this.minInstanceCount) {
+				for (var i = 0; i < entities.length; i++) {
+					renderList[index++] = entities[i];
+				}
+				batch.instanceCount = 0;
+				return;
+			}
+
+			this._updateInstanceData(batch);
+			renderList[index++] = batch;
+		}, this);
+
+		if (materialBatches.size === 0) {
+			this._batches.delete(meshData);
+		}
+	}, this);
+
+	renderList.length = index;
+};
+
+/**
+ * Invalidates the buffers of all batches, after a lost context
+ * @param {Renderer} renderer
+ */
+InstanceBatcher.prototype.invalidateHandles = function (renderer) {
+	this._batches.forEach(function (materialBatches) {
+		materialBatches.forEach(function (batch) {
+			if (batch.instanceData) {
+				renderer.invalidateBuffer(batch.instanceData);
+			}
+		});
+	});
+};
+
+module.exports = InstanceBatcher;
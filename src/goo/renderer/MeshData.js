@@ -73,6 +73,11 @@ function MeshData(attributeMap, vertexCount, indexCount) {
 	this.flatMeshData = undefined;
 	this.__boundingTree = undefined;
 
+	/** Names of the morph targets of this mesh, in the order of their MORPH_POSITION attributes.
+	 * @type {Array<string>}
+	 */
+	this.morphTargetNames = [];
+
 	this._attributeDataNeedsRefresh = false;
 	this._dirtyAttributeNames = new Set();
 
@@ -173,6 +178,49 @@ MeshData.prototype.rebuildIndexData = function (indexCount) {
 	}
 };
 
+/**
+ * Adds a morph target (blend shape) to the mesh. The target is stored as per vertex position (and optionally normal) offsets
+ * from the base mesh, in the attributes MORPH_POSITION[n] and MORPH_NORMAL[n]. The vertex data is rebuilt, keeping the old data.
+ * @param {string} name Name of the morph target
+ * @param {Array<number>} positions Position offsets, 3 per vertex
+ * @param {Array<number>} [normals] Normal offsets, 3 per vertex
+ * @returns {number} The index of the added morph target
+ * @example
+ * var index = meshData.addMorphTarget('smile', smileOffsets);
+ * entity.meshDataComponent.setMorphWeight('smile', 0.5);
+ */
+MeshData.prototype.addMorphTarget = function (name, positions, normals) {
+	var index = this.morphTargetNames.length;
+	if (index >= MeshData.MAX_MORPH_TARGETS) {
+		throw new Error('Mesh already has the maximum of ' + MeshData.MAX_MORPH_TARGETS + ' morph targets');
+	}
+
+	var positionName = MeshData.MORPH_POSITION + index;
+	var normalName = MeshData.MORPH_NORMAL + index;
+	this.attributeMap[positionName] = MeshData.createAttribute(3, 'Float');
+	if (normals) {
+		this.attributeMap[normalName] = MeshData.createAttribute(3, 'Float');
+	}
+	this.rebuildData(this.vertexCount, this.indexCount, true);
+
+	this.getAttributeBuffer(positionName).set(positions);
+	if (normals) {
+		this.getAttributeBuffer(normalName).set(normals);
+	}
+
+	this.morphTargetNames.push(name);
+	return index;
+};
+
+/**
+ * Returns the index of a morph target
+ * @param {string} name Name of the morph target
+ * @returns {number} The index, or -1 if the mesh has no morph target with that name
+ */
+MeshData.prototype.getMorphTargetIndex = function (name) {
+	return this.morphTargetNames.indexOf(name);
+};
+
 /**
  * Requests a refresh on the vertex data
  */
@@ -892,6 +940,8 @@ MeshData.prototype.clone = function () {
 
 	clone.weightsPerVertex = this.weightsPerVertex; // a number
 
+	clone.morphTargetNames = this.morphTargetNames.slice(0);
+
 	return clone;
 };
 
@@ -945,6 +995,24 @@ MeshData.WEIGHTS = 'WEIGHTS';
  * @readonly
  */
 MeshData.JOINTIDS = 'JOINTIDS';
+/**
+ * Prefix of the morph target position attributes, followed by the index of the target (MORPH_POSITION0, MORPH_POSITION1, ...)
+ * @type {string}
+ * @readonly
+ */
+MeshData.MORPH_POSITION = 'MORPH_POSITION';
+/**
+ * Prefix of the morph target normal attributes, followed by the index of the target (MORPH_NORMAL0, MORPH_NORMAL1, ...)
+ * @type {string}
+ * @readonly
+ */
+MeshData.MORPH_NORMAL = 'MORPH_NORMAL';
+/**
+ * Maximum number of morph targets that can be blended at the same time
+ * @type {number}
+ * @readonly
+ */
+MeshData.MAX_MORPH_TARGETS = 4;
 
 /**
  * Creates a definition for a vertex attribute
@@ -0,0 +1,247 @@
+var Renderer = require('../renderer/Renderer');
+var RendererRecord = require('../renderer/RendererRecord');
+var RenderQueue = require('../renderer/RenderQueue');
+var RenderStats = require('../renderer/RenderStats');
+var RenderInfo = require('../renderer/RenderInfo');
+var Vector4 = require('../math/Vector4');
+var SystemBus = require('../entities/SystemBus');
+
+var STUB_METHOD = function () {};
+
+/**
+ * A renderer that draws nothing. It needs neither a canvas nor a WebGL context, so a world with all its systems can be run in Node.
+ * Render lists are still sorted by the RenderQueue and every would-be draw call is counted in the RenderStats.
+ * Used by GooRunner when created with <code>headless: true</code>.
+ * @param {Object} [parameters]
+ * @param {number} [parameters.width=500] Width of the pretend canvas
+ * @param {number} [parameters.height=500] Height of the pretend canvas
+ */
+function NullRenderer(parameters) {
+	parameters = parameters || {};
+
+	/** @type {null} */
+	this.domElement = null;
+	/** @type {null} */
+	this.context = null;
+
+	/** @type {RendererRecord} */
+	this.rendererRecord = new RendererRecord();
+
+	/** @type {number} */
+	this.width = parameters.width || 500;
+	/** @type {number} */
+	this.height = parameters.height || 500;
+
+	/**
+	 * Current clear color of the scene. Use .setClearColor() to set it.
+	 * @type {Vector4}
+	 * @readonly
+	 */
+	this.clearColor = new Vector4(0.3, 0.3, 0.3, 1.0);
+
+	/** @type {number} */
+	this.viewportX = 0;
+	/** @type {number} */
+	this.viewportY = 0;
+	/** @type {number} */
+	this.viewportWidth = 0;
+	/** @type {number} */
+	this.viewportHeight = 0;
+	/**
+	 * @type {number}
+	 * @readonly
+	 */
+	this.devicePixelRatio = 1;
+
+	this.renderQueue = new RenderQueue();
+
+	this.info = new RenderStats();
+
+	/**
+	 * The renderables of the last render call, in the order the RenderQueue sorted them
+	 * @type {Array}
+	 */
+	this.renderedList = [];
+
+	this.shadowHandler = null;
+	this.hardwarePicking = null;
+
+	this._renderInfo = new RenderInfo();
+
+	SystemBus.addListener('goo.setClearColor', function (color) {
+		this.setClearColor.apply(this, color);
+	}.bind(this));
+
+	SystemBus.addListener('goo.setCurrentCamera', function (newCam) {
+		Renderer.mainCamera = newCam.camera;
+		this.checkResize(Renderer.mainCamera);
+	}.bind(this));
+
+	// @ifdef DEBUG
+	Object.seal(this);
+	// @endif
+}
+
+/**
+ * Sets the viewport to the size of the pretend canvas and updates the aspect of the camera, like Renderer.checkResize.
+ * @param {Camera} [camera]
+ */
+NullRenderer.prototype.checkResize = function (camera) {
+	var width = this.width;
+	var height = this.height;
+
+	if (camera && camera.lockedRatio === true && camera.aspect) {
+		width = height * camera.aspect;
+	}
+
+	this.setSize(width, height);
+
+	var aspect = width / height;
+	if (camera && camera.lockedRatio === false && camera.aspect !== aspect) {
+		camera.aspect = aspect;
+		if (camera.projectionMode === 0) {
+			camera.setFrustumPerspective();
+		} else {
+			camera.setFrustum();
+		}
+		camera.onFrameChange();
+	}
+};
+
+/**
+ * @param {number} width
+ * @param {number} height
+ */
+NullRenderer.prototype.setSize = function (width, height) {
+	if (width !== this.viewportWidth || height !== this.viewportHeight) {
+		this.setViewport(0, 0, width, height);
+	}
+};
+
+/**
+ * @param {number} [x]
+ * @param {number} [y]
+ * @param {number} [width]
+ * @param {number} [height]
+ */
+NullRenderer.prototype.setViewport = function (x, y, width, height) {
+	this.viewportX = x !== undefined ? x : 0;
+	this.viewportY = y !== undefined ? y : 0;
+	this.viewportWidth = width !== undefined ? width : this.width;
+	this.viewportHeight = height !== undefined ? height : this.height;
+
+	SystemBus.emit('goo.viewportResize', {
+		x: this.viewportX,
+		y: this.viewportY,
+		width: this.viewportWidth,
+		height: this.viewportHeight
+	}, true);
+};
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} a
+ */
+NullRenderer.prototype.setClearColor = function (r, g, b, a) {
+	this.clearColor.setDirect(r, g, b, a);
+};
+
+/**
+ * Sorts the render list and counts the draw calls, vertices and indices it would take to render it.
+ * Takes the same arguments as Renderer.render.
+ * @param {Array<Entity>} renderList
+ * @param {Camera} camera
+ * @param {Array<Light>} lights
+ * @param {RenderTarget} [renderTarget=null]
+ * @param {(boolean|Object)} [clear=false]
+ * @param {Array<Material>} [overrideMaterials]
+ */
+NullRenderer.prototype.render = function (renderList, camera, lights, renderTarget, clear, overrideMaterials) {
+	if (!camera) {
+		return;
+	} else if (Renderer.mainCamera === null && !renderTarget) {
+		Renderer.mainCamera = camera;
+	}
+
+	var overrideCount = 0;
+	if (overrideMaterials) {
+		overrideCount = overrideMaterials instanceof Array ? overrideMaterials.length : 1;
+	}
+
+	this.renderedList.length = 0;
+	if (Array.isArray(renderList)) {
+		this.renderQueue.sort(renderList, camera);
+
+		for (var i = 0; i < renderList.length; i++) {
+			var renderable = renderList[i];
+			if (renderable.isSkybox && overrideCount > 0) {
+				continue;
+			}
+			this._countRenderable(renderable, overrideCount);
+		}
+	} else {
+		this._countRenderable(renderList, overrideCount);
+	}
+};
+
+NullRenderer.prototype._countRenderable = function (renderable, overrideCount) {
+	var renderInfo = this._renderInfo;
+	renderInfo.fill(renderable);
+	this.renderedList.push(renderable);
+
+	// skipped by Renderer.renderMesh as well
+	var meshData = renderInfo.meshData;
+	if (!meshData || meshData.vertexData === null || meshData.vertexData.data.byteLength === 0 ||
+		meshData.indexData !== null && meshData.indexData.data.byteLength === 0) {
+		return;
+	}
+
+	var count = overrideCount > 0 ? overrideCount : renderInfo.materials.length;
+	var instanceCount = renderInfo.instanceCount > 0 ? renderInfo.instanceCount : 1;
+	this.info.calls += count;
+	this.info.vertices += meshData.vertexCount * instanceCount * count;
+	this.info.indices += meshData.indexCount * instanceCount * count;
+};
+
+/**
+ * Pretends to render for picking; nothing is ever picked.
+ */
+NullRenderer.prototype.renderToPick = STUB_METHOD;
+
+/**
+ * Sets the id of the pickingStore to -1 since nothing is rendered to pick from.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {Object} pickingStore
+ */
+NullRenderer.prototype.pick = function (clientX, clientY, pickingStore) {
+	pickingStore.id = -1;
+	pickingStore.depth = 0;
+};
+
+NullRenderer.prototype.setRenderTarget = STUB_METHOD;
+NullRenderer.prototype.clear = STUB_METHOD;
+NullRenderer.prototype.flush = STUB_METHOD;
+NullRenderer.prototype.finish = STUB_METHOD;
+NullRenderer.prototype.updateShadows = STUB_METHOD;
+NullRenderer.prototype.updateRenderTargetMipmap = STUB_METHOD;
+NullRenderer.prototype.setShadowType = STUB_METHOD;
+NullRenderer.prototype.clearShaderCache = STUB_METHOD;
+
+NullRenderer.prototype.invalidateBuffer = STUB_METHOD;
+NullRenderer.prototype.invalidateMeshData = STUB_METHOD;
+NullRenderer.prototype.invalidateTexture = STUB_METHOD;
+NullRenderer.prototype.invalidateShader = STUB_METHOD;
+NullRenderer.prototype.invalidateMaterial = STUB_METHOD;
+NullRenderer.prototype.invalidateRenderTarget = STUB_METHOD;
+NullRenderer.prototype.invalidateComposer = STUB_METHOD;
+NullRenderer.prototype.invalidatePicking = STUB_METHOD;
+
+NullRenderer.prototype._deallocateMeshData = STUB_METHOD;
+NullRenderer.prototype._deallocateTexture = STUB_METHOD;
+NullRenderer.prototype._deallocateRenderTarget = STUB_METHOD;
+NullRenderer.prototype._deallocateShader = STUB_METHOD;
+
+module.exports = NullRenderer;
@@ -30,6 +30,9 @@ RenderInfo.prototype.reset = function () {
 	this.material = null;
 	this.transform = null;
 	this.currentPose = null;
+	this.morphWeights = null;
+	this.instanceData = null;
+	this.instanceCount = 0;
 };
 
 /**
@@ -46,6 +49,9 @@ RenderInfo.prototype.fill = function (renderable) {
 		} else {
 			this.currentPose = null;
 		}
+		this.morphWeights = renderable.meshDataComponent.morphWeights;
+		this.instanceData = null;
+		this.instanceCount = 0;
 	} else {
 		this.meshData = renderable.meshData;
 		this.materials = renderable.materials;
@@ -55,6 +61,9 @@ RenderInfo.prototype.fill = function (renderable) {
 		} else {
 			this.currentPose = null;
 		}
+		this.morphWeights = renderable.morphWeights || null;
+		this.instanceData = renderable.instanceData || null;
+		this.instanceCount = renderable.instanceCount || 0;
 	}
 
 	this.renderable = renderable;
@@ -169,6 +169,9 @@ function Renderer(parameters) {
 
 	this._definesIndices = [];
 
+	// first attribute location of the per-instance matrix bound for the current draw call, or -1
+	this._instanceAttributeIndex = -1;
+
 	// @ifdef DEBUG
 	Object.seal(this);
 	// @endif
@@ -470,6 +473,66 @@ Renderer.prototype.bindData = function (bufferData) {
 	}
 };
 
+/**
+ * Binds the given per-instance BufferData, creating its buffer if none exist.
+ * The whole buffer is respecified when refreshed, as instance data may grow between frames.
+ *
+ * @param {BufferData} bufferData BufferData to bind.
+ */
+Renderer.prototype.bindInstanceData = function (bufferData) {
+	var context = this.context;
+
+	if (bufferData.glBuffer === null) {
+		bufferData.glBuffer = context.createBuffer();
+		this.rendererRecord.invalidateBuffer(bufferData.target);
+		bufferData._dataNeedsRefresh = true;
+	}
+
+	this.setBoundBuffer(bufferData.glBuffer, bufferData.target);
+	if (bufferData._dataNeedsRefresh) {
+		context.bufferData(RendererUtils.getGLBufferTarget(context, bufferData.target), bufferData.data, RendererUtils.getGLBufferUsage(context, bufferData._dataUsage));
+		bufferData._dataNeedsRefresh = false;
+	}
+};
+
+/**
+ * Sets up the per-instance world matrix attribute of an instanced renderable.
+ * The vertex data of the mesh is bound again afterwards so that other attributes keep pointing to it.
+ *
+ * @param {number} attribIndex First location of the mat4 attribute.
+ * @param {RenderInfo} renderInfo Holds the instance data and the mesh data being rendered.
+ */
+Renderer.prototype.bindInstanceMatrixAttribute = function (attribIndex, renderInfo) {
+	var context = this.context;
+	var instancedArrays = Capabilities.InstancedArrays;
+
+	this.bindInstanceData(renderInfo.instanceData);
+	for (var i = 0; i < 4; i++) {
+		context.vertexAttribPointer(attribIndex + i, 4, context.FLOAT, false, 64, i * 16);
+		instancedArrays.vertexAttribDivisorANGLE(attribIndex + i, 1);
+	}
+	this._instanceAttributeIndex = attribIndex;
+
+	this.bindData(renderInfo.meshData.vertexData);
+};
+
+/**
+ * Resets the attribute divisors set up by bindInstanceMatrixAttribute, so that non-instanced draw calls can use those locations.
+ * @private
+ */
+Renderer.prototype._resetInstanceAttributes = function () {
+	if (this._instanceAttributeIndex === -1) {
+		return;
+	}
+
+	var attributeCache = this.rendererRecord.attributeCache;
+	for (var i = 0; i < 4; i++) {
+		Capabilities.InstancedArrays.vertexAttribDivisorANGLE(this._instanceAttributeIndex + i, 0);
+		attributeCache[this._instanceAttributeIndex + i] = undefined;
+	}
+	this._instanceAttributeIndex = -1;
+};
+
 /**
  * Update the data buffer of an attribute at it's offset location.
  *
@@ -490,9 +553,10 @@ Renderer.prototype.setShadowType = function (type) {
  * @param {SimplePartitioner} partitioner The partitioner used to determine what gets to be shadowed.
  * @param {Array<Entity>} entities Array of all the entities to cast shadows.
  * @param {Array<Light>} lights Array of all the lights to cast shadows for.
+ * @param {Camera} [camera] The view camera, that cascaded shadow maps are fitted to.
  */
-Renderer.prototype.updateShadows = function (partitioner, entities, lights) {
-	this.shadowHandler.checkShadowRendering(this, partitioner, entities, lights);
+Renderer.prototype.updateShadows = function (partitioner, entities, lights, camera) {
+	this.shadowHandler.checkShadowRendering(this, partitioner, entities, lights, camera);
 };
 
 /**
@@ -910,6 +974,14 @@ Renderer.prototype.render = function (renderList, camera, lights, renderTarget,
 			if (renderable.isSkybox && this._overrideMaterials.length > 0) {
 				continue;
 			}
+			// override materials can not draw instances, so the entities of an instanced renderable are drawn one by one
+			if (renderable.instanceEntities && this._overrideMaterials.length > 0) {
+				for (var j = 0; j < renderable.instanceEntities.length; j++) {
+					renderInfo.fill(renderable.instanceEntities[j]);
+					this.renderMesh(renderInfo);
+				}
+				continue;
+			}
 			renderInfo.fill(renderable);
 			this.renderMesh(renderInfo);
 		}
@@ -1065,34 +1137,43 @@ Renderer.prototype.renderMeshMaterial = function (materialIndex, materials, flat
 
 	this.updateLineAndPointSettings(material);
 
-	this._checkDualTransparency(material, meshData);
+	var instanceCount = renderInfo.instanceCount;
+
+	this._checkDualTransparency(material, meshData, instanceCount);
 
 	this.updateCulling(material);
-	this._drawBuffers(meshData);
+	this._drawBuffers(meshData, instanceCount);
+	this._resetInstanceAttributes();
 
 	this.info.calls++;
-	this.info.vertices += meshData.vertexCount;
-	this.info.indices += meshData.indexCount;
+	if (instanceCount > 0) {
+		this.info.vertices += meshData.vertexCount * instanceCount;
+		this.info.indices += meshData.indexCount * instanceCount;
+	} else {
+		this.info.vertices += meshData.vertexCount;
+		this.info.indices += meshData.indexCount;
+	}
 };
 
 /**
  * Draw the buffers of a MeshData using the specified index-mode.
  *
  * @param {MeshData} meshData
+ * @param {number} [instanceCount] Number of instances to draw with hardware instancing.
  */
-Renderer.prototype._drawBuffers = function (meshData) {
+Renderer.prototype._drawBuffers = function (meshData, instanceCount) {
 	if (meshData.getIndexBuffer() !== null) {
 		this.bindData(meshData.getIndexData());
 		if (meshData.getIndexLengths() !== null) {
-			this.drawElementsVBO(meshData.getIndexBuffer(), meshData.getIndexModes(), meshData.getIndexLengths());
+			this.drawElementsVBO(meshData.getIndexBuffer(), meshData.getIndexModes(), meshData.getIndexLengths(), instanceCount);
 		} else {
-			this.drawElementsVBO(meshData.getIndexBuffer(), meshData.getIndexModes(), [meshData.getIndexBuffer().length]);
+			this.drawElementsVBO(meshData.getIndexBuffer(), meshData.getIndexModes(), [meshData.getIndexBuffer().length], instanceCount);
 		}
 	} else {
 		if (meshData.getIndexLengths() !== null) {
-			this.drawArraysVBO(meshData.getIndexModes(), meshData.getIndexLengths());
+			this.drawArraysVBO(meshData.getIndexModes(), meshData.getIndexLengths(), instanceCount);
 		} else {
-			this.drawArraysVBO(meshData.getIndexModes(), [meshData.vertexCount]);
+			this.drawArraysVBO(meshData.getIndexModes(), [meshData.vertexCount], instanceCount);
 		}
 	}
 };
@@ -1215,15 +1296,16 @@ Renderer.prototype.findOrCacheMaterialShader = function (material, renderInfo) {
  *
  * @param {Material} material
  * @param {MeshData} meshData
+ * @param {number} [instanceCount]
  */
-Renderer.prototype._checkDualTransparency = function (material, meshData) {
+Renderer.prototype._checkDualTransparency = function (material, meshData, instanceCount) {
 	if (material.dualTransparency) {
 		var savedCullFace = material.cullState.cullFace;
 		var newCullFace = savedCullFace === 'Front' ? 'Back' : 'Front';
 		material.cullState.cullFace = newCullFace;
 
 		this.updateCulling(material);
-		this._drawBuffers(meshData);
+		this._drawBuffers(meshData, instanceCount);
 
 		material.cullState.cullFace = savedCullFace;
 	}
@@ -1274,8 +1356,9 @@ Renderer.prototype.readTexturePixels = function (texture, x, y, width, height, s
  * @param {BufferData} indices The index-buffer.
  * @param {Array<string>} indexModes Array of index-modes.
  * @param {Array<number>} indexLengths Array of index-counts per index-mode.
+ * @param {number} [instanceCount] Number of instances to draw, using ANGLE_instanced_arrays.
  */
-Renderer.prototype.drawElementsVBO = function (indices, indexModes, indexLengths) {
+Renderer.prototype.drawElementsVBO = function (indices, indexModes, indexLengths, instanceCount) {
 	var offset = 0;
 	var indexModeCounter = 0;
 	var type = indices.type = indices.type || RendererUtils.getGLArrayType(this.context, indices);
@@ -1285,7 +1368,11 @@ Renderer.prototype.drawElementsVBO = function (indices, indexModes, indexLengths
 		var count = indexLengths[i];
 		var glIndexMode = RendererUtils.getGLIndexMode(this.context, indexModes[indexModeCounter]);
 
-		this.context.drawElements(glIndexMode, count, type, offset * byteSize);
+		if (instanceCount > 0) {
+			Capabilities.InstancedArrays.drawElementsInstancedANGLE(glIndexMode, count, type, offset * byteSize, instanceCount);
+		} else {
+			this.context.drawElements(glIndexMode, count, type, offset * byteSize);
+		}
 
 		offset += count;
 
@@ -1300,8 +1387,9 @@ Renderer.prototype.drawElementsVBO = function (indices, indexModes, indexLengths
  *
  * @param {Array<string>} indexModes Array of index-modes.
  * @param {Array<number>} indexLengths Array of index-counts per index-mode.
+ * @param {number} [instanceCount] Number of instances to draw, using ANGLE_instanced_arrays.
  */
-Renderer.prototype.drawArraysVBO = function (indexModes, indexLengths) {
+Renderer.prototype.drawArraysVBO = function (indexModes, indexLengths, instanceCount) {
 	var offset = 0;
 	var indexModeCounter = 0;
 
@@ -1309,7 +1397,11 @@ Renderer.prototype.drawArraysVBO = function (indexModes, indexLengths) {
 		var count = indexLengths[i];
 		var glIndexMode = RendererUtils.getGLIndexMode(this.context, indexModes[indexModeCounter]);
 
-		this.context.drawArrays(glIndexMode, offset, count);
+		if (instanceCount > 0) {
+			Capabilities.InstancedArrays.drawArraysInstancedANGLE(glIndexMode, offset, count, instanceCount);
+		} else {
+			this.context.drawArrays(glIndexMode, offset, count);
+		}
 
 		offset += count;
 
@@ -1379,7 +1471,15 @@ Renderer.prototype.renderToPick = function (renderList, camera, clear, skipUpdat
 		var pickList = [];
 		for (var i = 0, l = renderList.length; i < l; i++) {
 			var entity = renderList[i];
-			if (!entity.meshRendererComponent || entity.meshRendererComponent.isPickable) {
+			if (entity.instanceEntities) {
+				// instanced renderables are picked entity by entity
+				for (var j = 0; j < entity.instanceEntities.length; j++) {
+					var instanceEntity = entity.instanceEntities[j];
+					if (instanceEntity.meshRendererComponent.isPickable) {
+						pickList.push(instanceEntity);
+					}
+				}
+			} else if (!entity.meshRendererComponent || entity.meshRendererComponent.isPickable) {
 				pickList.push(entity);
 			}
 		}
@@ -219,6 +219,25 @@ Shader.prototype.bindAttributes = function (record, renderer, attributeMap) {
 	}
 };
 
+/**
+ * Binds the per-instance world matrices of an instanced renderable to the instanceWorldMatrix attribute, if the shader has one
+ * @param {RendererRecord} record
+ * @param {Renderer} renderer
+ * @param {RenderInfo} shaderInfo
+ */
+Shader.prototype.bindInstanceAttributes = function (record, renderer, shaderInfo) {
+	var attributeIndex = this.attributeIndexMapping[Shader.INSTANCE_WORLD_MATRIX];
+	if (attributeIndex === undefined) {
+		return;
+	}
+
+	// a mat4 attribute occupies four consecutive locations, one per column
+	for (var i = 0; i < 4; i++) {
+		record.newlyEnabledAttributes[attributeIndex + i] = true;
+	}
+	renderer.bindInstanceMatrixAttribute(attributeIndex, shaderInfo);
+};
+
 Shader.prototype.disableAttributes = function (record, context) {
 	for (var i = 0, l = record.enabledAttributes.length; i < l; i++) {
 		var enabled = record.enabledAttributes[i];
@@ -264,6 +283,9 @@ Shader.prototype.apply = function (shaderInfo, renderer) {
 
 	// Bind attributes
 	this.bindAttributes(record, renderer, shaderInfo.meshData.attributeMap);
+	if (shaderInfo.instanceData) {
+		this.bindInstanceAttributes(record, renderer, shaderInfo);
+	}
 
 	this.disableAttributes(record, context);
 	this.enableAttributes(record, context);
@@ -774,6 +796,7 @@ Shader.VIEW_INVERSE_MATRIX = 'VIEW_INVERSE_MATRIX';
 Shader.VIEW_PROJECTION_MATRIX = 'VIEW_PROJECTION_MATRIX';
 Shader.VIEW_PROJECTION_INVERSE_MATRIX = 'VIEW_PROJECTION_INVERSE_MATRIX';
 Shader.WORLD_MATRIX = 'WORLD_MATRIX';
+Shader.INSTANCE_WORLD_MATRIX = 'instanceWorldMatrix';
 Shader.NORMAL_MATRIX = 'NORMAL_MATRIX';
 for (var i = 0; i < 8; i++) {
 	Shader['LIGHT' + i] = 'LIGHT' + i;
@@ -800,6 +823,7 @@ Shader.LIGHT_MAP = 'LIGHT_MAP';
 Shader.SHADOW_MAP = 'SHADOW_MAP';
 Shader.AO_MAP = 'AO_MAP';
 Shader.EMISSIVE_MAP = 'EMISSIVE_MAP';
+Shader.METALLIC_ROUGHNESS_MAP = 'METALLIC_ROUGHNESS_MAP';
 Shader.DEPTH_MAP = 'DEPTH_MAP';
 
 Shader.DEFAULT_AMBIENT = [0.1, 0.1, 0.1, 1.0];
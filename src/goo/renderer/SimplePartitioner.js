@@ -14,6 +14,10 @@ SimplePartitioner.prototype.removed = function () {
 	// needed for things like quadtrees etc
 };
 
+SimplePartitioner.prototype.updated = function () {
+	// needed for things like quadtrees etc
+};
+
 SimplePartitioner.prototype.process = function (camera, entities, renderList) {
 	var index = 0;
 	for (var i = 0; i < entities.length; i++) {
@@ -166,7 +166,7 @@ TextureCreator.prototype.loadTextureCube = function (imageDataArray, settings) {
 	var promises = imageDataArray.map(function (queryImage) {
 		return PromiseUtils.createPromise(function (resolve, reject) {
 			if (typeof queryImage === 'string') {
-				this.ajax._loadImage(queryImage).then(resolve, reject);
+				this.ajax.loadImage(queryImage).then(resolve, reject);
 			} else {
 				resolve(queryImage);
 			}
@@ -1,4 +1,5 @@
 var Vector3 = require('../../math/Vector3');
+var MathUtils = require('../../math/MathUtils');
 var Light = require('../../renderer/light/Light');
 
 /**
@@ -36,6 +37,18 @@ DirectionalLight.prototype.update = function (transform) {
 	this.direction.applyPostVector(transform.matrix);
 };
 
+/**
+ * Returns the number of cascaded shadow maps of the light, from its shadowSettings.cascadeCount.
+ * Lights that do not cast shadows or that have a light cookie do not use cascades.
+ * @returns {number}
+ */
+DirectionalLight.prototype.getShadowCascadeCount = function () {
+	if (!this.shadowCaster || this.lightCookie) {
+		return 1;
+	}
+	return MathUtils.clamp(Math.round(this.shadowSettings.cascadeCount) || 1, 1, Light.MAX_SHADOW_CASCADES);
+};
+
 DirectionalLight.prototype.copy = function (source) {
 	Light.prototype.copy.call(this, source);
 
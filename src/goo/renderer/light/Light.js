@@ -52,6 +52,9 @@ function Light(color) {
 	 * @property {Vector3} upVector UNIT_Y
 	 * @property {number} darkness Shadow contribution
 	 * @property {string} shadowType Possible values 'VSM' = Variance Shadow Maps, 'PCF' = Percentage Closer Filtering, 'Basic' = No filtering
+	 * @property {number} cascadeCount Number of cascaded shadow maps (1 to 4), used by directional lights without a light cookie.
+	 * With cascades, shadows are fitted to the view camera and rendered up to far units from it
+	 * @property {number} cascadeSplitLambda Blends the cascade split distances between an even (0) and a logarithmic (1) distribution
 	 */
 	this.shadowSettings = {
 		size: 100,
@@ -61,7 +64,9 @@ function Light(color) {
 		upVector: Vector3.UNIT_Y.clone(),
 		darkness: 1.0,
 		shadowOffset: -0.001,
-		shadowType: 'VSM'
+		shadowType: 'VSM',
+		cascadeCount: 1,
+		cascadeSplitLambda: 0.75
 	};
 	//! AT: please extract this in its own class
 
@@ -69,18 +74,40 @@ function Light(color) {
 	this.changedColor = false;
 }
 
+/**
+ * Maximum number of cascaded shadow maps per light
+ * @type {number}
+ */
+Light.MAX_SHADOW_CASCADES = 4;
+
+/**
+ * Returns the number of shadow maps the shadows of the light are split into:
+ * the cascades of directional lights, or the hemispheres of point lights.
+ * @returns {number}
+ */
+Light.prototype.getShadowCascadeCount = function () {
+	return 1;
+};
+
+// the first cascade is the shadow data itself
+function getShadowCascades(shadowData) {
+	return shadowData.cascades || [shadowData];
+}
+
 Light.prototype.destroy = function (renderer) {
 	var shadowSettings = this.shadowSettings;
 	if (shadowSettings.shadowData) {
-		if (shadowSettings.shadowData.shadowTarget) {
-			shadowSettings.shadowData.shadowTarget.destroy(renderer.context);
-		}
-		if (shadowSettings.shadowData.shadowTargetDown) {
-			shadowSettings.shadowData.shadowTargetDown.destroy(renderer.context);
-		}
-		if (shadowSettings.shadowData.shadowBlurred) {
-			shadowSettings.shadowData.shadowBlurred.destroy(renderer.context);
-		}
+		getShadowCascades(shadowSettings.shadowData).forEach(function (cascade) {
+			if (cascade.shadowTarget) {
+				cascade.shadowTarget.destroy(renderer.context);
+			}
+			if (cascade.shadowTargetDown) {
+				cascade.shadowTargetDown.destroy(renderer.context);
+			}
+			if (cascade.shadowBlurred) {
+				cascade.shadowBlurred.destroy(renderer.context);
+			}
+		});
 	}
 	delete shadowSettings.shadowData;
 };
@@ -89,15 +116,17 @@ Light.prototype.destroy = function (renderer) {
 Light.prototype.invalidateHandles = function (renderer) {
 	var shadowSettings = this.shadowSettings;
 	if (shadowSettings.shadowData) {
-		if (shadowSettings.shadowData.shadowTarget) {
-			renderer.invalidateRenderTarget(shadowSettings.shadowData.shadowTarget);
-		}
-		if (shadowSettings.shadowData.shadowTargetDown) {
-			renderer.invalidateRenderTarget(shadowSettings.shadowData.shadowTargetDown);
-		}
-		if (shadowSettings.shadowData.shadowBlurred) {
-			renderer.invalidateRenderTarget(shadowSettings.shadowData.shadowBlurred);
-		}
+		getShadowCascades(shadowSettings.shadowData).forEach(function (cascade) {
+			if (cascade.shadowTarget) {
+				renderer.invalidateRenderTarget(cascade.shadowTarget);
+			}
+			if (cascade.shadowTargetDown) {
+				renderer.invalidateRenderTarget(cascade.shadowTargetDown);
+			}
+			if (cascade.shadowBlurred) {
+				renderer.invalidateRenderTarget(cascade.shadowBlurred);
+			}
+		});
 	}
 };
 
@@ -120,6 +149,8 @@ Light.prototype.copy = function (source) {
 	this.shadowSettings.upVector.copy(source.shadowSettings.upVector);
 	this.shadowSettings.darkness = source.shadowSettings.darkness;
 	this.shadowSettings.shadowType = source.shadowSettings.shadowType;
+	this.shadowSettings.cascadeCount = source.shadowSettings.cascadeCount;
+	this.shadowSettings.cascadeSplitLambda = source.shadowSettings.cascadeSplitLambda;
 
 	// since these are brand new they should probably be whatever value they are set in the constructor
 	this.changedProperties = source.changedProperties; // false?
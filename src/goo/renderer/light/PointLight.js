@@ -1,7 +1,7 @@
 var Light = require('../../renderer/light/Light');
 
 /**
- * A omni-directional source of light. So far it has the same effect as {@link Light}<br>
+ * A omni-directional source of light. Shadow casting point lights render their shadows into two paraboloid shadow maps, one per hemisphere<br>
  * @example-link http://code.gooengine.com/latest/visual-test/goo/renderer/light/Lights-vtest.html Working example
  * @extends Light
  * @param {Vector3} [color=(1, 1, 1)] The color of the light
@@ -32,6 +32,14 @@ PointLight.prototype.update = function (transform) {
 	transform.matrix.getTranslation(this.translation);
 };
 
+/**
+ * Point lights that cast shadows use two shadow maps, for the hemispheres below and above the light
+ * @returns {number}
+ */
+PointLight.prototype.getShadowCascadeCount = function () {
+	return this.shadowCaster ? 2 : 1;
+};
+
 PointLight.prototype.copy = function (source) {
 	Light.prototype.copy.call(this, source);
 
@@ -2,13 +2,26 @@ var RenderTarget = require('../../renderer/pass/RenderTarget');
 var FullscreenPass = require('../../renderer/pass/FullscreenPass');
 var ShaderLib = require('../../renderer/shaders/ShaderLib');
 var SystemBus = require('../../entities/SystemBus');
+var Capabilities = require('../../renderer/Capabilities');
 
 /**
  * Post processing handler
  * @param {RenderTarget} renderTarget Data to wrap
+ * @param {Object} [options]
+ * @param {boolean} [options.hdr=false] Render into half float buffers so colors brighter than 1 survive until a {@link ToneMappingPass}
  * @property {RenderTarget} renderTarget Data to wrap
  */
-function Composer(renderTarget) {
+function Composer(renderTarget, options) {
+	options = options || {};
+
+	/**
+	 * Whether the composer renders into half float buffers. Falls back to 8-bit buffers when half float textures are not supported.
+	 * Use setHdr to change it.
+	 * @type {boolean}
+	 * @readonly
+	 */
+	this.hdr = !!options.hdr;
+
 	this._passedWriteBuffer = !!renderTarget;
 	this.writeBuffer = renderTarget;
 
@@ -16,7 +29,7 @@ function Composer(renderTarget) {
 		var width = window.innerWidth || 1;
 		var height = window.innerHeight || 1;
 
-		this.writeBuffer = new RenderTarget(width, height);
+		this.writeBuffer = this._createBuffer(width, height);
 	}
 
 	this.readBuffer = this.writeBuffer.clone();
@@ -63,6 +76,45 @@ Composer.prototype.deallocateBuffers = function (renderer) {
 	this.copyPass.destroy(renderer);
 };
 
+/**
+ * Creates a buffer of the type the composer renders into.
+ * @private
+ * @param {number} width
+ * @param {number} height
+ * @returns {RenderTarget}
+ */
+Composer.prototype._createBuffer = function (width, height) {
+	if (!this.hdr || !Capabilities.renderToHalfFloat) {
+		return new RenderTarget(width, height);
+	}
+
+	var linear = !!Capabilities.TextureHalfFloatLinear;
+	return new RenderTarget(width, height, {
+		type: 'HalfFloat',
+		magFilter: linear ? 'Bilinear' : 'NearestNeighbor',
+		minFilter: linear ? 'BilinearNoMipMaps' : 'NearestNeighborNoMipMaps'
+	});
+};
+
+/**
+ * Turns rendering into half float buffers on or off. The buffers are recreated before the next render.
+ * @param {boolean} hdr
+ */
+Composer.prototype.setHdr = function (hdr) {
+	hdr = !!hdr;
+	if (hdr === this.hdr) {
+		return;
+	}
+	this.hdr = hdr;
+	this.size = this.size || {
+		x: 0,
+		y: 0,
+		width: this.writeBuffer.width,
+		height: this.writeBuffer.height
+	};
+	this.dirty = true;
+};
+
 Composer.prototype.swapBuffers = function () {
 	var tmp = this.readBuffer;
 	this.readBuffer = this.writeBuffer;
@@ -102,7 +154,7 @@ Composer.prototype.updateSize = function (renderer) {
 
 	this.deallocateBuffers(renderer);
 
-	this.writeBuffer = new RenderTarget(width, height);
+	this.writeBuffer = this._createBuffer(width, height);
 	this.readBuffer = this.writeBuffer.clone();
 
 	for (var i = 0, il = this.passes.length; i < il; i++) {
@@ -55,4 +55,18 @@ RenderPass.prototype.render = function (renderer, writeBuffer, readBuffer, delta
 	}
 };
 
+/**
+ * Renders into a target of its own, cleared to the clear color of the pass. The clear color of the renderer is restored after.
+ * @param {Renderer} renderer
+ * @param {RenderTarget} target
+ * @param {number} delta
+ * @param {Camera} camera
+ */
+RenderPass.prototype.renderWithClearColor = function (renderer, target, delta, camera) {
+	this.oldClearColor.copy(renderer.clearColor);
+	renderer.setClearColor(this.clearColor.x, this.clearColor.y, this.clearColor.z, this.clearColor.w);
+	this.render(renderer, null, target, delta, false, camera);
+	renderer.setClearColor(this.oldClearColor.x, this.oldClearColor.y, this.oldClearColor.z, this.oldClearColor.w);
+};
+
 module.exports = RenderPass;
\ No newline at end of file
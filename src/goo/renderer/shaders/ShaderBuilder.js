@@ -1,6 +1,7 @@
 var MeshData = require('../../renderer/MeshData');
 var PointLight = require('../../renderer/light/PointLight');
 var DirectionalLight = require('../../renderer/light/DirectionalLight');
+var Light = require('../../renderer/light/Light');
 var SpotLight = require('../../renderer/light/SpotLight');
 var Texture = require('../../renderer/Texture');
 var MathUtils = require('../../math/MathUtils');
@@ -26,6 +27,15 @@ ShaderBuilder.USE_FOG = false;
 ShaderBuilder.FOG_SETTINGS = [0, 10000];
 ShaderBuilder.FOG_COLOR = [1, 1, 1];
 
+/**
+ * Light in linear space; textures, material and light colors, fog and environment colors are converted from sRGB before they are lit and the
+ * output is left unclamped and without gamma, to be tone mapped by a {@link ToneMappingPass} into an HDR {@link Composer}, which then applies the gamma.
+ * Only the uber and pbr shaders and the {@link Skybox} light in linear space. Other shaders, like the simple, textured, particle and line
+ * shaders, keep writing sRGB colors and come out too bright after the gamma.
+ * @type {boolean}
+ */
+ShaderBuilder.LINEAR_SPACE = false;
+
 ShaderBuilder.uber = {
 	defines: function (shader, attributeMap) {
 		var keys = Object.keys(attributeMap);
@@ -118,7 +128,11 @@ ShaderBuilder.uber = {
 				attribute === 'LIGHT' ||
 				attribute === 'COOKIE' ||
 				attribute === 'TRANSPARENCY_BW' ||
-				attribute === 'WRAP_AROUND') {
+				attribute === 'WRAP_AROUND' ||
+				attribute === 'INSTANCED' ||
+				attribute === 'MORPH_TARGET_COUNT' ||
+				attribute === 'MORPH_NORMALS' ||
+				attribute === 'LINEAR_SPACE') {
 				continue;
 			}
 			if (!attributeMap[attribute] && !textureMaps[attribute]) {
@@ -164,6 +178,14 @@ ShaderBuilder.uber = {
 		}
 	},
 
+	linearSpace: function (shader) {
+		if (ShaderBuilder.LINEAR_SPACE) {
+			shader.setDefine('LINEAR_SPACE', true);
+		} else {
+			shader.removeDefine('LINEAR_SPACE');
+		}
+	},
+
 	normalTangents: function (shader, shaderInfo) {
 		//TODO: Hacky?
 		if (shader.hasDefine('NORMAL') && shader.hasDefine('NORMAL_MAP') && !shaderInfo.meshData.getAttributeBuffer(MeshData.TANGENT)) {
@@ -196,14 +218,76 @@ ShaderBuilder.uber = {
 		ShaderBuilder.uber.opacity(shader, material);
 
 		ShaderBuilder.uber.fog(shader);
+		ShaderBuilder.uber.linearSpace(shader);
 
 		shader.setDefine('SKIP_SPECULAR', true);
 		ShaderBuilder.uber.normalTangents(shader, shaderInfo);
 	}
 };
 
+ShaderBuilder.pbr = {
+	/**
+	 * Picks the prefiltered cube map used for image based lighting; the material's own PREFILTERED_CUBE
+	 * texture if it has one, otherwise the skybox.
+	 */
+	environment: function (shader, material) {
+		var cube = material.getTexture('PREFILTERED_CUBE') || ShaderBuilder.SKYBOX;
+		if (cube) {
+			material.setTexture('ENVIRONMENT_CUBE', cube);
+			shader.uniforms.environmentMipLevels = ShaderBuilder.pbr.mipLevels(cube);
+		} else if (material.getTexture('ENVIRONMENT_CUBE')) {
+			material.removeTexture('ENVIRONMENT_CUBE');
+		}
+	},
+
+	/**
+	 * Number of mip levels below the top level of a texture; the roughest prefiltered level is sampled at this bias.
+	 * @param {Texture} texture
+	 * @returns {number}
+	 */
+	mipLevels: function (texture) {
+		var image = texture.image;
+		var size = image && (image.width || (image.data && image.data[0] && image.data[0].width));
+		return size ? Math.floor(Math.log(size) / Math.LN2) : 0;
+	},
+
+	processor: function (shader, shaderInfo) {
+		if (!shaderInfo.meshData) {
+			return;
+		}
+		var attributeMap = shaderInfo.meshData.attributeMap;
+		var material = shaderInfo.material;
+		var textureMaps = material._textureMaps;
+
+		ShaderBuilder.pbr.environment(shader, material);
+
+		ShaderBuilder.uber.defines(shader, attributeMap);
+		ShaderBuilder.uber.txMaps(shader, textureMaps);
+
+		ShaderBuilder.uber.uniforms(shader, textureMaps);
+		ShaderBuilder.uber.attributes(shader, attributeMap, textureMaps);
+
+		ShaderBuilder.uber.discard(shader, material);
+		ShaderBuilder.uber.opacity(shader, material);
+
+		ShaderBuilder.uber.fog(shader);
+		ShaderBuilder.uber.linearSpace(shader);
+
+		ShaderBuilder.uber.normalTangents(shader, shaderInfo);
+	}
+};
+
 var lightDefines = [];
 
+// Light colors are sRGB like the material colors, but the intensity scales the linear color
+function setLightColor(light, uniform, index) {
+	var color = light.color;
+	var exponent = ShaderBuilder.LINEAR_SPACE ? 2.2 : 1;
+	uniform[index + 0] = Math.pow(color.x, exponent) * light.intensity;
+	uniform[index + 1] = Math.pow(color.y, exponent) * light.intensity;
+	uniform[index + 2] = Math.pow(color.z, exponent) * light.intensity;
+}
+
 ShaderBuilder.light = {
 	pointLight: function (light, uniforms, pointIndex) {
 		var uniform = uniforms.pointLights = uniforms.pointLights || [];
@@ -216,10 +300,7 @@ ShaderBuilder.light = {
 		uniform[ind + 2] = translation.z;
 		uniform[ind + 3] = light.range;
 
-		var color = light.color;
-		uniform[ind + 4] = color.x * light.intensity;
-		uniform[ind + 5] = color.y * light.intensity;
-		uniform[ind + 6] = color.z * light.intensity;
+		setLightColor(light, uniform, ind + 4);
 		uniform[ind + 7] = light.specularIntensity;
 
 		lightDefines.push('P');
@@ -235,10 +316,7 @@ ShaderBuilder.light = {
 		uniform[ind + 2] = direction.z;
 		uniform[ind + 3] = 0; // padding
 
-		var color = light.color;
-		uniform[ind + 4] = color.x * light.intensity;
-		uniform[ind + 5] = color.y * light.intensity;
-		uniform[ind + 6] = color.z * light.intensity;
+		setLightColor(light, uniform, ind + 4);
 		uniform[ind + 7] = light.specularIntensity;
 
 		lightDefines.push('D');
@@ -252,9 +330,7 @@ ShaderBuilder.light = {
 		uniform[ind + 2] = light.translation.z;
 		uniform[ind + 3] = light.range;
 
-		uniform[ind + 4] = light.color.x * light.intensity;
-		uniform[ind + 5] = light.color.y * light.intensity;
-		uniform[ind + 6] = light.color.z * light.intensity;
+		setLightColor(light, uniform, ind + 4);
 		uniform[ind + 7] = light.specularIntensity;
 
 		uniform[ind + 8] = light.direction.x;
@@ -302,6 +378,36 @@ ShaderBuilder.light = {
 				shadowIndex++;
 
 				lightDefines.push('H', light.shadowSettings.shadowType === 'PCF' ? 1 : light.shadowSettings.shadowType === 'VSM' ? 2 : 0);
+
+				var cascades = shadowData.cascades;
+				if (cascades && cascades.length > 1) {
+					var cascadeMatrices = shadowData.cascadeMatrices = shadowData.cascadeMatrices || [];
+					var cascadeData = shadowData.cascadeData = shadowData.cascadeData || [];
+					cascadeMatrices.length = cascades.length * 16;
+					cascadeData.length = cascades.length * 4;
+
+					for (var c = 0; c < cascades.length; c++) {
+						// the hemispheres of point lights are projected in the shader, from light view space
+						var matrix = light instanceof PointLight ? cascades[c].lightCamera.getViewMatrix().data : cascades[c].vpm;
+						for (var j = 0; j < 16; j++) {
+							cascadeMatrices[c * 16 + j] = matrix[j];
+						}
+						var cascadeTranslation = cascades[c].lightCamera.translation;
+						cascadeData[c * 4 + 0] = cascadeTranslation.x;
+						cascadeData[c * 4 + 1] = cascadeTranslation.y;
+						cascadeData[c * 4 + 2] = cascadeTranslation.z;
+						cascadeData[c * 4 + 3] = cascades[c].cameraScale;
+
+						if (c > 0) {
+							uniforms['shadowMaps' + i + '_' + c] = 'SHADOW_MAP' + i + '_' + c;
+							shaderInfo.material.setTexture('SHADOW_MAP' + i + '_' + c, cascades[c].shadowResult);
+						}
+					}
+
+					uniforms['shadowCascadeMatrices' + i] = cascadeMatrices;
+					uniforms['shadowCascades' + i] = cascadeData;
+					lightDefines.push('K', cascades.length);
+				}
 			}
 
 			if (useLightCookie) {
@@ -318,6 +424,102 @@ ShaderBuilder.light = {
 
 		return shadowIndex;
 	},
+	/**
+	 * Returns the fragment shader lines that sample a shadow map into the shadow variable
+	 * @param {Light} light
+	 * @param {number} i Index of the light
+	 * @param {string} shadowMap Name of the shadow map sampler
+	 * @param {string} lightPosition Expression for the position of the light camera, used by VSM
+	 * @param {string} cameraScale Expression for the depth scale of the light camera, used by VSM
+	 * @returns {Array<string>}
+	 */
+	shadowLookup: function (light, i, shadowMap, lightPosition, cameraScale) {
+		if (light.shadowSettings.shadowType === 'PCF') {
+			return [
+				'float xPixelOffset = 1.0 / shadowMapSizes' + i + '.x;',
+				'float yPixelOffset = 1.0 / shadowMapSizes' + i + '.y;',
+				'float shadowRadius = 1.25;',
+
+				'float dx0 = -shadowRadius * xPixelOffset;',
+				'float dy0 = -shadowRadius * yPixelOffset;',
+				'float dx1 = shadowRadius * xPixelOffset;',
+				'float dy1 = shadowRadius * yPixelOffset;',
+
+				'shadow = 1.0 - (',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx0, dy0), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(0.0, dy0), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx1, dy0), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx0, 0.0), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy, depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx1, 0.0), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx0, dy1), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(0.0, dy1), depth.z) +',
+					'texture2DCompare(' + shadowMap + ', depth.xy + vec2(dx1, dy1), depth.z)',
+				') * (shadowDarkness' + i + ' / 9.0);'
+			];
+		} else if (light.shadowSettings.shadowType === 'VSM') {
+			return [
+				'depth.z = length(vWorldPos.xyz - ' + lightPosition + ') * ' + cameraScale + ';',
+				'vec4 texel = texture2D(' + shadowMap + ', depth.xy);',
+				'vec2 moments = vec2(texel.x, texel.y);',
+				'shadow = ChebychevInequality(moments, depth.z);',
+				// 'shadow = VsmFixLightBleed(shadow, 0.5);'
+				'shadow = pow(shadow, shadowDarkness' + i + ' * 8.0);'
+			];
+		} else {
+			return [
+				'shadow = 1.0 - texture2DCompare(' + shadowMap + ', depth.xy, depth.z) * shadowDarkness' + i + ';'
+			];
+		}
+	},
+	/**
+	 * Returns the fragment shader lines that sample the first cascade, from cascade c on, that covers the fragment
+	 * @param {Light} light
+	 * @param {number} i Index of the light
+	 * @param {number} c Index of the cascade
+	 * @param {number} count Number of cascades
+	 * @returns {Array<string>}
+	 */
+	cascadedShadowLookup: function (light, i, c, count) {
+		var shadowMap = c === 0 ? 'shadowMaps' + i : 'shadowMaps' + i + '_' + c;
+		var cascade = 'shadowCascades' + i + '[' + c + ']';
+
+		return [
+			'depth = (ScaleMatrix * shadowCascadeMatrices' + i + '[' + c + '] * vec4(vWorldPos, 1.0)).xyz;',
+			'depth.z += shadowOffset' + i + ';',
+			'if (depth.x >= 0.0 && depth.x <= 1.0 && depth.y >= 0.0 && depth.y <= 1.0 && depth.z <= 1.0) {'
+		].concat(
+			ShaderBuilder.light.shadowLookup(light, i, shadowMap, cascade + '.xyz', cascade + '.w'),
+			'} else {',
+			c + 1 < count ? ShaderBuilder.light.cascadedShadowLookup(light, i, c + 1, count) : 'shadow = 1.0;',
+			'}'
+		);
+	},
+	/**
+	 * Returns the fragment shader lines that sample the paraboloid shadow map of the hemisphere of a point light that the fragment is in
+	 * @param {Light} light
+	 * @param {number} i Index of the light
+	 * @returns {Array<string>}
+	 */
+	paraboloidShadowLookup: function (light, i) {
+		var lines = [
+			'depth.z = length(vWorldPos.xyz - shadowCascades' + i + '[0].xyz) * shadowCascades' + i + '[0].w + shadowOffset' + i + ';',
+			'vec3 paraboloid = normalize((shadowCascadeMatrices' + i + '[0] * vec4(vWorldPos, 1.0)).xyz);',
+			'if (paraboloid.z <= 0.0) {',
+				'depth.xy = paraboloid.xy / (1.0 - paraboloid.z) * 0.5 + 0.5;'
+		];
+		lines.push.apply(lines, ShaderBuilder.light.shadowLookup(light, i, 'shadowMaps' + i, 'shadowCascades' + i + '[0].xyz', 'shadowCascades' + i + '[0].w'));
+		lines.push(
+			'} else {',
+				'paraboloid = normalize((shadowCascadeMatrices' + i + '[1] * vec4(vWorldPos, 1.0)).xyz);',
+				'depth.xy = paraboloid.xy / (1.0 - paraboloid.z) * 0.5 + 0.5;'
+		);
+		lines.push.apply(lines, ShaderBuilder.light.shadowLookup(light, i, 'shadowMaps' + i + '_1', 'shadowCascades' + i + '[1].xyz', 'shadowCascades' + i + '[1].w'));
+		lines.push(
+			'}'
+		);
+		return lines;
+	},
 	processor: function (shader, shaderInfo) {
 		var uniforms = shader.uniforms;
 		uniforms.totalAmbient = uniforms.totalAmbient || [0.1, 0.1, 0.1];
@@ -354,6 +556,10 @@ ShaderBuilder.light = {
 
 					if (light.shadowCaster) {
 						shaderInfo.material.setTexture('SHADOW_MAP' + i, shadowData.shadowResult);
+						var cascades = shadowData.cascades || [];
+						for (var c = 1; c < cascades.length; c++) {
+							shaderInfo.material.setTexture('SHADOW_MAP' + i + '_' + c, cascades[c].shadowResult);
+						}
 					}
 					if (useLightCookie) {
 						shaderInfo.material.setTexture('LIGHT_COOKIE' + i, light.lightCookie);
@@ -361,6 +567,9 @@ ShaderBuilder.light = {
 				} else {
 					shaderInfo.material.removeTexture('SHADOW_MAP' + i);
 					shaderInfo.material.removeTexture('LIGHT_COOKIE' + i);
+					for (var c = 1; c < Light.MAX_SHADOW_CASCADES; c++) {
+						shaderInfo.material.removeTexture('SHADOW_MAP' + i + '_' + c);
+					}
 				}
 			}
 
@@ -421,6 +630,15 @@ ShaderBuilder.light = {
 			'uniform vec4 materialSpecular;',
 			'uniform vec2 wrapSettings;',
 
+			// sRGB colors are converted before lighting when lighting in linear space
+			'vec3 toLinearSpace(vec3 color) {',
+				'#ifdef LINEAR_SPACE',
+					'return pow(color, vec3(2.2));',
+				'#else',
+					'return color;',
+				'#endif',
+			'}',
+
 			// 'float VsmFixLightBleed(in float pMax, in float amount) {',
 			// 	'return clamp((pMax - amount) / (1.0 - amount), 0.0, 1.0);',
 			// '}',
@@ -442,7 +660,13 @@ ShaderBuilder.light = {
 			'#endif',
 
 			'vec3 totalDiffuse = vec3(0.0);',
-			'vec3 totalSpecular = vec3(0.0);'
+			'vec3 totalSpecular = vec3(0.0);',
+
+			// The material colors are sRGB too
+			'vec3 linearDiffuse = toLinearSpace(materialDiffuse.rgb);',
+			'vec3 linearSpecular = toLinearSpace(materialSpecular.rgb);',
+			'vec3 linearEmissive = toLinearSpace(materialEmissive.rgb);',
+			'vec3 linearAmbient = toLinearSpace(totalAmbient);'
 		);
 
 		var lights = shaderInfo.lights;
@@ -499,6 +723,7 @@ ShaderBuilder.light = {
 			directionalIndex = 0;
 			spotIndex = 0;
 			shadowIndex = 0;
+			var hasCascades = false;
 
 			for (var i = 0; i < lights.length; i++) {
 				var light = lights[i];
@@ -509,15 +734,34 @@ ShaderBuilder.light = {
 				);
 
 				var useLightCookie = light.lightCookie instanceof Texture;
+				var cascadeCount = light.getShadowCascadeCount();
 				if (light.shadowCaster || useLightCookie) {
-					prevertex.push(
-						'uniform mat4 shadowLightMatrices' + i + ';',
-						'varying vec4 shadowLightDepths' + i + ';'
-					);
+					if (cascadeCount === 1) {
+						prevertex.push(
+							'uniform mat4 shadowLightMatrices' + i + ';',
+							'varying vec4 shadowLightDepths' + i + ';'
+						);
 
-					vertex.push(
-						'shadowLightDepths' + i + ' = ScaleMatrix * shadowLightMatrices' + i + ' * worldPos;'
-					);
+						vertex.push(
+							'shadowLightDepths' + i + ' = ScaleMatrix * shadowLightMatrices' + i + ' * worldPos;'
+						);
+					} else {
+						if (!hasCascades) {
+							prefragment.push(
+								'const mat4 ScaleMatrix = mat4(0.5, 0.0, 0.0, 0.0, 0.0, 0.5, 0.0, 0.0, 0.0, 0.0, 0.5, 0.0, 0.5, 0.5, 0.5, 1.0);'
+							);
+							hasCascades = true;
+						}
+						prefragment.push(
+							'uniform mat4 shadowCascadeMatrices' + i + '[' + cascadeCount + '];',
+							'uniform vec4 shadowCascades' + i + '[' + cascadeCount + '];'
+						);
+						for (var c = 1; c < cascadeCount; c++) {
+							prefragment.push(
+								'uniform sampler2D shadowMaps' + i + '_' + c + ';'
+							);
+						}
+					}
 
 					if (light.shadowCaster) {
 						prefragment.push(
@@ -544,62 +788,42 @@ ShaderBuilder.light = {
 						);
 					}
 
-					prefragment.push(
-						'varying vec4 shadowLightDepths' + i + ';'
-					);
+					if (cascadeCount === 1) {
+						prefragment.push(
+							'varying vec4 shadowLightDepths' + i + ';'
+						);
 
-					fragment.push(
-						'vec3 depth = shadowLightDepths' + i + '.xyz / shadowLightDepths' + i + '.w;'
-					);
+						fragment.push(
+							'vec3 depth = shadowLightDepths' + i + '.xyz / shadowLightDepths' + i + '.w;'
+						);
+					} else {
+						fragment.push(
+							'vec3 depth;'
+						);
+					}
 
 					if (light.shadowCaster) {
 						shadowIndex++;
 						fragment.push(
-							'#ifdef RECEIVE_SHADOW',
-							'depth.z += shadowOffset' + i + ';',
-							'if (depth.x >= 0.0 && depth.x <= 1.0 && depth.y >= 0.0 && depth.y <= 1.0 && shadowLightDepths' + i + '.z >= 0.0 && depth.z <= 1.0) {'
+							'#ifdef RECEIVE_SHADOW'
 						);
-						if (light.shadowSettings.shadowType === 'PCF') {
+						if (cascadeCount === 1) {
 							fragment.push(
-								'float xPixelOffset = 1.0 / shadowMapSizes' + i + '.x;',
-								'float yPixelOffset = 1.0 / shadowMapSizes' + i + '.y;',
-								'float shadowRadius = 1.25;',
-
-								'float dx0 = -shadowRadius * xPixelOffset;',
-								'float dy0 = -shadowRadius * yPixelOffset;',
-								'float dx1 = shadowRadius * xPixelOffset;',
-								'float dy1 = shadowRadius * yPixelOffset;',
-
-								'shadow = 1.0 - (',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx0, dy0), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(0.0, dy0), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx1, dy0), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx0, 0.0), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy, depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx1, 0.0), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx0, dy1), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(0.0, dy1), depth.z) +',
-									'texture2DCompare(shadowMaps' + i + ', depth.xy + vec2(dx1, dy1), depth.z)',
-								') * (shadowDarkness' + i + ' / 9.0);'
+								'depth.z += shadowOffset' + i + ';',
+								'if (depth.x >= 0.0 && depth.x <= 1.0 && depth.y >= 0.0 && depth.y <= 1.0 && shadowLightDepths' + i + '.z >= 0.0 && depth.z <= 1.0) {'
 							);
-						} else if (light.shadowSettings.shadowType === 'VSM') {
+							fragment.push.apply(fragment, ShaderBuilder.light.shadowLookup(light, i, 'shadowMaps' + i, 'shadowLightPositions' + i, 'cameraScales' + i));
 							fragment.push(
-								'depth.z = length(vWorldPos.xyz - shadowLightPositions' + i + ') * cameraScales' + i + ';',
-								'vec4 texel = texture2D(shadowMaps' + i + ', depth.xy);',
-								'vec2 moments = vec2(texel.x, texel.y);',
-								'shadow = ChebychevInequality(moments, depth.z);',
-								// 'shadow = VsmFixLightBleed(shadow, 0.5);'
-								'shadow = pow(shadow, shadowDarkness' + i + ' * 8.0);'
+								'} else {',
+									'shadow = 1.0;',
+								'}'
 							);
+						} else if (light instanceof PointLight) {
+							fragment.push.apply(fragment, ShaderBuilder.light.paraboloidShadowLookup(light, i));
 						} else {
-							fragment.push(
-								'shadow = 1.0 - texture2DCompare(shadowMaps' + i + ', depth.xy, depth.z) * shadowDarkness' + i + ';'
-							);
+							fragment.push.apply(fragment, ShaderBuilder.light.cascadedShadowLookup(light, i, 0, cascadeCount));
 						}
 						fragment.push(
-							'} else {',
-								'shadow = 1.0;',
-							'}',
 							'shadow = clamp(shadow, 0.0, 1.0);',
 							'#endif'
 						);
@@ -622,18 +846,24 @@ ShaderBuilder.light = {
 						'float pointDiffuseWeightHalf = max(mix(dotProduct, 1.0, wrapSettings.x), 0.0);',
 						'vec3 pointDiffuseWeight = mix(vec3(pointDiffuseWeightFull), vec3(pointDiffuseWeightHalf), wrapSettings.y);',
 
-						'totalDiffuse += materialDiffuse.rgb * pointLightColor' + i + '.rgb * pointDiffuseWeight * lDistance * shadow;',
+						'#ifdef PBR',
+							'vec3 radiance = pointLightColor' + i + '.rgb * pointDiffuseWeightFull * lDistance * shadow;',
+							'totalDiffuse += radiance;',
+							'totalSpecular += radiance * pointLightColor' + i + '.a * specularStrength * pbrSpecular(N, normalizedViewPosition, lVector);',
+						'#else',
+							'totalDiffuse += linearDiffuse * pointLightColor' + i + '.rgb * pointDiffuseWeight * lDistance * shadow;',
 
-						'vec3 pointHalfVector = normalize(lVector + normalizedViewPosition);',
-						'float pointDotNormalHalf = max(dot(N, pointHalfVector), 0.0);',
-						'float pointSpecularWeight = pointLightColor' + i + '.a * specularStrength * max(pow(pointDotNormalHalf, materialSpecular.a), 0.0);',
+							'vec3 pointHalfVector = normalize(lVector + normalizedViewPosition);',
+							'float pointDotNormalHalf = max(dot(N, pointHalfVector), 0.0);',
+							'float pointSpecularWeight = pointLightColor' + i + '.a * specularStrength * max(pow(pointDotNormalHalf, materialSpecular.a), 0.0);',
 
-						'#ifdef PHYSICALLY_BASED_SHADING',
-							'float specularNormalization = (materialSpecular.a + 2.0001 ) / 8.0;',
-							'vec3 schlick = materialSpecular.rgb + vec3(1.0 - materialSpecular.rgb) * pow(1.0 - dot(lVector, pointHalfVector), 5.0);',
-							'totalSpecular += schlick * pointLightColor' + i + '.rgb * pointSpecularWeight * pointDiffuseWeight * lDistance * specularNormalization * shadow;',
-						'#else',
-							'totalSpecular += materialSpecular.rgb * pointLightColor' + i + '.rgb * pointSpecularWeight * pointDiffuseWeight * lDistance * shadow;',
+							'#ifdef PHYSICALLY_BASED_SHADING',
+								'float specularNormalization = (materialSpecular.a + 2.0001 ) / 8.0;',
+								'vec3 schlick = linearSpecular + vec3(1.0 - linearSpecular) * pow(1.0 - dot(lVector, pointHalfVector), 5.0);',
+								'totalSpecular += schlick * pointLightColor' + i + '.rgb * pointSpecularWeight * pointDiffuseWeight * lDistance * specularNormalization * shadow;',
+							'#else',
+								'totalSpecular += linearSpecular * pointLightColor' + i + '.rgb * pointSpecularWeight * pointDiffuseWeight * lDistance * shadow;',
+							'#endif',
 						'#endif'
 					);
 
@@ -661,18 +891,24 @@ ShaderBuilder.light = {
 						);
 					}
 					fragment.push(
-						'totalDiffuse += materialDiffuse.rgb * directionalLightColor' + i + '.rgb * dirDiffuseWeight * shadow * cookie;',
+						'#ifdef PBR',
+							'vec3 radiance = directionalLightColor' + i + '.rgb * dirDiffuseWeightFull * shadow * cookie;',
+							'totalDiffuse += radiance;',
+							'totalSpecular += radiance * directionalLightColor' + i + '.a * specularStrength * pbrSpecular(N, normalizedViewPosition, dirVector);',
+						'#else',
+							'totalDiffuse += linearDiffuse * directionalLightColor' + i + '.rgb * dirDiffuseWeight * shadow * cookie;',
 
-						'vec3 dirHalfVector = normalize(dirVector + normalizedViewPosition);',
-						'float dirDotNormalHalf = max(dot(N, dirHalfVector), 0.0);',
-						'float dirSpecularWeight = directionalLightColor' + i + '.a * specularStrength * max(pow(dirDotNormalHalf, materialSpecular.a), 0.0);',
+							'vec3 dirHalfVector = normalize(dirVector + normalizedViewPosition);',
+							'float dirDotNormalHalf = max(dot(N, dirHalfVector), 0.0);',
+							'float dirSpecularWeight = directionalLightColor' + i + '.a * specularStrength * max(pow(dirDotNormalHalf, materialSpecular.a), 0.0);',
 
-						'#ifdef PHYSICALLY_BASED_SHADING',
-							'float specularNormalization = (materialSpecular.a + 2.0001) / 8.0;',
-							'vec3 schlick = materialSpecular.rgb + vec3(1.0 - materialSpecular.rgb) * pow(1.0 - dot(dirVector, dirHalfVector), 5.0);',
-							'totalSpecular += schlick * directionalLightColor' + i + '.rgb * dirSpecularWeight * dirDiffuseWeight * specularNormalization * shadow * cookie;',
-						'#else',
-							'totalSpecular += materialSpecular.rgb * directionalLightColor' + i + '.rgb * dirSpecularWeight * dirDiffuseWeight * shadow * cookie;',
+							'#ifdef PHYSICALLY_BASED_SHADING',
+								'float specularNormalization = (materialSpecular.a + 2.0001) / 8.0;',
+								'vec3 schlick = linearSpecular + vec3(1.0 - linearSpecular) * pow(1.0 - dot(dirVector, dirHalfVector), 5.0);',
+								'totalSpecular += schlick * directionalLightColor' + i + '.rgb * dirSpecularWeight * dirDiffuseWeight * specularNormalization * shadow * cookie;',
+							'#else',
+								'totalSpecular += linearSpecular * directionalLightColor' + i + '.rgb * dirSpecularWeight * dirDiffuseWeight * shadow * cookie;',
+							'#endif',
 						'#endif'
 					);
 
@@ -715,18 +951,24 @@ ShaderBuilder.light = {
 						);
 					}
 					fragment.push(
-							'totalDiffuse += materialDiffuse.rgb * spotLightColor' + i + '.rgb * spotDiffuseWeight * lDistance * spotEffect * shadow * cookie;',
-
-							'vec3 spotHalfVector = normalize(lVector + normalizedViewPosition);',
-							'float spotDotNormalHalf = max(dot(N, spotHalfVector), 0.0);',
-							'float spotSpecularWeight = spotLightColor' + i + '.a * specularStrength * max(pow(spotDotNormalHalf, materialSpecular.a), 0.0);',
-
-							'#ifdef PHYSICALLY_BASED_SHADING',
-								'float specularNormalization = (materialSpecular.a + 2.0001) / 8.0;',
-								'vec3 schlick = materialSpecular.rgb + vec3(1.0 - materialSpecular.rgb) * pow(1.0 - dot(lVector, spotHalfVector), 5.0);',
-								'totalSpecular += schlick * spotLightColor' + i + '.rgb * spotSpecularWeight * spotDiffuseWeight * lDistance * specularNormalization * spotEffect * shadow * cookie;',
+							'#ifdef PBR',
+								'vec3 radiance = spotLightColor' + i + '.rgb * spotDiffuseWeightFull * lDistance * spotEffect * shadow * cookie;',
+								'totalDiffuse += radiance;',
+								'totalSpecular += radiance * spotLightColor' + i + '.a * specularStrength * pbrSpecular(N, normalizedViewPosition, lVector);',
 							'#else',
-								'totalSpecular += materialSpecular.rgb * spotLightColor' + i + '.rgb * spotSpecularWeight * spotDiffuseWeight * lDistance * spotEffect * shadow * cookie;',
+								'totalDiffuse += linearDiffuse * spotLightColor' + i + '.rgb * spotDiffuseWeight * lDistance * spotEffect * shadow * cookie;',
+
+								'vec3 spotHalfVector = normalize(lVector + normalizedViewPosition);',
+								'float spotDotNormalHalf = max(dot(N, spotHalfVector), 0.0);',
+								'float spotSpecularWeight = spotLightColor' + i + '.a * specularStrength * max(pow(spotDotNormalHalf, materialSpecular.a), 0.0);',
+
+								'#ifdef PHYSICALLY_BASED_SHADING',
+									'float specularNormalization = (materialSpecular.a + 2.0001) / 8.0;',
+									'vec3 schlick = linearSpecular + vec3(1.0 - linearSpecular) * pow(1.0 - dot(lVector, spotHalfVector), 5.0);',
+									'totalSpecular += schlick * spotLightColor' + i + '.rgb * spotSpecularWeight * spotDiffuseWeight * lDistance * specularNormalization * spotEffect * shadow * cookie;',
+								'#else',
+									'totalSpecular += linearSpecular * spotLightColor' + i + '.rgb * spotSpecularWeight * spotDiffuseWeight * lDistance * spotEffect * shadow * cookie;',
+								'#endif',
 							'#endif',
 						'}'
 					);
@@ -741,26 +983,29 @@ ShaderBuilder.light = {
 		}
 
 		fragment.push(
-			'#if defined(EMISSIVE_MAP) && defined(TEXCOORD0)',
-				'vec3 emissive = vec3(0.0);',
-			'#else',
-				'vec3 emissive = materialEmissive.rgb;',
-			'#endif',
-
-			// '#if defined(MULTIPLY_AMBIENT)',
-			// 	'vec3 ambient = globalAmbient * materialAmbient.rgb;',
-			// '#else',
-			// 	'vec3 ambient = globalAmbient + materialAmbient.rgb;',
-			// '#endif',
-
-			'#ifdef SKIP_SPECULAR',
-				'final_color.xyz = final_color.xyz * (emissive + totalDiffuse + totalAmbient);',
-			'#else',
-				'final_color.xyz = final_color.xyz * (emissive + totalDiffuse + totalAmbient) + totalSpecular;',
-			'#endif',
-
-			'#if defined(EMISSIVE_MAP) && defined(TEXCOORD0)',
-				'final_color.rgb += texture2D(emissiveMap, texCoord0).rgb * materialEmissive.rgb;',
+			// the pbr shader combines the light terms with its own material model
+			'#ifndef PBR',
+				'#if defined(EMISSIVE_MAP) && defined(TEXCOORD0)',
+					'vec3 emissive = vec3(0.0);',
+				'#else',
+					'vec3 emissive = linearEmissive;',
+				'#endif',
+
+				// '#if defined(MULTIPLY_AMBIENT)',
+				// 	'vec3 ambient = globalAmbient * materialAmbient.rgb;',
+				// '#else',
+				// 	'vec3 ambient = globalAmbient + materialAmbient.rgb;',
+				// '#endif',
+
+				'#ifdef SKIP_SPECULAR',
+					'final_color.xyz = final_color.xyz * (emissive + totalDiffuse + linearAmbient);',
+				'#else',
+					'final_color.xyz = final_color.xyz * (emissive + totalDiffuse + linearAmbient) + totalSpecular;',
+				'#endif',
+
+				'#if defined(EMISSIVE_MAP) && defined(TEXCOORD0)',
+					'final_color.rgb += toLinearSpace(texture2D(emissiveMap, texCoord0).rgb) * linearEmissive;',
+				'#endif',
 			'#endif'
 		);
 
@@ -869,4 +1114,116 @@ ShaderBuilder.animation = {
 	].join('\n')
 };
 
+ShaderBuilder.morph = {
+	processor: function (shader, shaderInfo) {
+		var meshData = shaderInfo.meshData;
+		var count = Math.min(meshData.morphTargetNames.length, MeshData.MAX_MORPH_TARGETS);
+		if (shaderInfo.morphWeights && count > 0) {
+			if (!shader.uniforms.morphWeights) {
+				shader.uniforms.morphWeights = ShaderBuilder.morph.morphWeights;
+			}
+			shader.setDefine('MORPH_TARGET_COUNT', count);
+			if (meshData.attributeMap[MeshData.MORPH_NORMAL + '0']) {
+				shader.setDefine('MORPH_NORMALS', true);
+			} else {
+				shader.removeDefine('MORPH_NORMALS');
+			}
+		} else {
+			shader.removeDefine('MORPH_TARGET_COUNT');
+			shader.removeDefine('MORPH_NORMALS');
+		}
+	},
+	morphWeights: function (shaderInfo) {
+		return shaderInfo.morphWeights;
+	},
+	prevertex: [
+		'#ifdef MORPH_TARGET_COUNT',
+			'uniform vec4 morphWeights;',
+			'attribute vec3 vertexMorphPosition0;',
+			'#if MORPH_TARGET_COUNT > 1',
+				'attribute vec3 vertexMorphPosition1;',
+			'#endif',
+			'#if MORPH_TARGET_COUNT > 2',
+				'attribute vec3 vertexMorphPosition2;',
+			'#endif',
+			'#if MORPH_TARGET_COUNT > 3',
+				'attribute vec3 vertexMorphPosition3;',
+			'#endif',
+			'#if defined(NORMAL) && defined(MORPH_NORMALS)',
+				'attribute vec3 vertexMorphNormal0;',
+				'#if MORPH_TARGET_COUNT > 1',
+					'attribute vec3 vertexMorphNormal1;',
+				'#endif',
+				'#if MORPH_TARGET_COUNT > 2',
+					'attribute vec3 vertexMorphNormal2;',
+				'#endif',
+				'#if MORPH_TARGET_COUNT > 3',
+					'attribute vec3 vertexMorphNormal3;',
+				'#endif',
+			'#endif',
+		'#endif'
+	].join('\n'),
+	// declares morphedPosition (and morphedNormal) to be used instead of vertexPosition (and vertexNormal)
+	vertex: [
+		'vec3 morphedPosition = vertexPosition;',
+		'#ifdef NORMAL',
+			'vec3 morphedNormal = vertexNormal;',
+		'#endif',
+		'#ifdef MORPH_TARGET_COUNT',
+			'morphedPosition += vertexMorphPosition0 * morphWeights.x;',
+			'#if MORPH_TARGET_COUNT > 1',
+				'morphedPosition += vertexMorphPosition1 * morphWeights.y;',
+			'#endif',
+			'#if MORPH_TARGET_COUNT > 2',
+				'morphedPosition += vertexMorphPosition2 * morphWeights.z;',
+			'#endif',
+			'#if MORPH_TARGET_COUNT > 3',
+				'morphedPosition += vertexMorphPosition3 * morphWeights.w;',
+			'#endif',
+			'#if defined(NORMAL) && defined(MORPH_NORMALS)',
+				'morphedNormal += vertexMorphNormal0 * morphWeights.x;',
+				'#if MORPH_TARGET_COUNT > 1',
+					'morphedNormal += vertexMorphNormal1 * morphWeights.y;',
+				'#endif',
+				'#if MORPH_TARGET_COUNT > 2',
+					'morphedNormal += vertexMorphNormal2 * morphWeights.z;',
+				'#endif',
+				'#if MORPH_TARGET_COUNT > 3',
+					'morphedNormal += vertexMorphNormal3 * morphWeights.w;',
+				'#endif',
+			'#endif',
+		'#endif'
+	].join('\n')
+};
+
+ShaderBuilder.instancing = {
+	processor: function (shader, shaderInfo) {
+		if (shaderInfo.instanceCount > 0) {
+			shader.setDefine('INSTANCED', true);
+		} else {
+			shader.removeDefine('INSTANCED');
+		}
+	},
+	prevertex: [
+		'#ifdef INSTANCED',
+			'attribute mat4 instanceWorldMatrix;',
+		'#endif'
+	].join('\n'),
+	// the normal matrix is built from the cofactors of the world matrix, as there is no inverse() in GLSL ES 1.0
+	vertex: [
+		'#ifdef INSTANCED',
+			'wMatrix = instanceWorldMatrix;',
+			'#ifdef NORMAL',
+				'mat3 instanceMatrix = mat3(instanceWorldMatrix);',
+				'vec3 instanceCofactor = cross(instanceMatrix[1], instanceMatrix[2]);',
+				'nMatrix = mat3(',
+					'instanceCofactor,',
+					'cross(instanceMatrix[2], instanceMatrix[0]),',
+					'cross(instanceMatrix[0], instanceMatrix[1])',
+				') * sign(dot(instanceMatrix[0], instanceCofactor));',
+			'#endif',
+		'#endif'
+	].join('\n')
+};
+
 module.exports = ShaderBuilder;
\ No newline at end of file
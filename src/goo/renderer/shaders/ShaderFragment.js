@@ -201,6 +201,19 @@ ShaderFragment.methods = {
 			'return rg_depth.x + (rg_depth.y / 255.0);',
 		'}'
 	].join('\n'),
+	// Screen space motion in texture coordinates, between -1 and 1 with 16 bits per component
+	packVelocity: [
+		'vec4 packVelocity(const in vec2 velocity) {',
+			'vec2 value = clamp(velocity * 0.5 + 0.5, 0.0, 1.0);',
+			'vec4 res = vec4(value.x, fract(value.x * 255.0), value.y, fract(value.y * 255.0));',
+			'return res - res.yyww * vec4(1.0 / 255.0, 0.0, 1.0 / 255.0, 0.0);',
+		'}'
+	].join('\n'),
+	unpackVelocity: [
+		'vec2 unpackVelocity(const in vec4 rgba_velocity) {',
+			'return vec2(rgba_velocity.x + rgba_velocity.y / 255.0, rgba_velocity.z + rgba_velocity.w / 255.0) * 2.0 - 1.0;',
+		'}'
+	].join('\n'),
 	hsv: [
 		'vec3 rgb2hsv(vec3 c) {',
 			'vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);',
@@ -20,7 +20,9 @@ ShaderLib.uber = {
 	processors: [
 		ShaderBuilder.uber.processor,
 		ShaderBuilder.light.processor,
-		ShaderBuilder.animation.processor
+		ShaderBuilder.animation.processor,
+		ShaderBuilder.morph.processor,
+		ShaderBuilder.instancing.processor
 	],
 	attributes: {
 		vertexPosition: MeshData.POSITION,
@@ -30,7 +32,15 @@ ShaderLib.uber = {
 		vertexUV0: MeshData.TEXCOORD0,
 		vertexUV1: MeshData.TEXCOORD1,
 		vertexJointIDs: MeshData.JOINTIDS,
-		vertexWeights: MeshData.WEIGHTS
+		vertexWeights: MeshData.WEIGHTS,
+		vertexMorphPosition0: MeshData.MORPH_POSITION + '0',
+		vertexMorphPosition1: MeshData.MORPH_POSITION + '1',
+		vertexMorphPosition2: MeshData.MORPH_POSITION + '2',
+		vertexMorphPosition3: MeshData.MORPH_POSITION + '3',
+		vertexMorphNormal0: MeshData.MORPH_NORMAL + '0',
+		vertexMorphNormal1: MeshData.MORPH_NORMAL + '1',
+		vertexMorphNormal2: MeshData.MORPH_NORMAL + '2',
+		vertexMorphNormal3: MeshData.MORPH_NORMAL + '3'
 	},
 	uniforms: {
 		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
@@ -109,20 +119,26 @@ ShaderLib.uber = {
 
 		ShaderBuilder.animation.prevertex,
 
+		ShaderBuilder.morph.prevertex,
+
+		ShaderBuilder.instancing.prevertex,
+
 		'void main(void) {',
 			'mat4 wMatrix = worldMatrix;',
 			'#ifdef NORMAL',
 				'mat3 nMatrix = normalMatrix;',
 			'#endif',
+			ShaderBuilder.instancing.vertex,
 			ShaderBuilder.animation.vertex,
-			'vec4 worldPos = wMatrix * vec4(vertexPosition, 1.0);',
+			ShaderBuilder.morph.vertex,
+			'vec4 worldPos = wMatrix * vec4(morphedPosition, 1.0);',
 			'vWorldPos = worldPos.xyz;',
 			'gl_Position = viewProjectionMatrix * worldPos;',
 
 			'viewPosition = cameraPosition - worldPos.xyz;',
 
 			'#ifdef NORMAL',
-			'	normal = normalize(nMatrix * vertexNormal);',
+			'	normal = normalize(nMatrix * morphedNormal);',
 			'#endif',
 			'#ifdef TANGENT',
 			'	tangent = normalize(nMatrix * vertexTangent.xyz);',
@@ -224,7 +240,8 @@ ShaderLib.uber = {
 			'vec4 final_color = vec4(1.0);',
 
 			'#if defined(DIFFUSE_MAP) && defined(TEXCOORD0)',
-				'final_color *= texture2D(diffuseMap, texCoord0, lodBias);',
+				'vec4 diffuseTexel = texture2D(diffuseMap, texCoord0, lodBias);',
+				'final_color *= vec4(toLinearSpace(diffuseTexel.rgb), diffuseTexel.a);',
 			'#endif',
 
 			'#ifdef COLOR',
@@ -292,7 +309,7 @@ ShaderLib.uber = {
 						'float yy = refractionVector.y * 0.5 + 0.5;',
 						'environment = texture2D(environmentSphere, vec2(xx, yy));',
 					'#endif',
-					'environment.rgb = mix(clearColor.rgb, environment.rgb, environment.a);',
+					'environment.rgb = toLinearSpace(mix(clearColor.rgb, environment.rgb, environment.a));',
 
 					'final_color.rgb = mix(final_color.rgb, environment.rgb, refractivity);',
 				'}',
@@ -309,7 +326,7 @@ ShaderLib.uber = {
 						'float yy = reflectionVector.y * 0.5 + 0.5;',
 						'environment = texture2D(environmentSphere, vec2(xx, yy));',
 					'#endif',
-					'environment.rgb = mix(clearColor.rgb, environment.rgb, environment.a);',
+					'environment.rgb = toLinearSpace(mix(clearColor.rgb, environment.rgb, environment.a));',
 
 					'float reflectionAmount = reflectivity;',
 					'#if defined(REFLECTION_MAP) && defined(TEXCOORD0)',
@@ -337,7 +354,243 @@ ShaderLib.uber = {
 
 			'#ifdef FOG',
 				'float d = pow(smoothstep(fogSettings.x, fogSettings.y, length(viewPosition)), 1.0);',
-				'final_color.rgb = mix(final_color.rgb, fogColor, d);',
+				'final_color.rgb = mix(final_color.rgb, toLinearSpace(fogColor), d);',
+			'#endif',
+
+			'gl_FragColor = final_color;',
+		'}'
+	].join('\n');
+	}
+};
+
+/**
+ * Physically based shader using the metallic/roughness model. It takes the same lights, shadows, animations and morph targets as the uber shader.
+ * The base color is materialDiffuse times the DIFFUSE_MAP, metalness and roughness are read from the blue and green channels of the METALLIC_ROUGHNESS_MAP
+ * and scaled by the metallic and roughness uniforms. NORMAL_MAP, AO_MAP (red channel) and EMISSIVE_MAP work like in the uber shader.<br>
+ * Image based lighting uses the PREFILTERED_CUBE texture of the material, or the skybox if there is none.
+ * The mip levels of the cube map should hold the environment prefiltered for increasing roughness.
+ */
+ShaderLib.pbr = {
+	processors: [
+		ShaderBuilder.pbr.processor,
+		ShaderBuilder.light.processor,
+		ShaderBuilder.animation.processor,
+		ShaderBuilder.morph.processor,
+		ShaderBuilder.instancing.processor
+	],
+	attributes: ShaderLib.uber.attributes,
+	uniforms: {
+		viewProjectionMatrix: Shader.VIEW_PROJECTION_MATRIX,
+		worldMatrix: Shader.WORLD_MATRIX,
+		normalMatrix: Shader.NORMAL_MATRIX,
+		cameraPosition: Shader.CAMERA,
+		diffuseMap: Shader.DIFFUSE_MAP,
+		offsetRepeat: [0, 0, 1, 1],
+		normalMap: Shader.NORMAL_MAP,
+		normalMultiplier: 1.0,
+		metallicRoughnessMap: Shader.METALLIC_ROUGHNESS_MAP,
+		specularMap: Shader.SPECULAR_MAP,
+		emissiveMap: Shader.EMISSIVE_MAP,
+		aoMap: Shader.AO_MAP,
+		environmentCube: 'ENVIRONMENT_CUBE',
+		environmentMipLevels: 0,
+		environmentIntensity: 1.0,
+		metallic: 0.0,
+		roughness: 0.5,
+		opacity: 1.0,
+		discardThreshold: -0.01,
+		fogSettings: [0, 10000],
+		fogColor: [1, 1, 1],
+		vertexColorAmount: 1.0,
+		lodBias: 0.0,
+		wrapSettings: [0.5, 0.0]
+	},
+	builder: function (shader, shaderInfo) {
+		ShaderBuilder.light.builder(shader, shaderInfo);
+	},
+	vshader: ShaderLib.uber.vshader,
+	fshader: function () {
+		return [
+		'#define PBR',
+
+		'uniform float lodBias;',
+		'uniform float metallic;',
+		'uniform float roughness;',
+		'#ifdef DIFFUSE_MAP',
+			'uniform sampler2D diffuseMap;',
+		'#endif',
+		'#ifdef NORMAL_MAP',
+			'uniform sampler2D normalMap;',
+			'uniform float normalMultiplier;',
+		'#endif',
+		'#ifdef METALLIC_ROUGHNESS_MAP',
+			'uniform sampler2D metallicRoughnessMap;',
+		'#endif',
+		'#ifdef SPECULAR_MAP',
+			'uniform sampler2D specularMap;',
+		'#endif',
+		'#ifdef EMISSIVE_MAP',
+			'uniform sampler2D emissiveMap;',
+		'#endif',
+		'#ifdef AO_MAP',
+			'uniform sampler2D aoMap;',
+		'#endif',
+		'#ifdef ENVIRONMENT_CUBE',
+			'uniform samplerCube environmentCube;',
+			'uniform float environmentMipLevels;',
+			'uniform float environmentIntensity;',
+		'#endif',
+
+		'#ifdef OPACITY',
+			'uniform float opacity;',
+		'#endif',
+		'#ifdef DISCARD',
+			'uniform float discardThreshold;',
+		'#endif',
+
+		'#ifdef FOG',
+			'uniform vec2 fogSettings;',
+			'uniform vec3 fogColor;',
+		'#endif',
+
+		'varying vec3 vWorldPos;',
+		'varying vec3 viewPosition;',
+		'#ifdef NORMAL',
+			'varying vec3 normal;',
+		'#endif',
+		'#ifdef TANGENT',
+			'varying vec3 binormal;',
+			'varying vec3 tangent;',
+		'#endif',
+		'#ifdef COLOR',
+			'varying vec4 color;',
+			'uniform float vertexColorAmount;',
+		'#endif',
+		'#ifdef TEXCOORD0',
+			'varying vec2 texCoord0;',
+		'#endif',
+		'#ifdef TEXCOORD1',
+			'varying vec2 texCoord1;',
+		'#endif',
+
+		'#define M_PI 3.14159265358979323846264338328',
+
+		ShaderBuilder.light.prefragment,
+
+		'vec3 pbrSpecularColor;',
+		'float pbrRoughness;',
+
+		// GGX distribution, Schlick-Smith visibility and Schlick fresnel.
+		// Scaled by PI like the lambert term so light intensities match the uber shader
+		'vec3 pbrSpecular(vec3 N, vec3 V, vec3 L) {',
+			'vec3 H = normalize(L + V);',
+			'float NdotL = max(dot(N, L), 0.0001);',
+			'float NdotV = max(dot(N, V), 0.0001);',
+			'float NdotH = max(dot(N, H), 0.0);',
+			'float VdotH = max(dot(V, H), 0.0);',
+			'float a = pbrRoughness * pbrRoughness;',
+			'float a2 = a * a;',
+			'float d = NdotH * NdotH * (a2 - 1.0) + 1.0;',
+			'float k = a * 0.5;',
+			'float visibility = 0.25 / ((NdotL * (1.0 - k) + k) * (NdotV * (1.0 - k) + k));',
+			'vec3 fresnel = pbrSpecularColor + (1.0 - pbrSpecularColor) * pow(1.0 - VdotH, 5.0);',
+			'return fresnel * (a2 / (d * d) * visibility);',
+		'}',
+
+		// Analytical fit of the split sum environment BRDF, from "Physically Based Shading on Mobile" by Brian Karis
+		'vec3 environmentBRDF(vec3 specularColor, float specularRoughness, float NdotV) {',
+			'const vec4 c0 = vec4(-1.0, -0.0275, -0.572, 0.022);',
+			'const vec4 c1 = vec4(1.0, 0.0425, 1.04, -0.04);',
+			'vec4 r = specularRoughness * c0 + c1;',
+			'float a004 = min(r.x * r.x, exp2(-9.28 * NdotV)) * r.x + r.y;',
+			'vec2 AB = vec2(-1.04, 1.04) * a004 + r.zw;',
+			'return specularColor * AB.x + AB.y;',
+		'}',
+
+		'void main(void)',
+		'{',
+			'vec4 final_color = vec4(1.0);',
+
+			'vec4 baseColor = vec4(toLinearSpace(materialDiffuse.rgb), materialDiffuse.a);',
+			'#if defined(DIFFUSE_MAP) && defined(TEXCOORD0)',
+				'vec4 diffuseTexel = texture2D(diffuseMap, texCoord0, lodBias);',
+				'baseColor *= vec4(toLinearSpace(diffuseTexel.rgb), diffuseTexel.a);',
+			'#endif',
+
+			'#ifdef COLOR',
+				'baseColor *= mix(vec4(1.0), color, vertexColorAmount);',
+			'#endif',
+
+			'#ifdef OPACITY',
+				'baseColor.a *= opacity;',
+			'#endif',
+
+			'#ifdef DISCARD',
+				'if (baseColor.a < discardThreshold) discard;',
+			'#endif',
+
+			'float metalness = metallic;',
+			'pbrRoughness = roughness;',
+			'#if defined(METALLIC_ROUGHNESS_MAP) && defined(TEXCOORD0)',
+				'vec4 metallicRoughness = texture2D(metallicRoughnessMap, texCoord0);',
+				'metalness *= metallicRoughness.b;',
+				'pbrRoughness *= metallicRoughness.g;',
+			'#endif',
+			'metalness = clamp(metalness, 0.0, 1.0);',
+			'pbrRoughness = clamp(pbrRoughness, 0.04, 1.0);',
+
+			'vec3 diffuseColor = baseColor.rgb * (1.0 - metalness);',
+			'pbrSpecularColor = mix(vec3(0.04), baseColor.rgb, metalness);',
+
+			'vec3 N = vec3(0.0, 1.0, 0.0);',
+			'#if defined(NORMAL)',
+				'N = normalize(normal);',
+			'#endif',
+			'#if defined(TANGENT) && defined(NORMAL_MAP) && defined(TEXCOORD0)',
+				'mat3 tangentToWorld = mat3(tangent, binormal, normal);',
+				'vec3 tangentNormal = texture2D(normalMap, texCoord0, lodBias).xyz * vec3(2.0) - vec3(1.0);',
+				'tangentNormal = mix(vec3(0.0, 0.0, 1.0), tangentNormal, normalMultiplier);',
+				'vec3 worldNormal = (tangentToWorld * tangentNormal);',
+				'N = normalize(worldNormal);',
+			'#endif',
+
+			'N = N * (-1.0 + 2.0 * float(gl_FrontFacing));',
+
+			ShaderBuilder.light.fragment,
+
+			'float occlusion = 1.0;',
+			'#ifdef AO_MAP',
+				'#ifdef TEXCOORD1',
+					'occlusion = texture2D(aoMap, texCoord1).r;',
+				'#elif defined(TEXCOORD0)',
+					'occlusion = texture2D(aoMap, texCoord0).r;',
+				'#endif',
+			'#endif',
+
+			'#ifdef ENVIRONMENT_CUBE',
+				'vec3 V = normalize(viewPosition);',
+				'vec3 reflectionVector = reflect(V, N);',
+				'reflectionVector.yz = -reflectionVector.yz;',
+				'vec3 irradiance = toLinearSpace(textureCube(environmentCube, vec3(-N.x, N.y, N.z), environmentMipLevels).rgb);',
+				'vec3 prefiltered = toLinearSpace(textureCube(environmentCube, reflectionVector, pbrRoughness * environmentMipLevels).rgb);',
+				'vec3 specularEnvironment = environmentBRDF(pbrSpecularColor, pbrRoughness, max(dot(N, V), 0.0001));',
+				'vec3 ambient = (diffuseColor * irradiance + specularEnvironment * prefiltered) * environmentIntensity;',
+			'#else',
+				'vec3 ambient = diffuseColor * linearAmbient;',
+			'#endif',
+
+			'final_color.rgb = diffuseColor * totalDiffuse + totalSpecular + ambient * occlusion;',
+			'final_color.a = baseColor.a;',
+
+			'vec3 emissive = linearEmissive;',
+			'#if defined(EMISSIVE_MAP) && defined(TEXCOORD0)',
+				'emissive *= toLinearSpace(texture2D(emissiveMap, texCoord0).rgb);',
+			'#endif',
+			'final_color.rgb += emissive;',
+
+			'#ifdef FOG',
+				'float d = pow(smoothstep(fogSettings.x, fogSettings.y, length(viewPosition)), 1.0);',
+				'final_color.rgb = mix(final_color.rgb, toLinearSpace(fogColor), d);',
 			'#endif',
 
 			'gl_FragColor = final_color;',
@@ -1014,7 +1267,8 @@ ShaderLib.downsample = {
 
 ShaderLib.lightDepth = {
 	processors: [
-		ShaderBuilder.animation.processor
+		ShaderBuilder.animation.processor,
+		ShaderBuilder.morph.processor
 	],
 	defines: {
 		SHADOW_TYPE: 0,
@@ -1024,7 +1278,11 @@ ShaderLib.lightDepth = {
 	attributes: {
 		vertexPosition: MeshData.POSITION,
 		vertexJointIDs: MeshData.JOINTIDS,
-		vertexWeights: MeshData.WEIGHTS
+		vertexWeights: MeshData.WEIGHTS,
+		vertexMorphPosition0: MeshData.MORPH_POSITION + '0',
+		vertexMorphPosition1: MeshData.MORPH_POSITION + '1',
+		vertexMorphPosition2: MeshData.MORPH_POSITION + '2',
+		vertexMorphPosition3: MeshData.MORPH_POSITION + '3'
 	},
 	uniforms: {
 		viewMatrix: Shader.VIEW_MATRIX,
@@ -1041,16 +1299,29 @@ ShaderLib.lightDepth = {
 
 	'varying vec4 worldPosition;',
 	ShaderBuilder.animation.prevertex,
+	ShaderBuilder.morph.prevertex,
+
+	'#ifdef PARABOLOID',
+		'uniform float cameraScale;',
+	'#endif',
 
 	'void main(void) {',
 		'mat4 wMatrix = worldMatrix;',
 		ShaderBuilder.animation.vertex,
-		'worldPosition = viewMatrix * (wMatrix * vec4(vertexPosition, 1.0));',
-		'gl_Position = projectionMatrix * worldPosition;',
+		ShaderBuilder.morph.vertex,
+		'worldPosition = viewMatrix * (wMatrix * vec4(morphedPosition, 1.0));',
+		'#ifdef PARABOLOID',
+			// project the hemisphere in front of the light camera onto a paraboloid
+			'float paraboloidDistance = length(worldPosition.xyz);',
+			'vec3 paraboloid = worldPosition.xyz / paraboloidDistance;',
+			'gl_Position = vec4(paraboloid.xy / (1.0 - paraboloid.z), paraboloidDistance * cameraScale * 2.0 - 1.0, 1.0);',
+		'#else',
+			'gl_Position = projectionMatrix * worldPosition;',
+		'#endif',
 	'}'
 	].join('\n'),
 	fshader: [
-	'#if SHADOW_TYPE == 2',
+	'#if SHADOW_TYPE == 2 || defined(PARABOLOID)',
 		'uniform float cameraScale;',
 	'#endif',
 
@@ -1060,7 +1331,15 @@ ShaderLib.lightDepth = {
 
 	'void main(void)',
 	'{',
-		'#if SHADOW_TYPE == 0',
+		'#ifdef PARABOLOID',
+			// leave a small overlap between the hemispheres
+			'if (normalize(worldPosition.xyz).z > 0.1) {',
+				'discard;',
+			'}',
+		'#endif',
+		'#if SHADOW_TYPE == 0 && defined(PARABOLOID)',
+			'gl_FragColor = packDepth(length(worldPosition.xyz) * cameraScale);',
+		'#elif SHADOW_TYPE == 0',
 			'gl_FragColor = packDepth(gl_FragCoord.z);',
 		'#elif SHADOW_TYPE == 1',
 			'gl_FragColor = packDepth(gl_FragCoord.z);',
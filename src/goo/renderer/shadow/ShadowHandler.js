@@ -8,6 +8,7 @@ var RenderTarget = require('../../renderer/pass/RenderTarget');
 var Vector4 = require('../../math/Vector4');
 var PointLight = require('../../renderer/light/PointLight');
 var SpotLight = require('../../renderer/light/SpotLight');
+var MathUtils = require('../../math/MathUtils');
 
 /**
  * Handles shadow techniques
@@ -16,6 +17,12 @@ function ShadowHandler() {
 	this.depthMaterial = new Material(ShaderLib.lightDepth, 'depthMaterial');
 	this.depthMaterial.cullState.cullFace = 'Back';
 	this.depthMaterial.fullOverride = true;
+
+	// renders the hemispheres of point lights
+	this.paraboloidDepthMaterial = new Material(ShaderLib.lightDepth, 'paraboloidDepthMaterial');
+	this.paraboloidDepthMaterial.cullState.cullFace = 'Back';
+	this.paraboloidDepthMaterial.fullOverride = true;
+	this.paraboloidDepthMaterial.shader.setDefine('PARABOLOID', true);
 	this.fullscreenPass = new FullscreenPass();
 	this.downsample = Material.createShader(ShaderLib.downsample, 'downsample');
 
@@ -38,15 +45,59 @@ function ShadowHandler() {
 }
 
 var tmpVec = new Vector3();
+var tmpCenter = new Vector3();
+var tmpUp = new Vector3();
+var tmpSplits = [];
+
+/**
+ * Calculates the distances from the camera at which the view frustum is split into cascades,
+ * blending between an even and a logarithmic distribution.
+ * @param {number} near Near distance of the first cascade
+ * @param {number} far Far distance of the last cascade
+ * @param {number} count Number of cascades
+ * @param {number} lambda 0 for evenly distributed splits, 1 for logarithmically distributed splits
+ * @param {Array<number>} [store] Array to store the count + 1 split distances in, starting with near and ending with far
+ * @returns {Array<number>}
+ */
+ShadowHandler.calculateCascadeSplits = function (near, far, count, lambda, store) {
+	store = store || [];
+	store.length = count + 1;
+	store[0] = near;
+	for (var i = 1; i <= count; i++) {
+		var fraction = i / count;
+		var evenSplit = near + (far - near) * fraction;
+		var logSplit = near * Math.pow(far / near, fraction);
+		store[i] = MathUtils.lerp(lambda, evenSplit, logSplit);
+	}
+	return store;
+};
 
 ShadowHandler.prototype._createShadowData = function (shadowSettings, renderer) {
+	var cascades = shadowSettings.shadowData.cascades;
+	for (var i = 0; i < cascades.length; i++) {
+		this._createShadowTargets(cascades[i], shadowSettings, renderer);
+	}
+
+	shadowSettings.shadowRecord.resolution = shadowSettings.shadowRecord.resolution || [];
+	shadowSettings.shadowRecord.resolution[0] = shadowSettings.resolution[0];
+	shadowSettings.shadowRecord.shadowType = shadowSettings.shadowType;
+};
+
+/**
+ * Allocates the render targets of a shadow map
+ * @param {Object} shadowData The shadow data of a light, or one of its cascades
+ * @param {Object} shadowSettings
+ * @param {Renderer} renderer
+ * @private
+ */
+ShadowHandler.prototype._createShadowTargets = function (shadowData, shadowSettings, renderer) {
 	var shadowX = shadowSettings.resolution[0];
 	var shadowY = shadowSettings.resolution[1];
 
 	var linearFloat = !!Capabilities.TextureFloatLinear;
 
-	if (shadowSettings.shadowData.shadowTarget) {
-		renderer._deallocateRenderTarget(shadowSettings.shadowData.shadowTarget);
+	if (shadowData.shadowTarget) {
+		renderer._deallocateRenderTarget(shadowData.shadowTarget);
 	}
 
 	if (shadowSettings.shadowType === 'VSM') {
@@ -58,35 +109,161 @@ ShadowHandler.prototype._createShadowData = function (shadowSettings, renderer)
 			type.magFilter = 'NearestNeighbor';
 			type.minFilter = 'NearestNeighborNoMipMaps';
 		}
-		if (shadowSettings.shadowData.shadowTargetDown) {
-			renderer._deallocateRenderTarget(shadowSettings.shadowData.shadowTargetDown);
+		if (shadowData.shadowTargetDown) {
+			renderer._deallocateRenderTarget(shadowData.shadowTargetDown);
 		}
-		shadowSettings.shadowData.shadowTargetDown = new RenderTarget(shadowX / 2, shadowY / 2, type);
-		if (shadowSettings.shadowData.shadowBlurred) {
-			renderer._deallocateRenderTarget(shadowSettings.shadowData.shadowBlurred);
+		shadowData.shadowTargetDown = new RenderTarget(shadowX / 2, shadowY / 2, type);
+		if (shadowData.shadowBlurred) {
+			renderer._deallocateRenderTarget(shadowData.shadowBlurred);
 		}
-		shadowSettings.shadowData.shadowBlurred = new RenderTarget(shadowX / 2, shadowY / 2, type);
+		shadowData.shadowBlurred = new RenderTarget(shadowX / 2, shadowY / 2, type);
 
-		shadowSettings.shadowData.shadowTarget = new RenderTarget(shadowX, shadowY, {
+		shadowData.shadowTarget = new RenderTarget(shadowX, shadowY, {
 			type: floatType,
 			magFilter: 'NearestNeighbor',
 			minFilter: 'NearestNeighborNoMipMaps'
 		});
 	} else {
-		shadowSettings.shadowData.shadowTarget = new RenderTarget(shadowX, shadowY, {
+		shadowData.shadowTarget = new RenderTarget(shadowX, shadowY, {
 			magFilter: 'NearestNeighbor',
 			minFilter: 'NearestNeighborNoMipMaps'
 		});
 	}
 
-	shadowSettings.shadowData.shadowResult = null;
+	shadowData.shadowResult = null;
+};
 
-	shadowSettings.shadowRecord.resolution = shadowSettings.shadowRecord.resolution || [];
-	shadowSettings.shadowRecord.resolution[0] = shadowX;
-	shadowSettings.shadowRecord.shadowType = shadowSettings.shadowType;
+/**
+ * Adds or removes cascades so that a light has as many as it uses
+ * @param {Object} shadowSettings
+ * @param {number} count
+ * @param {Renderer} renderer
+ * @private
+ */
+ShadowHandler.prototype._setCascadeCount = function (shadowSettings, count, renderer) {
+	var shadowData = shadowSettings.shadowData;
+	var cascades = shadowData.cascades;
+
+	while (cascades.length > count) {
+		var cascade = cascades.pop();
+		if (cascade.shadowTarget) {
+			renderer._deallocateRenderTarget(cascade.shadowTarget);
+		}
+		if (cascade.shadowTargetDown) {
+			renderer._deallocateRenderTarget(cascade.shadowTargetDown);
+		}
+		if (cascade.shadowBlurred) {
+			renderer._deallocateRenderTarget(cascade.shadowBlurred);
+		}
+	}
+
+	while (cascades.length < count) {
+		var cascade = {
+			lightCamera: new Camera(55, 1, 1, 1000),
+			shadowResult: null
+		};
+		// the others are created with the rest of the targets if the light has none yet
+		if (shadowData.shadowTarget) {
+			this._createShadowTargets(cascade, shadowSettings, renderer);
+		}
+		cascades.push(cascade);
+	}
+
+	// the first cascade gets back its regular frustum on the next update if cascades are turned off
+	shadowSettings.shadowRecord.size = null;
 };
 
-ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner, entities, lights) {
+/**
+ * Fits the light cameras of the cascades of a directional light to slices of the view frustum.
+ * Each cascade covers the bounding sphere of its slice, so that its size does not change as the camera rotates,
+ * and is moved in whole shadow map texels to avoid shimmering shadow edges.
+ * @param {Light} light
+ * @param {Camera} camera
+ * @private
+ */
+ShadowHandler.prototype._updateCascades = function (light, camera) {
+	var shadowSettings = light.shadowSettings;
+	var cascades = shadowSettings.shadowData.cascades;
+
+	var far = Math.min(camera.far, shadowSettings.far);
+	var splits = ShadowHandler.calculateCascadeSplits(camera.near, far, cascades.length, shadowSettings.cascadeSplitLambda, tmpSplits);
+
+	for (var i = 0; i < cascades.length; i++) {
+		var corners = camera.calculateFrustumCorners(splits[i], splits[i + 1]);
+
+		tmpCenter.setDirect(0, 0, 0);
+		for (var j = 0; j < corners.length; j++) {
+			tmpCenter.add(corners[j]);
+		}
+		tmpCenter.scale(1 / corners.length);
+
+		var radius = 0;
+		for (var j = 0; j < corners.length; j++) {
+			radius = Math.max(radius, corners[j].distance(tmpCenter));
+		}
+		radius = Math.ceil(radius * 16) / 16;
+
+		var lightCamera = cascades[i].lightCamera;
+		tmpVec.set(lightCamera.translation).add(light.direction);
+		lightCamera.lookAt(tmpVec, shadowSettings.upVector);
+
+		// snap the center to the texel grid of the shadow map, in the plane of the light camera
+		var texelSize = 2 * radius / shadowSettings.resolution[0];
+		var x = tmpCenter.dot(lightCamera._left);
+		var y = tmpCenter.dot(lightCamera._up);
+		tmpVec.set(lightCamera._left).scale(Math.round(x / texelSize) * texelSize - x);
+		tmpCenter.add(tmpVec);
+		tmpVec.set(lightCamera._up).scale(Math.round(y / texelSize) * texelSize - y);
+		tmpCenter.add(tmpVec);
+
+		// leave room for shadow casters between the light and the slice
+		var distance = radius + shadowSettings.far;
+		tmpVec.set(light.direction).normalize().scale(-distance);
+		lightCamera.translation.set(tmpCenter).add(tmpVec);
+
+		lightCamera.setFrustum(shadowSettings.near, distance + radius, -radius, radius, radius, -radius);
+		lightCamera.projectionMode = Camera.Parallel;
+		lightCamera.update();
+		lightCamera.onFrameChange();
+	}
+};
+
+/**
+ * Points the light cameras of a point light below and above the light, along its up vector.
+ * The depth shader projects each hemisphere onto a paraboloid, the box shaped frustums are only used for culling.
+ * @param {PointLight} light
+ * @private
+ */
+ShadowHandler.prototype._updateParaboloids = function (light) {
+	var shadowSettings = light.shadowSettings;
+	var cascades = shadowSettings.shadowData.cascades;
+	var far = shadowSettings.far;
+
+	// any up vector for the light cameras that is not parallel to their direction
+	tmpUp.set(Math.abs(shadowSettings.upVector.x) < 0.9 ? Vector3.UNIT_X : Vector3.UNIT_Z);
+
+	for (var i = 0; i < cascades.length; i++) {
+		var lightCamera = cascades[i].lightCamera;
+		lightCamera.translation.copy(light.translation);
+		tmpVec.set(shadowSettings.upVector).scale(i === 0 ? -1 : 1).add(light.translation);
+		lightCamera.lookAt(tmpVec, tmpUp);
+
+		lightCamera.setFrustum(shadowSettings.near, far, -far, far, far, -far);
+		lightCamera.projectionMode = Camera.Parallel;
+		lightCamera.update();
+		lightCamera.onFrameChange();
+	}
+};
+
+/**
+ * Renders the shadow maps of the shadow casting lights
+ * @param {Renderer} renderer
+ * @param {Partitioner} partitioner
+ * @param {Array<Entity>} entities
+ * @param {Array<Light>} lights
+ * @param {Camera} [camera] The view camera, that cascaded shadow maps are fitted to
+ */
+ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner, entities, lights, camera) {
 	if (this.first === true) {
 		this.first = false;
 		return;
@@ -101,6 +278,12 @@ ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner,
 				shadowSettings.shadowData = {};
 				shadowSettings.shadowRecord = {};
 				shadowSettings.shadowData.lightCamera = new Camera(55, 1, 1, 1000);
+				shadowSettings.shadowData.cascades = [shadowSettings.shadowData];
+			}
+
+			var cascadeCount = light.getShadowCascadeCount();
+			if (shadowSettings.shadowData.cascades.length !== cascadeCount) {
+				this._setCascadeCount(shadowSettings, cascadeCount, renderer);
 			}
 
 			var record = shadowSettings.shadowRecord;
@@ -159,16 +342,24 @@ ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner,
 			}
 			lightCamera.onFrameChange();
 
-			var matrix = lightCamera.getViewProjectionMatrix().data;
-			var vpm = shadowSettings.shadowData.vpm = shadowSettings.shadowData.vpm || [];
-			for (var j = 0; j < 16; j++) {
-				vpm[j] = matrix[j];
+			var cascades = shadowSettings.shadowData.cascades;
+			if (light instanceof PointLight && cascades.length > 1) {
+				this._updateParaboloids(light);
+			} else if (cascades.length > 1 && camera) {
+				this._updateCascades(light, camera);
+			}
+
+			for (var j = 0; j < cascades.length; j++) {
+				var matrix = cascades[j].lightCamera.getViewProjectionMatrix().data;
+				var vpm = cascades[j].vpm = cascades[j].vpm || [];
+				for (var k = 0; k < 16; k++) {
+					vpm[k] = matrix[k];
+				}
 			}
 
 			if (light.shadowCaster) {
-				this.depthMaterial.shader.setDefine('SHADOW_TYPE', shadowSettings.shadowType === 'VSM' ? 2 : 0);
-				this.depthMaterial.uniforms.cameraScale = 1.0 / (lightCamera.far - lightCamera.near);
-				shadowSettings.shadowData.cameraScale = this.depthMaterial.uniforms.cameraScale;
+				var depthMaterial = light instanceof PointLight && cascades.length > 1 ? this.paraboloidDepthMaterial : this.depthMaterial;
+				depthMaterial.shader.setDefine('SHADOW_TYPE', shadowSettings.shadowType === 'VSM' ? 2 : 0);
 
 				this.oldClearColor.copy(renderer.clearColor);
 				renderer.setClearColor(this.shadowClearColor.r, this.shadowClearColor.g, this.shadowClearColor.b, this.shadowClearColor.a);
@@ -180,31 +371,9 @@ ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner,
 						this.shadowList.push(entity);
 					}
 				}
-				partitioner.process(lightCamera, this.shadowList, this.renderList);
-				renderer.render(this.renderList, lightCamera, [], shadowSettings.shadowData.shadowTarget, true, this.depthMaterial);
-
-				switch (shadowSettings.shadowType) {
-				case 'VSM':
-					this.fullscreenPass.material.shader = this.downsample;
-					this.fullscreenPass.render(renderer, shadowSettings.shadowData.shadowTargetDown, shadowSettings.shadowData.shadowTarget);
-
-					this.fullscreenPass.material.shader = this.blurfilter;
-					this.fullscreenPass.material.uniforms.uImageIncrement = [2 / shadowSettings.resolution[0], 0.0];
-					this.fullscreenPass.render(renderer, shadowSettings.shadowData.shadowBlurred, shadowSettings.shadowData.shadowTargetDown);
-					this.fullscreenPass.material.uniforms.uImageIncrement = [0.0, 2 / shadowSettings.resolution[1]];
-					this.fullscreenPass.render(renderer, shadowSettings.shadowData.shadowTargetDown, shadowSettings.shadowData.shadowBlurred);
-
-					shadowSettings.shadowData.shadowResult = shadowSettings.shadowData.shadowTargetDown;
-					break;
-				case 'PCF':
-					shadowSettings.shadowData.shadowResult = shadowSettings.shadowData.shadowTarget;
-					break;
-				case 'Basic':
-					shadowSettings.shadowData.shadowResult = shadowSettings.shadowData.shadowTarget;
-					break;
-				default:
-					shadowSettings.shadowData.shadowResult = shadowSettings.shadowData.shadowTarget;
-					break;
+
+				for (var j = 0; j < cascades.length; j++) {
+					this._renderShadowMap(renderer, partitioner, shadowSettings, cascades[j], depthMaterial);
 				}
 
 				renderer.setClearColor(this.oldClearColor.r, this.oldClearColor.g, this.oldClearColor.b, this.oldClearColor.a);
@@ -213,9 +382,52 @@ ShadowHandler.prototype.checkShadowRendering = function (renderer, partitioner,
 	}
 };
 
+/**
+ * Renders the shadow casters into a shadow map, and filters it
+ * @param {Renderer} renderer
+ * @param {Partitioner} partitioner
+ * @param {Object} shadowSettings
+ * @param {Object} shadowData The shadow data of a light, or one of its cascades
+ * @param {Material} depthMaterial
+ * @private
+ */
+ShadowHandler.prototype._renderShadowMap = function (renderer, partitioner, shadowSettings, shadowData, depthMaterial) {
+	var lightCamera = shadowData.lightCamera;
+	depthMaterial.uniforms.cameraScale = 1.0 / (lightCamera.far - lightCamera.near);
+	shadowData.cameraScale = depthMaterial.uniforms.cameraScale;
+
+	partitioner.process(lightCamera, this.shadowList, this.renderList);
+	renderer.render(this.renderList, lightCamera, [], shadowData.shadowTarget, true, depthMaterial);
+
+	switch (shadowSettings.shadowType) {
+	case 'VSM':
+		this.fullscreenPass.material.shader = this.downsample;
+		this.fullscreenPass.render(renderer, shadowData.shadowTargetDown, shadowData.shadowTarget);
+
+		this.fullscreenPass.material.shader = this.blurfilter;
+		this.fullscreenPass.material.uniforms.uImageIncrement = [2 / shadowSettings.resolution[0], 0.0];
+		this.fullscreenPass.render(renderer, shadowData.shadowBlurred, shadowData.shadowTargetDown);
+		this.fullscreenPass.material.uniforms.uImageIncrement = [0.0, 2 / shadowSettings.resolution[1]];
+		this.fullscreenPass.render(renderer, shadowData.shadowTargetDown, shadowData.shadowBlurred);
+
+		shadowData.shadowResult = shadowData.shadowTargetDown;
+		break;
+	case 'PCF':
+		shadowData.shadowResult = shadowData.shadowTarget;
+		break;
+	case 'Basic':
+		shadowData.shadowResult = shadowData.shadowTarget;
+		break;
+	default:
+		shadowData.shadowResult = shadowData.shadowTarget;
+		break;
+	}
+};
+
 ShadowHandler.prototype.invalidateHandles = function (renderer) {
 	this.fullscreenPass.invalidateHandles(renderer);
 	renderer.invalidateMaterial(this.depthMaterial);
+	renderer.invalidateMaterial(this.paraboloidDepthMaterial);
 	renderer.invalidateShader(this.downsample);
 	renderer.invalidateShader(this.blurfilter);
 };
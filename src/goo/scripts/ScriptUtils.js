@@ -359,4 +359,69 @@ ScriptUtils.keyForCode = function (code) {
 	return ScriptUtils._keyInverse[code];
 };
 
+// Physics scene queries. They return no hits when the world has no PhysicsSystem.
+function getPhysicsSystem(world) {
+	return world.getSystem('PhysicsSystem');
+}
+
+/**
+ * Finds all physics colliders overlapping a sphere. See PhysicsSystem.overlapSphere.
+ * @param {World} world
+ * @param {Vector3} center
+ * @param {number} radius
+ * @param {Object} [options]
+ * @returns {Array<RaycastResult>}
+ * @example
+ * var targets = ScriptUtils.overlapSphere(ctx.world, ctx.entity.getTranslation(), 10, { collisionMask: 2 });
+ */
+ScriptUtils.overlapSphere = function (world, center, radius, options) {
+	var physicsSystem = getPhysicsSystem(world);
+	return physicsSystem ? physicsSystem.overlapSphere(center, radius, options) : [];
+};
+
+/**
+ * Finds all physics colliders overlapping a box. See PhysicsSystem.overlapBox.
+ * @param {World} world
+ * @param {Vector3} center
+ * @param {Vector3} halfExtents
+ * @param {Object} [options]
+ * @returns {Array<RaycastResult>}
+ */
+ScriptUtils.overlapBox = function (world, center, halfExtents, options) {
+	var physicsSystem = getPhysicsSystem(world);
+	return physicsSystem ? physicsSystem.overlapBox(center, halfExtents, options) : [];
+};
+
+/**
+ * Sweeps a sphere along a ray, and gets the first physics collider it hits. See PhysicsSystem.sphereCast.
+ * @param {World} world
+ * @param {Vector3} start
+ * @param {Vector3} direction
+ * @param {number} radius
+ * @param {number} maxDistance
+ * @param {Object} [options]
+ * @param {RaycastResult} [result]
+ * @returns {boolean} True if hit, else false.
+ */
+ScriptUtils.sphereCast = function (world, start, direction, radius, maxDistance, options, result) {
+	var physicsSystem = getPhysicsSystem(world);
+	return physicsSystem ? physicsSystem.sphereCast(start, direction, radius, maxDistance, options, result) : false;
+};
+
+/**
+ * Sweeps a collider along a ray, and gets the first physics collider it hits. See PhysicsSystem.shapeSweep.
+ * @param {World} world
+ * @param {Collider} collider
+ * @param {Vector3} start
+ * @param {Vector3} direction
+ * @param {number} maxDistance
+ * @param {Object} [options]
+ * @param {RaycastResult} [result]
+ * @returns {boolean} True if hit, else false.
+ */
+ScriptUtils.shapeSweep = function (world, collider, start, direction, maxDistance, options, result) {
+	var physicsSystem = getPhysicsSystem(world);
+	return physicsSystem ? physicsSystem.shapeSweep(collider, start, direction, maxDistance, options, result) : false;
+};
+
 module.exports = ScriptUtils;
@@ -1,4 +1,5 @@
 var AbstractTimelineChannel = require('../timelinepack/AbstractTimelineChannel');
+var SystemBus = require('../entities/SystemBus');
 
 function EventChannel(id) {
 	AbstractTimelineChannel.call(this, id);
@@ -85,4 +86,20 @@ EventChannel.prototype.setTime = function (time) {
 	return this;
 };
 
+// callback factories
+/**
+ * Creates a callback that emits an event on the SystemBus
+ * @param {string} eventName
+ * @param {*} value Data sent with the event
+ * @returns {Function}
+ */
+EventChannel.getEventEmitter = function (eventName, value) {
+	var func = function () {
+		SystemBus.emit(eventName, value);
+	};
+	func.eventName = eventName;
+	func.value = value;
+	return func;
+};
+
 module.exports = EventChannel;
\ No newline at end of file
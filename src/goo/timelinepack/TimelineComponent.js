@@ -115,6 +115,26 @@ TimelineComponent.prototype.setTime = function (time) {
 	return this;
 };
 
+/**
+ * Captures the time and the playing state of the timeline.
+ * @returns {Object}
+ */
+TimelineComponent.prototype.snapshot = function () {
+	return {
+		time: this.time,
+		playing: this.playing
+	};
+};
+
+/**
+ * Restores the time and the playing state captured by {@link TimelineComponent#snapshot}.
+ * @param {Object} data
+ */
+TimelineComponent.prototype.restore = function (data) {
+	this.playing = data.playing;
+	this.setTime(data.time);
+};
+
 /**
  * Retrieves the values of all channels
  * @private
@@ -3,7 +3,6 @@ var TimelineComponent = require('../timelinepack/TimelineComponent');
 var ValueChannel = require('../timelinepack/ValueChannel');
 var EventChannel = require('../timelinepack/EventChannel');
 var ArrayUtils = require('../util/ArrayUtils');
-var SystemBus = require('../entities/SystemBus');
 var ObjectUtils = require('../util/ObjectUtils');
 var Easing = require('../util/Easing');
 
@@ -88,9 +87,7 @@ function updateEventChannelKeyFrame(keyframeConfig, keyframeId, channel, channel
 	});
 
 	// create the event emitter callback, we're gonna use it anyway
-	var eventEmitter = function () {
-		SystemBus.emit(channelConfig.eventName, keyframeConfig.value);
-	};
+	var eventEmitter = EventChannel.getEventEmitter(channelConfig.eventName, keyframeConfig.value);
 
 	// create a new callback entry in the callback agenda if it does not exist already or update it if it exists
 	if (!callbackEntry) {
@@ -82,7 +82,7 @@ ValueChannel.prototype.setTime = ValueChannel.prototype.update;
 // tween factories
 ValueChannel.getSimpleTransformTweener = function (type, vectorComponent, entityId, resolver) {
 	var entity;
-	return function (time, value) {
+	var func = function (time, value) {
 		if (!entity) { entity = resolver(entityId); }
 
 		//
@@ -100,6 +100,9 @@ ValueChannel.getSimpleTransformTweener = function (type, vectorComponent, entity
 			entity.transformComponent.setUpdated();
 		}
 	};
+	func.propertyKey = type + vectorComponent.toUpperCase();
+	func.entityId = entityId;
+	return func;
 };
 
 ValueChannel.getRotationTweener = function (angleIndex, entityId, resolver, rotation) {
@@ -115,6 +118,8 @@ ValueChannel.getRotationTweener = function (angleIndex, entityId, resolver, rota
 		}
 	};
 	func.rotation = rotation;
+	func.propertyKey = 'rotation' + 'XYZ'[angleIndex];
+	func.entityId = entityId;
 	return func;
 };
 
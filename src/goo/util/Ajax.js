@@ -136,7 +136,7 @@ Ajax.prototype.load = function (path, reload) {
 	var url = this._rootPath ? this._rootPath + path : path;
 
 	if (typeInGroup(type, 'image')) {
-		this._cache[path] = this._loadImage(url);
+		this._cache[path] = this.loadImage(url);
 		return this._cache[path];
 	} else if (typeInGroup(type, 'video')) {
 		this._cache[path] = this._loadVideo(url, MIME_TYPES[type]);
@@ -176,7 +176,8 @@ Ajax.prototype.update = function (path, config) {
 };
 
 /**
- * Loads image data at specified path which is returned in a Promise object.
+ * Loads image data at specified path which is returned in a Promise object. Unlike {@link Ajax#load} the image is not
+ * cached and the url needs no file extension, so object and data urls can be loaded too.
  *
  * @example
  * loader.loadImage('resources/image.png').then(function (image) {
@@ -185,7 +186,7 @@ Ajax.prototype.update = function (path, config) {
  * @param {string} url Path to whatever shall be loaded.
  * @returns {RSVP.Promise} The promise is resolved with an Image object.
  */
-Ajax.prototype._loadImage = function (url) {
+Ajax.prototype.loadImage = function (url) {
 	window.URL = window.URL || window.webkitURL;
 	var image = new Image();
 	if (Ajax.crossOrigin) {
@@ -320,7 +321,8 @@ Ajax.types = {
 		animstate: true,
 		sound: true,
 		environment: true,
-		skybox: true
+		skybox: true,
+		gltf: true
 	},
 	image: {
 		jpg: true,
@@ -335,7 +337,8 @@ Ajax.types = {
 	},
 	binary: addKeys({
 		dat: true,
-		bin: true
+		bin: true,
+		glb: true
 	}, Object.keys(TextureHandler.loaders)),
 	audio: {
 		mp3: true,
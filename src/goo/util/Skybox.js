@@ -3,6 +3,7 @@ var Sphere = require('../shapes/Sphere');
 var MeshData = require('../renderer/MeshData');
 var Material = require('../renderer/Material');
 var Shader = require('../renderer/Shader');
+var ShaderBuilder = require('../renderer/shaders/ShaderBuilder');
 var TextureCreator = require('../renderer/TextureCreator');
 var Transform = require('../math/Transform');
 
@@ -61,6 +62,9 @@ Skybox.BOX = 'box';
 
 var shaders = {};
 shaders.box = {
+	processors: [
+		ShaderBuilder.uber.linearSpace
+	],
 	attributes: {
 		vertexPosition: MeshData.POSITION
 	},
@@ -95,11 +99,17 @@ shaders.box = {
 		'void main(void) {',
 		'	vec4 cube = textureCube(diffuseMap, eyeVec);',
 		'	if (cube.a < 0.05) discard;',
+		'#ifdef LINEAR_SPACE',
+		'	cube.rgb = pow(cube.rgb, vec3(2.2));',
+		'#endif',
 		'	gl_FragColor = cube;',
 		'}'
 	].join('\n')
 };
 shaders.sphere = {
+	processors: [
+		ShaderBuilder.uber.linearSpace
+	],
 	attributes: {
 		vertexPosition: MeshData.POSITION,
 		vertexUV0: MeshData.TEXCOORD0
@@ -140,6 +150,9 @@ shaders.sphere = {
 		'{',
 		'	vec4 sphere = texture2D(diffuseMap, texCoord0);',
 		'	if (sphere.a < 0.05) discard;',
+		'#ifdef LINEAR_SPACE',
+		'	sphere.rgb = pow(sphere.rgb, vec3(2.2));',
+		'#endif',
 		'	gl_FragColor = sphere;',
 		'}'
 	].join('\n')
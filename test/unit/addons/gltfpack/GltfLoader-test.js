@@ -0,0 +1,315 @@
+var World = require('../../../../src/goo/entities/World');
+var TransformSystem = require('../../../../src/goo/entities/systems/TransformSystem');
+var MeshData = require('../../../../src/goo/renderer/MeshData');
+var RenderQueue = require('../../../../src/goo/renderer/RenderQueue');
+var Joint = require('../../../../src/goo/animationpack/Joint');
+var PromiseUtils = require('../../../../src/goo/util/PromiseUtils');
+var GltfLoader = require('../../../../src/goo/addons/gltfpack/GltfLoader');
+
+describe('GltfLoader', function () {
+	var world, loader;
+
+	// packs typed arrays into a base64 data uri, returning the byte offset of each array
+	function createBuffer(arrays) {
+		var byteLength = 0;
+		var offsets = arrays.map(function (array) {
+			var offset = byteLength;
+			byteLength += Math.ceil(array.byteLength / 4) * 4;
+			return offset;
+		});
+
+		var bytes = new Uint8Array(byteLength);
+		arrays.forEach(function (array, index) {
+			bytes.set(new Uint8Array(array.buffer), offsets[index]);
+		});
+
+		var text = '';
+		for (var i = 0; i < bytes.length; i++) {
+			text += String.fromCharCode(bytes[i]);
+		}
+
+		return {
+			uri: 'data:application/octet-stream;base64,' + btoa(text),
+			byteLength: byteLength,
+			offsets: offsets
+		};
+	}
+
+	function createGltf(arrays, accessors) {
+		var buffer = createBuffer(arrays);
+		return {
+			asset: { version: '2.0' },
+			buffers: [{ uri: buffer.uri, byteLength: buffer.byteLength }],
+			bufferViews: arrays.map(function (array, index) {
+				return { buffer: 0, byteOffset: buffer.offsets[index], byteLength: array.byteLength };
+			}),
+			accessors: accessors.map(function (accessor, index) {
+				accessor.bufferView = index;
+				return accessor;
+			})
+		};
+	}
+
+	// accessors 0: positions, 1: indices
+	var triangle = [
+		new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+		new Uint16Array([0, 1, 2])
+	];
+
+	function triangleAccessors() {
+		return [
+			{ componentType: 5126, count: 3, type: 'VEC3' },
+			{ componentType: 5123, count: 3, type: 'SCALAR' }
+		];
+	}
+
+	beforeEach(function () {
+		world = new World();
+		world.setSystem(new TransformSystem());
+		loader = new GltfLoader({ world: world });
+	});
+
+	it('throws if no world is given', function () {
+		expect(function () {
+			new GltfLoader({});
+		}).toThrow(new Error('World argument cannot be null'));
+	});
+
+	describe('.parse', function () {
+		it('rejects files that are not glTF 2.0', function (done) {
+			loader.parse({ asset: { version: '1.0' } }).then(null, function (error) {
+				expect(error.message).toEqual('Unsupported glTF version: 1.0');
+				done();
+			});
+		});
+
+		it('rejects files with unsupported required extensions', function (done) {
+			loader.parse({ asset: { version: '2.0' }, extensionsRequired: ['KHR_draco_mesh_compression'] }).then(null, function (error) {
+				expect(error.message).toEqual('Unsupported required glTF extensions: KHR_draco_mesh_compression');
+				done();
+			});
+		});
+
+		it('creates a hierarchy of entities from the nodes of the scene', function (done) {
+			var gltf = createGltf([], []);
+			gltf.nodes = [
+				{ name: 'parent', translation: [1, 2, 3], children: [1] },
+				{ name: 'child', scale: [2, 2, 2] },
+				{ name: 'not in scene' }
+			];
+			gltf.scenes = [{ nodes: [0] }];
+
+			loader.parse(gltf).then(function (result) {
+				var parent = result.entities[0];
+				var child = result.entities[1];
+
+				expect(result.entities[2]).toBeUndefined();
+				expect(parent.name).toEqual('parent');
+				expect(parent.transformComponent.parent).toBe(result.root.transformComponent);
+				expect(child.transformComponent.parent).toBe(parent.transformComponent);
+				expect(parent.getTranslation().toArray()).toEqual([1, 2, 3]);
+				expect(child.getScale().toArray()).toEqual([2, 2, 2]);
+
+				world.process();
+				expect(world.entityManager.containsEntity(child)).toBeTruthy();
+				done();
+			});
+		});
+
+		it('does not add the entities to the world if addToWorld is false', function (done) {
+			var gltf = createGltf([], []);
+			gltf.nodes = [{ name: 'node' }];
+
+			loader.parse(gltf, '', { addToWorld: false }).then(function (result) {
+				world.process();
+				expect(world.entityManager.containsEntity(result.entities[0])).toBeFalsy();
+				done();
+			});
+		});
+
+		it('parses binary glTF files', function (done) {
+			var json = JSON.stringify({ asset: { version: '2.0' }, nodes: [{ name: 'glb node' }] });
+			while (json.length % 4) {
+				json += ' ';
+			}
+
+			var arrayBuffer = new ArrayBuffer(20 + json.length);
+			var view = new DataView(arrayBuffer);
+			view.setUint32(0, 0x46546C67, true);
+			view.setUint32(4, 2, true);
+			view.setUint32(8, arrayBuffer.byteLength, true);
+			view.setUint32(12, json.length, true);
+			view.setUint32(16, 0x4E4F534A, true);
+			for (var i = 0; i < json.length; i++) {
+				view.setUint8(20 + i, json.charCodeAt(i));
+			}
+
+			loader.parse(arrayBuffer).then(function (result) {
+				expect(result.entities[0].name).toEqual('glb node');
+				done();
+			});
+		});
+
+		it('creates mesh data and materials for meshes', function (done) {
+			var gltf = createGltf(triangle, triangleAccessors());
+			gltf.meshes = [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }];
+			gltf.materials = [{
+				name: 'red',
+				pbrMetallicRoughness: { baseColorFactor: [1, 0, 0, 0.5] },
+				alphaMode: 'BLEND',
+				doubleSided: true
+			}];
+			gltf.nodes = [{ mesh: 0 }];
+
+			loader.parse(gltf).then(function (result) {
+				var entity = result.entities[0];
+				var meshData = entity.meshDataComponent.meshData;
+				var material = entity.meshRendererComponent.materials[0];
+
+				expect(meshData).toBe(result.meshes[0][0]);
+				expect(meshData.vertexCount).toEqual(3);
+				expect(Array.prototype.slice.call(meshData.getAttributeBuffer(MeshData.POSITION))).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+				expect(Array.prototype.slice.call(meshData.getIndexBuffer())).toEqual([0, 1, 2]);
+				expect(meshData.indexModes).toEqual(['Triangles']);
+
+				expect(material).toBe(result.materials[0]);
+				expect(material.name).toEqual('red');
+				expect(material.uniforms.materialDiffuse).toEqual([1, 0, 0, 1]);
+				expect(material.uniforms.opacity).toEqual(0.5);
+				expect(material.blendState.blending).toEqual('TransparencyBlending');
+				expect(material.renderQueue).toEqual(RenderQueue.TRANSPARENT);
+				expect(material.cullState.enabled).toBe(false);
+				done();
+			});
+		});
+
+		it('loads embedded images through the image loader of its ajax', function (done) {
+			var image = {};
+			spyOn(loader._ajax, 'loadImage').and.returnValue(PromiseUtils.resolve(image));
+			var gltf = { images: [{ uri: 'data:image/png;base64,AAAA' }] };
+
+			loader._loadImages(gltf, [], '').then(function (images) {
+				expect(loader._ajax.loadImage).toHaveBeenCalledWith('data:image/png;base64,AAAA');
+				expect(images).toEqual([image]);
+				done();
+			});
+		});
+
+		it('creates a child entity per primitive for meshes with several primitives', function (done) {
+			var gltf = createGltf(triangle, triangleAccessors());
+			gltf.meshes = [{ primitives: [
+				{ attributes: { POSITION: 0 }, indices: 1 },
+				{ attributes: { POSITION: 0 }, mode: 0 }
+			] }];
+			gltf.nodes = [{ name: 'mesh', mesh: 0 }];
+
+			loader.parse(gltf).then(function (result) {
+				var children = result.entities[0].transformComponent.children;
+				expect(result.entities[0].meshDataComponent).toBeUndefined();
+				expect(children.length).toEqual(2);
+				expect(children[0].entity.meshDataComponent.meshData).toBe(result.meshes[0][0]);
+				expect(children[1].entity.meshDataComponent.meshData.indexModes).toEqual(['Points']);
+				done();
+			});
+		});
+
+		it('loads morph targets and their initial weights', function (done) {
+			var gltf = createGltf(
+				triangle.concat([new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1])]),
+				triangleAccessors().concat([{ componentType: 5126, count: 3, type: 'VEC3' }])
+			);
+			gltf.meshes = [{
+				primitives: [{ attributes: { POSITION: 0 }, indices: 1, targets: [{ POSITION: 2 }] }],
+				weights: [0.25],
+				extras: { targetNames: ['raised'] }
+			}];
+			gltf.nodes = [{ mesh: 0 }];
+
+			loader.parse(gltf).then(function (result) {
+				var meshDataComponent = result.entities[0].meshDataComponent;
+				expect(meshDataComponent.meshData.morphTargetNames).toEqual(['raised']);
+				expect(meshDataComponent.morphWeights[0]).toEqual(0.25);
+				done();
+			});
+		});
+
+		it('creates a skeleton pose for skins', function (done) {
+			var gltf = createGltf(
+				triangle.concat([
+					new Uint16Array([1, 1, 1, 1, 0, 0, 0, 0, 1, 0, 0, 0]),
+					new Float32Array([1, 0, 0, 0, 1, 0, 0, 0, 0.5, 0.5, 0, 0]),
+					new Float32Array([
+						1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1,
+						1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -1, 0, 1
+					])
+				]),
+				triangleAccessors().concat([
+					{ componentType: 5123, count: 3, type: 'VEC4' },
+					{ componentType: 5126, count: 3, type: 'VEC4' },
+					{ componentType: 5126, count: 2, type: 'MAT4' }
+				])
+			);
+			gltf.meshes = [{ primitives: [{ attributes: { POSITION: 0, JOINTS_0: 2, WEIGHTS_0: 3 }, indices: 1 }] }];
+			// the child joint is listed first in the skin
+			gltf.skins = [{ joints: [2, 1], inverseBindMatrices: 4 }];
+			gltf.nodes = [
+				{ name: 'character', children: [1, 3] },
+				{ name: 'hip', children: [2] },
+				{ name: 'spine', translation: [0, 1, 0] },
+				{ name: 'body', mesh: 0, skin: 0 }
+			];
+
+			loader.parse(gltf).then(function (result) {
+				var skinEntity = result.animatedEntities[0];
+				var meshDataComponent = skinEntity.transformComponent.children[0].entity.meshDataComponent;
+				var pose = meshDataComponent.currentPose;
+				var joints = pose._skeleton._joints;
+
+				expect(result.entities[1]).toBeUndefined();
+				expect(joints[0]._name).toEqual('hip');
+				expect(joints[0]._parentIndex).toEqual(Joint.NO_PARENT);
+				expect(joints[1]._name).toEqual('spine');
+				expect(joints[1]._parentIndex).toEqual(0);
+				expect(joints[0]._inverseBindPose.translation.toArray()).toEqual([0, -1, 0]);
+				expect(meshDataComponent.meshData.type).toEqual(MeshData.SKINMESH);
+				expect(meshDataComponent.meshData.paletteMap).toEqual([1, 0]);
+
+				expect(result.entities[3].meshDataComponent).toBeUndefined();
+				expect(skinEntity.animationComponent._skeletonPose).toBe(pose);
+				expect(skinEntity.transformComponent.parent).toBe(result.entities[0].transformComponent);
+				done();
+			});
+		});
+
+		it('creates animation states for animated nodes', function (done) {
+			var gltf = createGltf(
+				[new Float32Array([0, 1]), new Float32Array([0, 0, 0, 2, 0, 0])],
+				[
+					{ componentType: 5126, count: 2, type: 'SCALAR' },
+					{ componentType: 5126, count: 2, type: 'VEC3' }
+				]
+			);
+			gltf.nodes = [{ name: 'mover', rotation: [0, 0, 0, 1] }];
+			gltf.animations = [{
+				name: 'Move',
+				samplers: [{ input: 0, output: 1 }],
+				channels: [{ sampler: 0, target: { node: 0, path: 'translation' } }]
+			}];
+
+			loader.parse(gltf).then(function (result) {
+				var entity = result.entities[0];
+				var layer = entity.animationComponent.layers[0];
+				var channel = layer.getStateById('Move')._sourceTree._clip._channels[0];
+
+				expect(result.animations).toEqual(['Move']);
+				expect(result.animatedEntities).toEqual([entity]);
+				expect(world.getSystem('AnimationSystem')).toBeTruthy();
+				expect(layer._currentState.id).toEqual('Move');
+				expect(channel._channelName).toEqual('mover');
+				expect(Array.prototype.slice.call(channel._translations)).toEqual([0, 0, 0, 2, 0, 0]);
+				expect(Array.prototype.slice.call(channel._scales)).toEqual([1, 1, 1, 1, 1, 1]);
+				done();
+			});
+		});
+	});
+});
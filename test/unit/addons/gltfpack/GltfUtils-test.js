@@ -0,0 +1,31 @@
+var GltfUtils = require('../../../../src/goo/addons/gltfpack/GltfUtils');
+
+describe('GltfUtils', function () {
+	describe('.sample', function () {
+		it('interpolates linearly between key frames', function () {
+			var store = [];
+			GltfUtils.sample([0, 1], [0, 0, 2, 4], 2, 'LINEAR', 0.5, store);
+			expect(store).toEqual([1, 2]);
+		});
+
+		it('holds values with step interpolation', function () {
+			var store = [];
+			GltfUtils.sample([0, 1], [0, 2], 1, 'STEP', 0.9, store);
+			expect(store).toEqual([0]);
+		});
+
+		it('clamps to the first and last key frames', function () {
+			var store = [];
+			GltfUtils.sample([1, 2], [3, 5], 1, 'LINEAR', 0, store);
+			expect(store).toEqual([3]);
+			GltfUtils.sample([1, 2], [3, 5], 1, 'LINEAR', 4, store);
+			expect(store).toEqual([5]);
+		});
+	});
+
+	describe('.mergeTimes', function () {
+		it('merges sorted times without duplicates', function () {
+			expect(GltfUtils.mergeTimes([[0, 1, 2], [0.5, 1]])).toEqual([0, 0.5, 1, 2]);
+		});
+	});
+});
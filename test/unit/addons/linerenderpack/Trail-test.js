@@ -0,0 +1,51 @@
+var Vector3 = require('../../../../src/goo/math/Vector3');
+var Trail = require('../../../../src/goo/addons/linerenderpack/Trail');
+var CustomMatchers = require('../../../../test/unit/CustomMatchers');
+
+describe('Trail', function () {
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+	});
+
+	it('adds points and moves the head until it has moved far enough', function () {
+		var trail = new Trail(8);
+		trail.update(new Vector3(0, 0, 0), 0, 1);
+		trail.update(new Vector3(0.5, 0, 0), 0.1, 1);
+		expect(trail.count).toBe(2);
+
+		trail.update(new Vector3(0.8, 0, 0), 0.2, 1);
+		expect(trail.count).toBe(2);
+		expect(trail.getPoint(1, new Vector3())).toBeCloseToVector(new Vector3(0.8, 0, 0));
+		expect(trail.getTime(1)).toBeCloseTo(0.2);
+
+		trail.update(new Vector3(1.5, 0, 0), 0.3, 1);
+		expect(trail.count).toBe(3);
+		expect(trail.getDistance(2)).toBeCloseTo(1.5);
+	});
+
+	it('drops the oldest points when full', function () {
+		var trail = new Trail(3);
+		for (var i = 0; i < 5; i++) {
+			trail.addPoint(new Vector3(i, 0, 0), i);
+		}
+
+		expect(trail.count).toBe(3);
+		expect(trail.getPoint(0, new Vector3())).toEqual(new Vector3(2, 0, 0));
+		expect(trail.getPoint(2, new Vector3())).toEqual(new Vector3(4, 0, 0));
+		expect(trail.getDistance(2)).toBe(4);
+	});
+
+	it('removes old points', function () {
+		var trail = new Trail(4);
+		trail.addPoint(new Vector3(0, 0, 0), 0);
+		trail.addPoint(new Vector3(1, 0, 0), 1);
+		trail.addPoint(new Vector3(2, 0, 0), 2);
+
+		trail.removeOlderThan(1.5);
+		expect(trail.count).toBe(1);
+		expect(trail.getPoint(0, new Vector3())).toEqual(new Vector3(2, 0, 0));
+
+		trail.clear();
+		expect(trail.count).toBe(0);
+	});
+});
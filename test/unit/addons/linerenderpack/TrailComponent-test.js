@@ -0,0 +1,71 @@
+var Vector3 = require('../../../../src/goo/math/Vector3');
+var World = require('../../../../src/goo/entities/World');
+var TransformComponent = require('../../../../src/goo/entities/components/TransformComponent');
+var MeshRendererComponent = require('../../../../src/goo/entities/components/MeshRendererComponent');
+var MeshDataComponent = require('../../../../src/goo/entities/components/MeshDataComponent');
+var TrailComponent = require('../../../../src/goo/addons/linerenderpack/TrailComponent');
+var TrailSystem = require('../../../../src/goo/addons/linerenderpack/TrailSystem');
+
+describe('TrailComponent', function () {
+	var world;
+
+	beforeEach(function () {
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.registerComponent(MeshRendererComponent);
+		world.registerComponent(MeshDataComponent);
+		world.registerComponent(TrailComponent);
+		world.setSystem(new TrailSystem());
+	});
+
+	it('follows its entity', function () {
+		var component = new TrailComponent({ lifeTime: 1, minVertexDistance: 0, offset: new Vector3(0, 1, 0) });
+		var entity = world.createEntity([0, 0, 0], component).addToWorld();
+		world.tpf = 0.1;
+		world.process();
+		entity.setTranslation(2, 0, 0);
+		world.process();
+
+		expect(component.trail.count).toBe(2);
+		expect(component.trail.getPoint(1, new Vector3())).toEqual(new Vector3(2, 1, 0));
+		expect(component.meshEntity.meshDataComponent.meshData).toBe(component.trailRenderer.meshData);
+		expect(component.trailRenderer.meshData.indexLengths).toEqual([6]);
+	});
+
+	it('fades out when not emitting', function () {
+		var component = new TrailComponent({ lifeTime: 0.5 });
+		var entity = world.createEntity([0, 0, 0], component).addToWorld();
+		world.tpf = 0.1;
+		world.process();
+		entity.setTranslation(2, 0, 0);
+		world.process();
+
+		component.emitting = false;
+		for (var i = 0; i < 10; i++) {
+			world.process();
+		}
+		expect(component.trail.count).toBe(0);
+		expect(component.trailRenderer.meshData.indexLengths).toEqual([0]);
+	});
+
+	it('removes the ribbon entity when removed', function () {
+		var component = new TrailComponent();
+		var entity = world.createEntity([0, 0, 0], component).addToWorld();
+		world.process();
+		var meshEntity = component.meshEntity;
+
+		entity.clearComponent('TrailComponent');
+		world.process();
+		expect(world.entityManager.containsEntity(meshEntity)).toBe(false);
+	});
+
+	it('can clone', function () {
+		var component = new TrailComponent({ maxPoints: 12, width: 3, offset: new Vector3(1, 2, 3), blending: 'NoBlending' });
+		var clone = component.clone();
+
+		expect(clone.maxPoints).toBe(12);
+		expect(clone.trailRenderer.width).toBe(3);
+		expect(clone.offset).toEqual(new Vector3(1, 2, 3));
+		expect(clone.trailRenderer.blending).toBe('NoBlending');
+	});
+});
@@ -0,0 +1,97 @@
+var Vector3 = require('../../../../src/goo/math/Vector3');
+var Vector4 = require('../../../../src/goo/math/Vector4');
+var MeshData = require('../../../../src/goo/renderer/MeshData');
+var Texture = require('../../../../src/goo/renderer/Texture');
+var Trail = require('../../../../src/goo/addons/linerenderpack/Trail');
+var TrailRenderer = require('../../../../src/goo/addons/linerenderpack/TrailRenderer');
+
+describe('TrailRenderer', function () {
+	var trail;
+
+	beforeEach(function () {
+		trail = new Trail(4);
+		trail.addPoint(new Vector3(0, 0, 0), 0);
+		trail.addPoint(new Vector3(1, 0, 0), 0.5);
+		trail.addPoint(new Vector3(3, 0, 0), 1);
+	});
+
+	it('builds a strip along the trail', function () {
+		var trailRenderer = new TrailRenderer(2, 4, { width: 2 });
+		trailRenderer.update([trail], 1);
+
+		var meshData = trailRenderer.meshData;
+		expect(meshData.indexLengths).toEqual([12]);
+		expect(Array.prototype.slice.call(meshData.getIndexBuffer(), 0, 12)).toEqual([0, 1, 2, 1, 3, 2, 2, 3, 4, 3, 5, 4]);
+
+		var positions = meshData.getAttributeBuffer(MeshData.POSITION);
+		expect(positions[2 * 3]).toBe(1);
+		expect(positions[3 * 3]).toBe(1);
+
+		// the tangent and the signed half width
+		var trailInfo = meshData.getAttributeBuffer('TRAIL_INFO');
+		expect(Array.prototype.slice.call(trailInfo, 8, 16)).toEqual([3, 0, 0, 1, 3, 0, 0, -1]);
+	});
+
+	it('scales the width and color along the trail', function () {
+		var trailRenderer = new TrailRenderer(1, 4, {
+			lifeTime: 1,
+			width: 2,
+			color: new Vector4(1, 0.5, 1, 1),
+			widthCurve: { getValueAt: function (t) { return 1 - t; } },
+			colorCurve: { getVec4ValueAt: function (t, lerp, store) { store.setDirect(1, 1, 1, 1 - t); } }
+		});
+		trailRenderer.update([trail], 1);
+
+		var trailInfo = trailRenderer.meshData.getAttributeBuffer('TRAIL_INFO');
+		expect(trailInfo[3]).toBe(0);
+		expect(trailInfo[2 * 4 + 3]).toBeCloseTo(0.5);
+		expect(trailInfo[4 * 4 + 3]).toBeCloseTo(1);
+
+		var colors = trailRenderer.meshData.getAttributeBuffer(MeshData.COLOR);
+		expect(Array.prototype.slice.call(colors, 8, 12)).toEqual([1, 0.5, 1, 0.5]);
+	});
+
+	it('stretches or tiles the texture', function () {
+		var trailRenderer = new TrailRenderer(1, 4);
+		trailRenderer.update([trail], 1);
+		var uvs = trailRenderer.meshData.getAttributeBuffer(MeshData.TEXCOORD0);
+		expect(uvs[0]).toBe(1);
+		expect(uvs[2 * 2]).toBeCloseTo(2 / 3);
+		expect(uvs[4 * 2]).toBe(0);
+		expect([uvs[1], uvs[3]]).toEqual([0, 1]);
+
+		trailRenderer.uvMode = TrailRenderer.UV_TILE;
+		trailRenderer.tileLength = 2;
+		trailRenderer.update([trail], 1);
+		expect([uvs[0], uvs[2 * 2], uvs[4 * 2]]).toEqual([0, 0.5, 1.5]);
+	});
+
+	it('takes the uv mode by name', function () {
+		expect(new TrailRenderer(1, 4, { uvMode: 'tile' }).uvMode).toBe(TrailRenderer.UV_TILE);
+		expect(new TrailRenderer(1, 4, { uvMode: 'stretch' }).uvMode).toBe(TrailRenderer.UV_STRETCH);
+	});
+
+	it('creates trails that fit its ribbons', function () {
+		var trailRenderer = new TrailRenderer(1, 5);
+		expect(trailRenderer.createTrail().maxPoints).toBe(5);
+	});
+
+	it('skips trails with less than two points', function () {
+		var trailRenderer = new TrailRenderer(2, 4);
+		trailRenderer.update([new Trail(4), trail], 1);
+
+		expect(trailRenderer.meshData.indexLengths).toEqual([12]);
+		expect(trailRenderer.meshData.getIndexBuffer()[0]).toBe(8);
+	});
+
+	it('sets the texture define', function () {
+		var trailRenderer = new TrailRenderer(1, 4);
+		var texture = new Texture();
+		trailRenderer.texture = texture;
+		expect(trailRenderer.material.shader.hasDefine('TRAIL_TEXTURE')).toBe(true);
+		expect(trailRenderer.texture).toBe(texture);
+
+		trailRenderer.texture = null;
+		expect(trailRenderer.material.shader.hasDefine('TRAIL_TEXTURE')).toBe(false);
+	});
+});
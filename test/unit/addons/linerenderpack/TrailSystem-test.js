@@ -0,0 +1,12 @@
+var TrailRenderer = require('../../../../src/goo/addons/linerenderpack/TrailRenderer');
+var TrailSystem = require('../../../../src/goo/addons/linerenderpack/TrailSystem');
+
+describe('TrailSystem', function () {
+	it('creates trail renderers for other packs', function () {
+		var trailRenderer = new TrailSystem().createTrailRenderer(3, 8, { width: 2 });
+		expect(trailRenderer).toEqual(jasmine.any(TrailRenderer));
+		expect(trailRenderer.maxTrails).toBe(3);
+		expect(trailRenderer.maxPoints).toBe(8);
+		expect(trailRenderer.width).toBe(2);
+	});
+});
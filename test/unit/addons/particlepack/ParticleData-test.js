@@ -20,4 +20,18 @@ describe('ParticleData', function () {
 		var store = new Vector3();
 		component.particles[0].getWorldPosition(store);
 	});
+
+	it('can get the position and velocity at an age', function () {
+		var component = new ParticleSystemComponent({
+			localSpace: false,
+			gravity: new Vector3(0, -2, 0)
+		});
+		world.createEntity([0, 0, 0], component).addToWorld();
+		var particle = component.particles[0];
+		particle.startPosition.setDirect(1, 2, 3);
+		particle.startDirection.setDirect(1, 0, 0);
+
+		expect(particle.getPositionAt(2, new Vector3())).toBeCloseToVector(new Vector3(3, -2, 3));
+		expect(particle.getVelocityAt(2, new Vector3())).toBeCloseToVector(new Vector3(1, -4, 0));
+	});
 });
\ No newline at end of file
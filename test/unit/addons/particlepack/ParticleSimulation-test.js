@@ -0,0 +1,110 @@
+var CustomMatchers = require('../../CustomMatchers');
+var ForceFieldComponent = require('../../../../src/goo/addons/particlepack/components/ForceFieldComponent');
+var ParticleSimulation = require('../../../../src/goo/addons/particlepack/ParticleSimulation');
+var MeshData = require('../../../../src/goo/renderer/MeshData');
+var Transform = require('../../../../src/goo/math/Transform');
+var Vector3 = require('../../../../src/goo/math/Vector3');
+
+describe('ParticleSimulation', function () {
+	var simulation;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		simulation = new ParticleSimulation(10);
+	});
+
+	it('fits a texel for each particle in square float textures', function () {
+		expect(simulation.textureSize).toBe(4);
+		var texture = simulation.getPositionTexture();
+		expect(texture.width).toBe(4);
+		expect(texture.height).toBe(4);
+		expect(texture.type).toBe('Float');
+		expect(simulation.meshData.vertexCount).toBe(10);
+		expect(simulation.meshData.indexModes).toEqual(['Points']);
+	});
+
+	it('copies one vertex of spawn data per particle', function () {
+		var attributeMap = {
+			TIME_INFO: MeshData.createAttribute(4, 'Float'),
+			START_POS: MeshData.createAttribute(4, 'Float'),
+			START_DIR: MeshData.createAttribute(4, 'Float')
+		};
+		var meshData = new MeshData(attributeMap, 40, 0);
+		var startPos = meshData.getAttributeBuffer('START_POS');
+		for (var i = 0; i < 40; i++) {
+			startPos[i * 4] = Math.floor(i / 4);
+			startPos[i * 4 + 3] = Math.floor(i / 4);
+		}
+
+		simulation.copyParticleData(meshData, 4);
+
+		var copied = simulation.meshData.getAttributeBuffer('START_POS');
+		expect(copied[3 * 4]).toBe(3);
+		expect(copied[9 * 4 + 3]).toBe(9);
+	});
+
+	it('puts the force fields into simulation space', function () {
+		var field = new ForceFieldComponent({
+			type: ForceFieldComponent.VORTEX,
+			strength: 2,
+			radius: 3,
+			frequency: 4
+		});
+		field.worldPosition.setDirect(1, 0, 0);
+		field.worldDirection.setDirect(0, 0, 1);
+
+		var transform = new Transform();
+		transform.translation.setDirect(1, 0, 1);
+		transform.rotation.fromAngles(0, Math.PI / 2, 0);
+		transform.update();
+		simulation.setForceFields([field], transform);
+
+		var uniforms = simulation.velocityMaterial.uniforms;
+		expect(uniforms.fieldCount).toBe(1);
+		expect(new Vector3(uniforms.fieldPositions.slice(0, 3))).toBeCloseToVector(new Vector3(1, 0, 0));
+		expect(uniforms.fieldPositions[3]).toBe(ForceFieldComponent.VORTEX);
+		expect(new Vector3(uniforms.fieldDirections.slice(0, 3))).toBeCloseToVector(new Vector3(-1, 0, 0));
+		expect(uniforms.fieldDirections[3]).toBe(2);
+		expect(uniforms.fieldParams.slice(0, 2)).toEqual([3, 4]);
+	});
+
+	it('ignores force fields past the maximum', function () {
+		var fields = [];
+		for (var i = 0; i < ParticleSimulation.MAX_FORCE_FIELDS + 2; i++) {
+			fields.push(new ForceFieldComponent());
+		}
+		simulation.setForceFields(fields);
+		expect(simulation.velocityMaterial.uniforms.fieldCount).toBe(ParticleSimulation.MAX_FORCE_FIELDS);
+	});
+
+	it('renders the velocities and then the positions into the other textures', function () {
+		var materials = [];
+		var renderer = jasmine.createSpyObj('renderer', ['render']);
+		renderer.render.and.callFake(function (renderable) {
+			materials.push(renderable.materials[0]);
+		});
+		var positionTexture = simulation.getPositionTexture();
+		var velocityTexture = simulation.getVelocityTexture();
+
+		simulation.update(renderer, 0.1, 1, new Vector3(0, -10, 0), true);
+
+		var calls = renderer.render.calls.all();
+		expect(calls.length).toBe(2);
+		expect(materials).toEqual([simulation.velocityMaterial, simulation.positionMaterial]);
+		expect(calls[0].args[3]).not.toBe(velocityTexture);
+		expect(calls[1].args[3]).not.toBe(positionTexture);
+
+		expect(simulation.getPositionTexture()).toBe(calls[1].args[3]);
+		expect(simulation.getVelocityTexture()).toBe(calls[0].args[3]);
+		expect(simulation.positionMaterial.getTexture('VELOCITY_STATE')).toBe(calls[0].args[3]);
+
+		var uniforms = simulation.velocityMaterial.uniforms;
+		expect(uniforms.gravity).toEqual([0, -10, 0]);
+		expect(uniforms.reset).toBe(1);
+		expect(simulation.velocityMaterial.shader.hasDefine('LOOP')).toBe(true);
+
+		simulation.update(renderer, 0.1, 1.1, new Vector3(0, -10, 0), false);
+		expect(uniforms.reset).toBe(0);
+		expect(simulation.getPositionTexture()).toBe(positionTexture);
+	});
+});
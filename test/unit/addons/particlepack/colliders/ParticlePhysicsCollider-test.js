@@ -0,0 +1,56 @@
+var ParticlePhysicsCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticlePhysicsCollider');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
+
+describe('ParticlePhysicsCollider', function () {
+	var result, physicsSystem;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		result = { point: new Vector3(), normal: new Vector3(), fraction: 0 };
+		physicsSystem = jasmine.createSpyObj('physicsSystem', ['raycastClosest']);
+	});
+
+	it('raycasts along the path of the particle', function () {
+		physicsSystem.raycastClosest.and.callFake(function (start, direction, maxDistance, options, raycastResult) {
+			expect(start).toEqual(new Vector3(0, 4, 0));
+			expect(direction).toBeCloseToVector(new Vector3(0, -1, 0));
+			expect(maxDistance).toBeCloseTo(4);
+			expect(options.collisionMask).toBe(2);
+			raycastResult.point.setDirect(0, 1, 0);
+			raycastResult.normal.setDirect(0, 1, 0);
+			raycastResult.distance = 3;
+			return true;
+		});
+		var collider = new ParticlePhysicsCollider(physicsSystem, { collisionMask: 2 });
+
+		expect(collider.raycast(new Vector3(0, 4, 0), new Vector3(0, 0, 0), result)).toBe(true);
+		expect(result.fraction).toBeCloseTo(0.75);
+		expect(result.point).toEqual(new Vector3(0, 1, 0));
+		expect(result.normal).toEqual(new Vector3(0, 1, 0));
+	});
+
+	it('misses if the raycast misses', function () {
+		physicsSystem.raycastClosest.and.returnValue(false);
+		var collider = new ParticlePhysicsCollider(physicsSystem);
+
+		expect(collider.raycast(new Vector3(0, 4, 0), new Vector3(0, 0, 0), result)).toBe(false);
+		expect(collider.raycast(new Vector3(0, 4, 0), new Vector3(0, 4, 0), result)).toBe(false);
+		expect(physicsSystem.raycastClosest.calls.count()).toBe(1);
+	});
+
+	it('looks for the physics system in its world until there is one', function () {
+		var world = jasmine.createSpyObj('world', ['getSystem']);
+		var collider = new ParticlePhysicsCollider(null, { world: world });
+
+		expect(collider.raycast(new Vector3(0, 4, 0), new Vector3(0, 0, 0), result)).toBe(false);
+
+		physicsSystem.raycastClosest.and.returnValue(false);
+		world.getSystem.and.returnValue(physicsSystem);
+		collider.raycast(new Vector3(0, 4, 0), new Vector3(0, 0, 0), result);
+
+		expect(world.getSystem).toHaveBeenCalledWith('PhysicsSystem');
+		expect(physicsSystem.raycastClosest).toHaveBeenCalled();
+		expect(collider.physicsSystem).toBe(physicsSystem);
+	});
+});
@@ -0,0 +1,28 @@
+var ParticlePlaneCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticlePlaneCollider');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
+
+describe('ParticlePlaneCollider', function () {
+	var result;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		result = { point: new Vector3(), normal: new Vector3(), fraction: 0 };
+	});
+
+	it('hits the plane from the front', function () {
+		var collider = new ParticlePlaneCollider({ normal: new Vector3(0, 2, 0), constant: 1 });
+
+		expect(collider.raycast(new Vector3(1, 3, 0), new Vector3(1, -1, 0), result)).toBe(true);
+		expect(result.fraction).toBeCloseTo(0.5);
+		expect(result.point).toBeCloseToVector(new Vector3(1, 1, 0));
+		expect(result.normal).toBeCloseToVector(new Vector3(0, 1, 0));
+	});
+
+	it('ignores paths that do not cross the plane from the front', function () {
+		var collider = new ParticlePlaneCollider();
+
+		expect(collider.raycast(new Vector3(0, 2, 0), new Vector3(0, 1, 0), result)).toBe(false);
+		expect(collider.raycast(new Vector3(0, -1, 0), new Vector3(0, 1, 0), result)).toBe(false);
+	});
+});
@@ -0,0 +1,46 @@
+var ParticleTerrainCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticleTerrainCollider');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
+
+describe('ParticleTerrainCollider', function () {
+	var result;
+
+	// A slope rising along x
+	var terrain = {
+		getHeightAt: function (pos) {
+			return pos[0];
+		}
+	};
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		result = { point: new Vector3(), normal: new Vector3(), fraction: 0 };
+	});
+
+	it('hits the terrain surface', function () {
+		var collider = new ParticleTerrainCollider(terrain);
+
+		expect(collider.raycast(new Vector3(0, 2, 0), new Vector3(4, 2, 0), result)).toBe(true);
+		expect(result.fraction).toBeCloseTo(0.5);
+		expect(result.point).toBeCloseToVector(new Vector3(2, 2, 0));
+		expect(result.normal).toBeCloseToVector(new Vector3(-1, 1, 0).normalize());
+	});
+
+	it('uses the normals of the terrain if it has them', function () {
+		var collider = new ParticleTerrainCollider({
+			getHeightAt: terrain.getHeightAt,
+			getNormalAt: function () {
+				return new Vector3(0, 2, 0);
+			}
+		});
+
+		expect(collider.raycast(new Vector3(0, 2, 0), new Vector3(4, 2, 0), result)).toBe(true);
+		expect(result.normal).toBeCloseToVector(new Vector3(0, 1, 0));
+	});
+
+	it('ignores paths that stay above the terrain', function () {
+		var collider = new ParticleTerrainCollider(terrain);
+
+		expect(collider.raycast(new Vector3(0, 2, 0), new Vector3(1, 2, 0), result)).toBe(false);
+	});
+});
@@ -0,0 +1,69 @@
+var CustomMatchers = require('../../../CustomMatchers');
+var ForceFieldComponent = require('../../../../../src/goo/addons/particlepack/components/ForceFieldComponent');
+var ForceFieldSystem = require('../../../../../src/goo/addons/particlepack/systems/ForceFieldSystem');
+var TransformComponent = require('../../../../../src/goo/entities/components/TransformComponent');
+var TransformSystem = require('../../../../../src/goo/entities/systems/TransformSystem');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var World = require('../../../../../src/goo/entities/World');
+
+describe('ForceFieldComponent', function () {
+	var world, system;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.registerComponent(ForceFieldComponent);
+		world.setSystem(new TransformSystem());
+		system = new ForceFieldSystem();
+		world.setSystem(system);
+	});
+
+	it('gets added to the entity via world.createEntity', function () {
+		var component = new ForceFieldComponent();
+		var entity = world.createEntity(component).addToWorld();
+		expect(entity.forceFieldComponent).toBe(component);
+		expect(component.entity).toBe(entity);
+	});
+
+	it('can clone', function () {
+		var component = new ForceFieldComponent({
+			type: ForceFieldComponent.TURBULENCE,
+			strength: 2,
+			radius: 3,
+			direction: new Vector3(1, 0, 0),
+			frequency: 4
+		});
+		var clone = component.clone();
+		expect(clone.fieldType).toBe(ForceFieldComponent.TURBULENCE);
+		expect(clone.strength).toBe(2);
+		expect(clone.radius).toBe(3);
+		expect(clone.direction).toEqual(new Vector3(1, 0, 0));
+		expect(clone.direction).not.toBe(component.direction);
+		expect(clone.frequency).toBe(4);
+	});
+
+	it('follows the transform of its entity', function () {
+		var component = new ForceFieldComponent({
+			type: ForceFieldComponent.WIND,
+			direction: new Vector3(0, 0, 2)
+		});
+		var entity = world.createEntity([1, 2, 3], component).addToWorld();
+		entity.setRotation(0, Math.PI / 2, 0);
+		world.process();
+
+		expect(component.worldPosition).toBeCloseToVector(new Vector3(1, 2, 3));
+		expect(component.worldDirection).toBeCloseToVector(new Vector3(1, 0, 0));
+	});
+
+	it('is listed by the ForceFieldSystem while enabled', function () {
+		var component = new ForceFieldComponent();
+		world.createEntity(component).addToWorld();
+		world.process();
+
+		expect(system.getForceFields()).toEqual([component]);
+
+		component.enabled = false;
+		expect(system.getForceFields()).toEqual([]);
+	});
+});
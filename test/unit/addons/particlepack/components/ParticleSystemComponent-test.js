@@ -1,8 +1,16 @@
 var CustomMatchers = require('../../../CustomMatchers');
+var ConstantCurve = require('../../../../../src/goo/addons/particlepack/curves/ConstantCurve');
+var Capabilities = require('../../../../../src/goo/renderer/Capabilities');
+var ForceFieldComponent = require('../../../../../src/goo/addons/particlepack/components/ForceFieldComponent');
+var ForceFieldSystem = require('../../../../../src/goo/addons/particlepack/systems/ForceFieldSystem');
 var LinearCurve = require('../../../../../src/goo/addons/particlepack/curves/LinearCurve');
 var MeshData = require('../../../../../src/goo/renderer/MeshData');
+var ObjectUtils = require('../../../../../src/goo/util/ObjectUtils');
+var ParticlePlaneCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticlePlaneCollider');
 var ParticleSystemComponent = require('../../../../../src/goo/addons/particlepack/components/ParticleSystemComponent');
+var ParticleSystemSystem = require('../../../../../src/goo/addons/particlepack/systems/ParticleSystemSystem');
 var Texture = require('../../../../../src/goo/renderer/Texture');
+var TrailSystem = require('../../../../../src/goo/addons/linerenderpack/TrailSystem');
 var TransformComponent = require('../../../../../src/goo/entities/components/TransformComponent');
 var Vector3 = require('../../../../../src/goo/math/Vector3');
 var Vector3Curve = require('../../../../../src/goo/addons/particlepack/curves/Vector3Curve');
@@ -82,7 +90,11 @@ describe('ParticleSystemComponent', function () {
 			startAngle: new LinearCurve({ k: 123, m: 123 }),
 			rotationSpeedOverLifetime: new LinearCurve({ k: 123, m: 123 }),
 			texture: texture,
-			textureFrameOverLifetime: new LinearCurve({ k: 1, m: 0 })
+			textureFrameOverLifetime: new LinearCurve({ k: 1, m: 0 }),
+			stateful: true,
+			trails: true,
+			trailMaxPoints: 7,
+			trailSettings: { width: 3 }
 		});
 
 		var clone = component.clone();
@@ -141,6 +153,10 @@ describe('ParticleSystemComponent', function () {
 		expect(clone.rotationSpeedOverLifetime).toEqual(new LinearCurve({ k: 123, m: 123 }));
 		expect(clone.texture).toEqual(texture);
 		expect(clone.textureFrameOverLifetime).toEqual(new LinearCurve({ m: 0, k: 1 }));
+		expect(clone.stateful).toBe(true);
+		expect(clone.trails).toBe(true);
+		expect(clone.trailMaxPoints).toBe(7);
+		expect(clone.trailSettings).toEqual({ width: 3 });
 	});
 
 	it('can emit one', function () {
@@ -183,4 +199,215 @@ describe('ParticleSystemComponent', function () {
 		component.process(1);
 		expect(component.time).toBe(1);
 	});
+
+	describe('collisions and sub-emitters', function () {
+		function createComponent(options) {
+			var component = new ParticleSystemComponent(ObjectUtils.extend({
+				localSpace: false,
+				emissionRate: new ConstantCurve({ value: 0 }),
+				startLifetime: new ConstantCurve({ value: 1 }),
+				startSpeed: new ConstantCurve({ value: 0 }),
+				shapeType: 'box',
+				boxExtents: new Vector3(0, 0, 0)
+			}, options || {}));
+			world.createEntity([0, 0, 0], component).addToWorld();
+			component.process(0);
+			return component;
+		}
+
+		it('bounces particles off colliders', function () {
+			var component = createComponent({
+				colliders: [new ParticlePlaneCollider()],
+				bounce: 0.5
+			});
+			component.emitOne(new Vector3(0, 1, 0), new Vector3(0, -10, 0));
+			component.process(0.2);
+
+			var particle = component.particles[0];
+			// Slightly off the plane, so it won't hit it again
+			expect(particle.getWorldPosition(new Vector3()).y).toBeCloseTo(0.5, 3);
+			expect(particle.getVelocityAt(0.2, new Vector3())).toBeCloseToVector(new Vector3(0, 5, 0));
+			expect(particle.emitTime).toBe(0);
+		});
+
+		it('kills particles on collision and emits from the death sub-emitters', function () {
+			var splashes = createComponent();
+			var component = createComponent({
+				colliders: [new ParticlePlaneCollider()],
+				collisionResponse: ParticleSystemComponent.COLLISION_KILL,
+				subEmitters: [{
+					event: ParticleSystemComponent.EVENT_DEATH,
+					emitter: splashes,
+					count: 2,
+					inheritVelocity: 0.5
+				}]
+			});
+			component.emitOne(new Vector3(0, 1, 0), new Vector3(0, -10, 0));
+			component.process(0.2);
+
+			expect(component.particles[0].active).toBe(0);
+			expect(splashes.particles[0].active).toBe(1);
+			expect(splashes.particles[1].active).toBe(1);
+			expect(splashes.particles[0].startPosition).toBeCloseToVector(new Vector3(0, 0, 0));
+			expect(splashes.particles[0].startDirection).toBeCloseToVector(new Vector3(0, -5, 0));
+		});
+
+		it('emits from the death sub-emitters when particles get too old', function () {
+			var smoke = createComponent();
+			var component = createComponent({
+				subEmitters: [{ event: ParticleSystemComponent.EVENT_DEATH, emitter: smoke }]
+			});
+			component.emitOne(new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.5);
+			expect(smoke.particles[0].active).toBe(0);
+
+			component.process(1);
+			expect(smoke.particles[0].active).toBe(1);
+			expect(smoke.particles[0].startPosition).toBeCloseToVector(new Vector3(1, 0, 0));
+
+			component.process(1);
+			expect(smoke.particles[1].active).toBe(0);
+		});
+
+		it('emits from the birth sub-emitters without looping forever', function () {
+			var a = createComponent();
+			var b = createComponent();
+			a.subEmitters.push({ event: ParticleSystemComponent.EVENT_BIRTH, emitter: b });
+			b.subEmitters.push({ event: ParticleSystemComponent.EVENT_BIRTH, emitter: a });
+
+			a.emitOne(new Vector3(1, 2, 3), new Vector3());
+
+			expect(b.particles[0].active).toBe(1);
+			expect(b.particles[0].startPosition).toBeCloseToVector(new Vector3(1, 2, 3));
+			expect(a.particles[1].active).toBe(1);
+			expect(a.particles[2].active).toBe(0);
+		});
+	});
+
+	describe('trails', function () {
+		var component;
+
+		beforeEach(function () {
+			world.setSystem(new TrailSystem());
+			component = new ParticleSystemComponent({
+				localSpace: false,
+				emissionRate: new ConstantCurve({ value: 0 }),
+				startLifetime: new ConstantCurve({ value: 1 }),
+				trails: true,
+				trailMaxPoints: 8,
+				trailMinVertexDistance: 0,
+				trailSettings: { lifeTime: 0.5, width: 0.3 }
+			});
+			world.createEntity([0, 0, 0], component).addToWorld();
+			component.process(0);
+		});
+
+		it('leaves a trail behind each particle', function () {
+			component.emitOne(new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.1);
+			component.process(0.1);
+
+			var trail = component._particleTrails[0];
+			expect(trail.count).toBe(3);
+			expect(trail.getPoint(2, new Vector3())).toBeCloseToVector(new Vector3(0.2, 0, 0));
+			expect(component.trailRenderer.width).toBe(0.3);
+			expect(component.trailRenderer.maxTrails).toBe(component.maxParticles);
+			expect(component.trailRenderer.meshData.indexLengths).toEqual([12]);
+		});
+
+		it('starts a new trail when a particle is emitted again', function () {
+			component.maxParticles = 1;
+			component.emitOne(new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.1);
+			component.process(0.1);
+
+			component.emitOne(new Vector3(5, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.1);
+			var trail = component._particleTrails[0];
+			expect(trail.count).toBe(2);
+			expect(trail.getPoint(0, new Vector3())).toBeCloseToVector(new Vector3(5, 0, 0));
+		});
+
+		it('removes the trails when turned off', function () {
+			component.emitOne(new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.1);
+			var trailEntity = component._trailEntity;
+
+			component.trails = false;
+			component.process(0.1);
+			expect(component.trailRenderer).toBeNull();
+			expect(trailEntity._world.entityManager.containsEntity(trailEntity)).toBe(false);
+		});
+
+		it('leaves no trails if the world has no TrailSystem', function () {
+			world.clearSystem('TrailSystem');
+			component.trails = true;
+			component.emitOne(new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+			component.process(0.1);
+			expect(component.trailRenderer).toBeNull();
+			expect(component._particleTrails.length).toBe(0);
+		});
+	});
+
+	describe('stateful', function () {
+		var renderer, renderToFloat, maxVertexTextureUnits;
+
+		beforeEach(function () {
+			renderToFloat = Capabilities.renderToFloat;
+			maxVertexTextureUnits = Capabilities.maxVertexTextureUnits;
+			Capabilities.renderToFloat = true;
+			Capabilities.maxVertexTextureUnits = 4;
+
+			world.registerComponent(ForceFieldComponent);
+			world.setSystem(new ParticleSystemSystem());
+			world.setSystem(new ForceFieldSystem());
+			renderer = jasmine.createSpyObj('renderer', ['render', '_deallocateRenderTarget', '_deallocateMeshData']);
+			world.gooRunner = { renderer: renderer };
+		});
+
+		afterEach(function () {
+			Capabilities.renderToFloat = renderToFloat;
+			Capabilities.maxVertexTextureUnits = maxVertexTextureUnits;
+		});
+
+		it('simulates the particles with the force fields', function () {
+			var component = new ParticleSystemComponent({ stateful: true, maxParticles: 10 });
+			world.createEntity([0, 0, 0], component).addToWorld();
+			world.createEntity([1, 0, 0], new ForceFieldComponent()).addToWorld();
+			world.process();
+
+			expect(renderer.render.calls.count()).toBe(2);
+			expect(component.material.shader.hasDefine('STATEFUL')).toBe(true);
+			expect(component.material.getTexture('POSITION_STATE')).toBe(component._simulation.getPositionTexture());
+			expect(component._simulation.velocityMaterial.uniforms.fieldCount).toBe(1);
+
+			// the particle index is in the spawn data, for finding the texel of the particle
+			var startPos = component._simulation.meshData.getAttributeBuffer('START_POS');
+			expect(startPos[3 * 4 + 3]).toBe(3);
+		});
+
+		it('falls back to the ballistic paths when float textures can not be rendered into', function () {
+			Capabilities.renderToFloat = false;
+			var component = new ParticleSystemComponent({ stateful: true });
+			world.createEntity([0, 0, 0], component).addToWorld();
+			world.process();
+
+			expect(renderer.render).not.toHaveBeenCalled();
+			expect(component.material.shader.hasDefine('STATEFUL')).toBe(false);
+		});
+
+		it('frees the simulation when turned off', function () {
+			var component = new ParticleSystemComponent({ stateful: true });
+			world.createEntity([0, 0, 0], component).addToWorld();
+			world.process();
+
+			component.stateful = false;
+			expect(component._simulation).toBeNull();
+			expect(renderer._deallocateRenderTarget.calls.count()).toBe(4);
+			expect(component.material.shader.hasDefine('STATEFUL')).toBe(false);
+
+			world.process();
+			expect(renderer.render.calls.count()).toBe(2);
+		});
+	});
 });
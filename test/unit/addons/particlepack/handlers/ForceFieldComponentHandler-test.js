@@ -0,0 +1,51 @@
+var DynamicLoader = require('../../../../../src/goo/loaders/DynamicLoader');
+var World = require('../../../../../src/goo/entities/World');
+var ForceFieldComponent = require('../../../../../src/goo/addons/particlepack/components/ForceFieldComponent');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var Configs = require('../../../../../test/unit/loaders/Configs');
+
+require('../../../../../src/goo/addons/particlepack/handlers/ForceFieldComponentHandler');
+
+describe('ForceFieldComponentHandler', function () {
+	var loader;
+
+	beforeEach(function () {
+		var world = new World();
+		loader = new DynamicLoader({
+			world: world,
+			rootPath: './',
+			ajax: false
+		});
+	});
+
+	it('loads an entity with a ForceFieldComponent', function (done) {
+		var config = Configs.entity(['transform', 'forceField']);
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var component = entity.forceFieldComponent;
+			expect(component).toEqual(jasmine.any(ForceFieldComponent));
+			expect(component.fieldType).toBe(ForceFieldComponent.VORTEX);
+			expect(component.strength).toBe(2);
+			expect(component.radius).toBe(5);
+			expect(component.direction).toEqual(new Vector3(0, 0, 1));
+			expect(component.frequency).toBe(3);
+			done();
+		});
+	});
+
+	it('uses the defaults of missing settings', function (done) {
+		var config = Configs.entity(['transform', 'forceField']);
+		config.components.forceField = { type: 'wind' };
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var component = entity.forceFieldComponent;
+			expect(component.fieldType).toBe(ForceFieldComponent.WIND);
+			expect(component.strength).toBe(1);
+			expect(component.radius).toBe(0);
+			expect(component.direction).toEqual(new Vector3(0, 1, 0));
+			done();
+		});
+	});
+});
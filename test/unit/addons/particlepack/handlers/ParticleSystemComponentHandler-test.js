@@ -3,20 +3,34 @@ var Vector3Curve = require('../../../../../src/goo/addons/particlepack/curves/Ve
 var Vector4Curve = require('../../../../../src/goo/addons/particlepack/curves/Vector4Curve');
 var ConstantCurve = require('../../../../../src/goo/addons/particlepack/curves/ConstantCurve');
 var ConstantCurve = require('../../../../../src/goo/addons/particlepack/curves/ConstantCurve');
+var ParticlePlaneCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticlePlaneCollider');
+var ParticleTerrainCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticleTerrainCollider');
+var ParticlePhysicsCollider = require('../../../../../src/goo/addons/particlepack/colliders/ParticlePhysicsCollider');
 var ParticleSystemComponent = require('../../../../../src/goo/addons/particlepack/components/ParticleSystemComponent');
 var Vector3 = require('../../../../../src/goo/math/Vector3');
 var World = require('../../../../../src/goo/entities/World');
 var Configs = require('../../../../../test/unit/loaders/Configs');
 var DynamicLoader = require('../../../../../src/goo/loaders/DynamicLoader');
+var PromiseUtils = require('../../../../../src/goo/util/PromiseUtils');
 var _ = require('../../../../../src/goo/util/ObjectUtil');
 
 require('../../../../../src/goo/addons/particlepack/handlers/ParticleSystemComponentHandler');
 
 describe('ParticleSystemComponentHandler', function () {
-	var loader;
+	var loader, world;
+
+	// the curves of the shared particle system config are in an older format
+	function createConfig() {
+		var config = Configs.entity(['transform', 'particleSystem']);
+		_.extend(config.components.particleSystem, {
+			startSpeed: [{ type: 'constant', offset: 0, value: 1 }],
+			emissionRate: [{ type: 'constant', offset: 0, value: 1 }]
+		});
+		return config;
+	}
 
 	beforeEach(function () {
-		var world = new World();
+		world = new World();
 		loader = new DynamicLoader({
 			world: world,
 			rootPath: typeof(window) !== 'undefined' && window.__karma__ ? './' : 'loaders/res'
@@ -59,6 +73,7 @@ describe('ParticleSystemComponentHandler', function () {
 			],
 			duration: 123,
 			localSpace: true,
+			stateful: true,
 			startSpeed: constantCurve(123),
 			localVelocityOverLifetime: [constantCurve(0),constantCurve(0),constantCurve(0)],
 			worldVelocityOverLifetime: [constantCurve(0),constantCurve(0),constantCurve(0)],
@@ -121,6 +136,7 @@ describe('ParticleSystemComponentHandler', function () {
 			expect(c.colorOverLifetime).toEqual(newVector4Curve(1,0,0,1));
 			expect(c.duration).toEqual(123);
 			expect(c.localSpace).toEqual(true);
+			expect(c.stateful).toEqual(true);
 			expect(c.startSpeed).toEqual(newConstantPolyCurve(123));
 			expect(c.localVelocityOverLifetime).toEqual(newVector3Curve(0,0,0));
 			expect(c.worldVelocityOverLifetime).toEqual(newVector3Curve(0,0,0));
@@ -147,4 +163,160 @@ describe('ParticleSystemComponentHandler', function () {
 			done();
 		});
 	});
+
+	it('loads the colliders and the sub-emitters', function (done) {
+		var splashConfig = createConfig();
+		var config = createConfig();
+		_.extend(config.components.particleSystem, {
+			localSpace: false,
+			collision: {
+				enabled: true,
+				response: 'kill',
+				bounce: 0.2,
+				dampen: 0.1,
+				planes: {
+					floor: { normal: [0, 1, 0], constant: -1, sortValue: 0 }
+				}
+			},
+			subEmitters: {
+				splash: { event: 'collision', entityRef: splashConfig.id, count: 3, inheritVelocity: 0.5, sortValue: 0 }
+			}
+		});
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var c = entity.particleSystemComponent;
+			expect(c.collisionResponse).toBe(ParticleSystemComponent.COLLISION_KILL);
+			expect(c.bounce).toBe(0.2);
+			expect(c.dampen).toBe(0.1);
+			expect(c.colliders.length).toBe(1);
+			expect(c.colliders[0]).toEqual(jasmine.any(ParticlePlaneCollider));
+			expect(c.colliders[0].constant).toBe(-1);
+			expect(c.subEmitters.length).toBe(1);
+			expect(c.subEmitters[0].event).toBe(ParticleSystemComponent.EVENT_COLLISION);
+			expect(c.subEmitters[0].count).toBe(3);
+			expect(c.subEmitters[0].inheritVelocity).toBe(0.5);
+
+			return loader.load(splashConfig.id).then(function (splashEntity) {
+				expect(c.subEmitters[0].emitter).toBe(splashEntity.particleSystemComponent);
+				done();
+			});
+		});
+	});
+
+	it('collides with the terrain given in the load options', function (done) {
+		var terrain = { getHeightAt: function () { return 0; } };
+		var config = createConfig();
+		_.extend(config.components.particleSystem, {
+			localSpace: false,
+			collision: {
+				enabled: true,
+				terrain: { enabled: true, normalSampleDistance: 2 }
+			}
+		});
+
+		loader.preload(Configs.get());
+		loader.load(config.id, { terrain: terrain }).then(function (entity) {
+			var colliders = entity.particleSystemComponent.colliders;
+			expect(colliders.length).toBe(1);
+			expect(colliders[0]).toEqual(jasmine.any(ParticleTerrainCollider));
+			expect(colliders[0].terrain).toBe(terrain);
+			expect(colliders[0].normalSampleDistance).toBe(2);
+			done();
+		});
+	});
+
+	it('skips terrain collisions without a terrain', function (done) {
+		spyOn(console, 'warn');
+		var config = createConfig();
+		_.extend(config.components.particleSystem, {
+			localSpace: false,
+			collision: {
+				enabled: true,
+				terrain: { enabled: true }
+			}
+		});
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			expect(entity.particleSystemComponent.colliders.length).toBe(0);
+			expect(console.warn).toHaveBeenCalled();
+			done();
+		});
+	});
+
+	it('finds the physics system added after loading', function (done) {
+		var config = createConfig();
+		_.extend(config.components.particleSystem, {
+			localSpace: false,
+			collision: {
+				enabled: true,
+				physics: { enabled: true, collisionMask: 2 }
+			}
+		});
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var collider = entity.particleSystemComponent.colliders[0];
+			expect(collider).toEqual(jasmine.any(ParticlePhysicsCollider));
+			expect(collider.collisionMask).toBe(2);
+
+			var physicsSystem = jasmine.createSpyObj('physicsSystem', ['raycastClosest']);
+			spyOn(world, 'getSystem').and.returnValue(physicsSystem);
+			var result = { point: new Vector3(), normal: new Vector3(), fraction: 0 };
+			collider.raycast(new Vector3(0, 1, 0), new Vector3(0, -1, 0), result);
+
+			expect(physicsSystem.raycastClosest).toHaveBeenCalled();
+			done();
+		});
+	});
+
+	it('fails to load if a sub-emitter entity fails to load', function (done) {
+		var config = createConfig();
+		config.components.particleSystem.subEmitters = {
+			missing: { event: 'death', entityRef: 'missing.entity', sortValue: 0 }
+		};
+
+		loader.preload(Configs.get());
+		var loadObject = loader._loadObject;
+		spyOn(loader, '_loadObject').and.callFake(function (ref, options) {
+			if (ref === 'missing.entity') {
+				return PromiseUtils.reject('not found');
+			}
+			return loadObject.call(loader, ref, options);
+		});
+		var handler = loader._getHandler('entity')._getHandler('particleSystem');
+
+		handler.update(world.createEntity(), config.components.particleSystem, {}).then(null, function (err) {
+			expect(err.message).toContain('missing.entity');
+			done();
+		});
+	});
+
+	it('loads the trail settings', function (done) {
+		var config = createConfig();
+		config.components.particleSystem.trails = {
+			enabled: true,
+			maxPoints: 12,
+			minVertexDistance: 0.5,
+			lifeTime: 2,
+			width: 0.4,
+			uvMode: 'tile',
+			tileLength: 3
+		};
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var c = entity.particleSystemComponent;
+			expect(c.trails).toBe(true);
+			expect(c.trailMaxPoints).toBe(12);
+			expect(c.trailMinVertexDistance).toBe(0.5);
+			expect(c.trailSettings.lifeTime).toBe(2);
+			expect(c.trailSettings.width).toBe(0.4);
+			expect(c.trailSettings.uvMode).toBe('tile');
+			expect(c.trailSettings.tileLength).toBe(3);
+			expect(c.trailSettings.widthCurve.getValueAt(1)).toBeCloseTo(0);
+			done();
+		});
+	});
 });
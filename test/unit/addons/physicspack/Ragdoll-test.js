@@ -0,0 +1,215 @@
+var Ragdoll = require('../../../../src/goo/addons/physicspack/Ragdoll');
+var CapsuleCollider = require('../../../../src/goo/addons/physicspack/colliders/CapsuleCollider');
+var SphereCollider = require('../../../../src/goo/addons/physicspack/colliders/SphereCollider');
+var ConeTwistJoint = require('../../../../src/goo/addons/physicspack/joints/ConeTwistJoint');
+var PhysicsSystem = require('../../../../src/goo/addons/physicspack/systems/PhysicsSystem');
+var ColliderSystem = require('../../../../src/goo/addons/physicspack/systems/ColliderSystem');
+var AnimationComponent = require('../../../../src/goo/animationpack/components/AnimationComponent');
+var AnimationLayer = require('../../../../src/goo/animationpack/layer/AnimationLayer');
+var ManagedTransformSource = require('../../../../src/goo/animationpack/blendtree/ManagedTransformSource');
+var SteadyState = require('../../../../src/goo/animationpack/state/SteadyState');
+var JointData = require('../../../../src/goo/animationpack/clip/JointData');
+var Skeleton = require('../../../../src/goo/animationpack/Skeleton');
+var SkeletonPose = require('../../../../src/goo/animationpack/SkeletonPose');
+var Joint = require('../../../../src/goo/animationpack/Joint');
+var TransformSystem = require('../../../../src/goo/entities/systems/TransformSystem');
+var World = require('../../../../src/goo/entities/World');
+var Vector3 = require('../../../../src/goo/math/Vector3');
+
+describe('Ragdoll', function () {
+	var world, system, entity, animationComponent, pose;
+
+	var animationpack = {
+		Joint: Joint,
+		JointData: JointData,
+		ManagedTransformSource: ManagedTransformSource,
+		SteadyState: SteadyState,
+		AnimationLayer: AnimationLayer
+	};
+
+	// a chain of joints one unit apart along Y
+	function createPose(names) {
+		var joints = names.map(function (name, i) {
+			var joint = new Joint(name);
+			joint._index = i;
+			joint._parentIndex = i > 0 ? i - 1 : Joint.NO_PARENT;
+			joint._inverseBindPose.translation.setDirect(0, -i, 0);
+			joint._inverseBindPose.update();
+			return joint;
+		});
+		return new SkeletonPose(new Skeleton('skeleton', joints));
+	}
+
+	// the base layer holds the joints still in the bind pose
+	function createBaseState() {
+		var source = new ManagedTransformSource('base');
+		pose._skeleton._joints.forEach(function (joint, i) {
+			var data = new JointData();
+			data._jointIndex = i;
+			data._translation.setDirect(0, i > 0 ? 1 : 0, 0);
+			source._data[joint._name] = data;
+		});
+		var state = new SteadyState('base');
+		state.setClipSource(source);
+		animationComponent.layers[0].setState('base', state);
+		animationComponent.layers[0].setCurrentState(state, true, 0);
+	}
+
+	function animate(time) {
+		animationComponent.update(time);
+		animationComponent.apply(entity.transformComponent);
+	}
+
+	function translationOf(jointIndex) {
+		var translation = new Vector3();
+		pose._globalTransforms[jointIndex].matrix.getTranslation(translation);
+		return translation;
+	}
+
+	beforeEach(function () {
+		world = new World();
+		system = new PhysicsSystem({
+			maxSubSteps: 1
+		});
+		system.setGravity(new Vector3());
+		world.setSystem(system);
+		world.setSystem(new TransformSystem());
+		world.setSystem(new ColliderSystem());
+
+		pose = createPose(['hips', 'spine', 'head']);
+		animationComponent = new AnimationComponent(pose);
+		entity = world.createEntity(animationComponent).addToWorld();
+		entity.setTranslation(0, 10, 0);
+		createBaseState();
+		world.process();
+	});
+
+	it('needs an animation component with a pose', function () {
+		expect(function () {
+			new Ragdoll(world.createEntity(), animationpack);
+		}).toThrow();
+	});
+
+	it('needs the classes of the animationpack', function () {
+		expect(function () {
+			new Ragdoll(entity);
+		}).toThrow();
+	});
+
+	it('creates a body and a collider for each joint', function () {
+		var ragdoll = new Ragdoll(entity, animationpack, { radius: 0.1, mass: 2 });
+		world.process();
+
+		expect(Object.keys(ragdoll.boneEntities)).toEqual(['hips', 'spine', 'head']);
+
+		var hips = ragdoll.boneEntities.hips;
+		expect(hips.rigidBodyComponent.mass).toEqual(2);
+		expect(hips.rigidBodyComponent.isKinematic).toBe(true);
+		expect(hips.rigidBodyComponent.cannonBody).toBeTruthy();
+
+		var capsule = hips.transformComponent.children[0].entity.colliderComponent.collider;
+		expect(capsule).toEqual(jasmine.any(CapsuleCollider));
+		expect(capsule.height).toBeCloseTo(0.8);
+
+		var sphere = ragdoll.boneEntities.head.transformComponent.children[0].entity.colliderComponent.collider;
+		expect(sphere).toEqual(jasmine.any(SphereCollider));
+	});
+
+	it('places the bones at the joints in the world', function () {
+		var ragdoll = new Ragdoll(entity, animationpack);
+
+		var translation = ragdoll.boneEntities.head.transformComponent.transform.translation;
+		expect(translation.x).toBeCloseTo(0);
+		expect(translation.y).toBeCloseTo(12);
+		expect(translation.z).toBeCloseTo(0);
+	});
+
+	it('connects the bones to the closest parent bone with cone twist joints', function () {
+		var ragdoll = new Ragdoll(entity, animationpack, { bones: ['hips', 'head'] });
+		world.process();
+
+		expect(ragdoll.boneEntities.spine).toBeUndefined();
+		expect(ragdoll.boneEntities.hips.rigidBodyComponent.joints.length).toEqual(0);
+
+		var joints = ragdoll.boneEntities.head.rigidBodyComponent.joints;
+		expect(joints.length).toEqual(1);
+		expect(joints[0]).toEqual(jasmine.any(ConeTwistJoint));
+		expect(joints[0].connectedEntity).toBe(ragdoll.boneEntities.hips);
+		expect(system.cannonWorld.constraints.length).toEqual(1);
+	});
+
+	it('adds a layer that blends in when enabled and out when disabled', function () {
+		var ragdoll = new Ragdoll(entity, animationpack, { blendTime: 1 });
+		expect(animationComponent.layers[1]).toBe(ragdoll.layer);
+
+		animate(0);
+		expect(ragdoll._layerWeight()).toEqual(0);
+
+		ragdoll.enable();
+		expect(ragdoll.boneEntities.hips.rigidBodyComponent.isKinematic).toBe(false);
+		animate(1);
+		animate(1.5);
+		expect(ragdoll._layerWeight()).toBeCloseTo(0.5);
+		animate(2);
+		expect(ragdoll._layerWeight()).toBeCloseTo(1);
+
+		ragdoll.disable(0);
+		expect(ragdoll.boneEntities.hips.rigidBodyComponent.isKinematic).toBe(true);
+		animate(3);
+		expect(ragdoll._layerWeight()).toEqual(0);
+	});
+
+	it('moves the kinematic bodies with the animation', function () {
+		var ragdoll = new Ragdoll(entity, animationpack);
+		world.process();
+
+		entity.setTranslation(5, 10, 0);
+		entity.transformComponent.updateTransform();
+		entity.transformComponent.updateWorldTransform();
+		animate(0);
+
+		var position = new Vector3();
+		ragdoll.boneEntities.spine.rigidBodyComponent.getPosition(position);
+		expect(position.x).toBeCloseTo(5);
+		expect(position.y).toBeCloseTo(11);
+	});
+
+	it('hands the pose to the physics when enabled', function () {
+		system.setGravity(new Vector3(0, -10, 0));
+		var ragdoll = new Ragdoll(entity, animationpack, { blendTime: 0 });
+		world.process();
+
+		animate(0);
+		expect(translationOf(2).y).toBeCloseTo(2);
+
+		ragdoll.enable();
+		for (var i = 0; i < 30; i++) {
+			system.step(1 / 60);
+		}
+		animate(0.5);
+
+		// the skeleton fell, but the bones stay about one unit apart
+		var hips = translationOf(0);
+		var spine = translationOf(1);
+		expect(hips.y).toBeLessThan(-0.5);
+		expect(spine.distance(hips)).toBeCloseTo(1, 1);
+
+		// and it blends back to the animation
+		ragdoll.disable(0);
+		animate(1);
+		expect(translationOf(0).y).toBeCloseTo(0);
+		expect(translationOf(2).y).toBeCloseTo(2);
+	});
+
+	it('can be destroyed', function () {
+		var ragdoll = new Ragdoll(entity, animationpack);
+		world.process();
+		var hips = ragdoll.boneEntities.hips;
+
+		ragdoll.destroy();
+		world.process();
+
+		expect(world.entityManager.containsEntity(hips)).toBe(false);
+		expect(animationComponent.layers.length).toEqual(1);
+	});
+});
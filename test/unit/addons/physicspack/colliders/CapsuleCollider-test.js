@@ -0,0 +1,26 @@
+describe('CapsuleCollider', function () {
+
+	var CapsuleCollider = require('../../../../../src/goo/addons/physicspack/colliders/CapsuleCollider');
+	var Transform = require('../../../../../src/goo/math/Transform');
+
+	it('can clone', function () {
+		var collider = new CapsuleCollider({
+			radius: 123,
+			height: 456
+		});
+		var clone = collider.clone();
+		expect(collider).toEqual(clone);
+	});
+
+	it('can transform', function () {
+		var collider = new CapsuleCollider({
+			radius: 2,
+			height: 3
+		});
+		var transform = new Transform();
+		transform.scale.setDirect(1, -2, 3);
+		collider.transform(transform, collider);
+		expect(collider.radius).toEqual(4);
+		expect(collider.height).toEqual(9);
+	});
+});
@@ -0,0 +1,38 @@
+describe('ConvexHullCollider', function () {
+
+	var ConvexHullCollider = require('../../../../../src/goo/addons/physicspack/colliders/ConvexHullCollider');
+	var Vector3 = require('../../../../../src/goo/math/Vector3');
+	var Box = require('../../../../../src/goo/shapes/Box');
+	var Transform = require('../../../../../src/goo/math/Transform');
+
+	it('builds the hull of the mesh data', function () {
+		var collider = new ConvexHullCollider({
+			meshData: new Box(2, 4, 6)
+		});
+		expect(collider.hull.vertices.length).toEqual(8);
+		expect(collider.hull.faces.length).toEqual(6);
+	});
+
+	it('can clone', function () {
+		var collider = new ConvexHullCollider({
+			meshData: new Box(),
+			scale: new Vector3(2, 3, 4)
+		});
+		var clone = collider.clone();
+		expect(collider).toEqual(clone);
+		expect(clone.hull).toBe(collider.hull);
+	});
+
+	it('can transform', function () {
+		var collider = new ConvexHullCollider({
+			meshData: new Box(),
+			scale: new Vector3(2, 3, 4)
+		});
+		var target = new ConvexHullCollider();
+		var transform = new Transform();
+		transform.scale.setDirect(1, 2, 3);
+		collider.transform(transform, target);
+		expect(target.scale).toEqual(new Vector3(2, 6, 12));
+		expect(target.hull).toBe(collider.hull);
+	});
+});
@@ -0,0 +1,195 @@
+var BoxCollider = require('../../../../../src/goo/addons/physicspack/colliders/BoxCollider');
+var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
+var CharacterControllerComponent = require('../../../../../src/goo/addons/physicspack/components/CharacterControllerComponent');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var World = require('../../../../../src/goo/entities/World');
+var TransformSystem = require('../../../../../src/goo/entities/systems/TransformSystem');
+var PhysicsSystem = require('../../../../../src/goo/addons/physicspack/systems/PhysicsSystem');
+var ColliderSystem = require('../../../../../src/goo/addons/physicspack/systems/ColliderSystem');
+
+describe('CharacterControllerComponent', function () {
+	var world, system, controller, character;
+	var tpf = 1 / 60;
+
+	beforeEach(function () {
+		world = new World();
+		system = new PhysicsSystem({
+			maxSubSteps: 1
+		});
+		system.setGravity(new Vector3(0, -10, 0));
+		world.setSystem(system);
+		world.setSystem(new TransformSystem());
+		world.setSystem(new ColliderSystem());
+
+		controller = new CharacterControllerComponent();
+		character = world.createEntity(controller).addToWorld();
+		world.process();
+	});
+
+	function createBox(x, y, z, hx, hy, hz) {
+		var colliderComponent = new ColliderComponent({
+			collider: new BoxCollider({ halfExtents: new Vector3(hx, hy, hz) })
+		});
+		var entity = world.createEntity(colliderComponent).addToWorld();
+		entity.setTranslation(x, y, z);
+		entity.transformComponent.updateTransform();
+		entity.transformComponent.updateWorldTransform();
+		colliderComponent.initialize();
+		return entity;
+	}
+
+	function createFloor() {
+		return createBox(0, -1, 0, 50, 1, 50);
+	}
+
+	function move(velocity, steps) {
+		for (var i = 0; i < steps; i++) {
+			controller.move(velocity, tpf);
+		}
+	}
+
+	function position() {
+		return character.transformComponent.transform.translation;
+	}
+
+	it('falls and lands on the ground', function () {
+		var floor = createFloor();
+		character.setTranslation(0, 2, 0);
+
+		move(new Vector3(), 60);
+
+		expect(position().y).toBeCloseTo(0, 5);
+		expect(controller.isGrounded).toBe(true);
+		expect(controller.groundEntity).toBe(floor);
+		expect(controller.groundNormal).toEqual(new Vector3(0, 1, 0));
+	});
+
+	it('falls with gravity when there is no ground', function () {
+		move(new Vector3(), 30);
+
+		expect(position().y).toBeLessThan(-1);
+		expect(controller.isGrounded).toBe(false);
+		expect(controller.velocity.y).toBeLessThan(-4);
+	});
+
+	it('walks on the ground', function () {
+		createFloor();
+		move(new Vector3(), 1);
+
+		move(new Vector3(3, 0, 0), 60);
+
+		expect(position().x).toBeCloseTo(3, 5);
+		expect(position().y).toBeCloseTo(0, 5);
+		expect(controller.isGrounded).toBe(true);
+		expect(controller.velocity.x).toBeCloseTo(3, 5);
+	});
+
+	it('stops at a wall and slides along it', function () {
+		createFloor();
+		createBox(3, 2, 0, 1, 2, 10);
+		move(new Vector3(), 1);
+
+		move(new Vector3(3, 0, 3), 60);
+
+		expect(position().x).toBeGreaterThan(1.4);
+		expect(position().x).toBeLessThan(2 - controller.radius);
+		expect(position().z).toBeGreaterThan(2.9);
+	});
+
+	it('climbs steps lower than the step offset', function () {
+		createFloor();
+		createBox(3, 0.1, 0, 1, 0.1, 1);
+		move(new Vector3(), 1);
+
+		move(new Vector3(2, 0, 0), 90);
+
+		expect(position().x).toBeCloseTo(3, 5);
+		expect(position().y).toBeCloseTo(0.2, 5);
+		expect(controller.isGrounded).toBe(true);
+	});
+
+	it('is blocked by steps higher than the step offset', function () {
+		createFloor();
+		createBox(3, 0.25, 0, 1, 0.25, 1);
+		move(new Vector3(), 1);
+
+		move(new Vector3(2, 0, 0), 90);
+
+		expect(position().x).toBeLessThan(2);
+		expect(position().y).toBeCloseTo(0, 5);
+	});
+
+	it('does not walk up slopes steeper than the slope limit', function () {
+		createFloor();
+		var ramp = createBox(3, 0, 0, 2, 0.1, 2);
+		ramp.setRotation(0, 0, Math.PI / 3);
+		ramp.transformComponent.updateTransform();
+		ramp.transformComponent.updateWorldTransform();
+		ramp.colliderComponent.destroy();
+		ramp.colliderComponent.initialize();
+		move(new Vector3(), 1);
+
+		move(new Vector3(2, 0, 0), 120);
+
+		expect(position().y).toBeLessThan(controller.stepOffset + 0.01);
+		expect(position().x).toBeLessThan(3);
+	});
+
+	it('walks up slopes within the slope limit', function () {
+		createFloor();
+		var ramp = createBox(4, 0, 0, 3, 0.1, 2);
+		ramp.setRotation(0, 0, Math.PI / 9);
+		ramp.transformComponent.updateTransform();
+		ramp.transformComponent.updateWorldTransform();
+		ramp.colliderComponent.destroy();
+		ramp.colliderComponent.initialize();
+		move(new Vector3(), 1);
+
+		move(new Vector3(2, 0, 0), 180);
+
+		expect(position().x).toBeGreaterThan(5);
+		expect(position().y).toBeGreaterThan(0.5);
+		expect(controller.isGrounded).toBe(true);
+	});
+
+	it('jumps only when grounded', function () {
+		createFloor();
+		move(new Vector3(), 1);
+
+		expect(controller.jump()).toBe(true);
+		expect(controller.isGrounded).toBe(false);
+		expect(controller.jump()).toBe(false);
+
+		move(new Vector3(), 30);
+		expect(position().y).toBeGreaterThan(1);
+
+		move(new Vector3(), 60);
+		expect(position().y).toBeCloseTo(0, 5);
+		expect(controller.isGrounded).toBe(true);
+	});
+
+	it('stops jumping at the ceiling', function () {
+		createFloor();
+		createBox(0, 3.5, 0, 5, 0.5, 5);
+		move(new Vector3(), 1);
+
+		controller.jump(10);
+		move(new Vector3(), 20);
+
+		expect(position().y).toBeLessThan(3 - controller.height + 0.01);
+	});
+
+	it('ignores its own colliders', function () {
+		createFloor();
+		character.set(new ColliderComponent({
+			collider: new BoxCollider({ halfExtents: new Vector3(0.5, 1, 0.5) })
+		}));
+		character.colliderComponent.initialize();
+		move(new Vector3(), 1);
+
+		move(new Vector3(3, 0, 0), 60);
+
+		expect(position().x).toBeCloseTo(3, 5);
+		expect(controller.isGrounded).toBe(true);
+	});
+});
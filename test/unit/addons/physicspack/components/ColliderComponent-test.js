@@ -1,4 +1,10 @@
 var SphereCollider = require('../../../../../src/goo/addons/physicspack/colliders/SphereCollider');
+var CapsuleCollider = require('../../../../../src/goo/addons/physicspack/colliders/CapsuleCollider');
+var ConvexHullCollider = require('../../../../../src/goo/addons/physicspack/colliders/ConvexHullCollider');
+var RaycastResult = require('../../../../../src/goo/addons/physicspack/RaycastResult');
+var Box = require('../../../../../src/goo/shapes/Box');
+var BoxCollider = require('../../../../../src/goo/addons/physicspack/colliders/BoxCollider');
+var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/components/RigidBodyComponent');
 var Vector3 = require('../../../../../src/goo/math/Vector3');
 var World = require('../../../../../src/goo/entities/World');
 var TransformSystem = require('../../../../../src/goo/entities/systems/TransformSystem');
@@ -66,4 +72,108 @@ describe('ColliderComponent', function () {
 		expect(colliderComponent.bodyEntity).toBeFalsy();
 		expect(colliderComponent.cannonBody).toBeFalsy();
 	});
+
+	it('collides with all collision groups by default', function () {
+		var colliderComponent = new ColliderComponent({
+			collider: new SphereCollider({ radius: 1 })
+		});
+		world.createEntity(colliderComponent).addToWorld();
+		colliderComponent.initialize();
+
+		expect(colliderComponent.collisionGroup).toBe(1);
+		expect(colliderComponent.collisionMask).toBe(-1);
+		expect(colliderComponent.cannonBody.collisionFilterMask).toBe(-1);
+	});
+
+	it('updates the collision group and mask of its static body', function () {
+		var colliderComponent = new ColliderComponent({
+			collider: new SphereCollider({ radius: 1 }),
+			collisionGroup: 2
+		});
+		world.createEntity(colliderComponent).addToWorld();
+		colliderComponent.initialize();
+		expect(colliderComponent.cannonBody.collisionFilterGroup).toBe(2);
+
+		colliderComponent.collisionGroup = 4;
+		colliderComponent.collisionMask = 3;
+
+		expect(colliderComponent.collisionGroup).toBe(4);
+		expect(colliderComponent.collisionMask).toBe(3);
+		expect(colliderComponent.cannonBody.collisionFilterGroup).toBe(4);
+		expect(colliderComponent.cannonBody.collisionFilterMask).toBe(3);
+	});
+
+	it('builds a convex shape for a capsule collider', function () {
+		var colliderComponent = new ColliderComponent({
+			collider: new CapsuleCollider({ radius: 1, height: 2 })
+		});
+		var entity = world.createEntity(colliderComponent).addToWorld();
+		entity.setScale(1, 1, 2);
+
+		colliderComponent.initialize();
+
+		var shape = colliderComponent.cannonBody.shapes[0];
+		expect(shape instanceof CANNON.ConvexPolyhedron).toBeTruthy();
+		expect(shape.boundingSphereRadius).toBeCloseTo(3);
+
+		var result = new RaycastResult();
+		system.raycastClosest(new Vector3(0, 0, 10), new Vector3(0, 0, -1), 20, {}, result);
+		expect(result.entity).toBe(entity);
+		expect(result.distance).toBeCloseTo(7);
+
+		system.raycastClosest(new Vector3(10, 0, 2), new Vector3(-1, 0, 0), 20, {}, result);
+		expect(result.distance).toBeCloseTo(9);
+	});
+
+	it('builds a scaled convex shape for a convex hull collider', function () {
+		var colliderComponent = new ColliderComponent({
+			collider: new ConvexHullCollider({ meshData: new Box(2, 2, 2) })
+		});
+		var entity = world.createEntity(colliderComponent).addToWorld();
+		entity.setScale(1, 2, 3);
+
+		colliderComponent.initialize();
+
+		var shape = colliderComponent.cannonBody.shapes[0];
+		expect(shape instanceof CANNON.ConvexPolyhedron).toBeTruthy();
+		expect(shape.vertices.length).toBe(8);
+		expect(shape.faces.length).toBe(6);
+
+		var result = new RaycastResult();
+		system.raycastClosest(new Vector3(0, 10, 0), new Vector3(0, -1, 0), 20, {}, result);
+		expect(result.entity).toBe(entity);
+		expect(result.distance).toBeCloseTo(8);
+	});
+
+	it('lets dynamic bodies with capsule and convex hull colliders rest on the ground', function () {
+		system.setGravity(new Vector3(0, 0, -10));
+
+		var ground = new ColliderComponent({
+			collider: new BoxCollider({ halfExtents: new Vector3(10, 10, 1) })
+		});
+		world.createEntity(ground).addToWorld().setTranslation(0, 0, -1);
+		ground.initialize();
+
+		var capsule = new RigidBodyComponent({ mass: 1 });
+		world.createEntity(capsule, new ColliderComponent({
+			collider: new CapsuleCollider({ radius: 0.5, height: 1 })
+		})).addToWorld().setTranslation(-3, 0, 2);
+		capsule.initialize();
+
+		var hull = new RigidBodyComponent({ mass: 1 });
+		world.createEntity(hull, new ColliderComponent({
+			collider: new ConvexHullCollider({ meshData: new Box(1, 1, 1) })
+		})).addToWorld().setTranslation(3, 0, 2);
+		hull.initialize();
+
+		for (var i = 0; i < 180; i++) {
+			system.cannonWorld.step(1 / 60);
+		}
+
+		var position = new Vector3();
+		capsule.getPosition(position);
+		expect(position.z).toBeCloseTo(1, 1);
+		hull.getPosition(position);
+		expect(position.z).toBeCloseTo(0.5, 1);
+	});
 });
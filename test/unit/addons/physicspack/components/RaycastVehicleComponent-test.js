@@ -0,0 +1,182 @@
+var BoxCollider = require('../../../../../src/goo/addons/physicspack/colliders/BoxCollider');
+var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
+var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/components/RigidBodyComponent');
+var RaycastVehicleComponent = require('../../../../../src/goo/addons/physicspack/components/RaycastVehicleComponent');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var World = require('../../../../../src/goo/entities/World');
+var TransformSystem = require('../../../../../src/goo/entities/systems/TransformSystem');
+var PhysicsSystem = require('../../../../../src/goo/addons/physicspack/systems/PhysicsSystem');
+var ColliderSystem = require('../../../../../src/goo/addons/physicspack/systems/ColliderSystem');
+
+describe('RaycastVehicleComponent', function () {
+	var world, system, vehicle, chassis, wheelEntities;
+
+	beforeEach(function () {
+		world = new World();
+		system = new PhysicsSystem({
+			maxSubSteps: 1
+		});
+		system.setGravity(new Vector3(0, -10, 0));
+		world.setSystem(system);
+		world.setSystem(new TransformSystem());
+		world.setSystem(new ColliderSystem());
+
+		var floor = world.createEntity(new ColliderComponent({
+			collider: new BoxCollider({ halfExtents: new Vector3(100, 1, 100) })
+		})).addToWorld();
+		floor.setTranslation(0, -1, 0);
+
+		wheelEntities = [];
+		vehicle = new RaycastVehicleComponent();
+		[[-1, -2], [1, -2], [-1, 2], [1, 2]].forEach(function (position, i) {
+			var wheelEntity = world.createEntity().addToWorld();
+			wheelEntities.push(wheelEntity);
+			vehicle.addWheel({
+				position: new Vector3(position[0], 0, position[1]),
+				entity: wheelEntity,
+				steering: i < 2,
+				driven: i >= 2
+			});
+		});
+
+		chassis = world.createEntity(
+			new RigidBodyComponent({ mass: 150 }),
+			new ColliderComponent({
+				collider: new BoxCollider({ halfExtents: new Vector3(1, 0.25, 2.5) })
+			}),
+			vehicle
+		).addToWorld();
+		chassis.setTranslation(0, 1, 0);
+		wheelEntities.forEach(function (wheelEntity) {
+			chassis.attachChild(wheelEntity);
+		});
+		world.process();
+	});
+
+	function step(steps) {
+		for (var i = 0; i < steps; i++) {
+			system.step(1 / 60);
+		}
+	}
+
+	function position() {
+		var position = new Vector3();
+		chassis.rigidBodyComponent.getPosition(position);
+		return position;
+	}
+
+	it('adds wheels with default settings', function () {
+		var wheel = new RaycastVehicleComponent().addWheel({ radius: 0.4, driven: true });
+		expect(wheel.radius).toBe(0.4);
+		expect(wheel.suspensionRestLength).toBe(0.3);
+		expect(wheel.driven).toBe(true);
+		expect(wheel.steering).toBe(false);
+		expect(wheel.braked).toBe(true);
+
+		vehicle.removeWheel(vehicle.wheels[0]);
+		expect(vehicle.wheels.length).toBe(3);
+	});
+
+	it('rests on its suspension', function () {
+		step(120);
+
+		// the chassis floats above the ground on wheels with a radius of 0.5
+		expect(position().y).toBeGreaterThan(0.5);
+		expect(position().y).toBeLessThan(1);
+		expect(vehicle.wheels.every(function (wheel) { return wheel.isInContact; })).toBe(true);
+	});
+
+	it('drives forward along its negative Z axis', function () {
+		step(60);
+		vehicle.engineForce = 500;
+		step(60);
+
+		expect(position().z).toBeLessThan(-1);
+		expect(vehicle.getSpeed()).toBeGreaterThan(1);
+
+		vehicle.engineForce = -500;
+		step(180);
+		expect(vehicle.getSpeed()).toBeLessThan(0);
+	});
+
+	it('turns left with a positive steering angle', function () {
+		step(60);
+		vehicle.engineForce = 500;
+		vehicle.steering = 0.5;
+		step(120);
+
+		expect(position().x).toBeLessThan(-1);
+	});
+
+	it('slows down when braking', function () {
+		step(60);
+		vehicle.engineForce = 500;
+		step(60);
+		var speed = vehicle.getSpeed();
+
+		vehicle.engineForce = 0;
+		vehicle.brakeForce = 200;
+		step(60);
+		expect(vehicle.getSpeed()).toBeLessThan(speed / 2);
+	});
+
+	it('moves the wheel entities with the suspension and steering', function () {
+		vehicle.steering = 0.5;
+		step(60);
+
+		var transform = wheelEntities[0].transformComponent.transform;
+		expect(transform.translation.x).toBeCloseTo(-1);
+		expect(transform.translation.y).toBeLessThan(0);
+		expect(transform.translation.z).toBeCloseTo(-2);
+
+		// the front wheels point to the left
+		var forward = new Vector3(0, 0, -1).applyPost(transform.rotation);
+		expect(forward.x).toBeCloseTo(-Math.sin(0.5));
+
+		// the back wheels don't steer
+		forward.setDirect(0, 0, -1).applyPost(wheelEntities[2].transformComponent.transform.rotation);
+		expect(forward.x).toBeCloseTo(0);
+	});
+
+	it('follows a new rigid body of the entity', function () {
+		step(1);
+		var oldVehicle = vehicle._vehicle;
+
+		chassis.rigidBodyComponent.initialize();
+		step(1);
+
+		expect(vehicle._vehicle).not.toBe(oldVehicle);
+		expect(vehicle._vehicle.chassisBody).toBe(chassis.rigidBodyComponent.cannonBody);
+	});
+
+	it('stops updating when removed from the entity', function () {
+		step(60);
+		chassis.clearComponent('RaycastVehicleComponent');
+		step(60);
+
+		// without suspension the chassis lands on the ground
+		expect(position().y).toBeCloseTo(0.25, 1);
+	});
+
+	it('finds a physics system added after it', function () {
+		var otherWorld = new World();
+		otherWorld.setSystem(new TransformSystem());
+		var otherVehicle = new RaycastVehicleComponent({ wheels: [{ position: new Vector3(0, 0, 0) }] });
+		var entity = otherWorld.createEntity(otherVehicle).addToWorld();
+		otherWorld.process();
+		expect(otherVehicle.system).toBeNull();
+
+		var otherSystem = new PhysicsSystem({ maxSubSteps: 1 });
+		otherWorld.setSystem(otherSystem);
+		otherWorld.setSystem(new ColliderSystem());
+		entity.setComponent(new RigidBodyComponent({ mass: 150 }));
+		entity.setComponent(new ColliderComponent({
+			collider: new BoxCollider({ halfExtents: new Vector3(1, 0.25, 2.5) })
+		}));
+		otherWorld.process();
+		otherSystem.step(1 / 60);
+
+		expect(otherVehicle.system).toBe(otherSystem);
+		expect(otherVehicle._vehicle.chassisBody).toBe(entity.rigidBodyComponent.cannonBody);
+	});
+});
@@ -12,6 +12,11 @@ describe('RigidBodyComponent', function () {
 	var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
 	var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/components/RigidBodyComponent');
 	var BallJoint = require('../../../../../src/goo/addons/physicspack/joints/BallJoint');
+	var ConeTwistJoint = require('../../../../../src/goo/addons/physicspack/joints/ConeTwistJoint');
+	var LockJoint = require('../../../../../src/goo/addons/physicspack/joints/LockJoint');
+	var SpringJoint = require('../../../../../src/goo/addons/physicspack/joints/SpringJoint');
+	var PrismaticJoint = require('../../../../../src/goo/addons/physicspack/joints/PrismaticJoint');
+	var ConfigurableJoint = require('../../../../../src/goo/addons/physicspack/joints/ConfigurableJoint');
 
 	var world, system, rigidBodyComponent, colliderComponent, entity;
 
@@ -42,6 +47,23 @@ describe('RigidBodyComponent', function () {
 		expect(rigidBodyComponent.cannonBody.angularDamping).toEqual(123);
 	});
 
+	it('collides with all collision groups by default', function () {
+		expect(rigidBodyComponent.collisionGroup).toEqual(1);
+		expect(rigidBodyComponent.collisionMask).toEqual(-1);
+		expect(rigidBodyComponent.cannonBody.collisionFilterMask).toEqual(-1);
+	});
+
+	it('can set collisionGroup and collisionMask', function () {
+		rigidBodyComponent.collisionGroup = 2;
+		rigidBodyComponent.collisionMask = 6;
+		expect(rigidBodyComponent.cannonBody.collisionFilterGroup).toEqual(2);
+		expect(rigidBodyComponent.cannonBody.collisionFilterMask).toEqual(6);
+
+		rigidBodyComponent.initialize();
+		expect(rigidBodyComponent.cannonBody.collisionFilterGroup).toEqual(2);
+		expect(rigidBodyComponent.cannonBody.collisionFilterMask).toEqual(6);
+	});
+
 	it('can set constraints', function () {
 		rigidBodyComponent.constraints = RigidBodyComponent.FREEZE_NONE;
 		expect(rigidBodyComponent.cannonBody.linearFactor).toEqual(new CANNON.Vec3(1, 1, 1));
@@ -173,6 +195,154 @@ describe('RigidBodyComponent', function () {
 		expect(joint.cannonJoint).toBeFalsy();
 	});
 
+	describe('joints', function () {
+		var anchor;
+
+		beforeEach(function () {
+			anchor = world.createEntity(new ColliderComponent({
+				collider: new SphereCollider({ radius: 1 })
+			})).addToWorld();
+			anchor.colliderComponent.initialize();
+		});
+
+		function step(count) {
+			for (var i = 0; i < count; i++) {
+				system.cannonWorld.step(1 / 60);
+			}
+		}
+
+		function addJoint(joint) {
+			rigidBodyComponent.addJoint(joint);
+			rigidBodyComponent.initializeJoint(joint);
+			return joint;
+		}
+
+		function getPosition() {
+			var position = new Vector3();
+			rigidBodyComponent.getPosition(position);
+			return position;
+		}
+
+		it('can add and remove the other joints', function () {
+			[
+				new ConeTwistJoint({ connectedEntity: anchor }),
+				new LockJoint({ connectedEntity: anchor }),
+				new SpringJoint({ connectedEntity: anchor }),
+				new PrismaticJoint({ connectedEntity: anchor }),
+				new ConfigurableJoint({ connectedEntity: anchor })
+			].forEach(function (joint) {
+				addJoint(joint);
+				expect(joint.cannonJoint).toBeTruthy();
+				expect(system.cannonWorld.constraints).toContain(joint.cannonJoint);
+
+				rigidBodyComponent.removeJoint(joint);
+				rigidBodyComponent.destroyJoint(joint);
+				expect(joint.cannonJoint).toBeFalsy();
+				expect(system.cannonWorld.constraints.length).toBe(0);
+			});
+		});
+
+		it('keeps a lock joint in place', function () {
+			addJoint(new LockJoint({ connectedEntity: anchor }));
+			rigidBodyComponent.setVelocity(new Vector3(1, 2, 3));
+			rigidBodyComponent.setAngularVelocity(new Vector3(1, 0, 0));
+
+			step(30);
+
+			expect(getPosition().length()).toBeLessThan(0.05);
+		});
+
+		it('slides along the axis of a prismatic joint', function () {
+			addJoint(new PrismaticJoint({
+				connectedEntity: anchor,
+				localAxis: new Vector3(1, 0, 0)
+			}));
+			rigidBodyComponent.setVelocity(new Vector3(1, 1, 1));
+
+			step(30);
+
+			var position = getPosition();
+			expect(position.x).toBeGreaterThan(0.4);
+			expect(Math.abs(position.y)).toBeLessThan(0.01);
+			expect(Math.abs(position.z)).toBeLessThan(0.01);
+		});
+
+		it('stops at the limits of a prismatic joint', function () {
+			addJoint(new PrismaticJoint({
+				connectedEntity: anchor,
+				useLimits: true,
+				lowerLimit: 0,
+				upperLimit: 0.2
+			}));
+			rigidBodyComponent.setVelocity(new Vector3(2, 0, 0));
+
+			step(60);
+
+			expect(getPosition().x).toBeCloseTo(0.2, 1);
+		});
+
+		it('drives a prismatic joint with its motor', function () {
+			addJoint(new PrismaticJoint({
+				connectedEntity: anchor,
+				useMotor: true,
+				motorSpeed: 1
+			}));
+
+			step(60);
+
+			expect(getPosition().x).toBeCloseTo(1, 1);
+		});
+
+		it('only rotates around the free axes of a configurable joint', function () {
+			addJoint(new ConfigurableJoint({
+				connectedEntity: anchor,
+				localPivot: new Vector3(),
+				angularYMotion: ConfigurableJoint.FREE
+			}));
+			rigidBodyComponent.setVelocity(new Vector3(1, 1, 1));
+			rigidBodyComponent.setAngularVelocity(new Vector3(1, 1, 1));
+
+			step(30);
+
+			var angularVelocity = new Vector3();
+			rigidBodyComponent.getAngularVelocity(angularVelocity);
+			expect(angularVelocity.x).toBeCloseTo(0, 2);
+			expect(angularVelocity.y).toBeCloseTo(1, 1);
+			expect(angularVelocity.z).toBeCloseTo(0, 2);
+			expect(getPosition().length()).toBeLessThan(0.01);
+		});
+
+		it('stops at the angular limits of a configurable joint', function () {
+			var joint = addJoint(new ConfigurableJoint({
+				connectedEntity: anchor,
+				localPivot: new Vector3(),
+				angularXMotion: ConfigurableJoint.LIMITED,
+				lowerAngularLimit: new Vector3(-0.5, 0, 0),
+				upperAngularLimit: new Vector3(0.5, 0, 0)
+			}));
+			rigidBodyComponent.setAngularVelocity(new Vector3(2, 0, 0));
+
+			step(60);
+
+			expect(joint.cannonJoint.values[3]).toBeCloseTo(0.5, 1);
+		});
+
+		it('pulls with a spring joint', function () {
+			rigidBodyComponent.setPosition(new Vector3(3, 0, 0));
+			addJoint(new SpringJoint({
+				connectedEntity: anchor,
+				restLength: 1
+			}));
+
+			step(10);
+
+			expect(getPosition().x).toBeLessThan(3);
+			var velocity = new Vector3();
+			rigidBodyComponent.getVelocity(velocity);
+			expect(velocity.x).toBeLessThan(0);
+		});
+	});
+
 	it('emits initialized', function () {
 
 		rigidBodyComponent = new RigidBodyComponent({ mass: 1 });
@@ -256,4 +426,34 @@ describe('RigidBodyComponent', function () {
 		entity.removeFromWorld();
 		subEntity.removeFromWorld();
 	});
+
+	it('can restore a snapshot of the body', function () {
+		rigidBodyComponent.initialize();
+		rigidBodyComponent.setPosition(new Vector3(1, 2, 3));
+		rigidBodyComponent.setVelocity(new Vector3(4, 5, 6));
+		rigidBodyComponent.setAngularVelocity(new Vector3(0, 1, 0));
+
+		var snapshot = rigidBodyComponent.snapshot();
+
+		rigidBodyComponent.setPosition(new Vector3(7, 8, 9));
+		rigidBodyComponent.setVelocity(new Vector3());
+		rigidBodyComponent.setAngularVelocity(new Vector3());
+		rigidBodyComponent.setQuaternion(new Quaternion(0, 1, 0, 0));
+		rigidBodyComponent.cannonBody.sleep();
+
+		rigidBodyComponent.restore(snapshot);
+
+		var vector = new Vector3();
+		rigidBodyComponent.getPosition(vector);
+		expect(vector).toEqual(new Vector3(1, 2, 3));
+		rigidBodyComponent.getVelocity(vector);
+		expect(vector).toEqual(new Vector3(4, 5, 6));
+		rigidBodyComponent.getAngularVelocity(vector);
+		expect(vector).toEqual(new Vector3(0, 1, 0));
+
+		var quaternion = new Quaternion();
+		rigidBodyComponent.getQuaternion(quaternion);
+		expect(quaternion).toEqual(new Quaternion(0, 0, 0, 1));
+		expect(rigidBodyComponent.cannonBody.sleepState).toEqual(CANNON.Body.AWAKE);
+	});
 });
@@ -0,0 +1,40 @@
+var DynamicLoader = require('../../../../../src/goo/loaders/DynamicLoader');
+var World = require('../../../../../src/goo/entities/World');
+var CharacterControllerComponent = require('../../../../../src/goo/addons/physicspack/components/CharacterControllerComponent');
+var Configs = require('../../../../../test/unit/loaders/Configs');
+
+require('../../../../../src/goo/addons/physicspack/handlers/CharacterControllerComponentHandler');
+
+describe('CharacterControllerComponentHandler', function () {
+	var loader;
+
+	beforeEach(function () {
+		var world = new World();
+		loader = new DynamicLoader({
+			world: world,
+			rootPath: './',
+			ajax: false
+		});
+	});
+
+	it('loads an entity with characterController component', function (done) {
+		var config = Configs.entity(['characterController']);
+
+		config.components.characterController.height = 1.8;
+		config.components.characterController.stepOffset = 0.5;
+		config.components.characterController.slopeLimit = 30;
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var controller = entity.characterControllerComponent;
+			expect(controller).toEqual(jasmine.any(CharacterControllerComponent));
+			expect(controller.radius).toBe(0.5);
+			expect(controller.height).toBe(1.8);
+			expect(controller.stepOffset).toBe(0.5);
+			expect(controller.slopeLimit).toBe(30);
+			expect(controller.jumpSpeed).toBe(5);
+
+			done();
+		});
+	});
+});
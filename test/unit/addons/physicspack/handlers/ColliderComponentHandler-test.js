@@ -5,6 +5,9 @@ var BoxCollider = require('../../../../../src/goo/addons/physicspack/colliders/B
 var PlaneCollider = require('../../../../../src/goo/addons/physicspack/colliders/PlaneCollider');
 var CylinderCollider = require('../../../../../src/goo/addons/physicspack/colliders/CylinderCollider');
 var SphereCollider = require('../../../../../src/goo/addons/physicspack/colliders/SphereCollider');
+var CapsuleCollider = require('../../../../../src/goo/addons/physicspack/colliders/CapsuleCollider');
+var ConvexHullCollider = require('../../../../../src/goo/addons/physicspack/colliders/ConvexHullCollider');
+var MeshData = require('../../../../../src/goo/renderer/MeshData');
 var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
 var Configs = require('../../../../../test/unit/loaders/Configs');
 
@@ -28,6 +31,8 @@ describe('ColliderComponentHandler', function () {
 		config.components.collider.isTrigger = true;
 		config.components.collider.friction = 0.5;
 		config.components.collider.restitution = 0.6;
+		config.components.collider.collisionGroup = 2;
+		config.components.collider.collisionMask = 3;
 
 		loader.preload(Configs.get());
 		loader.load(config.id).then(function (entity) {
@@ -35,6 +40,8 @@ describe('ColliderComponentHandler', function () {
 			expect(entity.colliderComponent.isTrigger).toBe(true);
 			expect(entity.colliderComponent.material.friction).toBe(0.5);
 			expect(entity.colliderComponent.material.restitution).toBe(0.6);
+			expect(entity.colliderComponent.collisionGroup).toBe(2);
+			expect(entity.colliderComponent.collisionMask).toBe(3);
 			done();
 		});
 	});
@@ -78,6 +85,55 @@ describe('ColliderComponentHandler', function () {
 		});
 	});
 
+	it('loads an entity with with a CapsuleCollider', function (done) {
+		var config = Configs.entity();
+		config.components.collider = Configs.component.collider('Capsule');
+		config.components.collider.shapeOptions.height = 2;
+		config.components.collider.shapeOptions.radius = 3;
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			expect(entity.colliderComponent.collider).toEqual(jasmine.any(CapsuleCollider));
+			expect(entity.colliderComponent.worldCollider).toEqual(jasmine.any(CapsuleCollider));
+			expect(entity.colliderComponent.collider.height).toEqual(2);
+			expect(entity.colliderComponent.collider.radius).toEqual(3);
+			done();
+		});
+	});
+
+	it('loads an entity with with a ConvexHullCollider of a referenced mesh', function (done) {
+		var config = Configs.entity();
+		config.components.collider = Configs.component.collider('ConvexHull');
+		var meshConfig = Configs.mesh();
+		config.components.collider.shapeOptions.meshRef = meshConfig.id;
+		// the dummy mesh is a triangle
+		new Float32Array(Configs.get()[meshConfig.binaryRef]).set([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var collider = entity.colliderComponent.collider;
+			expect(collider).toEqual(jasmine.any(ConvexHullCollider));
+			expect(collider.meshData).toEqual(jasmine.any(MeshData));
+			expect(collider.hull.faces.length).toEqual(2);
+			expect(entity.colliderComponent.worldCollider).toEqual(jasmine.any(ConvexHullCollider));
+			done();
+		});
+	});
+
+	it('builds a ConvexHullCollider from the mesh data of the entity', function (done) {
+		var config = Configs.entity();
+		config.components.meshData = Configs.component.meshData('Box');
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function () {
+			config.components.collider = Configs.component.collider('ConvexHull');
+			return loader.update(config.id, config);
+		}).then(function (entity) {
+			var collider = entity.colliderComponent.collider;
+			expect(collider).toEqual(jasmine.any(ConvexHullCollider));
+			expect(collider.meshData).toBe(entity.meshDataComponent.meshData);
+			expect(collider.hull.faces.length).toEqual(6);
+			done();
+		});
+	});
+
 	it('manages to update between collider types', function (done) {
 		var component;
 		var config = Configs.entity();
@@ -0,0 +1,64 @@
+var DynamicLoader = require('../../../../../src/goo/loaders/DynamicLoader');
+var World = require('../../../../../src/goo/entities/World');
+var RaycastVehicleComponent = require('../../../../../src/goo/addons/physicspack/components/RaycastVehicleComponent');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var Configs = require('../../../../../test/unit/loaders/Configs');
+
+require('../../../../../src/goo/addons/physicspack/handlers/RaycastVehicleComponentHandler');
+
+describe('RaycastVehicleComponentHandler', function () {
+	var loader;
+
+	beforeEach(function () {
+		var world = new World();
+		loader = new DynamicLoader({
+			world: world,
+			rootPath: './',
+			ajax: false
+		});
+	});
+
+	it('loads an entity with raycastVehicle component', function (done) {
+		var config = Configs.entity(['raycastVehicle']);
+		config.components.raycastVehicle.wheels.front.radius = 0.4;
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var vehicle = entity.raycastVehicleComponent;
+			expect(vehicle).toEqual(jasmine.any(RaycastVehicleComponent));
+			expect(vehicle.wheels.length).toBe(2);
+
+			var front = vehicle.wheels[0];
+			expect(front.position).toEqual(new Vector3(0, 0, -1));
+			expect(front.radius).toBe(0.4);
+			expect(front.steering).toBe(true);
+			expect(front.driven).toBe(false);
+			expect(front.braked).toBe(true);
+
+			var back = vehicle.wheels[1];
+			expect(back.radius).toBe(0.5);
+			expect(back.suspensionStiffness).toBe(30);
+			expect(back.driven).toBe(true);
+
+			done();
+		});
+	});
+
+	it('sets the wheel entities once they are loaded', function (done) {
+		var wheelConfig = Configs.entity();
+		var config = Configs.entity(['transform', 'raycastVehicle']);
+		config.components.raycastVehicle.wheels.front.entityRef = wheelConfig.id;
+		Configs.attachChild(config, wheelConfig);
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			setTimeout(function () {
+				var wheelEntity = entity.transformComponent.children[0].entity;
+				expect(entity.raycastVehicleComponent.wheels[0].entity).toBe(wheelEntity);
+				expect(entity.raycastVehicleComponent.wheels[1].entity).toBe(null);
+
+				done();
+			});
+		});
+	});
+});
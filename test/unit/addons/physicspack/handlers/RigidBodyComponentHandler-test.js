@@ -1,7 +1,12 @@
+var RSVP = require('../../../../../src/goo/util/rsvp');
 var DynamicLoader = require('../../../../../src/goo/loaders/DynamicLoader');
 var Vector3 = require('../../../../../src/goo/math/Vector3');
+var ObjectUtils = require('../../../../../src/goo/util/ObjectUtils');
+var PromiseUtils = require('../../../../../src/goo/util/PromiseUtils');
 var World = require('../../../../../src/goo/entities/World');
 var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/components/RigidBodyComponent');
+var PrismaticJoint = require('../../../../../src/goo/addons/physicspack/joints/PrismaticJoint');
+var SpringJoint = require('../../../../../src/goo/addons/physicspack/joints/SpringJoint');
 var Configs = require('../../../../../test/unit/loaders/Configs');
 
 require('../../../../../src/goo/addons/physicspack/handlers/RigidBodyComponentHandler');
@@ -24,6 +29,8 @@ describe('RigidBodyComponentHandler', function () {
 		config.components.rigidBody.mass = 3;
 		config.components.rigidBody.velocity = [1, 2, 3];
 		config.components.rigidBody.angularVelocity = [4, 5, 6];
+		config.components.rigidBody.collisionGroup = 4;
+		config.components.rigidBody.collisionMask = 5;
 
 		loader.preload(Configs.get());
 		loader.load(config.id).then(function (entity) {
@@ -38,8 +45,120 @@ describe('RigidBodyComponentHandler', function () {
 			expect(angularVelocity).toEqual(new Vector3(4, 5, 6));
 
 			expect(entity.rigidBodyComponent.mass).toBe(3);
+			expect(entity.rigidBodyComponent.collisionGroup).toBe(4);
+			expect(entity.rigidBodyComponent.collisionMask).toBe(5);
 
 			done();
 		});
 	});
+
+	it('loads the joints of a rigidBody component', function (done) {
+		var connectedConfig = Configs.entity(['rigidBody']);
+		var config = Configs.entity(['rigidBody']);
+		config.components.rigidBody.joints = {
+			slider: {
+				type: 'Prismatic',
+				connectedEntityRef: connectedConfig.id,
+				localAxis: [0, 1, 0],
+				useLimits: true,
+				upperLimit: 2,
+				sortValue: 0
+			},
+			spring: {
+				type: 'Spring',
+				connectedEntityRef: connectedConfig.id,
+				restLength: 3,
+				sortValue: 1
+			}
+		};
+
+		loader.preload(Configs.get());
+		RSVP.all([loader.load(config.id), loader.load(connectedConfig.id)]).then(function (entities) {
+			var entity = entities[0];
+			var connectedEntity = entities[1];
+
+			var joints = entity.rigidBodyComponent.joints;
+			expect(joints.length).toBe(2);
+
+			expect(joints[0]).toEqual(jasmine.any(PrismaticJoint));
+			expect(joints[0].connectedEntity).toBe(connectedEntity);
+			expect(joints[0].localAxis).toEqual(new Vector3(0, 1, 0));
+			expect(joints[0].useLimits).toBe(true);
+			expect(joints[0].upperLimit).toBe(2);
+
+			expect(joints[1]).toEqual(jasmine.any(SpringJoint));
+			expect(joints[1].restLength).toBe(3);
+
+			done();
+		});
+	});
+
+	it('replaces the joints when the config is updated', function (done) {
+		var connectedConfig = Configs.entity(['rigidBody']);
+		var config = Configs.entity(['rigidBody']);
+		config.components.rigidBody.joints = {
+			lock: { type: 'Lock', connectedEntityRef: connectedConfig.id }
+		};
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function () {
+			config.components.rigidBody.joints = {};
+			return loader.update(config.id, config);
+		}).then(function (entity) {
+			expect(entity.rigidBodyComponent.joints.length).toBe(0);
+			done();
+		});
+	});
+
+	it('only adds the joints of the latest config', function (done) {
+		var connectedConfig = Configs.entity(['rigidBody']);
+		var config = Configs.entity(['rigidBody']);
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function () {
+			var lockConfig = ObjectUtils.deepClone(config);
+			lockConfig.components.rigidBody.joints = {
+				lock: { type: 'Lock', connectedEntityRef: connectedConfig.id }
+			};
+			var springConfig = ObjectUtils.deepClone(config);
+			springConfig.components.rigidBody.joints = {
+				spring: { type: 'Spring', connectedEntityRef: connectedConfig.id }
+			};
+			return RSVP.all([
+				loader.update(config.id, lockConfig),
+				loader.update(config.id, springConfig)
+			]);
+		}).then(function (entities) {
+			var joints = entities[0].rigidBodyComponent.joints;
+			expect(joints.length).toBe(1);
+			expect(joints[0]).toEqual(jasmine.any(SpringJoint));
+			done();
+		});
+	});
+
+	it('leaves out joints whose connected entity fails to load', function (done) {
+		spyOn(console, 'error');
+		var loadObject = loader._loadObject;
+		spyOn(loader, '_loadObject').and.callFake(function (ref, options) {
+			if (ref === 'missing.entity') {
+				return PromiseUtils.reject(new Error('Not found'));
+			}
+			return loadObject.call(loader, ref, options);
+		});
+		var connectedConfig = Configs.entity(['rigidBody']);
+		var config = Configs.entity(['rigidBody']);
+		config.components.rigidBody.joints = {
+			lock: { type: 'Lock', connectedEntityRef: 'missing.entity', sortValue: 0 },
+			spring: { type: 'Spring', connectedEntityRef: connectedConfig.id, sortValue: 1 }
+		};
+
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (entity) {
+			var joints = entity.rigidBodyComponent.joints;
+			expect(joints.length).toBe(1);
+			expect(joints[0]).toEqual(jasmine.any(SpringJoint));
+			expect(console.error).toHaveBeenCalled();
+			done();
+		});
+	});
 });
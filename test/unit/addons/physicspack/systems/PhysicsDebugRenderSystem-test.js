@@ -5,16 +5,29 @@ describe('PhysicsDebugRenderSystem', function () {
 	var CylinderCollider = require('../../../../../src/goo/addons/physicspack/colliders/CylinderCollider');
 	var PlaneCollider = require('../../../../../src/goo/addons/physicspack/colliders/PlaneCollider');
 	var MeshCollider = require('../../../../../src/goo/addons/physicspack/colliders/MeshCollider');
+	var CapsuleCollider = require('../../../../../src/goo/addons/physicspack/colliders/CapsuleCollider');
+	var ConvexHullCollider = require('../../../../../src/goo/addons/physicspack/colliders/ConvexHullCollider');
+	var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
+	var PhysicsCapsuleDebugShape = require('../../../../../src/goo/addons/physicspack/shapes/PhysicsCapsuleDebugShape');
+	var PhysicsConvexHullDebugShape = require('../../../../../src/goo/addons/physicspack/shapes/PhysicsConvexHullDebugShape');
+	var Transform = require('../../../../../src/goo/math/Transform');
+	var Box = require('../../../../../src/goo/shapes/Box');
 	var PhysicsDebugRenderSystem = require('../../../../../src/goo/addons/physicspack/systems/PhysicsDebugRenderSystem');
 	var ColliderSystem = require('../../../../../src/goo/addons/physicspack/systems/ColliderSystem');
 	var PhysicsSystem = require('../../../../../src/goo/addons/physicspack/systems/PhysicsSystem');
 	var Sphere = require('../../../../../src/goo/shapes/Sphere');
 	var World = require('../../../../../src/goo/entities/World');
 	var MeshData = require('../../../../../src/goo/renderer/MeshData');
+	var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/components/RigidBodyComponent');
+	var HingeJoint = require('../../../../../src/goo/addons/physicspack/joints/HingeJoint');
+	var SpringJoint = require('../../../../../src/goo/addons/physicspack/joints/SpringJoint');
+	var Vector3 = require('../../../../../src/goo/math/Vector3');
+	var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
 
 	var world, system;
 
 	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
 		world = new World();
 		system = new PhysicsDebugRenderSystem();
 		world.setSystem(system);
@@ -53,4 +66,132 @@ describe('PhysicsDebugRenderSystem', function () {
 		expect(system.getMeshData(planeCollider)).toEqual(jasmine.any(MeshData));
 		expect(system.getMeshData(meshCollider)).toEqual(jasmine.any(MeshData));
 	});
+
+	it('can get mesh data from capsule and convex hull colliders', function () {
+		var capsuleMeshData = system.getMeshData(new CapsuleCollider({ radius: 1, height: 2 }));
+		expect(capsuleMeshData).toEqual(jasmine.any(PhysicsCapsuleDebugShape));
+		expect(capsuleMeshData.height).toEqual(2);
+		expect(system.getMeshData(new CapsuleCollider({ radius: 2, height: 4 }))).toBe(capsuleMeshData);
+
+		var hullCollider = new ConvexHullCollider({ meshData: new Box() });
+		var hullMeshData = system.getMeshData(hullCollider);
+		expect(hullMeshData).toEqual(jasmine.any(PhysicsConvexHullDebugShape));
+		expect(hullMeshData.indexCount).toEqual(2 * 12);
+		expect(system.getMeshData(hullCollider.clone())).toBe(hullMeshData);
+	});
+
+	it('scales capsules by their radius', function () {
+		var collider = new CapsuleCollider({ radius: 2, height: 3 });
+		var entity = world.createEntity(new ColliderComponent({ collider: collider })).addToWorld();
+		var transform = new Transform();
+
+		system.getWorldTransform(entity, collider, transform);
+
+		expect(transform.scale.x).toEqual(2);
+		expect(transform.scale.y).toEqual(2);
+		expect(transform.scale.z).toEqual(2);
+	});
+
+	it('drops debug meshes of colliders that are gone', function () {
+		var entity = world.createEntity(new ColliderComponent({
+			collider: new CapsuleCollider()
+		})).addToWorld();
+		world.process();
+		expect(system._capsuleMeshDatas.size).toEqual(1);
+
+		entity.removeFromWorld();
+		world.process();
+		expect(system._capsuleMeshDatas.size).toEqual(0);
+	});
+
+	it('frees the buffers of dropped debug meshes on the next render', function () {
+		var entity = world.createEntity(new ColliderComponent({
+			collider: new CapsuleCollider()
+		})).addToWorld();
+		world.process();
+		var meshData = system._capsuleMeshDatas.values().next().value;
+		spyOn(MeshData.prototype, 'destroy');
+
+		entity.removeFromWorld();
+		world.process();
+		var renderer = {
+			context: {},
+			checkResize: function () {},
+			render: function () {}
+		};
+		system.render(renderer);
+		system.render(renderer);
+
+		expect(MeshData.prototype.destroy.calls.count()).toEqual(1);
+		expect(MeshData.prototype.destroy.calls.mostRecent().object).toBe(meshData);
+		expect(MeshData.prototype.destroy).toHaveBeenCalledWith(renderer.context);
+	});
+
+	describe('joints', function () {
+		var entity, connectedEntity;
+
+		beforeEach(function () {
+			entity = world.createEntity(new RigidBodyComponent()).addToWorld();
+			connectedEntity = world.createEntity().addToWorld();
+		});
+
+		it('draws the pivot and the axis of a joint', function () {
+			entity.setTranslation(1, 0, 0);
+			entity.rigidBodyComponent.addJoint(new HingeJoint({
+				connectedEntity: connectedEntity,
+				localPivot: new Vector3(0, 1, 0),
+				localAxis: new Vector3(0, 0, 1)
+			}));
+
+			system.process([entity]);
+
+			expect(system.renderList.length).toEqual(2);
+			var pivot = system.renderList[0];
+			expect(pivot.meshData).toBe(system.boxMeshData);
+			expect(pivot.materials[0]).toBe(system.jointMaterial);
+			expect(pivot.transform.translation).toEqual(new Vector3(1, 1, 0));
+
+			var axis = system.renderList[1];
+			expect(axis.meshData).toBe(system.cylinderMeshData);
+			expect(axis.transform.translation).toEqual(new Vector3(1, 1, 0));
+			expect(axis.transform.scale.z).toBeCloseTo(1);
+		});
+
+		it('draws a line between the ends of a spring', function () {
+			connectedEntity.setTranslation(0, 3, 0);
+			entity.rigidBodyComponent.addJoint(new SpringJoint({
+				connectedEntity: connectedEntity
+			}));
+
+			system.process([entity]);
+
+			expect(system.renderList.length).toEqual(1);
+			var line = system.renderList[0];
+			expect(line.transform.translation).toEqual(new Vector3(0, 1.5, 0));
+			expect(line.transform.scale.z).toBeCloseTo(3);
+		});
+
+		it('turns vertical lines along the line', function () {
+			connectedEntity.setTranslation(0, 3, 0);
+			entity.rigidBodyComponent.addJoint(new SpringJoint({
+				connectedEntity: connectedEntity
+			}));
+
+			system.process([entity]);
+
+			var matrix = system.renderList[0].transform.matrix;
+			expect(new Vector3(0, 0, -0.5).applyPostPoint(matrix)).toBeCloseToVector(new Vector3(0, 3, 0));
+			expect(new Vector3(0, 0, 0.5).applyPostPoint(matrix)).toBeCloseToVector(new Vector3(0, 0, 0));
+		});
+
+		it('skips lines between points at the same place', function () {
+			entity.rigidBodyComponent.addJoint(new SpringJoint({
+				connectedEntity: connectedEntity
+			}));
+
+			system.process([entity]);
+
+			expect(system.renderList.length).toEqual(0);
+		});
+	});
 });
@@ -2,8 +2,10 @@ var RigidBodyComponent = require('../../../../../src/goo/addons/physicspack/comp
 var ColliderComponent = require('../../../../../src/goo/addons/physicspack/components/ColliderComponent');
 var RaycastResult = require('../../../../../src/goo/addons/physicspack/RaycastResult');
 var SphereCollider = require('../../../../../src/goo/addons/physicspack/colliders/SphereCollider');
+var BoxCollider = require('../../../../../src/goo/addons/physicspack/colliders/BoxCollider');
 var PhysicsSystem = require('../../../../../src/goo/addons/physicspack/systems/PhysicsSystem');
 var Vector3 = require('../../../../../src/goo/math/Vector3');
+var Quaternion = require('../../../../../src/goo/math/Quaternion');
 var World = require('../../../../../src/goo/entities/World');
 var SystemBus = require('../../../../../src/goo/entities/SystemBus');
 var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
@@ -130,7 +132,7 @@ describe('PhysicsSystem', function () {
 		var direction = new Vector3(0, 0, 1);
 		var distance = 20;
 
-		var rbc = new RigidBodyComponent({ mass: 1 });
+		var rbc = new RigidBodyComponent({ mass: 1, collisionMask: 1 });
 		var cc = new ColliderComponent({
 			collider: new SphereCollider({ radius: 1 })
 		});
@@ -194,6 +196,102 @@ describe('PhysicsSystem', function () {
 		expect(system.raycastClosest(start, direction, distance)).toBe(false);
 	});
 
+	describe('scene queries', function () {
+		var entityA, entityB;
+
+		function createSphere(x, y, z, settings) {
+			var rbc = new RigidBodyComponent({ mass: 1 });
+			var cc = new ColliderComponent(settings || {
+				collider: new SphereCollider({ radius: 1 })
+			});
+			var entity = world.createEntity(rbc, cc).addToWorld();
+			entity.setTranslation(x, y, z);
+			rbc.initialize(); // Needed to initialize body
+			return entity;
+		}
+
+		beforeEach(function () {
+			entityA = createSphere(0, 0, 3);
+			entityB = createSphere(0, 0, -3);
+		});
+
+		it('can find the colliders overlapping a sphere', function () {
+			var results = system.overlapSphere(new Vector3(0, 0, 1), 1.5);
+			expect(results.length).toBe(1);
+			expect(results[0].entity).toBe(entityA);
+			expect(results[0].normal).toBeCloseToVector(new Vector3(0, 0, -1));
+			expect(results[0].point.z).toBeCloseTo(2);
+			expect(results[0].distance).toBeCloseTo(1);
+
+			expect(system.overlapSphere(new Vector3(0, 0, 0), 3).length).toBe(2);
+			expect(system.overlapSphere(new Vector3(0, 0, 0), 1).length).toBe(0);
+		});
+
+		it('can find the colliders overlapping a box', function () {
+			var results = system.overlapBox(new Vector3(0, 0, -1), new Vector3(1, 1, 1.5));
+			expect(results.length).toBe(1);
+			expect(results[0].entity).toBe(entityB);
+			expect(results[0].normal).toBeCloseToVector(new Vector3(0, 0, 1));
+
+			// A rotated box reaches further along its own axes
+			var orientation = new Quaternion().fromAngleAxis(Math.PI / 2, Vector3.UNIT_Y);
+			expect(system.overlapBox(new Vector3(0, 0, 0), new Vector3(2.5, 0.1, 0.1), { orientation: orientation }).length).toBe(2);
+			expect(system.overlapBox(new Vector3(0, 0, 0), new Vector3(2.5, 0.1, 0.1)).length).toBe(0);
+		});
+
+		it('can filter overlaps with collision groups', function () {
+			entityA.rigidBodyComponent.collisionGroup = 2;
+			entityA.rigidBodyComponent.collisionMask = 1;
+			entityB.rigidBodyComponent.collisionMask = 1;
+			var center = new Vector3(0, 0, 0);
+
+			expect(system.overlapSphere(center, 3, { collisionMask: 2 }).map(function (result) {
+				return result.entity;
+			})).toEqual([entityA]);
+			expect(system.overlapSphere(center, 3, { collisionGroup: 4 }).length).toBe(0);
+		});
+
+		it('does not hit triggers', function () {
+			createSphere(5, 0, 0, {
+				collider: new SphereCollider({ radius: 1 }),
+				isTrigger: true
+			});
+			expect(system.overlapSphere(new Vector3(5, 0, 0), 1).length).toBe(0);
+		});
+
+		it('can sphere cast', function () {
+			var result = new RaycastResult();
+			var hit = system.sphereCast(new Vector3(0, 0.5, -10), new Vector3(0, 0, 1), 0.5, 20, {}, result);
+			expect(hit).toBe(true);
+			expect(result.entity).toBe(entityB);
+			expect(result.normal.z).toBeLessThan(0);
+
+			// The spheres touch when their centers are one and a half units apart
+			var expected = -3 - Math.sqrt(1.5 * 1.5 - 0.5 * 0.5) + 10;
+			expect(result.distance).toBeCloseTo(expected, 2);
+
+			expect(system.sphereCast(new Vector3(0, 2, -10), new Vector3(0, 0, 1), 0.5, 20, result)).toBe(false);
+			expect(system.sphereCast(new Vector3(0, 0, -10), new Vector3(0, 0, 1), 0.5, 5)).toBe(false);
+		});
+
+		it('can sweep a collider', function () {
+			var result = new RaycastResult();
+			var collider = new BoxCollider({ halfExtents: new Vector3(0.5, 0.5, 0.1) });
+			var hit = system.shapeSweep(collider, new Vector3(0, 0, 10), new Vector3(0, 0, -1), 20, { collisionMask: 1 }, result);
+			expect(hit).toBe(true);
+			expect(result.entity).toBe(entityA);
+			expect(result.normal).toBeCloseToVector(new Vector3(0, 0, 1));
+			expect(result.distance).toBeCloseTo(10 - 4.1, 2);
+		});
+
+		it('reports a distance of zero when the sweep starts in a collider', function () {
+			var result = new RaycastResult();
+			expect(system.sphereCast(new Vector3(0, 0, 3), new Vector3(1, 0, 0), 0.5, 10, result)).toBe(true);
+			expect(result.entity).toBe(entityA);
+			expect(result.distance).toBe(0);
+		});
+	});
+
 	it('emits contact events', function () {
 		function sortEntitiesByName(a, b) {
 			if (a.name === b.name) {
@@ -691,6 +789,114 @@ describe('PhysicsSystem', function () {
 		});
 	});
 
+	describe('contact events on components', function () {
+		var entityA, entityB;
+
+		function createSphere(z) {
+			var entity = world.createEntity(
+				new RigidBodyComponent({ mass: 1 }),
+				new ColliderComponent({ collider: new SphereCollider({ radius: 1 }) })
+			).addToWorld();
+			entity.setTranslation(0, 0, z);
+			entity.rigidBodyComponent.initialize();
+			return entity;
+		}
+
+		beforeEach(function () {
+			entityA = createSphere(0.9);
+			entityB = createSphere(-0.9);
+		});
+
+		it('fires begin, during and end events with the contact points', function () {
+			var events = [];
+			var listener = function (event) {
+				events.push(event);
+			};
+			entityA.colliderComponent.on('beginContact', listener).on('duringContact', listener).on('endContact', listener);
+
+			world.fixedUpdate();
+			world.fixedUpdate();
+			entityA.rigidBodyComponent.setPosition(new Vector3(0, 0, 5));
+			world.fixedUpdate();
+
+			expect(events.map(function (event) { return event.type; })).toEqual(['beginContact', 'duringContact', 'endContact']);
+
+			var event = events[0];
+			expect(event.entity).toBe(entityA);
+			expect(event.otherEntity).toBe(entityB);
+			expect(event.contacts.length).toEqual(1);
+			expect(event.contacts[0].normal).toBeCloseToVector(new Vector3(0, 0, 1));
+			expect(event.contacts[0].point.z).toBeLessThan(0);
+			expect(event.contacts[0].impulse).toBeGreaterThan(0);
+			expect(event.impulse).toEqual(event.contacts[0].impulse);
+
+			expect(events[2].contacts).toEqual([]);
+		});
+
+		it('fires the events of the colliders on their rigid body', function () {
+			var normals = [];
+			entityB.rigidBodyComponent.on('beginContact', function (event) {
+				expect(event.entity).toBe(entityB);
+				expect(event.otherEntity).toBe(entityA);
+				normals.push(event.contacts[0].normal);
+			});
+
+			world.fixedUpdate();
+
+			expect(normals.length).toEqual(1);
+			expect(normals[0]).toBeCloseToVector(new Vector3(0, 0, -1));
+		});
+
+		it('stops firing events after off', function () {
+			var count = 0;
+			var listener = function () {
+				count++;
+			};
+			entityA.colliderComponent.on('beginContact', listener);
+
+			world.fixedUpdate();
+			entityA.colliderComponent.off('beginContact', listener);
+			entityA.rigidBodyComponent.setPosition(new Vector3(0, 0, 5));
+			world.fixedUpdate();
+			entityA.rigidBodyComponent.setPosition(new Vector3(0, 0, 0.9));
+			world.fixedUpdate();
+
+			expect(count).toEqual(1);
+		});
+
+		it('gives the impulse that holds up a resting body', function () {
+			system.setGravity(new Vector3(0, 0, -10));
+			entityB.rigidBodyComponent.isKinematic = true;
+
+			var impulse = 0;
+			entityA.colliderComponent.on('duringContact', function (event) {
+				impulse = event.impulse;
+			});
+			for (var i = 0; i < 60; i++) {
+				world.fixedUpdate();
+			}
+
+			// mass times gravity times the time step
+			expect(impulse).toBeCloseTo(10 * world.fixedTpf, 2);
+		});
+
+		it('filters the contacts with collision groups and masks', function () {
+			var count = 0;
+			entityA.colliderComponent.on('beginContact', function () {
+				count++;
+			});
+			entityA.rigidBodyComponent.collisionGroup = 2;
+			entityB.rigidBodyComponent.collisionMask = 1;
+
+			world.fixedUpdate();
+			expect(count).toEqual(0);
+
+			entityB.rigidBodyComponent.collisionMask = 3;
+			world.fixedUpdate();
+			expect(count).toEqual(1);
+		});
+	});
+
 	it('emits substep events', function () {
 		var substeps = 0;
 
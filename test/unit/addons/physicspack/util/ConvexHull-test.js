@@ -0,0 +1,62 @@
+describe('ConvexHull', function () {
+
+	var ConvexHull = require('../../../../../src/goo/addons/physicspack/util/ConvexHull');
+	var Vector3 = require('../../../../../src/goo/math/Vector3');
+	var Sphere = require('../../../../../src/goo/shapes/Sphere');
+
+	// every point has to be behind or on the plane of every face
+	function expectConvex(hull, positions) {
+		hull.faces.forEach(function (face) {
+			var a = hull.vertices[face[0]];
+			var normal = new Vector3(hull.vertices[face[1]]).sub(a).cross(new Vector3(hull.vertices[face[2]]).sub(a)).normalize();
+			var offset = normal.dot(a);
+			for (var i = 0; i < positions.length; i += 3) {
+				expect(normal.dot(new Vector3(positions[i], positions[i + 1], positions[i + 2])) - offset).not.toBeGreaterThan(1e-5);
+			}
+		});
+	}
+
+	it('merges the faces of a cube', function () {
+		var positions = [];
+		for (var x = -1; x <= 1; x++) {
+			for (var y = -1; y <= 1; y++) {
+				for (var z = -1; z <= 1; z++) {
+					positions.push(x, y, z);
+				}
+			}
+		}
+
+		var hull = new ConvexHull(positions);
+
+		expect(hull.vertices.length).toEqual(8);
+		expect(hull.faces.length).toEqual(6);
+		hull.faces.forEach(function (face) {
+			expect(face.length).toEqual(4);
+		});
+		expectConvex(hull, positions);
+	});
+
+	it('contains all points of a mesh', function () {
+		var positions = new Sphere(8, 8, 2).getAttributeBuffer('POSITION');
+
+		var hull = new ConvexHull(positions);
+
+		expectConvex(hull, positions);
+		hull.vertices.forEach(function (vertex) {
+			expect(vertex.length()).toBeCloseTo(2);
+		});
+	});
+
+	it('makes two sided hulls of flat point sets', function () {
+		var hull = new ConvexHull([0, 0, 0, 1, 0, 0, 2, 0, 0, 0, 1, 0, 1, 1, 0, 2, 1, 0]);
+
+		expect(hull.vertices.length).toEqual(4);
+		expect(hull.faces).toEqual([[0, 1, 2, 3], [3, 2, 1, 0]]);
+	});
+
+	it('throws for points on a line', function () {
+		expect(function () {
+			new ConvexHull([0, 0, 0, 1, 1, 1, 2, 2, 2]);
+		}).toThrow();
+	});
+});
@@ -0,0 +1,73 @@
+var MorphWeightsChannel = require('../../../../src/goo/animationpack/clip/MorphWeightsChannel');
+var MorphWeightsData = require('../../../../src/goo/animationpack/clip/MorphWeightsData');
+
+describe('MorphWeightsChannel', function () {
+	var channel;
+
+	beforeEach(function () {
+		channel = new MorphWeightsChannel('face', [0, 1], [
+			0, 1,
+			1, 0
+		], 2);
+	});
+
+	it('creates morph weights data objects', function () {
+		expect(channel.createStateDataObject()).toEqual(jasmine.any(MorphWeightsData));
+	});
+
+	describe('.updateSample', function () {
+		it('interpolates the weights between key frames', function () {
+			var data = channel.createStateDataObject();
+
+			channel.updateSample(0.25, data);
+
+			expect(data._weights[0]).toBeCloseTo(0.25);
+			expect(data._weights[1]).toBeCloseTo(0.75);
+		});
+
+		it('clamps to the last key frame', function () {
+			var data = channel.createStateDataObject();
+
+			channel.updateSample(2, data);
+
+			expect(data._weights[0]).toBeCloseTo(1);
+			expect(data._weights[1]).toBeCloseTo(0);
+		});
+	});
+
+	describe('.getData', function () {
+		it('gets the weights of a key frame', function () {
+			var data = channel.getData(1);
+
+			expect(Array.prototype.slice.call(data._weights, 0, 2)).toEqual([1, 0]);
+		});
+	});
+});
+
+describe('MorphWeightsData', function () {
+	describe('.blend', function () {
+		it('blends weights linearly', function () {
+			var dataA = new MorphWeightsData();
+			var dataB = new MorphWeightsData();
+			dataA._weights[0] = 1;
+			dataB._weights[1] = 1;
+
+			var blended = dataA.blend(dataB, 0.25);
+
+			expect(blended._weights[0]).toBeCloseTo(0.75);
+			expect(blended._weights[1]).toBeCloseTo(0.25);
+		});
+	});
+
+	describe('.applyTo', function () {
+		it('sets the morph weights of a mesh data component', function () {
+			var data = new MorphWeightsData();
+			data._weights[2] = 0.5;
+			var meshDataComponent = { morphWeights: null };
+
+			data.applyTo(meshDataComponent);
+
+			expect(meshDataComponent.morphWeights[2]).toBeCloseTo(0.5);
+		});
+	});
+});
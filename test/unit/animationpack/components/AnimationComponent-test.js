@@ -0,0 +1,81 @@
+var AnimationComponent = require('../../../../src/goo/animationpack/components/AnimationComponent');
+var AnimationLayer = require('../../../../src/goo/animationpack/layer/AnimationLayer');
+var AnimationClip = require('../../../../src/goo/animationpack/clip/AnimationClip');
+var ClipSource = require('../../../../src/goo/animationpack/blendtree/ClipSource');
+var SteadyState = require('../../../../src/goo/animationpack/state/SteadyState');
+var FadeTransitionState = require('../../../../src/goo/animationpack/state/FadeTransitionState');
+
+describe('AnimationComponent', function () {
+	var component, layer, walk, run;
+
+	function createState(name) {
+		var state = new SteadyState(name);
+		state.setClipSource(new ClipSource(new AnimationClip(name)));
+		return state;
+	}
+
+	beforeEach(function () {
+		component = new AnimationComponent();
+		layer = component.layers[0];
+
+		walk = createState('walk');
+		run = createState('run');
+		layer.setState('walk', walk);
+		layer.setState('run', run);
+		layer._transitions['*'] = { type: 'Fade', fadeTime: 1 };
+
+		layer.setCurrentState(walk, true, 2);
+	});
+
+	describe('snapshot', function () {
+		it('restores the current state and the clip timing of the layers', function () {
+			var snapshot = component.snapshot();
+
+			layer.transitionTo('run', 5);
+			walk._sourceTree._clipInstance._active = false;
+			component.pause();
+
+			component.restore(snapshot);
+
+			expect(layer.getCurrentState()).toBe(walk);
+			expect(walk._globalStartTime).toEqual(2);
+			expect(walk._sourceTree._clipInstance._startTime).toEqual(2);
+			expect(walk._sourceTree._clipInstance._active).toBeTruthy();
+			expect(component.paused).toBeFalsy();
+		});
+
+		it('restores a transition in progress', function () {
+			layer.transitionTo('run', 5);
+			var transition = layer.getCurrentState();
+			transition._percent = 0.25;
+
+			var snapshot = component.snapshot();
+
+			layer.setCurrentState(run, false);
+			transition._percent = 1;
+			transition._sourceState = null;
+
+			component.restore(snapshot);
+
+			expect(layer.getCurrentState()).toBe(transition);
+			expect(transition).toEqual(jasmine.any(FadeTransitionState));
+			expect(transition._sourceState).toBe(walk);
+			expect(transition._targetState).toBe(run);
+			expect(transition._percent).toEqual(0.25);
+			expect(transition._globalStartTime).toEqual(5);
+			expect(walk.onFinished).toBeNull();
+		});
+
+		it('restores the blend weight of upper layers', function () {
+			var upperLayer = new AnimationLayer('upper');
+			upperLayer.setBlendWeight(0.3);
+			component.addLayer(upperLayer);
+
+			var snapshot = component.snapshot();
+			upperLayer.setBlendWeight(0.8);
+			component.restore(snapshot);
+
+			expect(upperLayer._layerBlender._blendWeight).toEqual(0.3);
+		});
+	});
+});
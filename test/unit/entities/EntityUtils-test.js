@@ -32,6 +32,20 @@ describe('EntityUtils', function () {
 		expect(EntityUtils.getRoot(e3)).toBe(e1);
 	});
 
+	it('can check if an entity is in the hierarchy of another', function () {
+		var e1 = world.createEntity();
+		var e2 = world.createEntity();
+		e1.transformComponent.attachChild(e2.transformComponent);
+		var e3 = world.createEntity();
+		e2.transformComponent.attachChild(e3.transformComponent);
+		var other = world.createEntity();
+
+		expect(EntityUtils.isInHierarchyOf(e1, e1)).toBe(true);
+		expect(EntityUtils.isInHierarchyOf(e3, e1)).toBe(true);
+		expect(EntityUtils.isInHierarchyOf(e1, e3)).toBe(false);
+		expect(EntityUtils.isInHierarchyOf(other, e1)).toBe(false);
+	});
+
 	it('can get the total bounding box', function () {
 		var e1 = world.createEntity(meshData, new MeshRendererComponent());
 		var e2 = world.createEntity(meshData, new MeshRendererComponent(), [10, 10, 10]);
@@ -0,0 +1,68 @@
+var GooRunner = require('../../../src/goo/entities/GooRunner');
+var NullRenderer = require('../../../src/goo/renderer/NullRenderer');
+var Camera = require('../../../src/goo/renderer/Camera');
+var Material = require('../../../src/goo/renderer/Material');
+var RenderQueue = require('../../../src/goo/renderer/RenderQueue');
+var ShaderLib = require('../../../src/goo/renderer/shaders/ShaderLib');
+var Box = require('../../../src/goo/shapes/Box');
+
+describe('GooRunner', function () {
+	describe('headless', function () {
+		var gooRunner, world;
+
+		beforeEach(function () {
+			gooRunner = new GooRunner({ headless: true });
+			world = gooRunner.world;
+			world.createEntity(new Camera(), [0, 0, 10]).addToWorld();
+		});
+
+		afterEach(function () {
+			gooRunner.clear();
+		});
+
+		it('uses a NullRenderer and does not start the game loop', function () {
+			expect(gooRunner.renderer).toEqual(jasmine.any(NullRenderer));
+			expect(gooRunner.animationId).toEqual(0);
+		});
+
+		it('processes the world when stepped', function () {
+			var entity = world.createEntity([1, 2, 3]).addToWorld();
+			var tpfs = [];
+			gooRunner.callbacks.push(function (tpf) {
+				tpfs.push(tpf);
+			});
+
+			gooRunner.step(0.5);
+			gooRunner.step();
+
+			expect(entity.transformComponent.worldTransform.translation.toArray()).toEqual([1, 2, 3]);
+			expect(tpfs[0]).toBeCloseTo(0.5);
+			expect(tpfs[1]).toBeCloseTo(1 / 60);
+		});
+
+		it('records render stats', function () {
+			var box = new Box();
+			world.createEntity(box, new Material(ShaderLib.simpleLit)).addToWorld();
+			world.createEntity(box, new Material(ShaderLib.simpleLit), [2, 0, 0]).addToWorld();
+
+			gooRunner.step();
+
+			expect(gooRunner.renderer.info.calls).toEqual(2);
+			expect(gooRunner.renderer.info.vertices).toEqual(box.vertexCount * 2);
+			expect(gooRunner.renderer.info.indices).toEqual(box.indexCount * 2);
+		});
+
+		it('records the render queue ordering', function () {
+			var transparentMaterial = new Material(ShaderLib.simpleLit);
+			transparentMaterial.renderQueue = RenderQueue.TRANSPARENT;
+
+			var transparent = world.createEntity(new Box(), transparentMaterial, [0, 0, 5]).addToWorld();
+			var far = world.createEntity(new Box(), new Material(ShaderLib.simpleLit), [0, 0, -20]).addToWorld();
+			var near = world.createEntity(new Box(), new Material(ShaderLib.simpleLit), [0, 0, 0]).addToWorld();
+
+			gooRunner.step();
+
+			expect(gooRunner.renderer.renderedList).toEqual([near, far, transparent]);
+		});
+	});
+});
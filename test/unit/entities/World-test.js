@@ -454,3 +454,133 @@ describe('Default selectors', function () {
 		expect(selection.toArray()).toEqual([entity1, entity3]);
 	});
 });
+
+describe('World snapshots', function () {
+	var world;
+
+	beforeEach(function () {
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.setSystem(new TransformSystem());
+	});
+
+	it('restores the transforms and the hierarchy of the entities', function () {
+		var parent = world.createEntity([1, 2, 3]).addToWorld();
+		var child = world.createEntity([0, 1, 0]).addToWorld();
+		var other = world.createEntity().addToWorld();
+		parent.attachChild(child);
+		world.process();
+
+		var snapshot = world.snapshot();
+
+		parent.setTranslation(5, 5, 5);
+		child.setScale(2, 2, 2);
+		other.attachChild(child);
+		world.process();
+
+		world.restore(snapshot);
+		world.process();
+
+		expect(parent.getTranslation().toArray()).toEqual([1, 2, 3]);
+		expect(child.getScale().toArray()).toEqual([1, 1, 1]);
+		expect(child.transformComponent.parent).toBe(parent.transformComponent);
+		expect(parent.transformComponent.children).toEqual([child.transformComponent]);
+		expect(other.transformComponent.children).toEqual([]);
+		expect(child.transformComponent.worldTransform.translation.toArray()).toEqual([1, 3, 3]);
+	});
+
+	it('removes entities added since and adds back entities removed since', function () {
+		var kept = world.createEntity().addToWorld();
+		var removed = world.createEntity().addToWorld();
+		world.process();
+
+		var snapshot = world.snapshot();
+
+		var added = world.createEntity().addToWorld();
+		removed.removeFromWorld();
+		world.process();
+
+		world.restore(snapshot);
+
+		expect(world.entityManager.containsEntity(kept)).toBeTruthy();
+		expect(world.entityManager.containsEntity(removed)).toBeTruthy();
+		expect(world.entityManager.containsEntity(added)).toBeFalsy();
+		expect(world.getSystem('TransformSystem')._activeEntities).toEqual([kept, removed]);
+	});
+
+	it('adds back entities whose removal was not processed yet', function () {
+		var entity = world.createEntity().addToWorld();
+		world.process();
+
+		var snapshot = world.snapshot();
+		entity.removeFromWorld();
+		world.restore(snapshot);
+		world.process();
+
+		expect(world.getSystem('TransformSystem')._activeEntities).toEqual([entity]);
+	});
+
+	it('restores component state after the systems have seen re-added entities', function () {
+		var calls = [];
+		function CounterComponent() {
+			Component.apply(this, arguments);
+			this.type = 'CounterComponent';
+			this.count = 0;
+		}
+		CounterComponent.prototype = Object.create(Component.prototype);
+		CounterComponent.prototype.snapshot = function () {
+			return { count: this.count };
+		};
+		CounterComponent.prototype.restore = function (data) {
+			calls.push('restore');
+			this.count = data.count;
+		};
+
+		var system = new System('CounterSystem', ['CounterComponent']);
+		system.inserted = function (entity) {
+			calls.push('inserted');
+			entity.counterComponent.count = -1;
+		};
+		world.setSystem(system);
+
+		var counterComponent = new CounterComponent();
+		var entity = world.createEntity(counterComponent).addToWorld();
+		world.process();
+		counterComponent.count = 3;
+
+		var snapshot = world.snapshot();
+		entity.removeFromWorld();
+		world.process();
+		calls = [];
+
+		world.restore(snapshot);
+
+		expect(calls).toEqual(['inserted', 'restore']);
+		expect(counterComponent.count).toEqual(3);
+	});
+
+	it('skips components that were removed since', function () {
+		var entity = world.createEntity([1, 2, 3]).addToWorld();
+		var transformComponent = entity.transformComponent;
+		world.process();
+
+		var snapshot = world.snapshot();
+		entity.clearComponent('TransformComponent');
+		transformComponent.setTranslation(4, 5, 6);
+		world.restore(snapshot);
+
+		expect(transformComponent.getTranslation().toArray()).toEqual([4, 5, 6]);
+	});
+
+	it('restores the world time', function () {
+		world.update(0.1);
+		var fixedTpfTime = world.fixedTpfTime;
+		var snapshot = world.snapshot();
+
+		world.update(0.25);
+		world.restore(snapshot);
+
+		expect(world.time).toEqual(0.1);
+		expect(world.fixedTpfTime).toEqual(fixedTpfTime);
+	});
+});
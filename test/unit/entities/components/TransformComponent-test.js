@@ -676,4 +676,47 @@ describe('TransformComponent', function () {
 
 		expect(childEntity.transformComponent.worldTransform.translation.x).toBe(1);
 	});
+
+	describe('snapshot', function () {
+		it('restores the local transform', function () {
+			var transformComponent = world.createEntity([1, 2, 3]).transformComponent;
+			transformComponent.setRotation(0, 1, 0);
+
+			var snapshot = transformComponent.snapshot();
+			var rotation = transformComponent.transform.rotation.clone();
+			transformComponent.setTranslation(4, 5, 6);
+			transformComponent.setRotation(1, 0, 0);
+			transformComponent.restore(snapshot);
+
+			expect(transformComponent.transform.translation).toBeCloseToVector(new Vector3(1, 2, 3));
+			expect(transformComponent.transform.rotation).toBeCloseToMatrix(rotation);
+		});
+
+		it('restores the parent', function () {
+			var parent = world.createEntity().transformComponent;
+			var otherParent = world.createEntity().transformComponent;
+			var child = world.createEntity().transformComponent;
+			parent.attachChild(child);
+
+			var snapshot = child.snapshot();
+			otherParent.attachChild(child);
+			child.restore(snapshot);
+
+			expect(child.parent).toBe(parent);
+			expect(parent.children).toEqual([child]);
+			expect(otherParent.children).toEqual([]);
+		});
+
+		it('detaches from the parent if there was none', function () {
+			var parent = world.createEntity().transformComponent;
+			var child = world.createEntity().transformComponent;
+
+			var snapshot = child.snapshot();
+			parent.attachChild(child);
+			child.restore(snapshot);
+
+			expect(child.parent).toBeNull();
+			expect(parent.children).toEqual([]);
+		});
+	});
 });
\ No newline at end of file
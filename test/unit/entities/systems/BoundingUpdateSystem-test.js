@@ -0,0 +1,43 @@
+var World = require('../../../../src/goo/entities/World');
+var System = require('../../../../src/goo/entities/systems/System');
+var TransformSystem = require('../../../../src/goo/entities/systems/TransformSystem');
+var BoundingUpdateSystem = require('../../../../src/goo/entities/systems/BoundingUpdateSystem');
+var TransformComponent = require('../../../../src/goo/entities/components/TransformComponent');
+var MeshDataComponent = require('../../../../src/goo/entities/components/MeshDataComponent');
+var MeshRendererComponent = require('../../../../src/goo/entities/components/MeshRendererComponent');
+var Box = require('../../../../src/goo/shapes/Box');
+var Material = require('../../../../src/goo/renderer/Material');
+
+describe('BoundingUpdateSystem', function () {
+	var world, partitioner;
+
+	beforeEach(function () {
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.registerComponent(MeshDataComponent);
+		world.registerComponent(MeshRendererComponent);
+		world.setSystem(new TransformSystem());
+		world.setSystem(new BoundingUpdateSystem());
+
+		partitioner = jasmine.createSpyObj('partitioner', ['added', 'removed', 'updated', 'process']);
+		var renderSystem = new System('RenderSystem', []);
+		renderSystem.partitioner = partitioner;
+		world.setSystem(renderSystem);
+	});
+
+	it('tells the partitioner of the render system about changed bounds', function () {
+		var entity = world.createEntity(new Box(), new Material()).addToWorld();
+
+		world.process();
+		expect(partitioner.updated).toHaveBeenCalledWith(entity);
+
+		partitioner.updated.calls.reset();
+		world.process();
+		expect(partitioner.updated).not.toHaveBeenCalled();
+
+		entity.setTranslation(1, 2, 3);
+		world.process();
+		expect(partitioner.updated).toHaveBeenCalledWith(entity);
+		expect(entity.meshRendererComponent.worldBound.center.x).toBeCloseTo(1);
+	});
+});
@@ -0,0 +1,75 @@
+var PickingSystem = require('../../../../src/goo/entities/systems/PickingSystem');
+var BvhPartitioner = require('../../../../src/goo/renderer/BvhPartitioner');
+var Entity = require('../../../../src/goo/entities/Entity');
+var MeshRendererComponent = require('../../../../src/goo/entities/components/MeshRendererComponent');
+var BoundingSphere = require('../../../../src/goo/renderer/bounds/BoundingSphere');
+var Vector3 = require('../../../../src/goo/math/Vector3');
+var Ray = require('../../../../src/goo/math/Ray');
+
+describe('PickingSystem', function () {
+	var pickingSystem;
+
+	function createEntity(x, y, z) {
+		var entity = new Entity();
+		var mrc = new MeshRendererComponent();
+		mrc.worldBound = new BoundingSphere(new Vector3(x, y, z), 1);
+		entity.set(mrc);
+		return entity;
+	}
+
+	beforeEach(function () {
+		pickingSystem = new PickingSystem();
+		pickingSystem.pickRay = new Ray(new Vector3(), new Vector3(0, 0, -1));
+		pickingSystem.onPick = jasmine.createSpy('onPick');
+	});
+
+	it('picks entities by their world bound, nearest first', function () {
+		var far = createEntity(0, 0, -10);
+		var near = createEntity(0, 0, -5);
+		var missed = createEntity(0, 5, -5);
+
+		pickingSystem.process([far, near, missed]);
+
+		var pickList = pickingSystem.onPick.calls.mostRecent().args[0];
+		expect(pickList.map(function (pick) { return pick.entity; })).toEqual([near, far]);
+	});
+
+	it('only tests the entities the partitioner finds along the pick ray', function () {
+		var hit = createEntity(0, 0, -5);
+		var missed = createEntity(0, 5, -5);
+		var untracked = createEntity(0, 0, -10);
+
+		var partitioner = new BvhPartitioner();
+		partitioner.added(hit);
+		partitioner.added(missed);
+		spyOn(partitioner, 'raycast').and.callThrough();
+		pickingSystem.partitioner = partitioner;
+		pickingSystem.inserted(hit);
+		pickingSystem.inserted(missed);
+		pickingSystem.inserted(untracked);
+
+		pickingSystem.process([hit, missed, untracked]);
+
+		expect(partitioner.raycast).toHaveBeenCalledWith(pickingSystem.pickRay);
+		var pickList = pickingSystem.onPick.calls.mostRecent().args[0];
+		expect(pickList.map(function (pick) { return pick.entity; })).toEqual([hit]);
+	});
+
+	it('leaves out entities the partitioner finds that are no longer in the system', function () {
+		var removed = createEntity(0, 0, -5);
+		var kept = createEntity(0, 0, -10);
+
+		var partitioner = new BvhPartitioner();
+		partitioner.added(removed);
+		partitioner.added(kept);
+		pickingSystem.partitioner = partitioner;
+		pickingSystem.inserted(removed);
+		pickingSystem.inserted(kept);
+		pickingSystem.deleted(removed);
+
+		pickingSystem.process([kept]);
+
+		var pickList = pickingSystem.onPick.calls.mostRecent().args[0];
+		expect(pickList.map(function (pick) { return pick.entity; })).toEqual([kept]);
+	});
+});
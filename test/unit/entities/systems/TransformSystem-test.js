@@ -94,4 +94,73 @@ describe('TransformSystem', function () {
 		expect(entityD.transformComponent.worldTransform.translation).toEqual(new Vector3(2, 4, 6));
 		expect(entityE.transformComponent.worldTransform.translation).toEqual(new Vector3(2, 4, 6));
 	});
+
+	describe('previous world matrix', function () {
+		it('starts out as the world matrix', function () {
+			var entity = createEntity(1, 2, 3);
+			world.process();
+
+			var transformComponent = entity.transformComponent;
+			expect(transformComponent.previousWorldMatrix).toEqual(transformComponent.worldTransform.matrix);
+		});
+
+		// as a velocity pass does when it renders
+		function renderVelocity() {
+			world.getSystem('TransformSystem').usePreviousWorldMatrix();
+		}
+
+		it('keeps the world matrix of the last rendered frame', function () {
+			var entity = createEntity(1, 2, 3);
+			world.process();
+			renderVelocity();
+			world.onPostRender();
+			var rendered = entity.transformComponent.worldTransform.matrix.clone();
+
+			entity.setTranslation(4, 5, 6);
+			world.process();
+
+			expect(entity.transformComponent.previousWorldMatrix).toEqual(rendered);
+			expect(entity.transformComponent.worldTransform.matrix).not.toEqual(rendered);
+
+			renderVelocity();
+			world.onPostRender();
+			expect(entity.transformComponent.previousWorldMatrix).toEqual(entity.transformComponent.worldTransform.matrix);
+		});
+
+		it('is left alone while no velocity pass renders', function () {
+			var entity = createEntity(1, 2, 3);
+			world.process();
+			var first = entity.transformComponent.previousWorldMatrix.clone();
+
+			entity.setTranslation(4, 5, 6);
+			world.process();
+			world.onPostRender();
+
+			expect(entity.transformComponent.previousWorldMatrix).toEqual(first);
+		});
+
+		it('is kept after every frame with keepPreviousWorldMatrix', function () {
+			world.getSystem('TransformSystem').keepPreviousWorldMatrix = true;
+			var entity = createEntity(1, 2, 3);
+			world.process();
+
+			entity.setTranslation(4, 5, 6);
+			world.process();
+			world.onPostRender();
+
+			expect(entity.transformComponent.previousWorldMatrix).toEqual(entity.transformComponent.worldTransform.matrix);
+		});
+
+		it('does not move anything in the first frame after no velocity pass rendered', function () {
+			var entity = createEntity(1, 2, 3);
+			world.process();
+			world.onPostRender();
+
+			entity.setTranslation(4, 5, 6);
+			world.process();
+			renderVelocity();
+
+			expect(entity.transformComponent.previousWorldMatrix).toEqual(entity.transformComponent.worldTransform.matrix);
+		});
+	});
 });
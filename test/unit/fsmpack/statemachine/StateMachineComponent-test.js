@@ -496,4 +496,89 @@ describe('StateMachineComponent', function () {
 		expect(gotData[5]).toBe(678);
 		expect(gotData[6]).toBe(789);
 	});
+
+	describe('snapshot', function () {
+		var machine, first, second, log;
+
+		function createState(id) {
+			var state = new State(id);
+			state.addAction({
+				ready: function () {},
+				enter: function () { log.push('enter ' + id); },
+				exit: function () { log.push('exit ' + id); },
+				update: function () {}
+			});
+			return state;
+		}
+
+		beforeEach(function () {
+			log = [];
+			machine = new Machine('machine');
+			first = createState('first');
+			second = createState('second');
+			machine.addState(first);
+			machine.addState(second);
+			stateMachineComponent.addMachine(machine);
+			stateMachineComponent.init();
+			stateMachineComponent.doEnter();
+			stateMachineComponent.entered = true;
+			log = [];
+		});
+
+		it('restores the variables', function () {
+			stateMachineComponent.defineVariable('lives', 3);
+			var snapshot = stateMachineComponent.snapshot();
+
+			stateMachineComponent.applyOnVariable('lives', function (lives) { return lives - 1; });
+			stateMachineComponent.defineVariable('score', 10);
+			stateMachineComponent.restore(snapshot);
+
+			expect(stateMachineComponent.vars).toEqual({ lives: 3 });
+		});
+
+		it('moves machines back to their captured state', function () {
+			var snapshot = stateMachineComponent.snapshot();
+
+			first.kill();
+			machine.setState(second);
+			log = [];
+
+			stateMachineComponent.restore(snapshot);
+
+			expect(machine.getCurrentState()).toBe(first);
+			expect(log).toEqual(['exit second', 'enter first']);
+		});
+
+		it('leaves machines in their captured state alone', function () {
+			var snapshot = stateMachineComponent.snapshot();
+			stateMachineComponent.restore(snapshot);
+
+			expect(machine.getCurrentState()).toBe(first);
+			expect(log).toEqual([]);
+		});
+
+		it('restores the current states of child machines', function () {
+			var childMachine = new Machine('child');
+			var childFirst = createState('childFirst');
+			var childSecond = createState('childSecond');
+			childMachine.addState(childFirst);
+			childMachine.addState(childSecond);
+			first.addMachine(childMachine);
+			childMachine.setRefs(stateMachineComponent);
+			childMachine.reset();
+
+			childMachine.setState(childSecond);
+			var snapshot = stateMachineComponent.snapshot();
+
+			first.kill();
+			machine.setState(second);
+			log = [];
+
+			stateMachineComponent.restore(snapshot);
+
+			expect(machine.getCurrentState()).toBe(first);
+			expect(childMachine.getCurrentState()).toBe(childSecond);
+			expect(log).toEqual(['exit second', 'enter first', 'enter childFirst', 'exit childFirst', 'enter childSecond']);
+		});
+	});
 });
@@ -0,0 +1,60 @@
+var BlendColorGradingAction = require('../../../../../src/goo/fsmpack/statemachine/actions/BlendColorGradingAction');
+
+describe('BlendColorGradingAction', function () {
+	var action, fsm, time, gradingPass, otherPass;
+
+	beforeEach(function () {
+		time = 0;
+		gradingPass = { blend: 0.2, blendLut: null, blendTo: function () {}, stopBlending: jasmine.createSpy('stopBlending') };
+		otherPass = { enabled: true };
+
+		var renderSystem = {
+			composers: [{ passes: [otherPass, gradingPass] }]
+		};
+
+		fsm = {
+			getWorld: function () {
+				return { gooRunner: { renderSystem: renderSystem } };
+			},
+			getTime: function () {
+				return time;
+			},
+			send: jasmine.createSpy('send')
+		};
+
+		action = new BlendColorGradingAction('id', {
+			blend: 1,
+			time: 1000,
+			easing1: 'Linear',
+			easing2: 'In',
+			transitions: { complete: 'done' }
+		});
+	});
+
+	it('blends the color grading passes over time', function () {
+		action.enter(fsm);
+
+		time = 0.5;
+		action.update(fsm);
+
+		expect(gradingPass.blend).toBeCloseTo(0.6);
+		expect(otherPass.blend).toBeUndefined();
+		expect(fsm.send).not.toHaveBeenCalled();
+	});
+
+	it('stops a fade started by blendTo', function () {
+		action.enter(fsm);
+
+		expect(gradingPass.stopBlending).toHaveBeenCalled();
+	});
+
+	it('transitions when complete', function () {
+		action.enter(fsm);
+
+		time = 1.5;
+		action.update(fsm);
+
+		expect(gradingPass.blend).toEqual(1);
+		expect(fsm.send).toHaveBeenCalledWith('done');
+	});
+});
@@ -0,0 +1,46 @@
+var JumpCharacterAction = require('../../../../../src/goo/fsmpack/statemachine/actions/JumpCharacterAction');
+var CharacterControllerComponent = require('../../../../../src/goo/addons/physicspack/components/CharacterControllerComponent');
+var World = require('../../../../../src/goo/entities/World');
+
+describe('JumpCharacterAction', function () {
+	var world, entity, controller, fsm, action;
+
+	beforeEach(function () {
+		world = new World();
+		controller = new CharacterControllerComponent();
+		entity = world.createEntity(controller).addToWorld();
+
+		fsm = {
+			getOwnerEntity: function () {
+				return entity;
+			}
+		};
+
+		action = new JumpCharacterAction('id', { speed: 7 });
+	});
+
+	it('makes a character on the ground jump', function () {
+		controller.isGrounded = true;
+
+		action.enter(fsm);
+
+		expect(controller.isGrounded).toBe(false);
+		expect(controller._verticalSpeed).toEqual(7);
+	});
+
+	it('does not make a character in the air jump', function () {
+		controller.isGrounded = false;
+
+		action.enter(fsm);
+
+		expect(controller._verticalSpeed).toEqual(0);
+	});
+
+	it('does nothing without a character controller', function () {
+		entity = world.createEntity().addToWorld();
+
+		expect(function () {
+			action.enter(fsm);
+		}).not.toThrow();
+	});
+});
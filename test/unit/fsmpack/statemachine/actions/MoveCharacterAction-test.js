@@ -0,0 +1,90 @@
+var MoveCharacterAction = require('../../../../../src/goo/fsmpack/statemachine/actions/MoveCharacterAction');
+var CharacterControllerComponent = require('../../../../../src/goo/addons/physicspack/components/CharacterControllerComponent');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var World = require('../../../../../src/goo/entities/World');
+var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
+
+describe('MoveCharacterAction', function () {
+	var world, entity, controller, fsm, action, velocities;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		world = new World();
+		controller = new CharacterControllerComponent();
+		entity = world.createEntity(controller).addToWorld();
+
+		velocities = [];
+		spyOn(controller, 'move').and.callFake(function (velocity) {
+			velocities.push(velocity.clone());
+			return this;
+		});
+
+		fsm = {
+			getOwnerEntity: function () {
+				return entity;
+			},
+			getTpf: function () {
+				return 0.1;
+			},
+			send: jasmine.createSpy('send')
+		};
+
+		action = new MoveCharacterAction('id', {
+			velocity: [0, 0, 2],
+			space: 'World',
+			transitions: { landed: 'toLanded', airborne: 'toAirborne' }
+		});
+	});
+
+	it('moves the character controller with the velocity', function () {
+		action.enter(fsm);
+		action.update(fsm);
+
+		expect(controller.move).toHaveBeenCalledWith(jasmine.any(Vector3), 0.1);
+		expect(velocities[0]).toBeCloseToVector(new Vector3(0, 0, 2));
+	});
+
+	it('turns a local velocity with the entity', function () {
+		action.space = 'Local';
+		entity.setRotation(0, Math.PI / 2, 0);
+
+		action.enter(fsm);
+		action.update(fsm);
+
+		expect(velocities[0]).toBeCloseToVector(new Vector3(2, 0, 0));
+	});
+
+	it('transitions when the character lands and when it leaves the ground', function () {
+		action.enter(fsm);
+
+		controller.isGrounded = true;
+		action.update(fsm);
+		expect(fsm.send).toHaveBeenCalledWith('toLanded');
+
+		action.update(fsm);
+		expect(fsm.send.calls.count()).toEqual(1);
+
+		controller.isGrounded = false;
+		action.update(fsm);
+		expect(fsm.send).toHaveBeenCalledWith('toAirborne');
+	});
+
+	it('does not transition if the character already stands on the ground when entering', function () {
+		controller.isGrounded = true;
+
+		action.enter(fsm);
+		action.update(fsm);
+
+		expect(fsm.send).not.toHaveBeenCalled();
+	});
+
+	it('does nothing without a character controller', function () {
+		entity = world.createEntity().addToWorld();
+
+		action.enter(fsm);
+		action.update(fsm);
+
+		expect(controller.move).not.toHaveBeenCalled();
+		expect(fsm.send).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,90 @@
+var OverlapSphereAction = require('../../../../../src/goo/fsmpack/statemachine/actions/OverlapSphereAction');
+var Vector3 = require('../../../../../src/goo/math/Vector3');
+var World = require('../../../../../src/goo/entities/World');
+var CustomMatchers = require('../../../../../test/unit/CustomMatchers');
+
+describe('OverlapSphereAction', function () {
+	var world, entity, physicsSystem, overlaps, fsm, action;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		world = new World();
+		entity = world.createEntity().addToWorld();
+		entity.setTranslation(1, 0, 0);
+
+		overlaps = [];
+		physicsSystem = {
+			overlapSphere: jasmine.createSpy('overlapSphere').and.callFake(function () {
+				return overlaps;
+			})
+		};
+		spyOn(world, 'getSystem').and.callFake(function (type) {
+			return type === 'PhysicsSystem' ? physicsSystem : undefined;
+		});
+
+		fsm = {
+			getOwnerEntity: function () {
+				return entity;
+			},
+			send: jasmine.createSpy('send')
+		};
+
+		action = new OverlapSphereAction('id', {
+			offset: [0, 1, 0],
+			radius: 2,
+			collisionMask: 4,
+			everyFrame: true,
+			transitions: { hit: 'toHit', miss: 'toMiss' }
+		});
+	});
+
+	it('looks for colliders in a sphere around the entity', function () {
+		action.update(fsm);
+
+		var args = physicsSystem.overlapSphere.calls.mostRecent().args;
+		expect(args[0]).toBeCloseToVector(new Vector3(1, 1, 0));
+		expect(args[1]).toEqual(2);
+		expect(args[2].collisionMask).toEqual(4);
+	});
+
+	it('transitions on hit if a collider is inside the sphere', function () {
+		overlaps.push({ entity: world.createEntity() });
+
+		action.update(fsm);
+
+		expect(fsm.send).toHaveBeenCalledWith('toHit');
+	});
+
+	it('transitions on miss if no collider is inside the sphere', function () {
+		action.update(fsm);
+
+		expect(fsm.send).toHaveBeenCalledWith('toMiss');
+	});
+
+	it('does not count the colliders of the entity and its children', function () {
+		var child = world.createEntity();
+		entity.attachChild(child);
+		overlaps.push({ entity: entity }, { entity: child });
+
+		action.update(fsm);
+
+		expect(fsm.send).toHaveBeenCalledWith('toMiss');
+	});
+
+	it('only checks on enter if not every frame', function () {
+		action.everyFrame = false;
+
+		action.enter(fsm);
+		action.update(fsm);
+
+		expect(fsm.send.calls.count()).toEqual(1);
+	});
+
+	it('does nothing without a physics system', function () {
+		physicsSystem = undefined;
+
+		action.update(fsm);
+
+		expect(fsm.send).not.toHaveBeenCalled();
+	});
+});
@@ -20,32 +20,48 @@ module.exports = {
 	GamepadComponent: 'src/goo/addons/gamepadpack/GamepadComponent',
 	GamepadData: 'src/goo/addons/gamepadpack/GamepadData',
 	GamepadSystem: 'src/goo/addons/gamepadpack/GamepadSystem',
+	GltfLoader: 'src/goo/addons/gltfpack/GltfLoader',
+	GltfUtils: 'src/goo/addons/gltfpack/GltfUtils',
 	LineRenderer: 'src/goo/addons/linerenderpack/LineRenderer',
 	LineRenderSystem: 'src/goo/addons/linerenderpack/LineRenderSystem',
 	P2Component: 'src/goo/addons/p2pack/P2Component',
 	P2System: 'src/goo/addons/p2pack/P2System',
 	BoxCollider: 'src/goo/addons/physicspack/colliders/BoxCollider',
+	CapsuleCollider: 'src/goo/addons/physicspack/colliders/CapsuleCollider',
 	Collider: 'src/goo/addons/physicspack/colliders/Collider',
+	ConvexHullCollider: 'src/goo/addons/physicspack/colliders/ConvexHullCollider',
 	CylinderCollider: 'src/goo/addons/physicspack/colliders/CylinderCollider',
 	MeshCollider: 'src/goo/addons/physicspack/colliders/MeshCollider',
 	PlaneCollider: 'src/goo/addons/physicspack/colliders/PlaneCollider',
 	SphereCollider: 'src/goo/addons/physicspack/colliders/SphereCollider',
 	AbstractColliderComponent: 'src/goo/addons/physicspack/components/AbstractColliderComponent',
 	AbstractRigidBodyComponent: 'src/goo/addons/physicspack/components/AbstractRigidBodyComponent',
+	CharacterControllerComponent: 'src/goo/addons/physicspack/components/CharacterControllerComponent',
 	ColliderComponent: 'src/goo/addons/physicspack/components/ColliderComponent',
+	RaycastVehicleComponent: 'src/goo/addons/physicspack/components/RaycastVehicleComponent',
 	RigidBodyComponent: 'src/goo/addons/physicspack/components/RigidBodyComponent',
 	BallJoint: 'src/goo/addons/physicspack/joints/BallJoint',
+	ConeTwistJoint: 'src/goo/addons/physicspack/joints/ConeTwistJoint',
+	ConfigurableJoint: 'src/goo/addons/physicspack/joints/ConfigurableJoint',
 	HingeJoint: 'src/goo/addons/physicspack/joints/HingeJoint',
+	LockJoint: 'src/goo/addons/physicspack/joints/LockJoint',
 	PhysicsJoint: 'src/goo/addons/physicspack/joints/PhysicsJoint',
+	PrismaticJoint: 'src/goo/addons/physicspack/joints/PrismaticJoint',
+	SpringJoint: 'src/goo/addons/physicspack/joints/SpringJoint',
 	PhysicsMaterial: 'src/goo/addons/physicspack/PhysicsMaterial',
+	Ragdoll: 'src/goo/addons/physicspack/Ragdoll',
 	RaycastResult: 'src/goo/addons/physicspack/RaycastResult',
 	PhysicsBoxDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsBoxDebugShape',
+	PhysicsCapsuleDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsCapsuleDebugShape',
+	PhysicsConvexHullDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsConvexHullDebugShape',
 	PhysicsCylinderDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsCylinderDebugShape',
 	PhysicsPlaneDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsPlaneDebugShape',
 	PhysicsSphereDebugShape: 'src/goo/addons/physicspack/shapes/PhysicsSphereDebugShape',
 	AbstractPhysicsSystem: 'src/goo/addons/physicspack/systems/AbstractPhysicsSystem',
 	ColliderSystem: 'src/goo/addons/physicspack/systems/ColliderSystem',
 	PhysicsDebugRenderSystem: 'src/goo/addons/physicspack/systems/PhysicsDebugRenderSystem',
+	ConfigurableConstraint: 'src/goo/addons/physicspack/util/ConfigurableConstraint',
+	ConvexHull: 'src/goo/addons/physicspack/util/ConvexHull',
 	Pool: 'src/goo/addons/physicspack/util/Pool',
 	SoundManager2Component: 'src/goo/addons/soundmanager2pack/components/SoundManager2Component',
 	SoundManager2System: 'src/goo/addons/soundmanager2pack/systems/SoundManager2System',
@@ -290,6 +306,7 @@ module.exports = {
 	ParticleUtils: 'src/goo/particles/ParticleUtils',
 	BloomPass: 'src/goo/passpack/BloomPass',
 	BlurPass: 'src/goo/passpack/BlurPass',
+	ColorGradingPass: 'src/goo/passpack/ColorGradingPass',
 	DepthPass: 'src/goo/passpack/DepthPass',
 	DofPass: 'src/goo/passpack/DofPass',
 	DogPass: 'src/goo/passpack/DogPass',
@@ -297,6 +314,10 @@ module.exports = {
 	PassLib: 'src/goo/passpack/PassLib',
 	ShaderLibExtra: 'src/goo/passpack/ShaderLibExtra',
 	SsaoPass: 'src/goo/passpack/SsaoPass',
+	SsrPass: 'src/goo/passpack/SsrPass',
+	TaaPass: 'src/goo/passpack/TaaPass',
+	ToneMappingPass: 'src/goo/passpack/ToneMappingPass',
+	VelocityPass: 'src/goo/passpack/VelocityPass',
 	BoundingTree: 'src/goo/picking/BoundingTree',
 	PrimitivePickLogic: 'src/goo/picking/PrimitivePickLogic',
 	DoubleQuad: 'src/goo/quadpack/DoubleQuad',
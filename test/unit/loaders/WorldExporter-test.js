@@ -0,0 +1,326 @@
+var World = require('../../../src/goo/entities/World');
+var TransformSystem = require('../../../src/goo/entities/systems/TransformSystem');
+var TransformComponent = require('../../../src/goo/entities/components/TransformComponent');
+var MeshDataComponent = require('../../../src/goo/entities/components/MeshDataComponent');
+var MeshRendererComponent = require('../../../src/goo/entities/components/MeshRendererComponent');
+var CameraComponent = require('../../../src/goo/entities/components/CameraComponent');
+var LightComponent = require('../../../src/goo/entities/components/LightComponent');
+var ScriptComponent = require('../../../src/goo/entities/components/ScriptComponent');
+var DynamicLoader = require('../../../src/goo/loaders/DynamicLoader');
+var WorldExporter = require('../../../src/goo/loaders/WorldExporter');
+var Material = require('../../../src/goo/renderer/Material');
+var Camera = require('../../../src/goo/renderer/Camera');
+var ShaderLib = require('../../../src/goo/renderer/shaders/ShaderLib');
+var SpotLight = require('../../../src/goo/renderer/light/SpotLight');
+var ShadowHandler = require('../../../src/goo/renderer/shadow/ShadowHandler');
+var Vector4 = require('../../../src/goo/math/Vector4');
+var Vector3 = require('../../../src/goo/math/Vector3');
+var Box = require('../../../src/goo/shapes/Box');
+var Scripts = require('../../../src/goo/scripts/Scripts');
+var Machine = require('../../../src/goo/fsmpack/statemachine/Machine');
+var State = require('../../../src/goo/fsmpack/statemachine/State');
+var StateMachineComponent = require('../../../src/goo/fsmpack/statemachine/StateMachineComponent');
+var SetCounterAction = require('../../../src/goo/fsmpack/statemachine/actions/SetCounterAction');
+var TimelineComponent = require('../../../src/goo/timelinepack/TimelineComponent');
+var ValueChannel = require('../../../src/goo/timelinepack/ValueChannel');
+var EventChannel = require('../../../src/goo/timelinepack/EventChannel');
+var Easing = require('../../../src/goo/util/Easing');
+var CustomMatchers = require('../../../test/unit/CustomMatchers');
+
+require('../../../src/goo/scriptpack/ScriptComponentHandler');
+require('../../../src/goo/fsmpack/StateMachineComponentHandler');
+require('../../../src/goo/fsmpack/MachineHandler');
+require('../../../src/goo/fsmpack/statemachine/actions/Actions');
+require('../../../src/goo/timelinepack/TimelineComponentHandler');
+
+function SpinScript() {
+	return {
+		update: function () {}
+	};
+}
+
+SpinScript.externals = {
+	key: 'WorldExporterTestSpinScript',
+	parameters: [{
+		key: 'speed',
+		type: 'float',
+		'default': 1
+	}, {
+		key: 'target',
+		type: 'entity'
+	}]
+};
+
+Scripts.register(SpinScript);
+
+describe('WorldExporter', function () {
+	var world, exporter;
+
+	beforeEach(function () {
+		jasmine.addMatchers(CustomMatchers);
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.registerComponent(MeshDataComponent);
+		world.registerComponent(MeshRendererComponent);
+		world.registerComponent(CameraComponent);
+		world.registerComponent(LightComponent);
+		world.setSystem(new TransformSystem());
+		exporter = new WorldExporter({ world: world });
+	});
+
+	function load(result) {
+		var targetWorld = new World();
+		targetWorld.setSystem(new TransformSystem());
+		var loader = new DynamicLoader({
+			world: targetWorld,
+			rootPath: './'
+		});
+		loader.preload(result.bundle);
+		return loader.load(result.sceneRef).then(function (scene) {
+			targetWorld.process();
+			return scene;
+		});
+	}
+
+	function findByName(scene, name) {
+		for (var id in scene.entities) {
+			if (scene.entities[id].name === name) {
+				return scene.entities[id];
+			}
+		}
+	}
+
+	it('throws without a world', function () {
+		expect(function () {
+			new WorldExporter({});
+		}).toThrow(new Error('World argument cannot be null'));
+	});
+
+	it('exports the entities of the world in a scene', function () {
+		var entity = world.createEntity('a').addToWorld();
+		world.createEntity('b').addToWorld();
+		world.process();
+
+		var result = exporter.export({ name: 'Level' });
+		var scene = result.bundle[result.sceneRef];
+
+		expect(scene.name).toEqual('Level');
+		expect(Object.keys(scene.entities).length).toEqual(2);
+		expect(scene.entities[entity.id].entityRef).toEqual(entity.id);
+		expect(result.bundle[entity.id].name).toEqual('a');
+	});
+
+	it('round trips entities with their transform hierarchy, tags and attributes', function (done) {
+		var parent = world.createEntity('parent', [1, 2, 3]).addToWorld();
+		parent.setRotation(0, Math.PI / 2, 0);
+		parent.setScale(2, 2, 2);
+		parent.setTag('level');
+		parent.setAttribute('health', 10);
+		var child = world.createEntity('child', [0, 1, 0]).addToWorld();
+		parent.attachChild(child);
+		child.hide();
+		world.process();
+
+		load(exporter.export()).then(function (scene) {
+			var loadedParent = findByName(scene, 'parent');
+			var loadedChild = findByName(scene, 'child');
+
+			expect(loadedParent.transformComponent.transform.translation).toBeCloseToVector(new Vector3(1, 2, 3));
+			expect(loadedParent.transformComponent.transform.rotation).toBeCloseToMatrix(parent.transformComponent.transform.rotation);
+			expect(loadedParent.transformComponent.transform.scale).toBeCloseToVector(new Vector3(2, 2, 2));
+			expect(loadedParent.hasTag('level')).toBeTruthy();
+			expect(loadedParent.getAttribute('health')).toEqual(10);
+			expect(loadedChild.transformComponent.parent).toBe(loadedParent.transformComponent);
+			expect(loadedChild.isHidden()).toBeTruthy();
+			done();
+		});
+	});
+
+	it('round trips mesh data and materials', function (done) {
+		var box = new Box(1, 2, 3);
+		var material = new Material(ShaderLib.uber, 'red');
+		material.uniforms.materialDiffuse = [1, 0, 0, 1];
+		material.cullState.cullFace = 'Front';
+		world.createEntity('box', box, material).addToWorld();
+		world.createEntity('otherBox', box, material).addToWorld();
+		world.process();
+
+		var result = exporter.export();
+		var meshRefs = Object.keys(result.bundle).filter(function (ref) {
+			return /\.mesh$/.test(ref);
+		});
+		expect(meshRefs.length).toEqual(1);
+		expect(findByName({ entities: result.bundle }, 'otherBox').components.meshData.meshRef).toEqual(meshRefs[0]);
+
+		load(result).then(function (scene) {
+			var loaded = findByName(scene, 'box');
+			var meshData = loaded.meshDataComponent.meshData;
+			var loadedMaterial = loaded.meshRendererComponent.materials[0];
+
+			expect(meshData.vertexCount).toEqual(box.vertexCount);
+			expect(meshData.indexCount).toEqual(box.indexCount);
+			expect(Array.prototype.slice.call(meshData.getAttributeBuffer('POSITION')))
+				.toEqual(Array.prototype.slice.call(box.getAttributeBuffer('POSITION')));
+			expect(Array.prototype.slice.call(meshData.getIndexBuffer()))
+				.toEqual(Array.prototype.slice.call(box.getIndexBuffer()));
+
+			expect(loadedMaterial.name).toEqual('red');
+			expect(loadedMaterial.shader.shaderDefinition).toBe(ShaderLib.uber);
+			expect(loadedMaterial.uniforms.materialDiffuse).toEqual([1, 0, 0, 1]);
+			expect(loadedMaterial.cullState.cullFace).toEqual('Front');
+			done();
+		});
+	});
+
+	it('round trips lights and cameras', function (done) {
+		var light = new SpotLight(new Vector3(1, 0.5, 0));
+		light.angle = 30;
+		light.range = 50;
+		light.shadowCaster = true;
+		light.shadowSettings.darkness = 0.25;
+		world.createEntity('light', light).addToWorld();
+
+		var camera = new Camera(60, 1, 0.5, 200);
+		world.createEntity('camera', camera).addToWorld();
+		world.process();
+
+		load(exporter.export()).then(function (scene) {
+			var loadedLight = findByName(scene, 'light').lightComponent.light;
+			expect(loadedLight).toEqual(jasmine.any(SpotLight));
+			expect(loadedLight.color).toBeCloseToVector(new Vector3(1, 0.5, 0));
+			expect(loadedLight.angle).toEqual(30);
+			expect(loadedLight.range).toEqual(50);
+			expect(loadedLight.shadowCaster).toBeTruthy();
+			expect(loadedLight.shadowSettings.darkness).toEqual(0.25);
+
+			var loadedCamera = findByName(scene, 'camera').cameraComponent.camera;
+			expect(loadedCamera.fov).toEqual(60);
+			expect(loadedCamera.near).toEqual(0.5);
+			expect(loadedCamera.far).toEqual(200);
+			done();
+		});
+	});
+
+	it('exports the shadow settings of a light that has rendered shadows', function (done) {
+		var light = new SpotLight();
+		light.shadowCaster = true;
+		light.shadowSettings.shadowType = 'PCF';
+		light.shadowSettings.far = 300;
+		var entity = world.createEntity('light', light).addToWorld();
+		world.process();
+
+		var renderer = {
+			clearColor: new Vector4(),
+			setClearColor: function () {},
+			render: function () {}
+		};
+		var partitioner = { process: function () {} };
+		var shadowHandler = new ShadowHandler();
+		// the shadow handler starts rendering on its second frame
+		shadowHandler.checkShadowRendering(renderer, partitioner, [], [light], new Camera());
+		shadowHandler.checkShadowRendering(renderer, partitioner, [], [light], new Camera());
+		expect(light.shadowSettings.shadowData.shadowTarget).toBeTruthy();
+
+		var result = exporter.export();
+		var shadowSettings = result.bundle[entity.id].components.light.shadowSettings;
+
+		expect(shadowSettings.shadowData).toBeUndefined();
+		expect(shadowSettings.shadowRecord).toBeUndefined();
+		expect(shadowSettings.shadowType).toEqual('PCF');
+		expect(shadowSettings.resolution).toEqual([512, 512]);
+
+		load(result).then(function (scene) {
+			var loadedLight = findByName(scene, 'light').lightComponent.light;
+			expect(loadedLight.shadowSettings.shadowType).toEqual('PCF');
+			expect(loadedLight.shadowSettings.far).toEqual(300);
+			done();
+		});
+	});
+
+	it('round trips engine scripts with their parameters', function (done) {
+		var target = world.createEntity('target').addToWorld();
+		var script = Scripts.create('WorldExporterTestSpinScript', { speed: 5, target: target });
+		world.createEntity('spinner', new ScriptComponent(script)).addToWorld();
+		world.process();
+
+		load(exporter.export()).then(function (scene) {
+			var loadedScript = findByName(scene, 'spinner').scriptComponent.scripts[0];
+			expect(loadedScript.externals).toBe(SpinScript.externals);
+			expect(loadedScript.parameters.speed).toEqual(5);
+			expect(loadedScript.parameters.target).toBe(findByName(scene, 'target'));
+			done();
+		});
+	});
+
+	it('round trips state machines', function (done) {
+		var machine = new Machine('mover', 'Mover');
+		var state = new State('entry');
+		state.name = 'Entry';
+		state.addAction(new SetCounterAction('action', { name: 'lives', value: 3 }));
+		state.setTransition('done', 'second');
+		machine.addState(state);
+		machine.addState(new State('second'));
+
+		var component = new StateMachineComponent();
+		component.addMachine(machine);
+		world.createEntity('fsm', component).addToWorld();
+		world.process();
+
+		load(exporter.export()).then(function (scene) {
+			var loadedMachine = findByName(scene, 'fsm').stateMachineComponent._machines[0];
+			var loadedState = loadedMachine._states.entry;
+
+			expect(loadedMachine.name).toEqual('Mover');
+			expect(Object.keys(loadedMachine._states)).toEqual(['entry', 'second']);
+			expect(loadedState.name).toEqual('Entry');
+			expect(loadedState._actions[0]).toEqual(jasmine.any(SetCounterAction));
+			expect(loadedState._actions[0].name).toEqual('lives');
+			expect(loadedState._actions[0].value).toEqual(3);
+			expect(loadedState._transitions).toEqual({ done: 'second' });
+			done();
+		});
+	});
+
+	it('round trips timelines', function (done) {
+		var animated = world.createEntity('animated').addToWorld();
+		var component = new TimelineComponent();
+		component.duration = 10;
+		component.loop = true;
+
+		var valueChannel = new ValueChannel('scale', {
+			callbackUpdate: ValueChannel.getSimpleTransformTweener('scale', 'y', animated.id, function (id) {
+				return world.entityManager.getEntityById(id);
+			})
+		});
+		valueChannel.addKeyframe('k1', 0, 1, Easing.Quadratic.In);
+		valueChannel.addKeyframe('k2', 5, 3, Easing.Linear.None);
+		component.channels.push(valueChannel);
+
+		var eventChannel = new EventChannel('events');
+		eventChannel.addCallback('e1', 2, EventChannel.getEventEmitter('boom', 'big'));
+		component.channels.push(eventChannel);
+
+		world.createEntity('timeline', component).addToWorld();
+		world.process();
+
+		var result = exporter.export();
+		var timelineConfig = findByName({ entities: result.bundle }, 'timeline').components.timeline;
+		expect(timelineConfig.channels.scale.propertyKey).toEqual('scaleY');
+		expect(timelineConfig.channels.scale.entityId).toEqual(animated.id);
+		expect(timelineConfig.channels.scale.keyframes.k1.easing).toEqual('Quadratic.In');
+		expect(timelineConfig.channels.events.eventName).toEqual('boom');
+
+		load(result).then(function (scene) {
+			var loaded = findByName(scene, 'timeline').timelineComponent;
+			expect(loaded.duration).toEqual(10);
+			expect(loaded.loop).toBeTruthy();
+			expect(loaded.channels.length).toEqual(2);
+			expect(loaded.channels[0].keyframes[0].easingFunction).toBe(Easing.Quadratic.In);
+			expect(loaded.channels[1].keyframes[0].callback.value).toEqual('big');
+
+			loaded.setTime(5);
+			expect(findByName(scene, 'animated').transformComponent.transform.scale.y).toEqual(3);
+			done();
+		});
+	});
+});
@@ -54,4 +54,33 @@ describe('MaterialHandler', function () {
 			done();
 		});
 	});
+
+	it('loads a material with the pbr shader and a metallic/roughness texture', function (done) {
+		var config = Configs.material();
+		config.shaderRef = 'GOO_ENGINE_SHADERS/pbr';
+		config.uniforms.metallic = 1;
+		config.uniforms.roughness = 0.25;
+		config.texturesMapping.METALLIC_ROUGHNESS_MAP = {
+			enabled: true,
+			textureRef: Configs.texture().id
+		};
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (material) {
+			expect(material.shader.shaderDefinition).toBe(ShaderLib.pbr);
+			expect(material.uniforms.metallic).toEqual(1);
+			expect(material.uniforms.roughness).toEqual(0.25);
+			expect(material.getTexture(Shader.METALLIC_ROUGHNESS_MAP)).toEqual(jasmine.any(Texture));
+			done();
+		});
+	});
+
+	it('rejects unknown engine shaders', function (done) {
+		var config = Configs.material();
+		config.shaderRef = 'GOO_ENGINE_SHADERS/notAShader';
+		loader.preload(Configs.get());
+		loader.load(config.id).then(null, function (err) {
+			expect(err.message).toContain('notAShader');
+			done();
+		});
+	});
 });
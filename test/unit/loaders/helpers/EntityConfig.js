@@ -126,6 +126,15 @@ module.exports = {
 				textureRef: this.texture().id
 			};
 		},
+		forceField: function () {
+			return {
+				type: 'vortex',
+				strength: 2,
+				radius: 5,
+				direction: [0, 0, 1],
+				frequency: 3
+			};
+		},
 		meshRenderer: function () {
 			var config = {
 				cullMode: 'Dynamic',
@@ -215,14 +224,16 @@ module.exports = {
 		},
 		collider: function (type) {
 			return _.defaults({}, {
-				shape: type || 'Box', // Box, Cylinder, Plane, Sphere
+				shape: type || 'Box', // Box, Capsule, ConvexHull, Cylinder, Plane, Sphere
 				isTrigger: false,
 				friction: 0.3,
 				restitution: 0.0,
+				collisionGroup: 1,
+				collisionMask: -1,
 				shapeOptions: {
 					halfExtents: [1, 1, 1], // Box
-					radius: 0.5, // Sphere, Cylinder
-					height: 1 // Cylinder
+					radius: 0.5, // Sphere, Cylinder, Capsule
+					height: 1 // Cylinder, Capsule
 				}
 			});
 		},
@@ -233,7 +244,35 @@ module.exports = {
 				velocity: [0, 0, 0],
 				angularVelocity: [0, 0, 0],
 				linearDrag: 0,
-				angularDrag: 0
+				angularDrag: 0,
+				collisionGroup: 1,
+				collisionMask: -1
+			};
+		},
+		characterController: function () {
+			return {
+				radius: 0.5,
+				height: 2,
+				stepOffset: 0.3,
+				slopeLimit: 45,
+				skinWidth: 0.02,
+				jumpSpeed: 5
+			};
+		},
+		raycastVehicle: function () {
+			return {
+				wheels: {
+					front: {
+						position: [0, 0, -1],
+						steering: true,
+						sortValue: 0
+					},
+					back: {
+						position: [0, 0, 1],
+						driven: true,
+						sortValue: 1
+					}
+				}
 			};
 		}
 	},
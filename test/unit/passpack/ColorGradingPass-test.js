@@ -0,0 +1,113 @@
+var ColorGradingPass = require('../../../src/goo/passpack/ColorGradingPass');
+var Texture = require('../../../src/goo/renderer/Texture');
+var RenderTarget = require('../../../src/goo/renderer/pass/RenderTarget');
+
+describe('ColorGradingPass', function () {
+	var renderer, readBuffer, writeBuffer;
+
+	beforeEach(function () {
+		renderer = { render: function () {} };
+		readBuffer = new RenderTarget(16, 16);
+		writeBuffer = new RenderTarget(16, 16);
+	});
+
+	describe('createNeutralLut', function () {
+		function texel(lut, x, row) {
+			var index = (row * lut.image.width + x) * 4;
+			return Array.prototype.slice.call(lut.image.data, index, index + 3);
+		}
+
+		it('creates a strip of squares', function () {
+			var lut = ColorGradingPass.createNeutralLut(4);
+
+			expect(lut.image.width).toEqual(16);
+			expect(lut.image.height).toEqual(4);
+			expect(lut.generateMipmaps).toBe(false);
+		});
+
+		it('maps every color to itself', function () {
+			var lut = ColorGradingPass.createNeutralLut(4);
+
+			// The top row of the image is the last row of the data
+			expect(texel(lut, 0, 3)).toEqual([0, 0, 0]);
+			expect(texel(lut, 3, 3)).toEqual([255, 0, 0]);
+			expect(texel(lut, 0, 0)).toEqual([0, 255, 0]);
+			expect(texel(lut, 12, 3)).toEqual([0, 0, 255]);
+			expect(texel(lut, 15, 0)).toEqual([255, 255, 255]);
+		});
+	});
+
+	it('turns off mipmaps and repeat on LUTs', function () {
+		var pass = new ColorGradingPass();
+		var lut = new Texture();
+
+		pass.lut = lut;
+
+		expect(pass.lut).toBe(lut);
+		expect(lut.generateMipmaps).toBe(false);
+		expect(lut.minFilter).toEqual('BilinearNoMipMaps');
+		expect(lut.wrapS).toEqual('EdgeClamp');
+		expect(lut.needsUpdate).toBe(true);
+	});
+
+	it('removes the LUT', function () {
+		var pass = new ColorGradingPass({ lut: ColorGradingPass.createNeutralLut() });
+
+		pass.lut = null;
+
+		expect(pass.lut).toBeNull();
+		expect(pass.material.getTexture('LUT_MAP')).toBeUndefined();
+	});
+
+	describe('blendTo', function () {
+		var pass, from, to;
+
+		beforeEach(function () {
+			from = ColorGradingPass.createNeutralLut();
+			to = ColorGradingPass.createNeutralLut();
+			pass = new ColorGradingPass({ lut: from });
+		});
+
+		it('blends towards the new LUT over time', function () {
+			pass.blendTo(to, 2);
+
+			pass.render(renderer, writeBuffer, readBuffer, 0.5);
+
+			expect(pass.isBlending()).toBe(true);
+			expect(pass.blendLut).toBe(to);
+			expect(pass.blend).toBeCloseTo(0.25);
+		});
+
+		it('replaces the LUT when done', function () {
+			pass.blendTo(to, 1);
+
+			pass.render(renderer, writeBuffer, readBuffer, 0.6);
+			pass.render(renderer, writeBuffer, readBuffer, 0.6);
+
+			expect(pass.isBlending()).toBe(false);
+			expect(pass.lut).toBe(to);
+			expect(pass.blendLut).toBeNull();
+			expect(pass.blend).toEqual(0);
+		});
+
+		it('stops where it is', function () {
+			pass.blendTo(to, 2);
+			pass.render(renderer, writeBuffer, readBuffer, 0.5);
+
+			pass.stopBlending();
+			pass.render(renderer, writeBuffer, readBuffer, 0.5);
+
+			expect(pass.isBlending()).toBe(false);
+			expect(pass.lut).toBe(from);
+			expect(pass.blendLut).toBe(to);
+			expect(pass.blend).toBeCloseTo(0.25);
+		});
+
+		it('switches at once without a duration', function () {
+			pass.blendTo(to, 0);
+
+			expect(pass.lut).toBe(to);
+			expect(pass.isBlending()).toBe(false);
+		});
+	});
+});
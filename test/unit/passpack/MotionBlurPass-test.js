@@ -0,0 +1,108 @@
+var MotionBlurPass = require('../../../src/goo/passpack/MotionBlurPass');
+var VelocityPass = require('../../../src/goo/passpack/VelocityPass');
+var PassLib = require('../../../src/goo/passpack/PassLib');
+var PassFixture = require('./helpers/PassFixture');
+
+describe('MotionBlurPass', function () {
+	var f;
+
+	beforeEach(function () {
+		f = PassFixture.create();
+	});
+
+	it('blurs the image along the motion of its velocity pass', function () {
+		var pass = new MotionBlurPass(f.renderList, { intensity: 0.5, maxBlur: 0.1 });
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders.length).toEqual(2);
+		expect(f.renders[0].target).toBe(pass.velocityPass.velocityTarget);
+
+		var material = f.renders[1].material;
+		expect(f.renders[1].target).toBe(f.writeBuffer);
+		expect(material.getTexture('DIFFUSE_MAP')).toBe(f.readBuffer);
+		expect(material.getTexture('VELOCITY_MAP')).toBe(pass.velocityPass.velocityTarget);
+		expect(material.uniforms.intensity).toEqual(0.5);
+		expect(material.uniforms.maxBlur).toEqual(0.1);
+	});
+
+	it('shares a velocity pass rendered earlier', function () {
+		var velocityPass = new VelocityPass(f.renderList);
+		var pass = new MotionBlurPass(f.renderList, { velocityPass: velocityPass });
+
+		velocityPass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders.length).toEqual(2);
+		expect(f.renders[1].material.getTexture('VELOCITY_MAP')).toBe(velocityPass.velocityTarget);
+	});
+
+	it('sets the number of samples', function () {
+		var pass = new MotionBlurPass(f.renderList, { samples: 8 });
+
+		expect(pass.blurPass.material.shader.defines.SAMPLES).toEqual(8);
+	});
+
+	it('renders to the screen', function () {
+		var pass = new MotionBlurPass(f.renderList);
+		pass.renderToScreen = true;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders[1].target).toBeNull();
+	});
+
+	describe('without a render list', function () {
+		beforeEach(function () {
+			spyOn(console, 'warn');
+		});
+
+		it('blends the image with the previous frames', function () {
+			var pass = new MotionBlurPass();
+
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			var blended = f.renders[0].target;
+			expect(f.renders[0].material.getTexture('DIFFUSE_MAP')).toBe(f.readBuffer);
+			expect(f.renders[1].material.getTexture('DIFFUSE_MAP')).toBe(blended);
+			expect(f.renders[1].target).toBe(f.writeBuffer);
+
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			expect(f.renders[2].material.getTexture('MOTION_MAP')).toBe(blended);
+			expect(f.renders[2].target).not.toBe(blended);
+		});
+
+		it('blends by the intensity', function () {
+			var pass = new MotionBlurPass();
+			pass.intensity = 1.6;
+			pass.maxBlur = 0.1;
+
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+			expect(f.renders[0].material.uniforms.blend).toBeCloseTo(0.8);
+			expect(f.renders[0].material.uniforms.scale).toBeCloseTo(2);
+		});
+	});
+
+	it('maps the deprecated blend and scale to the intensity and the longest blur', function () {
+		spyOn(console, 'warn');
+		var pass = new MotionBlurPass(f.renderList);
+
+		pass.blend = 0.25;
+		pass.scale = 2;
+
+		expect(pass.intensity).toBeCloseTo(0.5);
+		expect(pass.maxBlur).toBeCloseTo(0.1);
+		expect(pass.blend).toBeCloseTo(0.25);
+		expect(pass.scale).toBeCloseTo(2);
+	});
+
+	it('loads the options of earlier versions in the PassLib motion blur', function () {
+		spyOn(console, 'warn');
+		var pass = new PassLib.MotionBlur('motionBlur', f.renderList);
+
+		pass.update({ options: { blend: 0.5, scale: 0.5 } });
+
+		expect(pass.intensity).toBeCloseTo(1);
+		expect(pass.maxBlur).toBeCloseTo(0.025);
+	});
+});
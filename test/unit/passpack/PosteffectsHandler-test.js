@@ -1,6 +1,8 @@
 var Configs = require('../../../test/unit/loaders/Configs');
 var GooRunner = require('../../../src/goo/entities/GooRunner');
 var DynamicLoader = require('../../../src/goo/loaders/DynamicLoader');
+var Texture = require('../../../src/goo/renderer/Texture');
+var ToneMappingPass = require('../../../src/goo/passpack/ToneMappingPass');
 require('../../../src/goo/passpack/PosteffectsHandler');
 
 describe('PosteffectsHandler', function () {
@@ -32,6 +34,74 @@ describe('PosteffectsHandler', function () {
 		});
 	});
 
+	it('renders in hdr when there is a tone mapping effect', function (done) {
+		var config = Configs.posteffects();
+		config.posteffects.myToneMapping = {
+			name: 'Tone Mapping',
+			type: 'ToneMapping',
+			sortValue: 2,
+			id: 'myToneMapping',
+			enabled: true,
+			options: {
+				operator: 'Reinhard',
+				autoExposure: true
+			}
+		};
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (posteffects) {
+			var composer = gooRunner.renderSystem.composers[0];
+			expect(composer.hdr).toBe(true);
+			expect(posteffects[1].autoExposure).toBe(true);
+			expect(posteffects[1].operator).toEqual(ToneMappingPass.REINHARD);
+			done();
+		});
+	});
+
+	it('loads the LUTs of a color grading effect', function (done) {
+		var config = Configs.posteffects();
+		config.posteffects.myColorGrading = {
+			name: 'Color Grading',
+			type: 'ColorGrading',
+			sortValue: 2,
+			id: 'myColorGrading',
+			enabled: true,
+			options: {
+				lut: { enabled: true, textureRef: Configs.texture().id },
+				blendLut: { enabled: false },
+				blend: 0.5
+			}
+		};
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (posteffects) {
+			var colorGrading = posteffects[1];
+			expect(colorGrading.lut).toEqual(jasmine.any(Texture));
+			expect(colorGrading.blendLut).toBeNull();
+			expect(colorGrading.blend).toEqual(0.5);
+			done();
+		});
+	});
+
+	it('gives reflection effects the render list to build their G-buffer from', function (done) {
+		var config = Configs.posteffects();
+		config.posteffects.myReflections = {
+			name: 'Reflections',
+			type: 'ScreenSpaceReflections',
+			sortValue: 2,
+			id: 'myReflections',
+			enabled: true,
+			options: {
+				maxDistance: 20
+			}
+		};
+		loader.preload(Configs.get());
+		loader.load(config.id).then(function (posteffects) {
+			var reflections = posteffects[1];
+			expect(reflections.gBufferPass.renderList).toBe(gooRunner.renderSystem.renderList);
+			expect(reflections.maxDistance).toEqual(20);
+			done();
+		});
+	});
+
 	it('clears posteffect buffers from the GPU', function (done) {
 		var config = Configs.posteffects();
 		loader.preload(Configs.get());
@@ -0,0 +1,73 @@
+var SsrPass = require('../../../src/goo/passpack/SsrPass');
+var RenderTarget = require('../../../src/goo/renderer/pass/RenderTarget');
+var Vector4 = require('../../../src/goo/math/Vector4');
+var PassFixture = require('./helpers/PassFixture');
+
+describe('SsrPass', function () {
+	var f;
+
+	beforeEach(function () {
+		f = PassFixture.create();
+	});
+
+	it('renders the scene once, into the G-buffer, before the reflections', function () {
+		var pass = new SsrPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders.length).toEqual(2);
+		expect(f.renders[0].renderable).toBe(f.renderList);
+		expect(f.renders[0].target).toBe(pass.gBufferTarget);
+		expect(f.renders[0].overrideMaterial).toBe(pass.gBufferPass.overrideMaterial);
+		expect(f.renders[1].target).toBe(f.writeBuffer);
+	});
+
+	it('clears the G-buffer to far away and fully rough', function () {
+		var pass = new SsrPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders[0].clearColor).toEqual(new Vector4(1, 1, 1, 1));
+		expect(f.renderer.clearColor).toEqual(new Vector4(0.1, 0.2, 0.3, 1));
+	});
+
+	it('does not set roughness on the G-buffer material', function () {
+		var pass = new SsrPass(f.renderList);
+
+		// The roughness of the overridden materials is used
+		expect(pass.gBufferPass.overrideMaterial.uniforms.roughness).toBeUndefined();
+	});
+
+	it('matches the size of the read buffer', function () {
+		var pass = new SsrPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		var gBufferTarget = pass.gBufferTarget;
+
+		expect(gBufferTarget.width).toEqual(32);
+		expect(gBufferTarget.height).toEqual(16);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		expect(pass.gBufferTarget).toBe(gBufferTarget);
+
+		pass.render(f.renderer, f.writeBuffer, new RenderTarget(64, 32), 0.1, false, f.camera);
+		expect(pass.gBufferTarget).not.toBe(gBufferTarget);
+		expect(pass.gBufferTarget.width).toEqual(64);
+	});
+
+	it('passes the settings and the camera projection to the reflections', function () {
+		var pass = new SsrPass(f.renderList, { maxDistance: 20, steps: 16 });
+		pass.intensity = 0.5;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		var material = pass.outPass.material;
+		expect(material.shader.defines.STEPS).toEqual(16);
+		expect(material.uniforms.maxDistance).toEqual(20);
+		expect(material.uniforms.intensity).toEqual(0.5);
+		expect(material.uniforms.cameraProjection).toEqual(f.camera.getProjectionMatrix());
+		expect(material.uniforms.texelSize).toEqual([1 / 32, 1 / 16]);
+		expect(material.getTexture('GBUFFER_MAP')).toBe(pass.gBufferTarget);
+		expect(material.getTexture('DIFFUSE_MAP')).toBe(f.readBuffer);
+	});
+});
@@ -0,0 +1,153 @@
+var TaaPass = require('../../../src/goo/passpack/TaaPass');
+var VelocityPass = require('../../../src/goo/passpack/VelocityPass');
+var RenderTarget = require('../../../src/goo/renderer/pass/RenderTarget');
+var Vector4 = require('../../../src/goo/math/Vector4');
+var PassFixture = require('./helpers/PassFixture');
+
+describe('TaaPass', function () {
+	var f;
+
+	beforeEach(function () {
+		f = PassFixture.create();
+	});
+
+	it('renders the depth, the velocity and the history before copying it out', function () {
+		var pass = new TaaPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders.length).toEqual(4);
+		expect(f.renders[0].renderable).toBe(f.renderList);
+		expect(f.renders[0].target).toBe(pass.depthTarget);
+		expect(f.renders[1].target).toBe(pass.velocityTarget);
+		var history = f.renders[2].target;
+		expect(f.renders[2].material.getTexture('DIFFUSE_MAP')).toBe(f.readBuffer);
+		expect(f.renders[3].material.getTexture('DIFFUSE_MAP')).toBe(history);
+		expect(f.renders[3].target).toBe(f.writeBuffer);
+		expect(f.renderer.clearColor).toEqual(new Vector4(0.1, 0.2, 0.3, 1));
+	});
+
+	it('blends with the previous frame', function () {
+		var pass = new TaaPass(f.renderList, { feedback: 0.8 });
+		var material = pass.resolvePass.material;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		expect(material.uniforms.feedback).toEqual(0);
+		var previous = f.renders[2].target;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		expect(material.uniforms.feedback).toEqual(0.8);
+		expect(material.getTexture('HISTORY_MAP')).toBe(previous);
+		expect(f.renders[6].target).not.toBe(previous);
+	});
+
+	it('starts over after resetHistory', function () {
+		var pass = new TaaPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		pass.resetHistory();
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(pass.resolvePass.material.uniforms.feedback).toEqual(0);
+	});
+
+	it('reprojects with the view projection of the previous frame', function () {
+		var pass = new TaaPass(f.renderList);
+		var uniforms = pass.cameraVelocityPass.material.uniforms;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		var previous = uniforms.currentViewProjection.clone();
+
+		f.camera.translation.setDirect(1, 0, 0);
+		f.camera.onFrameChange();
+		f.camera.update();
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(uniforms.previousViewProjection).toEqual(previous);
+		expect(uniforms.currentViewProjection).not.toEqual(previous);
+	});
+
+	it('jitters the camera within a pixel', function () {
+		var pass = new TaaPass(f.renderList);
+		var jitters = [];
+
+		for (var i = 0; i < 4; i++) {
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			expect(Math.abs(f.camera.jitter.x)).toBeLessThan(1 / f.readBuffer.width);
+			expect(Math.abs(f.camera.jitter.y)).toBeLessThan(1 / f.readBuffer.height);
+			jitters.push(f.camera.jitter.clone());
+		}
+
+		expect(jitters[0]).not.toEqual(jitters[1]);
+		expect(jitters[1]).not.toEqual(jitters[2]);
+	});
+
+	it('leaves the jitter out of the velocity', function () {
+		var pass = new TaaPass(f.renderList);
+		var uniforms = pass.cameraVelocityPass.material.uniforms;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		var previous = uniforms.currentViewProjection.clone();
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(uniforms.currentViewProjection).toEqual(previous);
+	});
+
+	it('takes the jitter off the camera when disabled', function () {
+		var pass = new TaaPass(f.renderList);
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		pass.enabled = false;
+
+		expect(f.camera.jitter.x).toEqual(0);
+		expect(f.camera.jitter.y).toEqual(0);
+		expect(f.camera.getProjectionMatrix()).toEqual(f.camera.getUnjitteredProjectionMatrix());
+	});
+
+	it('keeps the history in the format of the image', function () {
+		var pass = new TaaPass(f.renderList);
+		var hdrBuffer = new RenderTarget(32, 16, { type: 'HalfFloat' });
+
+		pass.render(f.renderer, f.writeBuffer, hdrBuffer, 0.1, false, f.camera);
+
+		expect(pass.historyTargets[0].type).toEqual('HalfFloat');
+		expect(pass.velocityTarget.type).toEqual('UnsignedByte');
+	});
+
+	describe('with a velocity pass', function () {
+		it('reprojects with the motion of the velocity pass instead of rendering its own', function () {
+			var velocityPass = new VelocityPass(f.renderList);
+			var pass = new TaaPass(f.renderList, { velocityPass: velocityPass });
+
+			velocityPass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+			expect(f.renders.length).toEqual(3);
+			expect(pass.velocityTarget).toBe(velocityPass.velocityTarget);
+			expect(f.renders[1].material.getTexture('VELOCITY_MAP')).toBe(velocityPass.velocityTarget);
+			expect(f.renders[1].material.getTexture('DIFFUSE_MAP')).toBe(f.readBuffer);
+			expect(f.renders[2].target).toBe(f.writeBuffer);
+			expect(pass.depthTarget).toBeNull();
+		});
+
+		it('leaves the shared velocity target alone when destroyed', function () {
+			var velocityPass = new VelocityPass(f.renderList);
+			var pass = new TaaPass(f.renderList, { velocityPass: velocityPass });
+			velocityPass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+			spyOn(velocityPass.velocityTarget, 'destroy');
+
+			pass.destroy(f.renderer);
+
+			expect(velocityPass.velocityTarget.destroy).not.toHaveBeenCalled();
+		});
+
+		it('waits for the velocity pass to render', function () {
+			var pass = new TaaPass(f.renderList, { velocityPass: new VelocityPass(f.renderList) });
+
+			pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+			expect(f.renders.length).toEqual(0);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+var ToneMappingPass = require('../../../src/goo/passpack/ToneMappingPass');
+var RenderTarget = require('../../../src/goo/renderer/pass/RenderTarget');
+var Capabilities = require('../../../src/goo/renderer/Capabilities');
+var ShaderBuilder = require('../../../src/goo/renderer/shaders/ShaderBuilder');
+
+describe('ToneMappingPass', function () {
+	var renderer, renders, readBuffer, writeBuffer;
+
+	beforeEach(function () {
+		renders = [];
+		renderer = {
+			render: function (renderable, camera, lights, target) {
+				renders.push({ material: renderable.materials[0], target: target });
+			}
+		};
+		readBuffer = new RenderTarget(16, 16);
+		writeBuffer = new RenderTarget(16, 16);
+	});
+
+	it('downsamples the luminance to a single pixel', function () {
+		var pass = new ToneMappingPass();
+		var targets = pass.luminanceTargets;
+
+		expect(targets[0].width).toEqual(ToneMappingPass.LUMINANCE_SIZE);
+		expect(targets[targets.length - 1].width).toEqual(1);
+		expect(targets[targets.length - 1].height).toEqual(1);
+	});
+
+	it('keeps the luminance in 8-bit targets when half floats can not be rendered into', function () {
+		var renderToHalfFloat = Capabilities.renderToHalfFloat;
+
+		Capabilities.renderToHalfFloat = true;
+		expect(new ToneMappingPass().adaptedTarget.type).toEqual('HalfFloat');
+		Capabilities.renderToHalfFloat = false;
+		expect(new ToneMappingPass().adaptedTarget.type).toEqual('UnsignedByte');
+
+		Capabilities.renderToHalfFloat = renderToHalfFloat;
+	});
+
+	it('defines the operator in the shader', function () {
+		var pass = new ToneMappingPass({ operator: ToneMappingPass.REINHARD });
+		expect(pass.toneMapMaterial.shader.defines.OPERATOR).toEqual(ToneMappingPass.REINHARD);
+
+		pass.operator = ToneMappingPass.FILMIC;
+		expect(pass.toneMapMaterial.shader.defines.OPERATOR).toEqual(ToneMappingPass.FILMIC);
+	});
+
+	it('tone maps the read buffer into the write buffer', function () {
+		var pass = new ToneMappingPass({ exposure: 2 });
+
+		pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+		expect(renders.length).toEqual(1);
+		expect(renders[0].target).toBe(writeBuffer);
+		expect(pass.toneMapMaterial.getTexture('DIFFUSE_MAP')).toBe(readBuffer);
+		expect(pass.toneMapMaterial.uniforms.exposure).toEqual(2);
+		expect(pass.toneMapMaterial.shader.hasDefine('AUTO_EXPOSURE')).toBe(false);
+	});
+
+	it('only applies the gamma to scenes lit in linear space', function () {
+		var pass = new ToneMappingPass();
+		var linearSpace = ShaderBuilder.LINEAR_SPACE;
+
+		ShaderBuilder.LINEAR_SPACE = true;
+		pass.render(renderer, writeBuffer, readBuffer, 0.1);
+		expect(pass.toneMapMaterial.shader.hasDefine('LINEAR_SPACE')).toBe(true);
+
+		ShaderBuilder.LINEAR_SPACE = false;
+		pass.render(renderer, writeBuffer, readBuffer, 0.1);
+		expect(pass.toneMapMaterial.shader.hasDefine('LINEAR_SPACE')).toBe(false);
+
+		ShaderBuilder.LINEAR_SPACE = linearSpace;
+	});
+
+	it('renders to the screen', function () {
+		var pass = new ToneMappingPass();
+		pass.renderToScreen = true;
+
+		pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+		expect(renders[0].target).toBeNull();
+	});
+
+	describe('auto exposure', function () {
+		var pass;
+
+		beforeEach(function () {
+			pass = new ToneMappingPass({ autoExposure: true, adaptationRate: 2, minLuminance: 0.25, maxLuminance: 16 });
+		});
+
+		it('measures the luminance before tone mapping', function () {
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+			var targets = pass.luminanceTargets;
+			expect(renders.length).toEqual(targets.length + 2);
+			for (var i = 0; i < targets.length; i++) {
+				expect(renders[i].target).toBe(targets[i]);
+			}
+			expect(renders[targets.length].target).toBe(pass.adaptedTarget);
+			expect(renders[targets.length + 1].target).toBe(writeBuffer);
+
+			expect(pass.toneMapMaterial.shader.hasDefine('AUTO_EXPOSURE')).toBe(true);
+			expect(pass.toneMapMaterial.getTexture('LUMINANCE_MAP')).toBe(pass.adaptedTarget);
+			expect(pass.toneMapMaterial.uniforms.luminanceRange).toEqual([-2, 4]);
+		});
+
+		it('jumps to the measured luminance on the first frame', function () {
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+			expect(pass.adaptMaterial.uniforms.adaptation).toEqual(1);
+		});
+
+		it('adapts from the previous luminance', function () {
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+			var adapted = pass.adaptedTarget;
+
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+			expect(pass.adaptMaterial.uniforms.adaptation).toBeCloseTo(1 - Math.exp(-0.2));
+			expect(pass.adaptMaterial.getTexture('PREVIOUS_LUMINANCE')).toBe(adapted);
+			expect(pass.adaptedTarget).not.toBe(adapted);
+		});
+
+		it('starts over after resetAdaptation', function () {
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+			pass.resetAdaptation();
+
+			pass.render(renderer, writeBuffer, readBuffer, 0.1);
+
+			expect(pass.adaptMaterial.uniforms.adaptation).toEqual(1);
+		});
+	});
+});
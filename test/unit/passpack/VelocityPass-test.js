@@ -0,0 +1,124 @@
+var VelocityPass = require('../../../src/goo/passpack/VelocityPass');
+var Camera = require('../../../src/goo/renderer/Camera');
+var Transform = require('../../../src/goo/math/Transform');
+var Matrix4 = require('../../../src/goo/math/Matrix4');
+var Vector4 = require('../../../src/goo/math/Vector4');
+var World = require('../../../src/goo/entities/World');
+var TransformSystem = require('../../../src/goo/entities/systems/TransformSystem');
+var PassFixture = require('./helpers/PassFixture');
+
+describe('VelocityPass', function () {
+	var f;
+
+	beforeEach(function () {
+		f = PassFixture.create();
+	});
+
+	it('renders the motion of the render list into the velocity target', function () {
+		var pass = new VelocityPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(f.renders.length).toEqual(1);
+		expect(f.renders[0].renderable).toBe(f.renderList);
+		expect(f.renders[0].target).toBe(pass.velocityTarget);
+		expect(f.renders[0].overrideMaterial).toBe(pass.renderPass.overrideMaterial);
+		expect(pass.velocityTarget.width).toEqual(32);
+		expect(pass.velocityTarget.height).toEqual(16);
+		expect(pass.needsSwap).toBe(false);
+	});
+
+	it('clears to no motion', function () {
+		var pass = new VelocityPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		// Unpacked the way the unpackVelocity shader method does, from 8 bit channels
+		var color = f.renders[0].clearColor;
+		var bytes = [color.x, color.y, color.z, color.w].map(function (value) {
+			return Math.round(value * 255) / 255;
+		});
+		expect((bytes[0] + bytes[1] / 255) * 2 - 1).toBeCloseTo(0, 4);
+		expect((bytes[2] + bytes[3] / 255) * 2 - 1).toBeCloseTo(0, 4);
+		expect(f.renderer.clearColor).toEqual(new Vector4(0.1, 0.2, 0.3, 1));
+	});
+
+	it('keeps the view projection of the previous frame', function () {
+		var pass = new VelocityPass(f.renderList);
+		var uniforms = pass.renderPass.overrideMaterial.uniforms;
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		expect(uniforms.previousViewProjection).toEqual(uniforms.currentViewProjection);
+		var previous = uniforms.currentViewProjection.clone();
+
+		f.camera.translation.setDirect(1, 0, 0);
+		f.camera.onFrameChange();
+		f.camera.update();
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(uniforms.previousViewProjection).toEqual(previous);
+		expect(uniforms.currentViewProjection).not.toEqual(previous);
+	});
+
+	it('starts over with another camera', function () {
+		var pass = new VelocityPass(f.renderList);
+		var uniforms = pass.renderPass.overrideMaterial.uniforms;
+		var otherCamera = new Camera(45, 1, 1, 100);
+		otherCamera.translation.setDirect(0, 5, 0);
+		otherCamera.onFrameChange();
+		otherCamera.update();
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, otherCamera);
+
+		expect(uniforms.previousViewProjection).toEqual(uniforms.currentViewProjection);
+	});
+
+	it('asks the transform system of the rendered world to keep the previous world matrices', function () {
+		var world = new World();
+		var otherWorld = new World();
+		world.setSystem(new TransformSystem());
+		otherWorld.setSystem(new TransformSystem());
+		spyOn(world.getSystem('TransformSystem'), 'usePreviousWorldMatrix');
+		spyOn(otherWorld.getSystem('TransformSystem'), 'usePreviousWorldMatrix');
+		f.renderList.push(world.createEntity());
+		var pass = new VelocityPass(f.renderList);
+
+		pass.render(f.renderer, f.writeBuffer, f.readBuffer, 0.1, false, f.camera);
+
+		expect(world.getSystem('TransformSystem').usePreviousWorldMatrix).toHaveBeenCalled();
+		expect(otherWorld.getSystem('TransformSystem').usePreviousWorldMatrix).not.toHaveBeenCalled();
+	});
+
+	describe('previous world matrix', function () {
+		var previousWorldMatrix;
+
+		beforeEach(function () {
+			var pass = new VelocityPass(f.renderList);
+			previousWorldMatrix = pass.renderPass.overrideMaterial.shader.uniforms.previousWorldMatrix;
+		});
+
+		it('comes from the transform component', function () {
+			var transformComponent = { worldTransform: new Transform(), previousWorldMatrix: new Matrix4() };
+
+			var matrix = previousWorldMatrix({
+				renderable: { transformComponent: transformComponent },
+				transform: transformComponent.worldTransform
+			});
+
+			expect(matrix).toBe(transformComponent.previousWorldMatrix);
+		});
+
+		it('is the current world matrix for renderables drawn with other transforms', function () {
+			var transformComponent = { worldTransform: new Transform(), previousWorldMatrix: new Matrix4() };
+			var transform = new Transform();
+
+			var matrix = previousWorldMatrix({
+				renderable: { transformComponent: transformComponent },
+				transform: transform
+			});
+
+			expect(matrix).toBe(transform.matrix);
+		});
+	});
+});
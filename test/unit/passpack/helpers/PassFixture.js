@@ -0,0 +1,36 @@
+var RenderTarget = require('../../../../src/goo/renderer/pass/RenderTarget');
+var Camera = require('../../../../src/goo/renderer/Camera');
+var Vector4 = require('../../../../src/goo/math/Vector4');
+
+module.exports = {
+	/**
+	 * A renderer that only records what it is asked to render, with a camera and buffers to render passes with.
+	 */
+	create: function () {
+		var renders = [];
+		var renderer = {
+			clearColor: new Vector4(0.1, 0.2, 0.3, 1),
+			setClearColor: function (r, g, b, a) {
+				this.clearColor.setDirect(r, g, b, a);
+			},
+			render: function (renderable, camera, lights, target, clear, overrideMaterial) {
+				renders.push({
+					renderable: renderable,
+					material: renderable.materials && renderable.materials[0],
+					target: target,
+					overrideMaterial: overrideMaterial,
+					clearColor: this.clearColor.clone()
+				});
+			}
+		};
+
+		return {
+			renderer: renderer,
+			renders: renders,
+			renderList: [],
+			camera: new Camera(45, 1, 1, 100),
+			readBuffer: new RenderTarget(32, 16),
+			writeBuffer: new RenderTarget(32, 16)
+		};
+	}
+};
@@ -0,0 +1,198 @@
+var BvhPartitioner = require('../../../src/goo/renderer/BvhPartitioner');
+var SimplePartitioner = require('../../../src/goo/renderer/SimplePartitioner');
+var Camera = require('../../../src/goo/renderer/Camera');
+var BoundingSphere = require('../../../src/goo/renderer/bounds/BoundingSphere');
+var BoundingBox = require('../../../src/goo/renderer/bounds/BoundingBox');
+var Vector3 = require('../../../src/goo/math/Vector3');
+var Ray = require('../../../src/goo/math/Ray');
+var Entity = require('../../../src/goo/entities/Entity');
+var MeshRendererComponent = require('../../../src/goo/entities/components/MeshRendererComponent');
+
+describe('BvhPartitioner', function () {
+	var partitioner, camera;
+
+	beforeEach(function () {
+		partitioner = new BvhPartitioner();
+		camera = new Camera();
+	});
+
+	function createEntity(x, y, z) {
+		var entity = new Entity();
+		var mrc = new MeshRendererComponent();
+		mrc.worldBound = new BoundingSphere(new Vector3(x, y, z), 1);
+		entity.set(mrc);
+		return entity;
+	}
+
+	function addAll(entities) {
+		entities.forEach(function (entity) {
+			partitioner.added(entity);
+		});
+	}
+
+	describe('process', function () {
+		it('can partition two entities', function () {
+			var entity1 = createEntity(0, 0, 5);
+			var entity2 = createEntity(0, 0, -5);
+			var entities = [entity1, entity2];
+			var renderList = [];
+			addAll(entities);
+
+			partitioner.process(camera, entities, renderList);
+
+			expect(renderList).toEqual([entity2]);
+			expect(entity1.isVisible).toBeFalsy();
+			expect(entity2.isVisible).toBeTruthy();
+		});
+
+		it('picks up entities it was not told about', function () {
+			var entity = createEntity(0, 0, -5);
+			var renderList = [];
+
+			partitioner.process(camera, [entity], renderList);
+
+			expect(renderList).toEqual([entity]);
+		});
+
+		it('only returns entities from the list it is given', function () {
+			var entity1 = createEntity(0, 0, -5);
+			var entity2 = createEntity(0, 0, -10);
+			addAll([entity1, entity2]);
+			var renderList = [];
+
+			partitioner.process(camera, [entity2], renderList);
+
+			expect(renderList).toEqual([entity2]);
+		});
+
+		it('can filter with hide', function () {
+			var entity = createEntity(0, 0, -5);
+			var entities = [entity];
+			var renderList = [];
+			addAll(entities);
+
+			partitioner.process(camera, entities, renderList);
+			expect(renderList).toContain(entity);
+
+			entity.meshRendererComponent.hidden = true;
+			partitioner.process(camera, entities, renderList);
+
+			expect(renderList).not.toContain(entity);
+			expect(entity.isVisible).toBeFalsy();
+		});
+
+		it('cullmode never', function () {
+			var entity = createEntity(0, 0, 5);
+			var entities = [entity];
+			var renderList = [];
+			addAll(entities);
+
+			partitioner.process(camera, entities, renderList);
+			expect(renderList).not.toContain(entity);
+
+			entity.meshRendererComponent.cullMode = 'Never';
+			partitioner.updated(entity);
+			partitioner.process(camera, entities, renderList);
+
+			expect(renderList).toContain(entity);
+		});
+
+		it('never culls entities without a world bound', function () {
+			var entity = createEntity(0, 0, 5);
+			entity.meshRendererComponent.worldBound = null;
+			var renderList = [];
+			addAll([entity]);
+
+			partitioner.process(camera, [entity], renderList);
+
+			expect(renderList).toEqual([entity]);
+		});
+
+		it('follows entities whose bounds were updated', function () {
+			var entity = createEntity(0, 0, -5);
+			var renderList = [];
+			addAll([entity]);
+
+			entity.meshRendererComponent.worldBound.center.setDirect(0, 0, 5);
+			partitioner.updated(entity);
+			partitioner.process(camera, [entity], renderList);
+			expect(renderList).toEqual([]);
+
+			entity.meshRendererComponent.worldBound = new BoundingBox(new Vector3(0, 0, -5), 1, 1, 1);
+			partitioner.updated(entity);
+			partitioner.process(camera, [entity], renderList);
+			expect(renderList).toEqual([entity]);
+		});
+
+		it('stops returning removed entities', function () {
+			var entity1 = createEntity(0, 0, -5);
+			var entity2 = createEntity(0, 0, -10);
+			var renderList = [];
+			addAll([entity1, entity2]);
+
+			partitioner.removed(entity1);
+			partitioner.process(camera, [entity2], renderList);
+
+			expect(renderList).toEqual([entity2]);
+			expect(entity1.isVisible).toBeFalsy();
+		});
+
+		it('returns visible entities front to back', function () {
+			var entities = [];
+			for (var i = 10; i > 0; i--) {
+				entities.push(createEntity(0, 0, -i * 5));
+			}
+			var renderList = [];
+			addAll(entities);
+
+			partitioner.process(camera, entities, renderList);
+
+			expect(renderList).toEqual(entities.slice().reverse());
+		});
+
+		it('culls the same entities as the SimplePartitioner', function () {
+			var entities = [];
+			for (var x = -10; x <= 10; x++) {
+				for (var z = -10; z <= 10; z++) {
+					entities.push(createEntity(x * 4, (x + z) % 3, z * 4));
+				}
+			}
+			addAll(entities);
+			camera.lookAt(new Vector3(1, 0, -2), Vector3.UNIT_Y);
+			camera.onFrameChange();
+
+			var expected = [];
+			new SimplePartitioner().process(camera, entities, expected);
+			var renderList = [];
+			partitioner.process(camera, entities, renderList);
+
+			expect(renderList.length).toEqual(expected.length);
+			expected.forEach(function (entity) {
+				expect(renderList).toContain(entity);
+			});
+		});
+	});
+
+	describe('raycast', function () {
+		it('returns the entities hit by a ray', function () {
+			var entity1 = createEntity(0, 0, -5);
+			var entity2 = createEntity(0, 5, -5);
+			var entity3 = createEntity(0, 0, 5);
+			addAll([entity1, entity2, entity3]);
+
+			var hits = partitioner.raycast(new Ray(new Vector3(), new Vector3(0, 0, -1)));
+
+			expect(hits).toEqual([entity1]);
+		});
+
+		it('includes entities that are never culled', function () {
+			var entity = createEntity(0, 0, -5);
+			entity.meshRendererComponent.cullMode = 'Never';
+			addAll([entity]);
+
+			var hits = partitioner.raycast(new Ray(new Vector3(), new Vector3(0, 0, -1)));
+
+			expect(hits).toEqual([entity]);
+		});
+	});
+});
@@ -3,6 +3,7 @@ var Camera = require('../../../src/goo/renderer/Camera');
 var BoundingSphere = require('../../../src/goo/renderer/bounds/BoundingSphere');
 var BoundingBox = require('../../../src/goo/renderer/bounds/BoundingBox');
 var Vector3 = require('../../../src/goo/math/Vector3');
+var Vector4 = require('../../../src/goo/math/Vector4');
 
 describe('Camera', function () {
 	var camera;
@@ -126,6 +127,46 @@ describe('Camera', function () {
 		});
 	});
 
+	describe('setJitter', function () {
+		function project(camera, position) {
+			var result = new Vector4(position.x, position.y, position.z, 1);
+			result.applyPost(camera.getViewProjectionMatrix());
+			return result.scale(1 / result.w);
+		}
+
+		it('offsets perspective projections in normalized device coordinates', function () {
+			var camera = new Camera(45, 1, 1, 100);
+			var near = project(camera, new Vector3(0.2, 0.1, -2));
+			var far = project(camera, new Vector3(2, 1, -20));
+
+			camera.setJitter(0.01, -0.02);
+
+			expect(project(camera, new Vector3(0.2, 0.1, -2))).toBeCloseToVector(near.add(new Vector4(0.01, -0.02, 0, 0)));
+			expect(project(camera, new Vector3(2, 1, -20))).toBeCloseToVector(far.add(new Vector4(0.01, -0.02, 0, 0)));
+		});
+
+		it('offsets parallel projections in normalized device coordinates', function () {
+			var camera = new Camera();
+			camera.setProjectionMode(Camera.Parallel);
+			camera.setFrustum(1, 100, -5, 5, 5, -5);
+			var position = project(camera, new Vector3(1, 2, -10));
+
+			camera.setJitter(0.01, 0.02);
+
+			expect(project(camera, new Vector3(1, 2, -10))).toBeCloseToVector(position.add(new Vector4(0.01, 0.02, 0, 0)));
+		});
+
+		it('keeps the projection without the jitter', function () {
+			var camera = new Camera(45, 1, 1, 100);
+			var projection = camera.getProjectionMatrix().clone();
+
+			camera.setJitter(0.01, 0.02);
+
+			expect(camera.getProjectionMatrix()).not.toBeCloseToMatrix(projection);
+			expect(camera.getUnjitteredProjectionMatrix()).toBeCloseToMatrix(projection);
+		});
+	});
+
 	describe('copy', function () {
 		it('can copy everything from another camera', function () {
 			var original = new Camera(50, 2, 2, 2000);
@@ -0,0 +1,80 @@
+var Capabilities = require('../../../src/goo/renderer/Capabilities');
+
+describe('Capabilities', function () {
+	var extensions, framebufferStatus, context;
+
+	beforeEach(function () {
+		extensions = {};
+		framebufferStatus = 0x8CD5;
+		context = {
+			TEXTURE_2D: 0x0DE1,
+			RGBA: 0x1908,
+			FLOAT: 0x1406,
+			FRAMEBUFFER_COMPLETE: 0x8CD5,
+			getExtension: function (name) {
+				return extensions[name] || null;
+			},
+			getParameter: function () {
+				return 0;
+			},
+			getShaderPrecisionFormat: function () {
+				return {};
+			},
+			getSupportedExtensions: function () {
+				return Object.keys(extensions);
+			},
+			checkFramebufferStatus: function () {
+				return framebufferStatus;
+			}
+		};
+		['createTexture', 'bindTexture', 'texImage2D', 'deleteTexture',
+			'createFramebuffer', 'bindFramebuffer', 'framebufferTexture2D', 'deleteFramebuffer'].forEach(function (name) {
+			context[name] = jasmine.createSpy(name);
+		});
+	});
+
+	describe('render to float', function () {
+		it('is supported with the color buffer extensions', function () {
+			extensions.OES_texture_float = {};
+			extensions.WEBGL_color_buffer_float = {};
+			extensions.OES_texture_half_float = { HALF_FLOAT_OES: 0x8D61 };
+			extensions.EXT_color_buffer_half_float = {};
+			framebufferStatus = 0;
+
+			Capabilities.init(context);
+
+			expect(Capabilities.renderToFloat).toBe(true);
+			expect(Capabilities.renderToHalfFloat).toBe(true);
+		});
+
+		it('is supported when a framebuffer with a float texture is complete', function () {
+			extensions.OES_texture_float = {};
+
+			Capabilities.init(context);
+
+			expect(Capabilities.renderToFloat).toBe(true);
+			expect(context.texImage2D).toHaveBeenCalledWith(context.TEXTURE_2D, 0, context.RGBA, 1, 1, 0, context.RGBA, context.FLOAT, null);
+			expect(context.deleteFramebuffer).toHaveBeenCalled();
+			expect(context.deleteTexture).toHaveBeenCalled();
+		});
+
+		it('is not supported when the framebuffer is incomplete', function () {
+			extensions.OES_texture_float = {};
+			extensions.OES_texture_half_float = { HALF_FLOAT_OES: 0x8D61 };
+			framebufferStatus = 0x8CD6;
+
+			Capabilities.init(context);
+
+			expect(Capabilities.TextureFloat).toBeTruthy();
+			expect(Capabilities.renderToFloat).toBe(false);
+			expect(Capabilities.renderToHalfFloat).toBe(false);
+		});
+
+		it('is not supported without float textures', function () {
+			Capabilities.init(context);
+
+			expect(Capabilities.renderToFloat).toBe(false);
+			expect(Capabilities.renderToHalfFloat).toBe(false);
+		});
+	});
+});
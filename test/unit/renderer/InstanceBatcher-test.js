@@ -0,0 +1,126 @@
+var World = require('../../../src/goo/entities/World');
+var TransformComponent = require('../../../src/goo/entities/components/TransformComponent');
+var MeshDataComponent = require('../../../src/goo/entities/components/MeshDataComponent');
+var MeshRendererComponent = require('../../../src/goo/entities/components/MeshRendererComponent');
+var InstanceBatcher = require('../../../src/goo/renderer/InstanceBatcher');
+var Material = require('../../../src/goo/renderer/Material');
+var ShaderLib = require('../../../src/goo/renderer/shaders/ShaderLib');
+var RenderQueue = require('../../../src/goo/renderer/RenderQueue');
+var Box = require('../../../src/goo/shapes/Box');
+
+describe('InstanceBatcher', function () {
+	var world, batcher, box, material;
+
+	beforeEach(function () {
+		world = new World();
+		world.registerComponent(TransformComponent);
+		world.registerComponent(MeshDataComponent);
+		world.registerComponent(MeshRendererComponent);
+		batcher = new InstanceBatcher();
+		box = new Box();
+		material = new Material(ShaderLib.uber);
+	});
+
+	describe('.process', function () {
+		it('replaces entities sharing mesh and material with a single renderable', function () {
+			var entity1 = world.createEntity(box, material, [1, 2, 3]);
+			var entity2 = world.createEntity(box, material, [4, 5, 6]);
+			var renderList = [entity1, entity2];
+
+			batcher.process(renderList);
+
+			expect(renderList.length).toEqual(1);
+			expect(renderList[0].meshData).toBe(box);
+			expect(renderList[0].materials).toEqual([material]);
+			expect(renderList[0].instanceEntities).toEqual([entity1, entity2]);
+			expect(renderList[0].instanceCount).toEqual(2);
+		});
+
+		it('uploads the world matrices of the entities as instance data', function () {
+			var entity1 = world.createEntity(box, material, [1, 2, 3]);
+			var entity2 = world.createEntity(box, material, [4, 5, 6]);
+			var renderList = [entity1, entity2];
+
+			batcher.process(renderList);
+
+			var data = renderList[0].instanceData.data;
+			expect(Array.prototype.slice.call(data, 12, 15)).toEqual([1, 2, 3]);
+			expect(Array.prototype.slice.call(data, 28, 31)).toEqual([4, 5, 6]);
+		});
+
+		it('keeps entities that do not share mesh or material', function () {
+			var entity1 = world.createEntity(box, material);
+			var entity2 = world.createEntity(new Box(), material);
+			var entity3 = world.createEntity(box, new Material(ShaderLib.uber));
+			var renderList = [entity1, entity2, entity3];
+
+			batcher.process(renderList);
+
+			expect(renderList.length).toEqual(3);
+			expect(renderList).toEqual(jasmine.arrayContaining([entity1, entity2, entity3]));
+		});
+
+		it('keeps transparent entities', function () {
+			material.renderQueue = RenderQueue.TRANSPARENT;
+			var entity1 = world.createEntity(box, material);
+			var entity2 = world.createEntity(box, material);
+			var renderList = [entity1, entity2];
+
+			batcher.process(renderList);
+
+			expect(renderList).toEqual([entity1, entity2]);
+		});
+
+		it('keeps entities whose shader can not draw instances', function () {
+			var simpleMaterial = new Material(ShaderLib.simpleLit);
+			var entity1 = world.createEntity(box, simpleMaterial);
+			var entity2 = world.createEntity(box, simpleMaterial);
+			var renderList = [entity1, entity2];
+
+			batcher.process(renderList);
+
+			expect(renderList).toEqual([entity1, entity2]);
+		});
+
+		it('keeps entities with a different shadow receiving than the batch', function () {
+			var entity1 = world.createEntity(box, material);
+			var entity2 = world.createEntity(box, material);
+			var entity3 = world.createEntity(box, material);
+			entity3.meshRendererComponent.receiveShadows = false;
+			var renderList = [entity1, entity2, entity3];
+
+			batcher.process(renderList);
+
+			expect(renderList.length).toEqual(2);
+			expect(renderList[0]).toBe(entity3);
+			expect(renderList[1].instanceEntities).toEqual([entity1, entity2]);
+		});
+
+		it('does not batch less than minInstanceCount entities', function () {
+			batcher.minInstanceCount = 3;
+			var entity1 = world.createEntity(box, material);
+			var entity2 = world.createEntity(box, material);
+			var renderList = [entity1, entity2];
+
+			batcher.process(renderList);
+
+			expect(renderList).toEqual([entity1, entity2]);
+		});
+
+		it('reuses the batch between frames', function () {
+			var entity1 = world.createEntity(box, material);
+			var entity2 = world.createEntity(box, material);
+			var entity3 = world.createEntity(box, material);
+
+			var renderList = [entity1, entity2];
+			batcher.process(renderList);
+			var batch = renderList[0];
+
+			renderList = [entity1, entity2, entity3];
+			batcher.process(renderList);
+
+			expect(renderList).toEqual([batch]);
+			expect(batch.instanceCount).toEqual(3);
+		});
+	});
+});
@@ -127,4 +127,33 @@ describe('MeshData', function () {
 		expect(getAttributeBuffer(MeshData.WEIGHTS)).toBeUndefined();
 		expect(getAttributeBuffer(MeshData.JOINTIDS)).toBeUndefined();
 	});
+
+	describe('.addMorphTarget', function () {
+		it('adds morph target attributes and keeps the old data', function () {
+			var quad = new Quad();
+			var positions = Array.prototype.slice.call(quad.getAttributeBuffer(MeshData.POSITION));
+			var offsets = [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1];
+
+			var index = quad.addMorphTarget('bulge', offsets);
+
+			expect(index).toEqual(0);
+			expect(quad.morphTargetNames).toEqual(['bulge']);
+			expect(Array.prototype.slice.call(quad.getAttributeBuffer(MeshData.MORPH_POSITION + '0'))).toEqual(offsets);
+			expect(quad.getAttributeBuffer(MeshData.MORPH_NORMAL + '0')).toBeUndefined();
+			expect(Array.prototype.slice.call(quad.getAttributeBuffer(MeshData.POSITION))).toEqual(positions);
+		});
+
+		it('throws when adding more than the maximum of morph targets', function () {
+			var quad = new Quad();
+			var offsets = [0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1];
+			for (var i = 0; i < MeshData.MAX_MORPH_TARGETS; i++) {
+				quad.addMorphTarget('target' + i, offsets, offsets);
+			}
+
+			expect(function () {
+				quad.addMorphTarget('oneTooMany', offsets);
+			}).toThrow();
+			expect(quad.getMorphTargetIndex('target2')).toEqual(2);
+		});
+	});
 });
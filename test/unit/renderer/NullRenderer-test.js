@@ -0,0 +1,80 @@
+var NullRenderer = require('../../../src/goo/renderer/NullRenderer');
+var Camera = require('../../../src/goo/renderer/Camera');
+var Material = require('../../../src/goo/renderer/Material');
+var ShaderLib = require('../../../src/goo/renderer/shaders/ShaderLib');
+var Transform = require('../../../src/goo/math/Transform');
+var Box = require('../../../src/goo/shapes/Box');
+var SystemBus = require('../../../src/goo/entities/SystemBus');
+
+describe('NullRenderer', function () {
+	var renderer, camera;
+
+	beforeEach(function () {
+		renderer = new NullRenderer({ width: 200, height: 100 });
+		camera = new Camera();
+	});
+
+	afterEach(function () {
+		SystemBus.clear();
+	});
+
+	describe('.checkResize', function () {
+		it('updates the viewport and the camera aspect', function () {
+			renderer.checkResize(camera);
+
+			expect(renderer.viewportWidth).toEqual(200);
+			expect(renderer.viewportHeight).toEqual(100);
+			expect(camera.aspect).toEqual(2);
+		});
+	});
+
+	describe('.render', function () {
+		var box, renderable;
+
+		beforeEach(function () {
+			box = new Box();
+			var material = new Material(ShaderLib.simple);
+			renderable = {
+				meshData: box,
+				materials: [material, material],
+				transform: new Transform()
+			};
+		});
+
+		it('counts a draw call per material', function () {
+			renderer.render(renderable, camera, []);
+
+			expect(renderer.info.calls).toEqual(2);
+			expect(renderer.info.vertices).toEqual(box.vertexCount * 2);
+			expect(renderer.info.indices).toEqual(box.indexCount * 2);
+			expect(renderer.renderedList).toEqual([renderable]);
+		});
+
+		it('counts instances and override materials', function () {
+			renderable.instanceCount = 3;
+
+			renderer.render([renderable], camera, [], null, true, new Material(ShaderLib.simple));
+
+			expect(renderer.info.calls).toEqual(1);
+			expect(renderer.info.vertices).toEqual(box.vertexCount * 3);
+		});
+
+		it('skips skyboxes when overriding materials', function () {
+			renderable.isSkybox = true;
+
+			renderer.render([renderable], camera, [], null, true, [new Material(ShaderLib.simple)]);
+
+			expect(renderer.info.calls).toEqual(0);
+			expect(renderer.renderedList).toEqual([]);
+		});
+	});
+
+	describe('.pick', function () {
+		it('never picks anything', function () {
+			var pickingStore = {};
+			renderer.pick(10, 10, pickingStore, camera);
+
+			expect(pickingStore).toEqual({ id: -1, depth: 0 });
+		});
+	});
+});
@@ -1,5 +1,14 @@
 var RendererRecord = require('../../../src/goo/renderer/RendererRecord');
 var Renderer = require('../../../src/goo/renderer/Renderer');
+var World = require('../../../src/goo/entities/World');
+var TransformComponent = require('../../../src/goo/entities/components/TransformComponent');
+var MeshDataComponent = require('../../../src/goo/entities/components/MeshDataComponent');
+var MeshRendererComponent = require('../../../src/goo/entities/components/MeshRendererComponent');
+var InstanceBatcher = require('../../../src/goo/renderer/InstanceBatcher');
+var Material = require('../../../src/goo/renderer/Material');
+var Camera = require('../../../src/goo/renderer/Camera');
+var ShaderLib = require('../../../src/goo/renderer/shaders/ShaderLib');
+var Box = require('../../../src/goo/shapes/Box');
 
 describe('Renderer', function () {
 	describe('findOrCacheMaterialShader', function () {
@@ -61,4 +70,57 @@ describe('Renderer', function () {
 			expect(material.shader.uniforms.u3).not.toBe(shader.u3);
 		});
 	});
+
+	describe('render', function () {
+		var renderer, drawn, renderList, entity1, entity2;
+		beforeEach(function () {
+			drawn = [];
+			renderer = {
+				rendererRecord: new RendererRecord(),
+				renderQueue: { sort: function () {} },
+				setRenderTarget: function () {},
+				clear: function () {},
+				renderMesh: function (renderInfo) {
+					drawn.push({
+						renderable: renderInfo.renderable,
+						transform: renderInfo.transform,
+						instanceCount: renderInfo.instanceCount
+					});
+				}
+			};
+
+			var world = new World();
+			world.registerComponent(TransformComponent);
+			world.registerComponent(MeshDataComponent);
+			world.registerComponent(MeshRendererComponent);
+			var box = new Box();
+			var material = new Material(ShaderLib.uber);
+			entity1 = world.createEntity(box, material, [1, 2, 3]);
+			entity2 = world.createEntity(box, material, [4, 5, 6]);
+
+			renderList = [entity1, entity2];
+			new InstanceBatcher().process(renderList);
+		});
+
+		it('draws an instanced renderable with a single call', function () {
+			Renderer.prototype.render.call(renderer, renderList, new Camera(), [], {});
+
+			expect(drawn.length).toEqual(1);
+			expect(drawn[0].renderable).toBe(renderList[0]);
+			expect(drawn[0].instanceCount).toEqual(2);
+		});
+
+		it('draws the entities of an instanced renderable one by one with an override material', function () {
+			var overrideMaterial = new Material(ShaderLib.simple);
+
+			Renderer.prototype.render.call(renderer, renderList, new Camera(), [], {}, true, overrideMaterial);
+
+			expect(drawn.length).toEqual(2);
+			expect(drawn[0].renderable).toBe(entity1);
+			expect(drawn[0].transform).toBe(entity1.transformComponent.worldTransform);
+			expect(drawn[0].instanceCount).toEqual(0);
+			expect(drawn[1].renderable).toBe(entity2);
+			expect(drawn[1].transform).toBe(entity2.transformComponent.worldTransform);
+		});
+	});
 });
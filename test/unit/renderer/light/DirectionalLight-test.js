@@ -1,4 +1,5 @@
 var Vector3 = require('../../../../src/goo/math/Vector3');
+var Light = require('../../../../src/goo/renderer/light/Light');
 var DirectionalLight = require('../../../../src/goo/renderer/light/DirectionalLight');
 var CustomMatchers = require('../../../../test/unit/CustomMatchers');
 
@@ -25,6 +26,34 @@ describe('DirectionalLight', function () {
 		});
 	});
 
+	describe('getShadowCascadeCount', function () {
+		it('uses the cascade count of the shadow settings for shadow casters', function () {
+			var light = new DirectionalLight();
+			light.shadowSettings.cascadeCount = 3;
+			expect(light.getShadowCascadeCount()).toEqual(1);
+
+			light.shadowCaster = true;
+			expect(light.getShadowCascadeCount()).toEqual(3);
+		});
+
+		it('does not use cascades for lights with a light cookie', function () {
+			var light = new DirectionalLight();
+			light.shadowCaster = true;
+			light.shadowSettings.cascadeCount = 3;
+			light.lightCookie = {};
+
+			expect(light.getShadowCascadeCount()).toEqual(1);
+		});
+
+		it('clamps the cascade count', function () {
+			var light = new DirectionalLight();
+			light.shadowCaster = true;
+			light.shadowSettings.cascadeCount = 10;
+
+			expect(light.getShadowCascadeCount()).toEqual(Light.MAX_SHADOW_CASCADES);
+		});
+	});
+
 	describe('clone', function () {
 		it('can clone a point light', function () {
 			var original = new DirectionalLight(new Vector3(11, 22, 33));
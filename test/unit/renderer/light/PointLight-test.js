@@ -25,6 +25,16 @@ describe('PointLight', function () {
 		});
 	});
 
+	describe('getShadowCascadeCount', function () {
+		it('uses two shadow maps for shadow casters', function () {
+			var light = new PointLight();
+			expect(light.getShadowCascadeCount()).toEqual(1);
+
+			light.shadowCaster = true;
+			expect(light.getShadowCascadeCount()).toEqual(2);
+		});
+	});
+
 	describe('clone', function () {
 		it('can clone a point light', function () {
 			var original = new PointLight(new Vector3(11, 22, 33));
@@ -0,0 +1,75 @@
+var Composer = require('../../../../src/goo/renderer/pass/Composer');
+var RenderTarget = require('../../../../src/goo/renderer/pass/RenderTarget');
+var Capabilities = require('../../../../src/goo/renderer/Capabilities');
+
+describe('Composer', function () {
+	var halfFloat, renderToHalfFloat, halfFloatLinear, renderer;
+
+	beforeEach(function () {
+		halfFloat = Capabilities.TextureHalfFloat;
+		renderToHalfFloat = Capabilities.renderToHalfFloat;
+		halfFloatLinear = Capabilities.TextureHalfFloatLinear;
+		Capabilities.TextureHalfFloat = { HALF_FLOAT_OES: 0x8D61 };
+		Capabilities.renderToHalfFloat = true;
+		Capabilities.TextureHalfFloatLinear = {};
+		renderer = { context: {} };
+	});
+
+	afterEach(function () {
+		Capabilities.TextureHalfFloat = halfFloat;
+		Capabilities.renderToHalfFloat = renderToHalfFloat;
+		Capabilities.TextureHalfFloatLinear = halfFloatLinear;
+	});
+
+	describe('hdr', function () {
+		it('renders into half float buffers', function () {
+			var composer = new Composer(new RenderTarget(32, 16), { hdr: true });
+			composer.size = { x: 0, y: 0, width: 32, height: 16 };
+
+			composer.updateSize(renderer);
+
+			expect(composer.writeBuffer.type).toEqual('HalfFloat');
+			expect(composer.readBuffer.type).toEqual('HalfFloat');
+			expect(composer.writeBuffer.magFilter).toEqual('Bilinear');
+			composer.destroy(renderer);
+		});
+
+		it('uses nearest filtering when half floats can not be filtered', function () {
+			Capabilities.TextureHalfFloatLinear = undefined;
+			var composer = new Composer(new RenderTarget(32, 16), { hdr: true });
+			composer.size = { x: 0, y: 0, width: 32, height: 16 };
+
+			composer.updateSize(renderer);
+
+			expect(composer.writeBuffer.magFilter).toEqual('NearestNeighbor');
+			expect(composer.writeBuffer.minFilter).toEqual('NearestNeighborNoMipMaps');
+			composer.destroy(renderer);
+		});
+
+		it('falls back to 8-bit buffers when half float textures can not be rendered into', function () {
+			Capabilities.renderToHalfFloat = false;
+			var composer = new Composer(new RenderTarget(32, 16), { hdr: true });
+			composer.size = { x: 0, y: 0, width: 32, height: 16 };
+
+			composer.updateSize(renderer);
+
+			expect(composer.writeBuffer.type).toEqual('UnsignedByte');
+			composer.destroy(renderer);
+		});
+
+		it('recreates the buffers before the next render when changed', function () {
+			var composer = new Composer(new RenderTarget(32, 16));
+
+			composer.setHdr(true);
+			expect(composer.dirty).toBe(true);
+
+			composer.render(renderer, 0.1);
+
+			expect(composer.hdr).toBe(true);
+			expect(composer.writeBuffer.type).toEqual('HalfFloat');
+			expect(composer.writeBuffer.width).toEqual(32);
+			expect(composer.writeBuffer.height).toEqual(16);
+			composer.destroy(renderer);
+		});
+	});
+});
@@ -0,0 +1,18 @@
+var RenderPass = require('../../../../src/goo/renderer/pass/RenderPass');
+var Vector4 = require('../../../../src/goo/math/Vector4');
+var PassFixture = require('../../passpack/helpers/PassFixture');
+
+describe('RenderPass', function () {
+	it('renders into a target cleared to its clear color and restores the clear color of the renderer', function () {
+		var f = PassFixture.create();
+		var pass = new RenderPass(f.renderList);
+		pass.clearColor.setDirect(1, 1, 1, 1);
+
+		pass.renderWithClearColor(f.renderer, f.readBuffer, 0.1, f.camera);
+
+		expect(f.renders.length).toEqual(1);
+		expect(f.renders[0].target).toBe(f.readBuffer);
+		expect(f.renders[0].clearColor).toEqual(new Vector4(1, 1, 1, 1));
+		expect(f.renderer.clearColor).toEqual(new Vector4(0.1, 0.2, 0.3, 1));
+	});
+});
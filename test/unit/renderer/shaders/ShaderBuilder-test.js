@@ -0,0 +1,132 @@
+var ShaderBuilder = require('../../../../src/goo/renderer/shaders/ShaderBuilder');
+var ShaderLib = require('../../../../src/goo/renderer/shaders/ShaderLib');
+var Shader = require('../../../../src/goo/renderer/Shader');
+var Material = require('../../../../src/goo/renderer/Material');
+var Texture = require('../../../../src/goo/renderer/Texture');
+var Box = require('../../../../src/goo/shapes/Box');
+var PointLight = require('../../../../src/goo/renderer/light/PointLight');
+var Vector3 = require('../../../../src/goo/math/Vector3');
+
+describe('ShaderBuilder', function () {
+	describe('uber', function () {
+		var material, shader;
+
+		beforeEach(function () {
+			material = new Material(ShaderLib.uber);
+			shader = material.shader;
+		});
+
+		afterEach(function () {
+			ShaderBuilder.LINEAR_SPACE = false;
+		});
+
+		describe('.processor', function () {
+			it('defines LINEAR_SPACE when lighting in linear space', function () {
+				ShaderBuilder.LINEAR_SPACE = true;
+
+				ShaderBuilder.uber.processor(shader, { meshData: new Box(), material: material });
+
+				expect(shader.hasDefine('LINEAR_SPACE')).toBe(true);
+			});
+
+			it('removes LINEAR_SPACE when it is turned off', function () {
+				ShaderBuilder.LINEAR_SPACE = true;
+				ShaderBuilder.uber.processor(shader, { meshData: new Box(), material: material });
+
+				ShaderBuilder.LINEAR_SPACE = false;
+				ShaderBuilder.uber.processor(shader, { meshData: new Box(), material: material });
+
+				expect(shader.hasDefine('LINEAR_SPACE')).toBe(false);
+			});
+		});
+	});
+
+	describe('light', function () {
+		afterEach(function () {
+			ShaderBuilder.LINEAR_SPACE = false;
+		});
+
+		function lightColor() {
+			var material = new Material(ShaderLib.uber);
+			var light = new PointLight(new Vector3(0.5, 1, 0));
+			light.intensity = 2;
+			ShaderBuilder.light.processor(material.shader, { material: material, lights: [light] });
+			return material.shader.uniforms.pointLights.slice(4, 7);
+		}
+
+		it('converts the light colors to linear space before scaling them by the intensity', function () {
+			expect(lightColor()).toEqual([1, 2, 0]);
+
+			ShaderBuilder.LINEAR_SPACE = true;
+			var color = lightColor();
+			expect(color[0]).toBeCloseTo(Math.pow(0.5, 2.2) * 2);
+			expect(color[1]).toBeCloseTo(2);
+		});
+	});
+
+	describe('pbr', function () {
+		var material, shader, skybox;
+
+		function createCube(size) {
+			var cube = new Texture(null, { flipY: false });
+			cube.variant = 'CUBE';
+			cube.image = { width: size, height: size, data: [] };
+			return cube;
+		}
+
+		beforeEach(function () {
+			material = new Material(ShaderLib.pbr);
+			shader = material.shader;
+			skybox = ShaderBuilder.SKYBOX;
+		});
+
+		afterEach(function () {
+			ShaderBuilder.SKYBOX = skybox;
+		});
+
+		describe('.environment', function () {
+			it('uses the prefiltered cube of the material', function () {
+				var cube = createCube(256);
+				ShaderBuilder.SKYBOX = createCube(64);
+				material.setTexture('PREFILTERED_CUBE', cube);
+
+				ShaderBuilder.pbr.environment(shader, material);
+
+				expect(material.getTexture('ENVIRONMENT_CUBE')).toBe(cube);
+				expect(shader.uniforms.environmentMipLevels).toEqual(8);
+			});
+
+			it('falls back to the skybox', function () {
+				ShaderBuilder.SKYBOX = createCube(64);
+
+				ShaderBuilder.pbr.environment(shader, material);
+
+				expect(material.getTexture('ENVIRONMENT_CUBE')).toBe(ShaderBuilder.SKYBOX);
+				expect(shader.uniforms.environmentMipLevels).toEqual(6);
+			});
+
+			it('removes the environment when there is no cube map', function () {
+				ShaderBuilder.SKYBOX = createCube(64);
+				ShaderBuilder.pbr.environment(shader, material);
+
+				ShaderBuilder.SKYBOX = null;
+				ShaderBuilder.pbr.environment(shader, material);
+
+				expect(material.getTexture('ENVIRONMENT_CUBE')).toBeUndefined();
+			});
+		});
+
+		describe('.processor', function () {
+			it('defines the texture slots of the material', function () {
+				ShaderBuilder.SKYBOX = null;
+				material.setTexture(Shader.METALLIC_ROUGHNESS_MAP, new Texture());
+
+				ShaderBuilder.pbr.processor(shader, { meshData: new Box(), material: material });
+
+				expect(shader.hasDefine('METALLIC_ROUGHNESS_MAP')).toBe(true);
+				expect(shader.hasDefine('TEXCOORD0')).toBe(true);
+				expect(shader.hasDefine('ENVIRONMENT_CUBE')).toBe(false);
+			});
+		});
+	});
+});
@@ -0,0 +1,16 @@
+var ShaderLib = require('../../../../src/goo/renderer/shaders/ShaderLib');
+var DirectionalLight = require('../../../../src/goo/renderer/light/DirectionalLight');
+var PointLight = require('../../../../src/goo/renderer/light/PointLight');
+
+describe('ShaderLib', function () {
+	describe('pbr', function () {
+		it('uses the metallic/roughness model for the lights', function () {
+			ShaderLib.pbr.builder(null, { lights: [new DirectionalLight(), new PointLight()] });
+			var fshader = ShaderLib.pbr.fshader();
+
+			expect(fshader).toContain('#define PBR');
+			expect(fshader).toContain('pbrSpecular(N, normalizedViewPosition, dirVector)');
+			expect(fshader).toContain('pbrSpecular(N, normalizedViewPosition, lVector)');
+		});
+	});
+});
@@ -0,0 +1,84 @@
+var ShadowHandler = require('../../../../src/goo/renderer/shadow/ShadowHandler');
+var Camera = require('../../../../src/goo/renderer/Camera');
+var Vector3 = require('../../../../src/goo/math/Vector3');
+var DirectionalLight = require('../../../../src/goo/renderer/light/DirectionalLight');
+var PointLight = require('../../../../src/goo/renderer/light/PointLight');
+
+describe('ShadowHandler', function () {
+	describe('calculateCascadeSplits', function () {
+		it('splits evenly with a lambda of 0', function () {
+			expect(ShadowHandler.calculateCascadeSplits(1, 101, 4, 0)).toEqual([1, 26, 51, 76, 101]);
+		});
+
+		it('splits logarithmically with a lambda of 1', function () {
+			var splits = ShadowHandler.calculateCascadeSplits(1, 1000, 3, 1);
+
+			expect(splits[0]).toEqual(1);
+			expect(splits[1]).toBeCloseTo(10);
+			expect(splits[2]).toBeCloseTo(100);
+			expect(splits[3]).toBeCloseTo(1000);
+		});
+
+		it('stores the splits in the given array', function () {
+			var store = [0, 0, 0, 0, 0, 0];
+			var splits = ShadowHandler.calculateCascadeSplits(1, 3, 2, 0, store);
+
+			expect(splits).toBe(store);
+			expect(store).toEqual([1, 2, 3]);
+		});
+	});
+
+	describe('_updateCascades', function () {
+		it('fits a light camera around each slice of the view frustum', function () {
+			var shadowHandler = new ShadowHandler();
+			var camera = new Camera(45, 1, 1, 100);
+			camera.lookAt(new Vector3(0, 0, -1), Vector3.UNIT_Y);
+
+			var light = new DirectionalLight();
+			light.direction.setDirect(0, -1, 0);
+			light.shadowSettings.far = 50;
+			light.shadowSettings.cascadeSplitLambda = 0;
+			light.shadowSettings.shadowData = {
+				cascades: [{ lightCamera: new Camera() }, { lightCamera: new Camera() }]
+			};
+
+			shadowHandler._updateCascades(light, camera);
+
+			var cascades = light.shadowSettings.shadowData.cascades;
+			var near = cascades[0].lightCamera;
+			var far = cascades[1].lightCamera;
+
+			expect(near.projectionMode).toEqual(Camera.Parallel);
+			expect(near._direction.y).toBeCloseTo(-1);
+			// the first slice ends at 50 units from the camera, and is smaller than the second
+			expect(near._frustumRight).toBeLessThan(far._frustumRight);
+			expect(near.translation.z).toBeGreaterThan(far.translation.z);
+			expect(near.translation.y).toBeGreaterThan(0);
+		});
+	});
+
+	describe('_updateParaboloids', function () {
+		it('points a light camera at each hemisphere around the light', function () {
+			var shadowHandler = new ShadowHandler();
+			var light = new PointLight();
+			light.translation.setDirect(1, 2, 3);
+			light.shadowSettings.far = 20;
+			light.shadowSettings.shadowData = {
+				cascades: [{ lightCamera: new Camera() }, { lightCamera: new Camera() }]
+			};
+
+			shadowHandler._updateParaboloids(light);
+
+			var cascades = light.shadowSettings.shadowData.cascades;
+			var below = cascades[0].lightCamera;
+			var above = cascades[1].lightCamera;
+
+			expect(below.translation.toArray()).toEqual([1, 2, 3]);
+			expect(above.translation.toArray()).toEqual([1, 2, 3]);
+			expect(below._direction.y).toBeCloseTo(-1);
+			expect(above._direction.y).toBeCloseTo(1);
+			expect(below.far).toEqual(20);
+			expect(below._frustumRight).toEqual(20);
+		});
+	});
+});
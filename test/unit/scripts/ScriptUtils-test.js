@@ -64,4 +64,29 @@ describe('ScriptUtils', function () {
 
 		expect(parametersValues).toEqual(expected);
 	});
-});
\ No newline at end of file
+
+	describe('physics queries', function () {
+		it('returns no hits without a physics system', function () {
+			var world = { getSystem: function () { return undefined; } };
+			expect(ScriptUtils.overlapSphere(world, {}, 1)).toEqual([]);
+			expect(ScriptUtils.overlapBox(world, {}, {})).toEqual([]);
+			expect(ScriptUtils.sphereCast(world, {}, {}, 1, 10)).toBe(false);
+			expect(ScriptUtils.shapeSweep(world, {}, {}, {}, 10)).toBe(false);
+		});
+
+		it('delegates to the physics system of the world', function () {
+			var physicsSystem = {
+				overlapSphere: jasmine.createSpy('overlapSphere').and.returnValue(['hit']),
+				sphereCast: jasmine.createSpy('sphereCast').and.returnValue(true)
+			};
+			var world = { getSystem: function (type) { return type === 'PhysicsSystem' ? physicsSystem : undefined; } };
+			var options = { collisionMask: 2 };
+
+			expect(ScriptUtils.overlapSphere(world, 'center', 3, options)).toEqual(['hit']);
+			expect(physicsSystem.overlapSphere).toHaveBeenCalledWith('center', 3, options);
+
+			expect(ScriptUtils.sphereCast(world, 'start', 'direction', 1, 10, options, 'result')).toBe(true);
+			expect(physicsSystem.sphereCast).toHaveBeenCalledWith('start', 'direction', 1, 10, options, 'result');
+		});
+	});
+});
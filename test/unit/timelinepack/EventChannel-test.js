@@ -1,4 +1,5 @@
 var EventChannel = require('../../../src/goo/timelinepack/EventChannel');
+var SystemBus = require('../../../src/goo/entities/SystemBus');
 
 describe('EventChannel', function () {
 	var channel;
@@ -186,4 +187,22 @@ describe('EventChannel', function () {
 			})).toBeTruthy();
 		});
 	});
-});
\ No newline at end of file
+
+	describe('getEventEmitter', function () {
+		afterEach(function () {
+			SystemBus.clear();
+		});
+
+		it('gets a callback that emits the event with its value', function () {
+			var listener = jasmine.createSpy('listener');
+			SystemBus.addListener('boom', listener);
+
+			var emitter = EventChannel.getEventEmitter('boom', 'big');
+			emitter();
+
+			expect(listener).toHaveBeenCalledWith('big', 'boom', jasmine.any(Object));
+			expect(emitter.eventName).toEqual('boom');
+			expect(emitter.value).toEqual('big');
+		});
+	});
+});
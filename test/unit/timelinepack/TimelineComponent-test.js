@@ -110,4 +110,21 @@ describe('TimelineComponent', function () {
 			expect(timelineComponent.getValues()).toEqual({ id0: 123, id1: 456 });
 		});
 	});
+
+	describe('snapshot', function () {
+		it('restores the time and the playing state', function () {
+			var spy = jasmine.createSpy('spy');
+			timelineComponent.addChannel(getPhonyChannel(spy));
+			timelineComponent.update(100);
+
+			var snapshot = timelineComponent.snapshot();
+			timelineComponent.update(200);
+			timelineComponent.pause();
+			timelineComponent.restore(snapshot);
+
+			expect(timelineComponent.time).toEqual(100);
+			expect(timelineComponent.playing).toBeTruthy();
+			expect(spy.calls.mostRecent().args).toEqual([100]);
+		});
+	});
 });
@@ -0,0 +1,61 @@
+goo.V.attachToGlobal();
+
+	V.describe('Trails left by moving entities.' +
+	'<br>' +
+	'From left to right: a swinging sword tip, a fast tracer with a tiled texture and a tapering motion trail.');
+
+	var gooRunner = V.initGoo({showStats: true});
+	var world = gooRunner.world;
+
+	world.setSystem(new TrailSystem());
+
+	V.addLights();
+	V.addOrbitCamera(new Vector3(20, Math.PI / 2, 0.2));
+
+	// Sword swipe, from the tip of a swinging box
+	var sword = world.createEntity(new Box(0.1, 3, 0.1), V.getColoredMaterial(0.8, 0.8, 0.8), [-6, 0, 0]).addToWorld();
+	sword.set(new TrailComponent({
+		lifeTime: 0.3,
+		width: 0.6,
+		offset: new Vector3(0, 1.5, 0),
+		color: new Vector4(0.6, 0.8, 1, 1)
+	}));
+
+	// Tracer, stripes that stay in place along the trail
+	var stripes = new TextureCreator().loadTexture2D('../../../resources/check.png');
+	var tracer = world.createEntity(new Sphere(8, 8, 0.1), V.getColoredMaterial(1, 0.8, 0.2), [0, 0, 0]).addToWorld();
+	tracer.set(new TrailComponent({
+		lifeTime: 0.5,
+		width: 0.15,
+		uvMode: TrailRenderer.UV_TILE,
+		tileLength: 0.5,
+		texture: stripes,
+		color: new Vector4(1, 0.8, 0.2, 1)
+	}));
+
+	// Motion trail that tapers off
+	var mover = world.createEntity(new Sphere(8, 8, 0.3), V.getColoredMaterial(0.2, 1, 0.4), [6, 0, 0]).addToWorld();
+	mover.set(new TrailComponent({
+		lifeTime: 1.5,
+		width: 0.6,
+		widthCurve: new LinearCurve({ k: -1, m: 1 }),
+		colorCurve: new Vector4Curve({
+			x: new ConstantCurve({ value: 1 }),
+			y: new ConstantCurve({ value: 1 }),
+			z: new ConstantCurve({ value: 1 }),
+			w: new LinearCurve({ k: -1, m: 1 })
+		}),
+		color: new Vector4(0.2, 1, 0.4, 1)
+	}));
+
+	var time = 0;
+	gooRunner.callbacks.push(function () {
+		time += world.tpf;
+		sword.setRotation(0, 0, Math.sin(time * 4) * 1.5);
+		tracer.setTranslation(Math.sin(time * 6) * 2, (time * 8) % 8 - 4, 0);
+		mover.setTranslation(6 + Math.cos(time * 2) * 2, Math.sin(time * 3) * 2, Math.sin(time * 2) * 2);
+	});
+
+	gooRunner.renderer.setClearColor(0, 0, 0, 1);
+
+	V.process();
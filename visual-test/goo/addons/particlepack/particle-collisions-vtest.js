@@ -0,0 +1,60 @@
+goo.V.attachToGlobal();
+
+	var gooRunner = V.initGoo();
+	var world = gooRunner.world;
+
+	world.setSystem(new ParticleSystemSystem());
+
+	V.addLights();
+	V.addOrbitCamera(new Vector3(40, Math.PI / 2, 0.3));
+
+	var floor = world.createEntity(new Quad(40, 40), V.getColoredMaterial(0.3, 0.3, 0.3), [0, -5, 0]).addToWorld();
+	floor.setRotation(-Math.PI / 2, 0, 0);
+
+	// Sparks flying out of the collisions, emitted by the other systems only
+	var sparks = new ParticleSystemComponent({
+		loop: true,
+		localSpace: false,
+		maxParticles: 500,
+		emissionRate: new ConstantCurve({ value: 0 }),
+		startSpeed: new ConstantCurve({ value: 3 }),
+		startLifetime: new ConstantCurve({ value: 0.5 }),
+		startSize: new ConstantCurve({ value: 0.1 }),
+		shapeType: 'sphere',
+		sphereRadius: 0.1,
+		gravity: new Vector3(0, -10, 0),
+		startColorScale: new Vector4(1, 0.6, 0.2, 1)
+	});
+	world.createEntity(sparks).addToWorld();
+
+	function createFountain(x, collisionResponse) {
+		var fountain = new ParticleSystemComponent({
+			loop: true,
+			localSpace: false,
+			maxParticles: 300,
+			emissionRate: new ConstantCurve({ value: 30 }),
+			startSpeed: new ConstantCurve({ value: 10 }),
+			startLifetime: new ConstantCurve({ value: 5 }),
+			startSize: new ConstantCurve({ value: 0.3 }),
+			coneAngle: 0.3,
+			gravity: new Vector3(0, -10, 0),
+			colliders: [new ParticlePlaneCollider({ normal: new Vector3(0, 1, 0), constant: -5 })],
+			collisionResponse: collisionResponse,
+			bounce: 0.6,
+			dampen: 0.1,
+			subEmitters: [{
+				event: ParticleSystemComponent.EVENT_COLLISION,
+				emitter: sparks,
+				count: 3,
+				inheritVelocity: 0.2
+			}]
+		});
+		world.createEntity([x, -4, 0], fountain).addToWorld();
+	}
+
+	createFountain(-5, ParticleSystemComponent.COLLISION_BOUNCE);
+	createFountain(5, ParticleSystemComponent.COLLISION_KILL);
+
+	gooRunner.renderer.setClearColor(0, 0, 0, 1);
+
+	V.process();
@@ -0,0 +1,76 @@
+goo.V.attachToGlobal();
+
+	var gooRunner = V.initGoo();
+	var world = gooRunner.world;
+
+	world.setSystem(new ParticleSystemSystem());
+	world.setSystem(new ForceFieldSystem());
+	world.setSystem(new HtmlSystem(gooRunner.renderer));
+
+	V.addLights();
+	V.addOrbitCamera(new Vector3(100, Math.PI / 2, 0.3));
+
+	// Each field gets its own particle system, far enough apart to not affect the others
+	var fields = [{
+		label: 'vortex',
+		type: ForceFieldComponent.VORTEX,
+		strength: 20,
+		radius: 8
+	}, {
+		label: 'attractor',
+		type: ForceFieldComponent.ATTRACTOR,
+		strength: 30,
+		radius: 8,
+		offset: [0, 6, 0]
+	}, {
+		label: 'turbulence',
+		type: ForceFieldComponent.TURBULENCE,
+		strength: 15,
+		radius: 8,
+		frequency: 0.3
+	}, {
+		label: 'drag',
+		type: ForceFieldComponent.DRAG,
+		strength: 2,
+		radius: 8
+	}, {
+		label: 'wind',
+		type: ForceFieldComponent.WIND,
+		strength: 10,
+		radius: 8,
+		direction: new Vector3(1, 0, 0)
+	}];
+
+	var dist = 20;
+
+	for (var i = 0; i < fields.length; i++) {
+		var field = fields[i];
+		var position = [i * dist - dist * (fields.length - 1) / 2, -5, 0];
+
+		world.createEntity(position, new ParticleSystemComponent({
+			stateful: true,
+			loop: true,
+			localSpace: false,
+			maxParticles: 500,
+			emissionRate: new ConstantCurve({ value: 100 }),
+			startSpeed: new ConstantCurve({ value: 5 }),
+			startLifetime: new ConstantCurve({ value: 4 }),
+			startSize: new ConstantCurve({ value: 0.3 }),
+			coneAngle: 0.2
+		})).addToWorld();
+
+		var offset = field.offset || [0, 4, 0];
+		world.createEntity([position[0] + offset[0], position[1] + offset[1], position[2] + offset[2]], new ForceFieldComponent(field)).addToWorld();
+
+		// HTML sign below
+		var htmlElement = document.createElement('p');
+		htmlElement.style.position = 'absolute';
+		htmlElement.style['-webkit-user-select'] = 'none';
+		htmlElement.style.color = 'white';
+		htmlElement.innerHTML = field.label;
+		document.body.appendChild(htmlElement);
+		world.createEntity([position[0], position[1] - 1, position[2]]).addToWorld().set(new HtmlComponent(htmlElement));
+	}
+	gooRunner.renderer.setClearColor(0, 0, 0, 1);
+
+	V.process();
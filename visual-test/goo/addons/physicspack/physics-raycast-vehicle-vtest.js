@@ -0,0 +1,200 @@
+goo.V.attachToGlobal();
+
+	V.describe('A RaycastVehicleComponent driven by state machines listening to the WASD keys, or with a gamepad. Hold space to brake.');
+
+	var gooRunner = V.initGoo();
+	var world = gooRunner.world;
+
+	var physicsSystem = new PhysicsSystem();
+	world.setSystem(physicsSystem);
+	world.setSystem(new ColliderSystem());
+	world.setSystem(new StateMachineSystem(gooRunner));
+	world.setSystem(new GamepadSystem());
+	gooRunner.setRenderSystem(new PhysicsDebugRenderSystem());
+
+	var maxForce = 500;
+	var maxSteering = 0.5;
+	var brakeForce = 100;
+
+	// the keyboard and the gamepad each drive with values between -1 and 1
+	var keyInput = { throttle: 0, steering: 0, brake: 0 };
+	var gamepadInput = { throttle: 0, steering: 0, brake: 0 };
+
+	// sets an input value when its state is entered
+	function SetInputAction(id, settings) {
+		Action.apply(this, arguments);
+	}
+	SetInputAction.prototype = Object.create(Action.prototype);
+	SetInputAction.prototype.constructor = SetInputAction;
+	SetInputAction.prototype.configure = function (settings) {
+		this.name = settings.name;
+		this.value = settings.value;
+	};
+	SetInputAction.prototype.enter = function () {
+		keyInput[this.name] = this.value;
+	};
+
+	function createState(name, inputName, value, actions, transitions) {
+		var state = new State(name);
+		state.addAction(new SetInputAction(null, { name: inputName, value: value }));
+		actions.forEach(function (action) {
+			state.addAction(action);
+		});
+		Object.keys(transitions).forEach(function (eventName) {
+			state.setTransition(eventName, transitions[eventName]);
+		});
+		return state;
+	}
+
+	function createMachine(name, states) {
+		var machine = new Machine(name);
+		states.forEach(function (state) {
+			machine.addState(state);
+		});
+		return machine;
+	}
+
+	function createStateMachineComponent() {
+		var stateMachineComponent = new StateMachineComponent();
+
+		stateMachineComponent.addMachine(createMachine('throttle', [
+			createState('idle', 'throttle', 0, [
+				new WasdAction(null, { transitions: { w: 'forward', s: 'reverse' } })
+			], { forward: 'forward', reverse: 'reverse' }),
+			createState('forward', 'throttle', 1, [
+				new KeyUpAction(null, { key: 'W', transitions: { keyup: 'release' } })
+			], { release: 'idle' }),
+			createState('reverse', 'throttle', -1, [
+				new KeyUpAction(null, { key: 'S', transitions: { keyup: 'release' } })
+			], { release: 'idle' })
+		]));
+
+		stateMachineComponent.addMachine(createMachine('steering', [
+			createState('straight', 'steering', 0, [
+				new WasdAction(null, { transitions: { a: 'left', d: 'right' } })
+			], { left: 'left', right: 'right' }),
+			createState('left', 'steering', 1, [
+				new KeyUpAction(null, { key: 'A', transitions: { keyup: 'release' } })
+			], { release: 'straight' }),
+			createState('right', 'steering', -1, [
+				new KeyUpAction(null, { key: 'D', transitions: { keyup: 'release' } })
+			], { release: 'straight' })
+		]));
+
+		stateMachineComponent.addMachine(createMachine('brake', [
+			createState('rolling', 'brake', 0, [
+				new KeyDownAction(null, { key: 'Space', transitions: { keydown: 'press' } })
+			], { press: 'braking' }),
+			createState('braking', 'brake', 1, [
+				new KeyUpAction(null, { key: 'Space', transitions: { keyup: 'release' } })
+			], { release: 'rolling' })
+		]));
+
+		return stateMachineComponent;
+	}
+
+	function createGamepadComponent() {
+		var gamepadComponent = new GamepadComponent(0);
+
+		gamepadComponent.setLeftStickFunction(function (entity, direction, amount, rawData) {
+			gamepadInput.steering = -rawData[0];
+		});
+
+		// right trigger drives forward, left trigger backward and the bottom face button brakes
+		gamepadComponent.setButtonDownFunction(7, function (entity, value) {
+			gamepadInput.throttle = value;
+		});
+		gamepadComponent.setButtonUpFunction(7, function () {
+			gamepadInput.throttle = Math.min(gamepadInput.throttle, 0);
+		});
+		gamepadComponent.setButtonDownFunction(6, function (entity, value) {
+			gamepadInput.throttle = -value;
+		});
+		gamepadComponent.setButtonUpFunction(6, function () {
+			gamepadInput.throttle = Math.max(gamepadInput.throttle, 0);
+		});
+		gamepadComponent.setButtonDownFunction(0, function () {
+			gamepadInput.brake = 1;
+		});
+		gamepadComponent.setButtonUpFunction(0, function () {
+			gamepadInput.brake = 0;
+		});
+
+		return gamepadComponent;
+	}
+
+	function createGround() {
+		var entity = world.createEntity(new Quad(1000, 1000, 100, 100), V.getColoredMaterial(0.7, 0.7, 0.7))
+			.set([0, -1, 0])
+			.setRotation(-Math.PI / 2, 0, 0);
+		var rigidBodyComponent = new RigidBodyComponent({ isKinematic: true });
+		var planeColliderComponent = new ColliderComponent({ collider: new PlaneCollider() });
+		entity.set(rigidBodyComponent)
+			.set(planeColliderComponent)
+			.addToWorld();
+		rigidBodyComponent.initialize();
+	}
+
+	function createWheel(radius) {
+		// the cylinder mesh is rotated to roll around the X axis of the wheel entity
+		var mesh = world.createEntity(new Cylinder(20, radius, radius, 0.4), V.getColoredMaterial(0.2, 0.2, 0.2))
+			.setRotation(0, Math.PI / 2, 0)
+			.addToWorld();
+
+		return world.createEntity('Wheel')
+			.attachChild(mesh)
+			.addToWorld();
+	}
+
+	function createVehicle(x, y, z) {
+		var s = 5;
+		var radius = 1;
+		var axleWidth = 3;
+		var chassisLength = 4;
+
+		var vehicleComponent = new RaycastVehicleComponent();
+		var chassis = world.createEntity(new Box(s, 0.5 * s, 2 * s), V.getColoredMaterial(), [x, y, z])
+			.set(new RigidBodyComponent({ mass: 150 }))
+			.set(new ColliderComponent({ collider: new BoxCollider({ halfExtents: new Vector3(0.5 * s, 0.25 * s, s) }) }))
+			.set(vehicleComponent)
+			.set(createStateMachineComponent())
+			.set(createGamepadComponent())
+			.addToWorld();
+
+		// steering front wheels and driven back wheels
+		[
+			[-axleWidth, -chassisLength, true],
+			[axleWidth, -chassisLength, true],
+			[-axleWidth, chassisLength, false],
+			[axleWidth, chassisLength, false]
+		].forEach(function (wheel) {
+			var entity = createWheel(radius);
+			chassis.attachChild(entity);
+			vehicleComponent.addWheel({
+				position: new Vector3(wheel[0], 0, wheel[1]),
+				radius: radius,
+				steering: wheel[2],
+				driven: !wheel[2],
+				entity: entity
+			});
+		});
+
+		return vehicleComponent;
+	}
+
+	function clamp(value) {
+		return Math.max(-1, Math.min(1, value));
+	}
+
+	createGround();
+	var vehicleComponent = createVehicle(0, 2, 0);
+
+	gooRunner.callbacks.push(function () {
+		vehicleComponent.engineForce = clamp(keyInput.throttle + gamepadInput.throttle) * maxForce;
+		vehicleComponent.steering = clamp(keyInput.steering + gamepadInput.steering) * maxSteering;
+		vehicleComponent.brakeForce = Math.max(keyInput.brake, gamepadInput.brake) * brakeForce;
+	});
+
+	V.addLights();
+	V.addOrbitCamera(new Vector3(40, 0, Math.PI / 4));
+	V.process();
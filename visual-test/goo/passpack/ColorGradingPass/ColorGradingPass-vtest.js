@@ -0,0 +1,41 @@
+	goo.V.attachToGlobal();
+
+	V.describe('Color grading with lookup tables. Press space to fade between a neutral and a warm, desaturated LUT.');
+
+	var gooRunner = V.initGoo();
+	V.addLights();
+	V.addOrbitCamera(new Vector3(15, Math.PI / 2, 0.3));
+	V.addBoxes();
+
+	var neutralLut = ColorGradingPass.createNeutralLut(16);
+
+	// Grade the neutral LUT like a photo tool would
+	var warmLut = ColorGradingPass.createNeutralLut(16);
+	var data = warmLut.image.data;
+	for (var i = 0; i < data.length; i += 4) {
+		var gray = data[i] * 0.3 + data[i + 1] * 0.59 + data[i + 2] * 0.11;
+		data[i] = Math.min(255, (data[i] + gray) * 0.5 + 30);
+		data[i + 1] = (data[i + 1] + gray) * 0.5 + 10;
+		data[i + 2] = Math.max(0, (data[i + 2] + gray) * 0.5 - 20);
+	}
+
+	var composer = new Composer();
+
+	var renderPass = new RenderPass(gooRunner.world.getSystem('RenderSystem').renderList);
+	renderPass.clearColor = new Vector4(0, 0, 0, 0);
+
+	var colorGradingPass = new ColorGradingPass({ lut: neutralLut });
+	colorGradingPass.renderToScreen = true;
+
+	composer.addPass(renderPass);
+	composer.addPass(colorGradingPass);
+
+	gooRunner.renderSystem.composers.push(composer);
+
+	document.addEventListener('keydown', function (event) {
+		if (event.keyCode === 32 && !colorGradingPass.isBlending()) {
+			colorGradingPass.blendTo(colorGradingPass.lut === neutralLut ? warmLut : neutralLut, 2);
+		}
+	});
+
+	V.process();
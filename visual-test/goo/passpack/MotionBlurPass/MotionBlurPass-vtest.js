@@ -0,0 +1,51 @@
+	goo.V.attachToGlobal();
+
+	V.describe([
+		'Per-object motion blur: the racing boxes are blurred along their motion while the rest of the scene stays sharp.',
+		'Press space to toggle the motion blur.'
+	].join('\n'));
+
+	var gooRunner = V.initGoo();
+	V.addLights();
+	V.addOrbitCamera(new Vector3(25, Math.PI / 2, 0.3));
+
+	// Standing still
+	for (var i = 0; i < 10; i++) {
+		gooRunner.world.createEntity(new Box(1, 3, 1), V.getColoredMaterial(0.6, 0.6, 0.6, 1), [i * 3 - 13.5, 1.5, -6]).addToWorld();
+	}
+
+	var cars = [];
+	for (var j = 0; j < 3; j++) {
+		cars.push(gooRunner.world.createEntity(new Box(3, 1, 1.5), V.getColoredMaterial(), [0, 0.5, j * 3 - 3]).addToWorld());
+	}
+
+	var time = 0;
+	gooRunner.callbacks.push(function (tpf) {
+		time += tpf;
+		cars.forEach(function (car, index) {
+			var x = ((time * (20 + index * 10)) % 60) - 30;
+			car.setTranslation(x, 0.5, index * 3 - 3);
+		});
+	});
+
+	var renderList = gooRunner.world.getSystem('RenderSystem').renderList;
+	var composer = new Composer();
+
+	var renderPass = new RenderPass(renderList);
+	renderPass.clearColor = new Vector4(0, 0, 0, 0);
+
+	var motionBlurPass = new MotionBlurPass(renderList);
+	motionBlurPass.renderToScreen = true;
+
+	composer.addPass(renderPass);
+	composer.addPass(motionBlurPass);
+
+	gooRunner.renderSystem.composers.push(composer);
+
+	document.addEventListener('keydown', function (event) {
+		if (event.keyCode === 32) {
+			motionBlurPass.intensity = motionBlurPass.intensity ? 0 : 1;
+		}
+	});
+
+	V.process();
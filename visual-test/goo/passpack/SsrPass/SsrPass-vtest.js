@@ -0,0 +1,52 @@
+	goo.V.attachToGlobal();
+
+	V.describe([
+		'Screen space reflections on a wet floor: the floor is smooth where it is wet and rough elsewhere.',
+		'Press R to toggle the reflections.'
+	].join('\n'));
+
+	var gooRunner = V.initGoo();
+	V.addLights();
+	V.addOrbitCamera(new Vector3(20, Math.PI / 2, 0.3));
+
+	for (var i = 0; i < 8; i++) {
+		var angle = i / 8 * Math.PI * 2;
+		gooRunner.world.createEntity(new Sphere(32, 32), V.getColoredMaterial(), [Math.cos(angle) * 5, 1, Math.sin(angle) * 5]).addToWorld();
+	}
+
+	// The floor tiles are puddles when smooth and dry concrete when rough
+	var wetMaterial = V.getColoredMaterial(0.2, 0.2, 0.25, 1);
+	wetMaterial.uniforms.roughness = 0.05;
+	var dryMaterial = V.getColoredMaterial(0.4, 0.4, 0.4, 1);
+	dryMaterial.uniforms.roughness = 0.9;
+
+	for (var x = -4; x < 4; x++) {
+		for (var z = -4; z < 4; z++) {
+			var material = (x + z) % 3 === 0 ? wetMaterial : dryMaterial;
+			gooRunner.world.createEntity(new Quad(3, 3), material, [x * 3 + 1.5, 0, z * 3 + 1.5])
+				.setRotation(-Math.PI / 2, 0, 0)
+				.addToWorld();
+		}
+	}
+
+	var renderList = gooRunner.world.getSystem('RenderSystem').renderList;
+	var composer = new Composer();
+
+	var renderPass = new RenderPass(renderList);
+	renderPass.clearColor = new Vector4(0, 0, 0, 0);
+
+	var ssrPass = new SsrPass(renderList, { maxDistance: 15 });
+	ssrPass.renderToScreen = true;
+
+	composer.addPass(renderPass);
+	composer.addPass(ssrPass);
+
+	gooRunner.renderSystem.composers.push(composer);
+
+	document.addEventListener('keydown', function (event) {
+		if (event.keyCode === 82) {
+			ssrPass.intensity = ssrPass.intensity ? 0 : 1;
+		}
+	});
+
+	V.process();
@@ -0,0 +1,42 @@
+	goo.V.attachToGlobal();
+
+	V.describe([
+		'Temporal antialiasing of thin, moving geometry rendered through a composer, where multisampling does not apply.',
+		'Press space to toggle the antialiasing.'
+	].join('\n'));
+
+	var gooRunner = V.initGoo({ antialias: false });
+	V.addLights();
+	V.addOrbitCamera(new Vector3(15, Math.PI / 2, 0.3));
+	var boxes = V.addBoxes();
+
+	var renderList = gooRunner.world.getSystem('RenderSystem').renderList;
+	var composer = new Composer();
+
+	var renderPass = new RenderPass(renderList);
+	renderPass.clearColor = new Vector4(0, 0, 0, 0);
+
+	var taaPass = new TaaPass(renderList);
+	taaPass.renderToScreen = true;
+
+	composer.addPass(renderPass);
+	composer.addPass(taaPass);
+
+	gooRunner.renderSystem.composers.push(composer);
+
+	// Moving objects check the neighborhood clamping for ghosting
+	gooRunner.callbacks.push(function (tpf) {
+		boxes.each(function (entity, index) {
+			if (index % 7 === 0) {
+				entity.addRotation(0, tpf, 0);
+			}
+		});
+	});
+
+	document.addEventListener('keydown', function (event) {
+		if (event.keyCode === 32) {
+			taaPass.enabled = !taaPass.enabled;
+		}
+	});
+
+	V.process();
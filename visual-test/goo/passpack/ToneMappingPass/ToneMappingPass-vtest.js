@@ -0,0 +1,50 @@
+	goo.V.attachToGlobal();
+
+	V.describe([
+		'A scene lit in linear space with over-bright lights, rendered into an HDR composer with bloom and tone mapping.',
+		'Press 1, 2 or 3 for the Reinhard, filmic or ACES operator, and A to toggle auto exposure.'
+	].join('\n'));
+
+	ShaderBuilder.LINEAR_SPACE = true;
+
+	var gooRunner = V.initGoo();
+	V.addOrbitCamera(new Vector3(15, Math.PI / 2, 0.3));
+	V.addBoxes();
+
+	var light = new PointLight(new Vector3(1, 0.8, 0.6));
+	light.intensity = 6;
+	light.range = 20;
+	gooRunner.world.createEntity(light, [0, 3, 0]).addToWorld();
+
+	var composer = new Composer(undefined, { hdr: true });
+
+	var renderPass = new RenderPass(gooRunner.world.getSystem('RenderSystem').renderList);
+	renderPass.clearColor = new Vector4(0, 0, 0, 0);
+
+	var bloomPass = new BloomPass({ strength: 0.3 });
+	bloomPass.bcMaterial.uniforms.brightness = -0.8;
+
+	var toneMappingPass = new ToneMappingPass({ autoExposure: true });
+	toneMappingPass.renderToScreen = true;
+
+	composer.addPass(renderPass);
+	composer.addPass(bloomPass);
+	composer.addPass(toneMappingPass);
+
+	gooRunner.renderSystem.composers.push(composer);
+
+	var operators = {
+		49: ToneMappingPass.REINHARD,
+		50: ToneMappingPass.FILMIC,
+		51: ToneMappingPass.ACES
+	};
+
+	document.addEventListener('keydown', function (event) {
+		if (operators[event.keyCode]) {
+			toneMappingPass.operator = operators[event.keyCode];
+		} else if (event.keyCode === 65) {
+			toneMappingPass.autoExposure = !toneMappingPass.autoExposure;
+		}
+	});
+
+	V.process();